@@ -6,7 +6,20 @@ const program = new Command();
 program
   .name('localllm')
   .description('Local LLM infrastructure hub')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', 'Config profile: its paths, models and features (default: $LOCALLLM_PROFILE or "default")')
+  .hook('preAction', () => {
+    // Before any package loads shared/config; child processes inherit it
+    const { profile } = program.opts();
+    if (profile) process.env.LOCALLLM_PROFILE = profile;
+    if (!process.env.LOCALLLM_PROFILE) return;
+    try {
+      require('./shared/config');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
 
 // Embeddings
 program
@@ -54,24 +67,132 @@ program
     }
   });
 
+// Embedding model management
+const embeddings = program
+  .command('embeddings')
+  .description('Embedding model status and migration');
+
+embeddings
+  .command('status')
+  .description('Show which embedding model produced the vectors in each index')
+  .option('--memory-db <path>', 'Memory index database path')
+  .option('--chat-db <path>', 'Chat index database path')
+  .action((options) => {
+    const { embeddingStatus } = require('./packages/embeddings/migrate');
+    try {
+      const databases = embeddingStatus({ memoryDb: options.memoryDb, chatDb: options.chatDb });
+      if (databases.length === 0) {
+        console.log('No index databases found.');
+        return;
+      }
+      for (const database of databases) {
+        console.log(`\n${database.path}`);
+        console.log(`  Active model: ${database.activeModel}`);
+        for (const [table, info] of Object.entries(database.tables)) {
+          const models = Object.entries(info.models).map(([m, n]) => `${m}: ${n}`).join(', ') || 'empty';
+          console.log(`  ${table.padEnd(16)} ${info.rows} rows — ${models}`);
+          const shadow = Object.entries(info.shadow).map(([m, n]) => `${m}: ${n}`).join(', ');
+          if (shadow) console.log(`  ${''.padEnd(16)} migration in progress — ${shadow}`);
+        }
+      }
+      console.log();
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+embeddings
+  .command('migrate')
+  .description('Re-embed every index with a new model, then switch to it atomically (search keeps using the old model until then)')
+  .requiredOption('--to <model>', 'Target embedding model (e.g. nomic-embed-text)')
+  .option('--memory-db <path>', 'Memory index database path')
+  .option('--chat-db <path>', 'Chat index database path')
+  .option('--no-config', 'Do not update models.embed in config.local.json after switching')
+  .action(async (options) => {
+    const { migrateEmbeddings } = require('./packages/embeddings/migrate');
+    try {
+      const result = await migrateEmbeddings(options.to, {
+        memoryDb: options.memoryDb,
+        chatDb: options.chatDb,
+        writeConfig: options.config,
+        onProgress: ({ table, done, total }) => {
+          process.stdout.write(`\r  ${table}: ${done}/${total}`);
+          if (done === total) process.stdout.write('\n');
+        },
+      });
+      if (!result.switched) {
+        console.error(`\n${result.failed} rows failed to embed with ${result.model}; nothing switched. Re-run to retry.`);
+        process.exit(1);
+      }
+      console.log(`\nSwitched to ${result.model} (${result.dimension} dimensions):`);
+      for (const database of result.databases) {
+        const embedded = Object.values(database.tables).reduce((sum, t) => sum + t.embedded, 0);
+        console.log(`  ${database.path}: ${database.from} → ${result.model}, ${embedded} chunks re-embedded`);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Classifier
-program
+// Email fields shared by classify and classify rules test/explain. classify
+// parses them wherever they appear, so its subcommands read optsWithGlobals()
+function emailOptions(command) {
+  return command
+    .option('--from <email>', 'From email address')
+    .option('--subject <subject>', 'Email subject')
+    .option('--body <body>', 'Email body')
+    .option('--labels <labels>', 'Comma-separated labels')
+    .option('--header <lines...>', 'Headers as "Name: value"')
+    .option('--attachment <files...>', 'Attachments as name or name:content-type')
+    .option('--eml <file>', 'Raw message (.eml, "-" for stdin) instead of the fields above; --labels are added');
+}
+
+function emailFromOptions(options) {
+  if (options.eml) {
+    const { readFileSync } = require('fs');
+    const { normalizeEmail } = require('./shared/email');
+    return normalizeEmail({
+      raw: readFileSync(options.eml === '-' ? 0 : options.eml),
+      labels: options.labels ? options.labels.split(',') : [],
+    });
+  }
+  const headers = {};
+  for (const line of options.header || []) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return {
+    from: options.from || '',
+    subject: options.subject || '',
+    body: options.body || '',
+    labels: options.labels ? options.labels.split(',') : [],
+    headers,
+    attachments: (options.attachment || []).map(spec => {
+      const [name, type = ''] = spec.split(/:(.*)/);
+      return { name, type, size: 0 };
+    }),
+  };
+}
+
+function printExplanation(node, indent = '    ') {
+  console.log(`${indent}${node.result ? '✓' : '✗'} ${node.condition}${node.matched ? `  ← "${node.matched}"` : ''}`);
+  if (node.children && node.children.length > 1 || node.condition.startsWith('not ')) {
+    for (const child of node.children || []) printExplanation(child, `${indent}  `);
+  }
+}
+
+const classifyCmd = emailOptions(program
   .command('classify')
-  .description('Classify an email')
-  .option('--from <email>', 'From email address', '')
-  .option('--subject <subject>', 'Email subject', '')
-  .option('--body <body>', 'Email body', '')
-  .option('--labels <labels>', 'Comma-separated labels', '')
+  .description('Classify an email (rules, then labeled examples, then the LLM); see classify rules, correct, taxonomy'))
+  .option('--taxonomy <name>', 'Label with this taxonomy instead of classifier.taxonomy')
   .action(async (options) => {
     const { classify } = require('./packages/classifier');
     try {
-      const email = {
-        from: options.from,
-        subject: options.subject,
-        body: options.body,
-        labels: options.labels ? options.labels.split(',') : []
-      };
-      const result = await classify(email);
+      // Recorded whatever classifier.history says: the id printed is what classify correct takes
+      const result = await classify(emailFromOptions(options), { record: true, taxonomy: options.taxonomy });
       console.log(JSON.stringify(result, null, 2));
     } catch (error) {
       console.error('Error:', error.message);
@@ -79,6 +200,356 @@ program
     }
   });
 
+classifyCmd
+  .command('correct <id> <labels...>')
+  .description('Set the right labels for a classification (the id classify printed), category first; it becomes a labeled example')
+  .action(async (id, labels) => {
+    const { correct } = require('./packages/classifier');
+    try {
+      const { classification, changed } = await correct(Number(id), labels);
+      const also = classification.feedbackLabels.length > 1 ? ` + ${classification.feedbackLabels.slice(1).join(', ')}` : '';
+      console.log(changed
+        ? `✓ Classification ${id}: ${classification.category} → ${classification.feedback}${also} (learned as an example)`
+        : `✓ Classification ${id}: confirmed ${classification.category}${also} (learned as an example)`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+classifyCmd
+  .command('history')
+  .description('Recent classifications with their ids')
+  .option('-n, --limit <n>', 'How many', '20')
+  .option('--method <method>', 'Only rules, knn or llm')
+  .option('--category <category>', 'Only this category')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const { listClassifications } = require('./packages/classifier/examples');
+    try {
+      const rows = listClassifications({ limit: Number(options.limit), method: options.method, category: options.category });
+      if (options.json) return console.log(JSON.stringify(rows, null, 2));
+      if (rows.length === 0) return console.log('\nNo classifications recorded yet\n');
+      console.log('');
+      for (const row of rows) {
+        const fix = row.feedback && row.feedback !== row.category ? ` → ${row.feedbackLabels.join(', ')} (corrected)` : row.feedback ? ' ✓' : '';
+        const via = row.rule ? `rule ${row.rule}` : row.method;
+        const labels = row.labels.map(l => `${l.label} ${l.score}`).join(', ');
+        console.log(`  ${String(row.id).padStart(5)}  ${row.createdAt.slice(0, 16).replace('T', ' ')}  ${row.category}${fix}  [${via}: ${labels}]`);
+        console.log(`         ${row.sender} — ${row.subject}`);
+      }
+      console.log('\nFix one with: localllm classify correct <id> <category> [more labels...]\n');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+classifyCmd
+  .command('stats')
+  .description('Classification accuracy (share not corrected) by method and day, and examples per category')
+  .option('--days <n>', 'Window in days', '30')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const { accuracyStats } = require('./packages/classifier');
+    try {
+      const stats = accuracyStats({ days: Number(options.days) });
+      if (options.json) return console.log(JSON.stringify(stats, null, 2));
+      const pct = (accuracy) => accuracy === null ? '   -' : `${(accuracy * 100).toFixed(1).padStart(5)}%`;
+      const line = (label, s) => console.log(`  ${label.padEnd(12)} ${pct(s.accuracy)}  ${String(s.classified).padStart(6)} classified  ${String(s.corrected).padStart(4)} corrected  ${String(s.reviewed).padStart(4)} reviewed`);
+
+      console.log(`\nAccuracy since ${stats.since.slice(0, 10)} (uncorrected classifications count as right)\n`);
+      line('overall', stats.overall);
+      for (const s of stats.byMethod) line(s.method, s);
+      if (stats.byDay.length > 0) {
+        console.log('\n  By day:');
+        for (const s of stats.byDay) line(s.day, s);
+      }
+      const total = stats.examples.reduce((sum, e) => sum + e.count, 0);
+      console.log(`\n  ${total} labeled example(s)${total ? `: ${stats.examples.map(e => `${e.category} ${e.count}`).join(', ')}` : ''}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+function printBatchReport(report) {
+  const pct = (value) => value === null ? '    -' : `${(value * 100).toFixed(1).padStart(5)}%`;
+  const run = report.lastRun;
+  console.log(`\n${report.source}`);
+  if (run) console.log(`  Last run ${run.id}: ${run.status}, ${run.classified} classified, ${run.skipped} skipped, ${run.failed} failed${run.error ? ` (${run.error})` : ''}`);
+  console.log(`  ${report.total - report.failed} message(s) classified${report.failed ? `, ${report.failed} failed (retried next run)` : ''}\n`);
+
+  for (const c of report.categories) {
+    const methods = Object.entries(c.methods).map(([method, count]) => `${method} ${count}`).join(', ');
+    console.log(`  ${c.category.padEnd(28)} ${String(c.count).padStart(6)}  ${pct(c.share)}  confidence ${c.confidence.toFixed(2)}  [${methods}]`);
+  }
+
+  const { confusion } = report;
+  if (confusion.compared === 0) {
+    console.log('\n  No existing labels map to a category; set classifier.batch.labelMap to compare');
+  } else {
+    console.log(`\n  Against existing labels: ${confusion.agreed}/${confusion.compared} agree (${pct(confusion.agreement).trim()})\n`);
+    console.log(`  ${'label'.padEnd(28)} ${'support'.padStart(7)} ${'predicted'.padStart(9)} ${'precision'.padStart(9)} ${'recall'.padStart(7)}`);
+    for (const l of confusion.byLabel) {
+      console.log(`  ${l.label.padEnd(28)} ${String(l.support).padStart(7)} ${String(l.predicted).padStart(9)} ${pct(l.precision).padStart(9)} ${pct(l.recall).padStart(7)}`);
+    }
+    const mistakes = confusion.matrix.filter(c => c.expected !== c.predicted).sort((a, b) => b.count - a.count).slice(0, 10);
+    if (mistakes.length > 0) {
+      console.log('\n  Most common disagreements (existing → predicted):');
+      for (const c of mistakes) console.log(`    ${String(c.count).padStart(5)}  ${c.expected} → ${c.predicted}`);
+    }
+  }
+  if (confusion.unmapped.length > 0) {
+    console.log(`\n  Labels not compared: ${confusion.unmapped.map(u => `${u.label} (${u.count})`).join(', ')}`);
+  }
+  console.log('');
+}
+
+classifyCmd
+  .command('batch <source>')
+  .description('Classify a whole mailbox (mbox file, Maildir, .eml file or directory, or "emailctl"), resuming where the last run stopped')
+  .option('--type <type>', 'Source type: mbox, maildir, eml or emailctl (default: detected)')
+  .option('-c, --concurrency <n>', 'Messages classified at once (default: classifier.batch.concurrency)')
+  .option('-n, --limit <n>', 'Classify at most this many messages this run')
+  .option('--redo', 'Classify messages that already have a result again')
+  .option('--write-back', 'Also write the labels into the emailctl database (classifier_labels)')
+  .option('--history', 'Record the classifications for classify correct (default: classifier.history)')
+  .option('--report', 'Only print the report of earlier runs')
+  .option('--json', 'Output as JSON')
+  .action(async (source, options, command) => {
+    const { runBatch, batchReport } = require('./packages/classifier/batch');
+    // --taxonomy belongs to classify, which parses it
+    const { taxonomy } = command.optsWithGlobals();
+    try {
+      let run = null;
+      if (!options.report) {
+        const controller = new AbortController();
+        const stop = () => {
+          if (!options.json) console.log('\nStopping after the messages in progress (run again to resume)...');
+          controller.abort();
+        };
+        process.once('SIGINT', stop);
+        const tty = process.stdout.isTTY && !options.json;
+        try {
+          run = await runBatch(source, {
+            type: options.type,
+            concurrency: options.concurrency ? Number(options.concurrency) : undefined,
+            limit: options.limit ? Number(options.limit) : undefined,
+            redo: !!options.redo,
+            writeBack: !!options.writeBack,
+            record: options.history ? true : undefined,
+            taxonomy,
+            signal: controller.signal,
+            onProgress: tty
+              ? (counts) => process.stdout.write(`\r  ${counts.classified} classified, ${counts.skipped} skipped, ${counts.failed} failed`)
+              : undefined,
+          });
+        } finally {
+          process.removeListener('SIGINT', stop);
+          if (tty) process.stdout.write('\n');
+        }
+      }
+      const report = batchReport(source, { type: options.type, taxonomy });
+      if (options.json) return console.log(JSON.stringify({ run, report }, null, 2));
+      if (run) console.log(`\n✓ Run ${run.runId} ${run.status}: ${run.classified} classified, ${run.skipped} already done, ${run.failed} failed`);
+      printBatchReport(report);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const classifyTaxonomyCmd = classifyCmd
+  .command('taxonomy')
+  .description('Category taxonomies (classifier.taxonomy selects one)');
+
+classifyTaxonomyCmd
+  .command('list')
+  .description('List taxonomies')
+  .action(() => {
+    const config = require('./shared/config');
+    const { taxonomies, getTaxonomy } = require('./packages/classifier/taxonomy');
+    try {
+      console.log('');
+      for (const name of Object.keys(taxonomies())) {
+        const taxonomy = getTaxonomy(name);
+        const active = name === config.classifier.taxonomy ? ' (active)' : '';
+        console.log(`  ${name.padEnd(12)} ${String(taxonomy.categories.length).padStart(3)} categories${active}  ${taxonomy.description}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+classifyTaxonomyCmd
+  .command('show [name]')
+  .description('Show a taxonomy as a tree (default: the active one)')
+  .option('--json', 'Output as JSON')
+  .action((name, options) => {
+    const { getTaxonomy } = require('./packages/classifier/taxonomy');
+    try {
+      const taxonomy = getTaxonomy(name);
+      if (options.json) return console.log(JSON.stringify(taxonomy, null, 2));
+      console.log(`\n${taxonomy.name}${taxonomy.description ? ` — ${taxonomy.description}` : ''}\n`);
+      for (const label of taxonomy.categories) {
+        const depth = label.split('/').length - 1;
+        console.log(`  ${'  '.repeat(depth)}${label.split('/').pop()}${depth > 0 ? `  (${label})` : ''}`);
+      }
+      const aliases = Object.entries(taxonomy.aliases);
+      if (aliases.length > 0) console.log(`\n  Aliases: ${aliases.map(([from, to]) => `${from} → ${to}`).join(', ')}`);
+      console.log('');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+classifyTaxonomyCmd
+  .command('migrate <name>')
+  .description('Switch to another taxonomy, rewriting rule categories and example labels into it')
+  .option('--dry-run', 'Show what would change without writing anything')
+  .action((name, options) => {
+    const config = require('./shared/config');
+    const { getTaxonomy } = require('./packages/classifier/taxonomy');
+    const { migrateRules } = require('./packages/classifier/rule-store');
+    const { migrateExamples } = require('./packages/classifier/examples');
+    try {
+      const target = getTaxonomy(name);
+      const dryRun = !!options.dryRun;
+      const rules = migrateRules(target, { dryRun });
+      const examples = migrateExamples(target, { dryRun });
+
+      console.log(`\n${dryRun ? 'Would migrate' : 'Migrated'} to taxonomy "${target.name}":`);
+      console.log(`  Rules:    ${rules.changed.length} changed${rules.changed.length ? ` (${rules.changed.map(c => `${c.id}: ${c.from} → ${c.to}`).join(', ')})` : ''}`);
+      console.log(`  Examples: ${examples.changed.length} changed`);
+      const unknown = [...new Set([...rules.unknown, ...examples.unknown])];
+      if (unknown.length > 0) console.log(`  Not in "${target.name}" (kept as they are): ${unknown.join(', ')}`);
+
+      if (!dryRun && config.classifier.taxonomy !== target.name) {
+        config.setOverrides({ classifier: { taxonomy: target.name } });
+        console.log(`  classifier.taxonomy = "${target.name}"`);
+      }
+      console.log(dryRun ? '\nRun without --dry-run to apply.\n' : '\nRecorded history keeps the labels it was given.\n');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const classifyRulesCmd = classifyCmd
+  .command('rules')
+  .description('Manage the classifier rules (tried by priority, first match wins)');
+
+classifyRulesCmd
+  .command('list')
+  .description('List rules in the order they are tried')
+  .option('--json', 'Print the stored rules as JSON')
+  .action((options) => {
+    const { listRules, rulesPath } = require('./packages/classifier/rule-store');
+    const { existsSync } = require('fs');
+    try {
+      const rules = listRules();
+      if (options.json) return console.log(JSON.stringify(rules, null, 2));
+      const path = rulesPath();
+      console.log(`\n${rules.length} rule(s) from ${existsSync(path) ? path : `built-in defaults (saved to ${path} on first edit)`}\n`);
+      const sorted = [...rules].sort((a, b) => b.priority - a.priority);
+      for (const rule of sorted) {
+        console.log(`  ${String(rule.priority).padStart(4)}  ${rule.id.padEnd(16)} → ${rule.category}${rule.enabled ? '' : '  (disabled)'}`);
+        if (rule.description) console.log(`        ${rule.description}`);
+        console.log(`        when ${rule.when}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+classifyRulesCmd
+  .command('add <category> <condition>')
+  .description('Add a rule, e.g. add bills \'from contains "@acme.com" and has attachment\'')
+  .option('--id <id>', 'Rule id (default: from the category)')
+  .option('-p, --priority <n>', 'Higher is tried first (built-in rules use 10-120)', '100')
+  .option('-d, --description <text>', 'What the rule is for')
+  .option('--disabled', 'Store it without enabling it')
+  .action((category, condition, options) => {
+    const { addRule } = require('./packages/classifier/rule-store');
+    try {
+      const rule = addRule({
+        id: options.id,
+        category,
+        when: condition,
+        priority: Number(options.priority),
+        enabled: !options.disabled,
+        ...(options.description ? { description: options.description } : {}),
+      });
+      console.log(`✓ Added rule "${rule.id}" → ${rule.category} (priority ${rule.priority})`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+classifyRulesCmd
+  .command('remove <id>')
+  .description('Delete a rule')
+  .action((id) => {
+    const { removeRule } = require('./packages/classifier/rule-store');
+    try {
+      const rule = removeRule(id);
+      console.log(`✓ Removed rule "${rule.id}" (${rule.category})`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+emailOptions(classifyRulesCmd
+  .command('test <condition>')
+  .description('Check a condition (or a rule id) against an email without saving anything'))
+  .action((condition, _options, command) => {
+    const { parseCondition, explainCondition } = require('./packages/classifier/rule-dsl');
+    const { listRules } = require('./packages/classifier/rule-store');
+    try {
+      const stored = listRules().find(rule => rule.id === condition);
+      const explanation = explainCondition(parseCondition(stored ? stored.when : condition), emailFromOptions(command.optsWithGlobals()));
+      console.log(`\n${explanation.result ? '✓ Matches' : '✗ No match'}${stored ? ` (rule ${stored.id} → ${stored.category})` : ''}\n`);
+      printExplanation(explanation);
+      console.log('');
+      if (!explanation.result) process.exitCode = 1;
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(2);
+    }
+  });
+
+emailOptions(classifyRulesCmd
+  .command('explain')
+  .description('Show which rule decides the category for an email, and why each rule before it did not'))
+  .option('--all', 'Also show the rules after the one that fired')
+  .action((options, command) => {
+    const { explainRules } = require('./packages/classifier/rules');
+    try {
+      const { match, matches, rules } = explainRules(emailFromOptions(command.optsWithGlobals()));
+      const shown = options.all || !match ? rules : rules.slice(0, rules.findIndex(r => r.id === match.rule) + 1);
+      console.log('');
+      for (const rule of shown) {
+        console.log(`  ${rule.result ? '✓' : '✗'} ${rule.id} → ${rule.category} (priority ${rule.priority})`);
+        printExplanation(rule.explanation);
+      }
+      const also = matches.slice(1).map(m => `${m.category} (rule ${m.rule})`);
+      console.log(match
+        ? `\n→ ${match.category} (rule ${match.rule})${also.length > 0 ? `\n  also labeled: ${also.join(', ')}` : ''}\n`
+        : '\n→ No rule matched: classify falls back to the LLM\n');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Triage
 program
   .command('triage <text>')
@@ -164,7 +635,8 @@ program
       const results = await search(query, dbPath, parseInt(options.topK));
       console.log('\nResults:\n');
       for (const result of results) {
-        console.log(`[${result.score.toFixed(3)}] ${result.file}:${result.startLine}-${result.endLine}`);
+        const section = result.section ? `  § ${result.section}` : '';
+        console.log(`[${result.score.toFixed(3)}] ${result.file}:${result.startLine}-${result.endLine}${section}`);
         console.log(`  ${result.text.slice(0, 200).replace(/\n/g, ' ')}...`);
         console.log();
       }
@@ -176,18 +648,26 @@ program
 
 program
   .command('reindex')
-  .description('Rebuild search index')
+  .description('Update search index (only changed files are re-embedded)')
   .option('-s, --source <path>', 'Source directory')
   .option('-d, --db <path>', 'Database path')
+  .option('--full', 'Ignore the file manifest and re-chunk every file', false)
+  .option('-w, --watch', 'Keep running and reindex files as they change', false)
   .action(async (options) => {
-    const { indexDirectory } = require('./packages/search/indexer');
+    const { indexDirectory, watchDirectory } = require('./packages/search/indexer');
     const config = require('./shared/config');
     const { homedir } = require('os');
     const { join } = require('path');
     const source = options.source || config.paths.memoryDir;
     const dbPath = options.db || join(homedir(), 'clawd/scripts/memory.db');
     try {
-      await indexDirectory(source, dbPath);
+      await indexDirectory(source, dbPath, { full: options.full });
+      if (options.watch) {
+        const watcher = watchDirectory(source, dbPath);
+        const stop = () => watcher.close().then(() => process.exit(0));
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+      }
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -249,8 +729,14 @@ chat
         console.log('✓ Cleared');
       }
 
-      console.log('\nRe-ingesting with Tier 2 content filters...');
-      console.log('  Filters: assistant-only, length>100 chars, no tools, ANSI stripped\n');
+      const { chunkingStrategy } = require('./packages/chat-ingest/chunking');
+      if (chunkingStrategy('chat') === 'turns') {
+        console.log('\nRe-ingesting with turn-aware chunking...');
+        console.log('  Questions kept with answers, split on topic shifts, no tools, ANSI stripped\n');
+      } else {
+        console.log('\nRe-ingesting with Tier 2 content filters...');
+        console.log('  Filters: assistant-only, length>100 chars, no tools, ANSI stripped\n');
+      }
       const total = await ingestAll(options.db, options.sessions);
       console.log(`\n✓ Done: ${total} chunks ingested\n`);
     } catch (error) {
@@ -283,32 +769,75 @@ chat
 
 chat
   .command('watch')
-  .description('Watch for new chat messages and ingest continuously')
+  .description('Run the ingestion daemon: transcripts and memory files are ingested as they change')
   .option('-d, --db <path>', 'Database path')
   .option('-s, --sessions <path>', 'Sessions directory')
+  .option('-m, --memory <path>', 'Memory directory (default: config.paths.memoryDir)')
+  .option('--no-memory', 'Only watch transcripts')
+  .option('-p, --port <port>', 'Status endpoint port (default: config.watcher.status.port)', parseInt)
   .action((options) => {
     const { startWatcher } = require('./packages/chat-ingest/watcher');
-    startWatcher(options.db, options.sessions);
+    startWatcher(options.db, options.sessions, { memoryDir: options.memory, port: options.port });
+  });
+
+chat
+  .command('import <path>')
+  .description('Import a chat export (Slack, Discord, WhatsApp, Signal, mbox); only new messages are embedded')
+  .option('-f, --format <name>', 'Export format: slack|discord|whatsapp|signal|mbox (default: detect)')
+  .option('-d, --db <path>', 'Database path')
+  .option('--self <names>', 'Comma-separated names/ids/addresses that are you (default: config.externalChats.self)')
+  .option('--date-order <order>', 'WhatsApp date order when ambiguous: dmy|mdy', 'dmy')
+  .action(async (path, options) => {
+    const { importExport } = require('./packages/chat-ingest/external');
+    try {
+      const result = await importExport(path, {
+        format: options.format,
+        dbPath: options.db,
+        self: options.self ? options.self.split(',').map(s => s.trim()) : undefined,
+        dateOrder: options.dateOrder,
+      });
+      console.log(`\n✓ ${result.platform}: ${result.messages} messages, ${result.new} new, ${result.chunks} chunks added\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
   });
 
 chat
   .command('search-all <query>')
-  .description('Unified search: memory + chat sessions + Telegram')
+  .description('Unified search: memory + chat sessions + Telegram + imported chats')
   .option('-k, --top-k <number>', 'Number of results', '10')
-  .option('-s, --sources <list>', 'Comma-separated sources: memory,chat,telegram', 'memory,chat,telegram')
+  .option('-s, --sources <list>', 'Comma-separated sources: memory,chat,telegram,slack,discord,whatsapp,signal,mbox (default: all)')
+  .option('-m, --mode <mode>', 'Ranking mode: vector|keyword|hybrid')
+  .option('--since <time>', 'Only chunks from after this time (ISO date, or e.g. 7d, "last 2 weeks")')
+  .option('--until <time>', 'Only chunks from before this time')
+  .option('--file <glob>', 'Only memory chunks whose file matches this glob')
+  .option('--session <id>', 'Only chat chunks from this session (id or prefix)')
+  .option('--min-length <chars>', 'Minimum chunk length')
+  .option('--max-length <chars>', 'Maximum chunk length')
   .action(async (query, options) => {
     const { unifiedSearch } = require('./packages/chat-ingest/unified-search');
     try {
       const results = await unifiedSearch(query, {
         topK: parseInt(options.topK),
-        sources: options.sources.split(','),
+        sources: options.sources ? options.sources.split(',') : undefined,
+        mode: options.mode,
+        filter: {
+          since: options.since,
+          until: options.until,
+          file: options.file,
+          sessionId: options.session,
+          minLength: options.minLength,
+          maxLength: options.maxLength,
+        },
       });
 
-      console.log(`\n🔍 Unified search: "${query}" (${results.length} results)\n`);
+      console.log(`\n🔍 Unified search: "${query}" (${results.length} results${options.mode ? `, ${options.mode}` : ''})\n`);
       for (const r of results) {
         const tag = r.source === 'memory' ? `📝 ${r.meta.file}:${r.meta.startLine}`
           : r.source === 'chat' ? `💬 session:${r.meta.sessionId?.slice(0, 8)} ${r.meta.startTs ? new Date(r.meta.startTs).toLocaleString() : ''}`
-          : `📱 telegram ${r.meta.startTs ? new Date(r.meta.startTs).toLocaleString() : ''}`;
+          : r.source === 'telegram' ? `📱 telegram ${r.meta.startTs ? new Date(r.meta.startTs).toLocaleString() : ''}`
+          : `🗨️  ${r.source} ${r.meta.thread || ''} ${r.meta.startTs ? new Date(r.meta.startTs).toLocaleString() : ''}`;
         console.log(`[${r.score.toFixed(3)}] ${tag}`);
         console.log(`  ${r.text.slice(0, 200).replace(/\n/g, ' | ')}...`);
         console.log();
@@ -346,6 +875,17 @@ chat
     console.log(`  Total chunks:     ${chunkCount.count}`);
     console.log(`  Last update:      ${lastUpdate.ts || 'never'}`);
     console.log(`  Database:         ${dbPath}`);
+
+    const hasExternal = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='external_chunks'").get();
+    if (hasExternal) {
+      const platforms = db.prepare(`
+        SELECT platform, COUNT(*) AS chunks, COUNT(DISTINCT thread) AS threads, MAX(end_ts) AS latest
+        FROM external_chunks GROUP BY platform ORDER BY platform
+      `).all();
+      for (const p of platforms) {
+        console.log(`  ${`${p.platform}:`.padEnd(17)} ${p.chunks} chunks, ${p.threads} threads, latest ${p.latest || 'unknown'}`);
+      }
+    }
     console.log();
 
     db.close();
@@ -364,7 +904,7 @@ program
     try {
       const result = await prefetchContext(query, {
         topK: parseInt(options.topK),
-        sources: options.sources.split(','),
+        sources: options.sources ? options.sources.split(',') : undefined,
         includeGrep: options.includeGrep,
       });
 
@@ -380,6 +920,61 @@ program
     }
   });
 
+// Forget
+program
+  .command('forget')
+  .description('Delete matching chunks and their embeddings from every index (audited)')
+  .option('-s, --sources <list>', 'Comma-separated sources: memory,chat,telegram,slack,discord,whatsapp,signal,mbox (default: all)')
+  .option('--id <ids>', 'Comma-separated chunk ids (needs a single --sources)')
+  .option('--file <glob>', 'Chunks whose file (memory file, transcript or export) matches this glob')
+  .option('--session <id>', 'Chat session or imported thread (id or prefix)')
+  .option('--since <time>', 'Chunks from after this time (ISO date, or e.g. 7d, "last 2 weeks")')
+  .option('--until <time>', 'Chunks from before this time')
+  .option('--match <text>', 'Chunks containing this text (case-insensitive)')
+  .option('-n, --dry-run', 'List matching chunks without deleting them', false)
+  .option('-y, --yes', 'Confirm deletion (REQUIRED unless --dry-run)')
+  .action((options) => {
+    const { forget } = require('./packages/chat-ingest/forget');
+    const selector = {
+      id: options.id,
+      file: options.file,
+      session: options.session,
+      since: options.since,
+      until: options.until,
+      match: options.match,
+    };
+    const sources = options.sources ? options.sources.split(',').map(s => s.trim()) : undefined;
+
+    try {
+      // Always show what matches before anything is deleted
+      const preview = forget(selector, { sources, dryRun: true });
+      for (const c of preview.chunks) {
+        console.log(`  ${c.source}#${c.id}  ${c.location}${c.startTs ? `  ${new Date(c.startTs).toLocaleString()}` : ''}`);
+        console.log(`    ${c.preview}`);
+      }
+      const counts = Object.entries(preview.bySource).map(([s, n]) => `${s}: ${n}`).join(', ');
+      console.log(`\n${preview.chunks.length} matching chunks${counts ? ` (${counts})` : ''}`);
+
+      if (options.dryRun || preview.chunks.length === 0) return;
+      if (!options.yes) {
+        console.error('\n⚠️  Forget requires --yes flag to confirm deletion.\n');
+        console.error('The chunks above, their embeddings and cached vectors will be DELETED.\n');
+        process.exit(1);
+      }
+
+      const result = forget(selector, { sources, actor: 'cli' });
+      console.log(`\n✓ Forgot ${result.forgotten} chunks (recorded in forget_audit)\n`);
+      if (result.memoryFilesOnDisk.length > 0) {
+        console.log('These memory files still exist and will be re-indexed when they change:');
+        for (const file of result.memoryFilesOnDisk) console.log(`  ${file}`);
+        console.log();
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Pipelines
 const pipeline = program
   .command('pipeline')
@@ -392,7 +987,9 @@ pipeline
   .option('--subject <subject>', 'Email subject', '')
   .option('--body <body>', 'Email body', '')
   .option('--labels <labels>', 'Comma-separated labels', '')
+  .option('--eml <file>', 'Raw message (.eml, "-" for stdin) instead of --from/--subject/--body')
   .option('--threshold <number>', 'Urgency notification threshold (1-5)', '4')
+  .option('--taxonomy <name>', 'Classifier taxonomy (default: classifier.taxonomy)')
   .action(async (options) => {
     const { handleEmailTriage } = require('./packages/pipelines/cli');
     try {
@@ -544,4 +1141,151 @@ program
     start(parseInt(options.port));
   });
 
+// Config
+const configCmd = program
+  .command('config')
+  .description('Inspect and change settings (defaults ← config.local.json ← LOCALLLM_* env vars)');
+
+configCmd
+  .command('validate')
+  .description('Check config.local.json and LOCALLLM_* env vars against the schema')
+  .action(() => {
+    const config = require('./shared/config');
+    const { errors, warnings } = config.check();
+    const where = (issue) => `${issue.source}${issue.path ? ` ${issue.path}` : ''}`;
+    for (const issue of errors) console.error(`  ✗ ${where(issue)}: ${issue.message}`);
+    for (const issue of warnings) console.error(`  ⚠ ${where(issue)}: ${issue.message}`);
+    if (errors.length > 0) {
+      console.error(`\n${errors.length} invalid setting(s) — the defaults are used for them\n`);
+      process.exit(1);
+    }
+    console.log(`\n✓ Config valid${warnings.length ? ` (${warnings.length} warning${warnings.length > 1 ? 's' : ''})` : ''}: ${config._overridesPath}\n`);
+  });
+
+configCmd
+  .command('get [path]')
+  .description('Print the effective value of a setting, e.g. contextPipeline.rag.topK (default: everything)')
+  .action((path) => {
+    const config = require('./shared/config');
+    const { schemaAt } = require('./shared/config-schema');
+    let value = config;
+    if (path) {
+      if (!schemaAt(path)) {
+        console.error(`Error: Unknown setting "${path}"`);
+        process.exit(1);
+      }
+      value = path.split('.').reduce((node, key) => node?.[key], config);
+    }
+    console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  });
+
+configCmd
+  .command('set <path> <value>')
+  .description('Validate and save a setting to config.local.json (running services reload it)')
+  .action((path, raw) => {
+    const config = require('./shared/config');
+    const { schemaAt, parseSetting, envName } = require('./shared/config-schema');
+    const node = schemaAt(path);
+    if (!node) {
+      console.error(`Error: Unknown setting "${path}"`);
+      process.exit(1);
+    }
+    // Parsed like env vars: numbers, true/false, "null", JSON or comma lists for arrays
+    const value = parseSetting(raw, node);
+    if (value === undefined) {
+      console.error(`Error: Can't parse "${raw}" for ${path}`);
+      process.exit(1);
+    }
+    const patch = {};
+    const keys = path.split('.');
+    keys.slice(0, -1).reduce((node, key) => (node[key] = {}), patch)[keys[keys.length - 1]] = value;
+
+    try {
+      const { changed } = config.setOverrides(patch);
+      const scope = config.profile === 'default' ? '' : ` [profile ${config.profile}]`;
+      console.log(changed.length > 0 ? `✓ ${path} = ${JSON.stringify(value)}${scope}` : `✓ ${path} unchanged (${JSON.stringify(value)})${scope}`);
+      if (process.env[envName(path)] !== undefined) {
+        console.log(`  Note: ${envName(path)} is set and takes precedence`);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Profiles
+const profileCmd = program
+  .command('profile')
+  .description('Named config profiles (profiles.<name> in config.local.json), selected with --profile');
+
+profileCmd
+  .command('list')
+  .description('List profiles and what each overrides')
+  .action(() => {
+    const config = require('./shared/config');
+    for (const { name, active, overrides } of config.listProfiles()) {
+      const sections = Object.keys(overrides);
+      console.log(`${active ? '*' : ' '} ${name.padEnd(16)} ${overrides.paths?.chatDb || config._defaults.paths.chatDb}`);
+      console.log(`    overrides: ${sections.length > 0 ? sections.join(', ') : '(none)'}`);
+    }
+  });
+
+profileCmd
+  .command('init <name>')
+  .description('Create a sandboxed profile with its own, empty databases and directories')
+  .option('-d, --dir <path>', 'Data directory (default: ~/.localllm/profiles/<name>)')
+  .action((name, options) => {
+    const { join, resolve } = require('path');
+    const { homedir } = require('os');
+    const { mkdirSync, existsSync } = require('fs');
+    const config = require('./shared/config');
+
+    if (name === 'default') {
+      console.error('Error: "default" is the unsandboxed profile; pick another name');
+      process.exit(1);
+    }
+    const existing = config.listProfiles().find(p => p.name === name);
+    const dir = resolve(options.dir || join(homedir(), '.localllm', 'profiles', name));
+    // Paths the profile already sets are kept; the rest go under its data directory
+    const paths = {
+      memoryDir: join(dir, 'memory'),
+      sessionsDir: join(dir, 'sessions'),
+      searchDb: join(dir, 'memory.db'),
+      chatDb: join(dir, 'chat-memory.db'),
+      emailDb: join(dir, 'emails.db'),
+      classifierRules: join(dir, 'classifier-rules.json'),
+      classifierDb: join(dir, 'classifier.db'),
+      ...existing?.overrides.paths,
+    };
+
+    try {
+      config.setOverrides({ paths }, { profile: name });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+
+    for (const path of [paths.memoryDir, paths.sessionsDir]) mkdirSync(path, { recursive: true });
+    for (const path of [paths.searchDb, paths.chatDb]) mkdirSync(join(path, '..'), { recursive: true });
+    const created = [paths.searchDb, paths.chatDb].filter(path => !existsSync(path));
+
+    // Same schema setup as the first ingest (CREATE IF NOT EXISTS: existing data is untouched)
+    require('./packages/search/indexer').initDb(paths.searchDb).close();
+    const chatDb = require('./packages/chat-ingest/ingest').initDb(paths.chatDb);
+    require('./packages/chat-ingest/telegram').ensureTelegramSchema(chatDb);
+    require('./packages/chat-ingest/external').ensureExternalSchema(chatDb);
+    chatDb.close();
+
+    console.log(`\n✓ Profile "${name}" ${existing ? 'updated' : 'created'}`);
+    for (const [key, path] of Object.entries(paths)) {
+      const note = created.includes(path) ? ' (new)'
+        : key === 'emailDb' ? ' (emailctl database, not created)'
+        : key === 'classifierRules' && !existsSync(path) ? ' (built-in rules until edited)'
+        : key === 'classifierDb' && !existsSync(path) ? ' (created on first classification)' : '';
+      console.log(`  ${key.padEnd(15)} ${path}${note}`);
+    }
+    console.log(`\nUse it with: localllm --profile ${name} <command>  (or LOCALLLM_PROFILE=${name})`);
+    console.log(`Change its settings with: localllm --profile ${name} config set <path> <value>\n`);
+  });
+
 program.parse();
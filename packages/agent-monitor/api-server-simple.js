@@ -9,6 +9,8 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const { WebSocketServer } = require('ws');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'api' });
+const wsLogger = logger.child({ component: 'websocket' });
 
 /**
  * Create API server with WebSocket support
@@ -25,7 +27,7 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
   app.use(cors());
   app.use(express.json());
   app.use((req, res, next) => {
-    console.log(`[API] ${req.method} ${req.path}`);
+    logger.info(`${req.method} ${req.path}`);
     next();
   });
 
@@ -49,7 +51,7 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
       const agents = monitor.getAllStates();
       res.json({ agents, count: agents.length });
     } catch (err) {
-      console.error('[API] Error:', err);
+      logger.error('Error:', err);
       res.status(500).json({ error: err.message });
     }
   });
@@ -167,13 +169,13 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
 
   // 404 handler
   app.use((req, res) => {
-    console.log('[API] 404:', req.method, req.path);
+    logger.info('404:', req.method, req.path);
     res.status(404).json({ error: 'Not found', path: req.path });
   });
 
   // Error handler
   app.use((err, req, res, next) => {
-    console.error('[API] Error:', err);
+    logger.error('Error:', err);
     res.status(500).json({ error: err.message });
   });
 
@@ -183,7 +185,7 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
 
   wss.on('connection', (ws, req) => {
     const clientId = `${req.socket.remoteAddress}:${Date.now()}`;
-    console.log(`[WS] Client connected: ${clientId}`);
+    wsLogger.info(`Client connected: ${clientId}`);
 
     clients.add(ws);
 
@@ -199,7 +201,7 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data);
-        console.log(`[WS] Received from ${clientId}:`, message.type);
+        wsLogger.info(`Received from ${clientId}:`, message.type);
 
         // Handle ping/pong
         if (message.type === 'ping') {
@@ -209,21 +211,21 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
         // Handle subscribe (for future filtering)
         if (message.type === 'subscribe') {
           ws.subscribedSessions = message.sessions || [];
-          console.log(`[WS] ${clientId} subscribed to:`, ws.subscribedSessions);
+          wsLogger.info(`${clientId} subscribed to:`, ws.subscribedSessions);
         }
       } catch (err) {
-        console.error(`[WS] Error parsing message:`, err);
+        wsLogger.error(`Error parsing message:`, err);
       }
     });
 
     // Handle disconnect
     ws.on('close', () => {
-      console.log(`[WS] Client disconnected: ${clientId}`);
+      wsLogger.info(`Client disconnected: ${clientId}`);
       clients.delete(ws);
     });
 
     ws.on('error', (err) => {
-      console.error(`[WS] Client error ${clientId}:`, err);
+      wsLogger.error(`Client error ${clientId}:`, err);
       clients.delete(ws);
     });
   });
@@ -250,7 +252,7 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
     });
 
     if (sent > 0) {
-      console.log(`[WS] Broadcast ${event.event || event.type} to ${sent} clients`);
+      wsLogger.info(`Broadcast ${event.event || event.type} to ${sent} clients`);
     }
   }
 
@@ -266,9 +268,9 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
       receivedAt: Date.now()
     });
   }).then(() => {
-    console.log('[WS] Subscribed to Redis events');
+    wsLogger.info('Subscribed to Redis events');
   }).catch((err) => {
-    console.error('[WS] Failed to subscribe to Redis:', err);
+    wsLogger.error('Failed to subscribe to Redis:', err);
   });
 
   // ============================================
@@ -284,8 +286,8 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
   // Override listen to use our HTTP server
   app.startServer = (listenPort, host, callback) => {
     return server.listen(listenPort, host, () => {
-      console.log(`[API] HTTP server listening on http://${host}:${listenPort}`);
-      console.log(`[WS] WebSocket server listening on ws://${host}:${listenPort}`);
+      logger.info(`HTTP server listening on http://${host}:${listenPort}`);
+      wsLogger.info(`WebSocket server listening on ws://${host}:${listenPort}`);
       if (callback) callback();
     });
   };
@@ -296,12 +298,12 @@ function createAPIServer(monitor, eventBus, commandQueue, port = 3848) {
       const routes = app._router.stack
         .filter(r => r.route)
         .map(r => r.route.path);
-      console.log('[API] Routes registered:', routes);
+      logger.info('Routes registered:', routes);
     } else {
-      console.log('[API] Server initialized (routes registered)');
+      logger.info('Server initialized (routes registered)');
     }
   } catch (err) {
-    console.log('[API] Server initialized');
+    logger.info('Server initialized');
   }
 
   return app;
@@ -7,6 +7,7 @@
 
 const express = require('express');
 const cors = require('cors');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'api' });
 
 class APIServer {
   constructor(monitor, eventBus, commandQueue, port = 3848) {
@@ -27,21 +28,21 @@ class APIServer {
     
     // Request logging
     this.app.use((req, res, next) => {
-      console.log(`[API] ${req.method} ${req.path}`);
+      logger.info(`${req.method} ${req.path}`);
       next();
     });
   }
   
   setupRoutes() {
-    console.log('[API] Setting up routes...');
+    logger.info('Setting up routes...');
     
     // Health check
     this.app.get('/health', (req, res) => {
-      console.log('[API] Health check called');
+      logger.info('Health check called');
       res.json({ status: 'ok', timestamp: Date.now() });
     });
     
-    console.log('[API] Routes registered:', this.app._router.stack.filter(r => r.route).map(r => r.route.path));
+    logger.info('Routes registered:', this.app._router.stack.filter(r => r.route).map(r => r.route.path));
     
     // Get all agents
     this.app.get('/api/agents', (req, res) => {
@@ -223,7 +224,7 @@ class APIServer {
   start() {
     return new Promise((resolve) => {
       this.server = this.app.listen(this.port, '0.0.0.0', () => {
-        console.log(`[API] Server listening on http://0.0.0.0:${this.port}`);
+        logger.info(`Server listening on http://0.0.0.0:${this.port}`);
         resolve();
       });
     });
@@ -233,7 +234,7 @@ class APIServer {
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
-          console.log('[API] Server stopped');
+          logger.info('Server stopped');
           resolve();
         });
       } else {
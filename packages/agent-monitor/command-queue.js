@@ -10,6 +10,7 @@ const Redis = require('ioredis');
 const Database = require('better-sqlite3');
 const { join } = require('path');
 const { existsSync, mkdirSync } = require('fs');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'command-queue' });
 
 class CommandQueueProcessor {
   constructor(monitor, eventBus, dbPath = null) {
@@ -27,7 +28,7 @@ class CommandQueueProcessor {
     // Create BullMQ worker
     this.worker = null;
     
-    console.log('[CommandQueue] Initialized with database:', this.dbPath);
+    logger.info('Initialized with database:', this.dbPath);
   }
   
   initDatabase() {
@@ -70,14 +71,14 @@ class CommandQueueProcessor {
     });
     
     this.worker.on('completed', (job) => {
-      console.log(`[CommandQueue] Command completed: ${job.id}`);
+      logger.info(`Command completed: ${job.id}`);
     });
     
     this.worker.on('failed', (job, err) => {
-      console.error(`[CommandQueue] Command failed: ${job.id}`, err.message);
+      logger.error(`Command failed: ${job.id}`, err.message);
     });
     
-    console.log('[CommandQueue] Worker started, processing commands from BullMQ');
+    logger.info('Worker started, processing commands from BullMQ');
   }
   
   /**
@@ -87,7 +88,7 @@ class CommandQueueProcessor {
     const { session, command, source } = job.data;
     const jobId = job.id;
     
-    console.log(`[CommandQueue] Processing command ${jobId} for ${session}: ${command.slice(0, 50)}`);
+    logger.info(`Processing command ${jobId} for ${session}: ${command.slice(0, 50)}`);
     
     // Log to database
     this.logCommand(jobId, session, command, source, 'processing');
@@ -191,7 +192,7 @@ class CommandQueueProcessor {
   async stop() {
     if (this.worker) {
       await this.worker.close();
-      console.log('[CommandQueue] Worker stopped');
+      logger.info('Worker stopped');
     }
     
     this.db.close();
@@ -10,6 +10,7 @@ const AgentMonitorV2 = require('./monitor-v2');
 const EventBus = require('./event-bus');
 const CommandQueueProcessor = require('./command-queue');
 const { createAPIServer } = require('./api-server-simple');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'daemon' });
 
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const API_PORT = parseInt(process.env.API_PORT || '3848');
@@ -38,25 +39,25 @@ class AgentMonitorDaemon {
     
     try {
       // 1. Initialize Event Bus (Redis/BullMQ)
-      console.log('[Daemon] Initializing Event Bus...');
+      logger.info('Initializing Event Bus...');
       this.eventBus = new EventBus(REDIS_URL);
       
       // 2. Initialize Monitor (Control Mode)
-      console.log('[Daemon] Initializing Agent Monitor (Control Mode)...');
+      logger.info('Initializing Agent Monitor (Control Mode)...');
       this.monitor = new AgentMonitorV2(this.eventBus);
       
       // 3. Initialize Command Queue Processor
-      console.log('[Daemon] Initializing Command Queue Processor...');
+      logger.info('Initializing Command Queue Processor...');
       this.commandQueue = new CommandQueueProcessor(this.monitor, this.eventBus);
       this.commandQueue.start();
       
       // 4. Initialize API Server (with WebSocket)
-      console.log('[Daemon] Starting API Server with WebSocket...');
+      logger.info('Starting API Server with WebSocket...');
       this.apiApp = createAPIServer(this.monitor, this.eventBus, this.commandQueue, API_PORT);
       this.apiServer = this.apiApp.startServer(API_PORT, '0.0.0.0');
       
       // 5. Start monitoring sessions
-      console.log(`[Daemon] Monitoring ${this.sessions.length} sessions...`);
+      logger.info(`Monitoring ${this.sessions.length} sessions...`);
       await this.monitor.start(this.sessions);
       
       console.log('\n✅ Agent Monitor Daemon started successfully!\n');
@@ -71,61 +72,59 @@ class AgentMonitorDaemon {
       });
       
     } catch (err) {
-      console.error('❌ Failed to start daemon:', err);
+      logger.error('Failed to start daemon:', err);
       process.exit(1);
     }
   }
   
   logEvent(event) {
-    const timestamp = new Date(event.timestamp).toLocaleTimeString();
-    
     switch (event.event) {
       case 'state_change':
-        console.log(`[${timestamp}] ${event.session}: ${event.prevState} → ${event.state} (${event.progress}%)`);
+        logger.info(`${event.session}: ${event.prevState} → ${event.state} (${event.progress}%)`);
         break;
       
       case 'progress':
         if (event.progress % 10 === 0) { // Log every 10%
-          console.log(`[${timestamp}] ${event.session}: ${event.progress}% (files: ${event.indicators.filesWritten})`);
+          logger.info(`${event.session}: ${event.progress}% (files: ${event.indicators.filesWritten})`);
         }
         break;
       
       case 'agent_stuck':
-        console.log(`[${timestamp}] ⚠️  ${event.session} STUCK (idle ${Math.round(event.idleTime)}s)`);
+        logger.warn(`${event.session} STUCK (idle ${Math.round(event.idleTime)}s)`);
         break;
       
       case 'agent_error':
-        console.log(`[${timestamp}] ❌ ${event.session} ERROR`);
+        logger.error(`${event.session} ERROR`);
         break;
       
       case 'agent_complete':
-        console.log(`[${timestamp}] ✅ ${event.session} COMPLETE`);
+        logger.info(`${event.session} COMPLETE`);
         break;
       
       case 'command_sent':
-        console.log(`[${timestamp}] 📤 ${event.session}: ${event.command.slice(0, 50)}`);
+        logger.info(`${event.session}: sent ${event.command.slice(0, 50)}`);
         break;
       
       case 'command_failed':
-        console.log(`[${timestamp}] ❌ ${event.session} command failed: ${event.error}`);
+        logger.warn(`${event.session} command failed: ${event.error}`);
         break;
     }
   }
   
   async stop() {
-    console.log('\n[Daemon] Shutting down...');
+    logger.info('Shutting down...');
 
     // Close WebSocket connections first
     if (this.apiApp && this.apiApp.wsServer) {
       this.apiApp.wsServer.clients.forEach((ws) => {
         ws.close(1001, 'Server shutting down');
       });
-      console.log('[WS] All WebSocket connections closed');
+      logger.info('All WebSocket connections closed');
     }
 
     if (this.apiServer) {
       this.apiServer.close(() => {
-        console.log('[API] Server stopped');
+        logger.info('API server stopped');
       });
     }
     
@@ -141,7 +140,7 @@ class AgentMonitorDaemon {
       await this.eventBus.close();
     }
     
-    console.log('[Daemon] Stopped');
+    logger.info('Stopped');
     process.exit(0);
   }
 }
@@ -160,7 +159,7 @@ if (require.main === module) {
   
   // Start daemon
   daemon.start().catch((err) => {
-    console.error('Fatal error:', err);
+    logger.error('Fatal error:', err);
     process.exit(1);
   });
 }
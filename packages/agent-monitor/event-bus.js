@@ -7,6 +7,7 @@
 
 const { Queue } = require('bullmq');
 const Redis = require('ioredis');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'event-bus' });
 
 class EventBus {
   constructor(redisUrl = 'redis://localhost:6379') {
@@ -24,7 +25,7 @@ class EventBus {
       }),
     };
     
-    console.log('[EventBus] Connected to Redis:', redisUrl);
+    logger.info('Connected to Redis:', redisUrl);
   }
   
   /**
@@ -46,9 +47,9 @@ class EventBus {
       // Also publish to Redis pub/sub for instant WebSocket broadcast
       await this.redis.publish('agent-events', JSON.stringify(payload));
       
-      console.log(`[EventBus] Published: ${event} for ${data.session || 'unknown'}`);
+      logger.info(`Published: ${event} for ${data.session || 'unknown'}`);
     } catch (err) {
-      console.error('[EventBus] Error publishing event:', err);
+      logger.error('Error publishing event:', err);
     }
   }
   
@@ -74,10 +75,10 @@ class EventBus {
         removeOnComplete: 100,
       });
       
-      console.log(`[EventBus] Command queued: ${command.slice(0, 50)} for ${session}`);
+      logger.info(`Command queued: ${command.slice(0, 50)} for ${session}`);
       return job.id;
     } catch (err) {
-      console.error('[EventBus] Error queueing command:', err);
+      logger.error('Error queueing command:', err);
       throw err;
     }
   }
@@ -95,12 +96,12 @@ class EventBus {
           const event = JSON.parse(message);
           callback(event);
         } catch (err) {
-          console.error('[EventBus] Error parsing event:', err);
+          logger.error('Error parsing event:', err);
         }
       }
     });
     
-    console.log('[EventBus] Subscribed to agent-events channel');
+    logger.info('Subscribed to agent-events channel');
     return subscriber;
   }
   
@@ -112,7 +113,7 @@ class EventBus {
       const completed = await this.queues.events.getCompleted(0, limit - 1);
       return completed.map(job => job.data).reverse();
     } catch (err) {
-      console.error('[EventBus] Error fetching recent events:', err);
+      logger.error('Error fetching recent events:', err);
       return [];
     }
   }
@@ -133,7 +134,7 @@ class EventBus {
       
       return commands;
     } catch (err) {
-      console.error('[EventBus] Error fetching pending commands:', err);
+      logger.error('Error fetching pending commands:', err);
       return [];
     }
   }
@@ -146,7 +147,7 @@ class EventBus {
       const job = await this.queues.commands.getJob(jobId);
       return job ? job.data : null;
     } catch (err) {
-      console.error('[EventBus] Error fetching command:', err);
+      logger.error('Error fetching command:', err);
       return null;
     }
   }
@@ -158,7 +159,7 @@ class EventBus {
     await this.redis.quit();
     await this.queues.events.close();
     await this.queues.commands.close();
-    console.log('[EventBus] Connections closed');
+    logger.info('Connections closed');
   }
 }
 
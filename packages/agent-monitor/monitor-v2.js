@@ -11,6 +11,7 @@ const { join } = require('path');
 const { existsSync, mkdirSync, readFileSync, readdirSync } = require('fs');
 const TmuxControlSession = require('./tmux-control');
 const os = require('os');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'monitor' });
 
 // Agent states
 const AgentState = {
@@ -58,7 +59,7 @@ class AgentMonitorV2 {
     // Stuck detection timer
     this.stuckCheckInterval = null;
     
-    console.log('[AgentMonitor] Initialized (Control Mode)');
+    logger.info('Initialized (Control Mode)');
   }
   
   initDatabase() {
@@ -237,7 +238,7 @@ class AgentMonitorV2 {
    * Start monitoring sessions
    */
   async start(sessionNames = []) {
-    console.log(`[AgentMonitor] Starting monitoring for ${sessionNames.length} sessions`);
+    logger.info(`Starting monitoring for ${sessionNames.length} sessions`);
     
     for (const name of sessionNames) {
       await this.monitorSession(name);
@@ -248,7 +249,7 @@ class AgentMonitorV2 {
       this.checkStuckSessions();
     }, 30000); // Check every 30 seconds
     
-    console.log('[AgentMonitor] All sessions connected');
+    logger.info('All sessions connected');
   }
   
   /**
@@ -275,15 +276,15 @@ class AgentMonitorV2 {
       });
       
       session.on('disconnected', () => {
-        console.log(`[AgentMonitor] ${sessionName} disconnected`);
+        logger.info(`${sessionName} disconnected`);
         this.sessions.delete(sessionName);
       });
       
       session.on('error', (err) => {
-        console.error(`[AgentMonitor] ${sessionName} error:`, err);
+        logger.error(`${sessionName} error:`, err);
       });
       
-      console.log(`[AgentMonitor] Connected to ${sessionName}`);
+      logger.info(`Connected to ${sessionName}`);
       
       // Get initial output
       const initialOutput = await session.capturePane(100);
@@ -291,7 +292,7 @@ class AgentMonitorV2 {
         this.handleOutput(sessionName, initialOutput, initialOutput);
       }
     } catch (err) {
-      console.error(`[AgentMonitor] Failed to connect to ${sessionName}:`, err.message);
+      logger.error(`Failed to connect to ${sessionName}:`, err.message);
     }
   }
   
@@ -308,7 +309,7 @@ class AgentMonitorV2 {
     
     if (newState !== prevState) {
       this.currentState.set(sessionName, newState);
-      console.log(`[AgentMonitor] ${sessionName}: ${prevState} → ${newState}`);
+      logger.info(`${sessionName}: ${prevState} → ${newState}`);
       
       // Parse progress
       const { progress, indicators } = this.parseProgress(fullOutput, sessionName);
@@ -365,7 +366,7 @@ class AgentMonitorV2 {
       const currentState = this.currentState.get(sessionName);
       
       if (idleTime > STUCK_THRESHOLD && currentState !== AgentState.STUCK && currentState !== AgentState.COMPLETE) {
-        console.log(`[AgentMonitor] ${sessionName} stuck (idle ${Math.round(idleTime)}s)`);
+        logger.info(`${sessionName} stuck (idle ${Math.round(idleTime)}s)`);
         
         this.currentState.set(sessionName, AgentState.STUCK);
         this.updateDatabase(sessionName, AgentState.STUCK, null, null, null);
@@ -539,7 +540,7 @@ class AgentMonitorV2 {
   }
   
   async stop() {
-    console.log('[AgentMonitor] Stopping...');
+    logger.info('Stopping...');
     
     // Clear interval
     if (this.stuckCheckInterval) {
@@ -552,7 +553,7 @@ class AgentMonitorV2 {
     }
     
     this.db.close();
-    console.log('[AgentMonitor] Stopped');
+    logger.info('Stopped');
   }
 }
 
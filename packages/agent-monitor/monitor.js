@@ -13,6 +13,8 @@ const EventEmitter = require('events');
 const Database = require('better-sqlite3');
 const { join } = require('path');
 const { existsSync, readFileSync } = require('fs');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'monitor' });
+const eventLogger = logger.child({ component: 'events' });
 
 const execFileAsync = promisify(execFile);
 
@@ -31,7 +33,7 @@ function loadStuckThreshold() {
       const config = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
       return config.stuckThresholdSeconds || defaultThreshold;
     } catch (err) {
-      console.warn('[Agent Monitor] Error loading config:', err.message);
+      logger.warn('Error loading config:', err.message);
       return defaultThreshold;
     }
   }
@@ -68,7 +70,7 @@ class AgentMonitor extends EventEmitter {
     // Initialize database
     this.initDatabase();
     
-    console.log('[Agent Monitor] Initialized');
+    logger.info('Initialized');
   }
   
   initDatabase() {
@@ -110,12 +112,12 @@ class AgentMonitor extends EventEmitter {
       CREATE INDEX IF NOT EXISTS idx_interaction_timestamp ON interaction_log(timestamp);
     `);
     
-    console.log('[Agent Monitor] Database initialized');
+    logger.info('Database initialized');
   }
 
   reloadConfig() {
     STUCK_THRESHOLD = loadStuckThreshold();
-    console.log('[Agent Monitor] Config reloaded: stuck threshold =', STUCK_THRESHOLD, 'seconds');
+    logger.info('Config reloaded: stuck threshold =', STUCK_THRESHOLD, 'seconds');
   }
 
   async getSessions() {
@@ -126,7 +128,7 @@ class AgentMonitor extends EventEmitter {
         return { name, lastActivityEpoch: parseInt(activity, 10) || 0 };
       });
     } catch (err) {
-      console.error('[Agent Monitor] Error listing tmux sessions:', err.message);
+      logger.error('Error listing tmux sessions:', err.message);
       return [];
     }
   }
@@ -136,7 +138,7 @@ class AgentMonitor extends EventEmitter {
       const { stdout } = await execFileAsync('tmux', ['capture-pane', '-t', session, '-p', '-S', '-' + lines], { timeout: 3000 });
       return stdout;
     } catch (err) {
-      console.error(`[Agent Monitor] Error capturing pane for ${session}:`, err.message);
+      logger.error(`Error capturing pane for ${session}:`, err.message);
       return '';
     }
   }
@@ -240,7 +242,7 @@ class AgentMonitor extends EventEmitter {
       if (!stillExists) {
         const prevState = this.currentState.get(session.name);
         if (prevState !== AgentState.COMPLETE) {
-          console.log(`[Agent Monitor] ${session.name}: session gone → COMPLETE`);
+          logger.info(`${session.name}: session gone → COMPLETE`);
           this.currentState.set(session.name, AgentState.COMPLETE);
           this.updateDatabase(session.name, AgentState.COMPLETE, 100, null, 'Session ended');
           this.emit('agent_complete', {
@@ -267,7 +269,7 @@ class AgentMonitor extends EventEmitter {
       
       if (newState !== prevState) {
         this.currentState.set(session.name, newState);
-        console.log(`[Agent Monitor] ${session.name}: ${prevState || 'unknown'} → ${newState}`);
+        logger.info(`${session.name}: ${prevState || 'unknown'} → ${newState}`);
         
         // Parse progress
         const { progress, indicators } = this.parseProgress(output, session.name);
@@ -328,7 +330,7 @@ class AgentMonitor extends EventEmitter {
       
       if (idleTime > STUCK_THRESHOLD && currentState !== AgentState.STUCK) {
         this.currentState.set(session.name, AgentState.STUCK);
-        console.log(`[Agent Monitor] ${session.name}: idle ${Math.round(idleTime)}s → STUCK`);
+        logger.info(`${session.name}: idle ${Math.round(idleTime)}s → STUCK`);
         
         this.updateDatabase(session.name, AgentState.STUCK, null, null, output.slice(-2000));
         
@@ -398,13 +400,13 @@ class AgentMonitor extends EventEmitter {
   }
   
   async start(targetSessions = []) {
-    console.log('[Agent Monitor] Starting monitor...');
+    logger.info('Starting monitor...');
     
     if (targetSessions.length > 0) {
       this.sessions = targetSessions.map(name => ({ name }));
-      console.log(`[Agent Monitor] Monitoring specific sessions: ${targetSessions.join(', ')}`);
+      logger.info(`Monitoring specific sessions: ${targetSessions.join(', ')}`);
     } else {
-      console.log('[Agent Monitor] Auto-detecting sessions...');
+      logger.info('Auto-detecting sessions...');
     }
     
     setInterval(async () => {
@@ -422,11 +424,11 @@ class AgentMonitor extends EventEmitter {
           await this.monitorSession(session);
         }
       } catch (err) {
-        console.error('[Agent Monitor] Error in monitoring loop:', err);
+        logger.error('Error in monitoring loop:', err);
       }
     }, POLL_INTERVAL);
     
-    console.log(`[Agent Monitor] Monitoring ${this.sessions.length} sessions every ${POLL_INTERVAL}ms`);
+    logger.info(`Monitoring ${this.sessions.length} sessions every ${POLL_INTERVAL}ms`);
   }
   
   getState(session) {
@@ -456,27 +458,27 @@ if (require.main === module) {
   
   // Log events to console
   monitor.on('state_change', (data) => {
-    console.log(`[Event] State change: ${data.session} → ${data.state} (${data.progress}%)`);
+    eventLogger.info(`State change: ${data.session} → ${data.state} (${data.progress}%)`);
   });
   
   monitor.on('progress', (data) => {
-    console.log(`[Event] Progress: ${data.session} → ${data.progress}% (files: ${data.indicators.filesWritten})`);
+    eventLogger.info(`Progress: ${data.session} → ${data.progress}% (files: ${data.indicators.filesWritten})`);
   });
   
   monitor.on('agent_stuck', (data) => {
-    console.log(`[Event] Agent stuck: ${data.session} (idle ${Math.round(data.idleTime)}s)`);
+    eventLogger.info(`Agent stuck: ${data.session} (idle ${Math.round(data.idleTime)}s)`);
   });
   
   monitor.on('agent_error', (data) => {
-    console.log(`[Event] Agent error: ${data.session}`);
+    eventLogger.info(`Agent error: ${data.session}`);
   });
   
   monitor.on('agent_complete', (data) => {
-    console.log(`[Event] Agent complete: ${data.session}`);
+    eventLogger.info(`Agent complete: ${data.session}`);
   });
   
   // Start monitoring (auto-detect sessions)
   monitor.start();
   
-  console.log('[Agent Monitor] Running in standalone mode. Press Ctrl+C to stop.');
+  logger.info('Running in standalone mode. Press Ctrl+C to stop.');
 }
@@ -11,6 +11,7 @@
 const { execFile, spawn } = require('child_process');
 const { promisify } = require('util');
 const EventEmitter = require('events');
+const logger = require('../../shared/logger').child({ package: 'agent-monitor', component: 'tmux' });
 
 const execFileAsync = promisify(execFile);
 
@@ -32,7 +33,7 @@ class TmuxControlSession extends EventEmitter {
    * Connect to session (verify it exists, start polling)
    */
   async connect() {
-    console.log(`[TmuxControl] Connecting to session: ${this.sessionName}`);
+    logger.info(`Connecting to session: ${this.sessionName}`);
 
     try {
       // Verify session exists
@@ -48,7 +49,7 @@ class TmuxControlSession extends EventEmitter {
       this.lastOutputHash = this.hashOutput(initialOutput);
 
       this.connected = true;
-      console.log(`[TmuxControl] Connected to ${this.sessionName}`);
+      logger.info(`Connected to ${this.sessionName}`);
 
       // Start polling for output changes
       this.startPolling();
@@ -57,7 +58,7 @@ class TmuxControlSession extends EventEmitter {
       this.emit('output', initialOutput, initialOutput);
 
     } catch (err) {
-      console.error(`[TmuxControl] Failed to connect to ${this.sessionName}:`, err.message);
+      logger.error(`Failed to connect to ${this.sessionName}:`, err.message);
       this.connected = false;
       throw err;
     }
@@ -94,12 +95,12 @@ class TmuxControlSession extends EventEmitter {
           }
         }
       } catch (err) {
-        console.error(`[TmuxControl] ${this.sessionName} poll error:`, err.message);
+        logger.error(`${this.sessionName} poll error:`, err.message);
 
         // Check if session still exists
         const exists = await this.sessionExists();
         if (!exists) {
-          console.log(`[TmuxControl] ${this.sessionName} no longer exists`);
+          logger.info(`${this.sessionName} no longer exists`);
           this.connected = false;
           this.emit('disconnected');
           clearInterval(this.pollTimer);
@@ -107,7 +108,7 @@ class TmuxControlSession extends EventEmitter {
       }
     }, POLL_INTERVAL);
 
-    console.log(`[TmuxControl] Started polling ${this.sessionName} every ${POLL_INTERVAL}ms`);
+    logger.info(`Started polling ${this.sessionName} every ${POLL_INTERVAL}ms`);
   }
 
   /**
@@ -176,7 +177,7 @@ class TmuxControlSession extends EventEmitter {
 
       return stdout;
     } catch (err) {
-      console.error(`[TmuxControl] ${this.sessionName} capture failed:`, err.message);
+      logger.error(`${this.sessionName} capture failed:`, err.message);
       return '';
     }
   }
@@ -197,10 +198,10 @@ class TmuxControlSession extends EventEmitter {
         'Enter'
       ], { timeout: 5000 });
 
-      console.log(`[TmuxControl] ${this.sessionName} sent: ${keys.slice(0, 50)}...`);
+      logger.info(`${this.sessionName} sent: ${keys.slice(0, 50)}...`);
 
     } catch (err) {
-      console.error(`[TmuxControl] ${this.sessionName} send-keys failed:`, err.message);
+      logger.error(`${this.sessionName} send-keys failed:`, err.message);
       throw err;
     }
   }
@@ -220,7 +221,7 @@ class TmuxControlSession extends EventEmitter {
         keys
       ], { timeout: 5000 });
     } catch (err) {
-      console.error(`[TmuxControl] ${this.sessionName} send-keys failed:`, err.message);
+      logger.error(`${this.sessionName} send-keys failed:`, err.message);
       throw err;
     }
   }
@@ -231,11 +232,11 @@ class TmuxControlSession extends EventEmitter {
   async killSession() {
     try {
       await execFileAsync('tmux', ['kill-session', '-t', this.sessionName], { timeout: 5000 });
-      console.log(`[TmuxControl] ${this.sessionName} killed`);
+      logger.info(`${this.sessionName} killed`);
       this.connected = false;
       this.emit('disconnected');
     } catch (err) {
-      console.error(`[TmuxControl] ${this.sessionName} kill failed:`, err.message);
+      logger.error(`${this.sessionName} kill failed:`, err.message);
       throw err;
     }
   }
@@ -244,7 +245,7 @@ class TmuxControlSession extends EventEmitter {
    * Disconnect (stop polling)
    */
   disconnect() {
-    console.log(`[TmuxControl] Disconnecting from ${this.sessionName}`);
+    logger.info(`Disconnecting from ${this.sessionName}`);
 
     if (this.pollTimer) {
       clearInterval(this.pollTimer);
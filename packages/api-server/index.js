@@ -1,9 +1,13 @@
 const express = require('express');
 const cors = require('cors');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
 app.use(cors());
+// Correlation id for every log record written while serving a request
+app.use(logger.requestIdMiddleware());
 
 // Metrics storage
 const metrics = {
@@ -34,22 +38,22 @@ app.use((req, res, next) => {
 // Health check
 app.get('/v1/health', async (req, res) => {
   try {
-    const { client } = require('../../shared/ollama');
-    const response = await fetch('http://127.0.0.1:11434/', {
-      method: 'GET',
-      signal: AbortSignal.timeout(3000)
-    });
-    const ok = response.ok;
+    const { ping } = require('../../shared/ollama');
+    const backend = await ping(undefined, { timeout: 3000 });
+    if (!backend.ok) throw new Error(backend.error);
 
     res.json({
       status: 'ok',
-      ollama: ok ? 'connected' : 'unreachable',
+      profile: config.profile,
+      ollama: 'connected',
+      backend: backend.backend,
       uptime: Date.now() - metrics.startTime,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     res.status(503).json({
       status: 'degraded',
+      profile: config.profile,
       ollama: 'unreachable',
       error: error.message,
       uptime: Date.now() - metrics.startTime,
@@ -94,33 +98,35 @@ app.post('/v1/embed', async (req, res) => {
 // Classification endpoint
 app.post('/v1/classify', async (req, res) => {
   try {
-    const { from, subject, body, labels } = req.body;
+    const { from, subject, body, labels, taxonomy, raw } = req.body;
     const { classify } = require('../classifier');
 
-    const email = {
+    // A raw RFC 822 message instead of the fields is parsed by classify() (shared/email.js)
+    const email = raw ? { raw, labels: labels || [] } : {
       from: from || '',
       subject: subject || '',
       body: body || '',
       labels: labels || [],
     };
 
-    const result = await classify(email);
+    // category/confidence: the best label, as before; labels: every label with its score
+    const result = await classify(email, { taxonomy });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'ENOENT' ? 400 : 500).json({ error: error.message });
   }
 });
 
 // Triage endpoint
 app.post('/v1/triage', async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text) {
-      return res.status(400).json({ error: 'Missing "text" field' });
+    const { text, raw } = req.body;
+    if (!text && !raw) {
+      return res.status(400).json({ error: 'Missing "text" or "raw" field' });
     }
 
     const { rateUrgency } = require('../triage');
-    const result = await rateUrgency(text);
+    const result = await rateUrgency(raw ? { raw } : text);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -146,16 +152,33 @@ app.post('/v1/route', async (req, res) => {
 // Search endpoint
 app.post('/v1/search', async (req, res) => {
   try {
-    const { query, sources = ['memory', 'chat', 'telegram'], topK = 5 } = req.body;
+    const { query, sources, topK = 5, mode, filter } = req.body;
     if (!query) {
       return res.status(400).json({ error: 'Missing "query" field' });
     }
 
-    const { unifiedSearch } = require('../chat-ingest/unified-search');
-    const results = await unifiedSearch(query, { topK, sources });
+    const { unifiedSearch, SEARCH_MODES } = require('../chat-ingest/unified-search');
+    if (mode && !SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid "mode" (expected one of: ${SEARCH_MODES.join(', ')})` });
+    }
+
+    // filter: { file, sessionId, since, until, minLength, maxLength }
+    const { compileFilter } = require('../chat-ingest/search-filter');
+    if (filter != null && (typeof filter !== 'object' || Array.isArray(filter))) {
+      return res.status(400).json({ error: '"filter" must be an object' });
+    }
+    try {
+      compileFilter(filter);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid "filter": ${err.message}` });
+    }
+
+    const results = await unifiedSearch(query, { topK, sources, mode, filter });
 
     res.json({
       query,
+      mode: mode || config.search.mode,
+      ...(filter ? { filter } : {}),
       results,
       count: results.length,
     });
@@ -164,6 +187,52 @@ app.post('/v1/search', async (req, res) => {
   }
 });
 
+// Destructive routes are for local clients only. cors() above lets any web page
+// call the API, and browsers mark such requests with Origin / Sec-Fetch-Site;
+// the CLI, curl and scripts send neither (or an Origin of this server).
+function refuseCrossOrigin(req, res, next) {
+  const site = req.get('sec-fetch-site');
+  let crossOrigin = !!site && site !== 'same-origin' && site !== 'none';
+  const origin = req.get('origin');
+  if (origin) {
+    try {
+      crossOrigin = crossOrigin || new URL(origin).host !== req.get('host');
+    } catch {
+      crossOrigin = true;
+    }
+  }
+  if (crossOrigin) {
+    return res.status(403).json({ error: `Cross-origin ${req.method} ${req.path} refused` });
+  }
+  next();
+}
+
+// Forget chunks: DELETE /v1/chunks/:source/:id, or DELETE /v1/chunks/:source with a selector
+// body { file, session, since, until, match, dryRun } (source "all" = every source).
+// Refused from web pages (see refuseCrossOrigin)
+app.delete('/v1/chunks/:source/:id?', refuseCrossOrigin, (req, res) => {
+  try {
+    const { forget, validateSelector } = require('../chat-ingest/forget');
+    const { dryRun, ...selector } = { ...req.query, ...(req.body || {}) };
+    if (req.params.id != null) selector.id = req.params.id;
+    const sources = req.params.source === 'all' ? undefined : [req.params.source];
+
+    try {
+      validateSelector(selector, sources);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const result = forget(selector, { sources, dryRun: dryRun === true || dryRun === 'true', actor: 'api' });
+    if (req.params.id != null && result.chunks.length === 0) {
+      return res.status(404).json({ error: `No ${req.params.source} chunk with id ${req.params.id}` });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Metrics endpoint
 app.get('/v1/metrics', (req, res) => {
   const uptime = Date.now() - metrics.startTime;
@@ -185,10 +254,19 @@ app.get('/v1/metrics', (req, res) => {
   });
 });
 
+// Recent log records (ring buffer), e.g. ?requestId=<X-Request-Id of a response>
+app.get('/v1/logs', (req, res) => {
+  const { level, package: pkg, requestId, sessionId, search, since } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+  res.json({ records: logger.ringBuffer.query({ level, package: pkg, requestId, sessionId, search, since, limit }) });
+});
+
 function start(port = 3848) {
+  // Pick up config.local.json edits without a restart
+  config.watch();
   app.listen(port, '127.0.0.1', () => {
     console.log(`\n🚀 LocalLLM API Server`);
-    console.log(`   http://127.0.0.1:${port}`);
+    console.log(`   http://127.0.0.1:${port}  (profile: ${config.profile})`);
     console.log(`\nEndpoints:`);
     console.log(`   GET  /v1/health`);
     console.log(`   POST /v1/embed`);
@@ -196,7 +274,9 @@ function start(port = 3848) {
     console.log(`   POST /v1/triage`);
     console.log(`   POST /v1/route`);
     console.log(`   POST /v1/search`);
+    console.log(`   DELETE /v1/chunks/:source/:id`);
     console.log(`   GET  /v1/metrics`);
+    console.log(`   GET  /v1/logs`);
     console.log(`\nPress Ctrl+C to stop\n`);
   });
 }
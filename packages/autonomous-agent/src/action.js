@@ -3,10 +3,12 @@ import { promisify } from 'util';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import sharedLogger from '../../../shared/logger.js';
 
 const execFileAsync = promisify(execFile);
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = JSON.parse(readFileSync(join(__dirname, '../config.json'), 'utf8'));
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'action' });
 
 /**
  * Action service for autonomous agent
@@ -35,7 +37,7 @@ class ActionService {
     // 1. Check if action is allowed
     const allowedCheck = this._isActionAllowed(actionType);
     if (!allowedCheck.allowed) {
-      console.warn('[Action] Blocked:', allowedCheck.reason);
+      logger.warn('Blocked:', allowedCheck.reason);
       if (this.memory) {
         this.memory.logAction(actionType, target, 'blocked', allowedCheck.reason, 0);
       }
@@ -45,7 +47,7 @@ class ActionService {
     // 2. Check rate limits
     const rateLimitCheck = this.safety.canTakeAction(actionType);
     if (!rateLimitCheck.allowed) {
-      console.warn('[Action] Rate limited:', rateLimitCheck.reason);
+      logger.warn('Rate limited:', rateLimitCheck.reason);
       if (this.memory) {
         this.memory.logAction(actionType, target, 'rate_limited', rateLimitCheck.reason, 0);
       }
@@ -55,7 +57,7 @@ class ActionService {
     // 3. Check deduplication
     const dedupCheck = this._shouldExecute(actionType, target);
     if (!dedupCheck) {
-      console.log('[Action] Deduplicated:', actionType, target);
+      logger.info('Deduplicated:', actionType, target);
       if (this.memory) {
         this.memory.logAction(actionType, target, 'deduplicated', 'Same action within window', 0);
       }
@@ -65,7 +67,7 @@ class ActionService {
     // 4. Execute (or simulate in dry-run mode)
     let result;
     if (this.dryRun) {
-      console.log('[Action] DRY-RUN:', actionType, target, data);
+      logger.info('DRY-RUN:', actionType, target, data);
       result = { success: true, simulated: true, output: 'Dry-run mode - action not executed' };
     } else {
       result = await this._executeAction(actionType, target, data);
@@ -158,7 +160,7 @@ class ActionService {
           return { success: false, error: 'Unknown action type' };
       }
     } catch (error) {
-      console.error('[Action] Execution failed:', error.message);
+      logger.error('Execution failed:', error.message);
       return { success: false, error: error.message };
     }
   }
@@ -1,10 +1,12 @@
 import { readFileSync, writeFileSync, existsSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import sharedLogger from '../../../shared/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PID_FILE = join(__dirname, '../data/agent.pid');
 const STATE_FILE = join(__dirname, '../data/agent.state.json');
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'control' });
 
 /**
  * Control service for autonomous agent
@@ -30,7 +32,7 @@ class ControlService {
       try {
         return JSON.parse(readFileSync(STATE_FILE, 'utf8'));
       } catch (e) {
-        console.error('[Control] Failed to load state:', e.message);
+        logger.error('Failed to load state:', e.message);
       }
     }
 
@@ -51,7 +53,7 @@ class ControlService {
     try {
       writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
     } catch (e) {
-      console.error('[Control] Failed to save state:', e.message);
+      logger.error('Failed to save state:', e.message);
     }
   }
 
@@ -63,7 +65,7 @@ class ControlService {
       return { success: false, reason: 'Already running' };
     }
 
-    console.log('[Control] Starting agent', dryRun ? '(DRY-RUN)' : '(LIVE)');
+    logger.info('Starting agent', dryRun ? '(DRY-RUN)' : '(LIVE)');
 
     this.state.status = 'running';
     this.state.started_at = new Date().toISOString();
@@ -87,7 +89,7 @@ class ControlService {
       return { success: false, reason: 'Already stopped' };
     }
 
-    console.log('[Control] Stopping agent...');
+    logger.info('Stopping agent...');
 
     if (this.loop) {
       await this.loop.stop();
@@ -110,7 +112,7 @@ class ControlService {
       return { success: false, reason: 'Not running' };
     }
 
-    console.log('[Control] Pausing agent...');
+    logger.info('Pausing agent...');
 
     if (this.loop) {
       this.loop.pause();
@@ -132,7 +134,7 @@ class ControlService {
       return { success: false, reason: 'Not paused' };
     }
 
-    console.log('[Control] Resuming agent...');
+    logger.info('Resuming agent...');
 
     if (this.loop) {
       this.loop.resume();
@@ -150,7 +152,7 @@ class ControlService {
    * Emergency kill
    */
   kill() {
-    console.log('[Control] EMERGENCY KILL');
+    logger.warn('EMERGENCY KILL');
 
     if (this.loop) {
       this.loop.kill();
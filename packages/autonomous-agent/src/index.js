@@ -11,9 +11,11 @@ import ReasoningService from './reasoning.js';
 import ActionService from './action.js';
 import ControlService from './control.js';
 import ConsciousnessLoop from './loop.js';
+import sharedLogger from '../../../shared/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = JSON.parse(readFileSync(join(__dirname, '../config.json'), 'utf8'));
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'agent' });
 
 /**
  * Autonomous Agent System
@@ -24,32 +26,21 @@ class AutonomousAgent {
   constructor() {
     // Check if agent is enabled
     if (!config.enabled) {
-      console.warn('⚠️  Autonomous agent is DISABLED in config');
-      console.warn('   This is dormant code. To activate:');
-      console.warn('   1. Review all safety controls');
-      console.warn('   2. Run dry-run for 24 hours');
-      console.warn('   3. Set config.enabled = true');
+      logger.warn('Autonomous agent is DISABLED in config. This is dormant code. To activate: ' +
+        'review all safety controls, run dry-run for 24 hours, then set config.enabled = true');
       process.exit(0);
     }
 
     // Initialize services
-    console.log('🤖 Initializing Autonomous Agent...\n');
+    logger.info('Initializing Autonomous Agent...');
 
     this.safety = new SafetyController();
-    console.log('✓ Safety controller initialized');
-
     this.memory = new MemoryService();
-    console.log('✓ Memory service initialized');
-
     this.observation = new ObservationService(this.memory);
-    console.log('✓ Observation service initialized');
-
     this.reasoning = new ReasoningService(this.safety, this.memory);
-    console.log('✓ Reasoning service initialized');
 
     const dryRun = config.mode === 'dry-run' || process.argv.includes('--dry-run');
     this.action = new ActionService(this.safety, this.memory, dryRun);
-    console.log(`✓ Action service initialized (${dryRun ? 'DRY-RUN' : 'LIVE'})`);
 
     this.loop = new ConsciousnessLoop(
       this.observation,
@@ -59,13 +50,11 @@ class AutonomousAgent {
       this.safety,
       null // control will be set after creation
     );
-    console.log('✓ Consciousness loop initialized');
 
     this.control = new ControlService(this.loop, this.safety, this.memory);
     this.loop.control = this.control;
-    console.log('✓ Control service initialized');
 
-    console.log('\n✅ All services ready\n');
+    logger.info(`All services ready (${dryRun ? 'DRY-RUN' : 'LIVE'})`);
   }
 
   /**
@@ -100,9 +89,7 @@ class AutonomousAgent {
 
     // Safety confirmation for live mode
     if (!dryRun) {
-      console.log('⚠️  DANGER: Live mode requires explicit confirmation');
-      console.log('   To proceed, you must manually review and approve this code');
-      console.log('   Exiting for safety...\n');
+      logger.error('Live mode requires explicit confirmation: review and approve this code manually. Exiting for safety');
       process.exit(1);
     }
 
@@ -110,11 +97,11 @@ class AutonomousAgent {
     const result = await this.control.start(dryRun);
 
     if (!result.success) {
-      console.error(`✗ Failed to start: ${result.reason}`);
+      logger.error(`Failed to start: ${result.reason}`);
       process.exit(1);
     }
 
-    console.log('✅ Agent started successfully\n');
+    logger.info('Agent started');
     console.log('Press Ctrl+C to stop gracefully\n');
 
     // Setup graceful shutdown
@@ -126,14 +113,14 @@ class AutonomousAgent {
    */
   _setupShutdownHandlers() {
     const shutdown = async (signal) => {
-      console.log(`\n\n🛑 Received ${signal}, shutting down gracefully...`);
+      logger.info(`Received ${signal}, shutting down gracefully...`);
 
       try {
         await this.control.stop();
-        console.log('✅ Shutdown complete');
+        logger.info('Shutdown complete');
         process.exit(0);
       } catch (error) {
-        console.error('✗ Shutdown error:', error.message);
+        logger.error('Shutdown error:', error);
         process.exit(1);
       }
     };
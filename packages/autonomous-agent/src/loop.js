@@ -1,9 +1,11 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import sharedLogger from '../../../shared/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = JSON.parse(readFileSync(join(__dirname, '../config.json'), 'utf8'));
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'loop' });
 
 /**
  * Consciousness Loop
@@ -36,11 +38,11 @@ class ConsciousnessLoop {
    */
   start(dryRun = true) {
     if (this.running) {
-      console.warn('[Loop] Already running');
+      logger.warn('Already running');
       return;
     }
 
-    console.log('[Loop] Starting consciousness loop', dryRun ? '(DRY-RUN)' : '(LIVE)');
+    logger.info('Starting consciousness loop', dryRun ? '(DRY-RUN)' : '(LIVE)');
 
     this.running = true;
     this.paused = false;
@@ -69,7 +71,7 @@ class ConsciousnessLoop {
       return;
     }
 
-    console.log('[Loop] Stopping consciousness loop...');
+    logger.info('Stopping consciousness loop...');
 
     this.running = false;
     this.paused = false;
@@ -87,7 +89,7 @@ class ConsciousnessLoop {
       this.memory.checkpoint();
     }
 
-    console.log('[Loop] Stopped');
+    logger.info('Stopped');
   }
 
   /**
@@ -98,7 +100,7 @@ class ConsciousnessLoop {
       return;
     }
 
-    console.log('[Loop] Pausing...');
+    logger.info('Pausing...');
     this.paused = true;
   }
 
@@ -110,7 +112,7 @@ class ConsciousnessLoop {
       return;
     }
 
-    console.log('[Loop] Resuming...');
+    logger.info('Resuming...');
     this.paused = false;
   }
 
@@ -118,7 +120,7 @@ class ConsciousnessLoop {
    * Emergency kill
    */
   kill() {
-    console.log('[Loop] KILLING LOOP');
+    logger.warn('KILLING LOOP');
 
     this.running = false;
     this.paused = true;
@@ -136,45 +138,37 @@ class ConsciousnessLoop {
     const cycleStart = Date.now();
     this.cycleCount++;
 
-    console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-    console.log(`🔄 Cycle ${this.cycleCount} - ${new Date().toISOString()}`);
-    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+    logger.debug(`Cycle ${this.cycleCount} started`);
 
     try {
       // Phase 1: Observe
-      console.log('\n📡 Phase 1: Observation');
       const observations = await this.observation.observe();
-      console.log(`   Found ${observations.events.length} events:`, observations.summary);
+      logger.debug(`Cycle ${this.cycleCount}: observed ${observations.events.length} events:`, observations.summary);
 
       // Skip if no important events
       if (observations.events.length === 0) {
-        console.log('   ✓ No events - skipping reasoning');
         this._recordCycleSuccess(cycleStart);
         return;
       }
 
       // Phase 2: Reason
-      console.log('\n🧠 Phase 2: Reasoning');
       const decisions = [];
 
       for (const event of observations.events) {
         const reasoningResult = await this.reasoning.reason(event);
         decisions.push({ event, reasoning: reasoningResult });
 
-        console.log(`   Event: ${event.type} (priority: ${event.priority})`);
-        console.log(`   Decision: Tier ${reasoningResult.tier} - ${reasoningResult.decision.action}`);
-        console.log(`   Cost: $${reasoningResult.cost.toFixed(4)}`);
+        logger.info(`Event ${event.type} (priority: ${event.priority}): tier ${reasoningResult.tier} decided ` +
+          `${reasoningResult.decision.action}, cost $${reasoningResult.cost.toFixed(4)}`);
       }
 
       // Phase 3: Act (if not paused)
       if (!this.paused) {
-        console.log('\n⚡ Phase 3: Action');
-
         for (const { event, reasoning } of decisions) {
           const decision = reasoning.decision;
 
           if (decision.action === 'ignore') {
-            console.log(`   Ignoring: ${event.type}`);
+            logger.debug(`Ignoring: ${event.type}`);
             continue;
           }
 
@@ -184,21 +178,20 @@ class ConsciousnessLoop {
             { event, reasoning: decision }
           );
 
-          console.log(`   Action: ${decision.action} - ${actionResult.success ? '✓' : '✗'}`);
-          if (!actionResult.success) {
-            console.log(`   Reason: ${actionResult.reason}`);
+          if (actionResult.success) {
+            logger.info(`Action ${decision.action} succeeded`);
+          } else {
+            logger.warn(`Action ${decision.action} failed: ${actionResult.reason}`);
           }
         }
       } else {
-        console.log('\n⏸️  Phase 3: Action (PAUSED)');
-        console.log('   Monitoring only - no actions taken');
+        logger.info(`Paused: monitoring only, ${decisions.length} decisions not acted on`);
       }
 
       // Phase 4: Checkpoint
       if (this.cycleCount % 5 === 0) {
-        console.log('\n💾 Phase 4: Checkpoint');
         this.memory.checkpoint();
-        console.log('   ✓ State saved');
+        logger.debug('Checkpoint: state saved');
       }
 
       this._recordCycleSuccess(cycleStart);
@@ -217,8 +210,7 @@ class ConsciousnessLoop {
     this.safety.recordSuccess();
     this.control.incrementCycle();
 
-    console.log(`\n✓ Cycle complete in ${duration}ms`);
-    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+    logger.debug(`Cycle ${this.cycleCount} complete in ${duration}ms`);
 
     // Update working memory
     this.memory.setWorkingMemory('last_cycle', {
@@ -235,9 +227,7 @@ class ConsciousnessLoop {
   _recordCycleError(error, startTime) {
     const duration = Date.now() - startTime;
 
-    console.error('\n✗ Cycle failed:', error.message);
-    console.error('Stack:', error.stack);
-    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+    logger.error(`Cycle ${this.cycleCount} failed after ${duration}ms:`, error);
 
     this.safety.recordFailure(error);
     this.control.recordError(error);
@@ -255,7 +245,7 @@ class ConsciousnessLoop {
     // Check if circuit breaker opened
     const safetyState = this.safety.getState();
     if (safetyState.circuit_breaker_open) {
-      console.error('🚨 CIRCUIT BREAKER OPENED - PAUSING AGENT');
+      logger.error('CIRCUIT BREAKER OPENED - PAUSING AGENT');
       this.pause();
     }
   }
@@ -4,10 +4,12 @@ import { watch } from 'chokidar';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import sharedLogger from '../../../shared/logger.js';
 
 const execFileAsync = promisify(execFile);
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = JSON.parse(readFileSync(join(__dirname, '../config.json'), 'utf8'));
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'observation' });
 
 /**
  * Observation service for autonomous agent
@@ -69,7 +71,7 @@ class ObservationService {
 
       return events;
     } catch (error) {
-      console.error('[Observation] Email check failed:', error.message);
+      logger.error('Email check failed:', error.message);
       return [];
     }
   }
@@ -111,7 +113,7 @@ class ObservationService {
 
       return events;
     } catch (error) {
-      console.error('[Observation] Calendar check failed:', error.message);
+      logger.error('Calendar check failed:', error.message);
       return [];
     }
   }
@@ -145,7 +147,7 @@ class ObservationService {
           });
         }
       } catch (error) {
-        console.error(`[Observation] Git check failed for ${repoPath}:`, error.message);
+        logger.error(`Git check failed for ${repoPath}:`, error.message);
       }
     }
 
@@ -184,7 +186,7 @@ class ObservationService {
         this.memory.logObservation('file_watcher', 'change', 'low', event.data);
       }
 
-      console.log('[Observation] File changed:', path);
+      logger.info('File changed:', path);
     });
 
     watcher.on('add', (path) => {
@@ -201,7 +203,7 @@ class ObservationService {
         this.memory.logObservation('file_watcher', 'add', 'low', event.data);
       }
 
-      console.log('[Observation] File added:', path);
+      logger.info('File added:', path);
     });
 
     this.watchers.push(watcher);
@@ -1,9 +1,11 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import sharedLogger from '../../../shared/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = JSON.parse(readFileSync(join(__dirname, '../config.json'), 'utf8'));
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'reasoning' });
 
 // Import shared Ollama client
 const ollamaPath = join(__dirname, '../../../shared/ollama.js');
@@ -12,7 +14,7 @@ try {
   const module = await import(ollamaPath);
   ollama = module.default;
 } catch (e) {
-  console.warn('[Reasoning] Shared Ollama client not available, will use direct fetch');
+  logger.warn('Shared Ollama client not available, will use direct fetch');
 }
 
 /**
@@ -39,7 +41,7 @@ class ReasoningService {
   async tier1Triage(observation) {
     const check = this.safety.canMakeApiCall(1);
     if (!check.allowed) {
-      console.warn('[Reasoning] Tier 1 blocked:', check.reason);
+      logger.warn('Tier 1 blocked:', check.reason);
       return { important: false, confidence: 0, escalate: false, reason: check.reason };
     }
 
@@ -66,7 +68,7 @@ class ReasoningService {
 
       return decision;
     } catch (error) {
-      console.error('[Reasoning] Tier 1 failed:', error.message);
+      logger.error('Tier 1 failed:', error.message);
       this.safety.recordFailure(error);
 
       return {
@@ -85,7 +87,7 @@ class ReasoningService {
   async tier2Decision(observation, tier1Result) {
     const check = this.safety.canMakeApiCall(2);
     if (!check.allowed) {
-      console.warn('[Reasoning] Tier 2 blocked:', check.reason);
+      logger.warn('Tier 2 blocked:', check.reason);
       return { action: 'ignore', confidence: 0, escalate: false, reason: check.reason };
     }
 
@@ -94,7 +96,7 @@ class ReasoningService {
 
       // TODO: Integrate with Clawdbot gateway for Haiku calls
       // For now, log that we would call Haiku
-      console.log('[Reasoning] Tier 2 decision needed (Haiku not integrated yet)');
+      logger.info('Tier 2 decision needed (Haiku not integrated yet)');
 
       const decision = {
         action: 'alert',
@@ -118,7 +120,7 @@ class ReasoningService {
 
       return decision;
     } catch (error) {
-      console.error('[Reasoning] Tier 2 failed:', error.message);
+      logger.error('Tier 2 failed:', error.message);
       this.safety.recordFailure(error);
 
       return {
@@ -137,7 +139,7 @@ class ReasoningService {
   async tier3Reasoning(observation, tier2Result) {
     const check = this.safety.canMakeApiCall(3);
     if (!check.allowed) {
-      console.warn('[Reasoning] Tier 3 blocked:', check.reason);
+      logger.warn('Tier 3 blocked:', check.reason);
       return { action: 'defer', confidence: 0, reason: check.reason };
     }
 
@@ -145,7 +147,7 @@ class ReasoningService {
       const prompt = this._buildDeepReasoningPrompt(observation, tier2Result);
 
       // TODO: Integrate with Clawdbot gateway for Sonnet/Opus calls
-      console.log('[Reasoning] Tier 3 reasoning needed (Sonnet not integrated yet)');
+      logger.info('Tier 3 reasoning needed (Sonnet not integrated yet)');
 
       const decision = {
         action: 'defer',
@@ -169,7 +171,7 @@ class ReasoningService {
 
       return decision;
     } catch (error) {
-      console.error('[Reasoning] Tier 3 failed:', error.message);
+      logger.error('Tier 3 failed:', error.message);
       this.safety.recordFailure(error);
 
       return {
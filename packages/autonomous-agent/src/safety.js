@@ -1,9 +1,11 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import sharedLogger from '../../../shared/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = JSON.parse(readFileSync(join(__dirname, '../config.json'), 'utf8'));
+const logger = sharedLogger.child({ package: 'autonomous-agent', component: 'safety' });
 
 /**
  * Safety controls for autonomous agent
@@ -169,7 +171,7 @@ class SafetyController {
 
     if (this.state.circuit_breaker_open) {
       this.state.circuit_breaker_open = false;
-      console.log('[Safety] Circuit breaker closed after success');
+      logger.info('Circuit breaker closed after success');
     }
   }
 
@@ -181,7 +183,7 @@ class SafetyController {
 
     if (this.state.consecutive_failures >= this.limits.circuit_breaker_threshold) {
       this.state.circuit_breaker_open = true;
-      console.error('[Safety] CIRCUIT BREAKER OPENED after', this.state.consecutive_failures, 'failures');
+      logger.error('CIRCUIT BREAKER OPENED after', this.state.consecutive_failures, 'failures');
       return { circuit_breaker_open: true };
     }
 
@@ -194,7 +196,7 @@ class SafetyController {
   resetCircuitBreaker() {
     this.state.circuit_breaker_open = false;
     this.state.consecutive_failures = 0;
-    console.log('[Safety] Circuit breaker manually reset');
+    logger.info('Circuit breaker manually reset');
   }
 
   /**
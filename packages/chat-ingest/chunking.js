@@ -0,0 +1,231 @@
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const { cachedEmbed } = require('../../shared/embedding-cache');
+
+/**
+ * Chunking strategies for conversational sources, selected per source in
+ * config.chunking.strategies:
+ *
+ * - 'size'  — the Tier 2 default: only substantive assistant messages, packed
+ *             in order up to embedding.chunkSize (index.js chunkMessages()).
+ * - 'turns' — speaker- and topic-aware: consecutive messages from one speaker
+ *             form a turn, a prompt turn and the reply that follows form an
+ *             exchange, and exchanges are packed in order until the size limit
+ *             or a topic shift — consecutive exchanges whose embeddings are
+ *             less similar than chunking.turns.topicThreshold. A question is
+ *             never separated from its answer: an exchange too long for one
+ *             chunk is cut into pieces that each repeat the question.
+ */
+
+const STRATEGIES = ['size', 'turns'];
+
+// Roles whose consecutive messages merge into one turn (Telegram's generic 'message' has no speaker)
+const SPEAKER_ROLES = new Set(['user', 'assistant', 'self', 'other', 'bot']);
+
+/**
+ * Chunking strategy for a source.
+ * @param {string} source - 'chat', 'telegram', or an import platform ('slack', …)
+ * @param {boolean} [external=false] - Import platform: falls back to strategies.external
+ * @returns {'size'|'turns'}
+ */
+function chunkingStrategy(source, external = false) {
+  const strategies = config.chunking?.strategies || {};
+  const strategy = strategies[source] ?? (external ? strategies.external : undefined) ?? 'size';
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid chunking strategy "${strategy}" for ${source} (expected one of: ${STRATEGIES.join(', ')})`);
+  }
+  return strategy;
+}
+
+function speakerOf(msg) {
+  if (msg.sender) return msg.sender;
+  return SPEAKER_ROLES.has(msg.role) ? msg.role : null;
+}
+
+/**
+ * Group messages into turns (runs of one speaker).
+ * @returns {Array<{ speaker: string|null, role: string, messages: Array }>}
+ */
+function groupTurns(messages) {
+  const turns = [];
+  for (const msg of messages) {
+    const speaker = speakerOf(msg);
+    const last = turns[turns.length - 1];
+    if (last && speaker !== null && last.speaker === speaker) {
+      last.messages.push(msg);
+    } else {
+      turns.push({ speaker, role: msg.role, messages: [msg] });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Pair turns into exchanges: a prompt turn plus the reply turn after it.
+ * With `promptRole`, exchanges start only at turns of that role (a reply
+ * without a prompt stands alone); otherwise consecutive turns pair up.
+ */
+function groupExchanges(turns, promptRole) {
+  const exchanges = [];
+  let current = null;
+  for (const turn of turns) {
+    const startsNew = !current
+      || current.length >= 2
+      || (promptRole && (turn.role === promptRole || current[0].role !== promptRole));
+    if (startsNew) {
+      current = [turn];
+      exchanges.push(current);
+    } else {
+      current.push(turn);
+    }
+  }
+  return exchanges.map(ex => ex.flatMap(turn => turn.messages));
+}
+
+/**
+ * Where to cut text to at most `maxChars`: at a line break or else a space
+ * in the second half of that span, otherwise exactly at the limit.
+ */
+function cutPoint(text, maxChars) {
+  const span = text.slice(0, maxChars + 1);
+  let cut = span.lastIndexOf('\n');
+  if (cut < maxChars / 2) cut = span.lastIndexOf(' ');
+  return cut < maxChars / 2 ? maxChars : cut;
+}
+
+/**
+ * Split an exchange longer than `maxChars` into pieces of at most that size.
+ * The first piece starts with the prompt turn as usual; the others repeat it
+ * (cut to a third of the limit) so each piece is embedded and retrieved with
+ * the question it answers. Messages are cut at line or word boundaries. A
+ * piece's `messages` are the prompt's plus those it holds text from.
+ * @param {{ messages: Array<object>, text: string }} exchange
+ * @param {(msg: object) => string} render
+ * @param {number} maxChars
+ * @returns {Array<{ messages: Array<object>, text: string }>}
+ */
+function splitExchange(exchange, render, maxChars) {
+  if (exchange.text.length <= maxChars) return [exchange];
+
+  const turns = groupTurns(exchange.messages);
+  const prompt = turns.length > 1 ? turns[0].messages : [];
+  let prefix = prompt.map(render).join('\n');
+  const maxPrefix = Math.floor(maxChars / 3);
+  if (prefix.length > maxPrefix) prefix = `${prefix.slice(0, maxPrefix - 1).trimEnd()}…`;
+
+  const pieces = [];
+  let current = null;
+  const add = (msg, text) => {
+    current.text = current.text ? `${current.text}\n${text}` : text;
+    if (!current.messages.includes(msg)) current.messages.push(msg);
+    current.empty = false;
+  };
+  for (const msg of exchange.messages) {
+    let rest = render(msg);
+    while (rest) {
+      if (!current) {
+        current = pieces.length > 0 && prefix
+          ? { text: prefix, messages: [...prompt], empty: true }
+          : { text: '', messages: [], empty: true };
+      }
+      const room = maxChars - (current.text ? current.text.length + 1 : 0);
+      if (rest.length <= room) {
+        add(msg, rest);
+        break;
+      }
+      // Too long for what's left of this piece: fill it unless little room is left, and go on in the next
+      if (current.empty || room >= maxChars / 3) {
+        const cut = cutPoint(rest, room);
+        add(msg, rest.slice(0, cut).trimEnd());
+        rest = rest.slice(cut).trimStart();
+      }
+      pieces.push(current);
+      current = null;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces.map(({ text, messages }) => ({ text, messages }));
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, nA = 0, nB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]; nA += a[i] * a[i]; nB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(nA) * Math.sqrt(nB));
+}
+
+/**
+ * Similarity of each exchange to the one before it (null for the first, or
+ * when embedding failed).
+ */
+async function exchangeSimilarities(texts, model) {
+  const MAX_EMBED_CHARS = 1500;
+  const BATCH_SIZE = 10;
+  const vectors = [];
+  try {
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const batch = texts.slice(i, i + BATCH_SIZE).map(t => t.slice(0, MAX_EMBED_CHARS));
+      const response = await cachedEmbed(model, batch, { scope: 'index' });
+      vectors.push(...response.embeddings);
+    }
+  } catch (err) {
+    logger.warn(`Turn chunking: could not embed exchanges (${err.message}), splitting by size only`);
+    return texts.map(() => null);
+  }
+  return vectors.map((v, i) => (i === 0 ? null : cosineSimilarity(vectors[i - 1], v)));
+}
+
+/**
+ * Speaker/topic-aware chunking ('turns' strategy).
+ *
+ * @param {Array<object>} messages - In conversation order; each needs `role` and `text`, plus `sender` where the source has one
+ * @param {object} opts
+ * @param {(msg: object) => string} opts.render - One message as a chunk line
+ * @param {string} opts.model - Embedding model for topic-shift detection (the index's active model)
+ * @param {string} [opts.promptRole] - Role that opens an exchange ('user' for transcripts)
+ * @param {number} [opts.topicThreshold] - Split below this similarity (default: chunking.turns.topicThreshold)
+ * @param {number} [opts.minExchangeChars] - Drop exchanges shorter than this (acks, "ok", "thanks")
+ * @param {number} [opts.maxChunkChars] - Default: embedding.chunkSize
+ * @returns {Promise<Array<{ text: string, messages: Array<object> }>>} Chunks in order
+ */
+async function chunkByTurns(messages, opts) {
+  const settings = { ...config.chunking?.turns, ...opts };
+  const topicThreshold = settings.topicThreshold ?? 0.5;
+  const minExchangeChars = settings.minExchangeChars ?? 0;
+  const maxChunkChars = settings.maxChunkChars || config.embedding.chunkSize;
+
+  const exchanges = groupExchanges(groupTurns(messages), opts.promptRole)
+    .map(msgs => ({ messages: msgs, text: msgs.map(opts.render).join('\n') }))
+    .filter(ex => ex.messages.reduce((n, m) => n + m.text.length, 0) >= minExchangeChars);
+  if (exchanges.length === 0) return [];
+
+  const similarities = topicThreshold > 0
+    ? await exchangeSimilarities(exchanges.map(ex => ex.text), opts.model)
+    : exchanges.map(() => null);
+
+  const chunks = [];
+  let current = null;
+  exchanges.forEach((ex, i) => {
+    const topicShift = similarities[i] !== null && similarities[i] < topicThreshold;
+    splitExchange(ex, opts.render, maxChunkChars).forEach((piece, j) => {
+      // Pieces of one exchange each carry the question, so they never share a chunk
+      if (current && (j > 0 || topicShift || current.text.length + 1 + piece.text.length > maxChunkChars)) {
+        chunks.push(current);
+        current = null;
+      }
+      if (!current) {
+        current = { text: piece.text, messages: [...piece.messages] };
+      } else {
+        current.text += `\n${piece.text}`;
+        current.messages.push(...piece.messages);
+      }
+    });
+  });
+  if (current) chunks.push(current);
+
+  logger.debug(`Turn chunking: ${messages.length} messages → ${exchanges.length} exchanges → ${chunks.length} chunks`);
+  return chunks;
+}
+
+module.exports = { chunkByTurns, chunkingStrategy, groupTurns, groupExchanges, STRATEGIES };
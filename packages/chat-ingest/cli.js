@@ -48,14 +48,40 @@ program
     }
   });
 
+program
+  .command('import <path>')
+  .description('Import a chat export (Slack, Discord, WhatsApp, Signal, mbox); only new messages are embedded')
+  .option('-f, --format <name>', 'Export format: slack|discord|whatsapp|signal|mbox (default: detect)')
+  .option('-d, --db <path>', 'Database path', config.paths.chatDb)
+  .option('--self <names>', 'Comma-separated names/ids/addresses that are you (default: config.externalChats.self)')
+  .option('--date-order <order>', 'WhatsApp date order when ambiguous: dmy|mdy', 'dmy')
+  .action(async (path, options) => {
+    try {
+      const { importExport } = require('./external');
+      const result = await importExport(path, {
+        format: options.format,
+        dbPath: options.db,
+        self: options.self ? options.self.split(',').map(s => s.trim()) : undefined,
+        dateOrder: options.dateOrder,
+      });
+      console.log(`\nDone: ${result.platform}, ${result.messages} messages, ${result.new} new, ${result.chunks} chunks added.`);
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('watch')
-  .description('Start watching for transcript changes')
+  .description('Run the ingestion daemon (transcripts and memory files)')
   .option('-d, --db <path>', 'Database path', config.paths.chatDb)
   .option('-s, --sessions <path>', 'Sessions directory', config.paths.sessionsDir)
+  .option('-m, --memory <path>', 'Memory directory (default: config.paths.memoryDir)')
+  .option('--no-memory', 'Only watch transcripts')
+  .option('-p, --port <port>', 'Status endpoint port (default: config.watcher.status.port)', parseInt)
   .action((options) => {
     const { startWatcher } = require('./watcher');
-    startWatcher(options.db, options.sessions);
+    startWatcher(options.db, options.sessions, { memoryDir: options.memory, port: options.port });
   });
 
 program
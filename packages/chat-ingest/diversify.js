@@ -0,0 +1,134 @@
+/**
+ * Result diversification: maximal marginal relevance over ranked search results.
+ *
+ * Neighbouring chunks of one file overlap (chunkOverlap characters) and chat
+ * sessions repeat themselves, so a plain top-K often spends the context
+ * budget on the same passage several times. MMR picks results one at a time,
+ * trading relevance against similarity to what is already picked:
+ *
+ *   mmr(d) = λ · relevance(d) − (1 − λ) · max sim(d, picked)
+ *
+ * Similarity is word-shingle Jaccard on the chunk text (results from keyword
+ * and fused rankings carry no vectors). Candidates at or above
+ * duplicateThreshold similarity are dropped outright, and per-file /
+ * per-session caps bound how much one document can contribute.
+ */
+
+const SHINGLE_SIZE = 3;
+
+/**
+ * Grouping key for per-document caps: memory file, or chat session (an
+ * imported conversation's thread counts as a session).
+ * @returns {string|null}
+ */
+function documentKey(result) {
+  if (result.meta?.file) return `file:${result.meta.file}`;
+  if (result.meta?.sessionId) return `session:${result.meta.sessionId}`;
+  if (result.meta?.thread) return `session:${result.source}/${result.meta.thread}`;
+  return null;
+}
+
+function shingles(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  const set = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    for (const w of words) set.add(w);
+    return set;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+}
+
+/**
+ * Jaccard similarity of two shingle sets (0-1).
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const s of small) if (large.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Text similarity of two chunks (0-1), as used by diversifyResults().
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function textSimilarity(a, b) {
+  return jaccard(shingles(a), shingles(b));
+}
+
+/**
+ * Re-select results for diversity (MMR + near-duplicate suppression + caps).
+ * Scores are left untouched; only which results are kept, and their order, change.
+ *
+ * @param {Array<{ source, text, score, meta }>} results - Ranked best first
+ * @param {object} [opts]
+ * @param {number} [opts.topK] - Results to keep (default: all that pass)
+ * @param {number} [opts.lambda=0.7] - 1 = pure relevance, 0 = pure novelty
+ * @param {number} [opts.duplicateThreshold=0.8] - Drop candidates this similar to a kept one
+ * @param {number} [opts.maxPerFile=2] - Memory chunks per file (0 = unlimited)
+ * @param {number} [opts.maxPerSession=2] - Chat chunks per session (0 = unlimited)
+ * @returns {Array} Selected results, in selection order
+ */
+function diversifyResults(results, opts = {}) {
+  const topK = opts.topK ?? results.length;
+  const lambda = opts.lambda ?? 0.7;
+  const duplicateThreshold = opts.duplicateThreshold ?? 0.8;
+  const caps = { file: opts.maxPerFile ?? 2, session: opts.maxPerSession ?? 2 };
+  if (results.length === 0 || topK <= 0) return [];
+
+  // Scores differ in scale between modes (cosine, BM25-normalized, RRF); normalize to the best
+  const best = Math.max(...results.map(r => r.score)) || 1;
+  const pool = results.map((r, rank) => ({
+    result: r,
+    rank,
+    relevance: r.score / best,
+    shingles: shingles(r.text || ''),
+    maxSim: 0,
+  }));
+
+  const selected = [];
+  const perDocument = new Map();
+
+  while (selected.length < topK && pool.length > 0) {
+    let bestIdx = -1;
+    let bestMmr = -Infinity;
+
+    for (let i = 0; i < pool.length; i++) {
+      const c = pool[i];
+      const mmr = lambda * c.relevance - (1 - lambda) * c.maxSim;
+      if (bestIdx === -1 || mmr > bestMmr || (mmr === bestMmr && c.rank < pool[bestIdx].rank)) {
+        bestMmr = mmr;
+        bestIdx = i;
+      }
+    }
+
+    const [pick] = pool.splice(bestIdx, 1);
+    selected.push(pick.result);
+
+    const key = documentKey(pick.result);
+    if (key) perDocument.set(key, (perDocument.get(key) || 0) + 1);
+
+    // Update novelty of the rest; drop duplicates and documents at their cap
+    for (let i = pool.length - 1; i >= 0; i--) {
+      const c = pool[i];
+      const sim = jaccard(c.shingles, pick.shingles);
+      const docKey = documentKey(c.result);
+      const cap = docKey ? caps[docKey.slice(0, docKey.indexOf(':'))] : 0;
+      if (sim >= duplicateThreshold || (cap > 0 && (perDocument.get(docKey) || 0) >= cap)) {
+        pool.splice(i, 1);
+      } else if (sim > c.maxSim) {
+        c.maxSim = sim;
+      }
+    }
+  }
+
+  return selected;
+}
+
+module.exports = { diversifyResults, textSimilarity, documentKey };
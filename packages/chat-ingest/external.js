@@ -0,0 +1,308 @@
+const { existsSync } = require('fs');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const { cachedEmbed } = require('../../shared/embedding-cache');
+const { initDb, embeddingToBuffer, redactMessages } = require('./ingest');
+const { ensureKeywordIndex } = require('./keyword-index');
+const { ensureEmbeddingSchema, getActiveModel, warnIfConfigDiffers } = require('../../shared/embedding-meta');
+const { getImporter, detectImporter, listImporters } = require('./importers');
+const { chunkByTurns, chunkingStrategy } = require('./chunking');
+
+/**
+ * Chat exports from other platforms (Slack, Discord, WhatsApp, Signal, mbox).
+ *
+ * An importer (see importers/) turns an export into normalized messages; this
+ * module chunks them per thread into the shared `external_chunks` table, one
+ * search source per platform. Every imported message id is recorded in
+ * `external_messages`, so re-importing a newer export of the same chat only
+ * embeds the messages that are new — nothing is deleted and re-inserted.
+ */
+
+const DEFAULT_WEIGHT = 0.5;
+
+function ensureExternalSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS external_chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform TEXT NOT NULL,
+      source TEXT NOT NULL,
+      thread TEXT NOT NULL,
+      start_msg_id TEXT,
+      end_msg_id TEXT,
+      start_ts TEXT,
+      end_ts TEXT,
+      senders TEXT,
+      message_count INTEGER,
+      text TEXT NOT NULL,
+      embedding BLOB,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS external_messages (
+      platform TEXT NOT NULL,
+      msg_id TEXT NOT NULL,
+      thread TEXT,
+      timestamp TEXT,
+      chunk_id INTEGER,
+      PRIMARY KEY (platform, msg_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ext_platform ON external_chunks(platform);
+    CREATE INDEX IF NOT EXISTS idx_ext_thread ON external_chunks(platform, thread);
+  `);
+  ensureKeywordIndex(db, 'external_chunks');
+  ensureEmbeddingSchema(db, 'external_chunks');
+}
+
+/**
+ * Search sources backed by external_chunks (one per registered importer).
+ * @returns {string[]}
+ */
+function externalSources() {
+  return listImporters();
+}
+
+/**
+ * Ranking weight per external source: config.externalChats.weights, else 0.5
+ * (the same tier as Telegram).
+ * @returns {Object<string, number>}
+ */
+function externalSourceWeights() {
+  const weights = config.externalChats?.weights || {};
+  const fallback = config.externalChats?.defaultWeight ?? DEFAULT_WEIGHT;
+  return Object.fromEntries(externalSources().map(name => [name, weights[name] ?? fallback]));
+}
+
+/**
+ * Search result metadata for an external_chunks row.
+ */
+function externalMeta(row) {
+  let senders = [];
+  try { senders = JSON.parse(row.senders || '[]'); } catch {}
+  return {
+    id: row.id,
+    platform: row.platform,
+    thread: row.thread,
+    senders,
+    startTs: row.start_ts,
+    endTs: row.end_ts,
+    export: row.source,
+  };
+}
+
+/**
+ * Messages worth indexing: system notices and empty messages are dropped.
+ */
+function isIndexable(msg) {
+  if (msg.role === 'system') return false;
+  return !!msg.text.trim() || msg.attachments.length > 0;
+}
+
+function renderMessage(msg) {
+  const files = msg.attachments.map(a => `[attachment: ${a.name}]`).join(' ');
+  return `${msg.sender}: ${[msg.text.trim(), files].filter(Boolean).join(' ')}`;
+}
+
+/**
+ * Chunk messages per thread, in time order, up to config.embedding.chunkSize.
+ * @param {Array} messages - Normalized messages (see importers/index.js)
+ * @returns {Array<{ thread, text, messages, startTs, endTs, senders }>}
+ */
+function chunkExternalMessages(messages) {
+  const maxChunkSize = config.embedding.chunkSize;
+  const threads = new Map();
+  for (const msg of messages) {
+    if (!threads.has(msg.thread)) threads.set(msg.thread, []);
+    threads.get(msg.thread).push(msg);
+  }
+
+  const chunks = [];
+  for (const [thread, threadMessages] of threads) {
+    threadMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    let current = [];
+    let currentText = '';
+
+    const flush = () => {
+      if (current.length > 0 && currentText.trim()) {
+        chunks.push({
+          thread,
+          text: currentText.trim(),
+          messages: current,
+          startTs: current[0].timestamp,
+          endTs: current[current.length - 1].timestamp,
+          senders: [...new Set(current.map(m => m.sender))],
+        });
+      }
+      current = [];
+      currentText = '';
+    };
+
+    for (const msg of threadMessages) {
+      const line = renderMessage(msg);
+      if ((currentText + '\n' + line).length > maxChunkSize && currentText) flush();
+      current.push(msg);
+      currentText += (currentText ? '\n' : '') + line;
+    }
+    flush();
+  }
+  return chunks;
+}
+
+/**
+ * Chunk messages per thread with the 'turns' strategy (see chunking.js).
+ * @param {Array} messages - Normalized messages
+ * @param {string} model - Embedding model for topic-shift detection
+ * @returns {Promise<Array<{ thread, text, messages, startTs, endTs, senders }>>}
+ */
+async function chunkExternalByTurns(messages, model) {
+  const threads = new Map();
+  for (const msg of messages) {
+    if (!threads.has(msg.thread)) threads.set(msg.thread, []);
+    threads.get(msg.thread).push(msg);
+  }
+
+  const chunks = [];
+  for (const [thread, threadMessages] of threads) {
+    threadMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    for (const group of await chunkByTurns(threadMessages, { render: renderMessage, model })) {
+      chunks.push({
+        thread,
+        text: group.text,
+        messages: group.messages,
+        startTs: group.messages[0].timestamp,
+        endTs: group.messages[group.messages.length - 1].timestamp,
+        senders: [...new Set(group.messages.map(m => m.sender))],
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Import a chat export into the chat DB, incrementally.
+ * @param {string} path - Export file or directory
+ * @param {object} [opts]
+ * @param {string} [opts.format] - Importer name (default: detected from the path)
+ * @param {string} [opts.dbPath] - chat-memory.db path
+ * @param {string[]} [opts.self] - Your names/ids/addresses (default: config.externalChats.self)
+ * @returns {Promise<{ platform: string, messages: number, new: number, chunks: number }>}
+ */
+async function importExport(path, opts = {}) {
+  const dbPath = opts.dbPath || config.paths.chatDb;
+  if (!existsSync(path)) {
+    throw new Error(`Export not found: ${path}`);
+  }
+
+  const importer = opts.format ? getImporter(opts.format) : detectImporter(path);
+  if (!importer) {
+    throw new Error(opts.format
+      ? `Unknown export format "${opts.format}" (expected one of: ${listImporters().join(', ')})`
+      : `Could not detect the export format of ${path} (use --format: ${listImporters().join(', ')})`);
+  }
+  const platform = importer.name;
+
+  logger.info(`Parsing ${platform} export: ${path}`);
+  const messages = await importer.parse(path, { ...opts, self: opts.self || config.externalChats?.self || [] });
+
+  const db = initDb(dbPath);
+  ensureExternalSchema(db);
+
+  // Incremental: only messages whose id was never imported
+  const seen = db.prepare('SELECT 1 FROM external_messages WHERE platform = ? AND msg_id = ?');
+  const fresh = [];
+  const ids = new Set();
+  for (const msg of messages) {
+    if (ids.has(msg.id) || seen.get(platform, msg.id)) continue;
+    ids.add(msg.id);
+    fresh.push(msg);
+  }
+  logger.info(`  ${messages.length} messages, ${fresh.length} new`);
+
+  const recordMessage = db.prepare(`
+    INSERT OR IGNORE INTO external_messages (platform, msg_id, thread, timestamp, chunk_id)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  // Skipped messages are recorded too, so they aren't reconsidered next time
+  const skipped = fresh.filter(m => !isIndexable(m));
+  db.transaction(() => {
+    for (const msg of skipped) recordMessage.run(platform, msg.id, msg.thread, msg.timestamp, null);
+  })();
+
+  const model = getActiveModel(db);
+  warnIfConfigDiffers(model);
+
+  const indexable = redactMessages(fresh.filter(isIndexable));
+  const chunks = chunkingStrategy(platform, true) === 'turns'
+    ? await chunkExternalByTurns(indexable, model)
+    : chunkExternalMessages(indexable);
+  if (chunks.length === 0) {
+    db.close();
+    return { platform, messages: messages.length, new: fresh.length, chunks: 0 };
+  }
+  logger.info(`  ${chunks.length} chunks, embedding...`);
+
+  const BATCH_SIZE = 10;
+  const MAX_EMBED_CHARS = 1500;
+
+  const insertChunk = db.prepare(`
+    INSERT INTO external_chunks (platform, source, thread, start_msg_id, end_msg_id, start_ts, end_ts, senders, message_count, text, embedding, embed_model, embed_dim)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const saveChunks = db.transaction((items) => {
+    for (const { chunk, embedding } of items) {
+      const { lastInsertRowid } = insertChunk.run(
+        platform, path, chunk.thread,
+        chunk.messages[0].id, chunk.messages[chunk.messages.length - 1].id,
+        chunk.startTs, chunk.endTs, JSON.stringify(chunk.senders), chunk.messages.length,
+        chunk.text, embedding, model, embedding.length / 4
+      );
+      for (const msg of chunk.messages) {
+        recordMessage.run(platform, msg.id, msg.thread, msg.timestamp, lastInsertRowid);
+      }
+    }
+  });
+
+  // Saved batch by batch: a chunk that fails to embed leaves its messages unrecorded for the next run
+  let saved = 0;
+  for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+    const batch = chunks.slice(i, Math.min(i + BATCH_SIZE, chunks.length));
+    const texts = batch.map(c => c.text.length > MAX_EMBED_CHARS ? c.text.slice(0, MAX_EMBED_CHARS) : c.text);
+    process.stdout.write(`\r  Embedding ${i + 1}-${i + batch.length}/${chunks.length}`);
+
+    const embedded = [];
+    try {
+      const response = await cachedEmbed(model, texts, { scope: 'index' });
+      batch.forEach((chunk, j) => embedded.push({ chunk, embedding: embeddingToBuffer(response.embeddings[j]) }));
+    } catch (err) {
+      logger.debug(`  Batch error, individual fallback: ${err.message}`);
+      for (let j = 0; j < batch.length; j++) {
+        try {
+          const response = await cachedEmbed(model, texts[j].slice(0, 800), { scope: 'index' });
+          embedded.push({ chunk: batch[j], embedding: embeddingToBuffer(response.embeddings[0]) });
+        } catch {
+          logger.error(`  Skipping chunk: ${texts[j].slice(0, 50)}...`);
+        }
+      }
+    }
+    saveChunks(embedded);
+    saved += embedded.length;
+  }
+
+  console.log('');
+  logger.info(`  Saved ${saved} ${platform} chunks`);
+
+  db.close();
+  require('./vector-index').updateAnnIndex();
+  return { platform, messages: messages.length, new: fresh.length, chunks: saved };
+}
+
+module.exports = {
+  importExport,
+  chunkExternalMessages,
+  chunkExternalByTurns,
+  ensureExternalSchema,
+  externalSources,
+  externalSourceWeights,
+  externalMeta,
+};
@@ -0,0 +1,355 @@
+const { existsSync } = require('fs');
+const { join } = require('path');
+const { createHash } = require('crypto');
+const Database = require('better-sqlite3');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const { keywordTable } = require('./keyword-index');
+const { compileFilter } = require('./search-filter');
+const { defaultSources } = require('./unified-search');
+
+/**
+ * Forget: delete specific chunks from every index.
+ *
+ * A selector picks chunks by any combination of:
+ *
+ *   {
+ *     id: [12, 13],              // chunk ids (one source only)
+ *     file: 'notes/*.md',        // glob over the chunk's file: memory file, transcript or export path
+ *     session: '3f2a91c0',       // chat session id / imported thread (or prefix)
+ *     since: '2026-01-01',       // time range (chunk overlaps it; chunks without timestamps never match)
+ *     until: '7d',
+ *     match: 'hunter2',          // case-insensitive substring of the chunk text
+ *   }
+ *
+ * All given fields must match; an empty selector is refused. Matching rows
+ * are deleted with SQLite's secure_delete on (freed pages are zeroed), which
+ * takes their embeddings and FTS entries with them. FTS5 only marks deleted
+ * tokens until its segments are merged, so the keyword indexes are optimized
+ * and each database's write-ahead log is checkpointed and truncated: the text
+ * is gone from the files on disk, not just from queries. Cached embeddings of
+ * the same text are evicted, and in-process search state (VectorIndex, HNSW
+ * graph, connection pool) is invalidated. Imported and Telegram messages stay
+ * recorded in external_messages / telegram_messages, so re-importing an export
+ * doesn't bring them back.
+ *
+ * Every deletion is logged to the chat DB's `forget_audit` table: when, which
+ * chunk, its location, the selector and a SHA-256 of the text — never the
+ * text itself (a `match` in the selector is recorded as its SHA-256 too).
+ *
+ * Memory chunks come back if their source file changes and is re-indexed:
+ * edit or delete the file as well.
+ */
+
+const SELECTOR_FIELDS = ['id', 'file', 'session', 'since', 'until', 'match'];
+
+// Ingesters embed truncated text; the cache is keyed by exactly what was sent
+const EMBED_TRUNCATIONS = [1500, 800];
+
+// Per chunk table: columns to read and the search-filter view of a row
+const TABLE_VIEWS = {
+  chunks: {
+    columns: 'id, file, text',
+    meta: row => ({ file: row.file }),
+    location: row => row.file,
+  },
+  chat_chunks: {
+    columns: 'id, session_id, file, start_ts, end_ts, text',
+    meta: row => ({ file: row.file, sessionId: row.session_id, startTs: row.start_ts, endTs: row.end_ts }),
+    location: row => `session:${row.session_id}`,
+  },
+  telegram_chunks: {
+    columns: 'id, source, start_ts, end_ts, text',
+    meta: row => ({ file: row.source, startTs: row.start_ts, endTs: row.end_ts }),
+    location: row => row.source,
+  },
+  external_chunks: {
+    columns: 'id, platform, source, thread, start_ts, end_ts, text',
+    meta: row => ({ file: row.source, sessionId: row.thread, startTs: row.start_ts, endTs: row.end_ts }),
+    location: row => `${row.platform}:${row.thread}`,
+  },
+};
+
+function hashText(text) {
+  return createHash('sha256').update(text, 'utf-8').digest('hex');
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+
+function ensureAuditSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS forget_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      forgotten_at TEXT NOT NULL,
+      source TEXT NOT NULL,
+      chunk_id INTEGER NOT NULL,
+      location TEXT,
+      start_ts TEXT,
+      end_ts TEXT,
+      text_sha256 TEXT NOT NULL,
+      text_length INTEGER NOT NULL,
+      selector TEXT NOT NULL,
+      actor TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_forget_audit_at ON forget_audit(forgotten_at);
+  `);
+}
+
+/**
+ * Validate a selector and normalize its fields.
+ * @returns {{ ids: number[]|null, match: string|null, filter: Function|null }}
+ */
+function compileSelector(selector, sources) {
+  if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+    throw new Error('Selector must be an object');
+  }
+  const unknown = Object.keys(selector).filter(k => !SELECTOR_FIELDS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown selector field(s): ${unknown.join(', ')} (expected: ${SELECTOR_FIELDS.join(', ')})`);
+  }
+  const given = SELECTOR_FIELDS.filter(f => selector[f] != null && selector[f] !== '' && !(Array.isArray(selector[f]) && selector[f].length === 0));
+  if (given.length === 0) {
+    throw new Error(`Refusing to forget everything: give at least one of ${SELECTOR_FIELDS.join(', ')}`);
+  }
+
+  let ids = null;
+  if (selector.id != null && selector.id !== '') {
+    if (sources.length !== 1) throw new Error('Chunk ids are per source: select exactly one source with an id');
+    ids = [].concat(selector.id).flatMap(v => String(v).split(',')).map(v => Number(v.trim()));
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new Error(`Invalid chunk id(s): ${[].concat(selector.id).join(', ')}`);
+    }
+  }
+
+  const match = selector.match ? String(selector.match).toLowerCase() : null;
+  const filter = compileFilter({
+    file: selector.file || undefined,
+    sessionId: selector.session || undefined,
+    since: selector.since ?? undefined,
+    until: selector.until ?? undefined,
+  });
+  return { ids, match, filter };
+}
+
+/**
+ * Check a selector and source list without touching any database.
+ * Throws on unknown sources or fields, an empty selector, or bad ids/times.
+ * @param {object} selector
+ * @param {string[]} [sources] - Default: all
+ * @returns {{ sources: string[], compiled: object }}
+ */
+function validateSelector(selector, sources) {
+  sources = sources?.length ? sources : defaultSources();
+  const unknown = sources.filter(s => !keywordTable(s));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')} (expected: ${defaultSources().join(', ')})`);
+  }
+  return { sources, compiled: compileSelector(selector, sources) };
+}
+
+/**
+ * Open the databases chunks live in (read-write), skipping missing ones.
+ * @returns {Object<string, import('better-sqlite3').Database>}
+ */
+function openDatabases(opts) {
+  const paths = { searchDb: opts.searchDb || config.paths.searchDb, chatDb: opts.chatDb || config.paths.chatDb };
+  const dbs = {};
+  for (const [name, path] of Object.entries(paths)) {
+    if (!existsSync(path)) continue;
+    dbs[name] = new Database(path);
+    dbs[name].pragma('secure_delete = ON');
+  }
+  return dbs;
+}
+
+/**
+ * Find the chunks a selector matches.
+ * @returns {Array<{ source: string, table: string, db: string, row: object }>}
+ */
+function findChunks(dbs, sources, compiled) {
+  const found = [];
+  for (const source of sources) {
+    const spec = keywordTable(source);
+    const db = spec && dbs[spec.db];
+    if (!db || !tableExists(db, spec.table)) continue;
+    const view = TABLE_VIEWS[spec.table];
+
+    const where = [];
+    const params = [];
+    if (spec.platform) { where.push('platform = ?'); params.push(spec.platform); }
+    if (compiled.ids) { where.push(`id IN (${compiled.ids.map(() => '?').join(', ')})`); params.push(...compiled.ids); }
+    if (compiled.match) { where.push('instr(lower(text), ?) > 0'); params.push(compiled.match); }
+
+    const rows = db.prepare(`
+      SELECT ${view.columns} FROM ${spec.table}
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id
+    `).all(...params);
+
+    for (const row of rows) {
+      // SQLite's lower() only folds ASCII: re-check the match in JS
+      if (compiled.match && !row.text.toLowerCase().includes(compiled.match)) continue;
+      if (compiled.filter && !compiled.filter({ source, text: row.text, meta: view.meta(row) })) continue;
+      found.push({ source, table: spec.table, db: spec.db, row });
+    }
+  }
+  return found;
+}
+
+/**
+ * Remove what deleted rows leave behind in a database file: FTS5's 'delete'
+ * only records tombstones, and the old segments (holding the tokens) are
+ * dropped by a full merge; the write-ahead log still holds the old pages
+ * until it is checkpointed.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string[]} tables - Chunk tables rows were deleted from
+ */
+function scrubDatabase(db, tables) {
+  for (const table of new Set(tables)) {
+    const fts = `${table}_fts`;
+    if (tableExists(db, fts)) db.prepare(`INSERT INTO ${fts}(${fts}) VALUES ('optimize')`).run();
+  }
+  const [checkpoint] = db.pragma('wal_checkpoint(TRUNCATE)');
+  if (checkpoint?.busy) {
+    logger.warn(`Forget: ${db.name} is in use, its write-ahead log could not be truncated (stop the ingester and run forget again)`);
+  }
+}
+
+/**
+ * Tell in-process searchers the indexes changed.
+ */
+function invalidateSearchState() {
+  const { vectorIndex, updateAnnIndex } = require('./vector-index');
+  const { invalidatePool } = require('./unified-search');
+  vectorIndex.invalidate();
+  invalidatePool();
+  updateAnnIndex();
+}
+
+/**
+ * Forget the chunks a selector matches (see module doc).
+ *
+ * @param {object} selector - { id, file, session, since, until, match }
+ * @param {object} [opts]
+ * @param {string[]} [opts.sources] - Sources to search (default: all)
+ * @param {boolean} [opts.dryRun=false] - Only report what would be forgotten
+ * @param {string} [opts.actor] - Who asked (recorded in the audit log, e.g. 'cli', 'api')
+ * @param {string} [opts.chatDb] - Chat DB path (default: config.paths.chatDb)
+ * @param {string} [opts.searchDb] - Memory DB path (default: config.paths.searchDb)
+ * @returns {{ dryRun: boolean, forgotten: number, bySource: Object<string, number>, chunks: Array<{ source, id, location, startTs, endTs, preview }>, memoryFilesOnDisk: string[] }}
+ */
+function forget(selector, opts = {}) {
+  const { sources, compiled } = validateSelector(selector, opts.sources);
+
+  const dbs = openDatabases(opts);
+  let deleted = false;
+  try {
+    const found = findChunks(dbs, sources, compiled);
+    const bySource = {};
+    for (const { source } of found) bySource[source] = (bySource[source] || 0) + 1;
+
+    const memoryDir = config.paths.memoryDir;
+    const memoryFilesOnDisk = [...new Set(found.filter(c => c.table === 'chunks').map(c => c.row.file))]
+      .filter(file => existsSync(join(memoryDir, file)));
+
+    const summary = {
+      dryRun: !!opts.dryRun,
+      forgotten: opts.dryRun ? 0 : found.length,
+      bySource,
+      chunks: found.map(({ source, table, row }) => ({
+        source,
+        id: row.id,
+        location: TABLE_VIEWS[table].location(row),
+        startTs: row.start_ts || null,
+        endTs: row.end_ts || null,
+        preview: row.text.slice(0, 120).replace(/\s+/g, ' '),
+      })),
+      memoryFilesOnDisk,
+    };
+    if (opts.dryRun || found.length === 0) return summary;
+
+    // Delete per database, recording each chunk in the audit log (chat DB) as part of the same run
+    const auditDb = dbs.chatDb || new Database(opts.chatDb || config.paths.chatDb);
+    dbs.chatDb = auditDb;
+    ensureAuditSchema(auditDb);
+    const audit = auditDb.prepare(`
+      INSERT INTO forget_audit (forgotten_at, source, chunk_id, location, start_ts, end_ts, text_sha256, text_length, selector, actor)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const now = new Date().toISOString();
+    const selectorJson = JSON.stringify({
+      ...selector,
+      ...(selector.match ? { match: `sha256:${hashText(String(selector.match))}` } : {}),
+      sources,
+    });
+
+    for (const [dbName, db] of Object.entries(dbs)) {
+      const chunks = found.filter(c => c.db === dbName);
+      if (chunks.length === 0) continue;
+      db.transaction(() => {
+        for (const { table, row } of chunks) {
+          db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(row.id);
+          // Messages stay recorded as imported, so a re-import skips them
+          if (table === 'external_chunks') {
+            db.prepare('UPDATE external_messages SET chunk_id = NULL WHERE chunk_id = ?').run(row.id);
+          } else if (table === 'telegram_chunks' && tableExists(db, 'telegram_messages')) {
+            db.prepare('UPDATE telegram_messages SET chunk_id = NULL WHERE chunk_id = ?').run(row.id);
+          }
+        }
+        if (dbName === 'searchDb') {
+          db.prepare(`
+            UPDATE file_manifest SET chunk_count = (SELECT COUNT(*) FROM chunks WHERE chunks.file = file_manifest.path)
+            WHERE path IN (SELECT value FROM json_each(?))
+          `).run(JSON.stringify([...new Set(chunks.map(c => c.row.file))]));
+        }
+      })();
+      deleted = true;
+    }
+    auditDb.transaction(() => {
+      for (const { source, table, row } of found) {
+        audit.run(
+          now, source, row.id, TABLE_VIEWS[table].location(row), row.start_ts || null, row.end_ts || null,
+          hashText(row.text), row.text.length, selectorJson, opts.actor || null
+        );
+      }
+    })();
+
+    for (const [dbName, db] of Object.entries(dbs)) {
+      const tables = found.filter(c => c.db === dbName).map(c => c.table);
+      if (tables.length > 0 || db === auditDb) scrubDatabase(db, tables);
+    }
+
+    const { evictEmbeddings } = require('../../shared/embedding-cache');
+    const evicted = evictEmbeddings(found.flatMap(({ row }) => [row.text, ...EMBED_TRUNCATIONS.map(n => row.text.slice(0, n))]));
+
+    logger.info(`Forgot ${found.length} chunks (${Object.entries(bySource).map(([s, n]) => `${s}: ${n}`).join(', ')}), ${evicted} cached embeddings evicted`);
+    return summary;
+  } finally {
+    for (const db of Object.values(dbs)) db.close();
+    if (deleted) invalidateSearchState();
+  }
+}
+
+/**
+ * Recent forget_audit entries, newest first.
+ * @param {object} [opts]
+ * @param {number} [opts.limit=50]
+ * @param {string} [opts.chatDb]
+ * @returns {Array<object>}
+ */
+function forgetAuditLog(opts = {}) {
+  const path = opts.chatDb || config.paths.chatDb;
+  if (!existsSync(path)) return [];
+  const db = new Database(path, { readonly: true });
+  try {
+    if (!tableExists(db, 'forget_audit')) return [];
+    return db.prepare('SELECT * FROM forget_audit ORDER BY id DESC LIMIT ?').all(opts.limit || 50)
+      .map(row => ({ ...row, selector: JSON.parse(row.selector) }));
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { forget, forgetAuditLog, validateSelector, SELECTOR_FIELDS };
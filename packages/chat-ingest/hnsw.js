@@ -0,0 +1,428 @@
+/**
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin, 2016) for
+ * approximate nearest-neighbour search over VectorIndex rows.
+ *
+ * The graph stores row numbers only and reads vectors from the VectorIndex
+ * matrix (row-major, pre-normalized Float32Array), so similarity is a dot
+ * product and no vector is held twice.
+ */
+
+const FILE_MAGIC = 'HNSW';
+const FILE_VERSION = 1;
+
+/**
+ * Binary heap of (score, node) pairs in parallel arrays.
+ * max=true pops the highest score first, max=false the lowest.
+ */
+class ScoreHeap {
+  constructor(max) {
+    this.max = max;
+    this.scores = [];
+    this.nodes = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  peekScore() {
+    return this.scores[0];
+  }
+
+  _above(a, b) {
+    return this.max ? this.scores[a] > this.scores[b] : this.scores[a] < this.scores[b];
+  }
+
+  _swap(a, b) {
+    [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+    [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+  }
+
+  push(score, node) {
+    this.scores.push(score);
+    this.nodes.push(node);
+    let i = this.nodes.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this._above(i, parent)) break;
+      this._swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = { score: this.scores[0], node: this.nodes[0] };
+    const lastScore = this.scores.pop();
+    const lastNode = this.nodes.pop();
+    if (this.nodes.length > 0) {
+      this.scores[0] = lastScore;
+      this.nodes[0] = lastNode;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < this.nodes.length && this._above(left, best)) best = left;
+        if (right < this.nodes.length && this._above(right, best)) best = right;
+        if (best === i) break;
+        this._swap(i, best);
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+class HnswGraph {
+  /**
+   * @param {object} opts
+   * @param {number} opts.dim - Vector width
+   * @param {Float32Array} [opts.vectors] - Row-major, unit-length vectors
+   * @param {number} [opts.M=16] - Links per node per layer (2×M on layer 0)
+   * @param {number} [opts.efConstruction=100] - Candidate list size while inserting
+   */
+  constructor({ dim, vectors = null, M = 16, efConstruction = 100 }) {
+    this.dim = dim;
+    this.vectors = vectors;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.mL = 1 / Math.log(M);
+    this.levels = [];             // levels[row] = top layer of the node (undefined = not in graph)
+    this.links = [];              // links[row][layer] = neighbour rows
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.count = 0;
+    this._visited = new Uint32Array(0);
+    this._visitMark = 0;
+  }
+
+  has(row) {
+    return this.levels[row] !== undefined;
+  }
+
+  _row(row) {
+    return this.vectors.subarray(row * this.dim, (row + 1) * this.dim);
+  }
+
+  _dot(q, row) {
+    const v = this.vectors;
+    const offset = row * this.dim;
+    let dot = 0;
+    for (let j = 0; j < this.dim; j++) {
+      dot += q[j] * v[offset + j];
+    }
+    return dot;
+  }
+
+  _nextVisitMark() {
+    if (this._visited.length < this.levels.length) {
+      this._visited = new Uint32Array(Math.max(this.levels.length, this._visited.length * 2));
+      this._visitMark = 0;
+    }
+    if (++this._visitMark === 0xffffffff) {
+      this._visited.fill(0);
+      this._visitMark = 1;
+    }
+    return this._visitMark;
+  }
+
+  _randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.mL);
+  }
+
+  /**
+   * Greedy walk on one layer: move to the best neighbour until none is better.
+   */
+  _greedy(q, entry, layer) {
+    let best = entry;
+    let bestScore = this._dot(q, entry);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const nb of this.links[best][layer]) {
+        const score = this._dot(q, nb);
+        if (score > bestScore) {
+          best = nb;
+          bestScore = score;
+          changed = true;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Beam search on one layer.
+   * Nodes rejected by `accept` are still traversed (they keep the graph
+   * connected) but never returned.
+   * @returns {Array<{ node: number, score: number }>} Best first, at most ef
+   */
+  _searchLayer(q, entries, ef, layer, accept = null) {
+    const mark = this._nextVisitMark();
+    const visited = this._visited;
+    const candidates = new ScoreHeap(true);
+    const results = new ScoreHeap(false);
+
+    for (const ep of entries) {
+      visited[ep] = mark;
+      const score = this._dot(q, ep);
+      candidates.push(score, ep);
+      if (!accept || accept(ep)) results.push(score, ep);
+    }
+
+    while (candidates.size > 0) {
+      if (results.size >= ef && candidates.peekScore() < results.peekScore()) break;
+      const { node } = candidates.pop();
+
+      for (const nb of this.links[node][layer]) {
+        if (visited[nb] === mark) continue;
+        visited[nb] = mark;
+
+        const score = this._dot(q, nb);
+        if (results.size < ef || score > results.peekScore()) {
+          candidates.push(score, nb);
+          if (!accept || accept(nb)) {
+            results.push(score, nb);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    const out = new Array(results.size);
+    for (let i = out.length - 1; i >= 0; i--) out[i] = results.pop();
+    return out;
+  }
+
+  /**
+   * Neighbour-selection heuristic: keep a candidate only if it is closer to the
+   * base than to every neighbour already kept (spreads links across directions),
+   * then top up with the best pruned candidates.
+   * @param {Array<{ node, score }>} candidates - Sorted best first
+   */
+  _selectNeighbours(candidates, max) {
+    const selected = [];
+    const pruned = [];
+    for (const c of candidates) {
+      if (selected.length >= max) break;
+      const q = this._row(c.node);
+      let keep = true;
+      for (const s of selected) {
+        if (this._dot(q, s.node) > c.score) {
+          keep = false;
+          break;
+        }
+      }
+      (keep ? selected : pruned).push(c);
+    }
+    for (const c of pruned) {
+      if (selected.length >= max) break;
+      selected.push(c);
+    }
+    return selected;
+  }
+
+  /**
+   * Insert a matrix row into the graph.
+   * @param {number} row
+   */
+  add(row) {
+    if (this.has(row)) return;
+    const level = this._randomLevel();
+    this.levels[row] = level;
+    this.links[row] = Array.from({ length: level + 1 }, () => []);
+    this.count++;
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = row;
+      this.maxLevel = level;
+      return;
+    }
+
+    const q = this._row(row);
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this._greedy(q, entry, layer);
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const found = this._searchLayer(q, entries, this.efConstruction, layer);
+      const maxLinks = layer === 0 ? this.M * 2 : this.M;
+      const neighbours = this._selectNeighbours(found, this.M);
+      this.links[row][layer] = neighbours.map(n => n.node);
+
+      for (const { node } of neighbours) {
+        const list = this.links[node][layer];
+        list.push(row);
+        if (list.length > maxLinks) {
+          const base = this._row(node);
+          const ranked = list
+            .map(nb => ({ node: nb, score: this._dot(base, nb) }))
+            .sort((a, b) => b.score - a.score);
+          this.links[node][layer] = this._selectNeighbours(ranked, maxLinks).map(n => n.node);
+        }
+      }
+      entries = found.map(f => f.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = row;
+    }
+  }
+
+  /**
+   * Approximate top-k by dot product.
+   * @param {Float32Array} q - Unit-length query
+   * @param {number} k
+   * @param {object} [opts]
+   * @param {number} [opts.ef] - Beam width on layer 0 (>= k)
+   * @param {(row: number) => boolean} [opts.accept] - Row filter
+   * @returns {Array<{ node: number, score: number }>} Best first
+   */
+  search(q, k, opts = {}) {
+    if (this.entryPoint === -1) return [];
+    const ef = Math.max(opts.ef || k, k);
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this._greedy(q, entry, layer);
+    }
+    return this._searchLayer(q, [entry], ef, 0, opts.accept || null).slice(0, k);
+  }
+
+  /**
+   * Carry the graph over to a reloaded matrix whose row order changed.
+   * Rows whose key disappeared are dropped along with their links; rows that
+   * are new are left for the caller to add().
+   *
+   * @param {string[]} oldKeys - Key of each row in this graph
+   * @param {Map<string, number>} newRows - Key → row in the new matrix
+   * @param {Float32Array} vectors - New matrix
+   * @returns {{ graph: HnswGraph, kept: number, dropped: number }}
+   */
+  remap(oldKeys, newRows, vectors) {
+    const graph = new HnswGraph({ dim: this.dim, vectors, M: this.M, efConstruction: this.efConstruction });
+    const rowOf = new Int32Array(oldKeys.length).fill(-1);
+    oldKeys.forEach((key, oldRow) => {
+      if (this.has(oldRow) && newRows.has(key)) rowOf[oldRow] = newRows.get(key);
+    });
+
+    let kept = 0;
+    let dropped = 0;
+    for (let oldRow = 0; oldRow < oldKeys.length; oldRow++) {
+      if (!this.has(oldRow)) continue;
+      const row = rowOf[oldRow];
+      if (row === -1) {
+        dropped++;
+        continue;
+      }
+      graph.levels[row] = this.levels[oldRow];
+      graph.links[row] = this.links[oldRow].map(list => {
+        const mapped = [];
+        for (const nb of list) {
+          if (rowOf[nb] !== -1) mapped.push(rowOf[nb]);
+        }
+        return mapped;
+      });
+      graph.count++;
+      kept++;
+      if (graph.entryPoint === -1 || graph.levels[row] > graph.maxLevel) {
+        graph.entryPoint = row;
+        graph.maxLevel = graph.levels[row];
+      }
+    }
+
+    // Prefer the original entry point if it survived
+    if (this.entryPoint !== -1 && rowOf[this.entryPoint] !== -1) {
+      graph.entryPoint = rowOf[this.entryPoint];
+      graph.maxLevel = this.levels[this.entryPoint];
+    }
+
+    return { graph, kept, dropped };
+  }
+
+  /**
+   * Serialize: "HNSW" | version u32 | header length u32 | header JSON | int32 body.
+   * Body per row, in key order: level, then per layer: link count, links.
+   * @param {string[]} keys - Stable key per row (e.g. "memory:12")
+   * @param {object} [extra] - Additional header fields (model, …)
+   * @returns {Buffer}
+   */
+  serialize(keys, extra = {}) {
+    const header = Buffer.from(JSON.stringify({
+      ...extra,
+      dim: this.dim,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      keys,
+    }), 'utf-8');
+
+    let ints = 0;
+    for (let row = 0; row < keys.length; row++) {
+      ints++;
+      if (!this.has(row)) continue;
+      for (const list of this.links[row]) ints += 1 + list.length;
+    }
+
+    const body = new Int32Array(ints);
+    let p = 0;
+    for (let row = 0; row < keys.length; row++) {
+      if (!this.has(row)) {
+        body[p++] = -1;
+        continue;
+      }
+      body[p++] = this.levels[row];
+      for (const list of this.links[row]) {
+        body[p++] = list.length;
+        for (const nb of list) body[p++] = nb;
+      }
+    }
+
+    const prefix = Buffer.alloc(12);
+    prefix.write(FILE_MAGIC, 0, 'ascii');
+    prefix.writeUInt32LE(FILE_VERSION, 4);
+    prefix.writeUInt32LE(header.length, 8);
+    return Buffer.concat([prefix, header, Buffer.from(body.buffer)]);
+  }
+
+  /**
+   * @param {Buffer} buffer - Output of serialize()
+   * @returns {{ graph: HnswGraph, keys: string[], header: object }}
+   */
+  static deserialize(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== FILE_MAGIC) throw new Error('Not an HNSW index file');
+    const version = buffer.readUInt32LE(4);
+    if (version !== FILE_VERSION) throw new Error(`Unsupported HNSW index version ${version}`);
+
+    const headerLength = buffer.readUInt32LE(8);
+    const header = JSON.parse(buffer.toString('utf-8', 12, 12 + headerLength));
+    const bodyBytes = buffer.subarray(12 + headerLength);
+    // Copy: the Int32Array view needs 4-byte alignment
+    const body = new Int32Array(new Uint8Array(bodyBytes).buffer);
+
+    const graph = new HnswGraph({ dim: header.dim, M: header.M, efConstruction: header.efConstruction });
+    let p = 0;
+    for (let row = 0; row < header.keys.length; row++) {
+      const level = body[p++];
+      if (level < 0) continue;
+      graph.levels[row] = level;
+      graph.links[row] = [];
+      for (let layer = 0; layer <= level; layer++) {
+        const n = body[p++];
+        graph.links[row].push(Array.from(body.subarray(p, p + n)));
+        p += n;
+      }
+      graph.count++;
+    }
+    graph.entryPoint = header.entryPoint;
+    graph.maxLevel = header.maxLevel;
+
+    return { graph, keys: header.keys, header };
+  }
+}
+
+module.exports = { HnswGraph, ScoreHeap };
@@ -0,0 +1,67 @@
+const { existsSync, readFileSync, statSync } = require('fs');
+const { resolveRole, attachment } = require('./message');
+
+/**
+ * Discord channel export in DiscordChatExporter's JSON format:
+ * `{ guild, channel, messages: [{ id, type, timestamp, content, author, attachments, mentions }] }`.
+ * One file per channel; the thread is "<guild>#<channel>" ("#<channel>" for DMs).
+ */
+
+// Message types that carry user content; the rest (joins, pins, calls…) are system messages
+const CONTENT_TYPES = new Set(['Default', 'Reply', 'ThreadStarterMessage', 'ChatInputCommand', 'ContextMenuCommand']);
+
+function readExport(path) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Replace raw mention markup (<@123>, <#456>) with names where the export has them.
+ */
+function renderContent(content, mentions) {
+  const names = new Map((mentions || []).map(u => [String(u.id), u.nickname || u.name]));
+  return String(content || '')
+    .replace(/<@!?(\d+)>/g, (_, id) => `@${names.get(id) || id}`)
+    .replace(/<a?(:\w+:)\d+>/g, '$1')
+    .trim();
+}
+
+const discord = {
+  name: 'discord',
+  description: 'Discord channel export (DiscordChatExporter JSON)',
+
+  detect(path) {
+    if (!existsSync(path) || statSync(path).isDirectory() || !path.toLowerCase().endsWith('.json')) return false;
+    const data = readExport(path);
+    return !!data.channel && Array.isArray(data.messages) && (data.messages.length === 0 || !!data.messages[0].author);
+  },
+
+  /**
+   * @param {string} path - Exported .json file
+   * @param {{ self?: string[] }} [opts]
+   */
+  parse(path, opts = {}) {
+    const data = readExport(path);
+    const channel = data.channel?.name || data.channel?.id || 'unknown';
+    const thread = data.guild?.name && data.guild.name !== 'Direct Messages'
+      ? `${data.guild.name}#${channel}`
+      : `#${channel}`;
+
+    return (data.messages || []).map(m => {
+      const author = m.author || {};
+      const msg = {
+        id: String(m.id),
+        sender: author.nickname || author.name || 'unknown',
+        senderId: author.id ? String(author.id) : null,
+        thread,
+        timestamp: new Date(m.timestamp).toISOString(),
+        text: renderContent(m.content, m.mentions),
+        attachments: (m.attachments || []).map(a => attachment(a.fileName, null, a.url)),
+      };
+      const fallback = !CONTENT_TYPES.has(m.type || 'Default') ? 'system' : author.isBot ? 'bot' : 'other';
+      msg.role = resolveRole(msg, opts.self, fallback);
+      return msg;
+    });
+  },
+};
+
+module.exports = { discord };
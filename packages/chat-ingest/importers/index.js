@@ -0,0 +1,75 @@
+const { contentId, resolveRole } = require('./message');
+const { slack } = require('./slack');
+const { discord } = require('./discord');
+const { whatsapp } = require('./whatsapp');
+const { signal } = require('./signal');
+const { mbox } = require('./mbox');
+
+/**
+ * Chat export importer registry.
+ *
+ * An importer is `{ name, description, detect(path), parse(path, opts) }`:
+ * - detect() returns true if the file or directory looks like its export format
+ * - parse() returns (or resolves to) normalized messages:
+ *
+ *   {
+ *     id: string,           // Platform message id (content hash when the format has none)
+ *     sender: string,       // Display name or address
+ *     senderId: string|null,
+ *     role: 'self'|'other'|'bot'|'system',
+ *     thread: string,       // Conversation: channel, DM, reply thread, mail thread
+ *     timestamp: string,    // ISO 8601
+ *     text: string,
+ *     attachments: Array<{ name: string, type: string|null, url: string|null }>,
+ *   }
+ *
+ * `role` is 'self' for messages sent by the export's owner, recognized by
+ * `opts.self` (sender names, ids or addresses; see message.js resolveRole()).
+ * The importer's name doubles as the search source name of its chunks.
+ */
+const importers = new Map();
+
+function registerImporter(importer) {
+  importers.set(importer.name, importer);
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getImporter(name) {
+  return importers.get(name) || null;
+}
+
+/**
+ * First importer whose detect() accepts the path.
+ * @param {string} path - Export file or directory
+ * @returns {object|null}
+ */
+function detectImporter(path) {
+  for (const importer of importers.values()) {
+    try {
+      if (importer.detect(path)) return importer;
+    } catch {
+      // unreadable as this format
+    }
+  }
+  return null;
+}
+
+function listImporters() {
+  return [...importers.keys()];
+}
+
+for (const importer of [slack, discord, whatsapp, signal, mbox]) {
+  registerImporter(importer);
+}
+
+module.exports = {
+  registerImporter,
+  getImporter,
+  detectImporter,
+  listImporters,
+  contentId,
+  resolveRole,
+};
@@ -0,0 +1,65 @@
+const { existsSync, statSync, openSync, readSync, closeSync } = require('fs');
+const { extname } = require('path');
+const { splitMboxLines, parseMessage, stripQuoted, normalizeSubject } = require('../../../shared/mime');
+const { readLines } = require('../transcript-reader');
+const { contentId, resolveRole, attachment } = require('./message');
+
+/**
+ * Mailbox in mbox format (Thunderbird, Gmail Takeout, mutt). Each message's
+ * readable body (text/plain, else HTML converted to text) is kept without
+ * quoted replies or signature; the thread is the subject with reply/forward
+ * prefixes removed. Ids are Message-IDs, hashed from the headers when missing.
+ * The mailbox is read line by line, one message at a time, never whole.
+ */
+
+function startsWithFromLine(path) {
+  const fd = openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(5);
+    readSync(fd, head, 0, 5, 0);
+    return head.toString('latin1') === 'From ';
+  } finally {
+    closeSync(fd);
+  }
+}
+
+const mbox = {
+  name: 'mbox',
+  description: 'Mailbox file (mbox)',
+
+  detect(path) {
+    if (!existsSync(path) || statSync(path).isDirectory()) return false;
+    return extname(path).toLowerCase() === '.mbox' || startsWithFromLine(path);
+  },
+
+  /**
+   * @param {string} path - .mbox file
+   * @param {{ self?: string[] }} [opts]
+   */
+  parse(path, opts = {}) {
+    const messages = [];
+    // Read as bytes: each message part is decoded with its own charset
+    const lines = (function* () {
+      for (const line of readLines(path, 0, undefined, 'latin1')) yield line.text;
+    })();
+    for (const raw of splitMboxLines(lines)) {
+      const mail = parseMessage(Buffer.from(raw, 'latin1'));
+      const sender = mail.from.name || mail.from.address || 'unknown';
+      const msg = {
+        id: mail.messageId || contentId(mail.headers.from, mail.headers.date, mail.subject, mail.text.slice(0, 200)),
+        sender,
+        senderId: mail.from.address,
+        thread: normalizeSubject(mail.subject),
+        timestamp: mail.date,
+        text: [mail.subject, stripQuoted(mail.text)].filter(Boolean).join('\n'),
+        attachments: mail.attachments.map(a => attachment(a.name, a.type)),
+      };
+      if (!msg.timestamp) continue;
+      msg.role = resolveRole(msg, opts.self);
+      messages.push(msg);
+    }
+    return messages;
+  },
+};
+
+module.exports = { mbox, stripQuoted, normalizeSubject };
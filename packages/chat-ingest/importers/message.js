@@ -0,0 +1,43 @@
+const { createHash } = require('crypto');
+
+/**
+ * Helpers shared by the importers for building normalized messages
+ * (see importers/index.js for the message model).
+ */
+
+/**
+ * Stable id for messages from formats without native ids (WhatsApp, Signal):
+ * the same message in a later, longer export hashes to the same id.
+ * @param {...string} parts
+ * @returns {string}
+ */
+function contentId(...parts) {
+  return createHash('sha256').update(parts.map(p => String(p ?? '')).join('\u0000'), 'utf-8').digest('hex').slice(0, 24);
+}
+
+/**
+ * Role of a message from its sender: 'self' if the sender (name, id or
+ * address, case-insensitive) is listed in `self`, else the importer's guess.
+ * System messages stay 'system'.
+ * @param {{ sender: string, senderId?: string|null }} msg
+ * @param {string[]} [self]
+ * @param {'other'|'bot'|'system'} [fallback='other']
+ * @returns {string}
+ */
+function resolveRole(msg, self = [], fallback = 'other') {
+  if (fallback === 'system') return fallback;
+  const names = [msg.sender, msg.senderId].filter(Boolean).map(s => String(s).toLowerCase());
+  return self.some(s => names.includes(String(s).toLowerCase())) ? 'self' : fallback;
+}
+
+/**
+ * Normalized attachment entry.
+ * @param {string} name
+ * @param {string|null} [type] - MIME type
+ * @param {string|null} [url]
+ */
+function attachment(name, type = null, url = null) {
+  return { name: String(name || 'attachment'), type: type || null, url: url || null };
+}
+
+module.exports = { contentId, resolveRole, attachment };
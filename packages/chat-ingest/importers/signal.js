@@ -0,0 +1,83 @@
+const { existsSync, readdirSync, readFileSync, statSync } = require('fs');
+const { basename, dirname, join } = require('path');
+const { contentId, resolveRole, attachment } = require('./message');
+
+/**
+ * Signal Desktop export from signal-export: one directory per conversation
+ * holding a chat.md of "[YYYY-MM-DD HH:MM] Sender: text" lines, with media
+ * linked as markdown images/links into ./media. Accepts a single chat.md or
+ * the export root (every <conversation>/chat.md below it). The thread is the
+ * conversation directory's name. Signal exports have no message ids, so ids
+ * hash the thread, time, sender, text and repeat count.
+ */
+
+const LINE = /^\[(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2})?)\]\s+([^:]+?):\s?(.*)$/;
+const MEDIA_LINK = /!?\[([^\]]*)\]\((\.?\/?media\/[^)]+)\)/g;
+
+function chatFiles(path) {
+  if (!statSync(path).isDirectory()) return [path];
+  if (existsSync(join(path, 'chat.md'))) return [join(path, 'chat.md')];
+  return readdirSync(path, { withFileTypes: true })
+    .filter(e => e.isDirectory() && existsSync(join(path, e.name, 'chat.md')))
+    .map(e => join(path, e.name, 'chat.md'));
+}
+
+function parseChat(file, opts) {
+  const thread = basename(dirname(file));
+  const raw = [];
+  for (const line of readFileSync(file, 'utf-8').split(/\r?\n/)) {
+    const m = line.match(LINE);
+    if (m) raw.push({ time: m[1], sender: m[2].trim(), body: [m[3]] });
+    else if (raw.length > 0) raw[raw.length - 1].body.push(line);
+  }
+
+  const seen = new Map();
+  return raw.map(({ time, sender, body }) => {
+    const attachments = [];
+    const text = body.join('\n')
+      .replace(MEDIA_LINK, (_, label, href) => {
+        attachments.push(attachment(label || basename(href), null, href));
+        return '';
+      })
+      .trim();
+
+    const key = `${time}\u0000${sender}\u0000${text}`;
+    const repeat = seen.get(key) || 0;
+    seen.set(key, repeat + 1);
+
+    const msg = {
+      id: contentId(thread, key, repeat),
+      sender,
+      senderId: null,
+      thread,
+      timestamp: new Date(time.replace(' ', 'T')).toISOString(),
+      text,
+      attachments,
+    };
+    msg.role = resolveRole(msg, opts.self);
+    return msg;
+  });
+}
+
+const signal = {
+  name: 'signal',
+  description: 'Signal Desktop export (signal-export chat.md files)',
+
+  detect(path) {
+    if (!existsSync(path)) return false;
+    const files = chatFiles(path).filter(f => f.endsWith('.md'));
+    if (files.length === 0) return false;
+    const first = readFileSync(files[0], 'utf-8').split(/\r?\n/).find(Boolean);
+    return !!first && LINE.test(first);
+  },
+
+  /**
+   * @param {string} path - chat.md, a conversation directory, or the export root
+   * @param {{ self?: string[] }} [opts]
+   */
+  parse(path, opts = {}) {
+    return chatFiles(path).flatMap(file => parseChat(file, opts));
+  },
+};
+
+module.exports = { signal };
@@ -0,0 +1,131 @@
+const { existsSync, readdirSync, readFileSync, statSync } = require('fs');
+const { join, relative, sep } = require('path');
+const { openZip } = require('./zip');
+const { resolveRole, attachment } = require('./message');
+const { decodeEntities } = require('../../../shared/html');
+
+/**
+ * Slack workspace export (Settings → Import/Export Data), as the downloaded
+ * .zip or its extracted directory: users.json, channels.json (plus
+ * groups/dms/mpims.json) and one folder per conversation holding a
+ * YYYY-MM-DD.json array of messages per day.
+ *
+ * Threads are channels ("#general", "dm:alice,bob"); reply threads get their
+ * own "#general/<thread_ts>" thread so replies are chunked together.
+ */
+
+const CONVERSATION_FILES = ['channels.json', 'groups.json', 'mpims.json', 'dms.json'];
+const DAY_FILE = /^([^/]+)\/\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * Uniform view of a zip or an extracted export directory.
+ */
+function openExport(path) {
+  if (statSync(path).isDirectory()) {
+    const files = [];
+    const walk = (dir) => {
+      for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const full = join(dir, entry.name);
+        if (entry.isDirectory()) walk(full);
+        else files.push(relative(path, full).split(sep).join('/'));
+      }
+    };
+    walk(path);
+    return { entries: files, readText: (name) => readFileSync(join(path, name), 'utf-8') };
+  }
+  return openZip(path);
+}
+
+function readJson(archive, name, fallback) {
+  if (!archive.entries.includes(name)) return fallback;
+  return JSON.parse(archive.readText(name));
+}
+
+/**
+ * Slack mrkdwn → plain text: resolve user/channel mentions, unwrap links.
+ */
+function renderText(text, users) {
+  return decodeEntities(String(text || '')
+    .replace(/<@([A-Z0-9]+)(?:\|([^>]+))?>/g, (_, id, label) => `@${label || users.get(id)?.name || id}`)
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+    .replace(/<!(here|channel|everyone)[^>]*>/g, '@$1')
+    .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+    .replace(/<(https?:[^>]+)>/g, '$1'))
+    .trim();
+}
+
+const slack = {
+  name: 'slack',
+  description: 'Slack workspace export (.zip or extracted directory)',
+
+  detect(path) {
+    if (!existsSync(path)) return false;
+    if (statSync(path).isDirectory()) {
+      return existsSync(join(path, 'users.json')) && CONVERSATION_FILES.some(f => existsSync(join(path, f)));
+    }
+    if (!path.toLowerCase().endsWith('.zip')) return false;
+    const { entries } = openZip(path);
+    return entries.includes('users.json') && CONVERSATION_FILES.some(f => entries.includes(f));
+  },
+
+  /**
+   * @param {string} path - Export .zip or directory
+   * @param {{ self?: string[] }} [opts]
+   */
+  parse(path, opts = {}) {
+    const archive = openExport(path);
+
+    const users = new Map();
+    for (const u of readJson(archive, 'users.json', [])) {
+      users.set(u.id, {
+        name: u.profile?.display_name || u.real_name || u.profile?.real_name || u.name || u.id,
+        isBot: !!u.is_bot,
+      });
+    }
+
+    // Folder name → { id, thread }; channels are exported by name, DMs by id
+    const conversations = new Map();
+    for (const file of CONVERSATION_FILES) {
+      for (const c of readJson(archive, file, [])) {
+        let thread;
+        if (file === 'dms.json' || file === 'mpims.json') {
+          const members = (c.members || []).map(id => users.get(id)?.name || id);
+          thread = `dm:${members.join(',') || c.name || c.id}`;
+        } else {
+          thread = `#${c.name}`;
+        }
+        conversations.set(file === 'dms.json' ? c.id : c.name || c.id, { id: c.id, thread });
+      }
+    }
+
+    const messages = [];
+    for (const entry of archive.entries.sort()) {
+      const match = entry.match(DAY_FILE);
+      if (!match) continue;
+      const conversation = conversations.get(match[1]) || { id: match[1], thread: `#${match[1]}` };
+
+      for (const m of JSON.parse(archive.readText(entry))) {
+        if (m.type !== 'message' || !m.ts) continue;
+        const user = users.get(m.user);
+        const sender = m.user_profile?.display_name || m.user_profile?.real_name || user?.name || m.username || m.bot_profile?.name || m.user || 'unknown';
+        const isSystem = /^(channel|group)_(join|leave|topic|purpose|name|archive|unarchive)$/.test(m.subtype || '');
+        const isBot = m.subtype === 'bot_message' || !!m.bot_id || !!user?.isBot;
+        const msg = {
+          id: `${conversation.id}:${m.ts}`,
+          sender,
+          senderId: m.user || m.bot_id || null,
+          thread: m.thread_ts ? `${conversation.thread}/${m.thread_ts}` : conversation.thread,
+          timestamp: new Date(parseFloat(m.ts) * 1000).toISOString(),
+          text: renderText(m.text, users),
+          attachments: (m.files || []).map(f => attachment(f.name || f.title, f.mimetype, f.url_private || f.permalink)),
+        };
+        msg.role = resolveRole(msg, opts.self, isSystem ? 'system' : isBot ? 'bot' : 'other');
+        messages.push(msg);
+      }
+    }
+
+    return messages;
+  },
+};
+
+module.exports = { slack };
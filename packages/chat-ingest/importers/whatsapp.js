@@ -0,0 +1,129 @@
+const { existsSync, readFileSync, statSync } = require('fs');
+const { basename, extname } = require('path');
+const { openZip } = require('./zip');
+const { contentId, resolveRole, attachment } = require('./message');
+
+/**
+ * WhatsApp "Export chat" text, from Android ("12/31/21, 9:41 PM - Alice: hi")
+ * or iOS ("[31/12/2021, 21:41:05] Alice: hi"), as the .txt or the .zip that
+ * wraps it with media. Lines without a timestamp continue the previous message;
+ * lines without "Sender:" are system notices.
+ *
+ * Dates are in the phone's locale: day/month order is inferred from the file
+ * (any first field above 12 means day-first), else taken from opts.dateOrder
+ * ('dmy' default, or 'mdy'). Times are local. The format has no message ids,
+ * so ids hash the thread, time, sender, text and repeat count.
+ */
+
+const LINE = /^\u200e?\[?(\d{1,4})[./-](\d{1,2})[./-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?\]?\s*(?:-\s+)?(.*)$/;
+const ATTACHED = /^\u200e?<attached:\s*([^>]+)>$|^\u200e?(.+?) \(file attached\)$/;
+const MEDIA_OMITTED = /^\u200e?<Media omitted>$/;
+
+function readChatText(path) {
+  if (extname(path).toLowerCase() === '.zip') {
+    const zip = openZip(path);
+    const name = zip.entries.find(e => basename(e) === '_chat.txt') || zip.entries.find(e => e.toLowerCase().endsWith('.txt'));
+    if (!name) throw new Error(`No chat .txt in ${path}`);
+    return zip.readText(name);
+  }
+  return readFileSync(path, 'utf-8');
+}
+
+/**
+ * "WhatsApp Chat with Alice.txt" / "WhatsApp Chat - Alice.zip" → "Alice"
+ */
+function threadName(path) {
+  const name = basename(path, extname(path));
+  return name.replace(/^WhatsApp Chat (?:with|-)\s*/i, '') || name;
+}
+
+function inferDateOrder(heads, fallback) {
+  if (heads.some(([a]) => a.length === 4)) return 'ymd';
+  if (heads.some(([a]) => parseInt(a, 10) > 12)) return 'dmy';
+  if (heads.some(([, b]) => parseInt(b, 10) > 12)) return 'mdy';
+  return fallback;
+}
+
+function toTimestamp(m, order) {
+  const [a, b, c] = [m[1], m[2], m[3]].map(n => parseInt(n, 10));
+  let [year, month, day] = order === 'ymd' ? [a, b, c] : order === 'mdy' ? [c, a, b] : [c, b, a];
+  if (year < 100) year += 2000;
+  let hour = parseInt(m[4], 10);
+  const meridiem = m[7]?.toLowerCase().replace(/[^ap]/g, '');
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  return new Date(year, month - 1, day, hour, parseInt(m[5], 10), parseInt(m[6] || '0', 10)).toISOString();
+}
+
+const whatsapp = {
+  name: 'whatsapp',
+  description: 'WhatsApp chat export (.txt, or .zip with media)',
+
+  detect(path) {
+    if (!existsSync(path) || statSync(path).isDirectory()) return false;
+    const ext = extname(path).toLowerCase();
+    if (ext !== '.txt' && ext !== '.zip') return false;
+    const first = readChatText(path).split(/\r?\n/).find(Boolean);
+    return !!first && LINE.test(first);
+  },
+
+  /**
+   * @param {string} path - Exported .txt or .zip
+   * @param {{ self?: string[], dateOrder?: 'dmy'|'mdy', thread?: string }} [opts]
+   */
+  parse(path, opts = {}) {
+    const thread = opts.thread || threadName(path);
+    const lines = readChatText(path).split(/\r?\n/);
+
+    // First pass: group continuation lines under their timestamped head
+    const raw = [];
+    for (const line of lines) {
+      const m = line.match(LINE);
+      if (m) raw.push({ head: m, body: [m[8]] });
+      else if (raw.length > 0) raw[raw.length - 1].body.push(line);
+    }
+    const order = inferDateOrder(raw.map(r => [r.head[1], r.head[2]]), opts.dateOrder || 'dmy');
+
+    const seen = new Map();
+    const messages = [];
+    for (const { head, body } of raw) {
+      const timestamp = toTimestamp(head, order);
+      const content = body.join('\n');
+      const colon = body[0].indexOf(': ');
+      const isSystem = colon <= 0;
+      const sender = isSystem ? 'WhatsApp' : content.slice(0, colon).replace(/^\u200e/, '');
+      let text = (isSystem ? content : content.slice(colon + 2)).trim();
+
+      const attachments = [];
+      const attached = text.match(ATTACHED);
+      if (attached) {
+        attachments.push(attachment(attached[1] || attached[2]));
+        text = '';
+      } else if (MEDIA_OMITTED.test(text)) {
+        attachments.push(attachment('media omitted'));
+        text = '';
+      }
+
+      // Ids hash the raw date fields, so they don't depend on the importing machine's time zone
+      const key = `${head.slice(1, 8).join(',')}\u0000${sender}\u0000${text}`;
+      const repeat = seen.get(key) || 0;
+      seen.set(key, repeat + 1);
+
+      const msg = {
+        id: contentId(thread, key, repeat),
+        sender,
+        senderId: null,
+        thread,
+        timestamp,
+        text,
+        attachments,
+      };
+      msg.role = resolveRole(msg, opts.self, isSystem ? 'system' : 'other');
+      messages.push(msg);
+    }
+
+    return messages;
+  },
+};
+
+module.exports = { whatsapp };
@@ -0,0 +1,108 @@
+const { readFileSync } = require('fs');
+const { inflateRawSync } = require('zlib');
+
+/**
+ * Minimal ZIP reader for chat exports (Slack ships its workspace export as a
+ * .zip). Reads the central directory and inflates entries on demand; supports
+ * stored and deflated entries, which is all export tools produce. No ZIP64,
+ * encryption or multi-disk archives.
+ *
+ * Exports come from elsewhere, so a crafted archive mustn't exhaust memory:
+ * the entry count is capped, and an entry is refused if its declared size is
+ * over the limit or inflating it would go past the limit (a zip bomb can
+ * understate its declared size). Such errors have code 'EFBIG'.
+ */
+
+const MAX_ENTRIES = 100000;
+const MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const tooBig = (message) => Object.assign(new Error(message), { code: 'EFBIG' });
+
+function findEndOfCentralDirectory(buf) {
+  // The EOCD record is 22 bytes plus an optional comment of up to 64KB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error('Not a zip file (no end of central directory record)');
+}
+
+/**
+ * Open a zip archive.
+ * @param {string} zipPath
+ * @param {object} [limits]
+ * @param {number} [limits.maxEntries=100000] - Entries in the archive
+ * @param {number} [limits.maxEntryBytes=256MB] - Uncompressed size of one entry
+ * @returns {{ entries: string[], read(name: string): Buffer, readText(name: string): string }}
+ */
+function openZip(zipPath, { maxEntries = MAX_ENTRIES, maxEntryBytes = MAX_ENTRY_BYTES } = {}) {
+  const buf = readFileSync(zipPath);
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  if (count > maxEntries) {
+    throw tooBig(`Too many entries in ${zipPath} (${count}, limit ${maxEntries})`);
+  }
+  let offset = buf.readUInt32LE(eocd + 16);
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error(`Corrupt zip central directory in ${zipPath}`);
+    }
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    if (!name.endsWith('/')) entries.set(name, { method, compressedSize, size, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  function read(name) {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`No entry "${name}" in ${zipPath}`);
+    if (entry.size > maxEntryBytes) {
+      throw tooBig(`Entry "${name}" in ${zipPath} is too large (${entry.size} bytes, limit ${maxEntryBytes})`);
+    }
+    const local = entry.localOffset;
+    if (buf.readUInt32LE(local) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt zip entry "${name}" in ${zipPath}`);
+    }
+    // Sizes in the local header may be zero (data descriptor); the central directory's are authoritative
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    if (start + entry.compressedSize > buf.length) {
+      throw new Error(`Corrupt zip entry "${name}" in ${zipPath} (truncated)`);
+    }
+    const data = buf.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) {
+      if (data.length > maxEntryBytes) {
+        throw tooBig(`Entry "${name}" in ${zipPath} is too large (${data.length} bytes, limit ${maxEntryBytes})`);
+      }
+      return Buffer.from(data);
+    }
+    if (entry.method === 8) {
+      try {
+        return inflateRawSync(data, { maxOutputLength: maxEntryBytes });
+      } catch (err) {
+        if (err.code !== 'ERR_BUFFER_TOO_LARGE') throw err;
+        throw tooBig(`Entry "${name}" in ${zipPath} inflates past ${maxEntryBytes} bytes`);
+      }
+    }
+    throw new Error(`Unsupported compression method ${entry.method} for "${name}" in ${zipPath}`);
+  }
+
+  return {
+    entries: [...entries.keys()],
+    read,
+    readText: (name) => read(name).toString('utf-8'),
+  };
+}
+
+module.exports = { openZip };
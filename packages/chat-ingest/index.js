@@ -1,6 +1,5 @@
-const { readFileSync, statSync } = require('fs');
-const { basename } = require('path');
 const config = require('../../shared/config');
+const { readLines } = require('./transcript-reader');
 
 /**
  * Strip ANSI escape codes and excessive markdown formatting
@@ -43,77 +42,114 @@ function shouldIndexMessage(msg) {
 }
 
 /**
- * Parse JSONL transcript file and extract user/assistant text messages.
+ * Extract a user/assistant text message from a transcript entry.
  * Skips thinking blocks, tool calls, system messages.
+ * @param {object} entry - One parsed JSONL line
+ * @returns {{ role: string, text: string, timestamp: string, id: string }|null}
+ */
+function transcriptMessage(entry) {
+  if (entry.type !== 'message') return null;
+
+  const msg = entry.message;
+  if (!msg || (msg.role !== 'user' && msg.role !== 'assistant')) return null;
+
+  // Extract text content, skip thinking blocks and tool stuff
+  const textParts = [];
+  if (typeof msg.content === 'string') {
+    textParts.push(msg.content);
+  } else if (Array.isArray(msg.content)) {
+    for (const part of msg.content) {
+      if (part.type === 'text' && typeof part.text === 'string') {
+        textParts.push(part.text);
+      }
+      // Skip: thinking, tool_call, tool_result, image, etc.
+    }
+  }
+
+  const text = textParts.join('\n').trim();
+  if (!text) return null;
+
+  // Strip envelope metadata like [message_id: ...] from user messages
+  let cleanText = text.replace(/\[message_id:\s*[^\]]+\]/g, '').trim();
+  if (!cleanText) return null;
+
+  // Strip ANSI codes and formatting artifacts
+  cleanText = stripArtifacts(cleanText);
+  if (!cleanText) return null;
+
+  return {
+    role: msg.role,
+    text: cleanText,
+    timestamp: entry.timestamp || new Date(msg.timestamp).toISOString(),
+    id: entry.id,
+  };
+}
+
+/**
+ * Parse JSONL transcript file and extract user/assistant text messages.
+ * Reads from a byte offset (see transcript-reader.js); a last line that is
+ * still being written is left for the next call.
  * @param {string} jsonlPath - Path to the .jsonl transcript
  * @param {number} [fromOffset=0] - Byte offset to start reading from (for incremental)
  * @param {boolean} [filterForIndexing=false] - Apply Tier 2 content filters (assistant-only, length>100)
- * @returns {{ messages: Array, newOffset: number }}
+ * @returns {{ messages: Array, newOffset: number }} newOffset: byte offset after the last complete line
  */
 function parseTranscriptMessages(jsonlPath, fromOffset = 0, filterForIndexing = false) {
-  const stat = statSync(jsonlPath);
-  const content = readFileSync(jsonlPath, 'utf-8');
-
-  // If reading incrementally, slice from offset
-  const data = fromOffset > 0 ? content.slice(fromOffset) : content;
-  const lines = data.split(/\r?\n/);
-
   const messages = [];
+  let newOffset = fromOffset;
 
-  for (const line of lines) {
-    if (!line.trim()) continue;
+  for (const line of readLines(jsonlPath, fromOffset)) {
+    let entry;
     try {
-      const parsed = JSON.parse(line);
-      if (parsed.type !== 'message') continue;
-
-      const msg = parsed.message;
-      if (!msg || (msg.role !== 'user' && msg.role !== 'assistant')) continue;
-
-      // Extract text content, skip thinking blocks and tool stuff
-      const textParts = [];
-      if (typeof msg.content === 'string') {
-        textParts.push(msg.content);
-      } else if (Array.isArray(msg.content)) {
-        for (const part of msg.content) {
-          if (part.type === 'text' && typeof part.text === 'string') {
-            textParts.push(part.text);
-          }
-          // Skip: thinking, tool_call, tool_result, image, etc.
-        }
-      }
-
-      const text = textParts.join('\n').trim();
-      if (!text) continue;
-
-      // Strip envelope metadata like [message_id: ...] from user messages
-      let cleanText = text.replace(/\[message_id:\s*[^\]]+\]/g, '').trim();
-      if (!cleanText) continue;
-
-      // Strip ANSI codes and formatting artifacts
-      cleanText = stripArtifacts(cleanText);
-      if (!cleanText) continue;
-
-      const message = {
-        role: msg.role,
-        text: cleanText,
-        timestamp: parsed.timestamp || new Date(msg.timestamp).toISOString(),
-        id: parsed.id,
-      };
-
-      // Apply Tier 2 content filtering if requested (for indexing)
-      if (filterForIndexing) {
-        if (!shouldIndexMessage(message)) {
-          continue;
-        }
-      }
+      entry = JSON.parse(line.text);
+    } catch {
+      // Partial last line: the writer hasn't finished it yet
+      if (line.partial) break;
+      newOffset = line.end;
+      continue; // skip malformed lines
+    }
+    newOffset = line.end;
 
-      messages.push(message);
+    let message;
+    try {
+      message = transcriptMessage(entry);
     } catch {
-      // skip malformed lines
+      continue; // skip malformed entries
     }
+    if (!message) continue;
+
+    // Apply Tier 2 content filtering if requested (for indexing)
+    if (filterForIndexing && !shouldIndexMessage(message)) continue;
+
+    messages.push(message);
   }
 
-  return { messages, newOffset: stat.size };
+  return { messages, newOffset };
+}
+
+/**
+ * A transcript message as a chunk line.
+ */
+function renderMessage(msg) {
+  const prefix = msg.role === 'user' ? 'User' : 'Assistant';
+  return `${prefix}: ${msg.text}`;
+}
+
+/**
+ * Chunk metadata for a run of messages: time span, turn range and message
+ * ids (turn = position among the session's text messages; null if unknown).
+ */
+function chunkRange(messages) {
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  return {
+    startTs: first.timestamp,
+    endTs: last.timestamp,
+    startTurn: first.turn ?? null,
+    endTurn: last.turn ?? null,
+    startMsgId: first.id ?? null,
+    endMsgId: last.id ?? null,
+  };
 }
 
 /**
@@ -127,8 +163,7 @@ function chunkMessages(messages, sessionId, filePath) {
   const maxChunkSize = config.embedding.chunkSize;
   const chunks = [];
   let currentText = '';
-  let startTs = null;
-  let endTs = null;
+  let current = [];
 
   function flushChunk() {
     if (currentText.trim()) {
@@ -136,25 +171,21 @@ function chunkMessages(messages, sessionId, filePath) {
         text: currentText.trim(),
         sessionId,
         file: filePath,
-        startTs,
-        endTs,
+        ...chunkRange(current),
       });
     }
     currentText = '';
-    startTs = null;
-    endTs = null;
+    current = [];
   }
 
   for (const msg of messages) {
-    const prefix = msg.role === 'user' ? 'User' : 'Assistant';
-    const line = `${prefix}: ${msg.text}`;
+    const line = renderMessage(msg);
 
     if ((currentText + '\n' + line).length > maxChunkSize && currentText) {
       flushChunk();
     }
 
-    if (!startTs) startTs = msg.timestamp;
-    endTs = msg.timestamp;
+    current.push(msg);
     currentText += (currentText ? '\n' : '') + line;
   }
 
@@ -162,4 +193,46 @@ function chunkMessages(messages, sessionId, filePath) {
   return chunks;
 }
 
-module.exports = { parseTranscriptMessages, chunkMessages, shouldIndexMessage, stripArtifacts };
+/**
+ * Chunk a session with the 'turns' strategy (see chunking.js): user questions
+ * stay with their answers, and topic shifts start new chunks.
+ * @param {Array} messages - Parsed messages (unfiltered), with `turn` numbers
+ * @param {string} sessionId
+ * @param {string} filePath
+ * @param {string} model - Embedding model used for topic-shift detection
+ * @returns {Promise<Array>} chunks with text, metadata
+ */
+async function chunkMessagesByTurns(messages, sessionId, filePath, model) {
+  const { chunkByTurns } = require('./chunking');
+  const groups = await chunkByTurns(messages, { render: renderMessage, promptRole: 'user', model });
+  return groups.map(g => ({ text: g.text, sessionId, file: filePath, ...chunkRange(g.messages) }));
+}
+
+/**
+ * Search result metadata for a chat_chunks row. The turn range and message
+ * ids locate the chunk in its transcript (null for chunks indexed before
+ * they were recorded).
+ */
+function chatMeta(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    startTs: row.start_ts,
+    endTs: row.end_ts,
+    startTurn: row.start_turn ?? null,
+    endTurn: row.end_turn ?? null,
+    startMsgId: row.start_msg_id ?? null,
+    endMsgId: row.end_msg_id ?? null,
+  };
+}
+
+module.exports = {
+  parseTranscriptMessages,
+  transcriptMessage,
+  chunkMessages,
+  chunkMessagesByTurns,
+  chunkRange,
+  chatMeta,
+  shouldIndexMessage,
+  stripArtifacts,
+};
@@ -0,0 +1,161 @@
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+
+/**
+ * Persistent work queue for the ingestion daemon (watcher.js).
+ *
+ * Jobs are keyed by (kind, path) in the chat DB's `ingest_queue` table, so a
+ * burst of change events for one file collapses into a single job and pending
+ * work survives a restart. A file is never processed by two workers at once:
+ * a change that arrives while its job runs queues it again for afterwards.
+ * At most `concurrency` jobs run at a time — each embeds its chunks batch by
+ * batch, so this also bounds concurrent embedding calls. Failed jobs are
+ * retried with exponential backoff, then dropped (the daemon's next scan
+ * queues the file again while it is still behind).
+ */
+class IngestQueue {
+  /**
+   * @param {import('better-sqlite3').Database} db - Chat DB (holds the queue table)
+   * @param {Object<string, (path: string) => Promise<object>>} handlers - Job handler per kind
+   * @param {object} [opts]
+   * @param {number} [opts.concurrency=2] - Jobs running at once
+   * @param {number} [opts.maxRetries=3] - Retries before a job is dropped
+   * @param {number} [opts.retryDelay=5000] - First retry delay (ms), doubled per attempt
+   */
+  constructor(db, handlers, opts = {}) {
+    this.db = db;
+    this.handlers = handlers;
+    this.concurrency = Math.max(1, opts.concurrency || 2);
+    this.maxRetries = opts.maxRetries ?? 3;
+    this.retryDelay = opts.retryDelay ?? 5000;
+
+    this.active = new Map();   // key → { kind, path, startedAt, promise }
+    this.requeue = new Set();  // keys changed while running
+    this.stats = { processed: 0, failed: 0, lastIngest: {}, lastError: null };
+    this.closed = false;
+    this.timer = null;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ingest_queue (
+        kind TEXT NOT NULL,
+        path TEXT NOT NULL,
+        enqueued_at TEXT NOT NULL,
+        not_before INTEGER NOT NULL DEFAULT 0,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        PRIMARY KEY (kind, path)
+      );
+    `);
+    this.stmts = {
+      insert: db.prepare(`
+        INSERT INTO ingest_queue (kind, path, enqueued_at) VALUES (?, ?, ?)
+        ON CONFLICT(kind, path) DO NOTHING
+      `),
+      ready: db.prepare('SELECT * FROM ingest_queue WHERE not_before <= ? ORDER BY not_before, enqueued_at LIMIT ?'),
+      nextRetry: db.prepare('SELECT MIN(not_before) as at FROM ingest_queue WHERE not_before > ?'),
+      remove: db.prepare('DELETE FROM ingest_queue WHERE kind = ? AND path = ?'),
+      retry: db.prepare('UPDATE ingest_queue SET attempts = ?, not_before = ?, last_error = ? WHERE kind = ? AND path = ?'),
+      depth: db.prepare('SELECT COUNT(*) as count, SUM(attempts > 0) as retrying FROM ingest_queue'),
+      pending: db.prepare('SELECT kind, path, enqueued_at, attempts, last_error FROM ingest_queue ORDER BY enqueued_at LIMIT ?'),
+    };
+  }
+
+  /**
+   * Queue a file for processing (no-op if it is already waiting).
+   * @param {string} kind - Handler name
+   * @param {string} path
+   */
+  push(kind, path) {
+    if (this.closed) return;
+    if (!this.handlers[kind]) throw new Error(`No ingest handler for "${kind}"`);
+    const key = `${kind}:${path}`;
+    if (this.active.has(key)) {
+      this.requeue.add(key);
+      return;
+    }
+    this.stmts.insert.run(kind, path, new Date().toISOString());
+    this._pump();
+  }
+
+  /** Resume jobs left queued by a previous run. */
+  start() {
+    this._pump();
+  }
+
+  /** Start jobs up to the concurrency limit; wake up again for the next retry. */
+  _pump() {
+    if (this.closed) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    if (this.active.size < this.concurrency) {
+      const candidates = this.stmts.ready.all(now, this.concurrency + this.active.size);
+      for (const job of candidates) {
+        if (this.active.size >= this.concurrency) break;
+        if (!this.active.has(`${job.kind}:${job.path}`)) this._run(job);
+      }
+    }
+
+    const { at } = this.stmts.nextRetry.get(now);
+    if (at) this.timer = setTimeout(() => this._pump(), at - now).unref();
+  }
+
+  _run(job) {
+    const key = `${job.kind}:${job.path}`;
+    const entry = { kind: job.kind, path: job.path, startedAt: new Date().toISOString() };
+    this.active.set(key, entry);
+
+    entry.promise = (async () => {
+      try {
+        const result = await this.handlers[job.kind](job.path);
+        this.stmts.remove.run(job.kind, job.path);
+        this.stats.processed++;
+        this.stats.lastIngest[job.kind] = { path: job.path, at: new Date().toISOString(), result };
+      } catch (err) {
+        const attempts = job.attempts + 1;
+        this.stats.lastError = { kind: job.kind, path: job.path, at: new Date().toISOString(), message: err.message };
+        if (attempts > this.maxRetries) {
+          logger.error(`Ingest failed for ${job.path} after ${attempts} attempts: ${err.message}`);
+          this.stmts.remove.run(job.kind, job.path);
+          this.stats.failed++;
+        } else {
+          const delay = this.retryDelay * 2 ** (attempts - 1);
+          logger.warn(`Ingest failed for ${job.path} (${err.message}), retry ${attempts}/${this.maxRetries} in ${Math.round(delay / 1000)}s`);
+          this.stmts.retry.run(attempts, Date.now() + delay, err.message, job.kind, job.path);
+        }
+      } finally {
+        this.active.delete(key);
+        if (this.requeue.delete(key)) this.stmts.insert.run(job.kind, job.path, new Date().toISOString());
+        this._pump();
+      }
+    })();
+  }
+
+  /**
+   * Queue snapshot for the status endpoint.
+   * @param {number} [limit=20] - Pending jobs to list
+   */
+  status(limit = 20) {
+    const { count, retrying } = this.stmts.depth.get();
+    return {
+      depth: count,
+      retrying: retrying || 0,
+      concurrency: this.concurrency,
+      active: [...this.active.values()].map(({ kind, path, startedAt }) => ({ kind, path, startedAt })),
+      pending: this.stmts.pending.all(limit),
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Stop starting jobs and wait for running ones. Queued jobs stay persisted.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    await Promise.all([...this.active.values()].map(entry => entry.promise));
+  }
+}
+
+module.exports = { IngestQueue };
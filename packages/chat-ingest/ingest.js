@@ -1,10 +1,15 @@
 const Database = require('better-sqlite3');
 const { readdirSync, existsSync, statSync } = require('fs');
 const { join, basename } = require('path');
-const { embed } = require('../../shared/ollama');
+const { cachedEmbed } = require('../../shared/embedding-cache');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
-const { parseTranscriptMessages, chunkMessages } = require('./index');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const { parseTranscriptMessages, chunkMessages, chunkMessagesByTurns, shouldIndexMessage } = require('./index');
+const { chunkingStrategy } = require('./chunking');
+const { transcriptChange } = require('./transcript-reader');
+const { ensureKeywordIndex } = require('./keyword-index');
+const { ensureEmbeddingSchema, getActiveModel, warnIfConfigDiffers } = require('../../shared/embedding-meta');
+const { redactItems, redactionEnabled, addCounts, formatCounts } = require('../../shared/redact');
 
 function embeddingToBuffer(embedding) {
   const buffer = Buffer.alloc(embedding.length * 4);
@@ -22,6 +27,29 @@ function bufferToEmbedding(buffer) {
   return embedding;
 }
 
+/**
+ * Redact secrets and PII from messages before they are chunked and embedded
+ * (config.redaction), logging what was found. Senders are redacted too: imported
+ * messages put them in the chunk text and in the stored `senders`.
+ * @param {object[]} messages - Parsed messages with a `text` field, and a `sender` where the source has one
+ * @returns {object[]} Messages with redacted text and senders
+ */
+function redactMessages(messages) {
+  if (!redactionEnabled('ingest')) return messages;
+  const text = redactItems(messages);
+  const senders = redactItems(text.items, 'sender');
+  const summary = formatCounts(addCounts(text.counts, senders.counts));
+  if (summary) logger.info(`  Redacted ${summary}`);
+  return senders.items;
+}
+
+function addMissingColumns(db, table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  for (const [name, type] of columns) {
+    if (!existing.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
 function initDb(dbPath) {
   const db = new Database(dbPath);
 
@@ -48,6 +76,19 @@ function initDb(dbPath) {
     CREATE INDEX IF NOT EXISTS idx_chat_file ON chat_chunks(file);
   `);
 
+  // Turn ranges (where in the transcript a chunk came from) and turn-chunking state
+  addMissingColumns(db, 'chat_chunks', [
+    ['start_turn', 'INTEGER'], ['end_turn', 'INTEGER'], ['start_msg_id', 'TEXT'], ['end_msg_id', 'TEXT'],
+  ]);
+  addMissingColumns(db, 'ingest_progress', [['turn_count', 'INTEGER'], ['pending', 'TEXT'], ['inode', 'INTEGER']]);
+
+  ensureKeywordIndex(db, 'chat_chunks');
+  ensureKeywordIndex(db, 'telegram_chunks');
+  ensureKeywordIndex(db, 'external_chunks');
+  ensureEmbeddingSchema(db, 'chat_chunks');
+  ensureEmbeddingSchema(db, 'telegram_chunks');
+  ensureEmbeddingSchema(db, 'external_chunks');
+
   return db;
 }
 
@@ -59,39 +100,79 @@ async function ingestFile(db, filePath) {
   const sessionId = fileName.replace('.jsonl', '');
 
   // Get progress
-  const progress = db.prepare('SELECT * FROM ingest_progress WHERE file = ?').get(filePath);
-  const lastOffset = progress?.last_offset || 0;
-
+  let progress = db.prepare('SELECT * FROM ingest_progress WHERE file = ?').get(filePath);
   const stat = statSync(filePath);
-  if (stat.size <= lastOffset) {
-    logger.debug(`Skipping ${fileName} — no new data (${stat.size} <= ${lastOffset})`);
+
+  const change = transcriptChange(progress, stat);
+  if (change === 'unchanged') {
+    logger.debug(`Skipping ${fileName} — no new data (${stat.size} bytes)`);
     return 0;
   }
+  if (change === 'truncated' || change === 'rotated') {
+    // Offsets no longer point into this file: drop its chunks and start over
+    logger.warn(`${fileName} was ${change} (${stat.size} bytes, offset ${progress.last_offset}) — re-ingesting from scratch`);
+    db.transaction(() => {
+      db.prepare('DELETE FROM chat_chunks WHERE file = ?').run(filePath);
+      db.prepare('DELETE FROM ingest_progress WHERE file = ?').run(filePath);
+    })();
+    progress = undefined;
+  }
+  const lastOffset = progress?.last_offset || 0;
 
   logger.info(`Ingesting ${fileName} from offset ${lastOffset} (file size: ${stat.size})`);
 
-  // Apply Tier 2 content filtering: only assistant messages > 100 chars
-  const { messages, newOffset } = parseTranscriptMessages(filePath, lastOffset, true);
-  if (messages.length === 0) {
-    logger.info(`  No indexable messages (filters: assistant-only, length>100 chars)`);
-    // Update offset even if no messages (could be filtered out or tool-only lines)
-    db.prepare(`
-      INSERT INTO ingest_progress (file, last_offset, last_timestamp)
-      VALUES (?, ?, ?)
-      ON CONFLICT(file) DO UPDATE SET last_offset = ?, last_timestamp = ?
-    `).run(filePath, newOffset, new Date().toISOString(), newOffset, new Date().toISOString());
-    return 0;
+  const strategy = chunkingStrategy('chat');
+  const model = getActiveModel(db);
+  warnIfConfigDiffers(model);
+
+  const { messages: transcript, newOffset } = parseTranscriptMessages(filePath, lastOffset);
+  const parsed = redactMessages(transcript);
+
+  // Number messages by position in the session (unknown for sessions first ingested without it)
+  const turnBase = progress ? progress.turn_count : 0;
+  parsed.forEach((msg, i) => { msg.turn = turnBase == null ? null : turnBase + i; });
+  const turnCount = turnBase == null ? null : turnBase + parsed.length;
+
+  let chunks;
+  let pending = [];
+  if (strategy === 'turns') {
+    // A trailing question waits for its answer: carried over to the next run
+    const messages = [...JSON.parse(progress?.pending || '[]'), ...parsed];
+    let cut = messages.length;
+    while (cut > 0 && messages[cut - 1].role === 'user') cut--;
+    pending = messages.slice(cut);
+    chunks = await chunkMessagesByTurns(messages.slice(0, cut), sessionId, filePath, model);
+    logger.info(`  ${parsed.length} new messages${pending.length ? ` (${pending.length} awaiting a reply)` : ''} → ${chunks.length} turn chunks`);
+  } else {
+    // Tier 2 content filtering: only assistant messages > 100 chars
+    const messages = parsed.filter(shouldIndexMessage);
+    chunks = chunkMessages(messages, sessionId, filePath);
+    logger.info(`  ${messages.length} indexable assistant messages (filtered: assistant-only, length>100 chars) → ${chunks.length} chunks`);
   }
 
-  logger.info(`  Found ${messages.length} indexable assistant messages (filtered: assistant-only, length>100 chars)`);
+  const saveProgress = (added) => {
+    const chunkCount = (progress?.chunk_count || 0) + added;
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO ingest_progress (file, last_offset, last_timestamp, chunk_count, turn_count, pending, inode)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(file) DO UPDATE SET
+        last_offset = excluded.last_offset,
+        last_timestamp = excluded.last_timestamp,
+        chunk_count = excluded.chunk_count,
+        turn_count = excluded.turn_count,
+        pending = excluded.pending,
+        inode = excluded.inode
+    `).run(filePath, newOffset, now, chunkCount, turnCount, pending.length > 0 ? JSON.stringify(pending) : null, stat.ino || null);
+  };
 
-  const chunks = chunkMessages(messages, sessionId, filePath);
   if (chunks.length === 0) {
-    logger.info(`  Messages produced 0 chunks after grouping`);
+    // Update offset even if nothing to index (filtered out, tool-only lines, awaiting a reply)
+    saveProgress(0);
     return 0;
   }
 
-  logger.info(`  ${messages.length} messages → ${chunks.length} chunks, embedding...`);
+  logger.info(`  Embedding ${chunks.length} chunks...`);
 
   // Embed chunks — truncate to ~512 tokens (~1500 chars safe for mxbai-embed-large)
   const BATCH_SIZE = 10;
@@ -103,7 +184,7 @@ async function ingestFile(db, filePath) {
     const texts = batch.map(c => c.text.length > MAX_EMBED_CHARS ? c.text.slice(0, MAX_EMBED_CHARS) : c.text);
 
     try {
-      const response = await embed(config.models.embed, texts);
+      const response = await cachedEmbed(model, texts, { scope: 'index' });
       for (let j = 0; j < batch.length; j++) {
         chunksWithEmbeddings.push({
           ...batch[j],
@@ -115,7 +196,7 @@ async function ingestFile(db, filePath) {
       logger.debug(`  Batch error, falling back to individual: ${err.message}`);
       for (let j = 0; j < batch.length; j++) {
         try {
-          const response = await embed(config.models.embed, texts[j]);
+          const response = await cachedEmbed(model, texts[j], { scope: 'index' });
           chunksWithEmbeddings.push({
             ...batch[j],
             embedding: embeddingToBuffer(response.embeddings[0]),
@@ -124,7 +205,7 @@ async function ingestFile(db, filePath) {
           // Last resort: truncate more aggressively
           try {
             const shortText = texts[j].slice(0, 800);
-            const response = await embed(config.models.embed, shortText);
+            const response = await cachedEmbed(model, shortText, { scope: 'index' });
             chunksWithEmbeddings.push({
               ...batch[j],
               embedding: embeddingToBuffer(response.embeddings[0]),
@@ -139,32 +220,23 @@ async function ingestFile(db, filePath) {
 
   // Insert chunks
   const insert = db.prepare(`
-    INSERT INTO chat_chunks (session_id, file, start_ts, end_ts, text, embedding)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO chat_chunks (session_id, file, start_ts, end_ts, start_turn, end_turn, start_msg_id, end_msg_id, text, embedding, embed_model, embed_dim)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const insertMany = db.transaction((items) => {
     for (const chunk of items) {
-      insert.run(chunk.sessionId, chunk.file, chunk.startTs, chunk.endTs, chunk.text, chunk.embedding);
+      insert.run(
+        chunk.sessionId, chunk.file, chunk.startTs, chunk.endTs,
+        chunk.startTurn, chunk.endTurn, chunk.startMsgId, chunk.endMsgId,
+        chunk.text, chunk.embedding, model, chunk.embedding.length / 4
+      );
     }
+    saveProgress(items.length);
   });
 
   insertMany(chunksWithEmbeddings);
 
-  // Update progress
-  const existingCount = progress?.chunk_count || 0;
-  db.prepare(`
-    INSERT INTO ingest_progress (file, last_offset, last_timestamp, chunk_count)
-    VALUES (?, ?, ?, ?)
-    ON CONFLICT(file) DO UPDATE SET
-      last_offset = ?,
-      last_timestamp = ?,
-      chunk_count = ?
-  `).run(
-    filePath, newOffset, new Date().toISOString(), existingCount + chunksWithEmbeddings.length,
-    newOffset, new Date().toISOString(), existingCount + chunksWithEmbeddings.length
-  );
-
   logger.info(`  Saved ${chunksWithEmbeddings.length} chunks`);
   for (const chunk of chunksWithEmbeddings) {
     const preview = chunk.text.replace(/\n/g, ' ').slice(0, 120);
@@ -203,7 +275,12 @@ async function ingestAll(dbPath, sessionsDir) {
 
   logger.info(`Ingestion complete: ${totalChunks} new chunks added`);
   db.close();
+
+  if (totalChunks > 0) {
+    // Lazy: vector-index requires this module
+    require('./vector-index').updateAnnIndex();
+  }
   return totalChunks;
 }
 
-module.exports = { initDb, ingestFile, ingestAll, embeddingToBuffer, bufferToEmbedding };
+module.exports = { initDb, ingestFile, ingestAll, redactMessages, embeddingToBuffer, bufferToEmbedding };
@@ -0,0 +1,232 @@
+const { existsSync } = require('fs');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const { compileFilter } = require('./search-filter');
+const { listImporters } = require('./importers');
+const { chatMeta } = require('./index');
+
+/**
+ * SQLite FTS5 keyword index over the chunk tables.
+ *
+ * Each chunk table gets an external-content FTS5 table next to it, kept in sync
+ * by triggers, so exact identifiers ("route-config.js", error codes, snake_case
+ * names) can be matched by BM25 instead of losing to vaguely similar prose.
+ */
+
+// source → { db: config path key, table: chunk table, fts: FTS5 table }
+const KEYWORD_TABLES = {
+  memory: { db: 'searchDb', table: 'chunks', fts: 'chunks_fts' },
+  chat: { db: 'chatDb', table: 'chat_chunks', fts: 'chat_chunks_fts' },
+  telegram: { db: 'chatDb', table: 'telegram_chunks', fts: 'telegram_chunks_fts' },
+};
+
+/**
+ * Table spec for a source; imported chat exports share external_chunks,
+ * one source per platform.
+ * @param {string} source
+ * @returns {{ db: string, table: string, fts: string, platform?: string }|null}
+ */
+function keywordTable(source) {
+  if (KEYWORD_TABLES[source]) return KEYWORD_TABLES[source];
+  if (listImporters().includes(source)) {
+    return { db: 'chatDb', table: 'external_chunks', fts: 'external_chunks_fts', platform: source };
+  }
+  return null;
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+
+/**
+ * Create the FTS5 table and sync triggers for a chunk table (idempotent).
+ * Backfills existing rows the first time the index is created.
+ * @param {import('better-sqlite3').Database} db - Writable connection
+ * @param {string} table - Chunk table name (chunks, chat_chunks, telegram_chunks, external_chunks)
+ * @returns {boolean} true if the index was created now
+ */
+function ensureKeywordIndex(db, table) {
+  const fts = `${table}_fts`;
+  if (!tableExists(db, table) || tableExists(db, fts)) return false;
+
+  // Note: db.exec() is SQLite execution, not shell execution (safe)
+  db.exec(`
+    CREATE VIRTUAL TABLE ${fts} USING fts5(
+      text,
+      content='${table}',
+      content_rowid='id',
+      tokenize="unicode61 tokenchars '_'"
+    );
+
+    CREATE TRIGGER IF NOT EXISTS ${table}_fts_ai AFTER INSERT ON ${table} BEGIN
+      INSERT INTO ${fts}(rowid, text) VALUES (new.id, new.text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${table}_fts_ad AFTER DELETE ON ${table} BEGIN
+      INSERT INTO ${fts}(${fts}, rowid, text) VALUES ('delete', old.id, old.text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${table}_fts_au AFTER UPDATE OF text ON ${table} BEGIN
+      INSERT INTO ${fts}(${fts}, rowid, text) VALUES ('delete', old.id, old.text);
+      INSERT INTO ${fts}(rowid, text) VALUES (new.id, new.text);
+    END;
+
+    INSERT INTO ${fts}(${fts}) VALUES ('rebuild');
+  `);
+
+  logger.info(`Keyword index: built ${fts}`);
+  return true;
+}
+
+/**
+ * Turn free text into an FTS5 MATCH expression.
+ * Every term is quoted (so punctuation inside identifiers becomes a phrase
+ * match instead of FTS5 syntax) and terms are OR-ed; BM25 rewards rows that
+ * match more of them.
+ * @param {string} query
+ * @returns {string|null} MATCH expression, or null if the query has no terms
+ */
+function buildMatchQuery(query) {
+  const terms = query.match(/[\p{L}\p{N}_][\p{L}\p{N}_.\-/:#]*/gu) || [];
+  const unique = [...new Set(terms.map(t => t.replace(/[.\-/:#]+$/, '')).filter(Boolean))];
+  if (unique.length === 0) return null;
+  return unique.map(t => `"${t.replace(/"/g, '""')}"`).join(' OR ');
+}
+
+// Module-level connection pool (writable: the FTS table may need building)
+const _pool = new Map();
+
+function getKeywordDb(path) {
+  if (!_pool.has(path)) {
+    const Database = require('better-sqlite3');
+    _pool.set(path, new Database(path));
+    logger.debug(`Keyword index: opened ${path}`);
+  }
+  return _pool.get(path);
+}
+
+function invalidateKeywordPool() {
+  for (const db of _pool.values()) {
+    try { db.close(); } catch {}
+  }
+  _pool.clear();
+}
+
+process.on('exit', invalidateKeywordPool);
+
+function rowToResult(source, row) {
+  if (source === 'memory') {
+    return {
+      file: row.file,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      language: row.language || null,
+      section: row.section || null,
+    };
+  }
+  if (source === 'chat') {
+    const { id, ...meta } = chatMeta(row);
+    return meta;
+  }
+  if (row.platform) {
+    return require('./external').externalMeta(row);
+  }
+  return { startTs: row.start_ts, endTs: row.end_ts };
+}
+
+/**
+ * BM25 keyword search across chunk tables.
+ *
+ * BM25 magnitudes are corpus-dependent, so each source's scores are normalized
+ * to its best hit (0-1] before the source weight is applied.
+ *
+ * @param {string} query
+ * @param {object} [opts]
+ * @param {number} [opts.topK=10]
+ * @param {string[]} [opts.sources] - ['memory', 'chat', 'telegram', ...import platforms]
+ * @param {string} [opts.memoryDb] - memory.db path
+ * @param {string} [opts.chatDb] - chat-memory.db path
+ * @param {object} [opts.weights] - Per-source weights
+ * @param {object|Function} [opts.filter] - Metadata filter (see search-filter.js)
+ * @returns {Array<{ source, text, score, rawScore, meta }>}
+ */
+function keywordSearch(query, opts = {}) {
+  const topK = opts.topK || 10;
+  const sources = opts.sources || ['memory', 'chat', 'telegram', ...listImporters()];
+  const weights = opts.weights || {};
+  const filter = compileFilter(opts.filter);
+  const dbPaths = {
+    searchDb: opts.memoryDb || config.paths.searchDb,
+    chatDb: opts.chatDb || config.paths.chatDb,
+  };
+
+  const match = buildMatchQuery(query);
+  if (!match) return [];
+
+  const allResults = [];
+
+  for (const source of sources) {
+    const spec = keywordTable(source);
+    if (!spec) continue;
+    const dbPath = dbPaths[spec.db];
+    if (!existsSync(dbPath)) continue;
+
+    try {
+      const db = getKeywordDb(dbPath);
+      if (!tableExists(db, spec.table)) continue;
+      ensureKeywordIndex(db, spec.table);
+
+      // bm25() is lower-is-better (negative); flip it so higher = more relevant
+      const stmt = db.prepare(`
+        SELECT c.*, -bm25(${spec.fts}) AS bm25_score
+        FROM ${spec.fts}
+        JOIN ${spec.table} c ON c.id = ${spec.fts}.rowid
+        WHERE ${spec.fts} MATCH ?${spec.platform ? ' AND c.platform = ?' : ''}
+        ORDER BY bm25(${spec.fts})
+        ${filter ? '' : 'LIMIT ?'}
+      `);
+
+      // With a filter, walk the ranking until topK rows pass it
+      const params = spec.platform ? [match, spec.platform] : [match];
+      const hits = [];
+      for (const row of filter ? stmt.iterate(...params) : stmt.all(...params, topK)) {
+        const hit = { source, text: row.text, rawScore: row.bm25_score, meta: { id: row.id, ...rowToResult(source, row) } };
+        if (filter && !filter(hit)) continue;
+        hits.push(hit);
+        if (hits.length >= topK) break;
+      }
+
+      if (hits.length === 0) continue;
+      const best = hits[0].rawScore || 1;
+      const weight = weights[source] ?? 1.0;
+
+      for (const hit of hits) {
+        allResults.push({
+          source,
+          text: hit.text,
+          score: (hit.rawScore / best) * weight,
+          rawScore: hit.rawScore,
+          meta: hit.meta,
+        });
+      }
+    } catch (err) {
+      logger.debug(`Keyword search error (${source}): ${err.message}`);
+    }
+  }
+
+  const results = allResults
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+  logger.debug(`Keyword search: ${results.length} results for MATCH ${match}`);
+  return results;
+}
+
+module.exports = {
+  keywordSearch,
+  ensureKeywordIndex,
+  buildMatchQuery,
+  invalidateKeywordPool,
+  keywordTable,
+  KEYWORD_TABLES,
+};
@@ -0,0 +1,183 @@
+/**
+ * Structured metadata filters for unified search.
+ *
+ * A filter is a plain object; every field is optional and all given fields
+ * must match:
+ *
+ *   {
+ *     file: 'projects/*.md',     // glob over meta.file (memory chunks only)
+ *     sessionId: '3f2a91c0',     // chat session id or prefix (chat chunks only)
+ *     since: '7d',               // chunk overlaps [since, until]; relative
+ *     until: '2026-01-31',       //   ("7d", "last 2 weeks"), ISO date or epoch ms
+ *     minLength: 200,            // chunk text length bounds (characters)
+ *     maxLength: 4000,
+ *   }
+ *
+ * Chunks without the field a filter needs (no file, no session, no timestamps)
+ * do not match it. compileFilter() turns the object into a predicate over
+ * `{ source, text, meta }` entries, applied before any scoring.
+ */
+
+const FILTER_FIELDS = ['file', 'sessionId', 'since', 'until', 'minLength', 'maxLength'];
+
+const UNIT_MS = {
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 7 * 86_400_000,
+};
+
+const DAY_MS = UNIT_MS.d;
+
+/**
+ * Parse a time bound into epoch milliseconds.
+ * Accepts epoch ms, Date, ISO strings, "today", "yesterday" and relative
+ * spans ("30m", "24h", "7d", "2w", "last 7 days", "3 days ago").
+ * A bare date (YYYY-MM-DD) used as an upper bound covers that whole day.
+ * @param {string|number|Date} value
+ * @param {'since'|'until'} [bound='since']
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function parseTimeBound(value, bound = 'since', now = Date.now()) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+  const text = String(value).trim().toLowerCase();
+  if (text === 'now') return now;
+
+  if (text === 'today' || text === 'yesterday') {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    const dayStart = start.getTime() - (text === 'yesterday' ? DAY_MS : 0);
+    return bound === 'until' ? dayStart + DAY_MS - 1 : dayStart;
+  }
+
+  const relative = text.match(/^(?:last\s+)?(\d+)\s*(m|min|mins|minutes?|h|hours?|d|days?|w|weeks?)(?:\s+ago)?$/);
+  if (relative) {
+    const unit = relative[2] === 'm' || relative[2].startsWith('min') ? 'm' : relative[2][0];
+    return now - parseInt(relative[1], 10) * UNIT_MS[unit];
+  }
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid ${bound} time "${value}" (expected ISO date, epoch ms, or e.g. "7d", "last 2 weeks")`);
+  }
+  if (bound === 'until' && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+    return parsed + DAY_MS - 1;
+  }
+  return parsed;
+}
+
+/**
+ * Glob → RegExp. `*` matches within a path segment, `**` across segments,
+ * `?` one character, `{a,b}` alternatives. Patterns without a slash are
+ * matched against the file name as well as the full path.
+ * @param {string} pattern
+ * @returns {(path: string) => boolean}
+ */
+function globMatcher(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        if (pattern[i + 2] === '/') { source += '(?:.*/)?'; i += 2; } else { source += '.*'; i++; }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) { source += '\\{'; continue; }
+      const options = pattern.slice(i + 1, end).split(',').map(o => o.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += c.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  const basenameOnly = !pattern.includes('/');
+  return (path) => regex.test(path) || (basenameOnly && regex.test(path.slice(path.lastIndexOf('/') + 1)));
+}
+
+function toTime(ts) {
+  if (!ts) return null;
+  const ms = Date.parse(ts);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function toLength(value, name) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid ${name} "${value}" (expected a non-negative number)`);
+  return n;
+}
+
+/**
+ * Whether a filter object constrains anything.
+ * @param {object|Function|null} [filter]
+ * @returns {boolean}
+ */
+function hasFilter(filter) {
+  if (!filter) return false;
+  if (typeof filter === 'function') return true;
+  return FILTER_FIELDS.some(f => filter[f] != null && filter[f] !== '');
+}
+
+/**
+ * Compile a filter object into a predicate.
+ * Throws on malformed values, so callers can reject bad input up front.
+ * @param {object|Function|null} [filter] - Filter object (see module doc); predicates pass through
+ * @param {number} [now=Date.now()] - Reference time for relative bounds
+ * @returns {((entry: { source: string, text: string, meta: object }) => boolean)|null} null = no filtering
+ */
+function compileFilter(filter, now = Date.now()) {
+  if (typeof filter === 'function') return filter;
+  if (!filter) return null;
+
+  const unknown = Object.keys(filter).filter(k => !FILTER_FIELDS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter field(s): ${unknown.join(', ')} (expected: ${FILTER_FIELDS.join(', ')})`);
+  }
+  if (!hasFilter(filter)) return null;
+
+  const checks = [];
+
+  if (filter.file) {
+    const patterns = [].concat(filter.file).map(globMatcher);
+    checks.push(({ meta }) => !!meta?.file && patterns.some(match => match(meta.file)));
+  }
+
+  if (filter.sessionId) {
+    const ids = [].concat(filter.sessionId).map(String);
+    checks.push(({ meta }) => !!meta?.sessionId && ids.some(id => meta.sessionId.startsWith(id)));
+  }
+
+  const since = filter.since != null && filter.since !== '' ? parseTimeBound(filter.since, 'since', now) : null;
+  const until = filter.until != null && filter.until !== '' ? parseTimeBound(filter.until, 'until', now) : null;
+  if (since !== null && until !== null && since > until) {
+    throw new Error(`Empty time range: since (${new Date(since).toISOString()}) is after until (${new Date(until).toISOString()})`);
+  }
+  if (since !== null || until !== null) {
+    // Overlap test: a chunk spanning the boundary still counts
+    checks.push(({ meta }) => {
+      const start = toTime(meta?.startTs) ?? toTime(meta?.endTs);
+      const end = toTime(meta?.endTs) ?? start;
+      if (start === null) return false;
+      return (since === null || end >= since) && (until === null || start <= until);
+    });
+  }
+
+  const minLength = filter.minLength != null && filter.minLength !== '' ? toLength(filter.minLength, 'minLength') : null;
+  const maxLength = filter.maxLength != null && filter.maxLength !== '' ? toLength(filter.maxLength, 'maxLength') : null;
+  if (minLength !== null) checks.push(({ text }) => (text || '').length >= minLength);
+  if (maxLength !== null) checks.push(({ text }) => (text || '').length <= maxLength);
+
+  return (entry) => checks.every(check => check(entry));
+}
+
+module.exports = { compileFilter, hasFilter, parseTimeBound, globMatcher, FILTER_FIELDS };
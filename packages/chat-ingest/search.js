@@ -1,8 +1,9 @@
 const { existsSync } = require('fs');
-const { embed } = require('../../shared/ollama');
+const { cachedEmbed } = require('../../shared/embedding-cache');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
 const { initDb, bufferToEmbedding } = require('./ingest');
+const { getActiveModel, isCompatible } = require('../../shared/embedding-meta');
 
 function cosineSimilarity(a, b) {
   let dotProduct = 0;
@@ -33,10 +34,13 @@ async function chatSearch(query, dbPath, topK = 5) {
   const db = initDb(dbPath);
   logger.debug(`Chat search: "${query}"`);
 
-  const queryEmbedding = await embed(config.models.embed, query);
+  // Query with the model the index was built with; rows from any other model are skipped
+  const model = getActiveModel(db);
+  const queryEmbedding = await cachedEmbed(model, query, { scope: 'query', ignoreCase: true });
   const queryVector = queryEmbedding.embeddings[0];
 
-  const chunks = db.prepare('SELECT * FROM chat_chunks').all();
+  const chunks = db.prepare('SELECT * FROM chat_chunks').all()
+    .filter(chunk => isCompatible(chunk, model, queryVector.length));
 
   const results = chunks
     .map(chunk => ({
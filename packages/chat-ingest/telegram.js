@@ -1,8 +1,13 @@
 const { readFileSync, existsSync } = require('fs');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
-const { embed } = require('../../shared/ollama');
-const { initDb, embeddingToBuffer } = require('./ingest');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const { cachedEmbed } = require('../../shared/embedding-cache');
+const { initDb, embeddingToBuffer, redactMessages } = require('./ingest');
+const { ensureKeywordIndex } = require('./keyword-index');
+const { chunkByTurns, chunkingStrategy } = require('./chunking');
+const {
+  ensureEmbeddingSchema, getActiveModel, warnIfConfigDiffers, isCompatible,
+} = require('../../shared/embedding-meta');
 
 /**
  * Parse tdl-exported Telegram JSON into messages.
@@ -46,6 +51,7 @@ function parseTelegramExport(jsonPath) {
 function chunkTelegramMessages(messages) {
   const maxChunkSize = config.embedding.chunkSize;
   const chunks = [];
+  let current = [];
   let currentText = '';
   let startTs = null;
   let endTs = null;
@@ -60,8 +66,10 @@ function chunkTelegramMessages(messages) {
         endTs,
         startId,
         endId,
+        messages: current,
       });
     }
+    current = [];
     currentText = '';
     startTs = null;
     endTs = null;
@@ -76,26 +84,14 @@ function chunkTelegramMessages(messages) {
     if (!startTs) { startTs = msg.timestamp; startId = msg.id; }
     endTs = msg.timestamp;
     endId = msg.id;
+    current.push(msg);
     currentText += (currentText ? '\n' : '') + msg.text;
   }
   flush();
   return chunks;
 }
 
-/**
- * Ingest a Telegram export JSON into the chat DB.
- */
-async function ingestTelegram(jsonPath, dbPath) {
-  dbPath = dbPath || config.paths.chatDb;
-
-  if (!existsSync(jsonPath)) {
-    logger.error(`Telegram export not found: ${jsonPath}`);
-    return 0;
-  }
-
-  const db = initDb(dbPath);
-
-  // Add telegram source table if not exists
+function ensureTelegramSchema(db) {
   db.exec(`
     CREATE TABLE IF NOT EXISTS telegram_chunks (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -109,20 +105,75 @@ async function ingestTelegram(jsonPath, dbPath) {
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
     CREATE INDEX IF NOT EXISTS idx_tg_source ON telegram_chunks(source);
+
+    CREATE TABLE IF NOT EXISTS telegram_messages (
+      source TEXT NOT NULL,
+      msg_id INTEGER NOT NULL,
+      timestamp TEXT,
+      chunk_id INTEGER,
+      PRIMARY KEY (source, msg_id)
+    );
   `);
+  ensureKeywordIndex(db, 'telegram_chunks');
+  ensureEmbeddingSchema(db, 'telegram_chunks');
+}
 
-  // Check if already ingested
-  const existing = db.prepare('SELECT COUNT(*) as count FROM telegram_chunks WHERE source = ?').get(jsonPath);
-  if (existing.count > 0) {
-    logger.info(`Already ingested ${existing.count} chunks from ${jsonPath}. Clearing for re-ingest.`);
-    db.prepare('DELETE FROM telegram_chunks WHERE source = ?').run(jsonPath);
+/**
+ * Ingest a Telegram export JSON into the chat DB, incrementally: every message
+ * id is recorded in `telegram_messages` (as imports use `external_messages`),
+ * so re-running on a newer export of the same file only embeds new messages.
+ * @returns {Promise<number>} Chunks saved
+ */
+async function ingestTelegram(jsonPath, dbPath) {
+  dbPath = dbPath || config.paths.chatDb;
+
+  if (!existsSync(jsonPath)) {
+    logger.error(`Telegram export not found: ${jsonPath}`);
+    return 0;
   }
 
+  const db = initDb(dbPath);
+  ensureTelegramSchema(db);
+
   logger.info(`Parsing Telegram export: ${jsonPath}`);
   const messages = parseTelegramExport(jsonPath);
-  logger.info(`  ${messages.length} text messages found`);
 
-  const chunks = chunkTelegramMessages(messages);
+  // Chunks saved before message ids were recorded: the ids in their range count as ingested
+  const seen = db.prepare('SELECT 1 FROM telegram_messages WHERE source = ? AND msg_id = ?');
+  const coveredBy = db.prepare(`
+    SELECT id FROM telegram_chunks WHERE source = ? AND ? BETWEEN start_msg_id AND end_msg_id LIMIT 1
+  `);
+  const recordMessage = db.prepare(`
+    INSERT OR IGNORE INTO telegram_messages (source, msg_id, timestamp, chunk_id) VALUES (?, ?, ?, ?)
+  `);
+  const fresh = db.transaction(() => messages.filter((msg) => {
+    if (seen.get(jsonPath, msg.id)) return false;
+    const chunk = coveredBy.get(jsonPath, msg.id);
+    if (!chunk) return true;
+    recordMessage.run(jsonPath, msg.id, msg.timestamp, chunk.id);
+    return false;
+  }))();
+  logger.info(`  ${messages.length} text messages, ${fresh.length} new`);
+  if (fresh.length === 0) {
+    db.close();
+    return 0;
+  }
+  const redacted = redactMessages(fresh);
+
+  const model = getActiveModel(db);
+  warnIfConfigDiffers(model);
+
+  // The export has no speakers, so 'turns' pairs consecutive messages and splits on topic shifts
+  const chunks = chunkingStrategy('telegram') === 'turns'
+    ? (await chunkByTurns(redacted, { render: m => m.text, model })).map(group => ({
+      text: group.text,
+      startTs: group.messages[0].timestamp,
+      endTs: group.messages[group.messages.length - 1].timestamp,
+      startId: group.messages[0].id,
+      endId: group.messages[group.messages.length - 1].id,
+      messages: group.messages,
+    }))
+    : chunkTelegramMessages(redacted);
   logger.info(`  ${chunks.length} chunks, embedding...`);
 
   const BATCH_SIZE = 10;
@@ -135,7 +186,7 @@ async function ingestTelegram(jsonPath, dbPath) {
     process.stdout.write(`\r  Embedding ${i + 1}-${i + batch.length}/${chunks.length}`);
 
     try {
-      const response = await embed(config.models.embed, texts);
+      const response = await cachedEmbed(model, texts, { scope: 'index' });
       for (let j = 0; j < batch.length; j++) {
         chunksWithEmbeddings.push({
           ...batch[j],
@@ -148,7 +199,7 @@ async function ingestTelegram(jsonPath, dbPath) {
       for (let j = 0; j < batch.length; j++) {
         try {
           const t = texts[j].length > 800 ? texts[j].slice(0, 800) : texts[j];
-          const response = await embed(config.models.embed, t);
+          const response = await cachedEmbed(model, t, { scope: 'index' });
           chunksWithEmbeddings.push({
             ...batch[j],
             embedding: embeddingToBuffer(response.embeddings[0]),
@@ -163,13 +214,18 @@ async function ingestTelegram(jsonPath, dbPath) {
   console.log('');
 
   const insert = db.prepare(`
-    INSERT INTO telegram_chunks (source, start_msg_id, end_msg_id, start_ts, end_ts, text, embedding)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO telegram_chunks (source, start_msg_id, end_msg_id, start_ts, end_ts, text, embedding, embed_model, embed_dim)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
+  // A chunk that failed to embed leaves its messages unrecorded for the next run
   const insertMany = db.transaction((items) => {
     for (const chunk of items) {
-      insert.run(jsonPath, chunk.startId, chunk.endId, chunk.startTs, chunk.endTs, chunk.text, chunk.embedding);
+      const { lastInsertRowid } = insert.run(
+        jsonPath, chunk.startId, chunk.endId, chunk.startTs, chunk.endTs, chunk.text, chunk.embedding,
+        model, chunk.embedding.length / 4
+      );
+      for (const msg of chunk.messages) recordMessage.run(jsonPath, msg.id, msg.timestamp, lastInsertRowid);
     }
   });
 
@@ -177,6 +233,7 @@ async function ingestTelegram(jsonPath, dbPath) {
   logger.info(`  Saved ${chunksWithEmbeddings.length} Telegram chunks`);
 
   db.close();
+  require('./vector-index').updateAnnIndex();
   return chunksWithEmbeddings.length;
 }
 
@@ -192,7 +249,8 @@ async function searchTelegram(query, dbPath, topK = 5) {
   }
 
   const db = initDb(dbPath);
-  const queryEmbedding = await embed(config.models.embed, query);
+  const model = getActiveModel(db);
+  const queryEmbedding = await cachedEmbed(model, query, { scope: 'query', ignoreCase: true });
   const queryVector = queryEmbedding.embeddings[0];
 
   function cosineSimilarity(a, b) {
@@ -203,7 +261,8 @@ async function searchTelegram(query, dbPath, topK = 5) {
     return dot / (Math.sqrt(nA) * Math.sqrt(nB));
   }
 
-  const chunks = db.prepare('SELECT * FROM telegram_chunks').all();
+  const chunks = db.prepare('SELECT * FROM telegram_chunks').all()
+    .filter(c => isCompatible(c, model, queryVector.length));
   const results = chunks
     .map(c => ({
       ...c,
@@ -222,4 +281,4 @@ async function searchTelegram(query, dbPath, topK = 5) {
   return results;
 }
 
-module.exports = { parseTelegramExport, chunkTelegramMessages, ingestTelegram, searchTelegram };
+module.exports = { parseTelegramExport, chunkTelegramMessages, ensureTelegramSchema, ingestTelegram, searchTelegram };
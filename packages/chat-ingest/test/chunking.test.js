@@ -0,0 +1,123 @@
+/**
+ * Turn Chunking Tests (packages/chat-ingest/chunking.js: turns, exchanges, size and topic splits)
+ */
+
+// Mock embeddings before config loads
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { groupTurns, groupExchanges, chunkByTurns } = require('../chunking');
+
+const render = m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.text}`;
+const msg = (id, role, text) => ({ id, role, text });
+const ids = messages => messages.map(m => m.id);
+
+test('consecutive messages from one speaker form a turn', () => {
+  const turns = groupTurns([
+    msg(1, 'user', 'Hi'), msg(2, 'user', 'Are you there?'),
+    msg(3, 'assistant', 'Yes'),
+    { id: 4, role: 'message', text: 'no speaker' }, { id: 5, role: 'message', text: 'no speaker either' },
+    { id: 6, role: 'other', sender: 'Sam', text: 'one' }, { id: 7, role: 'other', sender: 'Sam', text: 'two' },
+    { id: 8, role: 'other', sender: 'Alex', text: 'three' },
+  ]);
+  assert.deepStrictEqual(turns.map(t => [t.speaker, ids(t.messages)]), [
+    ['user', [1, 2]], ['assistant', [3]], [null, [4]], [null, [5]], ['Sam', [6, 7]], ['Alex', [8]],
+  ]);
+});
+
+test('exchanges pair a prompt turn with the reply after it', () => {
+  const turns = groupTurns([
+    msg(1, 'assistant', 'Welcome back'),
+    msg(2, 'user', 'Question one'), msg(3, 'assistant', 'Answer one'),
+    msg(4, 'user', 'Question two'), msg(5, 'user', 'Follow-up'),
+    msg(6, 'user', 'Unanswered'),
+  ]);
+  // With a prompt role, a reply without a question stands alone
+  assert.deepStrictEqual(groupExchanges(turns, 'user').map(ids), [[1], [2, 3], [4, 5, 6]]);
+
+  // Without one (Telegram, imported chats), consecutive turns pair up
+  const speakers = groupTurns([
+    { id: 1, role: 'other', sender: 'Sam', text: 'a' }, { id: 2, role: 'self', text: 'b' },
+    { id: 3, role: 'other', sender: 'Sam', text: 'c' },
+  ]);
+  assert.deepStrictEqual(groupExchanges(speakers).map(ids), [[1, 2], [3]]);
+});
+
+test('exchanges are packed up to the size limit and never split from their answer', async () => {
+  const messages = [];
+  for (let i = 0; i < 6; i++) {
+    messages.push(msg(2 * i, 'user', `Question ${i} about the garden?`), msg(2 * i + 1, 'assistant', `Answer ${i}: water the tomatoes.`));
+  }
+  const chunks = await chunkByTurns(messages, { render, promptRole: 'user', topicThreshold: 0, minExchangeChars: 0, maxChunkChars: 200 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 200);
+    assert.strictEqual(chunk.messages.length % 2, 0, 'whole exchanges only');
+    assert.strictEqual(chunk.text, chunk.messages.map(render).join('\n'));
+  }
+  assert.deepStrictEqual(chunks.flatMap(c => ids(c.messages)), ids(messages));
+
+  // Short acknowledgements are dropped
+  const acked = await chunkByTurns([msg(1, 'user', 'ok'), msg(2, 'assistant', 'thanks')], { render, promptRole: 'user', topicThreshold: 0, minExchangeChars: 20 });
+  assert.deepStrictEqual(acked, []);
+});
+
+test('an oversized exchange is split into pieces that each repeat the question', async () => {
+  const answer = Array.from({ length: 40 }, (_, i) => `Step ${i}: tighten bolt number ${i} on the mast step.`).join('\n');
+  const messages = [
+    msg(1, 'user', 'How do I refit the mast step?'),
+    msg(2, 'assistant', answer),
+    msg(3, 'user', 'And the boom?'), msg(4, 'assistant', 'Same bolts, smaller torque.'),
+  ];
+  const chunks = await chunkByTurns(messages, { render, promptRole: 'user', topicThreshold: 0, minExchangeChars: 0, maxChunkChars: 300 });
+
+  const pieces = chunks.filter(c => c.messages.some(m => m.id === 2));
+  assert.ok(pieces.length > 2);
+  for (const piece of pieces) {
+    assert.ok(piece.text.length <= 300, `piece of ${piece.text.length} chars`);
+    assert.ok(piece.text.startsWith('User: How do I refit the mast step?\n'));
+    assert.deepStrictEqual(ids(piece.messages), [1, 2]);
+  }
+  // Every line of the answer made it into a chunk, cut only at line breaks
+  const lines = pieces.flatMap(p => p.text.split('\n').slice(1)).map(l => l.replace(/^Assistant: /, ''));
+  assert.deepStrictEqual(lines, answer.split('\n'));
+
+  // The next exchange starts its own chunk
+  assert.deepStrictEqual(ids(chunks[chunks.length - 1].messages), [3, 4]);
+});
+
+test('a long question is cut short when repeated, and unbroken text is cut at words', async () => {
+  const question = `Please review: ${'the quick brown fox jumps over the lazy dog '.repeat(5).trim()}`;
+  const answer = 'word '.repeat(200).trim();
+  const chunks = await chunkByTurns([msg(1, 'user', question), msg(2, 'assistant', answer)],
+    { render, promptRole: 'user', topicThreshold: 0, minExchangeChars: 0, maxChunkChars: 300 });
+
+  assert.ok(chunks.length > 2);
+  // Too little room was left behind the question for the answer to start there
+  assert.strictEqual(chunks[0].text, `User: ${question}`);
+  for (const chunk of chunks.slice(1)) {
+    assert.ok(chunk.text.length <= 300);
+    assert.match(chunk.text, /^User: Please review: the quick brown fox .{0,80}…\n/);
+  }
+  const words = chunks.flatMap(c => c.text.split('\n').filter(l => !l.startsWith('User: ')))
+    .join(' ').replace(/Assistant: /g, '').split(/\s+/);
+  assert.strictEqual(words.filter(w => w === 'word').length, 200);
+});
+
+test('a topic shift starts a new chunk', async () => {
+  const messages = [
+    msg(1, 'user', 'What sail for light wind?'), msg(2, 'assistant', 'A genoa or a gennaker.'),
+    msg(3, 'user', 'Best sourdough hydration?'), msg(4, 'assistant', 'Start around 75 percent.'),
+  ];
+  // Mock embeddings are unrelated random vectors, so any positive threshold near 1 splits
+  const split = await chunkByTurns(messages, { render, promptRole: 'user', model: 'mock/embed', topicThreshold: 0.99, minExchangeChars: 0 });
+  assert.deepStrictEqual(split.map(c => ids(c.messages)), [[1, 2], [3, 4]]);
+
+  const packed = await chunkByTurns(messages, { render, promptRole: 'user', model: 'mock/embed', topicThreshold: 0, minExchangeChars: 0 });
+  assert.deepStrictEqual(packed.map(c => ids(c.messages)), [[1, 2, 3, 4]]);
+});
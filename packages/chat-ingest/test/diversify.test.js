@@ -0,0 +1,60 @@
+/**
+ * Diversification Tests (packages/chat-ingest/diversify.js: MMR order, duplicates, per-document caps)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diversifyResults, textSimilarity, documentKey } = require('../diversify');
+
+const result = (id, score, text, meta = {}) => ({ source: 'memory', text, score, meta: { id, ...meta } });
+const ids = results => results.map(r => r.meta.id);
+
+const BOAT = 'the mooring fee for the boat is due in march at the harbour office';
+const BOAT_AGAIN = 'the mooring fee for the boat is due in march at the harbour office window';
+const BOAT_NEAR = 'the mooring fee for the boat is due in march and the winter storage fee in october';
+const GARDEN = 'water the tomatoes every evening while the weather stays hot';
+const TAXES = 'file the tax return before the end of january to avoid penalties';
+
+test('text similarity is word-shingle Jaccard', () => {
+  assert.strictEqual(textSimilarity(BOAT, BOAT.toUpperCase()), 1);
+  assert.strictEqual(textSimilarity(BOAT, GARDEN), 0);
+  const partial = textSimilarity(BOAT, BOAT_NEAR);
+  assert.ok(partial > 0.2 && partial < 0.8, `partial overlap ${partial}`);
+  assert.strictEqual(textSimilarity('', BOAT), 0);
+});
+
+test('MMR trades relevance against similarity to what is already picked', () => {
+  const results = [result(1, 0.9, BOAT), result(2, 0.88, BOAT_NEAR), result(3, 0.8, GARDEN), result(4, 0.7, TAXES)];
+
+  // Pure relevance keeps the ranking
+  assert.deepStrictEqual(ids(diversifyResults(results, { lambda: 1 })), [1, 2, 3, 4]);
+  // The default prefers a less relevant but new result over a near-repeat of the first
+  assert.deepStrictEqual(ids(diversifyResults(results)), [1, 3, 2, 4]);
+  assert.deepStrictEqual(ids(diversifyResults(results, { lambda: 0.3 })), [1, 3, 4, 2]);
+  assert.deepStrictEqual(ids(diversifyResults(results, { topK: 2 })), [1, 3]);
+  // Scores are kept as they were
+  assert.deepStrictEqual(diversifyResults(results).map(r => r.score), [0.9, 0.8, 0.88, 0.7]);
+});
+
+test('near-duplicates are dropped and each document contributes at most its cap', () => {
+  const duplicates = [result(1, 0.9, BOAT), result(2, 0.89, BOAT_AGAIN), result(3, 0.5, GARDEN)];
+  assert.ok(textSimilarity(BOAT, BOAT_AGAIN) >= 0.8);
+  assert.deepStrictEqual(ids(diversifyResults(duplicates)), [1, 3]);
+  assert.deepStrictEqual(ids(diversifyResults(duplicates, { duplicateThreshold: 1.01 })), [1, 2, 3]);
+
+  const sameFile = [
+    result(1, 0.9, BOAT, { file: 'boat.md' }),
+    result(2, 0.85, GARDEN, { file: 'boat.md' }),
+    result(3, 0.8, TAXES, { file: 'boat.md' }),
+    { source: 'chat', text: BOAT_NEAR, score: 0.7, meta: { id: 4, sessionId: 's1' } },
+  ];
+  assert.deepStrictEqual(ids(diversifyResults(sameFile)), [1, 2, 4]);
+  assert.deepStrictEqual(ids(diversifyResults(sameFile, { maxPerFile: 1 })), [1, 4]);
+  assert.deepStrictEqual(ids(diversifyResults(sameFile, { maxPerFile: 0, lambda: 1 })), [1, 2, 3, 4]);
+
+  assert.strictEqual(documentKey(sameFile[0]), 'file:boat.md');
+  assert.strictEqual(documentKey(sameFile[3]), 'session:s1');
+  assert.strictEqual(documentKey({ source: 'slack', meta: { thread: '#general' } }), 'session:slack/#general');
+  assert.strictEqual(documentKey({ source: 'telegram', meta: {} }), null);
+  assert.deepStrictEqual(diversifyResults([]), []);
+});
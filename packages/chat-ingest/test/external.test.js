@@ -0,0 +1,74 @@
+/**
+ * External Chat Import Tests (packages/chat-ingest/external.js: incremental import
+ * into external_chunks, redaction before chunking)
+ */
+
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock embeddings and a scratch chat DB before config loads
+const dir = mkdtempSync(join(tmpdir(), 'external-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_CHUNKING__STRATEGIES__EXTERNAL: 'size',
+  LOCALLLM_REDACTION__HASH_SALT: 'pepper',
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { importExport } = require('../external');
+const { redact } = require('../../../shared/redact');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function writeMbox(name, messages) {
+  const path = join(dir, name);
+  writeFileSync(path, messages.map(({ from, subject, date, id, body }) => [
+    `From ${from} ${date}`,
+    `From: ${from}`,
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    `Message-ID: <${id}>`,
+    '',
+    body,
+    '',
+  ].join('\n')).join('\n'));
+  return path;
+}
+
+const chunks = () => {
+  const db = new Database(process.env.LOCALLLM_PATHS__CHAT_DB, { readonly: true });
+  try {
+    return db.prepare('SELECT text, senders FROM external_chunks ORDER BY id').all()
+      .map(row => ({ text: row.text, senders: JSON.parse(row.senders) }));
+  } finally {
+    db.close();
+  }
+};
+
+test('senders are redacted in the chunk text and in the stored senders', async () => {
+  const path = writeMbox('bare.mbox', [
+    { from: 'alice@example.com', subject: 'Boat trip', date: 'Fri, 01 Mar 2024 10:00:00 +0000', id: 'a1@example.com', body: 'Shall we sail on Saturday?' },
+    { from: 'Bob <bob@example.com>', subject: 'Re: Boat trip', date: 'Fri, 01 Mar 2024 11:00:00 +0000', id: 'b1@example.com', body: 'Yes, ask alice@example.com about the dock.' },
+  ]);
+
+  const result = await importExport(path, { format: 'mbox', self: [] });
+  assert.deepStrictEqual([result.new, result.chunks], [2, 1]);
+
+  const alice = redact('alice@example.com').text;
+  assert.match(alice, /^\[email:[0-9a-f]{8}\]$/);
+  const [chunk] = chunks();
+  assert.deepStrictEqual(chunk.senders, [alice, 'Bob']);
+  assert.strictEqual(chunk.text, [
+    `${alice}: Boat trip`,
+    'Shall we sail on Saturday?',
+    'Bob: Re: Boat trip',
+    `Yes, ask ${alice} about the dock.`,
+  ].join('\n'));
+  assert.ok(!JSON.stringify(chunk).includes('example.com'));
+});
@@ -0,0 +1,71 @@
+/**
+ * Forget Tests (deleting chunks from the indexes and from the files on disk)
+ */
+
+const { mkdtempSync, readFileSync, existsSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Scratch databases (and embedding cache beside them) before config loads
+const dir = mkdtempSync(join(tmpdir(), 'forget-test-'));
+Object.assign(process.env, {
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_PATHS__SEARCH_DB: join(dir, 'memory.db'),
+  LOCALLLM_PATHS__MEMORY_DIR: join(dir, 'memory'),
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { initDb } = require('../ingest');
+const { forget, forgetAuditLog } = require('../forget');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Whether the database file, its WAL or journal still contain some text
+function onDisk(path, text) {
+  return ['', '-wal', '-journal'].map(suffix => path + suffix)
+    .filter(existsSync)
+    .some(file => readFileSync(file).includes(text));
+}
+
+test('forgotten text is gone from the database and its write-ahead log', () => {
+  const chatDb = process.env.LOCALLLM_PATHS__CHAT_DB;
+  const db = initDb(chatDb);
+  db.pragma('journal_mode = WAL');
+  const insert = db.prepare('INSERT INTO chat_chunks (session_id, file, start_ts, end_ts, text) VALUES (?, ?, ?, ?, ?)');
+  for (let i = 0; i < 20; i++) {
+    insert.run('s1', 'a.jsonl', '2026-01-01T00:00:00Z', '2026-01-01T00:01:00Z', `routine chunk ${i} about deployments`);
+  }
+  insert.run('s1', 'a.jsonl', '2026-01-01T00:02:00Z', '2026-01-01T00:03:00Z', 'the vault password is zanzibarquokka');
+  // Another connection stays open (as the ingester's would), so the WAL isn't checkpointed on close
+  assert.ok(onDisk(chatDb, 'zanzibarquokka'));
+
+  const dry = forget({ match: 'ZanzibarQuokka' }, { sources: ['chat'], dryRun: true, chatDb });
+  assert.strictEqual(dry.forgotten, 0);
+  assert.strictEqual(dry.chunks.length, 1);
+  assert.ok(onDisk(chatDb, 'zanzibarquokka'));
+
+  const result = forget({ match: 'zanzibarquokka' }, { sources: ['chat'], actor: 'test', chatDb });
+  assert.deepStrictEqual(result.bySource, { chat: 1 });
+  assert.ok(!onDisk(chatDb, 'zanzibarquokka'), 'forgotten text left in the database files');
+
+  // The rest is still indexed
+  const hits = db.prepare("SELECT COUNT(*) AS n FROM chat_chunks_fts WHERE chat_chunks_fts MATCH 'deployments'").get();
+  assert.strictEqual(hits.n, 20);
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM chat_chunks_fts WHERE chat_chunks_fts MATCH 'zanzibarquokka'").get().n, 0);
+  db.close();
+
+  const [entry] = forgetAuditLog({ chatDb });
+  assert.strictEqual(entry.actor, 'test');
+  assert.strictEqual(entry.text_length, 'the vault password is zanzibarquokka'.length);
+  // The match string is usually the secret itself: only its hash is kept
+  assert.match(entry.selector.match, /^sha256:[0-9a-f]{64}$/);
+  assert.deepStrictEqual(entry.selector.sources, ['chat']);
+});
+
+test('selectors are validated before anything is deleted', () => {
+  assert.throws(() => forget({}, { sources: ['chat'] }), /Refusing to forget everything/);
+  assert.throws(() => forget({ text: 'x' }, { sources: ['chat'] }), /Unknown selector field/);
+  assert.throws(() => forget({ id: 3 }), /select exactly one source/);
+  assert.throws(() => forget({ match: 'x' }, { sources: ['nope'] }), /Unknown source/);
+});
@@ -0,0 +1,140 @@
+/**
+ * HNSW Tests (packages/chat-ingest/hnsw.js: recall against brute force, remapping, serialization)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { HnswGraph } = require('../hnsw');
+
+const DIM = 32;
+
+// Deterministic unit vectors around a few centres, like embeddings of related chunks
+function makeVectors(count, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32 - 0.5;
+  };
+  const centres = Array.from({ length: 8 }, () => Array.from({ length: DIM }, random));
+  const vectors = new Float32Array(count * DIM);
+  for (let row = 0; row < count; row++) {
+    const centre = centres[row % centres.length];
+    let norm = 0;
+    for (let j = 0; j < DIM; j++) {
+      const x = centre[j] + random() * 0.8;
+      vectors[row * DIM + j] = x;
+      norm += x * x;
+    }
+    norm = Math.sqrt(norm);
+    for (let j = 0; j < DIM; j++) vectors[row * DIM + j] /= norm;
+  }
+  return vectors;
+}
+
+const rowOf = (vectors, row) => vectors.subarray(row * DIM, (row + 1) * DIM);
+
+function bruteForce(vectors, q, k, accept = () => true) {
+  const scored = [];
+  for (let row = 0; row < vectors.length / DIM; row++) {
+    if (!accept(row)) continue;
+    let dot = 0;
+    for (let j = 0; j < DIM; j++) dot += q[j] * vectors[row * DIM + j];
+    scored.push({ node: row, score: dot });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+// Share of the exact top-k the graph found, over queries drawn from the data
+function recall(graph, vectors, queries, k, opts = {}) {
+  let found = 0;
+  for (const q of queries) {
+    const exact = new Set(bruteForce(vectors, q, k, opts.accept).map(r => r.node));
+    found += graph.search(q, k, { ef: 64, ...opts }).filter(r => exact.has(r.node)).length;
+  }
+  return found / (queries.length * k);
+}
+
+test('search finds nearly all of the exact top-k', () => {
+  const vectors = makeVectors(1200, 1);
+  const graph = new HnswGraph({ dim: DIM, vectors });
+  for (let row = 0; row < 1200; row++) graph.add(row);
+  assert.strictEqual(graph.count, 1200);
+
+  const queries = makeVectors(40, 2);
+  const r = recall(graph, vectors, Array.from({ length: 40 }, (_, i) => rowOf(queries, i)), 10);
+  assert.ok(r >= 0.95, `recall@10 ${r}`);
+
+  // Results are best first, with exact dot products
+  const [best, second] = graph.search(rowOf(vectors, 17), 2);
+  assert.strictEqual(best.node, 17);
+  assert.ok(Math.abs(best.score - 1) < 1e-5);
+  assert.ok(second.score <= best.score);
+
+  // A row filter is applied during the walk, not after it
+  const even = row => row % 2 === 0;
+  const filtered = graph.search(rowOf(queries, 0), 10, { ef: 64, accept: even });
+  assert.strictEqual(filtered.length, 10);
+  assert.ok(filtered.every(hit => even(hit.node)));
+  assert.ok(recall(graph, vectors, [rowOf(queries, 0), rowOf(queries, 1)], 10, { accept: even }) >= 0.9);
+
+  assert.deepStrictEqual(new HnswGraph({ dim: DIM, vectors }).search(rowOf(vectors, 0), 5), []);
+});
+
+test('remapping onto a reloaded matrix drops deleted rows and keeps recall', () => {
+  const count = 900;
+  const vectors = makeVectors(count, 3);
+  const keys = Array.from({ length: count }, (_, row) => `memory:${row}`);
+  const graph = new HnswGraph({ dim: DIM, vectors });
+  for (let row = 0; row < count; row++) graph.add(row);
+
+  // Every third row deleted, the rest reloaded in reverse order, plus new rows at the end
+  const surviving = keys.filter((_, row) => row % 3 !== 0).reverse();
+  const added = makeVectors(60, 4);
+  const reloaded = new Float32Array((surviving.length + 60) * DIM);
+  const newRows = new Map();
+  surviving.forEach((key, row) => {
+    const oldRow = Number(key.split(':')[1]);
+    reloaded.set(rowOf(vectors, oldRow), row * DIM);
+    newRows.set(key, row);
+  });
+  reloaded.set(added, surviving.length * DIM);
+
+  const { graph: remapped, kept, dropped } = graph.remap(keys, newRows, reloaded);
+  assert.deepStrictEqual([kept, dropped], [600, 300]);
+  assert.strictEqual(remapped.count, 600);
+  for (let row = surviving.length; row < surviving.length + 60; row++) remapped.add(row);
+  assert.strictEqual(remapped.count, 660);
+
+  // Links only point at rows that exist in the new matrix
+  for (let row = 0; row < 660; row++) {
+    for (const list of remapped.links[row]) assert.ok(list.every(nb => remapped.has(nb)));
+  }
+
+  // A surviving row is still found under its new row number, new rows are findable too
+  const moved = newRows.get('memory:1');
+  assert.strictEqual(remapped.search(rowOf(vectors, 1), 1)[0].node, moved);
+  assert.strictEqual(remapped.search(rowOf(added, 5), 1)[0].node, surviving.length + 5);
+  const queries = Array.from({ length: 30 }, (_, i) => rowOf(makeVectors(30, 5), i));
+  const r = recall(remapped, reloaded, queries, 10);
+  assert.ok(r >= 0.9, `recall@10 after remap ${r}`);
+});
+
+test('a serialized graph searches the same after loading', () => {
+  const vectors = makeVectors(300, 6);
+  const keys = Array.from({ length: 301 }, (_, row) => `chat:${row}`);
+  const graph = new HnswGraph({ dim: DIM, vectors, M: 8, efConstruction: 50 });
+  for (let row = 0; row < 300; row++) graph.add(row);
+
+  // The last key has no row in the graph
+  const { graph: loaded, keys: loadedKeys, header } = HnswGraph.deserialize(graph.serialize(keys, { model: 'mock/embed' }));
+  assert.deepStrictEqual(loadedKeys, keys);
+  assert.deepStrictEqual([header.model, header.M, header.efConstruction], ['mock/embed', 8, 50]);
+  assert.strictEqual(loaded.count, 300);
+  assert.ok(!loaded.has(300));
+  loaded.vectors = vectors;
+
+  for (const row of [0, 42, 299]) {
+    assert.deepStrictEqual(loaded.search(rowOf(vectors, row), 5), graph.search(rowOf(vectors, row), 5));
+  }
+  assert.throws(() => HnswGraph.deserialize(Buffer.from('nope')), /Not an HNSW index file/);
+});
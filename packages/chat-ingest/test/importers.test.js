@@ -0,0 +1,250 @@
+/**
+ * Chat Export Importer Tests (packages/chat-ingest/importers: the zip reader and each format)
+ */
+
+const { mkdtempSync, mkdirSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { deflateRawSync } = require('zlib');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { openZip } = require('../importers/zip');
+const { detectImporter, getImporter } = require('../importers');
+
+const dir = mkdtempSync(join(tmpdir(), 'importers-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Build a zip archive: entries are [name, content, method (0 stored, 8 deflated)],
+ * `declare` overrides an entry's declared uncompressed size.
+ */
+function writeZip(name, entries, declare = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [entryName, content, method = 8] of entries) {
+    const raw = Buffer.from(content);
+    const data = method === 8 ? deflateRawSync(raw) : raw;
+    const nameBytes = Buffer.from(entryName);
+    const size = declare[entryName] ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  const path = join(dir, name);
+  writeFileSync(path, Buffer.concat([...locals, directory, eocd]));
+  return path;
+}
+
+test('the zip reader reads stored and deflated entries', () => {
+  const path = writeZip('plain.zip', [['a/', ''], ['a/one.txt', 'stored text', 0], ['two.json', '{"deflated":true}']]);
+  const zip = openZip(path);
+  assert.deepStrictEqual(zip.entries, ['a/one.txt', 'two.json']);
+  assert.strictEqual(zip.readText('a/one.txt'), 'stored text');
+  assert.deepStrictEqual(JSON.parse(zip.readText('two.json')), { deflated: true });
+  assert.throws(() => zip.read('missing'), /No entry "missing"/);
+
+  const notZip = join(dir, 'not.zip');
+  writeFileSync(notZip, 'just text, no central directory');
+  assert.throws(() => openZip(notZip), /Not a zip file/);
+});
+
+test('the zip reader refuses archives and entries past its limits', () => {
+  const many = writeZip('many.zip', Array.from({ length: 5 }, (_, i) => [`${i}.txt`, 'x']));
+  assert.throws(() => openZip(many, { maxEntries: 4 }), { code: 'EFBIG', message: /Too many entries .* \(5, limit 4\)/ });
+  assert.strictEqual(openZip(many, { maxEntries: 5 }).entries.length, 5);
+
+  const large = writeZip('large.zip', [['big.txt', 'a'.repeat(5000)], ['stored.txt', 'b'.repeat(5000), 0]]);
+  const zip = openZip(large, { maxEntryBytes: 1000 });
+  assert.throws(() => zip.read('big.txt'), { code: 'EFBIG', message: /too large \(5000 bytes, limit 1000\)/ });
+  assert.throws(() => zip.read('stored.txt'), { code: 'EFBIG' });
+
+  // A bomb declares a small size: inflating stops at the limit
+  const bomb = writeZip('bomb.zip', [['bomb.txt', '0'.repeat(1_000_000)]], { 'bomb.txt': 100 });
+  assert.throws(() => openZip(bomb, { maxEntryBytes: 1000 }).read('bomb.txt'), { code: 'EFBIG', message: /inflates past 1000 bytes/ });
+  assert.strictEqual(openZip(bomb).read('bomb.txt').length, 1_000_000);
+});
+
+test('slack: channels, DMs and reply threads from a zip or a directory', () => {
+  const files = {
+    'users.json': JSON.stringify([
+      { id: 'U1', name: 'alice', profile: { display_name: 'Alice' } },
+      { id: 'U2', name: 'bob', real_name: 'Bob B' },
+      { id: 'B1', name: 'deploybot', is_bot: true },
+    ]),
+    'channels.json': JSON.stringify([{ id: 'C1', name: 'general' }]),
+    'dms.json': JSON.stringify([{ id: 'D1', members: ['U1', 'U2'] }]),
+    'general/2024-03-01.json': JSON.stringify([
+      { type: 'message', user: 'U1', ts: '1709290800.000100', text: 'Hi <@U2>, see <https://example.com|the docs> &amp; more' },
+      { type: 'message', user: 'U2', ts: '1709290860.000200', thread_ts: '1709290800.000100', text: 'Thanks!' },
+      { type: 'message', subtype: 'channel_join', user: 'U2', ts: '1709290700.000000', text: '<@U2> has joined the channel' },
+      { type: 'message', user: 'B1', ts: '1709290900.000000', text: 'Deployed', files: [{ name: 'log.txt', mimetype: 'text/plain' }] },
+    ]),
+    'D1/2024-03-02.json': JSON.stringify([{ type: 'message', user: 'U2', ts: '1709377200.000000', text: 'Lunch?' }]),
+  };
+  const zipPath = writeZip('slack-export.zip', Object.entries(files));
+  const root = join(dir, 'slack-export');
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(join(root, name, '..'), { recursive: true });
+    writeFileSync(join(root, name), content);
+  }
+
+  for (const path of [zipPath, root]) {
+    assert.strictEqual(detectImporter(path)?.name, 'slack');
+    const messages = getImporter('slack').parse(path, { self: ['alice'] });
+    assert.deepStrictEqual(messages.map(m => [m.thread, m.sender, m.role, m.text]), [
+      ['dm:Alice,Bob B', 'Bob B', 'other', 'Lunch?'],
+      ['#general', 'Alice', 'self', 'Hi @Bob B, see the docs (https://example.com) & more'],
+      ['#general/1709290800.000100', 'Bob B', 'other', 'Thanks!'],
+      ['#general', 'Bob B', 'system', '@Bob B has joined the channel'],
+      ['#general', 'deploybot', 'bot', 'Deployed'],
+    ]);
+    assert.strictEqual(messages[1].id, 'C1:1709290800.000100');
+    assert.strictEqual(messages[1].timestamp, '2024-03-01T11:00:00.000Z');
+    assert.deepStrictEqual(messages[4].attachments, [{ name: 'log.txt', type: 'text/plain', url: null }]);
+  }
+});
+
+test('discord: DiscordChatExporter JSON with mentions, bots and system messages', () => {
+  const path = join(dir, 'general.json');
+  writeFileSync(path, JSON.stringify({
+    guild: { name: 'Sailing Club' },
+    channel: { id: '10', name: 'general' },
+    messages: [
+      { id: '1', type: 'Default', timestamp: '2024-03-01T10:00:00+00:00', content: 'Race at <@42> <:boat:123>', author: { id: '7', name: 'alice' }, mentions: [{ id: '42', name: 'bob', nickname: 'Bobby' }] },
+      { id: '2', type: 'Default', timestamp: '2024-03-01T10:01:00+00:00', content: 'Reminder set', author: { id: '8', name: 'remindbot', isBot: true } },
+      { id: '3', type: 'GuildMemberJoin', timestamp: '2024-03-01T10:02:00+00:00', content: '', author: { id: '9', name: 'carol' } },
+      { id: '4', type: 'Reply', timestamp: '2024-03-01T10:03:00+00:00', content: 'Count me in', author: { id: '42', name: 'bob', nickname: 'Bobby' }, attachments: [{ fileName: 'crew.png', url: 'https://cdn.example/crew.png' }] },
+    ],
+  }));
+
+  assert.strictEqual(detectImporter(path)?.name, 'discord');
+  const messages = getImporter('discord').parse(path, { self: ['42'] });
+  assert.deepStrictEqual(messages.map(m => [m.id, m.thread, m.sender, m.role, m.text]), [
+    ['1', 'Sailing Club#general', 'alice', 'other', 'Race at @Bobby :boat:'],
+    ['2', 'Sailing Club#general', 'remindbot', 'bot', 'Reminder set'],
+    ['3', 'Sailing Club#general', 'carol', 'system', ''],
+    ['4', 'Sailing Club#general', 'Bobby', 'self', 'Count me in'],
+  ]);
+  assert.deepStrictEqual(messages[3].attachments, [{ name: 'crew.png', type: null, url: 'https://cdn.example/crew.png' }]);
+});
+
+test('whatsapp: Android and iOS text, continuation lines, and the zipped export', () => {
+  const android = join(dir, 'WhatsApp Chat with Alice.txt');
+  writeFileSync(android, [
+    '12/31/21, 9:41 PM - Messages and calls are end-to-end encrypted.',
+    '12/31/21, 9:42 PM - Alice: Happy new year!',
+    'See you tomorrow',
+    '12/31/21, 9:43 PM - Me: IMG-0001.jpg (file attached)',
+    '12/31/21, 9:43 PM - Me: Same to you',
+    '12/31/21, 9:43 PM - Me: Same to you',
+  ].join('\n'));
+  assert.strictEqual(detectImporter(android)?.name, 'whatsapp');
+  const messages = getImporter('whatsapp').parse(android, { self: ['Me'] });
+  assert.deepStrictEqual(messages.map(m => [m.thread, m.sender, m.role, m.text]), [
+    ['Alice', 'WhatsApp', 'system', 'Messages and calls are end-to-end encrypted.'],
+    ['Alice', 'Alice', 'other', 'Happy new year!\nSee you tomorrow'],
+    ['Alice', 'Me', 'self', ''],
+    ['Alice', 'Me', 'self', 'Same to you'],
+    ['Alice', 'Me', 'self', 'Same to you'],
+  ]);
+  // 31 can only be a day, so the order is month-first; times are local
+  assert.strictEqual(messages[1].timestamp, new Date(2021, 11, 31, 21, 42).toISOString());
+  assert.deepStrictEqual(messages[2].attachments.map(a => a.name), ['IMG-0001.jpg']);
+  assert.notStrictEqual(messages[3].id, messages[4].id, 'repeated messages get distinct ids');
+  assert.deepStrictEqual(getImporter('whatsapp').parse(android, { self: ['Me'] }).map(m => m.id), messages.map(m => m.id));
+
+  const ios = writeZip('WhatsApp Chat - Crew.zip', [
+    ['_chat.txt', '[01/02/2022, 08:05:09] Sam: Morning\n[01/02/2022, 08:06:00] Sam: ‎<attached: 00000001-PHOTO.jpg>'],
+    ['00000001-PHOTO.jpg', 'jpeg bytes', 0],
+  ]);
+  assert.strictEqual(detectImporter(ios)?.name, 'whatsapp');
+  const zipped = getImporter('whatsapp').parse(ios);
+  assert.deepStrictEqual(zipped.map(m => [m.thread, m.sender, m.text]), [['Crew', 'Sam', 'Morning'], ['Crew', 'Sam', '']]);
+  // Ambiguous dates fall back to day-first
+  assert.strictEqual(zipped[0].timestamp, new Date(2022, 1, 1, 8, 5, 9).toISOString());
+  assert.deepStrictEqual(zipped[1].attachments.map(a => a.name), ['00000001-PHOTO.jpg']);
+});
+
+test('signal: chat.md files under the export root, with media links', () => {
+  const root = join(dir, 'signal-export');
+  for (const [name, lines] of [
+    ['Alice', ['[2024-03-01 10:00] Alice: Photo from the trip ![IMG_1.jpg](./media/IMG_1.jpg)', 'with a second line', '[2024-03-01 10:05] Me: Lovely']],
+    ['Family', ['[2024-03-02 18:30] Mum: Dinner at 7']],
+  ]) {
+    mkdirSync(join(root, name), { recursive: true });
+    writeFileSync(join(root, name, 'chat.md'), lines.join('\n'));
+  }
+
+  assert.strictEqual(detectImporter(root)?.name, 'signal');
+  const messages = getImporter('signal').parse(root, { self: ['me'] });
+  assert.deepStrictEqual(messages.map(m => [m.thread, m.sender, m.role, m.text]), [
+    ['Alice', 'Alice', 'other', 'Photo from the trip \nwith a second line'],
+    ['Alice', 'Me', 'self', 'Lovely'],
+    ['Family', 'Mum', 'other', 'Dinner at 7'],
+  ]);
+  assert.deepStrictEqual(messages[0].attachments, [{ name: 'IMG_1.jpg', type: null, url: './media/IMG_1.jpg' }]);
+  assert.strictEqual(messages[2].timestamp, new Date(2024, 2, 2, 18, 30).toISOString());
+  // A single conversation's chat.md is accepted too
+  assert.strictEqual(getImporter('signal').parse(join(root, 'Family', 'chat.md')).length, 1);
+});
+
+test('mbox: threads by subject, quoted replies and signatures stripped', () => {
+  const path = join(dir, 'mail.mbox');
+  writeFileSync(path, [
+    'From alice@example.com Fri Mar  1 10:00:00 2024',
+    'From: Alice <alice@example.com>',
+    'Subject: Boat trip',
+    'Date: Fri, 01 Mar 2024 10:00:00 +0000',
+    'Message-ID: <a1@example.com>',
+    '',
+    'Shall we sail on Saturday?',
+    '',
+    'From me@example.com Fri Mar  1 11:00:00 2024',
+    'From: Me <me@example.com>',
+    'Subject: Re: Boat trip',
+    'Date: Fri, 01 Mar 2024 11:00:00 +0000',
+    '',
+    'Yes, 9am at the dock.',
+    '',
+    'On Fri, 1 Mar 2024, Alice wrote:',
+    '> Shall we sail on Saturday?',
+    '',
+    '-- ',
+    'Me',
+    '',
+  ].join('\n'));
+
+  assert.strictEqual(detectImporter(path)?.name, 'mbox');
+  const messages = getImporter('mbox').parse(path, { self: ['me@example.com'] });
+  assert.deepStrictEqual(messages.map(m => [m.thread, m.sender, m.role, m.text]), [
+    ['Boat trip', 'Alice', 'other', 'Boat trip\nShall we sail on Saturday?'],
+    ['Boat trip', 'Me', 'self', 'Re: Boat trip\nYes, 9am at the dock.'],
+  ]);
+  assert.strictEqual(messages[0].id, 'a1@example.com');
+  assert.match(messages[1].id, /^[0-9a-f]{24}$/, 'hashed without a Message-ID');
+  assert.strictEqual(messages[1].timestamp, '2024-03-01T11:00:00.000Z');
+});
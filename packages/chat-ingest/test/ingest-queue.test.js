@@ -0,0 +1,133 @@
+/**
+ * Ingest Queue Tests (packages/chat-ingest/ingest-queue.js: coalescing, requeue, concurrency, retries)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { IngestQueue } = require('../ingest-queue');
+
+// A handler whose calls wait until released
+function gate() {
+  const calls = [];
+  const waiting = [];
+  const handler = (path) => {
+    calls.push(path);
+    return new Promise(resolve => waiting.push(() => resolve({ path })));
+  };
+  const release = async () => {
+    waiting.shift()();
+    await settle();
+  };
+  return { handler, calls, release, get running() { return waiting.length; } };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function until(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('changes to a waiting file coalesce into one job', async () => {
+  const { handler, calls, release } = gate();
+  const queue = new IngestQueue(new Database(':memory:'), { chat: handler }, { concurrency: 1 });
+
+  queue.push('chat', 'a.jsonl');
+  for (let i = 0; i < 3; i++) queue.push('chat', 'b.jsonl');
+  assert.deepStrictEqual(calls, ['a.jsonl']);
+  const status = queue.status();
+  assert.deepStrictEqual([status.depth, status.active.map(a => a.path)], [2, ['a.jsonl']]);
+  assert.deepStrictEqual(status.pending.map(p => p.path), ['a.jsonl', 'b.jsonl']);
+
+  await release();
+  await release();
+  assert.deepStrictEqual(calls, ['a.jsonl', 'b.jsonl']);
+  assert.strictEqual(queue.status().depth, 0);
+  assert.strictEqual(queue.status().processed, 2);
+  assert.deepStrictEqual(queue.status().lastIngest.chat.result, { path: 'b.jsonl' });
+  assert.throws(() => queue.push('nope', 'x'), /No ingest handler for "nope"/);
+});
+
+test('a file changed while its job runs is processed once more afterwards', async () => {
+  const { handler, calls, release } = gate();
+  const queue = new IngestQueue(new Database(':memory:'), { chat: handler }, { concurrency: 2 });
+
+  queue.push('chat', 'a.jsonl');
+  queue.push('chat', 'a.jsonl');
+  queue.push('chat', 'a.jsonl');
+  // Never two workers on one file, even with a free slot
+  assert.deepStrictEqual(calls, ['a.jsonl']);
+  assert.strictEqual(queue.status().depth, 1);
+
+  await release();
+  assert.deepStrictEqual(calls, ['a.jsonl', 'a.jsonl']);
+  await release();
+  assert.strictEqual(queue.status().depth, 0);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('no more than `concurrency` jobs run at once', async () => {
+  const g = gate();
+  const queue = new IngestQueue(new Database(':memory:'), { chat: g.handler }, { concurrency: 2 });
+  for (const path of ['1', '2', '3', '4', '5']) queue.push('chat', path);
+  assert.strictEqual(g.running, 2);
+
+  let peak = 0;
+  while (g.calls.length < 5 || g.running > 0) {
+    peak = Math.max(peak, g.running);
+    await g.release();
+  }
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(g.calls, ['1', '2', '3', '4', '5']);
+});
+
+test('failed jobs are retried with exponential backoff, then dropped', async () => {
+  const attempts = [];
+  const failing = async (path) => {
+    attempts.push(Date.now());
+    throw new Error(`cannot read ${path}`);
+  };
+  const queue = new IngestQueue(new Database(':memory:'), { chat: failing }, { maxRetries: 2, retryDelay: 40 });
+
+  queue.push('chat', 'bad.jsonl');
+  await settle();
+  const [pending] = queue.status().pending;
+  assert.deepStrictEqual([pending.attempts, pending.last_error], [1, 'cannot read bad.jsonl']);
+  assert.strictEqual(queue.status().retrying, 1);
+
+  await until(() => attempts.length === 3 && queue.status().depth === 0 && queue.active.size === 0);
+  const [first, second, third] = attempts;
+  assert.ok(second - first >= 40, `first retry after ${second - first}ms`);
+  assert.ok(third - second >= 80, `second retry after ${third - second}ms`);
+  assert.strictEqual(queue.status().failed, 1);
+  assert.strictEqual(queue.status().lastError.message, 'cannot read bad.jsonl');
+});
+
+test('queued jobs survive a restart, and close() waits for running ones', async () => {
+  const db = new Database(':memory:');
+  const first = gate();
+  const queue = new IngestQueue(db, { chat: first.handler }, { concurrency: 1 });
+  queue.push('chat', 'a.jsonl');
+  queue.push('chat', 'b.jsonl');
+
+  let closed = false;
+  const closing = queue.close().then(() => { closed = true; });
+  queue.push('chat', 'c.jsonl');
+  await settle();
+  assert.strictEqual(closed, false);
+  await first.release();
+  await closing;
+  assert.deepStrictEqual(first.calls, ['a.jsonl']);
+
+  // The next daemon picks up what was left
+  const second = gate();
+  const restarted = new IngestQueue(db, { chat: second.handler }, { concurrency: 1 });
+  restarted.start();
+  await second.release();
+  assert.deepStrictEqual(second.calls, ['b.jsonl']);
+  assert.strictEqual(restarted.status().depth, 0);
+});
@@ -0,0 +1,110 @@
+/**
+ * Keyword and Hybrid Ranking Tests (keyword-index.js: FTS5 index, triggers, BM25 search;
+ * unified-search.js: reciprocal-rank fusion)
+ */
+
+const { mkdtempSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Scratch databases before config loads
+const dir = mkdtempSync(join(tmpdir(), 'keyword-search-test-'));
+Object.assign(process.env, {
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_PATHS__SEARCH_DB: join(dir, 'memory.db'),
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { ensureKeywordIndex, buildMatchQuery, keywordSearch, invalidateKeywordPool } = require('../keyword-index');
+const { reciprocalRankFusion } = require('../unified-search');
+const { initDb } = require('../ingest');
+
+after(() => {
+  invalidateKeywordPool();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const matches = (db, query) =>
+  db.prepare('SELECT rowid FROM notes_fts WHERE notes_fts MATCH ? ORDER BY rowid').all(query).map(r => r.rowid);
+
+test('the FTS5 index backfills existing rows and follows inserts, updates and deletes', () => {
+  const db = new Database(':memory:');
+  db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT NOT NULL)');
+  const insert = db.prepare('INSERT INTO notes (id, text) VALUES (?, ?)');
+  insert.run(1, 'route_config.js failed with ECONNRESET');
+  insert.run(2, 'lunch plans');
+
+  assert.strictEqual(ensureKeywordIndex(db, 'notes'), true);
+  assert.strictEqual(ensureKeywordIndex(db, 'notes'), false, 'idempotent');
+  assert.strictEqual(ensureKeywordIndex(db, 'missing'), false);
+  assert.deepStrictEqual(matches(db, 'ECONNRESET'), [1]);
+  // Underscores are token characters: snake_case names stay one token
+  assert.deepStrictEqual(matches(db, 'route_config'), [1]);
+  assert.deepStrictEqual(matches(db, 'route'), []);
+
+  insert.run(3, 'another ECONNRESET in the proxy');
+  assert.deepStrictEqual(matches(db, 'ECONNRESET'), [1, 3]);
+  db.prepare('UPDATE notes SET text = ? WHERE id = 1').run('fixed the retry loop');
+  assert.deepStrictEqual(matches(db, 'ECONNRESET'), [3]);
+  assert.deepStrictEqual(matches(db, 'retry'), [1]);
+  db.prepare('DELETE FROM notes WHERE id = 3').run();
+  assert.deepStrictEqual(matches(db, 'ECONNRESET'), []);
+  db.close();
+});
+
+test('queries become OR-ed quoted terms, so identifiers are phrase matches', () => {
+  assert.strictEqual(buildMatchQuery('route-config.js ECONNRESET'), '"route-config.js" OR "ECONNRESET"');
+  assert.strictEqual(buildMatchQuery('why? why!'), '"why"');
+  assert.strictEqual(buildMatchQuery('say "NEAR" AND (x*)'), '"say" OR "NEAR" OR "AND" OR "x"');
+  assert.strictEqual(buildMatchQuery('?! --'), null);
+});
+
+test('keyword search ranks by BM25 per source, normalized to the best hit and weighted', () => {
+  const db = initDb(process.env.LOCALLLM_PATHS__CHAT_DB);
+  const insert = db.prepare('INSERT INTO chat_chunks (session_id, file, start_ts, end_ts, text) VALUES (?, ?, ?, ?, ?)');
+  insert.run('s1', 'a.jsonl', '2026-03-01T10:00:00Z', '2026-03-01T10:05:00Z', 'The deploy failed: ECONNRESET from route-config.js, ECONNRESET again');
+  insert.run('s1', 'a.jsonl', '2026-03-01T11:00:00Z', '2026-03-01T11:05:00Z', 'Retried the deploy and ECONNRESET went away');
+  insert.run('s2', 'b.jsonl', '2026-03-09T09:00:00Z', '2026-03-09T09:05:00Z', 'Unrelated: sailing on Saturday');
+  db.exec(`CREATE TABLE IF NOT EXISTS telegram_chunks (id INTEGER PRIMARY KEY AUTOINCREMENT, text TEXT NOT NULL, start_ts TEXT, end_ts TEXT)`);
+  ensureKeywordIndex(db, 'telegram_chunks');
+  db.prepare('INSERT INTO telegram_chunks (text, start_ts, end_ts) VALUES (?, ?, ?)').run('ECONNRESET on the home router', '2026-03-05T08:00:00Z', '2026-03-05T08:00:00Z');
+  db.close();
+
+  const results = keywordSearch('route-config.js ECONNRESET', { sources: ['chat', 'telegram'], weights: { telegram: 0.5 } });
+  // Chat chunk 2 lacks the rare term, so telegram's best hit (at its weight) outranks it
+  assert.deepStrictEqual(results.map(r => [r.source, r.meta.id]), [['chat', 1], ['telegram', 1], ['chat', 2]]);
+  assert.strictEqual(results[0].score, 1);
+  assert.strictEqual(results[1].score, 0.5);
+  assert.ok(results[2].score < 0.5);
+  assert.strictEqual(results[0].meta.sessionId, 's1');
+
+  // Filters walk the ranking until enough rows pass
+  const filtered = keywordSearch('ECONNRESET', { sources: ['chat', 'telegram'], topK: 1, filter: { since: '2026-03-01T10:30:00Z' } });
+  assert.deepStrictEqual(filtered.map(r => [r.source, r.meta.id]), [['chat', 2]]);
+  assert.deepStrictEqual(keywordSearch('sailing', { sources: ['chat'], filter: { sessionId: 's1' } }), []);
+  assert.deepStrictEqual(keywordSearch('ECONNRESET', { sources: ['memory'] }), [], 'missing databases are skipped');
+});
+
+test('reciprocal-rank fusion rewards agreement between rankers', () => {
+  const hit = (source, id, score) => ({ source, text: `${source} ${id}`, score, meta: { id } });
+  const vector = [hit('memory', 1, 0.9), hit('chat', 7, 0.8), hit('memory', 2, 0.7)];
+  const keyword = [hit('chat', 7, 12.5), hit('memory', 3, 10.1), hit('memory', 1, 3.2)];
+
+  const fused = reciprocalRankFusion([vector, keyword], { k: 60, names: ['vector', 'keyword'] });
+  assert.deepStrictEqual(fused.map(r => `${r.source}:${r.meta.id}`), ['chat:7', 'memory:1', 'memory:3', 'memory:2']);
+  const [first] = fused;
+  assert.strictEqual(first.rrfScore, 1 / 62 + 1 / 61);
+  assert.strictEqual(first.score, first.rrfScore / (2 / 61), 'normalized to ranked first in every list');
+  assert.deepStrictEqual([first.vectorScore, first.keywordScore], [0.8, 12.5]);
+  assert.strictEqual(fused[3].keywordScore, undefined);
+
+  // Same row id in different sources is a different result
+  assert.strictEqual(reciprocalRankFusion([[hit('memory', 1, 1)], [hit('chat', 1, 1)]]).length, 2);
+
+  // Weights tilt the fusion (a zero weight leaves only the other ranker's order); ranked first everywhere scores 1
+  const keywordOnly = reciprocalRankFusion([vector, keyword], { weights: [0, 1] });
+  assert.deepStrictEqual(keywordOnly.slice(0, 3).map(r => `${r.source}:${r.meta.id}`), ['chat:7', 'memory:3', 'memory:1']);
+  assert.strictEqual(reciprocalRankFusion([[hit('memory', 1, 1)], [hit('memory', 1, 1)]])[0].score, 1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Search Filter Tests (packages/chat-ingest/search-filter.js: time bounds, globs, compiled predicates)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileFilter, hasFilter, parseTimeBound, globMatcher } = require('../search-filter');
+
+const NOW = Date.parse('2026-03-15T12:00:00Z');
+const DAY = 86_400_000;
+
+test('time bounds: relative spans, dates, epoch ms and day names', () => {
+  assert.strictEqual(parseTimeBound('7d', 'since', NOW), NOW - 7 * DAY);
+  assert.strictEqual(parseTimeBound('last 2 weeks', 'since', NOW), NOW - 14 * DAY);
+  assert.strictEqual(parseTimeBound('3 days ago', 'since', NOW), NOW - 3 * DAY);
+  assert.strictEqual(parseTimeBound('30m', 'since', NOW), NOW - 30 * 60_000);
+  assert.strictEqual(parseTimeBound('24 hours', 'since', NOW), NOW - DAY);
+  assert.strictEqual(parseTimeBound('now', 'until', NOW), NOW);
+  assert.strictEqual(parseTimeBound(1700000000000), 1700000000000);
+  assert.strictEqual(parseTimeBound(new Date(NOW)), NOW);
+
+  // A bare date as the upper bound covers the whole day
+  assert.strictEqual(parseTimeBound('2026-01-31', 'since'), Date.parse('2026-01-31'));
+  assert.strictEqual(parseTimeBound('2026-01-31', 'until'), Date.parse('2026-02-01') - 1);
+  assert.strictEqual(parseTimeBound('2026-01-31T08:00:00Z', 'until'), Date.parse('2026-01-31T08:00:00Z'));
+
+  const midnight = new Date(NOW);
+  midnight.setHours(0, 0, 0, 0);
+  assert.strictEqual(parseTimeBound('today', 'since', NOW), midnight.getTime());
+  assert.strictEqual(parseTimeBound('yesterday', 'until', NOW), midnight.getTime() - 1);
+
+  assert.throws(() => parseTimeBound('next tuesday', 'until'), /Invalid until time "next tuesday"/);
+});
+
+test('globs match within segments, across them with **, and by file name', () => {
+  const projects = globMatcher('projects/*.md');
+  assert.ok(projects('projects/boat.md'));
+  assert.ok(!projects('projects/2026/boat.md'));
+  assert.ok(!projects('old/projects/boat.md'));
+
+  const deep = globMatcher('projects/**/*.md');
+  assert.ok(deep('projects/boat.md'), '**/ matches zero directories');
+  assert.ok(deep('projects/2026/q1/boat.md'));
+
+  const byName = globMatcher('2026-0?-*.{md,txt}');
+  assert.ok(byName('memory/2026-03-01.md'), 'patterns without a slash match the file name');
+  assert.ok(byName('2026-04-02.txt'));
+  assert.ok(!byName('memory/2026-10-01.md'));
+  assert.ok(globMatcher('notes (old).md')('notes (old).md'), 'regex characters are literal');
+});
+
+test('compiled filters require every field, and chunks lacking a field fail it', () => {
+  const memory = { source: 'memory', text: 'x'.repeat(300), meta: { file: 'projects/boat.md' } };
+  const chat = { source: 'chat', text: 'y'.repeat(50), meta: { sessionId: '3f2a91c0-aaaa', startTs: '2026-03-10T09:00:00Z', endTs: '2026-03-10T10:00:00Z' } };
+  const spanning = { source: 'telegram', text: 'z'.repeat(500), meta: { startTs: '2026-02-27T00:00:00Z', endTs: '2026-03-09T00:00:00Z' } };
+  const matching = (filter) => [memory, chat, spanning].filter(compileFilter(filter, NOW)).map(e => e.source);
+
+  assert.deepStrictEqual(matching({ file: 'projects/*.md' }), ['memory']);
+  assert.deepStrictEqual(matching({ file: ['nope/*', '*.md'] }), ['memory']);
+  assert.deepStrictEqual(matching({ sessionId: '3f2a' }), ['chat']);
+  // Time ranges only match chunks with timestamps; a chunk overlapping a bound counts
+  assert.deepStrictEqual(matching({ since: '7d' }), ['chat', 'telegram']);
+  assert.deepStrictEqual(matching({ until: '2026-03-01' }), ['telegram']);
+  assert.deepStrictEqual(matching({ since: '2026-03-10', until: '2026-03-10' }), ['chat']);
+  assert.deepStrictEqual(matching({ minLength: 200 }), ['memory', 'telegram']);
+  assert.deepStrictEqual(matching({ minLength: '100', maxLength: 400 }), ['memory']);
+  assert.deepStrictEqual(matching({ since: '7d', minLength: 200 }), ['telegram']);
+});
+
+test('empty filters compile to null and malformed ones throw', () => {
+  assert.strictEqual(compileFilter(null), null);
+  assert.strictEqual(compileFilter({ file: '', since: null }), null);
+  assert.strictEqual(hasFilter({ file: '' }), false);
+  assert.strictEqual(hasFilter({ maxLength: 0 }), true);
+  const predicate = () => true;
+  assert.strictEqual(compileFilter(predicate), predicate);
+
+  assert.throws(() => compileFilter({ session: 'abc', path: 'x' }), /Unknown filter field\(s\): session, path/);
+  assert.throws(() => compileFilter({ since: 'soon' }), /Invalid since time "soon"/);
+  assert.throws(() => compileFilter({ minLength: -1 }), /Invalid minLength "-1"/);
+  assert.throws(() => compileFilter({ since: '2026-03-10', until: '2026-03-01' }), /Empty time range/);
+});
@@ -0,0 +1,100 @@
+/**
+ * Telegram Ingest Tests (packages/chat-ingest/telegram.js: incremental re-ingest by message id)
+ */
+
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock embeddings and a scratch chat DB before config loads
+const dir = mkdtempSync(join(tmpdir(), 'telegram-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_CHUNKING__STRATEGIES__TELEGRAM: 'size',
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const ollama = require('../../../shared/ollama');
+const { initDb, embeddingToBuffer } = require('../ingest');
+
+// Count what is embedded (patched before telegram.js takes its reference through the cache)
+const { embed } = ollama;
+const embedded = [];
+ollama.embed = (model, input, opts) => {
+  embedded.push(...(Array.isArray(input) ? input : [input]));
+  return embed(model, input, opts);
+};
+
+const { ingestTelegram, ensureTelegramSchema } = require('../telegram');
+const { forget } = require('../forget');
+
+const chatDb = process.env.LOCALLLM_PATHS__CHAT_DB;
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const path = join(dir, 'export.json');
+function writeExport(texts) {
+  writeFileSync(path, JSON.stringify({
+    id: 1,
+    messages: texts.map((text, i) => ({ id: i + 1, type: 'message', date: 1700000000 + i * 60, text })),
+  }));
+}
+
+const rows = () => {
+  const db = new Database(chatDb, { readonly: true });
+  try {
+    return db.prepare('SELECT id, start_msg_id, end_msg_id, text FROM telegram_chunks ORDER BY id').all();
+  } finally {
+    db.close();
+  }
+};
+
+test('re-running on a newer export embeds only the new messages', async () => {
+  writeExport(['book the mooring for March', 'HEARTBEAT_OK', 'winter storage is paid']);
+  assert.strictEqual(await ingestTelegram(path), 1);
+  assert.deepStrictEqual(rows().map(r => [r.start_msg_id, r.end_msg_id]), [[1, 3]]);
+
+  embedded.length = 0;
+  assert.strictEqual(await ingestTelegram(path), 0, 'unchanged export');
+  assert.deepStrictEqual(embedded, []);
+
+  writeExport(['book the mooring for March', 'HEARTBEAT_OK', 'winter storage is paid', 'the boat goes in the water on April 2']);
+  assert.strictEqual(await ingestTelegram(path), 1);
+  assert.deepStrictEqual(embedded, ['the boat goes in the water on April 2']);
+  assert.deepStrictEqual(rows().map(r => r.text), [
+    'book the mooring for March\nwinter storage is paid',
+    'the boat goes in the water on April 2',
+  ]);
+
+  // Forgotten chunks stay forgotten
+  forget({ match: 'April 2' }, { sources: ['telegram'] });
+  embedded.length = 0;
+  assert.strictEqual(await ingestTelegram(path), 0);
+  assert.deepStrictEqual(embedded, []);
+  assert.strictEqual(rows().length, 1);
+});
+
+test('chunks saved before message ids were recorded count as ingested', async () => {
+  const legacy = join(dir, 'legacy.json');
+  const db = initDb(chatDb);
+  ensureTelegramSchema(db);
+  const vector = embeddingToBuffer((await embed('mock/embed', 'old chunk')).embeddings[0]);
+  db.prepare(`
+    INSERT INTO telegram_chunks (source, start_msg_id, end_msg_id, text, embedding, embed_model, embed_dim)
+    VALUES (?, 1, 2, 'old chunk', ?, 'mock/embed', 32)
+  `).run(legacy, vector);
+  db.close();
+
+  writeFileSync(legacy, JSON.stringify({
+    id: 2,
+    messages: ['first', 'second', 'third'].map((text, i) => ({ id: i + 1, type: 'message', date: 1700000000 + i, text })),
+  }));
+  embedded.length = 0;
+  assert.strictEqual(await ingestTelegram(legacy), 1);
+  assert.deepStrictEqual(embedded, ['third']);
+  assert.strictEqual(rows().filter(r => r.text === 'old chunk').length, 1, 'not deleted and re-inserted');
+});
@@ -0,0 +1,124 @@
+/**
+ * Transcript Reader Tests
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { mkdtempSync, writeFileSync, appendFileSync, statSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { readLines, transcriptChange } = require('../transcript-reader');
+const { parseTranscriptMessages } = require('../index');
+
+const dir = mkdtempSync(join(tmpdir(), 'transcript-reader-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function tempFile(content) {
+  const file = join(dir, `t${fileCount++}.jsonl`);
+  writeFileSync(file, content);
+  return file;
+}
+
+function entry(id, role, text) {
+  return JSON.stringify({ type: 'message', id, timestamp: '2026-01-01T00:00:00.000Z', message: { role, content: text } }) + '\n';
+}
+
+test('splits lines with byte offsets', () => {
+  const file = tempFile('ab\ncd\n');
+  const lines = [...readLines(file)];
+  assert.deepStrictEqual(lines, [
+    { text: 'ab', start: 0, end: 3, partial: false },
+    { text: 'cd', start: 3, end: 6, partial: false },
+  ]);
+});
+
+test('keeps multibyte characters intact across block boundaries', () => {
+  const text = ['héllo wörld', '日本語のテキスト', 'emoji 🎉🚀 ok', 'Ωmega'];
+  const file = tempFile(text.join('\n') + '\n');
+  for (const blockSize of [1, 2, 3, 5, 7, 64]) {
+    const lines = [...readLines(file, 0, blockSize)];
+    assert.deepStrictEqual(lines.map(l => l.text), text, `blockSize ${blockSize}`);
+    assert.strictEqual(lines[lines.length - 1].end, statSync(file).size);
+  }
+});
+
+test('offsets are bytes, not characters', () => {
+  const file = tempFile('日本\nnext\n');
+  const [first, second] = readLines(file);
+  assert.strictEqual(first.end, Buffer.byteLength('日本\n'));
+  assert.strictEqual(second.start, 7);
+  assert.deepStrictEqual([...readLines(file, first.end)].map(l => l.text), ['next']);
+});
+
+test('marks a trailing line without newline as partial', () => {
+  const file = tempFile('done\n{"type":"mess');
+  const lines = [...readLines(file)];
+  assert.strictEqual(lines.length, 2);
+  assert.strictEqual(lines[0].partial, false);
+  assert.deepStrictEqual(lines[1], { text: '{"type":"mess', start: 5, end: 18, partial: true });
+});
+
+test('strips CRLF line endings and a leading BOM', () => {
+  const file = tempFile('\uFEFFone\r\ntwo\r\n');
+  assert.deepStrictEqual([...readLines(file)].map(l => l.text), ['one', 'two']);
+});
+
+test('reads nothing past the end of the file', () => {
+  const file = tempFile('abc\n');
+  assert.deepStrictEqual([...readLines(file, 4)], []);
+  assert.deepStrictEqual([...readLines(file, 100)], []);
+});
+
+test('parses multibyte messages incrementally from the byte offset', () => {
+  const file = tempFile(entry('m1', 'user', 'Ça va? 日本語') + entry('m2', 'assistant', 'Très bien 🎉'));
+  const first = parseTranscriptMessages(file);
+  assert.deepStrictEqual(first.messages.map(m => m.text), ['Ça va? 日本語', 'Très bien 🎉']);
+  assert.strictEqual(first.newOffset, statSync(file).size);
+
+  appendFileSync(file, entry('m3', 'user', 'Ünïcödé → next'));
+  const second = parseTranscriptMessages(file, first.newOffset);
+  assert.deepStrictEqual(second.messages.map(m => m.id), ['m3']);
+  assert.strictEqual(second.messages[0].text, 'Ünïcödé → next');
+  assert.strictEqual(second.newOffset, statSync(file).size);
+});
+
+test('leaves a partially written last line for the next read', () => {
+  const complete = entry('m1', 'assistant', 'first 🎉');
+  const next = entry('m2', 'assistant', 'second ✓');
+  const file = tempFile(complete + next.slice(0, 20));
+
+  const first = parseTranscriptMessages(file);
+  assert.deepStrictEqual(first.messages.map(m => m.id), ['m1']);
+  assert.strictEqual(first.newOffset, Buffer.byteLength(complete));
+
+  appendFileSync(file, next.slice(20));
+  const second = parseTranscriptMessages(file, first.newOffset);
+  assert.deepStrictEqual(second.messages.map(m => m.text), ['second ✓']);
+  assert.strictEqual(second.newOffset, statSync(file).size);
+});
+
+test('consumes a complete last line without trailing newline', () => {
+  const file = tempFile(entry('m1', 'user', 'q').trimEnd());
+  const result = parseTranscriptMessages(file);
+  assert.strictEqual(result.messages.length, 1);
+  assert.strictEqual(result.newOffset, statSync(file).size);
+});
+
+test('skips malformed complete lines but advances past them', () => {
+  const file = tempFile('not json\n' + entry('m1', 'assistant', 'ok'));
+  const result = parseTranscriptMessages(file);
+  assert.deepStrictEqual(result.messages.map(m => m.id), ['m1']);
+  assert.strictEqual(result.newOffset, statSync(file).size);
+});
+
+test('detects appended, unchanged, truncated and rotated transcripts', () => {
+  const stat = { size: 100, ino: 42 };
+  assert.strictEqual(transcriptChange(undefined, stat), 'new');
+  assert.strictEqual(transcriptChange({ last_offset: 100, inode: 42 }, stat), 'unchanged');
+  assert.strictEqual(transcriptChange({ last_offset: 60, inode: 42 }, stat), 'appended');
+  assert.strictEqual(transcriptChange({ last_offset: 150, inode: 42 }, stat), 'truncated');
+  assert.strictEqual(transcriptChange({ last_offset: 60, inode: 7 }, stat), 'rotated');
+  // Rows from before inodes were recorded
+  assert.strictEqual(transcriptChange({ last_offset: 60, inode: null }, stat), 'appended');
+});
@@ -0,0 +1,92 @@
+const { openSync, readSync, closeSync } = require('fs');
+
+/**
+ * Byte-accurate incremental reading of append-only JSONL transcripts.
+ *
+ * `ingest_progress.last_offset` is a byte offset. Reading seeks straight to
+ * it and walks the file in fixed-size blocks, so a multi-hundred-MB session
+ * is never loaded whole and the offset never drifts on multibyte UTF-8.
+ */
+
+const NEWLINE = 0x0a;
+const DEFAULT_BLOCK_SIZE = 1 << 20;
+
+/**
+ * Read lines from a byte offset. Lines are split on the "\n" byte — which
+ * never occurs inside a multibyte UTF-8 sequence — and decoded whole, so a
+ * character is never cut at a block boundary. A trailing line without "\n"
+ * is yielded with `partial: true`: the writer may still be appending to it.
+ *
+ * @param {string} filePath
+ * @param {number} [fromOffset=0] - Byte offset (a line start)
+ * @param {number} [blockSize=1MB] - Read size; memory use is bounded by it plus the longest line
+ * @param {string} [encoding='utf-8'] - 'latin1' yields the bytes as binary strings (one character per byte)
+ * @yields {{ text: string, start: number, end: number, partial: boolean }} `end` is the byte offset after the line
+ */
+function* readLines(filePath, fromOffset = 0, blockSize = DEFAULT_BLOCK_SIZE, encoding = 'utf-8') {
+  const fd = openSync(filePath, 'r');
+  try {
+    const block = Buffer.alloc(blockSize);
+    let pending = Buffer.alloc(0);
+    let pendingStart = fromOffset;
+    let position = fromOffset;
+
+    for (;;) {
+      const bytesRead = readSync(fd, block, 0, blockSize, position);
+      if (bytesRead === 0) break;
+      position += bytesRead;
+
+      let data = Buffer.concat([pending, block.subarray(0, bytesRead)]);
+      let lineStart = 0;
+      let newline;
+      while ((newline = data.indexOf(NEWLINE, lineStart)) !== -1) {
+        yield {
+          text: decodeLine(data.subarray(lineStart, newline), encoding),
+          start: pendingStart + lineStart,
+          end: pendingStart + newline + 1,
+          partial: false,
+        };
+        lineStart = newline + 1;
+      }
+      pending = Buffer.from(data.subarray(lineStart));
+      pendingStart += lineStart;
+      data = null;
+    }
+
+    if (pending.length > 0) {
+      yield { text: decodeLine(pending, encoding), start: pendingStart, end: pendingStart + pending.length, partial: true };
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function decodeLine(bytes, encoding) {
+  return bytes.toString(encoding).replace(/\r$/, '').replace(/^\uFEFF/, '');
+}
+
+/**
+ * How a transcript changed since it was last ingested.
+ *
+ * - 'new'       — never ingested
+ * - 'unchanged' — same file, same size
+ * - 'appended'  — same file, grown past the stored offset
+ * - 'truncated' — shrank below the stored offset (rewritten in place)
+ * - 'rotated'   — a different file now lives at the path (inode changed)
+ *
+ * Truncated and rotated transcripts must be re-ingested from scratch.
+ *
+ * @param {{ last_offset: number, inode?: number|null }|undefined} progress - ingest_progress row
+ * @param {import('fs').Stats} stat
+ * @returns {'new'|'unchanged'|'appended'|'truncated'|'rotated'}
+ */
+function transcriptChange(progress, stat) {
+  if (!progress) return 'new';
+  // Inodes are unknown for rows written before they were recorded (and 0 on some filesystems)
+  if (progress.inode && stat.ino && progress.inode !== stat.ino) return 'rotated';
+  const offset = progress.last_offset || 0;
+  if (stat.size < offset) return 'truncated';
+  return stat.size === offset ? 'unchanged' : 'appended';
+}
+
+module.exports = { readLines, transcriptChange };
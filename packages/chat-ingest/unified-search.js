@@ -1,50 +1,42 @@
 const { existsSync } = require('fs');
 const { embed } = require('../../shared/ollama');
+const { cachedEmbed } = require('../../shared/embedding-cache');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
+const tracing = require('../../shared/tracing');
 const { initDb, bufferToEmbedding } = require('./ingest');
-const { vectorIndex } = require('./vector-index');
+const { chatMeta } = require('./index');
+const { vectorIndex, sourceWeights } = require('./vector-index');
+const { keywordSearch, invalidateKeywordPool } = require('./keyword-index');
+const { isCompatible, resolveSearchModel, invalidateActiveModelCache } = require('../../shared/embedding-meta');
+const { compileFilter } = require('./search-filter');
+const { diversifyResults } = require('./diversify');
+const { externalSources, externalMeta } = require('./external');
+
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
 
 // Tiered RAG Architecture:
 // - Tier 1 (memory): Curated notes, full weight
 // - Tier 2 (chat/telegram): Filtered assistant responses >100 chars, reduced weight
 // - Tier 3 (recent context): Last 5-10 messages, no vector search (handled by context-pipeline)
 //
-// After Tier 2 content filtering (assistant-only, length>100), chat and telegram
-// have similar quality, so both receive 0.5 weight.
-const SOURCE_WEIGHTS = {
-  memory: 1.0,    // Tier 1: Curated notes - highest priority
-  chat: 0.5,      // Tier 2: Filtered assistant responses - quality decisions/explanations
-  telegram: 0.5,  // Tier 2: Filtered assistant responses - same quality as chat after filtering
-};
-
-// Embedding cache: normalized query → Float64Array (TTL-based)
-const embeddingCache = new Map();
-const CACHE_MAX = 200;
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-
-function getCacheKey(text) {
-  return text.toLowerCase().replace(/\s+/g, " ").trim().slice(0, 200);
-}
-
-async function getQueryEmbedding(query) {
-  const key = getCacheKey(query);
-  const cached = embeddingCache.get(key);
-  if (cached && Date.now() - cached.ts < CACHE_TTL_MS) {
-    return { vector: cached.vector, fromCache: true };
-  }
-
-  const result = await embed(config.models.embed, query);
-  const vector = result.embeddings[0];
+// Weights come from config.contextPipeline.rag.sourceWeights (see sourceWeights()
+// in vector-index.js), so the index and the SQLite fallback rank alike.
+const BUILTIN_SOURCES = ['memory', 'chat', 'telegram'];
 
-  // LRU eviction
-  if (embeddingCache.size >= CACHE_MAX) {
-    const oldest = [...embeddingCache.entries()].sort((a, b) => a[1].ts - b[1].ts)[0];
-    if (oldest) embeddingCache.delete(oldest[0]);
-  }
+/**
+ * Every searchable source: the built-in tiers plus one per import platform.
+ * @returns {string[]}
+ */
+function defaultSources() {
+  return [...BUILTIN_SOURCES, ...externalSources()];
+}
 
-  embeddingCache.set(key, { vector, ts: Date.now() });
-  return { vector, fromCache: false };
+// Query embeddings go through the shared on-disk cache (case-insensitive key),
+// so the dashboard, API server and CLI reuse each other's work
+async function getQueryEmbedding(query, model) {
+  const result = await cachedEmbed(model, query, { scope: 'query', ignoreCase: true });
+  return { vector: result.embeddings[0], fromCache: result.cacheHits > 0 };
 }
 
 // Module-level connection pool (lazy init, reuse across calls)
@@ -72,9 +64,16 @@ function getPooledChatDb(path) {
 function invalidatePool() {
   if (_memoryDb) { try { _memoryDb.close(); } catch {} _memoryDb = null; }
   if (_chatDb) { try { _chatDb.close(); } catch {} _chatDb = null; }
+  invalidateKeywordPool();
+  invalidateActiveModelCache();
   logger.debug('Connection pool invalidated');
 }
 
+// Pooled connections are opened on config.paths: reopen after they change
+config.onChange(({ changed }) => {
+  if (changed.some(path => path.startsWith('paths.') || path === 'models.embed')) invalidatePool();
+});
+
 process.on('exit', () => {
   try { _memoryDb?.close(); } catch {}
   try { _chatDb?.close(); } catch {}
@@ -89,38 +88,208 @@ function cosineSimilarity(a, b) {
 }
 
 /**
- * Unified search across all sources: memory files, chat sessions, Telegram.
+ * Stable identity for a result across ranked lists (row id within its source).
+ */
+function resultKey(r) {
+  return r.meta?.id != null ? `${r.source}:${r.meta.id}` : `${r.source}:${r.text}`;
+}
+
+/**
+ * Reciprocal-rank fusion: score(d) = Σ weight_i / (k + rank_i(d)).
+ * Rank-based, so cosine and BM25 scores never have to share a scale.
+ *
+ * The returned `score` is the fused score normalized to 0-1 (1.0 = ranked first
+ * in every list), so existing minScore thresholds stay meaningful.
+ *
+ * @param {Array<Array<object>>} lists - Ranked result lists (best first)
+ * @param {object} [opts]
+ * @param {number} [opts.k=60] - Rank damping constant
+ * @param {number[]} [opts.weights] - Per-list weights (default 1.0 each)
+ * @param {string[]} [opts.names] - Per-list names, used for `<name>Score` fields
+ * @returns {Array<object>} Fused results sorted by score
+ */
+function reciprocalRankFusion(lists, opts = {}) {
+  const k = opts.k ?? 60;
+  const weights = opts.weights || lists.map(() => 1.0);
+  const names = opts.names || lists.map((_, i) => `list${i}`);
+  const maxScore = weights.reduce((sum, w) => sum + w, 0) / (k + 1);
+  const fused = new Map();
+
+  lists.forEach((list, i) => {
+    list.forEach((r, rank) => {
+      const key = resultKey(r);
+      if (!fused.has(key)) {
+        fused.set(key, { ...r, rrfScore: 0 });
+      }
+      const entry = fused.get(key);
+      entry.rrfScore += weights[i] / (k + rank + 1);
+      entry[`${names[i]}Score`] = r.score;
+    });
+  });
+
+  return [...fused.values()]
+    .map(r => ({ ...r, score: maxScore > 0 ? r.rrfScore / maxScore : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Diversification settings for a search: config.search.diversify, overridden
+ * (or disabled with `false`) per call.
+ * @param {boolean|object} [override]
+ * @returns {object|null}
+ */
+function resolveDiversify(override) {
+  if (override === false) return null;
+  const settings = { ...config.search?.diversify, ...(typeof override === 'object' ? override : {}) };
+  if (override === undefined && settings.enabled === false) return null;
+  return settings;
+}
+
+/**
+ * Unified search across all sources: memory files, chat sessions, Telegram,
+ * imported chat exports.
  * @param {string} query
  * @param {object} [opts]
  * @param {number} [opts.topK=10]
  * @param {string} [opts.chatDb] - chat-memory.db path
  * @param {string} [opts.memoryDb] - memory.db path (markdown index)
- * @param {string[]} [opts.sources] - filter to specific sources: ['memory', 'chat', 'telegram']
+ * @param {string[]} [opts.sources] - filter to specific sources: ['memory', 'chat', 'telegram',
+ *   'slack', 'discord', 'whatsapp', 'signal', 'mbox'] (default: all)
+ * @param {'vector'|'keyword'|'hybrid'} [opts.mode] - Ranking mode (default: config.search.mode)
+ * @param {object} [opts.hybrid] - Overrides for config.search.hybrid (rrfK, weights, candidateMultiplier)
+ * @param {object} [opts.filter] - Metadata filter: { file, sessionId, since, until, minLength, maxLength }
+ *   (see search-filter.js); applied before scoring in every mode
+ * @param {boolean|object} [opts.diversify] - MMR settings overriding config.search.diversify
+ *   (lambda, duplicateThreshold, maxPerFile, maxPerSession), or false to disable
  * @returns {Promise<Array<{ source, text, score, meta }>>}
  */
 async function unifiedSearch(query, opts = {}) {
+  const mode = opts.mode || config.search?.mode || 'vector';
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Invalid search mode "${mode}" (expected one of: ${SEARCH_MODES.join(', ')})`);
+  }
+
+  // Compile once (validates the filter and pins relative times for both rankers)
+  opts = { ...opts, filter: compileFilter(opts.filter) };
+
+  // Diversification re-selects from a wider scored set, after ranking
+  const startTime = Date.now();
+  const topK = opts.topK || 10;
+  const diversify = resolveDiversify(opts.diversify);
+  return tracing.withSpan('search', { 'search.mode': mode, 'search.top_k': topK, 'search.sources': opts.sources }, async (span) => {
+    let results;
+    if (!diversify) {
+      results = await rankedSearch(query, mode, opts);
+    } else {
+      const candidates = await rankedSearch(query, mode, {
+        ...opts,
+        topK: topK * (diversify.candidateMultiplier || 3),
+      });
+      results = diversifyResults(candidates, { ...diversify, topK });
+      logger.debug(`Diversify: kept ${results.length} of ${candidates.length} candidates`);
+      span.setAttribute('search.diversify_candidates', candidates.length);
+    }
+    span.setAttribute('search.results', results.length);
+    logger.debug(`Search (${mode}): ${results.length} results, ${Date.now() - startTime}ms`);
+    return results;
+  });
+}
+
+// keywordSearch() is synchronous; traced here as its own step
+function tracedKeywordSearch(query, opts) {
+  return tracing.withSpan('keyword.search', { 'search.top_k': opts.topK }, (span) => {
+    const results = keywordSearch(query, opts);
+    span.setAttribute('search.results', results.length);
+    return results;
+  });
+}
+
+/**
+ * Top-K results of one ranking mode (no diversification).
+ */
+async function rankedSearch(query, mode, opts) {
+  if (mode === 'vector') {
+    return vectorSearch(query, opts);
+  }
+
+  const topK = opts.topK || 10;
+  const keywordOpts = {
+    sources: opts.sources,
+    memoryDb: opts.memoryDb,
+    chatDb: opts.chatDb,
+    weights: sourceWeights(),
+    filter: opts.filter,
+  };
+
+  if (mode === 'keyword') {
+    return tracedKeywordSearch(query, { ...keywordOpts, topK });
+  }
+
+  // Hybrid: over-fetch from both rankers, then fuse by rank
+  const hybrid = { ...config.search?.hybrid, ...opts.hybrid };
+  const candidates = topK * (hybrid.candidateMultiplier || 4);
+  const startTime = Date.now();
+
+  const [vectorResults, keywordResults] = await Promise.all([
+    vectorSearch(query, { ...opts, topK: candidates }),
+    tracedKeywordSearch(query, { ...keywordOpts, topK: candidates }),
+  ]);
+
+  const results = reciprocalRankFusion([vectorResults, keywordResults], {
+    k: hybrid.rrfK,
+    weights: [hybrid.weights?.vector ?? 1.0, hybrid.weights?.keyword ?? 1.0],
+    names: ['vector', 'keyword'],
+  }).slice(0, topK);
+
+  logger.debug(`Hybrid search: ${results.length} results (vector=${vectorResults.length}, keyword=${keywordResults.length}), ${Date.now() - startTime}ms`);
+  return results;
+}
+
+/**
+ * Embedding-only search (cosine similarity × source weight).
+ * The query is embedded with the index's active model and only chunks from
+ * that model are scored (see shared/embedding-meta.js).
+ */
+async function vectorSearch(query, opts = {}) {
   const startTime = Date.now();
   const topK = opts.topK || 10;
   const chatDbPath = opts.chatDb || config.paths.chatDb;
   const memoryDbPath = opts.memoryDb || config.paths.searchDb;
-  const sources = opts.sources || ['memory', 'chat', 'telegram'];
+  const sources = opts.sources || defaultSources();
+  const filter = compileFilter(opts.filter);
+
+  // Use vector index if enabled (fast path)
+  const useVectorIndex = config.contextPipeline?.vectorIndex?.enabled !== false;
+  let model;
+  if (useVectorIndex) {
+    vectorIndex.ensureLoaded();
+    model = vectorIndex.model;
+  } else {
+    model = resolveSearchModel({ memoryDb: memoryDbPath, chatDb: chatDbPath });
+  }
 
   // Generate query embedding once (with cache if enabled)
   const embedStart = Date.now();
   const useCache = config.contextPipeline?.features?.embeddingCache !== false;
-  const { vector: queryVector, fromCache } = useCache
-    ? await getQueryEmbedding(query)
-    : { vector: (await embed(config.models.embed, query)).embeddings[0], fromCache: false };
+  const { vector: queryVector, fromCache } = await tracing.withSpan('embed', { model, 'embed.cache': useCache }, async (span) => {
+    const embedding = useCache
+      ? await getQueryEmbedding(query, model)
+      : { vector: (await embed(model, query)).embeddings[0], fromCache: false };
+    span.setAttribute('embed.cache_hit', embedding.fromCache);
+    return embedding;
+  });
   if (fromCache) logger.debug('Embedding cache hit for query');
   const embedTime = Date.now() - embedStart;
-
-  // Use vector index if enabled (fast path)
-  const useVectorIndex = config.contextPipeline?.vectorIndex?.enabled !== false;
+  const dim = queryVector.length;
 
   if (useVectorIndex) {
     try {
       const searchStart = Date.now();
-      const results = vectorIndex.search(queryVector, topK, 0, sources);
+      const results = tracing.withSpan('vector.scan', { 'scan.backend': 'index', 'index.size': vectorIndex.metadata.length }, (span) => {
+        const hits = vectorIndex.search(queryVector, topK, 0, sources, { filter });
+        span.setAttribute('search.results', hits.length);
+        return hits;
+      });
       const searchTime = Date.now() - searchStart;
       const totalTime = Date.now() - startTime;
 
@@ -133,6 +302,8 @@ async function unifiedSearch(query, opts = {}) {
   }
 
   const allResults = [];
+  const weights = sourceWeights();
+  const scanSpan = tracing.startSpan('vector.scan', { 'scan.backend': 'sqlite' });
 
   // 1. Memory markdown chunks
   if (sources.includes('memory') && existsSync(memoryDbPath)) {
@@ -151,19 +322,25 @@ async function unifiedSearch(query, opts = {}) {
       }
 
       for (const chunk of chunks) {
+        if (!isCompatible(chunk, model, dim)) continue;
+        const meta = {
+          id: chunk.id,
+          file: chunk.file,
+          startLine: chunk.start_line,
+          endLine: chunk.end_line,
+          language: chunk.language || null,
+          section: chunk.section || null,
+        };
+        if (filter && !filter({ source: 'memory', text: chunk.text, meta })) continue;
         const embedding = bufferToEmbedding(chunk.embedding);
         const rawScore = cosineSimilarity(queryVector, embedding);
-        const weightedScore = rawScore * SOURCE_WEIGHTS.memory;
+        const weightedScore = rawScore * weights.memory;
         allResults.push({
           source: 'memory',
           text: chunk.text,
           score: weightedScore,
           rawScore,
-          meta: {
-            file: chunk.file,
-            startLine: chunk.start_line,
-            endLine: chunk.end_line,
-          },
+          meta,
         });
       }
 
@@ -190,19 +367,18 @@ async function unifiedSearch(query, opts = {}) {
       if (hasTable) {
         const chunks = db.prepare('SELECT * FROM chat_chunks').all();
         for (const chunk of chunks) {
+          if (!isCompatible(chunk, model, dim)) continue;
+          const meta = chatMeta(chunk);
+          if (filter && !filter({ source: 'chat', text: chunk.text, meta })) continue;
           const embedding = bufferToEmbedding(chunk.embedding);
           const rawScore = cosineSimilarity(queryVector, embedding);
-          const weightedScore = rawScore * SOURCE_WEIGHTS.chat;
+          const weightedScore = rawScore * weights.chat;
           allResults.push({
             source: 'chat',
             text: chunk.text,
             score: weightedScore,
             rawScore,
-            meta: {
-              sessionId: chunk.session_id,
-              startTs: chunk.start_ts,
-              endTs: chunk.end_ts,
-            },
+            meta,
           });
         }
       }
@@ -230,18 +406,22 @@ async function unifiedSearch(query, opts = {}) {
       if (hasTable) {
         const chunks = db.prepare('SELECT * FROM telegram_chunks').all();
         for (const chunk of chunks) {
+          if (!isCompatible(chunk, model, dim)) continue;
+          const meta = {
+            id: chunk.id,
+            startTs: chunk.start_ts,
+            endTs: chunk.end_ts,
+          };
+          if (filter && !filter({ source: 'telegram', text: chunk.text, meta })) continue;
           const embedding = bufferToEmbedding(chunk.embedding);
           const rawScore = cosineSimilarity(queryVector, embedding);
-          const weightedScore = rawScore * SOURCE_WEIGHTS.telegram;
+          const weightedScore = rawScore * weights.telegram;
           allResults.push({
             source: 'telegram',
             text: chunk.text,
             score: weightedScore,
             rawScore,
-            meta: {
-              startTs: chunk.start_ts,
-              endTs: chunk.end_ts,
-            },
+            meta,
           });
         }
       }
@@ -252,10 +432,50 @@ async function unifiedSearch(query, opts = {}) {
     }
   }
 
+  // 4. Imported chat exports (one source per platform)
+  const platforms = externalSources().filter(p => sources.includes(p));
+  if (platforms.length > 0 && existsSync(chatDbPath)) {
+    try {
+      const usePool = config.contextPipeline?.features?.connectionPool !== false;
+      let db, shouldClose = false;
+
+      if (usePool) {
+        db = getPooledChatDb(chatDbPath);
+      } else {
+        db = initDb(chatDbPath);
+        shouldClose = true;
+      }
+
+      const hasTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='external_chunks'").get();
+      if (hasTable) {
+        const chunks = db.prepare(`SELECT * FROM external_chunks WHERE platform IN (${platforms.map(() => '?').join(', ')})`).all(...platforms);
+        for (const chunk of chunks) {
+          if (!isCompatible(chunk, model, dim)) continue;
+          const meta = externalMeta(chunk);
+          if (filter && !filter({ source: chunk.platform, text: chunk.text, meta })) continue;
+          const embedding = bufferToEmbedding(chunk.embedding);
+          const rawScore = cosineSimilarity(queryVector, embedding);
+          allResults.push({
+            source: chunk.platform,
+            text: chunk.text,
+            score: rawScore * weights[chunk.platform],
+            rawScore,
+            meta,
+          });
+        }
+      }
+
+      if (shouldClose) db.close();
+    } catch (err) {
+      logger.debug(`External chat search error: ${err.message}`);
+    }
+  }
+
   // Sort by weighted score, return top K
   const results = allResults
     .sort((a, b) => b.score - a.score)
     .slice(0, topK);
+  scanSpan.setAttributes({ 'scan.scored': allResults.length, 'search.results': results.length }).end();
 
   // Log source distribution for debugging
   const sourceDistribution = results.reduce((acc, r) => {
@@ -272,4 +492,4 @@ async function unifiedSearch(query, opts = {}) {
   return results;
 }
 
-module.exports = { unifiedSearch, invalidatePool, embeddingCache };
+module.exports = { unifiedSearch, reciprocalRankFusion, invalidatePool, defaultSources, SEARCH_MODES };
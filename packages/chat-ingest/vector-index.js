@@ -1,19 +1,47 @@
-const { existsSync } = require('fs');
+const { existsSync, readFileSync, writeFileSync, renameSync } = require('fs');
+const { dirname, join } = require('path');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
 const { initDb, bufferToEmbedding } = require('./ingest');
+const { chatMeta } = require('./index');
+const { normalizeModel, isCompatible, resolveSearchModel } = require('../../shared/embedding-meta');
+const { HnswGraph } = require('./hnsw');
+const { compileFilter } = require('./search-filter');
+const { externalSourceWeights, externalMeta } = require('./external');
 
-// Source weight tiers: prioritize curated memory over raw chat logs
-const SOURCE_WEIGHTS = {
-  memory: 1.0,   // Tier 1: Curated notes - highest priority
-  chat: 0.7,     // Tier 2: Clawdbot sessions - useful but verbose
-  telegram: 0.5, // Tier 3: Raw chat - often noise
-};
+/**
+ * Ranking weight per search source: the built-in tiers from
+ * config.contextPipeline.rag.sourceWeights (curated memory over raw chat logs)
+ * plus one per imported platform (config.externalChats.weights). Both the
+ * in-memory index and the SQLite scan in unified-search.js rank with these.
+ * @returns {Object<string, number>}
+ */
+function sourceWeights() {
+  return { ...externalSourceWeights(), ...config.contextPipeline?.rag?.sourceWeights };
+}
+
+function hnswOptions() {
+  return config.contextPipeline?.vectorIndex?.hnsw || {};
+}
+
+/**
+ * Where the HNSW graph is persisted: next to the SQLite databases by default.
+ */
+function hnswPath() {
+  return hnswOptions().path || join(dirname(config.paths.chatDb), 'vector-index.hnsw');
+}
 
 /**
  * In-memory vector index for fast similarity search.
  * Preloads all chunk embeddings from SQLite into a contiguous Float32Array matrix.
  * Performs dot-product search on pre-normalized vectors (= cosine similarity).
+ * Only chunks embedded with the index's active model are loaded; the matrix
+ * width is taken from those rows rather than assumed.
+ *
+ * With contextPipeline.vectorIndex.hnsw.enabled, search walks an HNSW graph
+ * over the same matrix instead of scanning every row. The graph is persisted
+ * (see hnswPath()) and carried across reloads: rows that disappeared are
+ * dropped, new rows are inserted, so ingest only pays for what changed.
  *
  * Performance: ~5-20ms per search vs ~800-2000ms with SQLite full-table scan.
  * Memory cost: ~1.5MB for 390 chunks × 1024 dimensions.
@@ -23,6 +51,10 @@ class VectorIndex {
     this.matrix = null;           // Float32Array, row-major [n_chunks × dim]
     this.metadata = [];           // Array of { source, text, meta }
     this.dim = config.embedding?.dimension || 1024;
+    this.model = null;            // Embedding model every loaded row came from
+    this.skipped = 0;             // Rows refused (other model / dimension)
+    this.keys = [];               // Stable "source:id" key per matrix row
+    this.hnsw = null;             // HnswGraph over this.matrix (when enabled)
     this.loaded = false;
     this.loadedAt = 0;
     this.staleAfterMs = 60_000;   // Reload if older than 60s
@@ -37,18 +69,40 @@ class VectorIndex {
     const chunks = [];
     const Database = require('better-sqlite3');
 
+    // Refuse rows from other embedding models; the first acceptable row fixes the width
+    const model = resolveSearchModel();
+    let dim = null;
+    let skipped = 0;
+    const accept = (row) => {
+      if (dim === null && row.embedding && (!row.embed_model || normalizeModel(row.embed_model) === model)) {
+        dim = row.embed_dim || row.embedding.length / 4;
+      }
+      if (isCompatible(row, model, dim)) return true;
+      skipped++;
+      return false;
+    };
+
     // Load from memory.db
     const memoryDbPath = config.paths.searchDb;
     if (existsSync(memoryDbPath)) {
       try {
         const db = new Database(memoryDbPath, { readonly: true });
-        const rows = db.prepare('SELECT text, embedding, file, start_line, end_line FROM chunks').all();
+        // SELECT *: language/section only exist once the indexer has migrated the table
+        const rows = db.prepare('SELECT * FROM chunks').all();
         for (const row of rows) {
+          if (!accept(row)) continue;
           chunks.push({
             embedding: bufferToEmbedding(row.embedding),
             source: 'memory',
             text: row.text,
-            meta: { file: row.file, startLine: row.start_line, endLine: row.end_line },
+            meta: {
+              id: row.id,
+              file: row.file,
+              startLine: row.start_line,
+              endLine: row.end_line,
+              language: row.language || null,
+              section: row.section || null,
+            },
           });
         }
         db.close();
@@ -58,7 +112,7 @@ class VectorIndex {
       }
     }
 
-    // Load from chat-memory.db (both chat_chunks and telegram_chunks)
+    // Load from chat-memory.db (chat_chunks, telegram_chunks, external_chunks)
     const chatDbPath = config.paths.chatDb;
     if (existsSync(chatDbPath)) {
       try {
@@ -67,13 +121,14 @@ class VectorIndex {
         // Chat chunks
         const hasChatTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='chat_chunks'").get();
         if (hasChatTable) {
-          const rows = db.prepare('SELECT text, embedding, session_id, start_ts, end_ts FROM chat_chunks').all();
+          const rows = db.prepare('SELECT * FROM chat_chunks').all();
           for (const row of rows) {
+            if (!accept(row)) continue;
             chunks.push({
               embedding: bufferToEmbedding(row.embedding),
               source: 'chat',
               text: row.text,
-              meta: { sessionId: row.session_id, startTs: row.start_ts, endTs: row.end_ts },
+              meta: chatMeta(row),
             });
           }
           logger.debug(`VectorIndex: loaded ${rows.length} chat chunks`);
@@ -82,37 +137,65 @@ class VectorIndex {
         // Telegram chunks
         const hasTelegramTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='telegram_chunks'").get();
         if (hasTelegramTable) {
-          const rows = db.prepare('SELECT text, embedding, start_ts, end_ts FROM telegram_chunks').all();
+          const rows = db.prepare('SELECT * FROM telegram_chunks').all();
           for (const row of rows) {
+            if (!accept(row)) continue;
             chunks.push({
               embedding: bufferToEmbedding(row.embedding),
               source: 'telegram',
               text: row.text,
-              meta: { startTs: row.start_ts, endTs: row.end_ts },
+              meta: { id: row.id, startTs: row.start_ts, endTs: row.end_ts },
             });
           }
           logger.debug(`VectorIndex: loaded ${rows.length} telegram chunks`);
         }
 
+        // Imported chat exports: one source per platform
+        const hasExternalTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='external_chunks'").get();
+        if (hasExternalTable) {
+          const rows = db.prepare('SELECT * FROM external_chunks').all();
+          for (const row of rows) {
+            if (!accept(row)) continue;
+            chunks.push({
+              embedding: bufferToEmbedding(row.embedding),
+              source: row.platform,
+              text: row.text,
+              meta: externalMeta(row),
+            });
+          }
+          logger.debug(`VectorIndex: loaded ${rows.length} external chunks`);
+        }
+
         db.close();
       } catch (err) {
-        logger.error(`VectorIndex: failed to load chat/telegram chunks: ${err.message}`);
+        logger.error(`VectorIndex: failed to load chat/telegram/external chunks: ${err.message}`);
       }
     }
 
+    this.model = model;
+    this.skipped = skipped;
+    if (dim) this.dim = dim;
+    if (skipped > 0) {
+      logger.warn(`VectorIndex: skipped ${skipped} chunks not embedded with ${model} (run 'localllm embeddings migrate --to ${model}')`);
+    }
+
     // Build contiguous Float32Array matrix
     const n = chunks.length;
     if (n === 0) {
       logger.warn('VectorIndex: no chunks found, index is empty');
       this.matrix = new Float32Array(0);
       this.metadata = [];
+      this.keys = [];
+      this.hnsw = null;
       this.loaded = true;
       this.loadedAt = Date.now();
       return;
     }
 
+    const previous = { graph: this.hnsw, keys: this.keys };
     this.matrix = new Float32Array(n * this.dim);
     this.metadata = new Array(n);
+    this.keys = new Array(n);
 
     for (let i = 0; i < n; i++) {
       const emb = chunks[i].embedding;
@@ -142,36 +225,118 @@ class VectorIndex {
         text: chunks[i].text,
         meta: chunks[i].meta,
       };
+      this.keys[i] = `${chunks[i].source}:${chunks[i].meta.id}`;
     }
 
+    this.hnsw = hnswOptions().enabled ? this._syncGraph(previous) : null;
+
     this.loaded = true;
     this.loadedAt = Date.now();
 
     const loadTime = Date.now() - startTime;
     const memoryMB = (n * this.dim * 4 / 1024 / 1024).toFixed(2);
-    logger.info(`VectorIndex loaded: ${n} chunks, ${memoryMB}MB, ${loadTime}ms`);
+    logger.info(`VectorIndex loaded: ${n} chunks × ${this.dim} (${model}), ${memoryMB}MB, ${loadTime}ms`);
+  }
+
+  /**
+   * Bring the HNSW graph in line with the freshly loaded matrix.
+   * Starts from the in-memory graph of the previous load, else the persisted
+   * file; rebuilds from scratch if neither fits (other model/dimension/M) or
+   * too many rows were deleted for the remaining links to be trusted.
+   * @returns {HnswGraph}
+   */
+  _syncGraph(previous) {
+    const opts = hnswOptions();
+    const M = opts.M || 16;
+    const efConstruction = opts.efConstruction || 100;
+    const rebuildRatio = opts.rebuildRatio ?? 0.2;
+    const path = hnswPath();
+    const startTime = Date.now();
+
+    let source = previous.graph ? { graph: previous.graph, keys: previous.keys, model: previous.graph.model } : null;
+    if (!source && existsSync(path)) {
+      try {
+        const { graph, keys, header } = HnswGraph.deserialize(readFileSync(path));
+        source = { graph, keys, model: header.model };
+      } catch (err) {
+        logger.warn(`VectorIndex: ignoring unreadable HNSW file ${path}: ${err.message}`);
+      }
+    }
+
+    let graph = null;
+    let dropped = 0;
+    if (source && source.model === this.model && source.graph.dim === this.dim && source.graph.M === M) {
+      const newRows = new Map(this.keys.map((key, row) => [key, row]));
+      const remapped = source.graph.remap(source.keys, newRows, this.matrix);
+      if (remapped.dropped <= (remapped.kept + remapped.dropped) * rebuildRatio) {
+        graph = remapped.graph;
+        dropped = remapped.dropped;
+      } else {
+        logger.info(`VectorIndex: ${remapped.dropped} of ${remapped.kept + remapped.dropped} HNSW nodes deleted, rebuilding graph`);
+      }
+    }
+    const rebuilt = !graph;
+    if (rebuilt) graph = new HnswGraph({ dim: this.dim, vectors: this.matrix, M, efConstruction });
+    graph.efConstruction = efConstruction;
+    graph.model = this.model;
+
+    let added = 0;
+    for (let row = 0; row < this.keys.length; row++) {
+      if (!graph.has(row)) {
+        graph.add(row);
+        added++;
+      }
+    }
+
+    if (rebuilt || added > 0 || dropped > 0 || !existsSync(path)) {
+      try {
+        const tmpPath = `${path}.tmp`;
+        writeFileSync(tmpPath, graph.serialize(this.keys, { model: this.model }));
+        renameSync(tmpPath, path);
+      } catch (err) {
+        logger.warn(`VectorIndex: could not persist HNSW graph to ${path}: ${err.message}`);
+      }
+      logger.info(`VectorIndex: HNSW ${rebuilt ? 'built' : 'updated'} (+${added} / -${dropped} nodes, ${graph.count} total) in ${Date.now() - startTime}ms`);
+    }
+
+    return graph;
+  }
+
+  /**
+   * Load (or reload) the index if it has not been loaded or has gone stale.
+   */
+  ensureLoaded() {
+    if (!this.loaded || Date.now() - this.loadedAt > this.staleAfterMs) {
+      this.load();
+    }
   }
 
   /**
    * Search for top-K most similar chunks to query vector.
    *
-   * @param {Float64Array|Array} queryVector - Query embedding (1024-dim)
+   * @param {Float64Array|Array} queryVector - Query embedding from `this.model` (`this.dim` long)
    * @param {number} topK - Number of results to return
    * @param {number} minScore - Minimum similarity score (0-1)
-   * @param {string[]|null} sourceFilter - Filter by sources ['memory', 'chat', 'telegram']
+   * @param {string[]|null} sourceFilter - Filter by sources ['memory', 'chat', 'telegram', ...import platforms]
+   * @param {object} [opts]
+   * @param {boolean} [opts.exact=false] - Scan every row even when the HNSW graph is enabled
+   * @param {number} [opts.ef] - HNSW beam width (default: hnsw.efSearch)
+   * @param {object|Function} [opts.filter] - Metadata filter (see search-filter.js), applied before scoring
    * @returns {Array<{source, text, score, meta}>} Top-K results sorted by score
    */
-  search(queryVector, topK, minScore = 0, sourceFilter = null) {
+  search(queryVector, topK, minScore = 0, sourceFilter = null, opts = {}) {
     // Auto-reload if stale or not loaded
-    if (!this.loaded || Date.now() - this.loadedAt > this.staleAfterMs) {
-      this.load();
-    }
+    this.ensureLoaded();
 
     const n = this.metadata.length;
     if (n === 0) {
       return [];
     }
 
+    if (queryVector.length !== this.dim) {
+      throw new Error(`Query vector has ${queryVector.length} dimensions, index has ${this.dim} (${this.model})`);
+    }
+
     // Normalize query vector
     const q = new Float32Array(this.dim);
     let qNorm = 0;
@@ -184,13 +349,20 @@ class VectorIndex {
       q[j] /= qNorm;
     }
 
+    const filter = compileFilter(opts.filter);
+    const weights = sourceWeights();
+
+    if (this.hnsw && !opts.exact) {
+      return this._searchGraph(q, topK, minScore, sourceFilter, opts.ef, filter, weights);
+    }
+
     // Compute dot products (= cosine similarity on pre-normalized vectors)
     // Apply source weights to prioritize memory over chat/telegram
     const scores = new Float32Array(n);
     const rawScores = new Float32Array(n);
     for (let i = 0; i < n; i++) {
-      // Apply source filter
-      if (sourceFilter && !sourceFilter.includes(this.metadata[i].source)) {
+      // Apply source and metadata filters
+      if ((sourceFilter && !sourceFilter.includes(this.metadata[i].source)) || (filter && !filter(this.metadata[i]))) {
         scores[i] = -1;
         rawScores[i] = -1;
         continue;
@@ -204,7 +376,7 @@ class VectorIndex {
 
       // Apply source weight
       const source = this.metadata[i].source;
-      const weight = SOURCE_WEIGHTS[source] || 1.0;
+      const weight = weights[source] || 1.0;
       rawScores[i] = dot;
       scores[i] = dot * weight;
     }
@@ -229,7 +401,45 @@ class VectorIndex {
       });
     }
 
-    // Log source distribution for debugging
+    this._logDistribution(results);
+    return results;
+  }
+
+  /**
+   * Approximate search through the HNSW graph.
+   * Source weights are applied after retrieval, so the graph is asked for a
+   * wider candidate set (ef ≥ 4×topK) and re-ranked by weighted score.
+   * Filtered-out rows are still traversed but never returned.
+   */
+  _searchGraph(q, topK, minScore, sourceFilter, ef, filter = null, weights = sourceWeights()) {
+    const beam = Math.max(ef || hnswOptions().efSearch || 64, topK * 4);
+    const accept = (sourceFilter || filter)
+      ? (row) => (!sourceFilter || sourceFilter.includes(this.metadata[row].source)) && (!filter || filter(this.metadata[row]))
+      : null;
+    const hits = this.hnsw.search(q, beam, { ef: beam, accept });
+
+    const results = hits
+      .map(({ node, score: rawScore }) => {
+        const entry = this.metadata[node];
+        return {
+          source: entry.source,
+          text: entry.text,
+          score: rawScore * (weights[entry.source] || 1.0),
+          rawScore,
+          meta: entry.meta,
+        };
+      })
+      .filter(r => r.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    this._logDistribution(results, 'HNSW');
+    return results;
+  }
+
+  // Log source distribution for debugging
+  _logDistribution(results, mode = 'exact') {
+    if (results.length === 0) return;
     const sourceDistribution = results.reduce((acc, r) => {
       acc[r.source] = (acc[r.source] || 0) + 1;
       return acc;
@@ -237,12 +447,7 @@ class VectorIndex {
     const distStr = Object.entries(sourceDistribution)
       .map(([src, count]) => `${src}: ${count}`)
       .join(', ');
-
-    if (results.length > 0) {
-      logger.debug(`VectorIndex: ${results.length} results (${distStr})`);
-    }
-
-    return results;
+    logger.debug(`VectorIndex (${mode}): ${results.length} results (${distStr})`);
   }
 
   /**
@@ -261,13 +466,21 @@ class VectorIndex {
     return {
       loaded: this.loaded,
       chunkCount: this.metadata.length,
+      model: this.model,
+      dimension: this.dim,
+      skipped: this.skipped,
       loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
       memorySizeMB: this.matrix ? (this.matrix.length * 4 / 1024 / 1024).toFixed(2) : 0,
-      sources: this.loaded ? {
-        memory: this.metadata.filter(m => m.source === 'memory').length,
-        chat: this.metadata.filter(m => m.source === 'chat').length,
-        telegram: this.metadata.filter(m => m.source === 'telegram').length,
+      hnsw: this.hnsw ? {
+        nodes: this.hnsw.count,
+        maxLevel: this.hnsw.maxLevel,
+        M: this.hnsw.M,
+        path: hnswPath(),
       } : null,
+      sources: this.loaded ? this.metadata.reduce((acc, m) => {
+        acc[m.source] = (acc[m.source] || 0) + 1;
+        return acc;
+      }, { memory: 0, chat: 0, telegram: 0 }) : null,
     };
   }
 }
@@ -275,4 +488,21 @@ class VectorIndex {
 // Singleton instance
 const vectorIndex = new VectorIndex();
 
-module.exports = { VectorIndex, vectorIndex };
+// Reload from the right databases, model and HNSW settings after a config change
+config.onChange(({ changed }) => {
+  if (changed.some(path => path.startsWith('paths.') || path === 'models.embed' || path.startsWith('contextPipeline.vectorIndex.'))) {
+    vectorIndex.invalidate();
+  }
+});
+
+/**
+ * Fold rows written by an ingest run into the persisted HNSW graph, so the
+ * next process that loads the index starts from an up-to-date graph.
+ * No-op unless the graph is enabled.
+ */
+function updateAnnIndex() {
+  if (!hnswOptions().enabled) return;
+  vectorIndex.load();
+}
+
+module.exports = { VectorIndex, vectorIndex, updateAnnIndex, hnswPath, sourceWeights };
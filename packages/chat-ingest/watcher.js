@@ -1,15 +1,97 @@
-const { readdirSync, existsSync, watchFile, unwatchFile, statSync } = require('fs');
-const { join, basename } = require('path');
+const { readdirSync, existsSync, statSync, watch } = require('fs');
+const { join, basename, relative } = require('path');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'chat-ingest' });
 const { initDb, ingestFile } = require('./ingest');
+const { IngestQueue } = require('./ingest-queue');
+const { transcriptChange } = require('./transcript-reader');
 
 /**
- * Watch sessions directory for JSONL changes and ingest incrementally.
+ * Ingestion daemon: keeps the chat DB and the memory index current.
+ *
+ * Watches the sessions directory (JSONL transcripts → chat_chunks) and the
+ * memory directory (loader files → the memory index) with fs.watch. Changed
+ * files go through a persistent IngestQueue, which serializes work per file
+ * and bounds how many ingest at once. A scan comparing files against
+ * ingest_progress / file_manifest runs at startup and every
+ * watcher.newFileScan ms to catch missed events; where fs.watch is
+ * unavailable (or watcher.usePolling is set) that scan runs every
+ * watcher.pollInterval ms instead. Health, queue depth and last-ingest times
+ * are served as JSON on watcher.status.port (GET /status).
  */
-function startWatcher(dbPath, sessionsDir) {
+
+/**
+ * Transcripts that grew, shrank or were replaced since they were last read.
+ * @returns {string[]} Absolute paths
+ */
+function changedTranscripts(db, sessionsDir) {
+  if (!existsSync(sessionsDir)) return [];
+  const progress = db.prepare('SELECT last_offset, inode FROM ingest_progress WHERE file = ?');
+  return readdirSync(sessionsDir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => join(sessionsDir, f))
+    .filter(file => transcriptChange(progress.get(file), statSync(file)) !== 'unchanged');
+}
+
+/**
+ * Memory files whose stat differs from the manifest, plus indexed files that
+ * no longer exist.
+ * @returns {string[]} Absolute paths
+ */
+function changedMemoryFiles(memoryDb, memoryDir) {
+  const { findIndexableFiles } = require('../search/indexer');
+  if (!existsSync(memoryDir)) return [];
+  const manifest = new Map(
+    memoryDb.prepare('SELECT path, mtime_ms, size, hash FROM file_manifest').all().map(row => [row.path, row])
+  );
+  const changed = [];
+  for (const file of findIndexableFiles(memoryDir)) {
+    const relPath = relative(memoryDir, file);
+    const entry = manifest.get(relPath);
+    manifest.delete(relPath);
+    const stat = statSync(file);
+    if (!entry?.hash || entry.mtime_ms !== stat.mtimeMs || entry.size !== stat.size) changed.push(file);
+  }
+  for (const relPath of manifest.keys()) changed.push(join(memoryDir, relPath));
+  return changed;
+}
+
+/**
+ * Serve the daemon's status as JSON.
+ * @returns {import('http').Server}
+ */
+function startStatusServer(getStatus, port, host) {
+  const http = require('http');
+  const server = http.createServer((req, res) => {
+    const path = (req.url || '').split('?')[0];
+    if (req.method !== 'GET' || (path !== '/status' && path !== '/health')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(getStatus()));
+  });
+  server.on('error', (err) => logger.warn(`Status endpoint unavailable: ${err.message}`));
+  server.listen(port, host, () => logger.info(`Status endpoint: http://${host}:${port}/status`));
+  return server;
+}
+
+/**
+ * Start the ingestion daemon.
+ * @param {string} [dbPath] - Chat DB (default: config.paths.chatDb)
+ * @param {string} [sessionsDir] - Transcripts (default: config.paths.sessionsDir)
+ * @param {object} [opts]
+ * @param {string|false} [opts.memoryDir] - Memory directory to index (default: config.paths.memoryDir; false = transcripts only)
+ * @param {string} [opts.memoryDb] - Memory index DB (default: config.paths.searchDb)
+ * @param {number|false} [opts.port] - Status port (default: config.watcher.status.port; false = no endpoint)
+ * @param {boolean} [opts.exitOnSignal=true] - Stop and exit on SIGINT/SIGTERM
+ * @returns {{ cleanup: Function, stop: () => Promise<void>, status: Function, queue: IngestQueue, db }}
+ */
+function startWatcher(dbPath, sessionsDir, opts = {}) {
   dbPath = dbPath || config.paths.chatDb;
   sessionsDir = sessionsDir || config.paths.sessionsDir;
+  const settings = config.watcher || {};
 
   if (!existsSync(sessionsDir)) {
     logger.error(`Sessions directory not found: ${sessionsDir}`);
@@ -17,81 +99,149 @@ function startWatcher(dbPath, sessionsDir) {
   }
 
   const db = initDb(dbPath);
-  const debounceTimers = new Map();
-  const watchedFiles = new Set();
-
-  function processFile(filePath) {
-    ingestFile(db, filePath).catch(err => {
-      logger.error(`Watcher error for ${basename(filePath)}: ${err.message}`);
+  const startedAt = new Date();
+
+  // Sources: what to watch, which files count, how to find changes, how to ingest one file
+  const sources = [{
+    kind: 'chat',
+    dir: sessionsDir,
+    recursive: false,
+    accepts: name => name.endsWith('.jsonl'),
+    scan: () => changedTranscripts(db, sessionsDir),
+    ingest: async (filePath) => {
+      if (!existsSync(filePath)) return { chunks: 0 };
+      const count = await ingestFile(db, filePath);
+      if (count > 0) require('./vector-index').updateAnnIndex();
+      return { chunks: count };
+    },
+  }];
+
+  let memoryDb = null;
+  const memoryDir = opts.memoryDir ?? (settings.watchMemory === false ? false : config.paths.memoryDir);
+  if (memoryDir && existsSync(memoryDir)) {
+    const indexer = require('../search/indexer');
+    memoryDb = indexer.initDb(opts.memoryDb || config.paths.searchDb);
+    sources.push({
+      kind: 'memory',
+      dir: memoryDir,
+      recursive: true,
+      accepts: name => indexer.isIndexablePath(name),
+      scan: () => changedMemoryFiles(memoryDb, memoryDir),
+      ingest: filePath => indexer.syncFile(memoryDb, memoryDir, relative(memoryDir, filePath)),
     });
+  } else if (memoryDir) {
+    logger.warn(`Memory directory not found: ${memoryDir} — watching transcripts only`);
   }
 
-  function watchFileDebounced(filePath) {
-    if (watchedFiles.has(filePath)) return;
-    watchedFiles.add(filePath);
+  const queue = new IngestQueue(db, Object.fromEntries(sources.map(s => [s.kind, s.ingest])), {
+    concurrency: settings.concurrency,
+    maxRetries: settings.maxRetries,
+    retryDelay: settings.retryDelay,
+  });
+
+  queue.start();
+
+  let lastScan = null;
+  function scan(source) {
+    try {
+      for (const file of source.scan()) queue.push(source.kind, file);
+      lastScan = new Date().toISOString();
+    } catch (err) {
+      logger.error(`Scan of ${source.dir} failed: ${err.message}`);
+    }
+  }
 
-    watchFile(filePath, { interval: config.watcher?.pollInterval || 5000 }, (curr, prev) => {
-      if (curr.mtimeMs === prev.mtimeMs) return;
+  const debounceMs = settings.debounce || 2000;
+  const debounceTimers = new Map();
+  function onChange(source, filename) {
+    if (!filename || !source.accepts(filename.toString())) return;
+    const filePath = join(source.dir, filename.toString());
+    if (debounceTimers.has(filePath)) clearTimeout(debounceTimers.get(filePath));
+    debounceTimers.set(filePath, setTimeout(() => {
+      debounceTimers.delete(filePath);
+      logger.debug(`Change detected: ${basename(filePath)}`);
+      queue.push(source.kind, filePath);
+    }, debounceMs));
+  }
 
-      // Debounce: wait 2s after last change
-      if (debounceTimers.has(filePath)) {
-        clearTimeout(debounceTimers.get(filePath));
+  // fs.watch per directory; periodic scan as the fallback (and safety net)
+  const intervals = [];
+  function usePolling(source, reason) {
+    source.mode = 'poll';
+    if (reason) logger.warn(`fs.watch unavailable for ${source.dir} (${reason}), polling every ${settings.pollInterval || 5000}ms`);
+    intervals.push(setInterval(() => scan(source), settings.pollInterval || 5000));
+  }
+  for (const source of sources) {
+    if (settings.usePolling) {
+      usePolling(source);
+    } else {
+      try {
+        source.watcher = watch(source.dir, { recursive: source.recursive }, (_event, filename) => onChange(source, filename));
+        source.watcher.on('error', (err) => {
+          source.watcher.close();
+          source.watcher = null;
+          usePolling(source, err.message);
+        });
+        source.mode = 'fs.watch';
+      } catch (err) {
+        usePolling(source, err.message);
       }
-
-      const debounceMs = config.watcher?.debounce || 2000;
-      debounceTimers.set(filePath, setTimeout(() => {
-        debounceTimers.delete(filePath);
-        logger.info(`Change detected: ${basename(filePath)}`);
-        processFile(filePath);
-      }, debounceMs));
-    });
-
-    logger.debug(`Watching: ${basename(filePath)}`);
+    }
+    intervals.push(setInterval(() => scan(source), settings.newFileScan || 30000));
+    scan(source);
   }
 
-  // Watch existing files
-  const files = readdirSync(sessionsDir).filter(f => f.endsWith('.jsonl'));
-  for (const file of files) {
-    watchFileDebounced(join(sessionsDir, file));
+  function status() {
+    const queueStatus = queue.status();
+    const lastIngest = db.prepare('SELECT MAX(last_timestamp) as ts FROM ingest_progress').get().ts;
+    return {
+      status: queueStatus.retrying > 0 ? 'degraded' : 'ok',
+      pid: process.pid,
+      startedAt: startedAt.toISOString(),
+      uptimeSec: Math.round((Date.now() - startedAt.getTime()) / 1000),
+      sources: sources.map(s => ({ kind: s.kind, dir: s.dir, mode: s.mode })),
+      queue: queueStatus,
+      lastIngest: {
+        chat: lastIngest,
+        ...Object.fromEntries(Object.entries(queueStatus.lastIngest).map(([kind, job]) => [kind, job.at])),
+      },
+      lastScan,
+    };
   }
 
-  // Poll for new files every 30s
-  const scanMs = config.watcher?.newFileScan || 30000;
-  const scanInterval = setInterval(() => {
-    if (!existsSync(sessionsDir)) return;
-    const current = readdirSync(sessionsDir).filter(f => f.endsWith('.jsonl'));
-    for (const file of current) {
-      const fullPath = join(sessionsDir, file);
-      if (!watchedFiles.has(fullPath)) {
-        logger.info(`New transcript found: ${file}`);
-        watchFileDebounced(fullPath);
-        processFile(fullPath); // Ingest immediately
-      }
-    }
-  }, scanMs);
+  const port = opts.port ?? settings.status?.port;
+  const server = port ? startStatusServer(status, port, settings.status?.host || '127.0.0.1') : null;
 
-  logger.info(`Watcher started — monitoring ${files.length} files in ${sessionsDir}`);
-  logger.info(`Polling for new files every 30s, debounce 2s`);
+  logger.info(`Ingest daemon started — ${sources.map(s => `${s.kind}: ${s.dir} (${s.mode})`).join(', ')}`);
+  logger.info(`Queue depth ${queue.status().depth}, concurrency ${queue.concurrency}, debounce ${debounceMs}ms`);
 
-  // Graceful shutdown
-  function cleanup() {
+  let stopping = null;
+  function stop() {
+    if (stopping) return stopping;
     logger.info('Watcher stopping...');
-    clearInterval(scanInterval);
-    for (const timer of debounceTimers.values()) {
-      clearTimeout(timer);
-    }
-    for (const filePath of watchedFiles) {
-      unwatchFile(filePath);
-    }
-    db.close();
-    logger.info('Watcher stopped.');
-    process.exit(0);
+    for (const interval of intervals) clearInterval(interval);
+    for (const timer of debounceTimers.values()) clearTimeout(timer);
+    for (const source of sources) source.watcher?.close();
+    if (server) server.close();
+    stopping = queue.close().then(() => {
+      db.close();
+      if (memoryDb) memoryDb.close();
+      logger.info('Watcher stopped.');
+    });
+    return stopping;
   }
 
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
+  // Graceful shutdown: running jobs finish, queued ones resume on next start
+  function cleanup() {
+    stop().then(() => process.exit(0));
+  }
+
+  if (opts.exitOnSignal !== false) {
+    process.on('SIGINT', cleanup);
+    process.on('SIGTERM', cleanup);
+  }
 
-  return { cleanup, db };
+  return { cleanup, stop, status, queue, db };
 }
 
 module.exports = { startWatcher };
@@ -0,0 +1,326 @@
+const { resolve } = require('path');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'classifier' });
+const { classify } = require('./index');
+const { getDb } = require('./examples');
+const { getTaxonomy, resolveLabel, migrateLabel, isWithin } = require('./taxonomy');
+const { SOURCE_TYPES, detectSource, readMessages } = require('./mailbox');
+
+/**
+ * Batch classification of a mailbox (mailbox.js reads it).
+ *
+ * Results go to the classifier database next to the history:
+ *   batch_runs      one row per run (counts, status: running, done, interrupted, failed)
+ *   batch_messages  one row per message: its category, existing labels, error if it failed
+ *   message_labels  the labels table: every label per message with its score and rank
+ * keyed by source ("<type>:<path>") and message key. A message with a result
+ * is skipped by the next run over the same source, so an interrupted run
+ * picks up where it stopped; failed messages are retried.
+ *
+ * With writeBack, emailctl sources also get their labels in the emailctl
+ * database (classifier_labels), for emailctl to show.
+ */
+
+const initialized = new WeakSet();
+
+function batchDb() {
+  const db = getDb();
+  if (initialized.has(db)) return db;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS batch_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      taxonomy TEXT NOT NULL,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER,
+      status TEXT NOT NULL,
+      classified INTEGER NOT NULL DEFAULT 0,
+      skipped INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      error TEXT
+    );
+    CREATE TABLE IF NOT EXISTS batch_messages (
+      source TEXT NOT NULL,
+      message_key TEXT NOT NULL,
+      run_id INTEGER NOT NULL,
+      classified_at INTEGER NOT NULL,
+      sender TEXT,
+      subject TEXT,
+      date TEXT,
+      existing_labels TEXT,
+      category TEXT,
+      confidence REAL,
+      method TEXT,
+      rule TEXT,
+      taxonomy TEXT,
+      classification_id INTEGER,
+      error TEXT,
+      PRIMARY KEY (source, message_key)
+    );
+    CREATE TABLE IF NOT EXISTS message_labels (
+      source TEXT NOT NULL,
+      message_key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      score REAL NOT NULL,
+      rank INTEGER NOT NULL,
+      rule TEXT,
+      PRIMARY KEY (source, message_key, label)
+    );
+    CREATE INDEX IF NOT EXISTS idx_message_labels_label ON message_labels(label);
+  `);
+  initialized.add(db);
+  return db;
+}
+
+/**
+ * A source's type, path and id in the batch tables.
+ * @param {string} source - A path, or "emailctl" for config.paths.emailDb
+ * @param {string} [type] - One of mailbox.SOURCE_TYPES (default: detected)
+ * @returns {{ id: string, type: string, path: string }}
+ * @throws {Error} For an unknown type, or a path that doesn't exist (code 'ENOENT')
+ */
+function resolveSource(source, type) {
+  if (type && !SOURCE_TYPES.includes(type)) throw new Error(`Unknown source type "${type}" (${SOURCE_TYPES.join(', ')})`);
+  const detected = type
+    ? { type, path: source === 'emailctl' ? config.paths.emailDb : resolve(source) }
+    : detectSource(source);
+  return { id: `${detected.type}:${detected.path}`, ...detected };
+}
+
+// Labels written back into the emailctl database, replaced on every classification
+function emailctlWriter(path) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path, { fileMustExist: true });
+  db.pragma('busy_timeout = 2000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS classifier_labels (
+      email_id TEXT NOT NULL,
+      label TEXT NOT NULL,
+      score REAL NOT NULL,
+      rank INTEGER NOT NULL,
+      method TEXT,
+      taxonomy TEXT,
+      classified_at INTEGER NOT NULL,
+      PRIMARY KEY (email_id, label)
+    )
+  `);
+  const remove = db.prepare('DELETE FROM classifier_labels WHERE email_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO classifier_labels (email_id, label, score, rank, method, taxonomy, classified_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const write = db.transaction((key, result) => {
+    remove.run(key);
+    result.labels.forEach((l, rank) => insert.run(key, l.label, l.score, rank, result.method, result.taxonomy, Date.now()));
+  });
+  return { write, close: () => db.close() };
+}
+
+function recorder(db, sourceId, runId) {
+  const upsert = db.prepare(`
+    INSERT OR REPLACE INTO batch_messages
+      (source, message_key, run_id, classified_at, sender, subject, date, existing_labels, category, confidence, method, rule, taxonomy, classification_id, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const removeLabels = db.prepare('DELETE FROM message_labels WHERE source = ? AND message_key = ?');
+  const insertLabel = db.prepare('INSERT INTO message_labels (source, message_key, label, score, rank, rule) VALUES (?, ?, ?, ?, ?, ?)');
+
+  return db.transaction((message, result, error = null) => {
+    const { email } = message;
+    upsert.run(
+      sourceId, message.key, runId, Date.now(), email.from || null, email.subject || null, message.date || null,
+      JSON.stringify(message.existing), result?.category ?? null, result?.confidence ?? null, result?.method ?? null,
+      result?.rule ?? null, result?.taxonomy ?? null, result?.id ?? null, error
+    );
+    removeLabels.run(sourceId, message.key);
+    (result?.labels || []).forEach((l, rank) => insertLabel.run(sourceId, message.key, l.label, l.score, rank, l.rule || null));
+  });
+}
+
+/**
+ * Classify every message of a source, `concurrency` at a time.
+ * @param {string} source - A path, or "emailctl" for config.paths.emailDb
+ * @param {object} [opts]
+ * @param {string} [opts.type] - Source type (default: detected from the path)
+ * @param {number} [opts.concurrency=config.classifier.batch.concurrency]
+ * @param {number} [opts.limit] - Classify at most this many (skipped ones don't count)
+ * @param {boolean} [opts.redo=false] - Classify messages that already have a result again
+ * @param {boolean} [opts.writeBack=false] - Also write labels into the emailctl database
+ * @param {string} [opts.taxonomy] - Instead of config.classifier.taxonomy
+ * @param {boolean} [opts.record] - Record in the classification history (default config.classifier.history)
+ * @param {AbortSignal} [opts.signal] - Stop taking messages; the run ends as interrupted
+ * @param {function({ classified: number, skipped: number, failed: number }, object, object|null): void} [opts.onProgress]
+ *   Called after each message with the counts so far, the message and its result (null if it failed)
+ * @returns {Promise<{ runId: number, source: string, status: 'done'|'interrupted', classified: number, skipped: number, failed: number }>}
+ * @throws {Error} If the source can't be read; the run is recorded as failed
+ */
+async function runBatch(source, opts = {}) {
+  const {
+    type, concurrency = config.classifier.batch.concurrency, limit = Infinity, redo = false,
+    writeBack = false, record, signal, onProgress,
+  } = opts;
+  const resolved = resolveSource(source, type);
+  const taxonomy = getTaxonomy(opts.taxonomy);
+  if (writeBack && resolved.type !== 'emailctl') throw new Error(`Write-back needs an emailctl source, not ${resolved.type}`);
+
+  const db = batchDb();
+  const runId = Number(db.prepare('INSERT INTO batch_runs (source, taxonomy, started_at, status) VALUES (?, ?, ?, ?)')
+    .run(resolved.id, taxonomy.name, Date.now(), 'running').lastInsertRowid);
+  const save = recorder(db, resolved.id, runId);
+  const isDone = db.prepare('SELECT 1 FROM batch_messages WHERE source = ? AND message_key = ? AND error IS NULL');
+  const writer = writeBack ? emailctlWriter(resolved.path) : null;
+  const counts = { classified: 0, skipped: 0, failed: 0 };
+  const seen = new Set();
+  let started = 0;
+
+  logger.info(`Batch run ${runId}: ${resolved.id} (${taxonomy.name}, ${concurrency} at a time)`);
+  const messages = readMessages(resolved.path, resolved.type);
+  const worker = async () => {
+    while (!signal?.aborted && started < limit) {
+      const { value: message, done } = await messages.next();
+      if (done || started >= limit) return;
+      // Seen twice in one run: the same Message-ID in several folders or mbox exports
+      if (seen.has(message.key) || (!redo && isDone.get(resolved.id, message.key))) {
+        counts.skipped++;
+        continue;
+      }
+      seen.add(message.key);
+      started++;
+      let result = null;
+      try {
+        result = await classify(message.email, { record, taxonomy: taxonomy.name });
+        save(message, result);
+        if (writer) writer.write(message.key, result);
+        counts.classified++;
+      } catch (error) {
+        logger.warn(`Could not classify ${message.key}: ${error.message}`);
+        save(message, null, error.message);
+        counts.failed++;
+      }
+      if (onProgress) onProgress({ ...counts }, message, result);
+    }
+  };
+
+  const finish = db.prepare('UPDATE batch_runs SET finished_at = ?, status = ?, classified = ?, skipped = ?, failed = ?, error = ? WHERE id = ?');
+  try {
+    const settled = await Promise.allSettled(Array.from({ length: Math.max(1, concurrency) }, worker));
+    const rejected = settled.find(s => s.status === 'rejected');
+    if (rejected) throw rejected.reason;
+  } catch (error) {
+    finish.run(Date.now(), 'failed', counts.classified, counts.skipped, counts.failed, error.message, runId);
+    throw error;
+  } finally {
+    if (writer) writer.close();
+    await messages.return();
+  }
+  const status = signal?.aborted ? 'interrupted' : 'done';
+  finish.run(Date.now(), status, counts.classified, counts.skipped, counts.failed, null, runId);
+  logger.info(`Batch run ${runId} ${status}: ${counts.classified} classified, ${counts.skipped} skipped, ${counts.failed} failed`);
+  return { runId, source: resolved.id, status, ...counts };
+}
+
+/**
+ * An existing mailbox label as a category of the taxonomy: through
+ * classifier.batch.labelMap (null: not a category), else the label itself,
+ * an alias or its nearest match (taxonomy.migrateLabel). Undefined if
+ * nothing matches, as for folder and system labels (Inbox, Starred).
+ */
+function expectedLabel(label, taxonomy, labelMap) {
+  const mapKey = Object.keys(labelMap).find(key => key.toLowerCase() === String(label).toLowerCase());
+  if (mapKey !== undefined) return labelMap[mapKey] === null ? null : resolveLabel(labelMap[mapKey], taxonomy);
+  const migrated = migrateLabel(label, taxonomy);
+  return migrated.known ? migrated.label : undefined;
+}
+
+const ratio = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+
+/**
+ * Results of a source so far: messages per category and a confusion report
+ * against the labels the messages already had.
+ *
+ * A message is compared when one of its existing labels maps to a category
+ * (expectedLabel); the prediction agrees when its category is that label,
+ * beneath it, or above it (finance for finance/bills: less specific, not
+ * wrong).
+ * @param {string} source - As given to runBatch()
+ * @param {object} [opts]
+ * @param {string} [opts.type]
+ * @param {string} [opts.taxonomy] - For mapping existing labels (default config.classifier.taxonomy)
+ * @param {Object<string, string|null>} [opts.labelMap=config.classifier.batch.labelMap]
+ * @returns {{ source: string, lastRun: object|null, total: number, failed: number, categories: Array<{ category: string, count: number, share: number, confidence: number, methods: Object<string, number> }>, labels: Array<{ label: string, count: number }>, confusion: { compared: number, agreed: number, agreement: number|null, matrix: Array<{ expected: string, predicted: string, count: number }>, byLabel: Array<{ label: string, support: number, predicted: number, precision: number|null, recall: number|null }>, unmapped: Array<{ label: string, count: number }> } }}
+ * @throws {Error} For an unknown source type or taxonomy
+ */
+function batchReport(source, { type, taxonomy: name, labelMap = config.classifier.batch.labelMap } = {}) {
+  const { id } = resolveSource(source, type);
+  const taxonomy = getTaxonomy(name);
+  const db = batchDb();
+
+  const lastRun = db.prepare('SELECT * FROM batch_runs WHERE source = ? ORDER BY id DESC LIMIT 1').get(id) || null;
+  const rows = db.prepare('SELECT category, confidence, method, existing_labels, error FROM batch_messages WHERE source = ?').all(id);
+  const classified = rows.filter(r => !r.error);
+
+  const categories = new Map();
+  for (const row of classified) {
+    const entry = categories.get(row.category) || { category: row.category, count: 0, confidence: 0, methods: {} };
+    entry.count++;
+    entry.confidence += row.confidence;
+    entry.methods[row.method] = (entry.methods[row.method] || 0) + 1;
+    categories.set(row.category, entry);
+  }
+
+  const matrix = new Map();
+  const byLabel = new Map();
+  const unmapped = new Map();
+  const labelStats = (label) => {
+    if (!byLabel.has(label)) byLabel.set(label, { label, support: 0, predicted: 0, found: 0, right: 0 });
+    return byLabel.get(label);
+  };
+  let agreed = 0;
+  for (const row of classified) {
+    const expected = [];
+    for (const label of JSON.parse(row.existing_labels || '[]')) {
+      const mapped = expectedLabel(label, taxonomy, labelMap);
+      if (mapped) expected.push(mapped);
+      else if (mapped === undefined) unmapped.set(label, (unmapped.get(label) || 0) + 1);
+    }
+    if (expected.length === 0) continue;
+    // Runs under another taxonomy are compared in this one's terms
+    const predicted = migrateLabel(row.category, taxonomy).label;
+    const match = expected.find(label => isWithin(predicted, label) || isWithin(label, predicted));
+    const key = match || expected[0];
+    const cell = `${key}\0${predicted}`;
+    matrix.set(cell, { expected: key, predicted, count: (matrix.get(cell)?.count || 0) + 1 });
+    labelStats(key).support++;
+    labelStats(predicted).predicted++;
+    if (match) {
+      agreed++;
+      labelStats(key).found++;
+      labelStats(predicted).right++;
+    }
+  }
+  const compared = [...matrix.values()].reduce((sum, c) => sum + c.count, 0);
+
+  return {
+    source: id,
+    lastRun,
+    total: rows.length,
+    failed: rows.length - classified.length,
+    categories: [...categories.values()]
+      .map(c => ({ ...c, share: ratio(c.count, classified.length), confidence: Math.round((c.confidence / c.count) * 1000) / 1000 }))
+      .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category)),
+    labels: db.prepare('SELECT label, COUNT(*) AS count FROM message_labels WHERE source = ? GROUP BY label ORDER BY count DESC, label').all(id),
+    confusion: {
+      compared,
+      agreed,
+      agreement: ratio(agreed, compared),
+      matrix: [...matrix.values()].sort((a, b) => a.expected.localeCompare(b.expected) || b.count - a.count),
+      byLabel: [...byLabel.values()]
+        .map(({ found, right, ...l }) => ({ ...l, precision: ratio(right, l.predicted), recall: ratio(found, l.support) }))
+        .sort((a, b) => b.support - a.support || a.label.localeCompare(b.label)),
+      unmapped: [...unmapped.entries()].map(([label, count]) => ({ label, count }))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)).slice(0, 10),
+    },
+  };
+}
+
+module.exports = { runBatch, batchReport, resolveSource };
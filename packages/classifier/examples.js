@@ -0,0 +1,361 @@
+const { existsSync, mkdirSync } = require('fs');
+const { dirname } = require('path');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'classifier' });
+const { normalizeModel } = require('../../shared/embedding-meta');
+const { normalizeLabel, isValidLabel, migrateLabel } = require('./taxonomy');
+
+/**
+ * Classification history and labeled examples, in SQLite at
+ * config.paths.classifierDb.
+ *
+ * Every classification is recorded with an id (`classifications`), so a
+ * wrong one can be corrected later: `correct(id, labels)` stores the
+ * email as a labeled example (`examples`) with its embedding. New emails
+ * are compared against the examples (k-NN, see knn.js), and the nearest
+ * ones are shown to the LLM as few-shot examples. Corrections also feed the
+ * accuracy figures: a classification counts as wrong once corrected to
+ * another primary category, and as right otherwise.
+ *
+ * `category` columns hold the primary label; `labels` holds the whole set
+ * as JSON (classifications: [{ label, score }], examples: [label, …]).
+ *
+ * Example vectors record their embedding model; examples embedded with a
+ * model other than config.models.embed are re-embedded on the next lookup.
+ */
+
+let _db = null;
+let _dbPath = null;
+
+function getDb() {
+  const path = config.paths.classifierDb;
+  if (_db && _dbPath === path) return _db;
+  if (_db) _db.close();
+
+  const Database = require('better-sqlite3');
+  if (!existsSync(dirname(path))) mkdirSync(dirname(path), { recursive: true });
+  _db = new Database(path);
+  _dbPath = path;
+  _db.pragma('journal_mode = WAL');
+  _db.pragma('busy_timeout = 2000');
+  _db.exec(`
+    CREATE TABLE IF NOT EXISTS classifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at INTEGER NOT NULL,
+      sender TEXT,
+      subject TEXT,
+      body TEXT,
+      category TEXT NOT NULL,
+      confidence REAL NOT NULL,
+      method TEXT NOT NULL,
+      rule TEXT,
+      embedding BLOB,
+      embed_model TEXT,
+      feedback TEXT,
+      feedback_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_classifications_created ON classifications(created_at);
+    CREATE TABLE IF NOT EXISTS examples (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      classification_id INTEGER UNIQUE,
+      created_at INTEGER NOT NULL,
+      sender TEXT,
+      subject TEXT,
+      body TEXT,
+      category TEXT NOT NULL,
+      embedding BLOB NOT NULL,
+      embed_model TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_examples_category ON examples(category);
+  `);
+  // Label sets (added with multi-label classification); older rows have the primary label only
+  for (const [table, column] of [['classifications', 'labels'], ['classifications', 'feedback_labels'], ['examples', 'labels']]) {
+    const columns = _db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes(column)) _db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`);
+  }
+  return _db;
+}
+
+function embeddingToBuffer(embedding) {
+  const buffer = Buffer.alloc(embedding.length * 4);
+  for (let i = 0; i < embedding.length; i++) {
+    buffer.writeFloatLE(embedding[i], i * 4);
+  }
+  return buffer;
+}
+
+function bufferToEmbedding(buffer) {
+  const embedding = [];
+  for (let i = 0; i < buffer.length; i += 4) {
+    embedding.push(buffer.readFloatLE(i));
+  }
+  return embedding;
+}
+
+function address(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value || '');
+}
+
+/**
+ * The parts of an email that are stored and embedded (body truncated).
+ * @param {object} email - { from, subject, body }
+ * @returns {{ sender: string, subject: string, body: string }}
+ */
+function emailFields(email) {
+  return {
+    sender: address(email.from),
+    subject: String(email.subject || ''),
+    body: String(email.body || '').slice(0, config.classifier.bodyChars),
+  };
+}
+
+function emailText({ sender, subject, body }) {
+  return `From: ${sender}\nSubject: ${subject}\n\n${body}`.trim();
+}
+
+/**
+ * Embed an email with config.models.embed.
+ * @param {object} email
+ * @returns {Promise<{ embedding: number[], model: string }>}
+ */
+async function embedEmail(email) {
+  const { embed } = require('../embeddings');
+  const model = config.models.embed;
+  return { embedding: await embed(emailText(emailFields(email)), model), model: normalizeModel(model) };
+}
+
+// Re-embed examples stored with another model, so every vector compared is in one space
+async function refreshExamples(db, model) {
+  const stale = db.prepare('SELECT id, sender, subject, body FROM examples WHERE embed_model != ?').all(model);
+  if (stale.length === 0) return;
+  logger.info(`Re-embedding ${stale.length} classifier example(s) with ${model}`);
+  const { batchEmbed } = require('../embeddings');
+  const vectors = await batchEmbed(stale.map(emailText), config.models.embed);
+  const update = db.prepare('UPDATE examples SET embedding = ?, embed_model = ? WHERE id = ?');
+  db.transaction(() => stale.forEach((row, i) => update.run(embeddingToBuffer(vectors[i]), model, row.id)))();
+}
+
+/**
+ * Labeled examples most similar to an embedding.
+ * @param {number[]} embedding - From embedEmail()
+ * @param {{ k?: number, minSimilarity?: number }} [opts] - Default: config.classifier.knn
+ * @returns {Promise<Array<{ id: number, category: string, labels: string[], similarity: number, sender: string, subject: string, body: string }>>}
+ *   Most similar first; `category` is the primary label
+ */
+async function nearestExamples(embedding, opts = {}) {
+  const { k, minSimilarity } = { ...config.classifier.knn, ...opts };
+  const { cosineSimilarity } = require('../embeddings');
+  const db = getDb();
+  const model = normalizeModel(config.models.embed);
+  await refreshExamples(db, model);
+
+  const scored = [];
+  for (const row of db.prepare('SELECT id, category, labels, sender, subject, body, embedding FROM examples').iterate()) {
+    const vector = bufferToEmbedding(row.embedding);
+    if (vector.length !== embedding.length) continue;
+    const similarity = cosineSimilarity(embedding, vector);
+    if (similarity < minSimilarity) continue;
+    const { id, category, sender, subject, body } = row;
+    scored.push({ id, category, labels: exampleLabels(row), sender, subject, body, similarity: Math.round(similarity * 1000) / 1000 });
+  }
+  return scored.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+}
+
+function exampleLabels(row) {
+  return row.labels ? JSON.parse(row.labels) : [row.category];
+}
+
+/**
+ * Whether any labeled examples exist (until then there is nothing to compare with).
+ * @returns {boolean}
+ */
+function hasExamples() {
+  return !!getDb().prepare('SELECT 1 FROM examples LIMIT 1').get();
+}
+
+/**
+ * Labels that have examples.
+ * @returns {string[]}
+ */
+function exampleCategories() {
+  const labels = new Set();
+  for (const row of getDb().prepare('SELECT category, labels FROM examples').iterate()) {
+    for (const label of exampleLabels(row)) labels.add(label);
+  }
+  return [...labels].sort();
+}
+
+/**
+ * Record a classification so it can be corrected.
+ * @param {object} email
+ * @param {{ category: string, confidence: number, method: string, rule?: string, labels?: Array<{ label: string, score: number }> }} result
+ * @param {{ embedding: number[], model: string }|null} [embedded] - Kept so a correction needn't re-embed
+ * @returns {number} Classification id
+ */
+function recordClassification(email, result, embedded = null) {
+  const { sender, subject, body } = emailFields(email);
+  const info = getDb().prepare(`
+    INSERT INTO classifications (created_at, sender, subject, body, category, confidence, method, rule, labels, embedding, embed_model)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    Date.now(), sender, subject, body, result.category, result.confidence, result.method, result.rule || null,
+    JSON.stringify((result.labels || []).map(({ label, score }) => ({ label, score }))),
+    embedded ? embeddingToBuffer(embedded.embedding) : null, embedded?.model || null
+  );
+  return Number(info.lastInsertRowid);
+}
+
+function rowToClassification({ embedding, embed_model, created_at, feedback_at, labels, feedback_labels, ...row }) {
+  return {
+    ...row,
+    labels: labels ? JSON.parse(labels) : [{ label: row.category, score: row.confidence }],
+    ...(row.feedback ? { feedbackLabels: feedback_labels ? JSON.parse(feedback_labels) : [row.feedback] } : {}),
+    createdAt: new Date(created_at).toISOString(),
+    ...(feedback_at ? { feedbackAt: new Date(feedback_at).toISOString() } : {}),
+  };
+}
+
+/**
+ * @param {number} id
+ * @returns {object|null}
+ */
+function getClassification(id) {
+  const row = getDb().prepare('SELECT * FROM classifications WHERE id = ?').get(id);
+  return row ? rowToClassification(row) : null;
+}
+
+/**
+ * Recent classifications, newest first.
+ * @param {{ limit?: number, method?: string, category?: string }} [opts]
+ * @returns {object[]}
+ */
+function listClassifications({ limit = 20, method, category } = {}) {
+  const where = [];
+  const params = [];
+  if (method) { where.push('method = ?'); params.push(method); }
+  if (category) { where.push('category = ?'); params.push(category); }
+  return getDb().prepare(`
+    SELECT * FROM classifications ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC LIMIT ?
+  `).all(...params, limit).map(rowToClassification);
+}
+
+/**
+ * Record the right labels for a classification and learn them as an example.
+ * Correcting to the category it already had confirms it.
+ * @param {number} id - Classification id
+ * @param {string|string[]} labels - The primary label first
+ * @returns {Promise<{ classification: object, changed: boolean, exampleId: number }>}
+ * @throws {Error} With code 'ENOENT' for an unknown id
+ */
+async function correct(id, labels) {
+  labels = [...new Set((Array.isArray(labels) ? labels : [labels]).map(normalizeLabel).filter(Boolean))];
+  if (labels.length === 0) throw new Error('Category is required');
+  const invalid = labels.find(label => !isValidLabel(label));
+  if (invalid) throw new Error(`Invalid category "${invalid}" (letters, digits, - and _, levels separated by /)`);
+  const [category] = labels;
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM classifications WHERE id = ?').get(id);
+  if (!row) throw Object.assign(new Error(`Unknown classification ${id}`), { code: 'ENOENT' });
+
+  const model = normalizeModel(config.models.embed);
+  let embedding = row.embedding;
+  if (!embedding || row.embed_model !== model) {
+    const embedded = await embedEmail({ from: row.sender, subject: row.subject, body: row.body });
+    embedding = embeddingToBuffer(embedded.embedding);
+  }
+
+  const now = Date.now();
+  const exampleId = db.transaction(() => {
+    db.prepare('UPDATE classifications SET feedback = ?, feedback_labels = ?, feedback_at = ? WHERE id = ?')
+      .run(category, JSON.stringify(labels), now, id);
+    db.prepare(`
+      INSERT INTO examples (classification_id, created_at, sender, subject, body, category, labels, embedding, embed_model)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(classification_id) DO UPDATE SET
+        category = excluded.category, labels = excluded.labels, created_at = excluded.created_at
+    `).run(id, now, row.sender, row.subject, row.body, category, JSON.stringify(labels), embedding, model);
+    return db.prepare('SELECT id FROM examples WHERE classification_id = ?').get(id).id;
+  })();
+
+  logger.info(`Classification ${id}: ${row.category} → ${labels.join(', ')}${row.category === category ? ' (confirmed)' : ''}`);
+  return { classification: getClassification(id), changed: row.category !== category, exampleId };
+}
+
+/**
+ * Classification accuracy: the share of classifications not corrected to
+ * another category, overall, per method and per day.
+ * @param {{ days?: number }} [opts] - Window (default 30)
+ * @returns {{ since: string, overall: object, byMethod: object[], byDay: object[], examples: Array<{ category: string, count: number }> }}
+ *   Each stats object is { classified, reviewed, corrected, accuracy }
+ */
+function accuracyStats({ days = 30 } = {}) {
+  const db = getDb();
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const columns = `
+    COUNT(*) AS classified,
+    COUNT(feedback) AS reviewed,
+    SUM(feedback IS NOT NULL AND feedback != category) AS corrected
+  `;
+  const withAccuracy = ({ classified, reviewed, corrected, ...rest }) => ({
+    ...rest,
+    classified,
+    reviewed,
+    corrected: corrected || 0,
+    accuracy: classified ? Math.round((1 - (corrected || 0) / classified) * 1000) / 1000 : null,
+  });
+
+  return {
+    since: new Date(since).toISOString(),
+    overall: withAccuracy(db.prepare(`SELECT ${columns} FROM classifications WHERE created_at >= ?`).get(since)),
+    byMethod: db.prepare(`SELECT method, ${columns} FROM classifications WHERE created_at >= ? GROUP BY method ORDER BY classified DESC`)
+      .all(since).map(withAccuracy),
+    byDay: db.prepare(`
+      SELECT date(created_at / 1000, 'unixepoch', 'localtime') AS day, ${columns}
+      FROM classifications WHERE created_at >= ? GROUP BY day ORDER BY day
+    `).all(since).map(withAccuracy),
+    examples: db.prepare('SELECT category, COUNT(*) AS count FROM examples GROUP BY category ORDER BY count DESC').all(),
+  };
+}
+
+/**
+ * Rewrite every example's labels into another taxonomy (migrateLabel).
+ * @param {object} target - From getTaxonomy()
+ * @param {{ dryRun?: boolean }} [opts]
+ * @returns {{ changed: Array<{ id: number, from: string[], to: string[] }>, unknown: string[] }}
+ *   unknown: labels the target has no equivalent for (kept as they are)
+ */
+function migrateExamples(target, { dryRun = false } = {}) {
+  const db = getDb();
+  const changed = [];
+  const unknown = new Set();
+  for (const row of db.prepare('SELECT id, category, labels FROM examples').all()) {
+    const from = exampleLabels(row);
+    const to = [...new Set(from.map(label => {
+      const mapped = migrateLabel(label, target);
+      if (!mapped.known) unknown.add(mapped.label);
+      return mapped.label;
+    }))];
+    if (to.join('\n') !== from.join('\n')) changed.push({ id: row.id, from, to });
+  }
+  if (!dryRun && changed.length > 0) {
+    const update = db.prepare('UPDATE examples SET category = ?, labels = ? WHERE id = ?');
+    db.transaction(() => changed.forEach(({ id, to }) => update.run(to[0], JSON.stringify(to), id)))();
+  }
+  return { changed, unknown: [...unknown].sort() };
+}
+
+module.exports = {
+  getDb,
+  emailFields,
+  embedEmail,
+  nearestExamples,
+  hasExamples,
+  exampleCategories,
+  recordClassification,
+  getClassification,
+  listClassifications,
+  correct,
+  accuracyStats,
+  migrateExamples,
+};
@@ -1,27 +1,139 @@
-const { classify: classifyRules } = require('./rules');
+const { matchAllRules } = require('./rules');
+const { loadRules } = require('./rule-store');
 const { classifyWithLLM } = require('./llm');
-const logger = require('../../shared/logger');
+const { vote, calibrate } = require('./knn');
+const { getTaxonomy, resolveLabel, isWithin, hasLabel } = require('./taxonomy');
+const examples = require('./examples');
+const config = require('../../shared/config');
+const { normalizeEmail } = require('../../shared/email');
+const logger = require('../../shared/logger').child({ package: 'classifier' });
 
-async function classify(email) {
-  const ruleCategory = classifyRules(email);
+// Nearest labeled examples, or none if embedding or the example store fails.
+// Nothing is embedded before the first correction: there'd be nothing to compare with
+async function findNeighbours(email) {
+  try {
+    if (!examples.hasExamples()) return { embedded: null, neighbours: [] };
+    const embedded = await examples.embedEmail(email);
+    return { embedded, neighbours: await examples.nearestExamples(embedded.embedding) };
+  } catch (error) {
+    logger.warn(`Example lookup failed, classifying without examples: ${error.message}`);
+    return { embedded: null, neighbours: [] };
+  }
+}
 
-  if (ruleCategory) {
-    logger.debug(`Classified by rule: ${ruleCategory}`);
+/**
+ * Final label set, in order (the first is the category): a label is dropped
+ * when a more specific one beneath it is also present, which takes its place.
+ * Only the first is kept with multi-label output off.
+ */
+function labelSet(candidates) {
+  const { enabled, maxLabels } = config.classifier.multiLabel;
+  const kept = [];
+  for (const candidate of candidates) {
+    if (kept.some(label => isWithin(label.label, candidate.label))) continue;
+    const index = kept.findIndex(label => isWithin(candidate.label, label.label));
+    if (index === -1) kept.push(candidate);
+    else kept[index] = { ...candidate, score: Math.max(candidate.score, kept[index].score) };
+  }
+  return enabled ? kept.slice(0, maxLabels) : kept.slice(0, 1);
+}
+
+async function decide(email, rules, taxonomy) {
+  const resolve = (label) => resolveLabel(label, taxonomy);
+
+  const matches = matchAllRules(email, rules);
+  if (matches.length > 0) {
+    logger.debug(`Classified by rule ${matches[0].rule.id}: ${matches.map(m => m.category).join(', ')}`);
+    const labels = labelSet(matches.map(m => ({ label: resolve(m.category), score: 1.0, rule: m.rule.id })));
     return {
-      category: ruleCategory,
-      confidence: 1.0,
-      method: 'rules'
+      result: { category: labels[0].label, confidence: 1.0, method: 'rules', rule: labels[0].rule, labels },
+      embedded: null,
     };
   }
 
-  logger.debug('No rule matched, using LLM fallback');
-  const llmResult = await classifyWithLLM(email);
+  const { knn, multiLabel } = config.classifier;
+  const found = knn.enabled ? await findNeighbours(email) : { embedded: null, neighbours: [] };
+  const { embedded } = found;
+  // Examples labeled under another taxonomy count under this one's names
+  const neighbours = found.neighbours.map(n => ({ ...n, labels: n.labels.map(resolve) }));
+  const nearest = neighbours.map(n => ({ example: n.id, labels: n.labels, similarity: n.similarity }));
+
+  const voted = vote(neighbours)
+    .map(({ category }) => ({ label: category, score: calibrate(neighbours, category) }))
+    .sort((a, b) => b.score - a.score);
+  let knnResult = null;
+  if (voted.length > 0) {
+    const [best, ...rest] = voted;
+    const labels = labelSet([best, ...rest.filter(l => l.score >= multiLabel.minScore)]);
+    knnResult = { category: labels[0].label, confidence: labels[0].score, method: 'knn', labels, neighbours: nearest };
+  }
+
+  if (knnResult && neighbours.length >= knn.minExamples && knnResult.confidence >= knn.minConfidence) {
+    logger.debug(`Classified by ${neighbours.length} example(s): ${knnResult.category} (${knnResult.confidence})`);
+    return { result: knnResult, embedded };
+  }
+
+  // Labels introduced by rules or corrections are offered to the model too
+  const categories = [...new Set([
+    ...taxonomy.categories,
+    ...rules.filter(r => r.enabled).map(r => resolve(r.category)),
+    ...neighbours.flatMap(n => n.labels),
+  ])];
+  logger.debug(`No rule matched, using LLM fallback with ${neighbours.length} example(s)`);
+  const llmResult = await classifyWithLLM(email, undefined, categories, neighbours, taxonomy);
 
+  if (llmResult.category === 'uncategorized' && knnResult) return { result: knnResult, embedded };
+  const labels = llmResult.labels.length > 0 ? labelSet(llmResult.labels) : [];
   return {
-    category: llmResult.category,
-    confidence: llmResult.confidence,
-    method: 'llm'
+    result: {
+      category: labels[0]?.label ?? llmResult.category,
+      confidence: labels[0]?.score ?? llmResult.confidence,
+      method: 'llm',
+      labels,
+      ...(nearest.length > 0 ? { neighbours: nearest } : {}),
+    },
+    embedded,
   };
 }
 
-module.exports = { classify };
+/**
+ * Classify an email: the rule store first, then the labeled examples (k-NN),
+ * then the LLM with the nearest examples as few-shot examples.
+ *
+ * Output is multi-label: `labels` holds every label that applies with its
+ * score, in the active taxonomy's terms (taxonomy.js). `category` and
+ * `confidence` are the first label's, so callers written for one category
+ * keep working.
+ * @param {object|string|Buffer} email - { from, subject, body, labels, headers?, attachments? },
+ *   or a raw RFC 822 message (string, Buffer or { raw, labels? }; shared/email.js)
+ * @param {{ record?: boolean, taxonomy?: string }} [opts] - record: keep it
+ *   (sender, subject, body and embedding) in the history for `classify correct`
+ *   (default config.classifier.history, off); taxonomy: instead of
+ *   config.classifier.taxonomy
+ * @returns {Promise<{ id?: number, category: string, confidence: number, method: 'rules'|'knn'|'llm', rule?: string, labels: Array<{ label: string, score: number, rule?: string }>, taxonomy: string, neighbours?: Array<{ example: number, labels: string[], similarity: number }> }>}
+ *   `id` is the classification id to correct, `rule` the id of the rule that
+ *   decided the category, `neighbours` the examples consulted. Scores are 1.0
+ *   for rules and neighbour agreement otherwise (knn.js).
+ * @throws {Error} For an unknown taxonomy (code 'ENOENT')
+ */
+async function classify(input, { record = config.classifier.history, taxonomy: name } = {}) {
+  const email = normalizeEmail(input);
+  const taxonomy = getTaxonomy(name);
+  const { result: decided, embedded } = await decide(email, loadRules(), taxonomy);
+  const result = { ...decided, taxonomy: taxonomy.name };
+  if (!record) return result;
+  try {
+    return { id: examples.recordClassification(email, result, embedded), ...result };
+  } catch (error) {
+    logger.warn(`Could not record classification: ${error.message}`);
+    return result;
+  }
+}
+
+module.exports = {
+  classify,
+  correct: examples.correct,
+  accuracyStats: examples.accuracyStats,
+  getTaxonomy,
+  hasLabel,
+};
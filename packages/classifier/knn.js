@@ -0,0 +1,58 @@
+const { isWithin } = require('./taxonomy');
+
+/**
+ * k-nearest-neighbour voting over labeled examples.
+ *
+ * Neighbours are { labels, similarity } (cosine, from examples.js). Each
+ * neighbour votes for each of its labels, weighted by similarity, and a
+ * label's confidence is the similarity-weighted share of neighbours that
+ * carry it (or something beneath it: finance/bills agrees with finance),
+ * shrunk towards a prior so that one or two lucky neighbours can't claim
+ * certainty.
+ */
+
+const PRIOR = 0.5;          // Confidence with no evidence either way
+const PRIOR_WEIGHT = 1;     // How many "neighbours" of similarity 1 the prior is worth
+
+function labelsOf(neighbour) {
+  return neighbour.labels || [neighbour.category];
+}
+
+/**
+ * Labels by similarity-weighted vote, strongest first.
+ * @param {Array<{ labels: string[], similarity: number }>} neighbours
+ * @returns {Array<{ category: string, weight: number, count: number }>}
+ */
+function vote(neighbours) {
+  const tally = new Map();
+  for (const neighbour of neighbours) {
+    for (const category of new Set(labelsOf(neighbour))) {
+      const entry = tally.get(category) || { category, weight: 0, count: 0 };
+      entry.weight += Math.max(neighbour.similarity, 0);
+      entry.count++;
+      tally.set(category, entry);
+    }
+  }
+  return [...tally.values()].sort((a, b) => b.weight - a.weight || b.count - a.count);
+}
+
+/**
+ * Confidence that `category` applies, from how many neighbours agree.
+ * @param {Array<{ labels: string[], similarity: number }>} neighbours
+ * @param {string} category
+ * @param {number} [prior=PRIOR] - Confidence before any neighbour is counted
+ *   (the model's own score on the LLM path)
+ * @returns {number} 0-1; `prior` with no neighbours
+ */
+function calibrate(neighbours, category, prior = PRIOR) {
+  let agree = 0;
+  let total = 0;
+  for (const neighbour of neighbours) {
+    const weight = Math.max(neighbour.similarity, 0);
+    total += weight;
+    if (labelsOf(neighbour).some(label => isWithin(label, category))) agree += weight;
+  }
+  return Math.round(((agree + prior * PRIOR_WEIGHT) / (total + PRIOR_WEIGHT)) * 1000) / 1000;
+}
+
+module.exports = { vote, calibrate, PRIOR };
@@ -1,49 +1,107 @@
 const { chat } = require('../../shared/ollama');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'classifier' });
+const { calibrate, PRIOR } = require('./knn');
+const { FLAT_CATEGORIES, normalizeLabel, resolveLabel } = require('./taxonomy');
 
-const VALID_CATEGORIES = [
-  'junk', 'subscriptions', 'bills', 'jobs', 'shopping',
-  'travel', 'finance', 'health', 'newsletters',
-  'notifications', 'personal', 'legal'
-];
+const VALID_CATEGORIES = FLAT_CATEGORIES;
 
-async function classifyWithLLM(email, timeout = 5000) {
-  try {
-    const bodyPreview = email.body
-      ? email.body.substring(0, 300)
-      : '';
+const EXAMPLE_BODY_CHARS = 300;  // Per few-shot example; the email itself gets classifier.bodyChars
 
-    const prompt = `Classify this email into ONE of these categories: ${VALID_CATEGORIES.join(', ')}.
+function formatEmail({ from, subject, body }, bodyChars) {
+  return `From: ${from || ''}
+Subject: ${subject || ''}
+Body: ${String(body || '').substring(0, bodyChars)}`;
+}
 
-From: ${email.from}
-Subject: ${email.subject}
-Body: ${bodyPreview}
+function buildPrompt(email, categories, examples, multiLabel) {
+  const shots = examples.slice(0, config.classifier.fewShot).map(example =>
+    `${formatEmail({ from: example.sender, subject: example.subject, body: example.body }, EXAMPLE_BODY_CHARS)}
+Category: ${(example.labels || [example.category]).join(', ')}`
+  );
+  const hierarchical = categories.some(category => category.includes('/'));
+  return `Classify this email into ${multiLabel ? 'the categories that apply' : 'ONE category'} from: ${categories.join(', ')}.${hierarchical ? `
+Categories are hierarchical ("/" separates levels); choose the most specific one that fits.` : ''}
+${shots.length > 0 ? `
+Similar emails the user has already categorized:
 
-Return ONLY the category name, nothing else.`;
+${shots.join('\n\n')}
 
-    logger.debug('Classifying with LLM:', email.subject);
+Email to classify:
+` : ''}
+${formatEmail(email, config.classifier.bodyChars)}
 
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('LLM timeout')), timeout);
-    });
+Return ONLY JSON: {"labels": [{"category": "<category>", "score": <0-1, how sure you are>}]}${multiLabel
+    ? ', most relevant first. Most emails have one or two categories.'
+    : ' with exactly one label.'}`;
+}
 
-    const chatPromise = chat(config.models.triage, [
+// The model's labels with its scores: JSON as asked, or a plain list of names
+function parseLabels(content) {
+  const clamp = (score) => Number.isFinite(Number(score)) ? Math.min(Math.max(Number(score), 0), 1) : PRIOR;
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return content.split(/[,\n]/).map(label => ({ label, score: PRIOR }));
+  }
+  const items = Array.isArray(parsed) ? parsed
+    : Array.isArray(parsed?.labels) ? parsed.labels
+    : parsed?.category ? [parsed] : [];
+  return items.map(item => typeof item === 'string'
+    ? { label: item, score: PRIOR }
+    : { label: String(item?.category ?? item?.label ?? ''), score: clamp(item?.score ?? item?.confidence) });
+}
+
+/**
+ * Ask the triage model for the categories that apply.
+ * @param {object} email - { from, subject, body }
+ * @param {number} [timeout=5000]
+ * @param {string[]} [categories=VALID_CATEGORIES] - Labels it may choose
+ * @param {Array<{ labels: string[], similarity: number, sender: string, subject: string, body: string }>} [examples=[]]
+ *   Nearest labeled examples (examples.js), most similar first: the first
+ *   classifier.fewShot are shown to the model
+ * @param {object|null} [taxonomy=null] - getTaxonomy(); resolves aliases in the answer
+ * @returns {Promise<{ category: string, confidence: number, labels: Array<{ label: string, score: number }> }>}
+ *   Each score is the model's own, shrunk towards how far the examples agree
+ *   (knn.js calibrate). The best label is the category and is always kept;
+ *   others need classifier.multiLabel.minScore, up to maxLabels.
+ */
+async function classifyWithLLM(email, timeout = 5000, categories = VALID_CATEGORIES, examples = [], taxonomy = null) {
+  const { enabled: multiLabel, maxLabels, minScore } = config.classifier.multiLabel;
+  try {
+    const prompt = buildPrompt(email, categories, examples, multiLabel);
+
+    logger.debug(`Classifying with LLM (${examples.length} example(s)):`, email.subject);
+
+    const response = await chat(config.models.triage, [
       { role: 'user', content: prompt }
-    ]);
+    ], { timeout, format: 'json' });
+    const content = response.message.content.trim();
 
-    const response = await Promise.race([chatPromise, timeoutPromise]);
-    const category = response.message.content.trim().toLowerCase();
+    const offered = new Set(categories);
+    const scored = new Map();
+    for (const { label: raw, score } of parseLabels(content)) {
+      const label = taxonomy ? resolveLabel(raw, taxonomy) : normalizeLabel(raw);
+      if (!offered.has(label)) {
+        if (label) logger.warn(`LLM returned invalid category: ${label}`);
+        continue;
+      }
+      scored.set(label, Math.max(scored.get(label) ?? 0, calibrate(examples, label, score)));
+    }
 
-    if (!VALID_CATEGORIES.includes(category)) {
-      logger.warn(`LLM returned invalid category: ${category}`);
-      return { category: 'uncategorized', confidence: 0 };
+    const ranked = [...scored].map(([label, score]) => ({ label, score })).sort((a, b) => b.score - a.score);
+    if (ranked.length === 0) {
+      logger.warn(`LLM returned no valid category: ${content.slice(0, 200)}`);
+      return { category: 'uncategorized', confidence: 0, labels: [] };
     }
 
-    return { category, confidence: 0.7 };
+    const [best, ...rest] = ranked;
+    const labels = multiLabel ? [best, ...rest.filter(l => l.score >= minScore)].slice(0, maxLabels) : [best];
+    return { category: best.label, confidence: best.score, labels };
   } catch (error) {
     logger.error('LLM classification failed:', error.message);
-    return { category: 'uncategorized', confidence: 0 };
+    return { category: 'uncategorized', confidence: 0, labels: [] };
   }
 }
 
@@ -0,0 +1,216 @@
+const { createHash } = require('crypto');
+const { existsSync, readdirSync, readFileSync, statSync, openSync, readSync, closeSync } = require('fs');
+const { basename, extname, join, resolve } = require('path');
+const config = require('../../shared/config');
+const { splitMboxLines } = require('../../shared/mime');
+const { parseEmail } = require('../../shared/email');
+const { readLines } = require('../chat-ingest/transcript-reader');
+
+/**
+ * Mail sources for batch classification. Each reader is an async generator
+ * of messages, read incrementally (an mbox is never loaded whole, the
+ * emailctl database is paged), as
+ *   { key, email, existing, messageId, date }
+ * where `key` identifies the message within its source across runs (the
+ * Message-ID, else a hash of the message; the row id for emailctl), `email`
+ * is what classify() takes (shared/email.js parses files) and `existing`
+ * the labels the message already has (Gmail's X-Gmail-Labels, Keywords
+ * headers, the Maildir folder, the emailctl labels and category), compared
+ * with the results by the batch report.
+ *
+ * Types: mbox (file), maildir (directory with cur/ and new/; Maildir++
+ * subfolders .Name are read too), eml (a .eml file or a directory of them)
+ * and emailctl (config.paths.emailDb, or any SQLite file with its schema).
+ */
+
+const SOURCE_TYPES = ['mbox', 'maildir', 'eml', 'emailctl'];
+const PAGE_SIZE = 200;
+
+function fileStartsWith(path, magic) {
+  const fd = openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(magic.length);
+    readSync(fd, head, 0, magic.length, 0);
+    return head.toString('latin1') === magic;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function isMaildir(path) {
+  return existsSync(join(path, 'cur')) || existsSync(join(path, 'new'));
+}
+
+/**
+ * Work out a source's type from its path ("emailctl" means config.paths.emailDb).
+ * @param {string} source
+ * @returns {{ type: string, path: string }}
+ * @throws {Error} If the path doesn't exist
+ */
+function detectSource(source) {
+  if (source === 'emailctl') return { type: 'emailctl', path: config.paths.emailDb };
+  const path = resolve(source);
+  if (!existsSync(path)) throw Object.assign(new Error(`No such file or directory: ${path}`), { code: 'ENOENT' });
+  if (statSync(path).isDirectory()) return { type: isMaildir(path) ? 'maildir' : 'eml', path };
+  if (extname(path).toLowerCase() === '.eml') return { type: 'eml', path };
+  if (fileStartsWith(path, 'SQLite format 3\0')) return { type: 'emailctl', path };
+  return { type: 'mbox', path };
+}
+
+// Messages are parsed from their bytes: parts in other charsets than UTF-8 stay intact
+function fromRaw(raw, folderLabels = []) {
+  const email = parseEmail(raw, { labels: folderLabels });
+  return {
+    key: email.messageId || createHash('sha256').update(raw).digest('hex').slice(0, 32),
+    email,
+    existing: email.labels,
+    messageId: email.messageId,
+    date: email.date,
+  };
+}
+
+async function* readMbox(path) {
+  const lines = (function* () {
+    for (const line of readLines(path, 0, undefined, 'latin1')) yield line.text;
+  })();
+  for (const raw of splitMboxLines(lines)) {
+    yield fromRaw(Buffer.from(raw, 'latin1'));
+  }
+}
+
+// Maildir++: the top level is the inbox, ".Bills.Utilities" is Bills/Utilities
+function maildirFolders(root) {
+  const folders = [{ path: root, label: null }];
+  for (const entry of readdirSync(root, { withFileTypes: true })) {
+    if (entry.isDirectory() && entry.name.startsWith('.') && entry.name.length > 1 && isMaildir(join(root, entry.name))) {
+      folders.push({ path: join(root, entry.name), label: entry.name.slice(1).split('.').join('/') });
+    }
+  }
+  return folders;
+}
+
+async function* readMaildir(root) {
+  for (const folder of maildirFolders(root)) {
+    for (const sub of ['cur', 'new']) {
+      const dir = join(folder.path, sub);
+      if (!existsSync(dir)) continue;
+      for (const name of readdirSync(dir).sort()) {
+        const file = join(dir, name);
+        if (!statSync(file).isFile()) continue;
+        const message = fromRaw(readFileSync(file), folder.label ? [folder.label] : []);
+        // The unique part of the name (before ":2,flags") survives flag changes and moves to cur/
+        if (!message.messageId) message.key = [folder.label, name.split(':')[0]].filter(Boolean).join('/');
+        yield message;
+      }
+    }
+  }
+}
+
+function emlFiles(path) {
+  if (!statSync(path).isDirectory()) return [path];
+  return readdirSync(path, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const full = join(path, entry.name);
+      if (entry.isDirectory()) return emlFiles(full);
+      return extname(entry.name).toLowerCase() === '.eml' ? [full] : [];
+    });
+}
+
+async function* readEml(path) {
+  for (const file of emlFiles(path)) {
+    const message = fromRaw(readFileSync(file));
+    if (!message.messageId) message.key = basename(file);
+    yield message;
+  }
+}
+
+// emailctl's columns (and the names other mail tools use for the same thing)
+const EMAILCTL_COLUMNS = {
+  id: ['id', 'message_id', 'gmail_id'],
+  from: ['from_email', 'from_address', 'sender', 'from'],
+  to: ['to_email', 'to_address', 'recipients', 'to'],
+  subject: ['subject'],
+  body: ['body_preview', 'body', 'body_text', 'snippet'],
+  labels: ['labels', 'label_ids'],
+  category: ['category'],
+  date: ['date', 'received_at', 'internal_date', 'created_at'],
+};
+
+/**
+ * Find the emailctl messages table and which of its columns hold what.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ table: string, columns: Object<string, string|null> }}
+ * @throws {Error} If no table has a subject and a sender column
+ */
+function emailctlSchema(db) {
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name = 'emails' DESC, name").all();
+  for (const { name } of tables) {
+    const available = db.prepare(`PRAGMA table_info("${name}")`).all().map(c => c.name);
+    const columns = {};
+    for (const [field, names] of Object.entries(EMAILCTL_COLUMNS)) {
+      columns[field] = names.find(n => available.includes(n)) || null;
+    }
+    if (columns.subject && columns.from) return { table: name, columns };
+  }
+  throw new Error('No emails table found (expected columns like from_email, subject, body_preview)');
+}
+
+// Labels stored as a JSON array or a comma-separated list
+function parseStoredLabels(value) {
+  if (value === null || value === undefined || value === '') return [];
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch {
+    // not JSON
+  }
+  return String(value).split(',').map(label => label.trim()).filter(Boolean);
+}
+
+async function* readEmailctl(path) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path, { readonly: true, fileMustExist: true });
+  try {
+    const { table, columns } = emailctlSchema(db);
+    const select = Object.entries(columns).filter(([, column]) => column)
+      .map(([field, column]) => `"${column}" AS "${field}"`).join(', ');
+    // Paged by rowid rather than one long read, so write-back can run alongside
+    const page = db.prepare(`SELECT rowid AS _rowid, ${select} FROM "${table}" WHERE rowid > ? ORDER BY rowid LIMIT ?`);
+    let after = 0;
+    for (;;) {
+      const rows = page.all(after, PAGE_SIZE);
+      if (rows.length === 0) break;
+      for (const row of rows) {
+        const labels = parseStoredLabels(row.labels);
+        const existing = [...new Set([...labels, ...(row.category ? [row.category] : [])])];
+        yield {
+          key: String(row.id ?? row._rowid),
+          email: { from: row.from || '', to: row.to || '', subject: row.subject || '', body: row.body || '', labels, headers: {}, attachments: [] },
+          existing,
+          messageId: row.id != null ? String(row.id) : null,
+          date: row.date != null ? String(row.date) : null,
+        };
+      }
+      after = rows[rows.length - 1]._rowid;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+const READERS = { mbox: readMbox, maildir: readMaildir, eml: readEml, emailctl: readEmailctl };
+
+/**
+ * Messages from a source.
+ * @param {string} path
+ * @param {string} type - One of SOURCE_TYPES
+ * @returns {AsyncGenerator<{ key: string, email: object, existing: string[], messageId: string|null, date: string|null }>}
+ */
+function readMessages(path, type) {
+  const reader = READERS[type];
+  if (!reader) throw new Error(`Unknown source type "${type}" (${SOURCE_TYPES.join(', ')})`);
+  return reader(path);
+}
+
+module.exports = { SOURCE_TYPES, detectSource, readMessages, emailctlSchema };
@@ -0,0 +1,399 @@
+/**
+ * Rule condition language for the email classifier.
+ *
+ *   from contains ["billing@", "invoices@"] or subject ~ /invoice|receipt/i
+ *   label = SPAM and not list exists
+ *   has attachment and attachment.type contains pdf
+ *   unsubscribe exists and thread.depth = 0
+ *
+ * Tests are `<field> <op> <value>` or `<field> exists`, combined with
+ * and / or / not and parentheses (and binds tighter than or). A list value
+ * matches if any element does; multi-valued fields (labels, recipients,
+ * attachments) match if any value does.
+ *
+ * Fields: from, to, cc, subject, body, label, header[<Name>],
+ *   attachment.name, attachment.type, attachment.size, attachments (count),
+ *   list (List-Id), unsubscribe (List-Unsubscribe links; no built-in rule
+ *   uses it, see ARCHITECTURE.md), thread (subject without Re:/Fwd:),
+ *   thread.depth (earlier messages in the thread)
+ * Ops: ~ (regex; a string is a case-insensitive regex), contains, =,
+ *   startswith, endswith (case-insensitive), > >= < <= (numbers)
+ * Values: "string", 'string', /regex/flags, numbers, bare words (SPAM,
+ *   pdf, acme.com), or [a, b, …]
+ */
+
+const { parseListUnsubscribe, parseMessageIds, normalizeSubject } = require('../../shared/mime');
+
+const STRING_FIELDS = ['from', 'to', 'cc', 'subject', 'body', 'label', 'attachment.name', 'attachment.type', 'list', 'unsubscribe', 'thread'];
+const NUMBER_FIELDS = ['attachment.size', 'attachments', 'thread.depth'];
+const STRING_OPS = ['~', 'contains', '=', 'startswith', 'endswith'];
+const NUMBER_OPS = ['=', '>', '>=', '<', '<='];
+const KEYWORDS = ['and', 'or', 'not', 'exists', 'has', ...STRING_OPS.filter(op => /^\w/.test(op))];
+
+/**
+ * @param {string} message
+ * @param {string} source
+ * @param {number} position
+ */
+function syntaxError(message, source, position) {
+  const err = new Error(`${message} at column ${position + 1}: ${source.slice(position, position + 24) || '(end)'}`);
+  err.position = position;
+  return err;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+
+    if ('()[],'.includes(ch)) {
+      tokens.push({ type: ch, pos: start });
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw syntaxError('Unterminated string', source, start);
+      i++;
+      tokens.push({ type: 'string', value, pos: start });
+    } else if (ch === '/') {
+      let pattern = '';
+      let inClass = false;
+      i++;
+      while (i < source.length && (source[i] !== '/' || inClass)) {
+        if (source[i] === '\\' && i + 1 < source.length) pattern += source[i++];
+        else if (source[i] === '[') inClass = true;
+        else if (source[i] === ']') inClass = false;
+        pattern += source[i++];
+      }
+      if (i >= source.length) throw syntaxError('Unterminated regex', source, start);
+      i++;
+      const flags = source.slice(i).match(/^[a-z]*/)[0];
+      i += flags.length;
+      try {
+        tokens.push({ type: 'regex', value: new RegExp(pattern, flags), pos: start });
+      } catch (err) {
+        throw syntaxError(`Invalid regex (${err.message.replace(/^Invalid regular expression: /, '')})`, source, start);
+      }
+    } else if (/[~=<>!]/.test(ch)) {
+      const op = source.slice(i).match(/^(>=|<=|[~=<>])/)?.[0];
+      if (!op) throw syntaxError(`Unknown operator "${ch}"`, source, start);
+      tokens.push({ type: 'op', value: op, pos: start });
+      i += op.length;
+    } else if (/[-\d]/.test(ch) && /^-?\d+(\.\d+)?(?![\w.@-])/.test(source.slice(i))) {
+      const number = source.slice(i).match(/^-?\d+(\.\d+)?/)[0];
+      tokens.push({ type: 'number', value: Number(number), pos: start });
+      i += number.length;
+    } else if (/[\w.@+-]/.test(ch)) {
+      const word = source.slice(i).match(/^[\w.@+-]+/)[0];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.includes(lower) ? { type: 'keyword', value: lower, pos: start } : { type: 'word', value: word, pos: start });
+      i += word.length;
+    } else {
+      throw syntaxError(`Unexpected "${ch}"`, source, start);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition into its syntax tree.
+ * @param {string} source
+ * @returns {object} { op: 'and'|'or', args } | { op: 'not', arg } |
+ *   { op: 'test', field, header?, match, values } | { op: 'exists', field, header? }
+ * @throws {Error} On a syntax error (`err.position` is the offset)
+ */
+function parseCondition(source) {
+  if (typeof source !== 'string' || !source.trim()) throw new Error('Empty condition');
+  const tokens = tokenize(source);
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const at = (type, value) => peek()?.type === type && (value === undefined || peek().value === value);
+  const fail = (message) => { throw syntaxError(message, source, peek()?.pos ?? source.length); };
+  const expect = (type, value, what) => {
+    if (!at(type, value)) fail(`Expected ${what}`);
+    return tokens[i++];
+  };
+
+  function orExpr() {
+    const args = [andExpr()];
+    while (at('keyword', 'or')) { i++; args.push(andExpr()); }
+    return args.length === 1 ? args[0] : { op: 'or', args };
+  }
+
+  function andExpr() {
+    const args = [notExpr()];
+    while (at('keyword', 'and')) { i++; args.push(notExpr()); }
+    return args.length === 1 ? args[0] : { op: 'and', args };
+  }
+
+  function notExpr() {
+    if (at('keyword', 'not')) { i++; return { op: 'not', arg: notExpr() }; }
+    if (at('(')) {
+      i++;
+      const node = orExpr();
+      expect(')', undefined, '")"');
+      return node;
+    }
+    if (at('keyword', 'has')) {
+      i++;
+      const word = expect('word', undefined, '"attachment"');
+      if (!/^attachments?$/i.test(word.value)) { i--; fail('Expected "attachment"'); }
+      return { op: 'test', field: 'attachments', match: '>', values: [0] };
+    }
+    return test();
+  }
+
+  function field() {
+    const token = expect('word', undefined, 'a field');
+    const name = token.value.toLowerCase();
+    if (name === 'header') {
+      expect('[', undefined, '"[" after header');
+      const header = expect('word', undefined, 'a header name');
+      expect(']', undefined, '"]"');
+      return { field: 'header', header: header.value.toLowerCase() };
+    }
+    if (!STRING_FIELDS.includes(name) && !NUMBER_FIELDS.includes(name)) {
+      i--;
+      fail(`Unknown field "${token.value}" (expected ${[...STRING_FIELDS, ...NUMBER_FIELDS, 'header[Name]'].join(', ')})`);
+    }
+    return { field: name };
+  }
+
+  function value() {
+    const token = peek();
+    if (!token || !['string', 'regex', 'number', 'word'].includes(token.type)) fail('Expected a value');
+    i++;
+    return token.type === 'regex' ? { regex: token.value } : token.value;
+  }
+
+  function test() {
+    const target = field();
+    if (at('keyword', 'exists')) { i++; return { op: 'exists', ...target }; }
+
+    const numeric = NUMBER_FIELDS.includes(target.field);
+    const allowed = numeric ? NUMBER_OPS : STRING_OPS;
+    const token = peek();
+    const match = token && (token.type === 'op' || token.type === 'keyword') ? token.value : null;
+    if (!allowed.includes(match)) fail(`Expected ${allowed.join(' ')} or exists after ${target.field}`);
+    i++;
+
+    const item = () => {
+      const v = value();
+      if (numeric && typeof v !== 'number') { i--; fail(`${target.field} takes numbers`); }
+      if (v?.regex && match !== '~') { i--; fail('A regex needs the ~ operator'); }
+      return v;
+    };
+    let values;
+    if (at('[')) {
+      i++;
+      values = [item()];
+      while (at(',')) { i++; values.push(item()); }
+      expect(']', undefined, '"]"');
+    } else {
+      values = [item()];
+    }
+
+    return {
+      op: 'test',
+      ...target,
+      match,
+      values: match === '~' ? values.map(v => (v?.regex ? v : { regex: new RegExp(String(v), 'i') })) : values.map(v => (v?.regex ? v : numeric ? v : String(v))),
+    };
+  }
+
+  const node = orExpr();
+  if (i < tokens.length) fail('Unexpected input');
+  return node;
+}
+
+function formatValue(v) {
+  if (v?.regex) return String(v.regex);
+  if (typeof v === 'number') return String(v);
+  return /^[\w.@+-]+$/.test(v) && !KEYWORDS.includes(v.toLowerCase()) && !/^-?\d/.test(v) ? v : JSON.stringify(v);
+}
+
+function formatField(node) {
+  return node.field === 'header' ? `header[${node.header}]` : node.field;
+}
+
+/**
+ * Canonical text of a syntax tree (parses back to the same tree).
+ * @param {object} node
+ * @returns {string}
+ */
+function formatCondition(node, parent = null) {
+  switch (node.op) {
+    case 'and':
+    case 'or': {
+      const text = node.args.map(arg => formatCondition(arg, node.op)).join(` ${node.op} `);
+      return parent === 'and' && node.op === 'or' || parent === 'not' ? `(${text})` : text;
+    }
+    case 'not':
+      return `not ${formatCondition(node.arg, 'not')}`;
+    case 'exists':
+      return `${formatField(node)} exists`;
+    default: {
+      if (node.field === 'attachments' && node.match === '>' && node.values.length === 1 && node.values[0] === 0) return 'has attachment';
+      const values = node.values.length === 1 ? formatValue(node.values[0]) : `[${node.values.map(formatValue).join(', ')}]`;
+      return `${formatField(node)} ${node.match} ${values}`;
+    }
+  }
+}
+
+function addressText(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(addressText);
+  if (typeof value === 'object') return [value.name && value.address ? `${value.name} <${value.address}>` : value.address || value.name || ''];
+  return [String(value)];
+}
+
+function lowerCased(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
+function headerValue(email, name) {
+  const headers = email.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  if (key === undefined) return [];
+  return [].concat(headers[key]).map(String);
+}
+
+/**
+ * Values of a field on an email. An email is { from, to?, cc?, subject, body,
+ * labels?, headers?, attachments?: [{ name, type, size }] }; from/to/cc may be
+ * strings or shared/mime.js address objects. The list and thread fields are
+ * shared/email.js's, else read from the headers.
+ */
+function fieldValues(email, node) {
+  const attachments = email.attachments || [];
+  switch (node.field) {
+    case 'from': return addressText(email.from);
+    case 'to': return addressText(email.to ?? headerValue(email, 'to'));
+    case 'cc': return addressText(email.cc ?? headerValue(email, 'cc'));
+    case 'subject': return [email.subject || ''];
+    case 'body': return email.body ? [email.body] : [];
+    case 'label': return email.labels || [];
+    case 'header': return headerValue(email, node.header);
+    case 'attachment.name': return attachments.map(a => a.name || a.filename || '');
+    case 'attachment.type': return attachments.map(a => a.type || a.contentType || '');
+    case 'attachment.size': return attachments.map(a => Number(a.size) || 0);
+    case 'attachments': return [attachments.length];
+    case 'list': return email.listId ? [email.listId] : headerValue(email, 'list-id');
+    case 'unsubscribe': {
+      const unsubscribe = email.unsubscribe !== undefined ? email.unsubscribe : parseListUnsubscribe(lowerCased(email.headers));
+      return unsubscribe ? [...unsubscribe.urls, ...unsubscribe.mailto] : [];
+    }
+    case 'thread': return [email.thread?.topic ?? normalizeSubject(email.subject)];
+    case 'thread.depth': {
+      if (email.thread) return [email.thread.depth];
+      const ids = new Set([...headerValue(email, 'references'), ...headerValue(email, 'in-reply-to')].flatMap(parseMessageIds));
+      return [ids.size];
+    }
+    default: return [];
+  }
+}
+
+function matchValue(match, actual, expected) {
+  if (typeof actual === 'number') {
+    switch (match) {
+      case '=': return actual === expected;
+      case '>': return actual > expected;
+      case '>=': return actual >= expected;
+      case '<': return actual < expected;
+      case '<=': return actual <= expected;
+      default: return false;
+    }
+  }
+  const text = String(actual);
+  if (match === '~') {
+    expected.regex.lastIndex = 0;
+    return expected.regex.test(text);
+  }
+  const a = text.toLowerCase();
+  const b = expected.toLowerCase();
+  switch (match) {
+    case 'contains': return a.includes(b);
+    case '=': return a === b;
+    case 'startswith': return a.startsWith(b);
+    case 'endswith': return a.endsWith(b);
+    default: return false;
+  }
+}
+
+// The first (field value, test value) pair that matches, or null
+function findMatch(node, email) {
+  const actuals = fieldValues(email, node);
+  if (node.op === 'exists') {
+    const found = node.field === 'attachments' ? actuals.find(n => n > 0) : actuals.find(v => v !== '' && v != null);
+    return found === undefined ? null : { actual: found };
+  }
+  for (const actual of actuals) {
+    for (const expected of node.values) {
+      if (matchValue(node.match, actual, expected)) return { actual, expected };
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluate a syntax tree against an email.
+ * @param {object} node - From parseCondition()
+ * @param {object} email
+ * @returns {boolean}
+ */
+function evaluate(node, email) {
+  switch (node.op) {
+    case 'and': return node.args.every(arg => evaluate(arg, email));
+    case 'or': return node.args.some(arg => evaluate(arg, email));
+    case 'not': return !evaluate(node.arg, email);
+    default: return findMatch(node, email) !== null;
+  }
+}
+
+function excerpt(value) {
+  const text = String(value).replace(/\s+/g, ' ');
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Evaluate every node (no short-circuit) and report why each matched or not.
+ * @param {object} node
+ * @param {object} email
+ * @returns {{ condition: string, result: boolean, matched?: string, children?: object[] }}
+ */
+function explainCondition(node, email) {
+  const condition = formatCondition(node);
+  switch (node.op) {
+    case 'and':
+    case 'or': {
+      const children = node.args.map(arg => explainCondition(arg, email));
+      const result = node.op === 'and' ? children.every(c => c.result) : children.some(c => c.result);
+      return { condition, result, children };
+    }
+    case 'not': {
+      const child = explainCondition(node.arg, email);
+      return { condition, result: !child.result, children: [child] };
+    }
+    default: {
+      const found = findMatch(node, email);
+      return found ? { condition, result: true, matched: excerpt(found.actual) } : { condition, result: false };
+    }
+  }
+}
+
+module.exports = {
+  parseCondition,
+  formatCondition,
+  evaluate,
+  explainCondition,
+  STRING_FIELDS,
+  NUMBER_FIELDS,
+};
@@ -0,0 +1,206 @@
+const { existsSync, mkdirSync, readFileSync, renameSync, statSync, writeFileSync } = require('fs');
+const { dirname } = require('path');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'classifier' });
+const { compileRule, DEFAULT_RULES } = require('./rules');
+
+/**
+ * Rule store: the classifier's rules as JSON at config.paths.classifierRules,
+ * `{ "version": 1, "rules": [{ id, category, priority, enabled, description, when }] }`.
+ *
+ * Until the first edit the file doesn't exist and DEFAULT_RULES apply. Edits
+ * go through here (CLI, dashboard) and are validated before they are written;
+ * the file is re-read whenever it changes on disk, so an edit made in one
+ * process reaches the others on their next classification. A hand edit that
+ * doesn't compile is logged and the last good rules stay in use.
+ */
+
+const FORMAT_VERSION = 1;
+
+let cache = null; // { key, rules }
+
+function rulesPath() {
+  return config.paths.classifierRules;
+}
+
+function fileKey(path) {
+  if (!existsSync(path)) return `${path}:defaults`;
+  const stat = statSync(path);
+  return `${path}:${stat.mtimeMs}:${stat.size}`;
+}
+
+/**
+ * The stored rules as written (no syntax trees), in file order.
+ * @returns {object[]}
+ */
+function readRules() {
+  const path = rulesPath();
+  if (!existsSync(path)) return DEFAULT_RULES.map(rule => ({ ...rule }));
+  const data = JSON.parse(readFileSync(path, 'utf-8'));
+  if (!Array.isArray(data?.rules)) throw new Error(`${path}: expected { "rules": [...] }`);
+  return data.rules;
+}
+
+/**
+ * Compile a rule list, collecting every problem.
+ * @param {object[]} rules
+ * @returns {{ rules: object[], errors: Array<{ id: string|null, message: string }> }}
+ */
+function compileRules(rules) {
+  const compiled = [];
+  const errors = [];
+  const seen = new Set();
+  for (const rule of rules) {
+    try {
+      const result = compileRule(rule);
+      if (seen.has(result.id)) throw new Error(`Duplicate rule id "${result.id}"`);
+      seen.add(result.id);
+      compiled.push(result);
+    } catch (err) {
+      errors.push({ id: rule?.id ?? null, message: err.message });
+    }
+  }
+  return { rules: compiled, errors };
+}
+
+/**
+ * Compiled rules for matching, re-read when the file changes.
+ * @returns {object[]}
+ */
+function loadRules() {
+  const path = rulesPath();
+  const key = fileKey(path);
+  if (cache?.key === key) return cache.rules;
+
+  let result;
+  try {
+    result = compileRules(readRules());
+  } catch (err) {
+    result = { rules: [], errors: [{ id: null, message: err.message }] };
+  }
+  if (result.errors.length > 0) {
+    for (const { message } of result.errors) logger.error(`Classifier rules (${path}): ${message}`);
+    const fallback = cache?.rules || compileRules(DEFAULT_RULES).rules;
+    logger.warn(`Classifier rules: keeping the ${cache ? 'last good' : 'built-in'} rules until ${path} is fixed`);
+    cache = { key, rules: fallback };
+    return fallback;
+  }
+  cache = { key, rules: result.rules };
+  return result.rules;
+}
+
+/**
+ * Validate and write the whole rule list.
+ * @param {object[]} rules
+ * @returns {object[]} The rules as written
+ * @throws {Error} With `.errors` if any rule is invalid (nothing is written)
+ */
+function saveRules(rules) {
+  const { rules: compiled, errors } = compileRules(rules);
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Invalid rules: ${errors.map(e => e.message).join('; ')}`), { errors });
+  }
+
+  const stored = compiled.map(({ condition, ...rule }) => rule);
+  const path = rulesPath();
+  mkdirSync(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ version: FORMAT_VERSION, rules: stored }, null, 2) + '\n');
+  renameSync(tmp, path);
+  cache = { key: fileKey(path), rules: compiled };
+  return stored;
+}
+
+/**
+ * Stored rules with defaults filled in, in file order.
+ * @returns {object[]}
+ */
+function listRules() {
+  return compileRules(readRules()).rules.map(({ condition, ...rule }) => rule);
+}
+
+function uniqueId(rules, category) {
+  const base = category.toLowerCase().replace(/[^\w-]+/g, '-').replace(/^[-_]+/, '') || 'rule';
+  const ids = new Set(rules.map(rule => rule.id));
+  if (!ids.has(base)) return base;
+  let n = 2;
+  while (ids.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+/**
+ * Add a rule (appended; `priority` decides where it is tried).
+ * @param {{ id?: string, category: string, when: string, priority?: number, enabled?: boolean, description?: string }} rule
+ * @returns {object} The stored rule
+ */
+function addRule(rule) {
+  const rules = readRules();
+  const id = rule.id || uniqueId(rules, String(rule.category || ''));
+  if (rules.some(r => r.id === id)) throw new Error(`Rule "${id}" already exists`);
+  const stored = saveRules([...rules, { ...rule, id }]);
+  return stored[stored.length - 1];
+}
+
+/**
+ * Change fields of a rule.
+ * @param {string} id
+ * @param {object} patch - Any of category, when, priority, enabled, description, id (rename)
+ * @returns {object} The stored rule
+ */
+function updateRule(id, patch) {
+  const rules = readRules();
+  const index = rules.findIndex(r => r.id === id);
+  if (index === -1) throw Object.assign(new Error(`Unknown rule "${id}"`), { code: 'ENOENT' });
+  const next = [...rules];
+  next[index] = { ...rules[index], ...patch };
+  return saveRules(next)[index];
+}
+
+/**
+ * @param {string} id
+ * @returns {object} The removed rule
+ */
+function removeRule(id) {
+  const rules = readRules();
+  const rule = rules.find(r => r.id === id);
+  if (!rule) throw Object.assign(new Error(`Unknown rule "${id}"`), { code: 'ENOENT' });
+  saveRules(rules.filter(r => r !== rule));
+  return rule;
+}
+
+/**
+ * Rewrite every rule's category into another taxonomy (migrateLabel). While
+ * the built-in rules are in use, the migrated copies are saved as the file.
+ * @param {object} target - From getTaxonomy()
+ * @param {{ dryRun?: boolean }} [opts]
+ * @returns {{ changed: Array<{ id: string, from: string, to: string }>, unknown: string[] }}
+ *   unknown: categories the target has no equivalent for (kept as they are)
+ */
+function migrateRules(target, { dryRun = false } = {}) {
+  const { migrateLabel } = require('./taxonomy');
+  const rules = readRules();
+  const changed = [];
+  const unknown = new Set();
+  const next = rules.map(rule => {
+    const mapped = migrateLabel(rule.category, target);
+    if (!mapped.known) unknown.add(mapped.label);
+    if (mapped.label === rule.category) return rule;
+    changed.push({ id: rule.id, from: rule.category, to: mapped.label });
+    return { ...rule, category: mapped.label };
+  });
+  if (!dryRun && changed.length > 0) saveRules(next);
+  return { changed, unknown: [...unknown].sort() };
+}
+
+module.exports = {
+  rulesPath,
+  readRules,
+  compileRules,
+  loadRules,
+  saveRules,
+  listRules,
+  addRule,
+  updateRule,
+  removeRule,
+  migrateRules,
+};
@@ -1,122 +1,181 @@
 /**
  * Rule-based email classifier
  * Ported from ~/Projects/emailctl/lib/classifier.js
+ *
+ * A rule is { id, category, priority, enabled, description, when }, where
+ * `when` is a condition in the rule language (rule-dsl.js). Rules are tried
+ * highest priority first (ties in list order); the first whose condition
+ * holds decides the category, and every other rule that holds adds its
+ * category as a further label (an invoice from the bank is bills and
+ * finance). The rule list itself lives in the rule store (rule-store.js);
+ * DEFAULT_RULES seed it.
  */
 
-const rules = {
-  junk: [
-    { type: 'fromDomain', patterns: ['marketing.', 'promo.', 'notifications@'] },
-    { type: 'subject', regex: /\b(unsubscribe|opt.out)\b/i },
-    { type: 'label', value: 'SPAM' }
-  ],
-
-  subscriptions: [
-    { type: 'fromDomain', patterns: ['newsletter', 'updates@', 'noreply@'] },
-    { type: 'subject', regex: /newsletter|digest|weekly|monthly/i },
-    { type: 'body', keywords: ['unsubscribe', 'manage preferences'] }
-  ],
-
-  bills: [
-    { type: 'subject', regex: /invoice|receipt|payment|bill|statement/i },
-    { type: 'fromDomain', patterns: ['billing@', 'invoices@', 'payments@'] },
-    { type: 'body', keywords: ['amount due', 'payment received'] }
-  ],
-
-  jobs: [
-    { type: 'subject', regex: /job|career|position|interview|application/i },
-    { type: 'fromDomain', patterns: ['jobs@', 'careers@', 'linkedin.com', 'indeed.com'] }
-  ],
-
-  shopping: [
-    { type: 'subject', regex: /order|shipping|delivery|tracking|cart/i },
-    { type: 'fromDomain', patterns: ['amazon.', 'ebay.', 'shopify.', 'shop@'] },
-    { type: 'label', value: 'CATEGORY_PROMOTIONS' }
-  ],
-
-  travel: [
-    { type: 'subject', regex: /flight|booking|reservation|hotel|trip/i },
-    { type: 'fromDomain', patterns: ['airbnb.', 'booking.', 'expedia.', 'airline'] }
-  ],
-
-  finance: [
-    { type: 'subject', regex: /account|transaction|balance|credit|debit/i },
-    { type: 'fromDomain', patterns: ['bank', 'paypal.', 'venmo.', 'stripe.'] }
-  ],
-
-  health: [
-    { type: 'subject', regex: /appointment|prescription|medical|health|doctor/i },
-    { type: 'fromDomain', patterns: ['health', 'medical', 'pharmacy'] }
-  ],
-
-  newsletters: [
-    { type: 'label', value: 'CATEGORY_UPDATES' },
-    { type: 'subject', regex: /edition|issue #|this week|today in/i }
-  ],
-
-  notifications: [
-    { type: 'subject', regex: /alert|notification|reminder|confirm/i },
-    { type: 'fromDomain', patterns: ['notifications@', 'alerts@', 'no-reply@'] }
-  ],
-
-  personal: [
-    { type: 'label', value: 'CATEGORY_PERSONAL' }
-  ],
-
-  legal: [
-    { type: 'subject', regex: /terms|privacy|policy|legal|agreement/i },
-    { type: 'fromDomain', patterns: ['legal@', 'compliance@'] }
-  ]
-};
-
-const categoryOrder = [
-  'junk', 'bills', 'jobs', 'finance', 'health', 'legal',
-  'travel', 'shopping', 'subscriptions', 'newsletters',
-  'notifications', 'personal'
+const { parseCondition, evaluate, explainCondition } = require('./rule-dsl');
+
+const DEFAULT_RULES = [
+  {
+    id: 'junk',
+    category: 'junk',
+    priority: 120,
+    when: 'from contains ["marketing.", "promo.", "notifications@"] or subject ~ /\\b(unsubscribe|opt.out)\\b/i or label = SPAM',
+  },
+  {
+    id: 'bills',
+    category: 'bills',
+    priority: 110,
+    when: 'subject ~ /invoice|receipt|payment|bill|statement/i or from contains ["billing@", "invoices@", "payments@"] or body contains ["amount due", "payment received"]',
+  },
+  {
+    id: 'jobs',
+    category: 'jobs',
+    priority: 100,
+    when: 'subject ~ /job|career|position|interview|application/i or from contains ["jobs@", "careers@", "linkedin.com", "indeed.com"]',
+  },
+  {
+    id: 'finance',
+    category: 'finance',
+    priority: 90,
+    when: 'subject ~ /account|transaction|balance|credit|debit/i or from contains [bank, "paypal.", "venmo.", "stripe."]',
+  },
+  {
+    id: 'health',
+    category: 'health',
+    priority: 80,
+    when: 'subject ~ /appointment|prescription|medical|health|doctor/i or from contains [health, medical, pharmacy]',
+  },
+  {
+    id: 'legal',
+    category: 'legal',
+    priority: 70,
+    when: 'subject ~ /terms|privacy|policy|legal|agreement/i or from contains ["legal@", "compliance@"]',
+  },
+  {
+    id: 'travel',
+    category: 'travel',
+    priority: 60,
+    when: 'subject ~ /flight|booking|reservation|hotel|trip/i or from contains ["airbnb.", "booking.", "expedia.", airline]',
+  },
+  {
+    id: 'shopping',
+    category: 'shopping',
+    priority: 50,
+    when: 'subject ~ /order|shipping|delivery|tracking|cart/i or from contains ["amazon.", "ebay.", "shopify.", "shop@"] or label = CATEGORY_PROMOTIONS',
+  },
+  {
+    id: 'subscriptions',
+    category: 'subscriptions',
+    priority: 40,
+    when: 'from contains [newsletter, "updates@", "noreply@"] or subject ~ /newsletter|digest|weekly|monthly/i or body contains [unsubscribe, "manage preferences"]',
+  },
+  {
+    id: 'newsletters',
+    category: 'newsletters',
+    priority: 30,
+    when: 'label = CATEGORY_UPDATES or subject ~ /edition|issue #|this week|today in/i',
+  },
+  {
+    id: 'notifications',
+    category: 'notifications',
+    priority: 20,
+    when: 'subject ~ /alert|notification|reminder|confirm/i or from contains ["notifications@", "alerts@", "no-reply@"]',
+  },
+  {
+    id: 'personal',
+    category: 'personal',
+    priority: 10,
+    when: 'label = CATEGORY_PERSONAL',
+  },
 ];
 
-function matchesRule(email, rule) {
-  switch (rule.type) {
-    case 'fromDomain':
-      return rule.patterns.some(pattern =>
-        email.from.toLowerCase().includes(pattern.toLowerCase())
-      );
+const RULE_ID = /^[a-z0-9][\w-]*$/i;
+const DEFAULT_PRIORITY = 100;
 
-    case 'subject':
-      return rule.regex.test(email.subject);
+/**
+ * Validate a rule and parse its condition.
+ * @param {object} rule
+ * @returns {object} The rule with defaults filled in and `condition` (syntax tree)
+ * @throws {Error} Describing the first problem
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('Rule must be an object');
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) throw new Error(`Invalid rule id ${JSON.stringify(rule.id)} (letters, digits, - and _)`);
+  if (typeof rule.category !== 'string' || !rule.category.trim()) throw new Error(`Rule "${rule.id}": category is required`);
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) throw new Error(`Rule "${rule.id}": priority must be a number`);
+
+  let condition;
+  try {
+    condition = parseCondition(rule.when);
+  } catch (err) {
+    throw Object.assign(new Error(`Rule "${rule.id}": ${err.message}`), { position: err.position });
+  }
+  return {
+    id: rule.id,
+    category: rule.category.trim(),
+    priority: rule.priority ?? DEFAULT_PRIORITY,
+    enabled: rule.enabled !== false,
+    ...(rule.description ? { description: rule.description } : {}),
+    when: rule.when,
+    condition,
+  };
+}
 
-    case 'body':
-      if (!email.body) return false;
-      return rule.keywords.some(keyword =>
-        email.body.toLowerCase().includes(keyword.toLowerCase())
-      );
+// Enabled rules, highest priority first; sort is stable, so ties keep list order
+function ordered(compiled) {
+  return compiled.filter(rule => rule.enabled).sort((a, b) => b.priority - a.priority);
+}
 
-    case 'label':
-      return email.labels && email.labels.includes(rule.value);
+function activeRules(rules) {
+  return rules || require('./rule-store').loadRules();
+}
 
-    default:
-      return false;
+/**
+ * The first rule that matches an email.
+ * @param {object} email - { from, subject, body, labels, headers?, attachments? }
+ * @param {object[]} [rules] - Compiled rules (default: the rule store)
+ * @returns {{ category: string, rule: object }|null}
+ */
+function matchRules(email, rules) {
+  for (const rule of ordered(activeRules(rules))) {
+    if (evaluate(rule.condition, email)) return { category: rule.category, rule };
   }
+  return null;
 }
 
-function matchesCategory(email, category) {
-  const categoryRules = rules[category];
-  if (!categoryRules) return false;
+/**
+ * Every rule that matches an email, in the order they are tried.
+ * @param {object} email
+ * @param {object[]} [rules] - Compiled rules (default: the rule store)
+ * @returns {Array<{ category: string, rule: object }>}
+ */
+function matchAllRules(email, rules) {
+  return ordered(activeRules(rules))
+    .filter(rule => evaluate(rule.condition, email))
+    .map(rule => ({ category: rule.category, rule }));
+}
 
-  for (const rule of categoryRules) {
-    if (matchesRule(email, rule)) {
-      return true;
-    }
-  }
-  return false;
+/**
+ * Every enabled rule's verdict on an email, in the order they are tried.
+ * @param {object} email
+ * @param {object[]} [rules] - Compiled rules (default: the rule store)
+ * @returns {{ match: { category: string, rule: string }|null, matches: Array<{ category: string, rule: string }>, rules: Array<{ id, category, priority, result, explanation }> }}
+ *   match: the rule that decides the category; matches: every rule that holds
+ */
+function explainRules(email, rules) {
+  const results = ordered(activeRules(rules)).map(rule => {
+    const explanation = explainCondition(rule.condition, email);
+    return { id: rule.id, category: rule.category, priority: rule.priority, result: explanation.result, explanation };
+  });
+  const matches = results.filter(r => r.result).map(r => ({ category: r.category, rule: r.id }));
+  return { match: matches[0] || null, matches, rules: results };
 }
 
+/**
+ * @param {object} email
+ * @returns {string|null} Category of the first matching rule
+ */
 function classify(email) {
-  for (const category of categoryOrder) {
-    if (matchesCategory(email, category)) {
-      return category;
-    }
-  }
-  return null;
+  return matchRules(email)?.category ?? null;
 }
 
-module.exports = { classify, rules, categoryOrder };
+module.exports = { classify, matchRules, matchAllRules, explainRules, compileRule, DEFAULT_RULES, DEFAULT_PRIORITY };
@@ -0,0 +1,180 @@
+const config = require('../../shared/config');
+
+/**
+ * Category taxonomies for the classifier.
+ *
+ * A taxonomy is a set of labels, optionally hierarchical with "/" between
+ * levels (finance/bills/utilities). A label implies its ancestors: an email
+ * labeled finance/bills is also "finance" for hasLabel() and for neighbour
+ * agreement, though only the most specific label is reported. `aliases`
+ * map other names onto the taxonomy's labels; they are what lets rules and
+ * examples written against another taxonomy keep working, and what
+ * migrateLabel() uses to rewrite them.
+ *
+ * The active taxonomy is config.classifier.taxonomy; config.classifier
+ * .taxonomies adds or overrides taxonomies by name:
+ *   { "household": { "categories": ["finance/bills/utilities", "kids/school"], "aliases": { "bills": "finance/bills" } } }
+ */
+
+const FLAT_CATEGORIES = [
+  'junk', 'subscriptions', 'bills', 'jobs', 'shopping',
+  'travel', 'finance', 'health', 'newsletters',
+  'notifications', 'personal', 'legal'
+];
+
+const BUILTIN_TAXONOMIES = {
+  // The original single-level categories (and the default, so output is unchanged until you switch)
+  flat: {
+    description: 'The 12 original categories, one level',
+    categories: FLAT_CATEGORIES,
+    aliases: {},
+  },
+  standard: {
+    description: 'Hierarchical categories; the flat names are aliases',
+    categories: [
+      'finance', 'finance/bills', 'finance/bills/utilities', 'finance/banking', 'finance/taxes',
+      'work', 'work/jobs',
+      'personal', 'personal/family',
+      'health', 'legal', 'travel',
+      'shopping', 'shopping/orders',
+      'subscriptions', 'subscriptions/newsletters',
+      'notifications', 'notifications/security',
+      'junk', 'junk/marketing',
+    ],
+    aliases: {
+      bills: 'finance/bills',
+      jobs: 'work/jobs',
+      newsletters: 'subscriptions/newsletters',
+    },
+  },
+};
+
+const LABEL = /^[a-z0-9][\w-]*(\/[a-z0-9][\w-]*)*$/;
+
+/**
+ * Lower-case, trimmed, with single slashes between levels.
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+  return String(label || '').trim().toLowerCase().split('/').map(part => part.trim()).filter(Boolean).join('/');
+}
+
+/**
+ * @param {string} label
+ * @returns {boolean} Whether it is a well-formed label (segments of letters, digits, - and _)
+ */
+function isValidLabel(label) {
+  return LABEL.test(label);
+}
+
+/**
+ * "finance/bills/utilities" → ["finance", "finance/bills"]
+ * @param {string} label
+ * @returns {string[]}
+ */
+function ancestors(label) {
+  const parts = label.split('/');
+  return parts.slice(1).map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Whether `label` is `target` or one of its descendants.
+ * @param {string} label
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isWithin(label, target) {
+  return label === target || label.startsWith(`${target}/`);
+}
+
+/**
+ * Whether a label set contains `target` (itself or something beneath it).
+ * @param {Array<string|{ label: string }>} labels - Labels, or classify()'s `labels`
+ * @param {string} target
+ * @returns {boolean}
+ */
+function hasLabel(labels, target) {
+  const wanted = normalizeLabel(target);
+  return labels.some(entry => isWithin(typeof entry === 'string' ? entry : entry.label, wanted));
+}
+
+/**
+ * Taxonomies by name: the built-ins, then config.classifier.taxonomies.
+ * @returns {Object<string, { description?: string, categories: string[], aliases: object }>}
+ */
+function taxonomies() {
+  return { ...BUILTIN_TAXONOMIES, ...(config.classifier.taxonomies || {}) };
+}
+
+/**
+ * A taxonomy, normalized: every category's ancestors are categories too.
+ * @param {string} [name=config.classifier.taxonomy]
+ * @returns {{ name: string, description: string, categories: string[], aliases: Object<string, string> }}
+ * @throws {Error} For an unknown taxonomy or a malformed label in it
+ */
+function getTaxonomy(name = config.classifier.taxonomy) {
+  const all = taxonomies();
+  const definition = all[name];
+  if (!definition) {
+    throw Object.assign(new Error(`Unknown taxonomy "${name}" (available: ${Object.keys(all).join(', ')})`), { code: 'ENOENT' });
+  }
+
+  const categories = new Set();
+  for (const raw of definition.categories || []) {
+    const label = normalizeLabel(raw);
+    if (!isValidLabel(label)) throw new Error(`Taxonomy "${name}": invalid category ${JSON.stringify(raw)}`);
+    for (const ancestor of ancestors(label)) categories.add(ancestor);
+    categories.add(label);
+  }
+  const aliases = {};
+  for (const [from, to] of Object.entries(definition.aliases || {})) {
+    aliases[normalizeLabel(from)] = normalizeLabel(to);
+  }
+  return { name, description: definition.description || '', categories: [...categories].sort(), aliases };
+}
+
+/**
+ * A label in a taxonomy's terms: normalized, with aliases applied.
+ * @param {string} label
+ * @param {object} taxonomy - From getTaxonomy()
+ * @returns {string}
+ */
+function resolveLabel(label, taxonomy) {
+  const normalized = normalizeLabel(label);
+  return taxonomy.aliases[normalized] || normalized;
+}
+
+/**
+ * Map a label onto another taxonomy: its alias there, else the label itself,
+ * its last segment or its nearest ancestor if the target has one of them.
+ * @param {string} label
+ * @param {object} target - From getTaxonomy()
+ * @returns {{ label: string, known: boolean }} known: false if nothing matched (the label is kept)
+ */
+function migrateLabel(label, target) {
+  const resolved = resolveLabel(label, target);
+  const known = new Set(target.categories);
+  // Most specific first: finance/bills/utilities, then finance/bills, then finance
+  for (const level of [resolved, ...ancestors(resolved).reverse()]) {
+    const leaf = level.split('/').pop();
+    for (const candidate of [level, target.aliases[leaf], leaf]) {
+      if (candidate && known.has(candidate)) return { label: candidate, known: true };
+    }
+  }
+  return { label: resolved, known: false };
+}
+
+module.exports = {
+  FLAT_CATEGORIES,
+  BUILTIN_TAXONOMIES,
+  normalizeLabel,
+  isValidLabel,
+  ancestors,
+  isWithin,
+  hasLabel,
+  taxonomies,
+  getTaxonomy,
+  resolveLabel,
+  migrateLabel,
+};
@@ -0,0 +1,119 @@
+/**
+ * Batch Classification Tests (packages/classifier: mailbox sources, resume, labels table, confusion report)
+ */
+
+const { mkdtempSync, mkdirSync, writeFileSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock models and scratch stores before config loads
+const dir = mkdtempSync(join(tmpdir(), 'classifier-batch-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_MODELS__TRIAGE: 'mock/triage',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CLASSIFIER_DB: join(dir, 'classifier.db'),
+  LOCALLLM_PATHS__CLASSIFIER_RULES: join(dir, 'rules.json'),
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setMockHandler } = require('../../../shared/providers/mock');
+const { detectSource, readMessages } = require('../mailbox');
+const { runBatch, batchReport } = require('../batch');
+const { getDb } = require('../examples');
+
+const message = (id, from, subject, labels, body) =>
+  `From ${from} Mon Jan  1 00:00:00 2024\nFrom: ${from}\nSubject: ${subject}\nMessage-ID: <${id}@test>\n` +
+  `X-Gmail-Labels: ${labels}\n\n${body}\n\n`;
+
+const mbox = join(dir, 'all.mbox');
+writeFileSync(mbox, [
+  message('m1', 'billing@power.example', 'Your bill', 'Inbox,Bills', 'Amount due: $52.'),
+  message('m2', 'mum@family.example', 'Dinner', 'Personal', 'Sunday?'),
+  message('m3', 'deals@shop.example', 'Sale', 'Promotions', 'Half price.'),
+  message('m4', 'crew@regatta.example', 'Race entry', 'Personal', 'You are entered.'),
+].join(''));
+
+test('reads mbox, Maildir and .eml sources with their existing labels', async () => {
+  const maildir = join(dir, 'Mail');
+  for (const sub of ['cur', 'new', '.Work.Jobs/cur']) mkdirSync(join(maildir, sub), { recursive: true });
+  writeFileSync(join(maildir, '.Work.Jobs/cur/1.host:2,S'), 'From: hr@corp.example\nSubject: Offer\n\nWelcome aboard\n');
+  writeFileSync(join(maildir, 'new/2.host'), 'From: a@b.example\nSubject: Hi\nKeywords: travel\n\nHello\n');
+  writeFileSync(join(dir, 'one.eml'), 'From: a@b.example\nSubject: Eml\nMessage-ID: <e1@test>\n\nBody\n');
+
+  assert.deepStrictEqual(detectSource(mbox), { type: 'mbox', path: mbox });
+  assert.strictEqual(detectSource(maildir).type, 'maildir');
+  assert.strictEqual(detectSource(join(dir, 'one.eml')).type, 'eml');
+  assert.throws(() => detectSource(join(dir, 'missing')), { code: 'ENOENT' });
+
+  const read = async (path, type) => {
+    const messages = [];
+    for await (const m of readMessages(path, type)) messages.push(m);
+    return messages;
+  };
+  const fromMbox = await read(mbox, 'mbox');
+  assert.deepStrictEqual(fromMbox.map(m => m.key), ['m1@test', 'm2@test', 'm3@test', 'm4@test']);
+  assert.deepStrictEqual(fromMbox[0].existing, ['Inbox', 'Bills']);
+  assert.strictEqual(fromMbox[0].email.subject, 'Your bill');
+
+  const fromMaildir = await read(maildir, 'maildir');
+  assert.deepStrictEqual(fromMaildir.map(m => m.existing), [['travel'], ['Work/Jobs']]);
+  // Without a Message-ID the key is the file's unique name, which survives flag changes
+  assert.deepStrictEqual(fromMaildir.map(m => m.key), ['2.host', 'Work/Jobs/1.host']);
+
+  assert.deepStrictEqual((await read(join(dir, 'one.eml'), 'eml')).map(m => m.key), ['e1@test']);
+
+  // Files are read as bytes, so 8-bit parts in other charsets than UTF-8 survive
+  const latin1 = Buffer.from('From: chef@bistro.example\nSubject: Menu\nContent-Type: text/plain; charset=iso-8859-1\n\nCaf\xe9 cr\xe8me\n', 'latin1');
+  writeFileSync(join(dir, 'latin1.eml'), latin1);
+  writeFileSync(join(dir, 'latin1.mbox'), Buffer.concat([Buffer.from('From chef@bistro.example Mon Jan  1 00:00:00 2024\n'), latin1]));
+  assert.strictEqual((await read(join(dir, 'latin1.eml'), 'eml'))[0].email.body, 'Café crème');
+  assert.strictEqual((await read(join(dir, 'latin1.mbox'), 'mbox'))[0].email.body, 'Café crème');
+});
+
+test('batch runs write a labels table and resume where they stopped', async () => {
+  let calls = 0;
+  setMockHandler(() => { calls++; return { labels: [{ category: 'personal', score: 0.9 }] }; });
+  try {
+    // Interrupted after the first message: the rest are left for the next run
+    const controller = new AbortController();
+    const first = await runBatch(mbox, { concurrency: 1, signal: controller.signal, onProgress: () => controller.abort() });
+    assert.strictEqual(first.status, 'interrupted');
+    assert.strictEqual(first.classified, 1);
+
+    const second = await runBatch(mbox, { concurrency: 2 });
+    assert.deepStrictEqual([second.status, second.classified, second.skipped, second.failed], ['done', 3, 1, 0]);
+    // The bill matched a built-in rule; the other three went to the model once each
+    assert.strictEqual(calls, 3);
+
+    const third = await runBatch(mbox);
+    assert.deepStrictEqual([third.classified, third.skipped], [0, 4]);
+
+    const labels = getDb().prepare('SELECT message_key, label, rank FROM message_labels ORDER BY message_key').all();
+    assert.deepStrictEqual(labels.map(l => [l.message_key, l.label, l.rank]), [
+      ['m1@test', 'bills', 0], ['m2@test', 'personal', 0], ['m3@test', 'personal', 0], ['m4@test', 'personal', 0],
+    ]);
+  } finally {
+    setMockHandler(null);
+  }
+});
+
+test('the report compares results with existing labels', () => {
+  const report = batchReport(mbox, { labelMap: { Promotions: 'shopping', Inbox: null } });
+  assert.strictEqual(report.lastRun.status, 'done');
+  assert.deepStrictEqual(report.categories.map(c => [c.category, c.count]), [['personal', 3], ['bills', 1]]);
+
+  const { confusion } = report;
+  assert.deepStrictEqual([confusion.compared, confusion.agreed], [4, 3]);
+  assert.deepStrictEqual(confusion.matrix.find(c => c.expected !== c.predicted), { expected: 'shopping', predicted: 'personal', count: 1 });
+  const personal = confusion.byLabel.find(l => l.label === 'personal');
+  assert.deepStrictEqual([personal.support, personal.predicted, personal.precision, personal.recall], [2, 3, 0.667, 1]);
+  assert.deepStrictEqual(confusion.unmapped, []);
+
+  // Without the map, Promotions isn't a category and that message isn't compared
+  const unmapped = batchReport(mbox, { labelMap: {} }).confusion;
+  assert.deepStrictEqual([unmapped.compared, unmapped.agreed], [3, 3]);
+  assert.deepStrictEqual(unmapped.unmapped.map(u => u.label), ['Inbox', 'Promotions']);
+});
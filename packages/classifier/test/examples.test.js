@@ -0,0 +1,121 @@
+/**
+ * Classifier Learning Tests (packages/classifier: k-NN examples, few-shot prompts, corrections)
+ */
+
+const { mkdtempSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock models and scratch stores before config loads
+const dir = mkdtempSync(join(tmpdir(), 'classifier-examples-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_MODELS__TRIAGE: 'mock/triage',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CLASSIFIER_DB: join(dir, 'classifier.db'),
+  LOCALLLM_PATHS__CLASSIFIER_RULES: join(dir, 'rules.json'),
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setMockHandler } = require('../../../shared/providers/mock');
+const { vote, calibrate, PRIOR } = require('../knn');
+const { classify, correct, accuracyStats } = require('..');
+const { getDb } = require('../examples');
+
+const email = { from: 'crew@regatta.example', subject: 'Race entry', body: 'Your boat is entered for Saturday.' };
+
+test('confidence follows neighbour agreement', () => {
+  const neighbours = [
+    { category: 'sailing', similarity: 0.9 },
+    { category: 'sailing', similarity: 0.8 },
+    { category: 'travel', similarity: 0.7 },
+  ];
+  assert.deepStrictEqual(vote(neighbours).map(v => [v.category, v.count]), [['sailing', 2], ['travel', 1]]);
+  assert.ok(calibrate(neighbours, 'sailing') > calibrate(neighbours, 'travel'));
+  assert.ok(calibrate(neighbours, 'sailing') < 1);
+  assert.strictEqual(calibrate([], 'sailing'), PRIOR);
+});
+
+test('corrections become examples that answer, and prompt, later classifications', async () => {
+  const prompts = [];
+  setMockHandler(({ prompt }) => { prompts.push(prompt); return 'personal'; });
+  try {
+    // Not recorded unless asked (classifier.history is off)
+    assert.strictEqual((await classify(email)).id, undefined);
+    prompts.length = 0;
+
+    const first = await classify(email, { record: true });
+    assert.strictEqual(first.method, 'llm');
+    assert.strictEqual(first.confidence, PRIOR);
+    assert.ok(!prompts[0].includes('already categorized'));
+    // No examples yet, so nothing was embedded
+    assert.strictEqual(getDb().prepare('SELECT embedding FROM classifications WHERE id = ?').get(first.id).embedding, null);
+
+    // One example: not enough to answer alone, so the LLM sees it as a few-shot example
+    const { changed } = await correct(first.id, 'Sailing');
+    assert.strictEqual(changed, true);
+    const second = await classify(email, { record: true });
+    assert.strictEqual(second.method, 'llm');
+    assert.match(prompts[1], /Race entry\nBody: Your boat is entered for Saturday\.\nCategory: sailing/);
+    assert.ok(prompts[1].includes('sailing'));
+    assert.ok(second.confidence < PRIOR, 'the example disagrees with the model');
+
+    // Enough agreeing examples: k-NN answers without the model
+    await correct(second.id, 'sailing');
+    const third = await classify(email, { record: true });
+    await correct(third.id, 'sailing');
+    const fourth = await classify(email, { record: true });
+    assert.strictEqual(fourth.method, 'knn');
+    assert.strictEqual(fourth.category, 'sailing');
+    assert.strictEqual(fourth.neighbours.length, 3);
+    assert.strictEqual(prompts.length, 3);
+
+    const stats = accuracyStats();
+    assert.strictEqual(stats.overall.classified, 4);
+    assert.strictEqual(stats.overall.corrected, 3);
+    assert.strictEqual(stats.byMethod.find(s => s.method === 'knn').accuracy, 1);
+    assert.deepStrictEqual(stats.examples, [{ category: 'sailing', count: 3 }]);
+
+    await assert.rejects(correct(999, 'sailing'), err => err.code === 'ENOENT');
+  } finally {
+    setMockHandler(null);
+  }
+});
+
+test('classifications carry every label, in the chosen taxonomy', async () => {
+  const { getTaxonomy, migrateLabel, hasLabel } = require('../taxonomy');
+  const statement = { from: 'billing@mybank.example', subject: 'Your statement and balance', body: '' };
+
+  // Rules: the first match is the category, the other matches add labels
+  const flat = await classify(statement, { record: false });
+  assert.deepStrictEqual(flat.labels.map(l => [l.label, l.rule]), [['bills', 'bills'], ['finance', 'finance']]);
+  assert.strictEqual(flat.category, 'bills');
+  assert.strictEqual(flat.taxonomy, 'flat');
+
+  // Hierarchical: bills is an alias of finance/bills, which makes "finance" redundant
+  const standard = await classify(statement, { record: false, taxonomy: 'standard' });
+  assert.deepStrictEqual(standard.labels.map(l => l.label), ['finance/bills']);
+  assert.ok(hasLabel(standard.labels, 'finance'));
+  await assert.rejects(classify(statement, { taxonomy: 'nope' }), err => err.code === 'ENOENT');
+
+  // LLM: JSON labels with scores; unknown ones dropped, low-scoring extras cut
+  setMockHandler(() => ({ labels: [
+    { category: 'utilities', score: 0.4 },
+    { category: 'personal/family', score: 0.9 },
+    { category: 'travel', score: 0.2 },
+    { category: 'finance/bills/utilities', score: 0.7 },
+  ] }));
+  try {
+    const result = await classify({ from: 'mum@home.example', subject: 'Splitting the gas costs?', body: '' }, { record: false, taxonomy: 'standard' });
+    assert.strictEqual(result.method, 'llm');
+    assert.deepStrictEqual(result.labels, [{ label: 'personal/family', score: 0.9 }, { label: 'finance/bills/utilities', score: 0.7 }]);
+    assert.strictEqual(result.confidence, 0.9);
+  } finally {
+    setMockHandler(null);
+  }
+
+  assert.deepStrictEqual(migrateLabel('finance/bills/utilities', getTaxonomy('flat')), { label: 'bills', known: true });
+  assert.deepStrictEqual(migrateLabel('jobs', getTaxonomy('standard')), { label: 'work/jobs', known: true });
+});
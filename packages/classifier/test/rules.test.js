@@ -0,0 +1,117 @@
+/**
+ * Classifier Rule Tests (packages/classifier: rule language, rule store)
+ */
+
+const { mkdtempSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Point the rule store at a scratch file before config loads
+process.env.LOCALLLM_PATHS__CLASSIFIER_RULES = join(mkdtempSync(join(tmpdir(), 'classifier-rules-')), 'rules.json');
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCondition, formatCondition, evaluate, explainCondition } = require('../rule-dsl');
+const { matchRules, explainRules, compileRule } = require('../rules');
+const store = require('../rule-store');
+const { parseEmail } = require('../../../shared/email');
+
+const invoice = {
+  from: 'Acme Billing <billing@acme.com>',
+  subject: 'Your invoice #42',
+  body: 'Amount due: $10',
+  labels: ['INBOX'],
+  headers: { 'List-Id': '<billing.acme.com>' },
+  attachments: [{ name: 'invoice.pdf', type: 'application/pdf', size: 2048 }],
+};
+
+test('conditions parse, format and evaluate', () => {
+  const source = 'from contains ["billing@", "invoices@"] and (subject ~ /invoice/i or has attachment) and not label = SPAM';
+  const node = parseCondition(source);
+  assert.deepStrictEqual(parseCondition(formatCondition(node)), node);
+
+  assert.strictEqual(evaluate(node, invoice), true);
+  assert.strictEqual(evaluate(node, { ...invoice, labels: ['SPAM'] }), false);
+  assert.strictEqual(evaluate(parseCondition('header[list-id] exists and attachment.size > 1000'), invoice), true);
+  assert.strictEqual(evaluate(parseCondition('attachment.type endswith pdf and attachments = 1'), invoice), true);
+  assert.strictEqual(evaluate(parseCondition('subject ~ "INVOICE"'), invoice), true);
+
+  assert.throws(() => parseCondition('subject ~ /invoice/ or'), err => err.position === 22 && /column 23/.test(err.message));
+  assert.throws(() => parseCondition('attachment.size > big'), /number/);
+  assert.throws(() => parseCondition('priority = 1'), /field/i);
+});
+
+test('explanations show which tests held', () => {
+  const explanation = explainCondition(parseCondition('label = SPAM or subject ~ /invoice/i'), invoice);
+  assert.strictEqual(explanation.result, true);
+  assert.deepStrictEqual(explanation.children.map(child => child.result), [false, true]);
+  assert.strictEqual(explanation.children[1].matched, 'Your invoice #42');
+});
+
+test('rules are tried by priority and report which one fired', () => {
+  const rules = [
+    { id: 'low', category: 'bills', priority: 1, when: 'subject contains invoice' },
+    { id: 'off', category: 'junk', priority: 99, enabled: false, when: 'from contains acme' },
+    { id: 'high', category: 'finance', priority: 50, when: 'from contains acme' },
+  ].map(compileRule);
+
+  const match = matchRules(invoice, rules);
+  assert.strictEqual(match.category, 'finance');
+  assert.strictEqual(match.rule.id, 'high');
+
+  const { match: fired, rules: tried } = explainRules(invoice, rules);
+  assert.deepStrictEqual(fired, { category: 'finance', rule: 'high' });
+  assert.deepStrictEqual(tried.map(rule => rule.id), ['high', 'low']);
+  assert.strictEqual(matchRules({ subject: 'hello' }, rules), null);
+
+  assert.throws(() => compileRule({ id: 'bad id', category: 'x', when: 'label = X' }), /Invalid rule id/);
+  assert.throws(() => compileRule({ id: 'x', category: 'x', when: 'subject ~' }), /Rule "x"/);
+});
+
+test('the rule store validates and persists edits', () => {
+  // Built-in rules until the first edit
+  assert.strictEqual(store.loadRules().length, store.listRules().length);
+  assert.strictEqual(matchRules(invoice).category, 'bills');
+
+  const added = store.addRule({ category: 'bills', priority: 500, when: 'header[List-Id] contains acme' });
+  assert.strictEqual(added.id, 'bills-2');
+  assert.strictEqual(matchRules(invoice).rule.id, 'bills-2');
+
+  store.updateRule('bills-2', { enabled: false });
+  assert.strictEqual(matchRules(invoice).rule.id, 'bills');
+
+  assert.throws(() => store.updateRule('bills', { when: 'subject ~ (' }), err => err.errors?.[0].id === 'bills');
+  assert.throws(() => store.addRule({ id: 'bills', category: 'bills', when: 'label = X' }), /already exists/);
+  assert.throws(() => store.removeRule('missing'), err => err.code === 'ENOENT');
+
+  store.removeRule('bills-2');
+  assert.ok(!store.listRules().some(rule => rule.id === 'bills-2'));
+});
+
+test('rules match the list, unsubscribe and thread fields, from headers too', () => {
+  const matches = (when, email) => evaluate(parseCondition(when), email);
+  const email = parseEmail([
+    'From: Cafe News <news@cafe.example>',
+    'Subject: Re: This week\'s specials',
+    'References: <n0@cafe.example> <n1@cafe.example>',
+    'List-Id: Cafe News <news.cafe.example>',
+    'List-Unsubscribe: <mailto:unsub@cafe.example>, <https://cafe.example/u?id=1>',
+    '',
+    'Croissants half price!',
+  ].join('\r\n'));
+  assert.strictEqual(matches('list contains cafe and unsubscribe startswith https', email), true);
+  assert.strictEqual(matches('thread = "this week\'s specials" and thread.depth >= 2', email), true);
+
+  // A structured email with the raw headers only
+  const plain = {
+    from: 'news@cafe.example', subject: 'Fwd: Menu', body: '',
+    headers: { 'List-Unsubscribe': '<https://cafe.example/u>', References: '<a@x> <b@x>' },
+  };
+  assert.strictEqual(matches('unsubscribe exists and thread.depth = 2 and thread = Menu', plain), true);
+  assert.strictEqual(matches('list exists', plain), false);
+  assert.strictEqual(matches('thread.depth = 0 and not unsubscribe exists', { from: 'a@b.example', subject: 'Hi', body: '' }), true);
+
+  // List-Unsubscribe alone doesn't make mail a subscription (receipts carry it too)
+  const welcome = { from: 'hello@app.example', subject: 'Welcome', body: 'Thanks for signing up', headers: { 'List-Unsubscribe': '<https://app.example/u>' } };
+  assert.strictEqual(matchRules(welcome), null);
+});
@@ -0,0 +1,99 @@
+/**
+ * Taxonomy Tests (packages/classifier/taxonomy.js: normalization, ancestor expansion,
+ * label containment and migrating labels between taxonomies)
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../../../shared/config');
+const {
+  normalizeLabel, ancestors, isWithin, hasLabel, getTaxonomy, resolveLabel, migrateLabel,
+} = require('../taxonomy');
+
+const configured = config.classifier.taxonomies;
+afterEach(() => { config.classifier.taxonomies = configured; });
+
+const household = {
+  categories: [' Kids / School ', 'home/bills'],
+  aliases: { ' Bills ': 'Home/Bills' },
+};
+
+test('getTaxonomy normalizes labels and adds every ancestor', () => {
+  assert.strictEqual(normalizeLabel(' Finance // Bills '), 'finance/bills');
+  assert.deepStrictEqual(ancestors('finance/bills/utilities'), ['finance', 'finance/bills']);
+  assert.deepStrictEqual(ancestors('junk'), []);
+
+  config.classifier.taxonomies = { household };
+  assert.deepStrictEqual(getTaxonomy('household'), {
+    name: 'household',
+    description: '',
+    categories: ['home', 'home/bills', 'kids', 'kids/school'],
+    aliases: { bills: 'home/bills' },
+  });
+  assert.strictEqual(getTaxonomy().name, config.classifier.taxonomy);
+  assert.strictEqual(getTaxonomy('flat').categories.length, 12);
+  assert.ok(getTaxonomy('standard').categories.includes('finance/bills/utilities'));
+});
+
+test('getTaxonomy rejects unknown taxonomies and malformed labels', () => {
+  config.classifier.taxonomies = {};
+  assert.throws(() => getTaxonomy('nope'), err => err.code === 'ENOENT' && /Unknown taxonomy "nope" \(available: flat, standard\)/.test(err.message));
+
+  config.classifier.taxonomies = { broken: { categories: ['finance', 'bad label!'] } };
+  assert.throws(() => getTaxonomy('broken'), /Taxonomy "broken": invalid category "bad label!"/);
+  config.classifier.taxonomies = { broken: { categories: ['finance/', '/junk', 'a//b'] } };
+  assert.deepStrictEqual(getTaxonomy('broken').categories, ['a', 'a/b', 'finance', 'junk'], 'stray slashes are normalized away');
+  config.classifier.taxonomies = { broken: { categories: ['-finance'] } };
+  assert.throws(() => getTaxonomy('broken'), /invalid category "-finance"/);
+});
+
+test('a label contains its descendants, and only whole segments match', () => {
+  assert.ok(isWithin('finance', 'finance'));
+  assert.ok(isWithin('finance/bills/utilities', 'finance'));
+  assert.ok(!isWithin('financial', 'finance'));
+  assert.ok(!isWithin('finance', 'finance/bills'));
+
+  assert.ok(hasLabel(['junk', 'finance/bills/utilities'], 'finance/bills'));
+  assert.ok(hasLabel([{ label: 'finance/bills', confidence: 0.9 }], ' Finance/Bills '));
+  assert.ok(!hasLabel(['finance/billing'], 'finance/bills'));
+  assert.ok(!hasLabel([], 'finance'));
+});
+
+test('migrateLabel maps between flat and standard', () => {
+  const flat = getTaxonomy('flat');
+  const standard = getTaxonomy('standard');
+
+  // flat → standard: the aliases, or the same name
+  assert.deepStrictEqual(migrateLabel('bills', standard), { label: 'finance/bills', known: true });
+  assert.deepStrictEqual(migrateLabel('jobs', standard), { label: 'work/jobs', known: true });
+  assert.deepStrictEqual(migrateLabel('newsletters', standard), { label: 'subscriptions/newsletters', known: true });
+  assert.deepStrictEqual(migrateLabel(' Junk ', standard), { label: 'junk', known: true });
+  assert.strictEqual(resolveLabel('Bills', standard), 'finance/bills');
+
+  // standard → flat: the last segment, else the nearest ancestor
+  assert.deepStrictEqual(migrateLabel('finance/bills/utilities', flat), { label: 'bills', known: true });
+  assert.deepStrictEqual(migrateLabel('work/jobs', flat), { label: 'jobs', known: true });
+  assert.deepStrictEqual(migrateLabel('subscriptions/newsletters', flat), { label: 'newsletters', known: true });
+  assert.deepStrictEqual(migrateLabel('notifications/security', flat), { label: 'notifications', known: true });
+  assert.deepStrictEqual(migrateLabel('finance/banking', flat), { label: 'finance', known: true });
+
+  // Every label survives the round trip into a known category
+  for (const label of flat.categories) {
+    const there = migrateLabel(label, standard);
+    assert.ok(there.known, label);
+    assert.strictEqual(migrateLabel(there.label, flat).label, label);
+  }
+});
+
+test('migrateLabel falls back to the nearest ancestor, and keeps unknown labels', () => {
+  const standard = getTaxonomy('standard');
+  assert.deepStrictEqual(migrateLabel('finance/bills/water', standard), { label: 'finance/bills', known: true });
+  assert.deepStrictEqual(migrateLabel('junk/marketing/spam', standard), { label: 'junk/marketing', known: true });
+
+  // An ancestor's leaf can hit an alias of the target
+  config.classifier.taxonomies = { household };
+  assert.deepStrictEqual(migrateLabel('finance/bills/utilities', getTaxonomy('household')), { label: 'home/bills', known: true });
+
+  assert.deepStrictEqual(migrateLabel('Hobbies/Sailing', standard), { label: 'hobbies/sailing', known: false });
+  assert.deepStrictEqual(migrateLabel('', standard), { label: '', known: false });
+});
@@ -11,7 +11,7 @@
 const { execFile } = require("child_process");
 const { existsSync, readFileSync, writeFileSync, appendFileSync } = require("fs");
 const { join } = require("path");
-const logger = require("../../shared/logger");
+const logger = require("../../shared/logger").child({ package: "context-pipeline" });
 
 // Data paths
 const DATA_DIR = join(__dirname, "../../data");
@@ -5,7 +5,8 @@
  */
 
 const { embed } = require('../../shared/ollama');
-const { unifiedSearch, embeddingCache } = require('../chat-ingest/unified-search');
+const { unifiedSearch } = require('../chat-ingest/unified-search');
+const { getCacheStats, clearEmbeddingCache } = require('../../shared/embedding-cache');
 const { routeToModel } = require('../triage');
 const { vectorIndex } = require('../chat-ingest/vector-index');
 const { assembleContext, getStats, resetStats } = require('./index');
@@ -45,7 +46,7 @@ async function benchPhase1() {
   let total = Date.now();
 
   let start = Date.now();
-  const queryEmbedding = await embed(config.models.embed, query);
+  const queryEmbedding = await embed(vectorIndex.model, query);
   const queryVector = queryEmbedding.embeddings[0];
   const embedTime = Date.now() - start;
   console.log(`  1. Embedding: ${embedTime}ms`);
@@ -71,7 +72,7 @@ async function benchPhase1() {
   total = Date.now();
 
   start = Date.now();
-  const queryEmbedding2 = await embed(config.models.embed, query);
+  const queryEmbedding2 = await embed(vectorIndex.model, query);
   const queryVector2 = queryEmbedding2.embeddings[0];
   const embedTime2 = Date.now() - start;
   console.log(`  1. Embedding: ${embedTime2}ms`);
@@ -130,7 +131,7 @@ async function benchPhase2() {
   console.log(SEP + '\n');
 
   resetStats();
-  embeddingCache.clear();
+  clearEmbeddingCache();
 
   // --- Skip logic ---
   console.log(LINE);
@@ -187,7 +188,7 @@ async function benchPhase2() {
   console.log('TEST 5: Embedding Cache');
   console.log(LINE);
 
-  embeddingCache.clear();
+  clearEmbeddingCache();
 
   const cacheQuery = 'context pipeline optimizations';
 
@@ -195,19 +196,19 @@ async function benchPhase2() {
   let start = Date.now();
   await unifiedSearch(cacheQuery, { topK: 5, sources: ['memory'] });
   const coldTime = Date.now() - start;
-  console.log(`  Cold (miss): ${coldTime}ms  cache_size=${embeddingCache.size}`);
+  console.log(`  Cold (miss): ${coldTime}ms  cache_size=${getCacheStats().entries}`);
 
   // Warm hit — same query
   start = Date.now();
   await unifiedSearch(cacheQuery, { topK: 5, sources: ['memory'] });
   const warmTime = Date.now() - start;
-  console.log(`  Warm (hit):  ${warmTime}ms  cache_size=${embeddingCache.size}`);
+  console.log(`  Warm (hit):  ${warmTime}ms  cache_size=${getCacheStats().entries}`);
 
   // Near-miss — slightly different query (different cache key)
   start = Date.now();
   await unifiedSearch('Context Pipeline Optimizations', { topK: 5, sources: ['memory'] });
   const nearTime = Date.now() - start;
-  console.log(`  Near-match:  ${nearTime}ms  cache_size=${embeddingCache.size}  (normalized to same key)`);
+  console.log(`  Near-match:  ${nearTime}ms  cache_size=${getCacheStats().entries}  (normalized to same key)`);
 
   const cacheSavings = coldTime - warmTime;
   console.log(`  => Cache saves: ${cacheSavings}ms per hit (${pct(cacheSavings, coldTime)}% of cold time)\n`);
@@ -334,7 +335,86 @@ async function benchPhase3() {
   return { tokenReduction, dedupBefore: dupeMessages.length, dedupAfter: deduped.length, pooledTime, unpooledTime };
 }
 
-async function printSummary(p1, p2, p3) {
+async function benchHnsw() {
+  console.log(SEP);
+  console.log('ANN: HNSW Recall / Latency vs Exact Scan');
+  console.log(SEP + '\n');
+
+  const hnswConfig = config.contextPipeline.vectorIndex.hnsw;
+  const wasEnabled = hnswConfig.enabled;
+  hnswConfig.enabled = true;
+
+  const buildStart = Date.now();
+  vectorIndex.load();
+  const buildTime = Date.now() - buildStart;
+  const stats = vectorIndex.getStats();
+  if (!stats.hnsw) {
+    console.log('  Index is empty, skipping.\n');
+    hnswConfig.enabled = wasEnabled;
+    return null;
+  }
+  console.log(`  Graph: ${stats.hnsw.nodes} nodes, ${stats.hnsw.maxLevel + 1} layers, M=${stats.hnsw.M} (load+sync ${buildTime}ms)`);
+  console.log(`  File:  ${stats.hnsw.path}\n`);
+
+  // Real queries plus stored chunks as stand-in queries
+  const textQueries = [
+    'What is the context pipeline architecture?',
+    'how does model routing work',
+    'email triage rules',
+    'vector index performance',
+    'what did we decide about telegram ingestion',
+  ];
+  const queries = [];
+  for (const text of textQueries) {
+    queries.push((await embed(vectorIndex.model, text)).embeddings[0]);
+  }
+  const sampleCount = Math.min(45, stats.chunkCount);
+  for (let i = 0; i < sampleCount; i++) {
+    const row = Math.floor(Math.random() * stats.chunkCount);
+    queries.push(Array.from(vectorIndex.matrix.subarray(row * vectorIndex.dim, (row + 1) * vectorIndex.dim)));
+  }
+
+  const topK = 15;
+  const sources = ['memory', 'chat', 'telegram'];
+  const key = r => `${r.source}:${r.meta.id}`;
+  const timed = fn => {
+    const start = process.hrtime.bigint();
+    const value = fn();
+    return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+  };
+
+  let exactMs = 0;
+  const truth = queries.map(q => {
+    const { value, ms } = timed(() => vectorIndex.search(q, topK, 0, sources, { exact: true }));
+    exactMs += ms;
+    return new Set(value.map(key));
+  });
+  console.log(`  Exact scan:      ${(exactMs / queries.length).toFixed(2)}ms avg over ${queries.length} queries`);
+
+  const rows = [];
+  for (const ef of [16, 32, 64, 128]) {
+    let annMs = 0;
+    let hits = 0;
+    let total = 0;
+    queries.forEach((q, i) => {
+      const { value, ms } = timed(() => vectorIndex.search(q, topK, 0, sources, { ef }));
+      annMs += ms;
+      hits += value.filter(r => truth[i].has(key(r))).length;
+      total += truth[i].size;
+    });
+    const recall = total > 0 ? hits / total : 1;
+    const avgMs = annMs / queries.length;
+    rows.push({ ef, recall, avgMs });
+    console.log(`  HNSW ef=${String(ef).padEnd(4)}    ${avgMs.toFixed(2)}ms avg  recall@${topK}=${recall.toFixed(3)}  (${(exactMs / Math.max(annMs, 0.001)).toFixed(1)}x)`);
+  }
+  console.log();
+
+  hnswConfig.enabled = wasEnabled;
+  vectorIndex.invalidate();
+  return { nodes: stats.hnsw.nodes, buildTime, exactMs: exactMs / queries.length, rows };
+}
+
+async function printSummary(p1, p2, p3, ann) {
   console.log(SEP);
   console.log('FULL PIPELINE SUMMARY — All Phases');
   console.log(SEP + '\n');
@@ -363,6 +443,14 @@ async function printSummary(p1, p2, p3) {
   console.log(`  Deduplication:        ${p3.dedupBefore} → ${p3.dedupAfter} messages`);
   console.log(`  Connection pooling:   ${p3.unpooledTime}ms → ${p3.pooledTime}ms over 5 searches\n`);
 
+  if (ann) {
+    const efSearch = config.contextPipeline.vectorIndex.hnsw.efSearch;
+    const row = ann.rows.find(r => r.ef === efSearch) || ann.rows[ann.rows.length - 1];
+    console.log('ANN — HNSW:');
+    console.log(`  Graph:                ${ann.nodes} nodes (load+sync ${ann.buildTime}ms)`);
+    console.log(`  ef=${String(row.ef).padEnd(18)}${ann.exactMs.toFixed(2)}ms → ${row.avgMs.toFixed(2)}ms, recall ${row.recall.toFixed(3)}\n`);
+  }
+
   // Blended estimate
   const skipRate = p2.skipCount / p2.skipTotal;
   const blendedAvg = Math.round(skipRate * p2.avgSkip + (1 - skipRate) * p2.avgEnrich);
@@ -382,7 +470,8 @@ async function main() {
   const p1 = await benchPhase1();
   const p2 = await benchPhase2();
   const p3 = await benchPhase3();
-  await printSummary(p1, p2, p3);
+  const ann = await benchHnsw();
+  await printSummary(p1, p2, p3, ann);
 }
 
 main().catch(console.error);
@@ -1,6 +1,6 @@
 "use strict";
 
-const logger = require("../../shared/logger");
+const logger = require("../../shared/logger").child({ package: "context-pipeline" });
 
 /**
  * Estimate token count for text. Rough heuristic: ~4 chars per token.
@@ -1,5 +1,7 @@
+const { randomUUID } = require('crypto');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'context-pipeline' });
+const tracing = require('../../shared/tracing');
 const { deepMerge } = require('../../shared/utils');
 const { unifiedSearch } = require('../chat-ingest/unified-search');
 const { routeToModel } = require('../triage');
@@ -7,6 +9,9 @@ const { trimRagForRoute, applyEscalationLogic } = require('./route-config');
 const { compressHistory, deduplicateMessages } = require('./history');
 const { detectCorrectionSignal, logCorrection, incrementMetric } = require('./memory-tracker');
 const { checkAlerts, processAlerts } = require('./alerts');
+const { getCacheCounters } = require('../../shared/embedding-cache');
+const { rerankResults } = require('./rerank');
+const { redactItems, redactionEnabled } = require('../../shared/redact');
 
 // ============================================================================
 // TIERED RAG ARCHITECTURE
@@ -23,7 +28,7 @@ const { checkAlerts, processAlerts } = require('./alerts');
 //
 // **Tier 2: Filtered Chat Logs (Vector Search)**
 //   - Sources: chat-memory.db (chat_chunks, telegram_chunks)
-//   - Weight: 0.5 (reduced priority)
+//   - Weight: chat 0.7, telegram 0.5 (reduced priority; rag.sourceWeights)
 //   - Content: Assistant responses >100 chars (decisions, explanations, code)
 //   - Filtering (at INDEX time):
 //     - Only role='assistant' messages (my knowledge, not user questions)
@@ -44,7 +49,7 @@ const { checkAlerts, processAlerts } = require('./alerts');
 // Before filtering, chat logs contained user questions, short acks, and tool
 // output, creating noisy search results. By filtering to assistant responses
 // >100 chars at INDEX time, only quality content enters the vector database.
-// This makes chat results nearly as valuable as curated memory (hence 0.5 weight).
+// This makes chat results nearly as valuable as curated memory (hence 0.7 weight).
 //
 // **Implementation:**
 // - Tier 1+2: unifiedSearch() in chat-ingest/unified-search.js
@@ -52,6 +57,14 @@ const { checkAlerts, processAlerts } = require('./alerts');
 // - Tier 3: shortTermHistory (lines 228-244 below)
 // ============================================================================
 
+// Pick up config.local.json edits (dashboard, `localllm config set`) without a
+// restart: assembleContext() reads config.contextPipeline on every call
+config.watch();
+config.onChange(({ changed }) => {
+  const pipeline = changed.filter(path => path.startsWith('contextPipeline.'));
+  if (pipeline.length > 0) logger.info(`Context pipeline config reloaded: ${pipeline.join(', ')}`);
+});
+
 // In-memory session storage with LRU eviction
 const sessions = new Map();
 const MAX_SESSIONS = 100; // Prevent unbounded growth
@@ -68,11 +81,21 @@ const stats = {
   stages: {               // Optimization #8: Per-Stage Timing Stats
     embedding: { totalMs: 0, count: 0 },
     search: { totalMs: 0, count: 0 },
+    rerank: { totalMs: 0, count: 0 },
     routing: { totalMs: 0, count: 0 },
     assembly: { totalMs: 0, count: 0 },
   },
 };
 
+// Query-embedding cache counters at the last resetStats(); the cache counts per process
+let cacheBaseline = { hits: 0, misses: 0 };
+
+function syncCacheStats() {
+  const current = getCacheCounters('query');
+  stats.cacheHits = current.hits - cacheBaseline.hits;
+  stats.cacheMisses = current.misses - cacheBaseline.misses;
+}
+
 function getSession(sessionId) {
   if (!sessions.has(sessionId)) {
     // LRU eviction: if at max capacity, remove oldest session
@@ -170,6 +193,66 @@ function recordStage(name, ms) {
   if (s) { s.totalMs += ms; s.count++; }
 }
 
+/**
+ * RAG retrieval: vector search, optional LLM rerank, score cutoff.
+ * With rag.rerank.enabled, rerank.candidates hits are fetched and re-scored,
+ * and rerank.minScore (model relevance) replaces rag.minScore (cosine); if the
+ * rerank stage times out, the vector ranking is used as without it.
+ * @returns {Promise<{ results: Array, total: number, rerank: object|null }>}
+ */
+function retrieveRagContext(messageText, pipelineConfig) {
+  return tracing.withSpan('rag', {}, async (span) => {
+    const retrieval = await retrieve(messageText, pipelineConfig);
+    span.setAttributes({ 'rag.results': retrieval.results.length, 'rag.candidates': retrieval.total });
+    return retrieval;
+  });
+}
+
+async function retrieve(messageText, pipelineConfig) {
+  const ragStart = Date.now();
+  const topK = pipelineConfig.rag.topK || 5;
+  const minScore = pipelineConfig.rag.minScore || 0.3;
+  const sources = pipelineConfig.rag.sources || ['memory', 'chat', 'telegram'];
+  const rerankConfig = pipelineConfig.rag.rerank?.enabled ? pipelineConfig.rag.rerank : null;
+
+  const searchResults = await unifiedSearch(messageText, {
+    topK: rerankConfig ? Math.max(rerankConfig.candidates || 20, topK) : topK,
+    sources,
+  });
+  recordStage('search', Date.now() - ragStart); // Optimization #8
+
+  if (!rerankConfig) {
+    return redactRagResults({ results: searchResults.filter(r => r.score >= minScore), total: searchResults.length, rerank: null });
+  }
+
+  const rerank = await tracing.withSpan('rerank', { 'rerank.candidates': searchResults.length }, async (span) => {
+    const outcome = await rerankResults(messageText, searchResults, rerankConfig);
+    span.setAttributes({ 'rerank.applied': outcome.applied, 'rerank.scored': outcome.scored, 'rerank.reason': outcome.reason });
+    return outcome;
+  });
+  recordStage('rerank', rerank.ms);
+
+  const results = rerank.applied
+    ? rerank.results.filter(r => r.rerankScore !== null && r.score >= (rerankConfig.minScore ?? 0.5))
+    : searchResults.filter(r => r.score >= minScore);
+
+  return redactRagResults({
+    results: results.slice(0, topK),
+    total: searchResults.length,
+    rerank: { applied: rerank.applied, reason: rerank.reason, scored: rerank.scored, ms: rerank.ms },
+  });
+}
+
+/**
+ * Redact secrets and PII from retrieved chunks before they can reach a prompt
+ * (config.redaction.rag). Adds `redaction: { total, counts }` for the metadata.
+ */
+function redactRagResults(retrieval) {
+  if (!redactionEnabled('rag')) return retrieval;
+  const { items, counts, total } = redactItems(retrieval.results);
+  return { ...retrieval, results: items, redaction: { total, counts } };
+}
+
 // ============================================================================
 // Optimization #5: Smart Skip Logic
 // ============================================================================
@@ -207,12 +290,34 @@ function shouldSkipEnrichment(messageText) {
  * - Routing decision
  * - System notes
  *
+ * Logs from every stage (search, routing, alerts) carry the session id and a
+ * request id: the API request's when called from a handler, else a new one.
+ * It is returned as `metadata.requestId`. Each call is also traced (an
+ * `assembleContext` root span with rag, search, embed, rerank, routing,
+ * escalation and assembly children); `metadata.traceId` finds it with
+ * tracing.getTrace() (null when tracing is off or the call wasn't sampled).
+ *
  * @param {string|object} message - User message (string or message object)
  * @param {string} sessionId - Session identifier
  * @param {object} [options] - Override config options
  * @returns {Promise<object>} Assembled context
  */
 async function assembleContext(message, sessionId, options = {}) {
+  const requestId = logger.context().requestId || randomUUID();
+  const attributes = { 'session.id': sessionId, 'request.id': requestId };
+  return tracing.withSpan('assembleContext', attributes, async (span) => {
+    const result = await logger.withContext({ requestId, sessionId, traceId: span.traceId || undefined },
+      () => assemble(message, sessionId, options, requestId, span.traceId));
+    span.setAttributes({
+      'context.skipped': Boolean(result.metadata.skipped),
+      'rag.results': result.ragContext.length,
+      'route.out': result.routeDecision?.route,
+    });
+    return result;
+  });
+}
+
+async function assemble(message, sessionId, options, requestId, traceId) {
   const startTime = Date.now();
   stats.totalCalls++;
 
@@ -245,6 +350,8 @@ async function assembleContext(message, sessionId, options = {}) {
       assembledPrompt: [userMessage],
       metadata: {
         sessionId,
+        requestId,
+        traceId,
         assemblyTime,
         skipped: true,
         config: pipelineConfig,
@@ -263,6 +370,8 @@ async function assembleContext(message, sessionId, options = {}) {
     assembledPrompt: [],
     metadata: {
       sessionId,
+      requestId,
+      traceId,
       assemblyTime: 0,
       config: pipelineConfig,
     },
@@ -298,12 +407,9 @@ async function assembleContext(message, sessionId, options = {}) {
       pipelineConfig.rag?.enabled
         ? (async () => {
             const ragStart = Date.now();
-            const topK = pipelineConfig.rag.topK || 5;
-            const minScore = pipelineConfig.rag.minScore || 0.3;
-            const sources = pipelineConfig.rag.sources || ['memory', 'chat', 'telegram'];
-
-            const searchResults = await unifiedSearch(messageText, { topK, sources });
-            const filtered = searchResults.filter(r => r.score >= minScore);
+            const { results: filtered, total, rerank, redaction } = await retrieveRagContext(messageText, pipelineConfig);
+            if (rerank) result.metadata.rerank = rerank;
+            if (redaction) result.metadata.redaction = redaction;
             const ragTime = Date.now() - ragStart;
 
             // Log source distribution
@@ -315,8 +421,7 @@ async function assembleContext(message, sessionId, options = {}) {
               .map(([src, count]) => `${src}: ${count}`)
               .join(', ');
 
-            recordStage('search', ragTime); // Optimization #8
-            logger.debug(`RAG: ${filtered.length}/${searchResults.length} results (${distStr}), ${ragTime}ms`);
+            logger.debug(`RAG: ${filtered.length}/${total} results (${distStr})${rerank?.applied ? ' reranked' : ''}${redaction?.total ? `, ${redaction.total} redacted` : ''}, ${ragTime}ms`);
             return filtered;
           })()
         : Promise.resolve([]),
@@ -366,23 +471,24 @@ async function assembleContext(message, sessionId, options = {}) {
     const avgRagScore = result.ragContext.length > 0
       ? result.ragContext.reduce((sum, r) => sum + r.score, 0) / result.ragContext.length
       : 0;
-    result.routeDecision = applyEscalationLogic(messageText, result.routeDecision, {
-      ragScore: avgRagScore,
-      confidence: result.routeDecision.confidence || 0.8,
+    const routeIn = result.routeDecision.route;
+    result.routeDecision = tracing.withSpan('escalation', { 'route.in': routeIn }, (span) => {
+      const decision = applyEscalationLogic(messageText, result.routeDecision, {
+        ragScore: avgRagScore,
+        confidence: result.routeDecision.confidence || 0.8,
+      });
+      span.setAttributes({ 'route.out': decision.route, 'route.escalated': decision.route !== routeIn });
+      return decision;
     });
   } else {
     // Sequential fallback (original behavior)
     // 2. RAG context
     if (pipelineConfig.rag?.enabled) {
       try {
-        const ragStart = Date.now(); // Optimization #8
-        const topK = pipelineConfig.rag.topK || 5;
-        const minScore = pipelineConfig.rag.minScore || 0.3;
-        const sources = pipelineConfig.rag.sources || ['memory', 'chat', 'telegram'];
-
-        const searchResults = await unifiedSearch(messageText, { topK, sources });
-        result.ragContext = searchResults.filter(r => r.score >= minScore);
-        const ragTime = Date.now() - ragStart;
+        const { results, total, rerank, redaction } = await retrieveRagContext(messageText, pipelineConfig);
+        result.ragContext = results;
+        if (rerank) result.metadata.rerank = rerank;
+        if (redaction) result.metadata.redaction = redaction;
 
         // Log source distribution
         const sourceDistribution = result.ragContext.reduce((acc, r) => {
@@ -393,8 +499,7 @@ async function assembleContext(message, sessionId, options = {}) {
           .map(([src, count]) => `${src}: ${count}`)
           .join(', ');
 
-        recordStage('search', ragTime); // Optimization #8
-        logger.debug(`Found ${result.ragContext.length} RAG results (${searchResults.length} total, ${distStr})`);
+        logger.debug(`Found ${result.ragContext.length} RAG results (${total} total, ${distStr})${rerank?.applied ? ', reranked' : ''}${redaction?.total ? `, ${redaction.total} redacted` : ''}`);
       } catch (err) {
         logger.error(`RAG search failed: ${err.message}`);
         result.ragContext = [];
@@ -443,6 +548,7 @@ async function assembleContext(message, sessionId, options = {}) {
 
   // 5. Assemble final prompt
   const assemblyStart = Date.now(); // Optimization #8
+  const assemblySpan = tracing.startSpan('assembly');
   const assembledMessages = [];
 
   // Add RAG context as system message if configured
@@ -484,6 +590,7 @@ async function assembleContext(message, sessionId, options = {}) {
   }
 
   result.assembledPrompt = assembledMessages;
+  assemblySpan.setAttribute('prompt.messages', assembledMessages.length).end();
   const assemblyTime_stage = Date.now() - assemblyStart;
   recordStage('assembly', assemblyTime_stage); // Optimization #8
 
@@ -495,7 +602,9 @@ async function assembleContext(message, sessionId, options = {}) {
   // Update stats
   const assemblyTime = Date.now() - startTime;
   stats.avgAssemblyTime = (stats.avgAssemblyTime * (stats.totalCalls - 1) + assemblyTime) / stats.totalCalls;
+  syncCacheStats();
   result.metadata.assemblyTime = assemblyTime;
+  logger.info(`Context assembled: ${result.ragContext.length} RAG results, route=${result.routeDecision?.route || 'none'}, ${assemblyTime}ms`);
 
   // Track metrics
   incrementMetric('totalQueries');
@@ -541,6 +650,8 @@ async function assembleContext(message, sessionId, options = {}) {
  * Get pipeline statistics
  */
 function getStats() {
+  syncCacheStats();
+
   // Optimization #8: Calculate stage averages
   const stageAverages = {};
   for (const [name, s] of Object.entries(stats.stages)) {
@@ -565,6 +676,7 @@ function resetStats() {
   stats.avgAssemblyTime = 0;
   stats.cacheHits = 0;
   stats.cacheMisses = 0;
+  cacheBaseline = getCacheCounters('query');
   stats.lastReset = new Date().toISOString();
 
   // Optimization #8: Reset stage stats
@@ -14,7 +14,7 @@
 
 const { appendFileSync, existsSync, readFileSync, writeFileSync, mkdirSync } = require("fs");
 const { join } = require("path");
-const logger = require("../../shared/logger");
+const logger = require("../../shared/logger").child({ package: "context-pipeline" });
 
 // Data paths
 const DATA_DIR = join(__dirname, "../../data");
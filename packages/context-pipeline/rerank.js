@@ -0,0 +1,141 @@
+"use strict";
+
+/**
+ * Rerank Module
+ *
+ * Second-stage relevance scoring for RAG candidates. Vector search ranks by
+ * cosine similarity times a per-source weight, which is fast but coarse; here
+ * a local Ollama model reads each (query, passage) pair and scores it 0-10
+ * (pointwise, JSON mode). The whole stage runs under a latency budget: if the
+ * model cannot score every candidate in time, the caller keeps vector order.
+ */
+
+const logger = require("../../shared/logger").child({ package: "context-pipeline" });
+
+const DEFAULTS = {
+  model: null,            // null = config.models.triage
+  candidates: 20,         // Vector hits fetched for reranking
+  budgetMs: 2000,         // Whole-stage deadline
+  concurrency: 4,         // Parallel Ollama requests
+  maxPassageChars: 800,   // Passage truncation in the prompt
+  minScore: 0.5,          // Relevance cutoff (0-1) applied after reranking
+};
+
+/**
+ * Build the pointwise relevance prompt for one candidate.
+ * @param {string} query
+ * @param {{ source: string, text: string }} candidate
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function buildRerankPrompt(query, candidate, maxChars) {
+  const passage = candidate.text.length > maxChars
+    ? `${candidate.text.slice(0, maxChars)}…`
+    : candidate.text;
+
+  return `You are a search relevance judge. Rate how useful the passage is for answering the query.
+
+Query: ${query}
+
+Passage (${candidate.source}):
+${passage}
+
+Respond with JSON only: {"score": <integer 0-10>}
+0 = unrelated, 5 = related but does not answer, 10 = directly answers the query.`;
+}
+
+/**
+ * Extract a 0-10 score from the model's JSON reply.
+ * @param {string} content
+ * @returns {number|null} Relevance normalized to 0-1, or null if unparseable
+ */
+function parseRerankScore(content) {
+  const jsonMatch = String(content || "").match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+  try {
+    const score = Number(JSON.parse(jsonMatch[0]).score);
+    if (!Number.isFinite(score)) return null;
+    return Math.min(Math.max(score, 0), 10) / 10;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rerank search results with a local model.
+ *
+ * Returns the candidates reordered by model relevance, with `score` replaced
+ * by that relevance (0-1) and the original kept as `vectorScore`. Candidates
+ * the model failed to score rank after the scored ones, in vector order.
+ * On timeout, or if nothing could be scored, returns the candidates
+ * unchanged with `applied: false`.
+ *
+ * @param {string} query
+ * @param {Array<{ source: string, text: string, score: number }>} candidates - Vector order
+ * @param {object} [options] - Overrides for DEFAULTS (config.contextPipeline.rag.rerank)
+ * @returns {Promise<{ results: Array, applied: boolean, reason: string|null, scored: number, ms: number }>}
+ */
+async function rerankResults(query, candidates, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const startTime = Date.now();
+  if (candidates.length === 0) {
+    return { results: candidates, applied: false, reason: "no candidates", scored: 0, ms: 0 };
+  }
+
+  const { generate } = require("../../shared/ollama");
+  const config = require("../../shared/config");
+  const model = opts.model || config.models.triage;
+  const deadline = startTime + opts.budgetMs;
+  const relevance = new Array(candidates.length).fill(null);
+
+  // Worker pool: stop picking up candidates once the budget is spent
+  let next = 0;
+  const worker = async () => {
+    while (next < candidates.length && Date.now() < deadline) {
+      const i = next++;
+      try {
+        const resp = await generate(model, buildRerankPrompt(query, candidates[i], opts.maxPassageChars), {
+          format: "json",
+          options: { temperature: 0, num_predict: 16 },
+          timeout: Math.max(deadline - Date.now(), 1),
+        });
+        relevance[i] = parseRerankScore(resp.response);
+      } catch (err) {
+        logger.debug(`Rerank: candidate ${i} failed: ${err.message}`);
+      }
+    }
+  };
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve("timeout"), opts.budgetMs);
+  });
+  const workers = Array.from({ length: Math.min(opts.concurrency, candidates.length) }, worker);
+  const outcome = await Promise.race([Promise.all(workers).then(() => "done"), timeout]);
+  clearTimeout(timer);
+
+  const ms = Date.now() - startTime;
+  const scored = relevance.filter(r => r !== null).length;
+
+  if (outcome === "timeout" || next < candidates.length) {
+    logger.warn(`Rerank: budget of ${opts.budgetMs}ms exceeded (${scored}/${candidates.length} scored), keeping vector order`);
+    return { results: candidates, applied: false, reason: "timeout", scored, ms };
+  }
+  if (scored === 0) {
+    logger.warn(`Rerank: ${model} scored none of ${candidates.length} candidates, keeping vector order`);
+    return { results: candidates, applied: false, reason: "no scores", scored, ms };
+  }
+
+  const results = candidates
+    .map((c, i) => ({ ...c, vectorScore: c.score, score: relevance[i] ?? 0, rerankScore: relevance[i], vectorRank: i }))
+    .sort((a, b) => {
+      if ((a.rerankScore === null) !== (b.rerankScore === null)) return a.rerankScore === null ? 1 : -1;
+      return (b.score - a.score) || (a.vectorRank - b.vectorRank);
+    })
+    .map(({ vectorRank, ...r }) => r);
+
+  logger.debug(`Rerank: ${scored}/${candidates.length} scored by ${model} in ${ms}ms`);
+  return { results, applied: true, reason: null, scored, ms };
+}
+
+module.exports = { rerankResults, buildRerankPrompt, parseRerankScore, DEFAULTS };
@@ -1,6 +1,6 @@
 "use strict";
 
-const logger = require("../../shared/logger");
+const logger = require("../../shared/logger").child({ package: "context-pipeline" });
 const { appendFileSync, existsSync, readFileSync, writeFileSync, mkdirSync } = require("fs");
 const { join } = require("path");
 
@@ -365,6 +365,18 @@ const ROUTE_RAG_CONFIGS = {
 
 const DEFAULT_RAG_CONFIG = { topK: 5, sources: ["memory", "chat", "telegram"], minScore: 0.3 };
 
+/**
+ * Route-aware diversification, merged over config.search.diversify.
+ * Small context budgets get one chunk per file/session; Opus reviews can take
+ * more of a single document and lean further toward relevance.
+ */
+const ROUTE_DIVERSITY = {
+  claude_haiku:      { maxPerFile: 1, maxPerSession: 1 },
+  claude_opus:       { maxPerFile: 3, maxPerSession: 3, lambda: 0.8 },
+  local_qwen:        { maxPerFile: 1, maxPerSession: 1 },
+  local_reasoning:   { maxPerFile: 1, maxPerSession: 1 },
+};
+
 /**
  * Get RAG config for a given route decision.
  * @param {object} routeDecision - { route, reason, priority }
@@ -390,6 +402,8 @@ function getRouteRagConfig(routeDecision, overrides = {}) {
  * Filter and trim RAG results based on route config.
  * Used with Option B (parallel speculative search): run full search,
  * then trim results post-hoc based on route decision.
+ * The kept results are re-selected with MMR under the route's per-document
+ * caps (ROUTE_DIVERSITY), unless config.search.diversify is disabled.
  *
  * @param {Array} fullResults - Full RAG search results
  * @param {object} routeDecision - Route decision from triage
@@ -400,10 +414,22 @@ function trimRagForRoute(fullResults, routeDecision) {
 
   if (ragConfig.topK === 0) return [];
 
-  return fullResults
+  const eligible = fullResults
     .filter(r => ragConfig.sources.includes(r.source))
-    .filter(r => r.score >= ragConfig.minScore)
-    .slice(0, ragConfig.topK);
+    .filter(r => r.score >= ragConfig.minScore);
+
+  const config = require("../../shared/config");
+  const diversify = config.search?.diversify;
+  if (!diversify || diversify.enabled === false) {
+    return eligible.slice(0, ragConfig.topK);
+  }
+
+  const { diversifyResults } = require("../chat-ingest/diversify");
+  return diversifyResults(eligible, {
+    ...diversify,
+    ...ROUTE_DIVERSITY[routeDecision?.route],
+    topK: ragConfig.topK,
+  });
 }
 
 module.exports = {
@@ -411,6 +437,7 @@ module.exports = {
   getRouteRagConfig,
   trimRagForRoute,
   ROUTE_RAG_CONFIGS,
+  ROUTE_DIVERSITY,
   DEFAULT_RAG_CONFIG,
   // Escalation detection
   checkEscalationSignals,
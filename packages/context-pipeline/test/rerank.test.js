@@ -0,0 +1,154 @@
+/**
+ * Rerank Tests (packages/context-pipeline/rerank.js: JSON scoring, latency budget,
+ * and the rerank stage of assembleContext)
+ */
+
+const { mkdtempSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock models and scratch databases before config loads
+const dir = mkdtempSync(join(tmpdir(), 'rerank-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_MODELS__TRIAGE: 'mock/judge',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_PATHS__SEARCH_DB: join(dir, 'memory.db'),
+  LOCALLLM_CONTEXT_PIPELINE__VECTOR_INDEX__ENABLED: 'false',
+});
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { setMockHandler } = require('../../../shared/providers/mock');
+
+// Keep the pipeline's usage metrics out of data/ (patched before index.js takes its reference)
+require('../memory-tracker').incrementMetric = () => {};
+
+const { rerankResults, buildRerankPrompt, parseRerankScore } = require('../rerank');
+const { assembleContext, getStats, resetStats } = require('../index');
+const { initDb } = require('../../search/indexer');
+const { embed } = require('../../../shared/ollama');
+const { embeddingToBuffer } = require('../../chat-ingest/ingest');
+
+const NOTES = {
+  'fees.md': 'The mooring fee for the boat is due in March at the harbour office.',
+  'storage.md': 'Winter storage for the boat is booked from October until April.',
+  'garden.md': 'Water the tomatoes every evening while the weather stays hot.',
+};
+
+// Relevance the mock judge gives each passage; anything else gets an unparseable reply
+const RELEVANCE = { mooring: 9, storage: 6, tomatoes: 2 };
+
+function judge({ prompt, opts }) {
+  assert.strictEqual(opts.format, 'json');
+  const passage = prompt.slice(prompt.indexOf('Passage'));
+  const word = Object.keys(RELEVANCE).find(w => passage.includes(w));
+  return word ? { score: RELEVANCE[word] } : 'no idea';
+}
+
+const candidate = (text, score, source = 'memory') => ({ source, text, score, meta: {} });
+
+before(async () => {
+  const db = initDb(process.env.LOCALLLM_PATHS__SEARCH_DB);
+  const insert = db.prepare(`
+    INSERT INTO chunks (file, start_line, end_line, text, embedding, embed_model, embed_dim)
+    VALUES (?, 1, 1, ?, ?, 'mock/embed', 32)
+  `);
+  for (const [file, text] of Object.entries(NOTES)) {
+    insert.run(file, text, embeddingToBuffer((await embed('mock/embed', text)).embeddings[0]));
+  }
+  db.close();
+});
+
+afterEach(() => setMockHandler(null));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('the prompt asks for a JSON score and replies are read leniently', () => {
+  const prompt = buildRerankPrompt('boat fees?', candidate('x'.repeat(50), 0.5, 'chat'), 10);
+  assert.match(prompt, /Query: boat fees\?/);
+  assert.match(prompt, /Passage \(chat\):\nx{10}…\n/);
+  assert.match(prompt, /\{"score": <integer 0-10>\}/);
+
+  assert.strictEqual(parseRerankScore('{"score": 7}'), 0.7);
+  assert.strictEqual(parseRerankScore('Sure! {"score": "3"} hope that helps'), 0.3);
+  assert.strictEqual(parseRerankScore('{"score": 14}'), 1);
+  assert.strictEqual(parseRerankScore('{"score": -2}'), 0);
+  assert.strictEqual(parseRerankScore('{"relevance": 7}'), null);
+  assert.strictEqual(parseRerankScore('7/10'), null);
+  assert.strictEqual(parseRerankScore(undefined), null);
+});
+
+test('candidates are reordered by model relevance, unscored ones last in vector order', async () => {
+  setMockHandler(judge);
+  const candidates = [
+    candidate(NOTES['garden.md'], 0.9),
+    candidate('a passage the judge cannot score', 0.85),
+    candidate(NOTES['storage.md'], 0.8),
+    candidate(NOTES['fees.md'], 0.7),
+  ];
+
+  const outcome = await rerankResults('When is the mooring fee due?', candidates, { model: 'mock/judge', concurrency: 2 });
+  assert.deepStrictEqual([outcome.applied, outcome.reason, outcome.scored], [true, null, 3]);
+  assert.deepStrictEqual(outcome.results.map(r => [r.score, r.vectorScore, r.rerankScore]), [
+    [0.9, 0.7, 0.9],
+    [0.6, 0.8, 0.6],
+    [0.2, 0.9, 0.2],
+    [0, 0.85, null],
+  ]);
+  assert.strictEqual(candidates[0].score, 0.9, 'the input is not modified');
+
+  setMockHandler(() => 'no idea');
+  const unscored = await rerankResults('q', candidates, { model: 'mock/judge' });
+  assert.deepStrictEqual([unscored.applied, unscored.reason], [false, 'no scores']);
+  assert.strictEqual(unscored.results, candidates);
+
+  assert.deepStrictEqual(await rerankResults('q', []), { results: [], applied: false, reason: 'no candidates', scored: 0, ms: 0 });
+});
+
+test('when the budget runs out the vector order is kept', async () => {
+  // The first candidate answers quickly, the rest take longer than the whole budget
+  let calls = 0;
+  setMockHandler(async (req) => {
+    if (calls++ > 0) await new Promise(resolve => setTimeout(resolve, 150));
+    return judge(req);
+  });
+  const candidates = [candidate(NOTES['garden.md'], 0.9), candidate(NOTES['fees.md'], 0.7), candidate(NOTES['storage.md'], 0.6)];
+
+  const outcome = await rerankResults('mooring fee', candidates, { model: 'mock/judge', budgetMs: 50, concurrency: 1 });
+  assert.deepStrictEqual([outcome.applied, outcome.reason, outcome.scored], [false, 'timeout', 1]);
+  assert.strictEqual(outcome.results, candidates);
+  assert.ok(outcome.ms >= 50 && outcome.ms < 150, `gave up after ${outcome.ms}ms`);
+});
+
+test('assembleContext reranks, applies the relevance cutoff and times the stage', async () => {
+  setMockHandler(judge);
+  resetStats();
+  const options = {
+    features: { skipLogic: false, routeAwareSources: false },
+    routing: { enabled: false },
+    rag: { enabled: true, sources: ['memory'], topK: 5, minScore: -1, rerank: { enabled: true, minScore: 0.5 } },
+  };
+
+  const reranked = await assembleContext('When is the mooring fee for the boat due?', 'rerank-session', options);
+  // tomatoes (0.2) falls below rerank.minScore; rag.minScore no longer applies
+  assert.deepStrictEqual(reranked.ragContext.map(r => [r.meta.file, r.score]), [['fees.md', 0.9], ['storage.md', 0.6]]);
+  assert.deepStrictEqual(reranked.metadata.rerank, { applied: true, reason: null, scored: 3, ms: reranked.metadata.rerank.ms });
+  assert.match(reranked.assembledPrompt[0].content, /\[1\] \(memory, score: 0\.90\)\nThe mooring fee/);
+
+  // Over budget: the vector hits come back, filtered by rag.minScore
+  setMockHandler(() => new Promise(resolve => setTimeout(() => resolve({ score: 10 }), 150)));
+  const fallback = await assembleContext('When is the mooring fee for the boat due?', 'rerank-session',
+    { ...options, rag: { ...options.rag, rerank: { enabled: true, budgetMs: 30 } } });
+  assert.deepStrictEqual([fallback.metadata.rerank.applied, fallback.metadata.rerank.reason], [false, 'timeout']);
+  assert.strictEqual(fallback.ragContext.length, 3);
+  const scores = fallback.ragContext.map(r => r.score);
+  assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a), 'vector order');
+  assert.ok(fallback.ragContext.every(r => r.rerankScore === undefined));
+
+  const { stages, stageAverages } = getStats();
+  assert.strictEqual(stages.rerank.count, 2);
+  assert.ok(stages.rerank.totalMs >= 30);
+  assert.strictEqual(stageAverages.rerank, Math.round(stages.rerank.totalMs / 2));
+});
@@ -10,6 +10,7 @@
 
 const { existsSync, readFileSync } = require('fs');
 const path = require('path');
+const logger = require('../../shared/logger').child({ package: 'dashboard', component: 'alert-manager' });
 
 class AlertManager {
   constructor() {
@@ -30,7 +31,7 @@ class AlertManager {
     // Load config
     this.loadConfig();
 
-    console.log('[Alert Manager] Initialized with', this.config.spamControlMethod, 'spam control');
+    logger.info('Initialized with', this.config.spamControlMethod, 'spam control');
   }
 
   loadConfig() {
@@ -55,7 +56,7 @@ class AlertManager {
         const config = JSON.parse(readFileSync(configPath, 'utf-8'));
         this.config = { ...this.config, ...config };
       } catch (err) {
-        console.warn('[Alert Manager] Error loading config:', err.message);
+        logger.warn('Error loading config:', err.message);
       }
     }
 
@@ -65,7 +66,7 @@ class AlertManager {
 
   reloadConfig() {
     this.loadConfig();
-    console.log('[Alert Manager] Config reloaded:', this.config.spamControlMethod);
+    logger.info('Config reloaded:', this.config.spamControlMethod);
   }
 
   /**
@@ -80,7 +81,7 @@ class AlertManager {
 
     // Check if suppressed by user (always honored regardless of spam control method)
     if (alertState?.suppressed && now < alertState.suppressUntil) {
-      console.log(`[Alert Manager] ${session}: suppressed until ${new Date(alertState.suppressUntil).toLocaleTimeString()}`);
+      logger.info(`${session}: suppressed until ${new Date(alertState.suppressUntil).toLocaleTimeString()}`);
       return false;
     }
 
@@ -101,7 +102,7 @@ class AlertManager {
         return this.shouldAlertExponentialBackoff(session, event, now, alertState);
 
       default:
-        console.warn('[Alert Manager] Unknown spam control method:', this.config.spamControlMethod);
+        logger.warn('Unknown spam control method:', this.config.spamControlMethod);
         return this.shouldAlertRateLimit(session, event, now, alertState);
     }
   }
@@ -120,7 +121,7 @@ class AlertManager {
     // Same event within cooldown - skip
     const timeSinceLastAlert = now - alertState.alertedAt;
     if (timeSinceLastAlert < this.COOLDOWN_MS) {
-      console.log(`[Alert Manager] ${session}: rate limited (${Math.round(timeSinceLastAlert / 1000)}s since last alert)`);
+      logger.info(`${session}: rate limited (${Math.round(timeSinceLastAlert / 1000)}s since last alert)`);
       return false;
     }
 
@@ -133,7 +134,7 @@ class AlertManager {
     const nextAlertTime = this.backoffTimers.get(session);
     if (nextAlertTime && now < nextAlertTime) {
       const waitSeconds = Math.round((nextAlertTime - now) / 1000);
-      console.log(`[Alert Manager] ${session}: exponential backoff (wait ${waitSeconds}s)`);
+      logger.info(`${session}: exponential backoff (wait ${waitSeconds}s)`);
       return false;
     }
 
@@ -170,9 +171,9 @@ class AlertManager {
       );
       const nextAlertTime = now + delayMinutes * 60 * 1000;
       this.backoffTimers.set(session, nextAlertTime);
-      console.log(`[Alert Manager] ${session}: marked as alerted for ${event} (next in ${delayMinutes}m, count: ${alertCount})`);
+      logger.info(`${session}: marked as alerted for ${event} (next in ${delayMinutes}m, count: ${alertCount})`);
     } else {
-      console.log(`[Alert Manager] ${session}: marked as alerted for ${event}`);
+      logger.info(`${session}: marked as alerted for ${event}`);
     }
   }
 
@@ -184,7 +185,7 @@ class AlertManager {
     if (this.alertedSessions.has(session)) {
       this.alertedSessions.delete(session);
       this.backoffTimers.delete(session);
-      console.log(`[Alert Manager] ${session}: cooldown reset (activity resumed)`);
+      logger.info(`${session}: cooldown reset (activity resumed)`);
     }
   }
 
@@ -207,7 +208,7 @@ class AlertManager {
 
     this.alertedSessions.set(session, alertState);
 
-    console.log(`[Alert Manager] ${session}: alerts suppressed for ${Math.round(durationMs / 60000)} minutes`);
+    logger.info(`${session}: alerts suppressed for ${Math.round(durationMs / 60000)} minutes`);
   }
 
   /**
@@ -220,7 +221,7 @@ class AlertManager {
       alertState.suppressed = false;
       alertState.suppressUntil = null;
       this.alertedSessions.set(session, alertState);
-      console.log(`[Alert Manager] ${session}: suppression cleared`);
+      logger.info(`${session}: suppression cleared`);
     }
   }
 
@@ -261,7 +262,7 @@ class AlertManager {
       this.batchTimer = setTimeout(() => {
         this.flushBatch();
       }, windowMs);
-      console.log(`[Alert Manager] Batch timer started (${this.config.batchWindowSeconds}s window)`);
+      logger.info(`Batch timer started (${this.config.batchWindowSeconds}s window)`);
     }
   }
 
@@ -278,7 +279,7 @@ class AlertManager {
     this.batchQueue = [];
     this.batchTimer = null;
 
-    console.log(`[Alert Manager] Flushed ${alerts.length} batched alert(s)`);
+    logger.info(`Flushed ${alerts.length} batched alert(s)`);
     return alerts;
   }
 
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const logger = require('../../shared/logger').child({ package: 'dashboard', component: 'self-heal-log' });
 
 const LOG_PATH = path.join(os.homedir(), '.clawdbot', 'self-heal-log.json');
 const MAX_LOG_SIZE = 100;
@@ -24,13 +25,13 @@ function loadLog() {
     if (fs.existsSync(LOG_PATH)) {
       const data = fs.readFileSync(LOG_PATH, 'utf-8');
       selfHealLog = JSON.parse(data);
-      console.log(`[SelfHealLog] Loaded ${selfHealLog.length} entries from ${LOG_PATH}`);
+      logger.info(`Loaded ${selfHealLog.length} entries from ${LOG_PATH}`);
     } else {
-      console.log('[SelfHealLog] No existing log file, starting fresh');
+      logger.info('No existing log file, starting fresh');
       selfHealLog = [];
     }
   } catch (err) {
-    console.error('[SelfHealLog] Failed to load log:', err.message);
+    logger.error('Failed to load log:', err.message);
     selfHealLog = [];
   }
 }
@@ -46,7 +47,7 @@ function saveLog() {
     }
     fs.writeFileSync(LOG_PATH, JSON.stringify(selfHealLog, null, 2), 'utf-8');
   } catch (err) {
-    console.error('[SelfHealLog] Failed to save log:', err.message);
+    logger.error('Failed to save log:', err.message);
   }
 }
 
@@ -8,6 +8,7 @@ const { readFileSync, readdirSync } = require('fs');
 const os = require('os');
 
 const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'dashboard' });
 const DashboardWebSocketServer = require('./websocket-server.cjs');
 
 const PORT = process.env.DASHBOARD_PORT || 3847;
@@ -23,14 +24,16 @@ const zoidActivityLog = [];
 const MAX_ACTIVITY_LOG_SIZE = 100;
 
 app.use(express.json());
+// Correlation id for every log record written while serving a request
+app.use(require('../../shared/logger').requestIdMiddleware());
 
 // Serve React app (always serve if dist exists)
 const distPath = path.join(__dirname, 'dist');
 if (existsSync(distPath)) {
   app.use(express.static(distPath));
-  console.log('[Dashboard] Serving static files from:', distPath);
+  logger.info('Serving static files from:', distPath);
 } else {
-  console.log('[Dashboard] No dist folder found. Run `npm run build` or start Vite dev server.');
+  logger.info('No dist folder found. Run `npm run build` or start Vite dev server.');
 }
 
 // --- helpers ---
@@ -79,6 +82,7 @@ app.get('/api/status', async (_req, res) => {
   ]);
   const whisperPath = findWhisper();
   res.json({
+    profile: config.profile,
     ollama: { healthy: !ollama.error, detail: ollama },
     whisper: { found: !!whisperPath, path: whisperPath },
     databases: [memoryDb, chatDb],
@@ -120,13 +124,17 @@ app.get('/api/mlx/status', async (_req, res) => {
 });
 
 app.get('/api/search', async (req, res) => {
-  const { q, sources, topK } = req.query;
+  const { q, sources, topK, mode } = req.query;
   if (!q) return res.status(400).json({ error: 'Missing query parameter q' });
   try {
-    const { unifiedSearch } = require('../chat-ingest/unified-search');
+    const { unifiedSearch, SEARCH_MODES } = require('../chat-ingest/unified-search');
+    if (mode && !SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode (expected one of: ${SEARCH_MODES.join(', ')})` });
+    }
     const results = await unifiedSearch(q, {
       topK: parseInt(topK) || 5,
       sources: sources ? sources.split(',') : ['memory', 'chat', 'telegram'],
+      mode,
     });
     res.json({ query: q, results });
   } catch (err) {
@@ -140,7 +148,7 @@ app.post('/api/reindex', async (_req, res) => {
     const source = config.paths.memoryDir;
     const dbPath = config.paths.searchDb;
     // Run in background so we can respond immediately
-    indexDirectory(source, dbPath).catch(err => console.error('Reindex error:', err.message));
+    indexDirectory(source, dbPath).catch(err => logger.error('Reindex error:', err.message));
     res.json({ status: 'started', source, db: dbPath });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -184,6 +192,69 @@ app.get('/api/router/test', async (req, res) => {
   }
 });
 
+// --- Classifier rules (rule store shared with `localllm classify rules`) ---
+
+function ruleError(res, err) {
+  if (err.code === 'ENOENT') return res.status(404).json({ error: err.message });
+  res.status(400).json({ error: err.message, errors: err.errors });
+}
+
+app.get('/api/classifier/rules', (_req, res) => {
+  try {
+    const { listRules, rulesPath } = require('../classifier/rule-store');
+    const rulesFile = rulesPath();
+    res.json({ path: rulesFile, stored: existsSync(rulesFile), rules: listRules() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/classifier/rules', (req, res) => {
+  try {
+    const { addRule } = require('../classifier/rule-store');
+    res.status(201).json({ rule: addRule(req.body || {}) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
+
+app.put('/api/classifier/rules/:id', (req, res) => {
+  try {
+    const { updateRule } = require('../classifier/rule-store');
+    res.json({ rule: updateRule(req.params.id, req.body || {}) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
+
+app.delete('/api/classifier/rules/:id', (req, res) => {
+  try {
+    const { removeRule } = require('../classifier/rule-store');
+    res.json({ rule: removeRule(req.params.id) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
+
+// Which rule fires for an email and why; with `when`, check just that condition.
+// `email` is { from, subject, body, ... } or a raw message (string or { raw })
+app.post('/api/classifier/explain', (req, res) => {
+  const { when } = req.body || {};
+  if (!req.body?.email) return res.status(400).json({ error: 'Missing email' });
+  try {
+    const { normalizeEmail } = require('../../shared/email');
+    const email = normalizeEmail(req.body.email);
+    if (when) {
+      const { parseCondition, explainCondition } = require('../classifier/rule-dsl');
+      return res.json({ explanation: explainCondition(parseCondition(when), email) });
+    }
+    const { explainRules } = require('../classifier/rules');
+    res.json(explainRules(email));
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
+
 app.get('/api/compaction', (_req, res) => {
   try {
     const clawdbotConfigPath = path.join(os.homedir(), '.clawdbot/clawdbot.json');
@@ -241,8 +312,12 @@ app.get('/api/embeddings/sample', async (req, res) => {
       return res.status(404).json({ error: 'Memory database not found. Run reindex first.' });
     }
 
+    const { getActiveModel, normalizeModel } = require('../../shared/embedding-meta');
     const db = new Database(dbPath, { readonly: true });
-    const chunks = db.prepare('SELECT id, file, text, embedding FROM chunks ORDER BY RANDOM() LIMIT ?').all(limit);
+    // Only vectors from the active model share a space (and a dimension)
+    const model = getActiveModel(db);
+    const chunks = db.prepare('SELECT * FROM chunks ORDER BY RANDOM() LIMIT ?').all(limit)
+      .filter(chunk => chunk.embedding && (!chunk.embed_model || normalizeModel(chunk.embed_model) === model));
 
     const samples = chunks.map(chunk => {
       const embedding = [];
@@ -260,7 +335,7 @@ app.get('/api/embeddings/sample', async (req, res) => {
     });
 
     db.close();
-    res.json({ samples, count: samples.length });
+    res.json({ samples, count: samples.length, model });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -424,6 +499,7 @@ app.post('/api/context-pipeline/enrich', async (req, res) => {
         assemblyTimeMs: result.metadata.assemblyTime,
         ragResultCount: result.ragContext.length,
         sessionId: result.metadata.sessionId,
+        traceId: result.metadata.traceId,
       },
     };
 
@@ -467,6 +543,7 @@ app.post('/api/context-pipeline/enrich', async (req, res) => {
       metadata: {
         assemblyTimeMs: result.metadata.assemblyTime,
         sessionId: result.metadata.sessionId,
+        traceId: result.metadata.traceId,
         currentModel: currentModel || null  // Track current model from plugin
       }
     });
@@ -572,46 +649,35 @@ app.post('/api/context-pipeline/config', (req, res) => {
     return res.status(400).json({ error: 'Invalid config patch' });
   }
   try {
-    const { writeFileSync, existsSync } = require('fs');
-    const overridesPath = config._overridesPath;
-
-    let existing = {};
-    if (existsSync(overridesPath)) {
-      try { existing = JSON.parse(require('fs').readFileSync(overridesPath, 'utf-8')); } catch {}
-    }
-
-    // Deep merge patch into contextPipeline
-    if (!existing.contextPipeline) existing.contextPipeline = {};
-    function deepMerge(target, source) {
-      const result = { ...target };
-      for (const key of Object.keys(source)) {
-        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key]) && target[key]) {
-          result[key] = deepMerge(target[key], source[key]);
-        } else {
-          result[key] = source[key];
-        }
-      }
-      return result;
-    }
-    existing.contextPipeline = deepMerge(existing.contextPipeline, patch);
-    writeFileSync(overridesPath, JSON.stringify(existing, null, 2) + '\n', 'utf-8');
-
-    // Hot-reload
-    const fresh = config._reload();
-    Object.assign(config, fresh);
-
-    res.json({ status: 'saved', config: existing.contextPipeline });
+    // Validated, written to config.local.json and hot-reloaded (config change listeners fire)
+    const { overrides, warnings } = config.setOverrides({ contextPipeline: patch });
+    res.json({ status: 'saved', config: overrides.contextPipeline, warnings });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.errors ? 400 : 500).json({ error: err.message, errors: err.errors });
   }
 });
 
 // --- Daemons ---
 
+const INGEST_STATUS = config.watcher?.status?.port
+  ? `http://${config.watcher.status.host || '127.0.0.1'}:${config.watcher.status.port}/status`
+  : null;
+
 const DAEMONS = [
-  { label: 'com.localllm.chat-ingest', name: 'Chat Ingest Watcher', logFile: '/Users/yuzucchi/.clawdbot/logs/chat-ingest.log', errFile: '/Users/yuzucchi/.clawdbot/logs/chat-ingest.err' },
+  { label: 'com.localllm.chat-ingest', name: 'Chat Ingest Watcher', logFile: '/Users/yuzucchi/.clawdbot/logs/chat-ingest.log', errFile: '/Users/yuzucchi/.clawdbot/logs/chat-ingest.err', statusUrl: INGEST_STATUS },
 ];
 
+// Health reported by the daemon itself (queue depth, last ingest), if it serves one
+async function getDaemonHealth(statusUrl) {
+  if (!statusUrl) return null;
+  try {
+    const res = await fetch(statusUrl, { signal: AbortSignal.timeout(2000) });
+    return res.ok ? await res.json() : { status: 'error', error: `HTTP ${res.status}` };
+  } catch (e) {
+    return { status: 'unreachable', error: e.message };
+  }
+}
+
 function getDaemonStatus(label) {
   return new Promise((resolve) => {
     execFile('/bin/launchctl', ['list', label], { timeout: 3000 }, (err, stdout) => {
@@ -639,8 +705,8 @@ function getDaemonLogs(filePath, lines = 20) {
 
 app.get('/api/daemons', async (_req, res) => {
   const results = await Promise.all(DAEMONS.map(async (d) => {
-    const status = await getDaemonStatus(d.label);
-    return { ...d, ...status };
+    const [status, health] = await Promise.all([getDaemonStatus(d.label), getDaemonHealth(d.statusUrl)]);
+    return { ...d, ...status, health };
   }));
   res.json(results);
 });
@@ -671,6 +737,32 @@ app.get('/api/daemons/:label/logs', async (req, res) => {
   res.json({ lines: merged });
 });
 
+// --- Structured logs (this process's ring buffer, shared/logger.js) ---
+
+app.get('/api/logs', (req, res) => {
+  const { ringBuffer } = require('../../shared/logger');
+  const { level, package: pkg, requestId, sessionId, search, since } = req.query;
+  const after = req.query.after != null ? parseInt(req.query.after) : undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+  const records = ringBuffer.query({ level, package: pkg, requestId, sessionId, search, since, after, limit });
+  res.json({ records, capacity: ringBuffer.size });
+});
+
+// Recent traces (context assembly, searches) recorded in this process
+app.get('/api/traces', (req, res) => {
+  const { listTraces } = require('../../shared/tracing');
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  res.json({ traces: listTraces({ limit, name: req.query.name }) });
+});
+
+// One trace's spans, by trace id or by the request id that started it
+app.get('/api/traces/:id', (req, res) => {
+  const { getTrace } = require('../../shared/tracing');
+  const trace = getTrace(req.params.id);
+  if (!trace) return res.status(404).json({ error: 'Trace not found (not recorded, or no longer in memory)' });
+  res.json(trace);
+});
+
 app.post('/api/daemons/:label/restart', (req, res) => {
   const daemon = DAEMONS.find(d => d.label === req.params.label);
   if (!daemon) return res.status(404).json({ error: 'Unknown daemon' });
@@ -861,7 +953,6 @@ app.post('/api/clawdbot/config', (req, res) => {
 // --- Config Save ---
 
 app.post('/api/config', (req, res) => {
-  const { writeFileSync } = require('fs');
   const overridesPath = config._overridesPath;
   const patch = req.body;
 
@@ -869,37 +960,12 @@ app.post('/api/config', (req, res) => {
     return res.status(400).json({ error: 'Invalid config patch' });
   }
 
-  // Load existing overrides
-  let existing = {};
-  if (existsSync(overridesPath)) {
-    try { existing = JSON.parse(require('fs').readFileSync(overridesPath, 'utf-8')); } catch {}
-  }
-
-  // Deep merge patch into existing overrides
-  function deepMerge(target, source) {
-    const result = { ...target };
-    for (const key of Object.keys(source)) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key]) && target[key]) {
-        result[key] = deepMerge(target[key], source[key]);
-      } else {
-        result[key] = source[key];
-      }
-    }
-    return result;
-  }
-
-  const merged = deepMerge(existing, patch);
-
   try {
-    writeFileSync(overridesPath, JSON.stringify(merged, null, 2) + '\n', 'utf-8');
-
-    // Hot-reload config in memory
-    const fresh = config._reload();
-    Object.assign(config, fresh);
-
-    res.json({ status: 'saved', overridesPath, config: merged });
+    // Validated, written to config.local.json and hot-reloaded (config change listeners fire)
+    const { overrides, changed, warnings } = config.setOverrides(patch);
+    res.json({ status: 'saved', overridesPath, config: overrides, changed, warnings });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.errors ? 400 : 500).json({ error: err.message, errors: err.errors });
   }
 });
 
@@ -910,6 +976,8 @@ app.get('/api/config', (_req, res) => {
     try { overrides = JSON.parse(require('fs').readFileSync(overridesPath, 'utf-8')); } catch {}
   }
   res.json({
+    profile: config.profile,
+    profiles: config.listProfiles().map(p => p.name),
     defaults: config._defaults,
     overrides,
     active: {
@@ -1174,12 +1242,19 @@ app.get('/api/chat/:sessionId/messages', (req, res) => {
     if (!messages) return res.status(404).json({ error: 'Session not found' });
     const total = messages.length;
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
-    const offset = parseInt(req.query.offset) || 0;
+    let offset = parseInt(req.query.offset) || 0;
+    // around=<messageId>: the page containing that message (search hits carry
+    // their chunk's start/end message ids), with its offset for paging on
+    if (req.query.around) {
+      const index = messages.findIndex(m => m.id === req.query.around);
+      if (index === -1) return res.status(404).json({ error: 'Message not found' });
+      offset = Math.max(0, total - index - 1 - Math.floor(limit / 2));
+    }
     // offset from end: 0 = last N messages
     const start = Math.max(0, total - offset - limit);
     const end = Math.max(0, total - offset);
     const slice = messages.slice(start, end);
-    res.json({ messages: slice, total, hasMore: start > 0 });
+    res.json({ messages: slice, total, offset, hasMore: start > 0 });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -1529,7 +1604,7 @@ app.post('/api/rag/reindex', async (_req, res) => {
     const { indexDirectory } = require('../search/indexer');
     const source = config.paths.memoryDir;
     const dbPath = config.paths.searchDb;
-    indexDirectory(source, dbPath).catch(err => console.error('Reindex error:', err.message));
+    indexDirectory(source, dbPath).catch(err => logger.error('Reindex error:', err.message));
     res.json({ status: 'started', source, db: dbPath });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1963,7 +2038,7 @@ app.get('/api/dev/agents', async (_req, res) => {
 
     res.json(agents);
   } catch (error) {
-    console.error('Error in /api/dev/agents:', error);
+    logger.error('Error in /api/dev/agents:', error);
     res.status(500).json({ error: error.message, stack: error.stack });
   }
 });
@@ -2103,11 +2178,11 @@ app.post('/api/zoid/activity', (req, res) => {
       });
     }
 
-    console.log(`[Zoid Activity] ${action}${session ? ` (${session})` : ''}${details ? `: ${details}` : ''}`);
+    logger.info(`[Zoid Activity] ${action}${session ? ` (${session})` : ''}${details ? `: ${details}` : ''}`);
 
     res.json({ success: true, entry });
   } catch (err) {
-    console.error('[Zoid Activity] Error logging activity:', err);
+    logger.error('[Zoid Activity] Error logging activity:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2123,7 +2198,7 @@ app.get('/api/zoid/activity', (_req, res) => {
       maxSize: MAX_ACTIVITY_LOG_SIZE,
     });
   } catch (err) {
-    console.error('[Zoid Activity] Error retrieving logs:', err);
+    logger.error('[Zoid Activity] Error retrieving logs:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2150,11 +2225,11 @@ app.post('/api/self-heal/log', (req, res) => {
       status: status || 'fixed',
     });
 
-    console.log(`[Self-Heal] ${category || 'other'}: ${pattern.substring(0, 60)}...`);
+    logger.info(`[Self-Heal] ${category || 'other'}: ${pattern.substring(0, 60)}...`);
 
     res.json({ success: true, entry });
   } catch (err) {
-    console.error('[Self-Heal] Error adding entry:', err);
+    logger.error('[Self-Heal] Error adding entry:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2166,7 +2241,7 @@ app.get('/api/self-heal/log', (req, res) => {
     const entries = selfHealLog.getEntries(limit);
     res.json({ entries, count: entries.length });
   } catch (err) {
-    console.error('[Self-Heal] Error retrieving log:', err);
+    logger.error('[Self-Heal] Error retrieving log:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2177,7 +2252,7 @@ app.get('/api/self-heal/stats', (_req, res) => {
     const stats = selfHealLog.getStats();
     res.json(stats);
   } catch (err) {
-    console.error('[Self-Heal] Error getting stats:', err);
+    logger.error('[Self-Heal] Error getting stats:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2725,7 +2800,7 @@ app.get('/api/alerts/config', (_req, res) => {
         const existingConfig = JSON.parse(readFileSync(configPath, 'utf-8'));
         config = { ...config, ...existingConfig };
       } catch (err) {
-        console.warn('[API] Error loading alerts config:', err.message);
+        logger.warn('Error loading alerts config:', err.message);
       }
     }
 
@@ -2777,7 +2852,7 @@ app.post('/api/alerts/config', (req, res) => {
       try {
         config = JSON.parse(readFileSync(configPath, 'utf-8'));
       } catch (err) {
-        console.warn('[API] Error loading existing config:', err.message);
+        logger.warn('Error loading existing config:', err.message);
       }
     }
 
@@ -2798,7 +2873,7 @@ app.post('/api/alerts/config', (req, res) => {
 
     writeFileSync(configPath, JSON.stringify(config, null, 2));
 
-    console.log('[API] Alert configuration updated:', config);
+    logger.info('Alert configuration updated:', config);
 
     // Notify WebSocket server to reload config
     if (wsServer) {
@@ -2806,7 +2881,7 @@ app.post('/api/alerts/config', (req, res) => {
       setTimeout(() => {
         wsServer.alertManager.reloadConfig();
         wsServer.monitor.reloadConfig();
-        console.log('[API] Alert configuration reloaded in WebSocket server');
+        logger.info('Alert configuration reloaded in WebSocket server');
       }, 100);
     }
 
@@ -2836,7 +2911,7 @@ app.get('/api/alerts/delivery-config', (_req, res) => {
       try {
         config = JSON.parse(readFileSync(configPath, 'utf-8'));
       } catch (err) {
-        console.warn('[API] Error loading alerts config:', err.message);
+        logger.warn('Error loading alerts config:', err.message);
       }
     }
 
@@ -2863,7 +2938,7 @@ app.post('/api/alerts/delivery-config', (req, res) => {
       try {
         config = JSON.parse(readFileSync(configPath, 'utf-8'));
       } catch (err) {
-        console.warn('[API] Error loading existing config:', err.message);
+        logger.warn('Error loading existing config:', err.message);
       }
     }
 
@@ -2876,7 +2951,7 @@ app.post('/api/alerts/delivery-config', (req, res) => {
 
     writeFileSync(configPath, JSON.stringify(config, null, 2));
 
-    console.log(`[API] Alert delivery mode updated to: ${deliveryMode}`);
+    logger.info(`Alert delivery mode updated to: ${deliveryMode}`);
 
     if (wsServer) {
       setTimeout(() => {
@@ -2920,13 +2995,19 @@ app.get('*', (req, res) => {
 function start() {
   const HOST = process.env.DASHBOARD_HOST || '0.0.0.0';
   server.listen(PORT, HOST, () => {
-    console.log(`\n  localllm dashboard running at http://${HOST}:${PORT}\n`);
+    console.log(`\n  localllm dashboard running at http://${HOST}:${PORT} (profile: ${config.profile})\n`);
     if (HOST === '0.0.0.0') console.log(`  LAN access: http://192.168.1.49:${PORT}\n`);
     
     // Initialize WebSocket server for real-time agent monitoring
     wsServer = new DashboardWebSocketServer(server);
     console.log('  Real-time agent monitoring: ws://localhost:3847/ws\n');
   });
+
+  // Hot-reload config.local.json edits made elsewhere (`localllm config set`, an editor)
+  config.watch();
+  config.onChange(({ changed, errors }) => {
+    if (wsServer) wsServer.broadcast({ type: 'config_changed', changed, errors, timestamp: Date.now() });
+  });
 }
 
 module.exports = { start };
@@ -10,7 +10,9 @@ export async function fetchApi<T>(endpoint: string, options?: RequestInit): Prom
   });
 
   if (!response.ok) {
-    throw new Error(`API error: ${response.statusText}`);
+    // Prefer the server's { error } message (e.g. a validation error) over the status text
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error || `API error: ${response.statusText}`);
   }
 
   return response.json();
@@ -27,3 +29,11 @@ export async function postApi<T>(
     ...options,
   });
 }
+
+export async function putApi<T>(endpoint: string, data: unknown): Promise<T> {
+  return fetchApi<T>(endpoint, { method: 'PUT', body: JSON.stringify(data) });
+}
+
+export async function deleteApi<T>(endpoint: string): Promise<T> {
+  return fetchApi<T>(endpoint, { method: 'DELETE' });
+}
@@ -1,6 +1,6 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { fetchApi, postApi } from './client';
-import type { ServiceStatus, ModelsResponse, ContextMonitorData, AgentState } from '@/types';
+import { fetchApi, postApi, putApi, deleteApi } from './client';
+import type { ServiceStatus, ModelsResponse, ContextMonitorData, AgentState, LogFilters, LogsResponse, Trace, TracesResponse, ClassifierRule, ClassifierRulesResponse, ClassifierEmail, ClassifierExplainResponse } from '@/types';
 
 export const queryKeys = {
   status: ['status'] as const,
@@ -15,6 +15,10 @@ export const queryKeys = {
   zoidActivity: ['zoid', 'activity'] as const,
   daemons: ['daemons'] as const,
   daemonLogs: (label: string, src: string) => ['daemons', label, 'logs', src] as const,
+  logs: (filters: LogFilters) => ['logs', filters] as const,
+  traces: ['traces'] as const,
+  trace: (id: string) => ['traces', id] as const,
+  classifierRules: ['classifier', 'rules'] as const,
   memory: ['memory'] as const,
   memoryPerformance: ['memory', 'performance'] as const,
   ragChunks: (source: string, offset: number) => ['rag', 'chunks', source, offset] as const,
@@ -185,6 +189,37 @@ export function useDaemonLogs(label: string, src: 'out' | 'err', enabled: boolea
   });
 }
 
+// Structured logs
+export function useLogs(filters: LogFilters, paused: boolean = false) {
+  const params = new URLSearchParams({ limit: '300' });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
+  }
+  return useQuery({
+    queryKey: queryKeys.logs(filters),
+    queryFn: () => fetchApi<LogsResponse>(`/logs?${params}`),
+    refetchInterval: paused ? false : 3000,
+  });
+}
+
+// Tracing
+export function useTraces(paused: boolean = false) {
+  return useQuery({
+    queryKey: queryKeys.traces,
+    queryFn: () => fetchApi<TracesResponse>('/traces?limit=50'),
+    refetchInterval: paused ? false : 5000,
+  });
+}
+
+export function useTrace(id: string | null) {
+  return useQuery({
+    queryKey: queryKeys.trace(id || ''),
+    queryFn: () => fetchApi<Trace>(`/traces/${encodeURIComponent(id!)}`),
+    enabled: !!id,
+    retry: false,
+  });
+}
+
 export function useRestartDaemon() {
   const queryClient = useQueryClient();
 
@@ -302,6 +337,44 @@ export function useUpdateRouterPrompt() {
   });
 }
 
+// Classifier rules
+export function useClassifierRules() {
+  return useQuery({
+    queryKey: queryKeys.classifierRules,
+    queryFn: () => fetchApi<ClassifierRulesResponse>('/classifier/rules'),
+  });
+}
+
+export function useSaveClassifierRule() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    // originalId: the rule being edited (omit to add a new one)
+    mutationFn: ({ rule, originalId }: { rule: Partial<ClassifierRule>; originalId?: string }) =>
+      originalId
+        ? putApi<{ rule: ClassifierRule }>(`/classifier/rules/${encodeURIComponent(originalId)}`, rule)
+        : postApi<{ rule: ClassifierRule }>('/classifier/rules', rule),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.classifierRules });
+    },
+  });
+}
+
+export function useDeleteClassifierRule() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id: string) => deleteApi(`/classifier/rules/${encodeURIComponent(id)}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.classifierRules });
+    },
+  });
+}
+
+export function useExplainClassifier() {
+  return useMutation({
+    mutationFn: (email: ClassifierEmail) => postApi<ClassifierExplainResponse>('/classifier/explain', { email }),
+  });
+}
+
 export function useTestRoute() {
   return useMutation({
     mutationFn: (query: string) => fetchApi<any>(`/router/test?query=${encodeURIComponent(query)}`),
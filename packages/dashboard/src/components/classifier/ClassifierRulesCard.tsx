@@ -0,0 +1,257 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardContent, LoadingText, Button, Badge } from '@/components/ui';
+import {
+  useClassifierRules,
+  useSaveClassifierRule,
+  useDeleteClassifierRule,
+  useExplainClassifier,
+} from '@/api/queries';
+import { cn } from '@/utils/cn';
+import type { ClassifierRule, RuleExplanation } from '@/types';
+
+const inputClass =
+  'bg-bg-3 border border-border rounded px-3 py-1.5 text-sm text-text outline-none focus:border-accent';
+
+const EMPTY_RULE: ClassifierRule = { id: '', category: '', priority: 100, enabled: true, when: '' };
+
+export function ClassifierRulesCard() {
+  const { data, isLoading, error } = useClassifierRules();
+  const deleteRule = useDeleteClassifierRule();
+  const saveRule = useSaveClassifierRule();
+  // Rule id being edited, or '' for the add form
+  const [editing, setEditing] = useState<string | null>(null);
+
+  const rules = [...(data?.rules || [])].sort((a, b) => b.priority - a.priority);
+
+  return (
+    <Card>
+      <CardHeader>📨 Email Classifier Rules</CardHeader>
+      <CardContent>
+        {isLoading && <LoadingText />}
+        {error && <div className="text-red text-sm">Failed to load rules</div>}
+
+        {data && (
+          <>
+            <div className="flex items-center gap-3 mb-3 text-xs text-text-2">
+              <span className="flex-1">
+                Tried highest priority first; the first match decides the category.{' '}
+                {data.stored ? data.path : `Built-in rules (saved to ${data.path} on first edit)`}
+              </span>
+              <Button size="sm" onClick={() => setEditing('')} disabled={editing === ''}>
+                ＋ Add rule
+              </Button>
+            </div>
+
+            {editing === '' && <RuleEditor rule={EMPTY_RULE} onDone={() => setEditing(null)} />}
+
+            <div className="flex flex-col gap-2">
+              {rules.map((rule) =>
+                editing === rule.id ? (
+                  <RuleEditor key={rule.id} rule={rule} onDone={() => setEditing(null)} />
+                ) : (
+                  <div key={rule.id} className={cn('bg-bg-2 rounded p-2.5 text-sm', !rule.enabled && 'opacity-50')}>
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="text-text-2 font-mono w-10 text-right">{rule.priority}</span>
+                      <span className="font-mono">{rule.id}</span>
+                      <span className="text-text-2">→</span>
+                      <Badge variant="blue">{rule.category}</Badge>
+                      {!rule.enabled && <Badge variant="yellow">disabled</Badge>}
+                      <div className="ml-auto flex gap-2">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => saveRule.mutate({ rule: { enabled: !rule.enabled }, originalId: rule.id })}
+                        >
+                          {rule.enabled ? 'Disable' : 'Enable'}
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => setEditing(rule.id)}>
+                          ✏️ Edit
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="danger"
+                          onClick={() => {
+                            if (confirm(`Delete rule "${rule.id}"?`)) deleteRule.mutate(rule.id);
+                          }}
+                        >
+                          🗑
+                        </Button>
+                      </div>
+                    </div>
+                    {rule.description && <div className="text-xs text-text-2 ml-12 mb-1">{rule.description}</div>}
+                    <div className="font-mono text-xs text-text-2 ml-12 break-words">when {rule.when}</div>
+                  </div>
+                )
+              )}
+            </div>
+
+            <RuleTester />
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function RuleEditor({ rule, onDone }: { rule: ClassifierRule; onDone: () => void }) {
+  const saveRule = useSaveClassifierRule();
+  const [draft, setDraft] = useState<ClassifierRule>(rule);
+  const isNew = !rule.id;
+
+  const set = <K extends keyof ClassifierRule>(key: K, value: ClassifierRule[K]) =>
+    setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    try {
+      await saveRule.mutateAsync({
+        rule: { ...draft, id: draft.id || undefined, description: draft.description || undefined },
+        originalId: isNew ? undefined : rule.id,
+      });
+      onDone();
+    } catch {
+      // Shown below from saveRule.error
+    }
+  };
+
+  return (
+    <div className="bg-bg-2 border border-accent/50 rounded p-3 mb-2 flex flex-col gap-2">
+      <div className="flex flex-wrap gap-2">
+        <input
+          value={draft.id}
+          onChange={(e) => set('id', e.target.value)}
+          placeholder={isNew ? 'id (optional)' : 'id'}
+          className={cn(inputClass, 'w-40 font-mono')}
+        />
+        <input
+          value={draft.category}
+          onChange={(e) => set('category', e.target.value)}
+          placeholder="category"
+          className={cn(inputClass, 'w-40')}
+        />
+        <input
+          type="number"
+          value={draft.priority}
+          onChange={(e) => set('priority', Number(e.target.value))}
+          title="Priority (higher is tried first)"
+          className={cn(inputClass, 'w-24')}
+        />
+        <input
+          value={draft.description || ''}
+          onChange={(e) => set('description', e.target.value)}
+          placeholder="description"
+          className={cn(inputClass, 'flex-1 min-w-[160px]')}
+        />
+      </div>
+      <textarea
+        value={draft.when}
+        onChange={(e) => set('when', e.target.value)}
+        placeholder={'from contains "@acme.com" and (subject ~ /invoice/i or has attachment)'}
+        className="w-full h-20 bg-bg-3 border border-border rounded p-2 text-xs font-mono text-text resize-y"
+      />
+      {saveRule.error && <div className="text-red text-xs font-mono">{saveRule.error.message}</div>}
+      <div className="flex gap-2">
+        <Button size="sm" onClick={handleSave} disabled={saveRule.isPending || !draft.category || !draft.when}>
+          💾 {saveRule.isPending ? 'Saving...' : 'Save'}
+        </Button>
+        <Button size="sm" variant="outline" onClick={onDone}>
+          Cancel
+        </Button>
+        <span className="text-xs text-text-2 self-center">
+          Fields: from, to, cc, subject, body, label, header[Name], attachment.name/type/size, attachments · ops: ~ contains
+          = startswith endswith · and / or / not
+        </span>
+      </div>
+    </div>
+  );
+}
+
+function RuleTester() {
+  const explain = useExplainClassifier();
+  const [email, setEmail] = useState({ from: '', subject: '', body: '', labels: '' });
+
+  const handleTest = () =>
+    explain.mutate({
+      ...email,
+      labels: email.labels ? email.labels.split(',').map((label) => label.trim()) : [],
+    });
+
+  const fired = explain.data?.match;
+  // The rules tried up to and including the one that fired
+  const tried = explain.data
+    ? fired
+      ? explain.data.rules.slice(0, explain.data.rules.findIndex((r) => r.id === fired.rule) + 1)
+      : explain.data.rules
+    : [];
+
+  return (
+    <div className="border-t border-border pt-4 mt-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-2">
+        {(['from', 'subject', 'labels'] as const).map((key) => (
+          <input
+            key={key}
+            value={email[key]}
+            onChange={(e) => setEmail((prev) => ({ ...prev, [key]: e.target.value }))}
+            placeholder={key === 'labels' ? 'labels (comma-separated)' : key}
+            className={inputClass}
+          />
+        ))}
+        <input
+          value={email.body}
+          onChange={(e) => setEmail((prev) => ({ ...prev, body: e.target.value }))}
+          onKeyDown={(e) => e.key === 'Enter' && handleTest()}
+          placeholder="body"
+          className={inputClass}
+        />
+      </div>
+      <Button variant="outline" size="sm" onClick={handleTest} disabled={explain.isPending}>
+        🧪 Which rule fires?
+      </Button>
+
+      {explain.error && <div className="text-red text-sm mt-2">{explain.error.message}</div>}
+      {explain.data && (
+        <div className="bg-bg-3 rounded p-3 mt-2 font-mono text-xs">
+          <div className="mb-2 text-sm">
+            {fired ? (
+              <>
+                → <span className="font-bold">{fired.category}</span> (rule {fired.rule})
+                {explain.data.matches.length > 1 && (
+                  <span className="text-text-2">
+                    {' '}
+                    · also labeled{' '}
+                    {explain.data.matches
+                      .slice(1)
+                      .map((m) => m.category)
+                      .join(', ')}
+                  </span>
+                )}
+              </>
+            ) : (
+              <span className="text-text-2">No rule matched: classify falls back to the LLM</span>
+            )}
+          </div>
+          {tried.map((rule) => (
+            <div key={rule.id} className="mb-1">
+              <span className={rule.result ? 'text-green' : 'text-text-2'}>
+                {rule.result ? '✓' : '✗'} {rule.id} → {rule.category}
+              </span>
+              <ExplanationTree node={rule.explanation} depth={1} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ExplanationTree({ node, depth }: { node: RuleExplanation; depth: number }) {
+  const showChildren = (node.children?.length ?? 0) > 1 || node.condition.startsWith('not ');
+  return (
+    <>
+      <div style={{ paddingLeft: depth * 14 }} className={node.result ? 'text-green' : 'text-text-2'}>
+        {node.result ? '✓' : '✗'} {node.condition}
+        {node.matched && <span className="text-text"> ← "{node.matched}"</span>}
+      </div>
+      {showChildren && node.children!.map((child, i) => <ExplanationTree key={i} node={child} depth={depth + 1} />)}
+    </>
+  );
+}
@@ -0,0 +1 @@
+export { ClassifierRulesCard } from './ClassifierRulesCard';
@@ -21,6 +21,11 @@ export function Header() {
       <span className="text-sm text-text-2">
         {data?.ollama.healthy ? 'Ollama Connected' : 'Checking Ollama...'}
       </span>
+      {data?.profile && data.profile !== 'default' && (
+        <span className="text-xs px-2 py-0.5 rounded border border-border text-text-2" title="Config profile">
+          Profile: {data.profile}
+        </span>
+      )}
       <div className="ml-auto flex items-center gap-3">
         <Button size="sm" onClick={handleExportDiagnostics}>
           📥 Export Diagnostics
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardContent, LoadingText, Button, Badge } from '@/components/ui';
+import { useLogs } from '@/api/queries';
+import { cn } from '@/utils/cn';
+import type { BadgeVariant, LogFilters, LogLevel, LogRecord } from '@/types';
+
+const LEVELS: LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+const levelVariant: Record<LogLevel, BadgeVariant> = {
+  debug: 'purple',
+  info: 'blue',
+  warn: 'yellow',
+  error: 'red',
+};
+
+const inputClass =
+  'bg-bg-3 border border-border rounded px-3 py-1.5 text-sm text-text outline-none focus:border-accent';
+
+export function LogViewerCard() {
+  const [filters, setFilters] = useState<LogFilters>({ level: 'info' });
+  const [paused, setPaused] = useState(false);
+  const [expanded, setExpanded] = useState<number | null>(null);
+  const { data, isLoading, error } = useLogs(filters, paused);
+
+  const setFilter = (key: keyof LogFilters, value: string) =>
+    setFilters((prev) => ({ ...prev, [key]: value || undefined }));
+
+  // Newest first
+  const records = [...(data?.records || [])].reverse();
+
+  return (
+    <Card>
+      <CardHeader>📋 System Logs</CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap gap-2 mb-3">
+          <select
+            value={filters.level || ''}
+            onChange={(e) => setFilter('level', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">All levels</option>
+            {LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level}+
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.package || ''}
+            onChange={(e) => setFilter('package', e.target.value)}
+            placeholder="Package (e.g. triage)"
+            className={cn(inputClass, 'w-44')}
+          />
+          <input
+            type="text"
+            value={filters.requestId || ''}
+            onChange={(e) => setFilter('requestId', e.target.value)}
+            placeholder="Request id"
+            className={cn(inputClass, 'w-72 font-mono')}
+          />
+          <input
+            type="text"
+            value={filters.search || ''}
+            onChange={(e) => setFilter('search', e.target.value)}
+            placeholder="Search messages"
+            className={cn(inputClass, 'flex-1 min-w-[160px]')}
+          />
+          <Button size="sm" variant="outline" onClick={() => setPaused(!paused)}>
+            {paused ? '▶ Resume' : '⏸ Pause'}
+          </Button>
+        </div>
+
+        {isLoading && <LoadingText />}
+        {error && <div className="text-red text-sm">Failed to load logs</div>}
+
+        {data && (
+          <>
+            <div className="text-text-2 text-xs mb-2">
+              {records.length} record(s) · last {data.capacity} kept in memory · click a request id to follow it
+            </div>
+            <div className="bg-bg-2 rounded p-2 max-h-[600px] overflow-y-auto font-mono text-xs">
+              {records.length === 0 && <div className="text-text-2">No matching records</div>}
+              {records.map((record) => (
+                <LogLine
+                  key={record.seq}
+                  record={record}
+                  expanded={expanded === record.seq}
+                  onToggle={() => setExpanded(expanded === record.seq ? null : record.seq)}
+                  onRequestId={(requestId) => setFilters((prev) => ({ ...prev, requestId, level: undefined }))}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+interface LogLineProps {
+  record: LogRecord;
+  expanded: boolean;
+  onToggle: () => void;
+  onRequestId: (requestId: string) => void;
+}
+
+function LogLine({ record, expanded, onToggle, onRequestId }: LogLineProps) {
+  const { seq, time, level, msg, package: pkg, requestId, error, ...fields } = record;
+
+  return (
+    <div className="border-b border-border/50 py-1">
+      <div className="flex items-start gap-2 cursor-pointer" onClick={onToggle}>
+        <span className="text-text-2 shrink-0">{new Date(time).toLocaleTimeString()}</span>
+        <Badge variant={levelVariant[level]} className="shrink-0">
+          {level}
+        </Badge>
+        {pkg && <span className="text-accent shrink-0">{pkg}</span>}
+        <span className={cn('flex-1 break-words', level === 'error' ? 'text-red' : 'text-text')}>{msg}</span>
+        {requestId && (
+          <button
+            className="text-text-2 hover:text-accent shrink-0"
+            title={`Show request ${requestId}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onRequestId(requestId);
+            }}
+          >
+            {requestId.slice(0, 8)}
+          </button>
+        )}
+      </div>
+      {expanded && (
+        <pre className="mt-1 ml-4 text-text-2 whitespace-pre-wrap">
+          {JSON.stringify({ seq, requestId, ...fields, ...(error ? { error } : {}) }, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { LogViewerCard } from './LogViewerCard';
@@ -52,12 +52,63 @@ export function DaemonsCard() {
   );
 }
 
+/** Self-reported status from the daemon's HTTP endpoint (chat ingest: GET /status). */
+interface DaemonHealth {
+  status: string;
+  error?: string;
+  sources?: { kind: string; dir: string; mode: string }[];
+  queue?: {
+    depth: number;
+    retrying: number;
+    concurrency: number;
+    active: { kind: string; path: string; startedAt: string }[];
+    lastError: { message: string; at: string } | null;
+  };
+  lastIngest?: Record<string, string | null>;
+}
+
+function formatAgo(ts: string | null | undefined): string {
+  if (!ts) return 'never';
+  const s = Math.floor((Date.now() - new Date(ts).getTime()) / 1000);
+  if (s < 60) return `${s}s ago`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
+
+function DaemonHealthRow({ health }: { health: DaemonHealth }) {
+  if (!health.queue) {
+    return (
+      <div className="text-xs text-yellow mb-2">
+        Status endpoint {health.status}{health.error ? `: ${health.error}` : ''}
+      </div>
+    );
+  }
+  const { queue } = health;
+  const lastIngest = Object.entries(health.lastIngest || {})
+    .map(([kind, ts]) => `${kind} ${formatAgo(ts)}`)
+    .join(' · ');
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs text-text-2 mb-2">
+      <Badge variant={health.status === 'ok' ? 'green' : 'yellow'}>{health.status}</Badge>
+      <span>
+        Queue: {queue.depth} waiting, {queue.active.length}/{queue.concurrency} running
+        {queue.retrying > 0 && `, ${queue.retrying} retrying`}
+      </span>
+      <span>Last ingest: {lastIngest || 'never'}</span>
+      {health.sources && <span>Watching: {health.sources.map(s => `${s.kind} (${s.mode})`).join(', ')}</span>}
+      {queue.lastError && <span className="text-red">Last error: {queue.lastError.message}</span>}
+    </div>
+  );
+}
+
 interface DaemonItemProps {
   daemon: {
     label: string;
     name: string;
     running: boolean;
     pid?: number;
+    health?: DaemonHealth | null;
   };
   expandedLogs: { label: string; src: 'out' | 'err' } | null;
   onToggleLogs: (label: string, src: 'out' | 'err') => void;
@@ -85,6 +136,9 @@ function DaemonItem({ daemon, expandedLogs, onToggleLogs, onRestart }: DaemonIte
       {/* Label */}
       <div className="text-xs text-text-2 mb-2">{daemon.label}</div>
 
+      {/* Self-reported health */}
+      {daemon.health && <DaemonHealthRow health={daemon.health} />}
+
       {/* Actions */}
       <div className="flex gap-1.5">
         <Button
@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardContent, LoadingText, Button, Badge } from '@/components/ui';
+import { useTraces, useTrace } from '@/api/queries';
+import { cn } from '@/utils/cn';
+import type { Trace, TraceSpan } from '@/types';
+
+const inputClass =
+  'bg-bg-3 border border-border rounded px-3 py-1.5 text-sm text-text outline-none focus:border-accent';
+
+const formatMs = (ms: number | null) => (ms == null ? '—' : ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms.toFixed(1)}ms`);
+
+interface WaterfallRow {
+  span: TraceSpan;
+  depth: number;
+  offsetMs: number;
+}
+
+// Spans in tree order (children under their parent, by start time), with
+// their depth and start offset from the earliest span
+function waterfallRows(trace: Trace): WaterfallRow[] {
+  if (trace.spans.length === 0) return [];
+  const base = BigInt(trace.spans[0].startNs);
+  const ids = new Set(trace.spans.map((span) => span.spanId));
+  const children = new Map<string | null, TraceSpan[]>();
+  for (const span of trace.spans) {
+    // Parents that weren't recorded here (e.g. a remote caller) make a span a root
+    const parent = span.parentSpanId && ids.has(span.parentSpanId) ? span.parentSpanId : null;
+    children.set(parent, [...(children.get(parent) || []), span]);
+  }
+
+  const rows: WaterfallRow[] = [];
+  const visit = (parent: string | null, depth: number) => {
+    for (const span of children.get(parent) || []) {
+      rows.push({ span, depth, offsetMs: Number(BigInt(span.startNs) - base) / 1e6 });
+      visit(span.spanId, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return rows;
+}
+
+export function TraceWaterfallCard() {
+  const [selected, setSelected] = useState<string | null>(null);
+  const [lookup, setLookup] = useState('');
+  const [paused, setPaused] = useState(false);
+  const { data: list, isLoading, error: listError } = useTraces(paused);
+  const { data: trace, isLoading: traceLoading, error: traceError } = useTrace(selected);
+
+  return (
+    <Card>
+      <CardHeader>⏱️ Traces</CardHeader>
+      <CardContent>
+        <form
+          className="flex flex-wrap gap-2 mb-3"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (lookup.trim()) setSelected(lookup.trim());
+          }}
+        >
+          <input
+            type="text"
+            value={lookup}
+            onChange={(e) => setLookup(e.target.value)}
+            placeholder="Trace id or request id"
+            className={cn(inputClass, 'w-80 font-mono')}
+          />
+          <Button size="sm" type="submit">
+            Open
+          </Button>
+          <Button size="sm" variant="outline" type="button" onClick={() => setPaused(!paused)}>
+            {paused ? '▶ Resume' : '⏸ Pause'}
+          </Button>
+        </form>
+
+        {isLoading && <LoadingText />}
+        {listError && <div className="text-red text-sm">Failed to load traces</div>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-[320px_1fr] gap-4">
+          <div className="bg-bg-2 rounded p-2 max-h-[500px] overflow-y-auto text-xs">
+            {list && list.traces.length === 0 && <div className="text-text-2">No traces recorded yet</div>}
+            {list?.traces.map((summary) => (
+              <button
+                key={summary.traceId}
+                onClick={() => setSelected(summary.traceId)}
+                className={cn(
+                  'w-full text-left px-2 py-1.5 rounded border-b border-border/50 hover:bg-bg-3',
+                  selected === summary.traceId && 'bg-bg-3'
+                )}
+              >
+                <div className="flex items-center gap-2">
+                  <span className={cn('font-mono flex-1 truncate', summary.error ? 'text-red' : 'text-text')}>
+                    {summary.name}
+                  </span>
+                  <span className="text-text-2 shrink-0">{formatMs(summary.durationMs)}</span>
+                </div>
+                <div className="text-text-2">
+                  {new Date(summary.startTime).toLocaleTimeString()} · {summary.spanCount} spans
+                </div>
+              </button>
+            ))}
+          </div>
+
+          <div className="min-w-0">
+            {!selected && <div className="text-text-2 text-sm">Select a trace to see its spans</div>}
+            {selected && traceLoading && <LoadingText />}
+            {selected && traceError && (
+              <div className="text-red text-sm">Trace {selected} not found (not recorded, or no longer in memory)</div>
+            )}
+            {trace && <Waterfall trace={trace} />}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function Waterfall({ trace }: { trace: Trace }) {
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const rows = waterfallRows(trace);
+  const totalMs = Math.max(...rows.map((row) => row.offsetMs + row.span.durationMs), 0.001);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-text-2">
+        <span className="font-mono text-text">{trace.traceId}</span>
+        {trace.requestId && <span>request {trace.requestId}</span>}
+        <span>· {formatMs(trace.durationMs)}</span>
+        {trace.error && <Badge variant="red">error</Badge>}
+      </div>
+      <div className="bg-bg-2 rounded p-2 font-mono text-xs">
+        {rows.map(({ span, depth, offsetMs }) => (
+          <div key={span.spanId} className="border-b border-border/50 py-1">
+            <div
+              className="flex items-center gap-2 cursor-pointer"
+              onClick={() => setExpanded(expanded === span.spanId ? null : span.spanId)}
+            >
+              <span
+                className={cn('w-56 shrink-0 truncate', span.status.code === 'ERROR' ? 'text-red' : 'text-text')}
+                style={{ paddingLeft: depth * 12 }}
+                title={span.name}
+              >
+                {span.name}
+              </span>
+              <div className="relative flex-1 h-3 bg-bg-3 rounded">
+                <div
+                  className={cn('absolute h-3 rounded', span.status.code === 'ERROR' ? 'bg-red' : 'bg-accent')}
+                  style={{
+                    left: `${(offsetMs / totalMs) * 100}%`,
+                    width: `${Math.max((span.durationMs / totalMs) * 100, 0.5)}%`,
+                  }}
+                />
+              </div>
+              <span className="w-20 shrink-0 text-right text-text-2">{formatMs(span.durationMs)}</span>
+            </div>
+            {expanded === span.spanId && (
+              <pre className="mt-1 ml-4 text-text-2 whitespace-pre-wrap">
+                {JSON.stringify(
+                  {
+                    start: `+${formatMs(offsetMs)}`,
+                    status: span.status,
+                    attributes: span.attributes,
+                    ...(span.events.length ? { events: span.events } : {}),
+                  },
+                  null,
+                  2
+                )}
+              </pre>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
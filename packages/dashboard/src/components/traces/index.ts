@@ -0,0 +1 @@
+export { TraceWaterfallCard } from './TraceWaterfallCard';
@@ -9,6 +9,7 @@ import {
 import { PromptEditor } from '@/components/router';
 import { CompactionCard, EconomicsCard } from '@/components/config';
 import { SkillsCard } from '@/components/tools';
+import { ClassifierRulesCard } from '@/components/classifier';
 
 export function Config() {
   return (
@@ -16,6 +17,7 @@ export function Config() {
       <ClawdbotConfigCard />
       <MemoryConfigCard />
       <PromptEditor />
+      <ClassifierRulesCard />
       <CompactionCard />
       <EconomicsCard />
       <SkillsCard />
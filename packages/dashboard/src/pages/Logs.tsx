@@ -1,16 +1,13 @@
 import { Card, CardHeader, CardContent } from '@/components/ui';
+import { LogViewerCard } from '@/components/log-viewer';
+import { TraceWaterfallCard } from '@/components/traces';
 
 export function Logs() {
   return (
     <div className="max-w-[1400px] mx-auto p-6 flex flex-col gap-6">
-      <Card>
-        <CardHeader>📋 System Logs</CardHeader>
-        <CardContent>
-          <div className="text-text-2 text-sm">
-            Log viewer - Coming soon
-          </div>
-        </CardContent>
-      </Card>
+      <LogViewerCard />
+
+      <TraceWaterfallCard />
 
       <Card>
         <CardHeader>📦 Package Health</CardHeader>
@@ -12,6 +12,7 @@ export interface DatabaseInfo {
 }
 
 export interface ServiceStatus {
+  profile: string;
   ollama: OllamaStatus;
   whisper: {
     found: boolean;
@@ -116,3 +117,102 @@ export interface ModelManagerModel {
 export interface ModelManagerResponse {
   models: ModelManagerModel[];
 }
+
+// Structured logs (shared/logger.js ring buffer)
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogRecord {
+  seq: number;
+  time: string;
+  level: LogLevel;
+  msg: string;
+  package?: string;
+  component?: string;
+  requestId?: string;
+  sessionId?: string;
+  error?: { name: string; message: string; code?: string; stack?: string };
+  [field: string]: unknown;
+}
+
+export interface LogFilters {
+  level?: LogLevel;
+  package?: string;
+  requestId?: string;
+  search?: string;
+}
+
+export interface LogsResponse {
+  records: LogRecord[];
+  capacity: number;
+}
+
+// Tracing (shared/tracing.js recent traces)
+export type SpanStatusCode = 'UNSET' | 'OK' | 'ERROR';
+
+export interface TraceSpan {
+  traceId: string;
+  spanId: string;
+  parentSpanId: string | null;
+  name: string;
+  startTime: string;
+  startNs: string;
+  durationMs: number;
+  attributes: Record<string, unknown>;
+  events: { name: string; offsetMs: number; attributes: Record<string, unknown> }[];
+  status: { code: SpanStatusCode; message?: string };
+}
+
+export interface TraceSummary {
+  traceId: string;
+  name: string;
+  startTime: string;
+  durationMs: number | null;
+  spanCount: number;
+  error: boolean;
+  requestId: string | null;
+}
+
+export interface Trace extends TraceSummary {
+  spans: TraceSpan[];
+}
+
+export interface TracesResponse {
+  traces: TraceSummary[];
+}
+
+// Classifier rule store (packages/classifier/rule-store.js)
+export interface ClassifierRule {
+  id: string;
+  category: string;
+  priority: number;
+  enabled: boolean;
+  description?: string;
+  when: string;
+}
+
+export interface ClassifierRulesResponse {
+  path: string;
+  stored: boolean;
+  rules: ClassifierRule[];
+}
+
+export interface ClassifierEmail {
+  from: string;
+  subject: string;
+  body: string;
+  labels: string[];
+}
+
+export interface RuleExplanation {
+  condition: string;
+  result: boolean;
+  matched?: string;
+  children?: RuleExplanation[];
+}
+
+export interface ClassifierExplainResponse {
+  match: { category: string; rule: string } | null;
+  /** Every rule that holds; each adds its category as a label */
+  matches: { category: string; rule: string }[];
+  rules: { id: string; category: string; priority: number; result: boolean; explanation: RuleExplanation }[];
+}
@@ -8,6 +8,7 @@
 const WebSocket = require('ws');
 const AgentWatcher = require('../agent-watcher/watcher');
 const AlertManager = require('./alert-manager.cjs');
+const logger = require('../../shared/logger').child({ package: 'dashboard', component: 'websocket' });
 
 class DashboardWebSocketServer {
   constructor(httpServer) {
@@ -22,7 +23,7 @@ class DashboardWebSocketServer {
   init() {
     // Handle new WebSocket connections
     this.wss.on('connection', (ws, req) => {
-      console.log('[WebSocket] Client connected from', req.socket.remoteAddress);
+      logger.info('Client connected from', req.socket.remoteAddress);
       this.clients.add(ws);
       
       // Send initial state to new client
@@ -34,18 +35,18 @@ class DashboardWebSocketServer {
           const message = JSON.parse(data);
           this.handleClientMessage(ws, message);
         } catch (err) {
-          console.error('[WebSocket] Error parsing message:', err);
+          logger.error('Error parsing message:', err);
         }
       });
       
       // Handle client disconnect
       ws.on('close', () => {
-        console.log('[WebSocket] Client disconnected');
+        logger.info('Client disconnected');
         this.clients.delete(ws);
       });
       
       ws.on('error', (err) => {
-        console.error('[WebSocket] Client error:', err);
+        logger.error('Client error:', err);
         this.clients.delete(ws);
       });
     });
@@ -56,7 +57,7 @@ class DashboardWebSocketServer {
 
     // Start watcher - auto-detects all agent sessions
     this.watcher.start().catch((err) => {
-      console.error('[WebSocket] Failed to start agent watcher:', err);
+      logger.error('Failed to start agent watcher:', err);
     });
 
     // Periodically broadcast agent status updates
@@ -120,7 +121,7 @@ class DashboardWebSocketServer {
       this.startBatchFlushTimer();
     }
 
-    console.log('[WebSocket] Server initialized with agent-watcher');
+    logger.info('Server initialized with agent-watcher');
   }
 
   startBatchFlushTimer() {
@@ -139,18 +140,18 @@ class DashboardWebSocketServer {
         for (const alert of alerts) {
           this.notifyZoid(alert.event, alert.data);
         }
-        console.log(`[WebSocket] Auto-flushed ${alerts.length} batched alert(s)`);
+        logger.info(`Auto-flushed ${alerts.length} batched alert(s)`);
       }
     }, intervalMs);
 
-    console.log(`[WebSocket] Batch flush timer started (every ${config.batchWindowSeconds}s)`);
+    logger.info(`Batch flush timer started (every ${config.batchWindowSeconds}s)`);
   }
 
   stopBatchFlushTimer() {
     if (this.batchFlushInterval) {
       clearInterval(this.batchFlushInterval);
       this.batchFlushInterval = null;
-      console.log('[WebSocket] Batch flush timer stopped');
+      logger.info('Batch flush timer stopped');
     }
   }
   
@@ -176,12 +177,12 @@ class DashboardWebSocketServer {
     });
     
     if (sent > 0) {
-      console.log(`[WebSocket] Broadcasted ${message.type} to ${sent} client(s)`);
+      logger.info(`Broadcasted ${message.type} to ${sent} client(s)`);
     }
   }
   
   handleClientMessage(ws, message) {
-    console.log('[WebSocket] Received:', message.action, 'for', message.session);
+    logger.info('Received:', message.action, 'for', message.session);
 
     switch (message.action) {
       case 'nudge':
@@ -209,7 +210,7 @@ class DashboardWebSocketServer {
         this.handleFlushBatch();
         break;
       default:
-        console.warn('[WebSocket] Unknown action:', message.action);
+        logger.warn('Unknown action:', message.action);
     }
   }
 
@@ -223,7 +224,7 @@ class DashboardWebSocketServer {
       timestamp: Date.now(),
     });
 
-    console.log('[WebSocket] Alert configuration reloaded');
+    logger.info('Alert configuration reloaded');
   }
 
   handleFlushBatch() {
@@ -240,16 +241,16 @@ class DashboardWebSocketServer {
       timestamp: Date.now(),
     });
 
-    console.log(`[WebSocket] Manually flushed ${alerts.length} alert(s)`);
+    logger.info(`Manually flushed ${alerts.length} alert(s)`);
   }
   
   handleNudge(session) {
-    console.log(`[WebSocket] Nudge requested for ${session}`);
+    logger.info(`Nudge requested for ${session}`);
 
     // Get current state from watcher
     const sessionState = this.watcher.sessions.get(session);
     if (!sessionState) {
-      console.warn(`[WebSocket] Session ${session} not found`);
+      logger.warn(`Session ${session} not found`);
       return;
     }
 
@@ -277,7 +278,7 @@ class DashboardWebSocketServer {
   }
   
   handleSendCommand(session, command) {
-    console.log(`[WebSocket] Command for ${session}: ${command}`);
+    logger.info(`Command for ${session}: ${command}`);
 
     // Send to tmux via watcher
     try {
@@ -289,7 +290,7 @@ class DashboardWebSocketServer {
         timestamp: Date.now(),
       });
     } catch (err) {
-      console.error(`[WebSocket] Error sending command to ${session}:`, err);
+      logger.error(`Error sending command to ${session}:`, err);
       this.broadcast({
         type: 'command_failed',
         session,
@@ -300,13 +301,13 @@ class DashboardWebSocketServer {
   }
   
   handleKill(session) {
-    console.log(`[WebSocket] Kill requested for ${session}`);
+    logger.info(`Kill requested for ${session}`);
 
     // Kill tmux session
     const { execFile } = require('child_process');
     execFile('tmux', ['kill-session', '-t', session], (err) => {
       if (err) {
-        console.error(`[WebSocket] Error killing ${session}:`, err);
+        logger.error(`Error killing ${session}:`, err);
         this.broadcast({
           type: 'kill_failed',
           session,
@@ -388,7 +389,7 @@ class DashboardWebSocketServer {
         const config = JSON.parse(readFileSync(configPath, 'utf-8'));
         deliveryMode = config.deliveryMode || 'system';
       } catch (err) {
-        console.warn('[WebSocket] Error loading alerts config:', err.message);
+        logger.warn('Error loading alerts config:', err.message);
       }
     }
 
@@ -396,17 +397,17 @@ class DashboardWebSocketServer {
       // Direct Telegram message - user sees alert immediately
       execFile('clawdbot', ['message', 'send', '--channel', 'telegram', '--message', message, '--json'], { timeout: 5000 }, (err, stdout, stderr) => {
         if (err) {
-          console.error('[WebSocket] Error sending direct message:', err.message);
-          if (stderr) console.error('[WebSocket] stderr:', stderr);
+          logger.error('Error sending direct message:', err.message);
+          if (stderr) logger.error('stderr:', stderr);
         } else {
-          console.log(`[WebSocket] ✅ Direct message sent for ${event} (${data.session})`);
+          logger.info(`✅ Direct message sent for ${event} (${data.session})`);
           try {
             const result = JSON.parse(stdout);
             if (result.error) {
-              console.error('[WebSocket] Clawdbot error:', result.error);
+              logger.error('Clawdbot error:', result.error);
             }
           } catch (parseErr) {
-            console.log('[WebSocket] Clawdbot output:', stdout.trim());
+            logger.info('Clawdbot output:', stdout.trim());
           }
         }
       });
@@ -414,17 +415,17 @@ class DashboardWebSocketServer {
       // System event - only agent (Zoid) sees it and filters
       execFile('clawdbot', ['system', 'event', '--text', message, '--mode', 'now', '--json'], { timeout: 5000 }, (err, stdout, stderr) => {
         if (err) {
-          console.error('[WebSocket] Error notifying Zoid:', err.message);
-          if (stderr) console.error('[WebSocket] stderr:', stderr);
+          logger.error('Error notifying Zoid:', err.message);
+          if (stderr) logger.error('stderr:', stderr);
         } else {
-          console.log(`[WebSocket] ✅ System event sent to Zoid for ${event} (${data.session})`);
+          logger.info(`✅ System event sent to Zoid for ${event} (${data.session})`);
           try {
             const result = JSON.parse(stdout);
             if (result.error) {
-              console.error('[WebSocket] Clawdbot error:', result.error);
+              logger.error('Clawdbot error:', result.error);
             }
           } catch (parseErr) {
-            console.log('[WebSocket] Clawdbot output:', stdout.trim());
+            logger.info('Clawdbot output:', stdout.trim());
           }
         }
       });
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 const { Command } = require('commander');
 const { embed, batchEmbed, compare } = require('./index');
+const { migrateEmbeddings, embeddingStatus } = require('./migrate');
 
 const program = new Command();
 
@@ -51,4 +52,50 @@ program
     }
   });
 
+program
+  .command('status')
+  .description('Show which embedding model produced the vectors in each index')
+  .option('--memory-db <path>', 'Memory index database path')
+  .option('--chat-db <path>', 'Chat index database path')
+  .action((options) => {
+    try {
+      const databases = embeddingStatus({ memoryDb: options.memoryDb, chatDb: options.chatDb });
+      for (const database of databases) {
+        console.log(`${database.path} (active: ${database.activeModel})`);
+        for (const [table, info] of Object.entries(database.tables)) {
+          console.log(`  ${table}: ${info.rows} rows ${JSON.stringify(info.models)}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('migrate')
+  .description('Re-embed every index with a new model, then switch to it atomically')
+  .requiredOption('--to <model>', 'Target embedding model')
+  .option('--memory-db <path>', 'Memory index database path')
+  .option('--chat-db <path>', 'Chat index database path')
+  .option('--no-config', 'Do not update models.embed in config.local.json after switching')
+  .action(async (options) => {
+    try {
+      const result = await migrateEmbeddings(options.to, {
+        memoryDb: options.memoryDb,
+        chatDb: options.chatDb,
+        writeConfig: options.config,
+        onProgress: ({ table, done, total }) => process.stdout.write(`\r  ${table}: ${done}/${total}${done === total ? '\n' : ''}`),
+      });
+      if (!result.switched) {
+        console.error(`${result.failed} rows failed to embed with ${result.model}; nothing switched. Re-run to retry.`);
+        process.exit(1);
+      }
+      console.log(`Switched to ${result.model} (${result.dimension} dimensions)`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -1,16 +1,16 @@
-const { embed } = require('../../shared/ollama');
+const { cachedEmbed } = require('../../shared/embedding-cache');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'embeddings' });
 
 async function generateEmbed(text, model = config.models.embed) {
   logger.debug(`Generating embedding for text: ${text.slice(0, 50)}...`);
-  const response = await embed(model, text);
+  const response = await cachedEmbed(model, text);
   return response.embeddings[0];
 }
 
 async function batchEmbed(texts, model = config.models.embed) {
   logger.debug(`Generating ${texts.length} embeddings`);
-  const response = await embed(model, texts);
+  const response = await cachedEmbed(model, texts);
   return response.embeddings;
 }
 
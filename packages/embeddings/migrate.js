@@ -0,0 +1,365 @@
+const { existsSync } = require('fs');
+const { cachedEmbed } = require('../../shared/embedding-cache');
+const config = require('../../shared/config');
+const logger = require('../../shared/logger').child({ package: 'embeddings' });
+const {
+  EMBEDDING_TABLES,
+  normalizeModel,
+  ensureEmbeddingSchema,
+  getActiveModel,
+  setActiveModel,
+  invalidateActiveModelCache,
+} = require('../../shared/embedding-meta');
+
+const BATCH_SIZE = 10;
+const MAX_EMBED_CHARS = 1500;   // Same truncation as ingestion
+const MAX_CATCH_UP_ROUNDS = 3;  // Re-fill passes for rows ingested mid-migration
+
+function embeddingToBuffer(embedding) {
+  const buffer = Buffer.alloc(embedding.length * 4);
+  for (let i = 0; i < embedding.length; i++) {
+    buffer.writeFloatLE(embedding[i], i * 4);
+  }
+  return buffer;
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+
+/**
+ * Open every existing index database writable, with provenance columns in place.
+ * @returns {Array<{ key: string, path: string, db: import('better-sqlite3').Database, tables: string[] }>}
+ */
+function openIndexes(opts = {}) {
+  const Database = require('better-sqlite3');
+  const paths = {
+    searchDb: opts.memoryDb || config.paths.searchDb,
+    chatDb: opts.chatDb || config.paths.chatDb,
+  };
+
+  const indexes = [];
+  for (const [key, tables] of Object.entries(EMBEDDING_TABLES)) {
+    if (!existsSync(paths[key])) continue;
+    const db = new Database(paths[key]);
+    const present = tables.filter(t => tableExists(db, t));
+    for (const table of present) ensureEmbeddingSchema(db, table);
+    indexes.push({ key, path: paths[key], db, tables: present });
+  }
+  return indexes;
+}
+
+/**
+ * Per-database embedding model breakdown.
+ * @param {object} [opts]
+ * @param {string} [opts.memoryDb]
+ * @param {string} [opts.chatDb]
+ * @returns {Array<{ path, activeModel, tables: Object<string, { rows, models: Object<string, number>, shadow: Object<string, number> }> }>}
+ */
+function embeddingStatus(opts = {}) {
+  const indexes = openIndexes(opts);
+  try {
+    return indexes.map(({ path, db, tables }) => {
+      const perTable = {};
+      for (const table of tables) {
+        const models = {};
+        for (const row of db.prepare(`
+          SELECT COALESCE(embed_model, '(none)') AS model, embed_dim AS dim, COUNT(*) AS count
+          FROM ${table} GROUP BY embed_model, embed_dim
+        `).all()) {
+          models[row.dim ? `${row.model} (${row.dim}d)` : row.model] = row.count;
+        }
+        const shadow = {};
+        for (const row of db.prepare(`
+          SELECT shadow_model AS model, COUNT(*) AS count
+          FROM ${table} WHERE shadow_model IS NOT NULL GROUP BY shadow_model
+        `).all()) {
+          shadow[row.model] = row.count;
+        }
+        perTable[table] = {
+          rows: db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count,
+          models,
+          shadow,
+        };
+      }
+      return { path, activeModel: getActiveModel(db), tables: perTable };
+    });
+  } finally {
+    for (const { db } of indexes) db.close();
+  }
+}
+
+function countPending(db, table, model) {
+  return db.prepare(`
+    SELECT COUNT(*) AS count FROM ${table}
+    WHERE embed_model IS NOT ? AND shadow_model IS NOT ?
+  `).get(model, model).count;
+}
+
+/**
+ * Embed every row of a table that is not yet on `model` into the shadow columns.
+ * Resumable: rows already shadowed with `model` are skipped.
+ * @returns {Promise<{ embedded: number, failed: number }>}
+ */
+async function fillShadow(db, table, model, dim, onProgress) {
+  const total = countPending(db, table, model);
+  const select = db.prepare(`
+    SELECT id, text FROM ${table}
+    WHERE id > ? AND embed_model IS NOT ? AND shadow_model IS NOT ?
+    ORDER BY id LIMIT ?
+  `);
+  const update = db.prepare(`UPDATE ${table} SET shadow_embedding = ?, shadow_model = ? WHERE id = ?`);
+  const save = db.transaction((items) => {
+    for (const item of items) update.run(item.buffer, model, item.id);
+  });
+
+  let lastId = 0;
+  let embedded = 0;
+  let failed = 0;
+
+  for (;;) {
+    const rows = select.all(lastId, model, model, BATCH_SIZE);
+    if (rows.length === 0) break;
+    lastId = rows[rows.length - 1].id;
+
+    const texts = rows.map(r => r.text.length > MAX_EMBED_CHARS ? r.text.slice(0, MAX_EMBED_CHARS) : r.text);
+    let vectors;
+    try {
+      vectors = (await cachedEmbed(model, texts, { scope: 'index' })).embeddings;
+    } catch (err) {
+      // One bad text can poison the batch — retry individually
+      logger.debug(`Migrate ${table}: batch error, falling back to individual: ${err.message}`);
+      vectors = [];
+      for (const text of texts) {
+        try {
+          vectors.push((await cachedEmbed(model, text, { scope: 'index' })).embeddings[0]);
+        } catch {
+          vectors.push(null);
+        }
+      }
+    }
+
+    const items = [];
+    rows.forEach((row, i) => {
+      if (vectors[i] && vectors[i].length === dim) {
+        items.push({ id: row.id, buffer: embeddingToBuffer(vectors[i]) });
+      } else {
+        failed++;
+        logger.error(`Migrate ${table}: could not embed row ${row.id}: ${row.text.slice(0, 60)}...`);
+      }
+    });
+    save(items);
+    embedded += items.length;
+
+    if (onProgress) onProgress({ table, done: embedded + failed, total });
+  }
+
+  return { embedded, failed };
+}
+
+/**
+ * Swap shadow embeddings into place and record the new active model, in one
+ * transaction. Refuses (returns the pending count) if any row is still missing
+ * a `model` embedding, e.g. because it was ingested after its table was filled.
+ * The replaced vectors move to the shadow columns, so the switch can be undone
+ * with restoreModel() until dropPreviousVectors() runs.
+ * @returns {number} Rows still pending (0 = switched)
+ */
+function switchModel(db, tables, model) {
+  return db.transaction(() => {
+    const pending = tables.reduce((sum, t) => sum + countPending(db, t, model), 0);
+    if (pending > 0) return pending;
+
+    for (const table of tables) {
+      // Leftovers from an abandoned migration to some other model
+      db.prepare(`
+        UPDATE ${table} SET shadow_embedding = NULL, shadow_model = NULL
+        WHERE shadow_model IS NOT NULL AND shadow_model IS NOT ?
+      `).run(model);
+      db.prepare(`
+        UPDATE ${table} SET
+          embedding = shadow_embedding,
+          embed_model = shadow_model,
+          embed_dim = length(shadow_embedding) / 4,
+          shadow_embedding = embedding,
+          shadow_model = embed_model
+        WHERE shadow_model = ?
+      `).run(model);
+    }
+    setActiveModel(db, model);
+    return 0;
+  }).immediate();
+}
+
+/**
+ * Undo switchModel(): put the previous vectors back and record `previousModel`
+ * as active again. The `model` vectors return to the shadow columns, so a
+ * re-run does not embed them again.
+ */
+function restoreModel(db, tables, model, previousModel) {
+  db.transaction(() => {
+    for (const table of tables) {
+      db.prepare(`
+        UPDATE ${table} SET
+          embedding = shadow_embedding,
+          embed_model = shadow_model,
+          embed_dim = length(shadow_embedding) / 4,
+          shadow_embedding = embedding,
+          shadow_model = embed_model
+        WHERE embed_model = ? AND shadow_model IS NOT NULL
+      `).run(model);
+    }
+    setActiveModel(db, previousModel);
+  }).immediate();
+}
+
+/**
+ * Forget the vectors a switch replaced, once every database has switched.
+ */
+function dropPreviousVectors(db, tables) {
+  for (const table of tables) {
+    db.prepare(`UPDATE ${table} SET shadow_embedding = NULL, shadow_model = NULL WHERE shadow_model IS NOT NULL`).run();
+  }
+}
+
+function totalPending(indexes, model) {
+  return indexes.reduce((sum, { db, tables }) =>
+    sum + tables.reduce((n, t) => n + countPending(db, t, model), 0), 0);
+}
+
+/**
+ * Point config.models.embed / config.embedding.dimension at the migrated model
+ * (config.local.json), so fresh databases and tooling agree with the index.
+ */
+function writeConfigOverrides(model, dim) {
+  config.setOverrides({ models: { embed: model }, embedding: { dimension: dim } });
+}
+
+/**
+ * Re-embed every chunk table with a new model and switch to it.
+ *
+ * Vectors are written to the shadow_* columns while searches keep using the
+ * current model. Once every row of every database has a shadow vector, the
+ * databases switch one after the other, each in a single transaction (vectors
+ * + embedding_meta). Searches embed queries with the memory index's model, so
+ * the databases must not disagree: if one fails to switch, those already
+ * switched are switched back and the error is thrown. Nothing switches if any
+ * row failed to embed — fix the cause and re-run, finished rows are not
+ * re-embedded.
+ *
+ * @param {string} targetModel - Ollama embedding model, e.g. 'nomic-embed-text'
+ * @param {object} [opts]
+ * @param {string} [opts.memoryDb] - memory.db path
+ * @param {string} [opts.chatDb] - chat-memory.db path
+ * @param {boolean} [opts.writeConfig=true] - Update config.local.json after switching
+ * @param {(p: { path: string, table: string, done: number, total: number }) => void} [opts.onProgress]
+ * @returns {Promise<{ model: string, dimension: number, switched: boolean, databases: Array }>}
+ * @throws {Error} If a database could not switch. `.switched` lists databases
+ *   left on the new model because switching them back failed too.
+ */
+async function migrateEmbeddings(targetModel, opts = {}) {
+  const model = normalizeModel(targetModel);
+  if (!model) throw new Error('Target embedding model is required');
+
+  let dim;
+  try {
+    dim = (await cachedEmbed(model, 'dimension probe', { scope: 'index' })).embeddings[0].length;
+  } catch (err) {
+    throw new Error(`Cannot embed with ${model}: ${err.message}`);
+  }
+  logger.info(`Embedding migration → ${model} (${dim} dimensions)`);
+
+  const indexes = openIndexes(opts);
+  const databases = [];
+  let failed = 0;
+
+  const fillAll = async (onProgress) => {
+    for (const [i, { path, db, tables }] of indexes.entries()) {
+      for (const table of tables) {
+        const result = await fillShadow(db, table, model, dim, onProgress && (p => onProgress({ path, ...p })));
+        const summary = databases[i].tables[table] || { embedded: 0, failed: 0 };
+        databases[i].tables[table] = { embedded: summary.embedded + result.embedded, failed: summary.failed + result.failed };
+        failed += result.failed;
+      }
+    }
+  };
+
+  try {
+    for (const { path, db } of indexes) {
+      databases.push({ path, from: getActiveModel(db), tables: {}, switched: false });
+    }
+    await fillAll(opts.onProgress);
+
+    // Rows ingested while the tables were filling: every database must be
+    // complete before any of them switches
+    let pending = failed > 0 ? 0 : totalPending(indexes, model);
+    for (let round = 0; pending > 0 && failed === 0 && round < MAX_CATCH_UP_ROUNDS; round++) {
+      logger.info(`Embedding migration: ${pending} rows arrived during migration, catching up`);
+      await fillAll();
+      pending = totalPending(indexes, model);
+    }
+
+    if (failed > 0) {
+      logger.error(`Embedding migration: ${failed} rows failed to embed; nothing switched (re-run to retry)`);
+      return { model, dimension: dim, switched: false, failed, databases };
+    }
+    if (pending > 0) {
+      throw new Error(`${pending} rows still have no ${model} embedding; nothing switched, re-run the migration`);
+    }
+
+    const switched = [];
+    try {
+      for (const [i, { path, db, tables }] of indexes.entries()) {
+        let pending = switchModel(db, tables, model);
+        for (let round = 0; pending > 0 && round < MAX_CATCH_UP_ROUNDS; round++) {
+          logger.info(`Embedding migration: ${pending} rows arrived during migration in ${path}, catching up`);
+          for (const table of tables) await fillShadow(db, table, model, dim);
+          pending = switchModel(db, tables, model);
+        }
+        if (pending > 0) {
+          throw new Error(`${path} still has ${pending} rows without a ${model} embedding`);
+        }
+        switched.push(i);
+      }
+    } catch (err) {
+      const stuck = [];
+      for (const i of switched.reverse()) {
+        const { path, db, tables } = indexes[i];
+        try {
+          restoreModel(db, tables, model, databases[i].from);
+          logger.warn(`Embedding migration: switched ${path} back to ${databases[i].from}`);
+        } catch (restoreErr) {
+          logger.error(`Embedding migration: could not switch ${path} back to ${databases[i].from}: ${restoreErr.message}`);
+          stuck.push(path);
+        }
+      }
+      if (stuck.length > 0) {
+        throw Object.assign(new Error(`Embedding migration failed half-way (${err.message}); ` +
+          `${stuck.join(', ')} switched to ${model} and could not be switched back. Re-run the migration to finish it`),
+        { switched: stuck });
+      }
+      throw new Error(`Embedding migration failed (${err.message}); nothing switched, re-run the migration`);
+    }
+
+    for (const [i, { path, db, tables }] of indexes.entries()) {
+      dropPreviousVectors(db, tables);
+      databases[i].switched = true;
+      logger.info(`Embedding migration: ${path} switched to ${model}`);
+    }
+  } finally {
+    for (const { db } of indexes) db.close();
+  }
+
+  if (opts.writeConfig !== false) writeConfigOverrides(model, dim);
+
+  // Same-process caches (other processes pick the change up via embedding_meta)
+  invalidateActiveModelCache();
+  try {
+    require('../chat-ingest/vector-index').vectorIndex.invalidate();
+    require('../chat-ingest/unified-search').invalidatePool();
+  } catch {}
+
+  return { model, dimension: dim, switched: true, failed: 0, databases };
+}
+
+module.exports = { migrateEmbeddings, embeddingStatus };
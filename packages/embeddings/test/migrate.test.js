@@ -0,0 +1,193 @@
+/**
+ * Embedding Migration Tests (packages/embeddings/migrate.js: resumable shadow fill,
+ * catch-up rounds, switching every database or none)
+ */
+
+const { mkdtempSync, mkdirSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock embeddings and scratch paths before config loads; searches scan SQLite directly
+const dir = mkdtempSync(join(tmpdir(), 'embeddings-migrate-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_PATHS__SEARCH_DB: join(dir, 'memory.db'),
+  LOCALLLM_CONTEXT_PIPELINE__VECTOR_INDEX__ENABLED: 'false',
+  LOCALLLM_CONTEXT_PIPELINE__FEATURES__CONNECTION_POOL: 'false',
+  LOCALLLM_SEARCH__DIVERSIFY__ENABLED: 'false',
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+// Texts containing FAIL cannot be embedded with the new model while `failing` is set
+// (patched before migrate.js takes its reference)
+const ollama = require('../../../shared/ollama');
+const { embed } = ollama;
+let failing = true;
+ollama.embed = (model, input, opts) => {
+  const texts = Array.isArray(input) ? input : [input];
+  if (failing && model === NEW && texts.some(t => t.includes('FAIL'))) {
+    return Promise.reject(new Error('model server returned 500'));
+  }
+  return embed(model, input, opts);
+};
+
+const { migrateEmbeddings, embeddingStatus } = require('../migrate');
+const { initDb: initMemoryDb } = require('../../search/indexer');
+const { initDb: initChatDb, embeddingToBuffer } = require('../../chat-ingest/ingest');
+const { unifiedSearch } = require('../../chat-ingest/unified-search');
+const { getActiveModel, invalidateActiveModelCache } = require('../../../shared/embedding-meta');
+
+const OLD = 'mock/embed';
+const NEW = 'mock/embed-v2';
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+async function vector(text) {
+  return embeddingToBuffer((await embed(OLD, text)).embeddings[0]);
+}
+
+function addMemoryChunk(db, text, embedding) {
+  db.prepare(`
+    INSERT INTO chunks (file, start_line, end_line, text, embedding, embed_model, embed_dim)
+    VALUES ('notes.md', 1, 1, ?, ?, ?, 32)
+  `).run(text, embedding, OLD);
+}
+
+async function addChatChunk(db, text) {
+  db.prepare(`
+    INSERT INTO chat_chunks (session_id, file, text, embedding, embed_model, embed_dim)
+    VALUES ('s1', 'a.jsonl', ?, ?, ?, 32)
+  `).run(text, await vector(text), OLD);
+}
+
+// A memory and a chat index on the old model, in their own directory
+async function makeIndexes(name, { memory = [], chat = [] }) {
+  const paths = { memoryDb: join(dir, name, 'memory.db'), chatDb: join(dir, name, 'chat.db') };
+  mkdirSync(join(dir, name));
+  const memoryDb = initMemoryDb(paths.memoryDb);
+  for (const text of memory) addMemoryChunk(memoryDb, text, await vector(text));
+  memoryDb.close();
+  const chatDb = initChatDb(paths.chatDb);
+  for (const text of chat) await addChatChunk(chatDb, text);
+  chatDb.close();
+  return paths;
+}
+
+function withDb(path, fn) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path);
+  try {
+    return fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+const models = (path, table) =>
+  withDb(path, db => db.prepare(`SELECT embed_model, shadow_model FROM ${table} ORDER BY id`).all());
+const activeModel = path => withDb(path, getActiveModel);
+
+test('a failed fill switches nothing, and the re-run embeds only what is missing', async () => {
+  const paths = await makeIndexes('resume', {
+    memory: ['mooring fee due in March', 'winter storage in October'],
+    chat: ['the FAIL row', 'tomatoes need water'],
+  });
+
+  failing = true;
+  const first = await migrateEmbeddings(NEW, { ...paths, writeConfig: false });
+  assert.deepStrictEqual([first.switched, first.failed], [false, 1]);
+  assert.strictEqual(activeModel(paths.memoryDb), OLD);
+  assert.strictEqual(activeModel(paths.chatDb), OLD);
+  // Finished rows keep their shadow vectors for the next run
+  assert.deepStrictEqual(models(paths.chatDb, 'chat_chunks'), [
+    { embed_model: OLD, shadow_model: null },
+    { embed_model: OLD, shadow_model: NEW },
+  ]);
+
+  failing = false;
+  const second = await migrateEmbeddings(NEW, { ...paths, writeConfig: false });
+  assert.strictEqual(second.switched, true);
+  assert.deepStrictEqual(second.databases.map(d => [d.from, d.switched]), [[OLD, true], [OLD, true]]);
+  assert.deepStrictEqual(second.databases[0].tables.chunks, { embedded: 0, failed: 0 });
+  assert.deepStrictEqual(second.databases[1].tables.chat_chunks, { embedded: 1, failed: 0 });
+  for (const [path, table] of [[paths.memoryDb, 'chunks'], [paths.chatDb, 'chat_chunks']]) {
+    assert.strictEqual(activeModel(path), NEW);
+    assert.ok(models(path, table).every(r => r.embed_model === NEW && r.shadow_model === null));
+  }
+  assert.deepStrictEqual(embeddingStatus(paths)[1].tables.chat_chunks.models, { [`${NEW} (32d)`]: 2 });
+});
+
+test('rows ingested during the fill are caught up before anything switches', async () => {
+  const paths = await makeIndexes('catch-up', { memory: ['mooring fee due in March'], chat: ['tomatoes need water'] });
+
+  // The memory index is filled first: a note indexed while chat fills arrives too late for that pass
+  const late = 'a note written mid-migration';
+  const embedding = await vector(late);
+  let arrived = false;
+  const onProgress = ({ path }) => {
+    if (arrived || path !== paths.chatDb) return;
+    arrived = true;
+    withDb(paths.memoryDb, db => addMemoryChunk(db, late, embedding));
+  };
+  const result = await migrateEmbeddings(NEW, { ...paths, writeConfig: false, onProgress });
+  assert.ok(arrived);
+  assert.strictEqual(result.switched, true);
+  assert.deepStrictEqual(result.databases[0].tables.chunks, { embedded: 2, failed: 0 });
+  assert.deepStrictEqual(models(paths.memoryDb, 'chunks').map(r => r.embed_model), [NEW, NEW]);
+});
+
+test('a database that fails to switch switches the others back', async () => {
+  const paths = await makeIndexes('rollback', { memory: ['mooring fee due in March'], chat: ['tomatoes need water'] });
+  withDb(paths.chatDb, db => db.exec(`
+    CREATE TRIGGER fail_switch BEFORE UPDATE OF embed_model ON chat_chunks
+    BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END
+  `));
+
+  await assert.rejects(migrateEmbeddings(NEW, { ...paths, writeConfig: false }),
+    /Embedding migration failed \(disk I\/O error\); nothing switched/);
+  assert.strictEqual(activeModel(paths.memoryDb), OLD);
+  assert.strictEqual(activeModel(paths.chatDb), OLD);
+  // Back on the old vectors, the new ones kept for the re-run
+  assert.deepStrictEqual(models(paths.memoryDb, 'chunks'), [{ embed_model: OLD, shadow_model: NEW }]);
+
+  withDb(paths.chatDb, db => db.exec('DROP TRIGGER fail_switch'));
+  const retried = await migrateEmbeddings(NEW, { ...paths, writeConfig: false });
+  assert.strictEqual(retried.switched, true);
+  assert.deepStrictEqual(retried.databases.map(d => Object.values(d.tables)[0].embedded), [0, 0]);
+});
+
+test('a half-switched state is reported, and searches refuse the other model until it is finished', async () => {
+  const paths = await makeIndexes('half', { memory: ['mooring fee due in March'], chat: ['mooring fee paid by transfer'] });
+  const search = () => unifiedSearch('mooring fee', { ...paths, mode: 'vector', sources: ['memory', 'chat'] });
+  assert.deepStrictEqual((await search()).map(r => r.source).sort(), ['chat', 'memory']);
+
+  // The chat switch fails, then so does switching memory back
+  withDb(paths.chatDb, db => db.exec(`
+    CREATE TRIGGER fail_switch BEFORE UPDATE OF embed_model ON chat_chunks
+    BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END
+  `));
+  withDb(paths.memoryDb, db => db.exec(`
+    CREATE TRIGGER fail_restore BEFORE UPDATE OF embed_model ON chunks WHEN NEW.embed_model = '${OLD}'
+    BEGIN SELECT RAISE(ABORT, 'database is locked'); END
+  `));
+  await assert.rejects(migrateEmbeddings(NEW, { ...paths, writeConfig: false }), (err) => {
+    assert.match(err.message, /failed half-way \(disk I\/O error\)/);
+    assert.deepStrictEqual(err.switched, [paths.memoryDb]);
+    return true;
+  });
+  assert.strictEqual(activeModel(paths.memoryDb), NEW);
+  assert.strictEqual(activeModel(paths.chatDb), OLD);
+
+  // Queries follow the memory index's model, so the chat rows are refused
+  invalidateActiveModelCache();
+  assert.deepStrictEqual((await search()).map(r => r.source), ['memory']);
+
+  withDb(paths.chatDb, db => db.exec('DROP TRIGGER fail_switch'));
+  assert.strictEqual((await migrateEmbeddings(NEW, { ...paths, writeConfig: false })).switched, true);
+  assert.deepStrictEqual((await search()).map(r => r.source).sort(), ['chat', 'memory']);
+});
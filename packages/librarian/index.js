@@ -3,7 +3,8 @@ const { unifiedSearch } = require('../chat-ingest/unified-search');
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'librarian' });
+const { redactItems, redactionEnabled } = require('../../shared/redact');
 
 const execFileAsync = promisify(execFile);
 
@@ -54,6 +55,8 @@ async function prefetchContext(userQuery, options = {}) {
           location = `session:${item.meta.sessionId?.slice(0, 8)} ${item.meta.startTs}`;
         } else if (src === 'telegram') {
           location = `telegram ${item.meta.startTs}`;
+        } else if (item.meta.thread) {
+          location = `${src} ${item.meta.thread} ${item.meta.startTs}`;
         }
 
         blocks.push({
@@ -104,12 +107,20 @@ async function prefetchContext(userQuery, options = {}) {
     }
   }
 
-  summary.totalResults = blocks.length;
+  // 3. Secrets and PII never reach the prompt (config.redaction.rag)
+  let output = blocks;
+  if (redactionEnabled('rag')) {
+    const { items, counts, total } = redactItems(blocks);
+    output = items;
+    summary.redaction = { total, counts };
+  }
+
+  summary.totalResults = output.length;
   summary.queryTime = Date.now() - summary.queryTime;
 
-  logger.debug(`Librarian: fetched ${blocks.length} blocks in ${summary.queryTime}ms`);
+  logger.debug(`Librarian: fetched ${output.length} blocks in ${summary.queryTime}ms`);
 
-  return { blocks, summary };
+  return { blocks: output, summary };
 }
 
 /**
@@ -5,19 +5,24 @@ const { pipelineHistory, pipelineStats } = require('./history');
 
 module.exports = {
   async handleEmailTriage(options) {
-    const email = {
-      from: options.from || '',
-      subject: options.subject || '',
-      body: options.body || '',
-      labels: options.labels ? options.labels.split(',') : [],
-    };
+    const labels = options.labels ? options.labels.split(',') : [];
+    // A raw message is parsed by the pipeline (shared/email.js)
+    const email = options.eml
+      ? { raw: require('fs').readFileSync(options.eml === '-' ? 0 : options.eml), labels }
+      : {
+        from: options.from || '',
+        subject: options.subject || '',
+        body: options.body || '',
+        labels,
+      };
 
     const result = await emailTriagePipeline(email, {
       notifyThreshold: options.threshold || 4,
+      taxonomy: options.taxonomy,
       onNotify: async (data) => {
         console.log('\n🚨 HIGH URGENCY NOTIFICATION');
         console.log(`  Urgency: ${data.urgency.urgency}/5`);
-        console.log(`  Category: ${data.classification.category}`);
+        console.log(`  Category: ${data.classification.labels.map(l => l.label).join(', ') || data.classification.category}`);
         console.log(`  Reasoning: ${data.urgency.reasoning}`);
       },
     });
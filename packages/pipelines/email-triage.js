@@ -1,21 +1,25 @@
 const { classify } = require('@localllm/classifier');
 const { rateUrgency, routeTask } = require('@localllm/triage');
-const logger = require('../../shared/logger');
+const { normalizeEmail } = require('../../shared/email');
+const logger = require('../../shared/logger').child({ package: 'pipelines' });
 const { recordPipelineRun } = require('./history');
 
 /**
  * Email Triage Pipeline
  * classify → urgency → route → notify
  *
- * @param {Object} email - Email object {from, subject, body, labels}
+ * @param {Object|string|Buffer} input - Email object {from, subject, body, labels}, or a raw
+ *   RFC 822 message (string, Buffer or {raw, labels}), parsed with shared/email.js
  * @param {Object} options - Pipeline options
  * @param {Function} options.onNotify - Callback for high-urgency notifications
  * @param {number} options.notifyThreshold - Urgency threshold for notifications (default: 4)
+ * @param {string} [options.taxonomy] - Classifier taxonomy (default: classifier.taxonomy)
  * @returns {Promise<Object>} Pipeline result
  */
-async function emailTriagePipeline(email, options = {}) {
+async function emailTriagePipeline(input, options = {}) {
   const startTime = Date.now();
-  const { onNotify, notifyThreshold = 4 } = options;
+  const { onNotify, notifyThreshold = 4, taxonomy } = options;
+  const email = normalizeEmail(input);
 
   const result = {
     email: {
@@ -32,18 +36,20 @@ async function emailTriagePipeline(email, options = {}) {
     // Step 1: Classify
     logger.debug('[Pipeline] Email triage: classifying...');
     const classifyStart = Date.now();
-    const classification = await classify(email);
+    const classification = await classify(email, { taxonomy });
     result.steps.classify = {
       category: classification.category,
       confidence: classification.confidence,
       method: classification.method,
+      labels: classification.labels,
+      taxonomy: classification.taxonomy,
       duration: Date.now() - classifyStart,
     };
 
     // Step 2: Rate urgency
     logger.debug('[Pipeline] Email triage: rating urgency...');
     const urgencyStart = Date.now();
-    const urgencyResult = await rateUrgency(`${email.subject}\n${email.body}`);
+    const urgencyResult = await rateUrgency(email);
     result.steps.urgency = {
       urgency: urgencyResult.urgency,
       reasoning: urgencyResult.reasoning,
@@ -53,7 +59,8 @@ async function emailTriagePipeline(email, options = {}) {
     // Step 3: Route decision
     logger.debug('[Pipeline] Email triage: routing...');
     const routeStart = Date.now();
-    const routeResult = await routeTask(`Category: ${classification.category}, Urgency: ${urgencyResult.urgency}`);
+    const labels = classification.labels.map(l => l.label).join(', ') || classification.category;
+    const routeResult = await routeTask(`Categories: ${labels}, Urgency: ${urgencyResult.urgency}`);
     result.steps.route = {
       route: routeResult.route,
       confidence: routeResult.confidence,
@@ -1,11 +1,12 @@
 const Database = require('better-sqlite3');
-const { homedir } = require('os');
-const { join } = require('path');
+const { join, dirname } = require('path');
 const { existsSync, mkdirSync } = require('fs');
+const config = require('../../shared/config');
 
-const DEFAULT_DB_PATH = join(homedir(), 'clawd/scripts/pipeline-history.db');
+// Next to memory.db, so each profile keeps its own history
+const defaultDbPath = () => join(dirname(config.paths.searchDb), 'pipeline-history.db');
 
-function initHistoryDb(dbPath = DEFAULT_DB_PATH) {
+function initHistoryDb(dbPath = defaultDbPath()) {
   const dir = join(dbPath, '..');
   if (!existsSync(dir)) {
     mkdirSync(dir, { recursive: true });
@@ -30,7 +31,7 @@ function initHistoryDb(dbPath = DEFAULT_DB_PATH) {
   return db;
 }
 
-async function recordPipelineRun(pipeline, result, dbPath = DEFAULT_DB_PATH) {
+async function recordPipelineRun(pipeline, result, dbPath = defaultDbPath()) {
   const db = initHistoryDb(dbPath);
 
   try {
@@ -55,7 +56,7 @@ function pipelineHistory(options = {}) {
   const {
     pipeline = null,
     limit = 50,
-    dbPath = DEFAULT_DB_PATH,
+    dbPath = defaultDbPath(),
   } = options;
 
   if (!existsSync(dbPath)) {
@@ -89,7 +90,7 @@ function pipelineHistory(options = {}) {
   }
 }
 
-function pipelineStats(dbPath = DEFAULT_DB_PATH) {
+function pipelineStats(dbPath = defaultDbPath()) {
   if (!existsSync(dbPath)) {
     return {};
   }
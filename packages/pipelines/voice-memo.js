@@ -1,11 +1,11 @@
 const { transcribe } = require('@localllm/transcriber');
 const { embed } = require('@localllm/embeddings');
 const { search } = require('@localllm/search');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'pipelines' });
 const { recordPipelineRun } = require('./history');
 const Database = require('better-sqlite3');
-const { homedir } = require('os');
-const { join } = require('path');
+const { join, dirname } = require('path');
+const config = require('../../shared/config');
 
 /**
  * Voice Memo Ingestion Pipeline
@@ -18,7 +18,7 @@ const { join } = require('path');
 async function voiceMemoIngestionPipeline(audioFile, options = {}) {
   const startTime = Date.now();
   const {
-    dbPath = join(homedir(), 'clawd/scripts/voice-memos.db'),
+    dbPath = join(dirname(config.paths.searchDb), 'voice-memos.db'),
     retrieveContext = false,
     contextTopK = 3,
   } = options;
@@ -85,7 +85,7 @@ async function voiceMemoIngestionPipeline(audioFile, options = {}) {
       logger.debug('[Pipeline] Voice memo: retrieving context...');
       const contextStart = Date.now();
       try {
-        const memoryDb = join(homedir(), 'clawd/scripts/memory.db');
+        const memoryDb = config.paths.searchDb;
         const relatedMemories = await search(transcription.text, memoryDb, contextTopK);
         result.steps.context = {
           found: relatedMemories.length,
@@ -1,13 +1,11 @@
 #!/usr/bin/env node
 const { Command } = require('commander');
 const { search } = require('./index');
-const { indexDirectory } = require('./indexer');
+const { indexDirectory, watchDirectory } = require('./indexer');
 const config = require('../../shared/config');
-const { homedir } = require('os');
-const { join } = require('path');
 
 const program = new Command();
-const DEFAULT_DB = join(homedir(), 'clawd/scripts/memory.db');
+const DEFAULT_DB = config.paths.searchDb;
 const DEFAULT_SOURCE = config.paths.memoryDir;
 
 program
@@ -26,7 +24,8 @@ program
 
       console.log('\nResults:\n');
       for (const result of results) {
-        console.log(`[${result.score.toFixed(3)}] ${result.file}:${result.startLine}-${result.endLine}`);
+        const section = result.section ? `  § ${result.section}` : '';
+        console.log(`[${result.score.toFixed(3)}] ${result.file}:${result.startLine}-${result.endLine}${section}`);
         console.log(`  ${result.text.slice(0, 200).replace(/\n/g, ' ')}...`);
         console.log();
       }
@@ -38,12 +37,20 @@ program
 
 program
   .command('reindex')
-  .description('Rebuild search index')
+  .description('Update search index (only changed files are re-embedded)')
   .option('-s, --source <path>', 'Source directory', DEFAULT_SOURCE)
   .option('-d, --db <path>', 'Database path', DEFAULT_DB)
+  .option('--full', 'Ignore the file manifest and re-chunk every file', false)
+  .option('-w, --watch', 'Keep running and reindex files as they change', false)
   .action(async (options) => {
     try {
-      await indexDirectory(options.source, options.db);
+      await indexDirectory(options.source, options.db, { full: options.full });
+      if (options.watch) {
+        const watcher = watchDirectory(options.source, options.db);
+        const stop = () => watcher.close().then(() => process.exit(0));
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+      }
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
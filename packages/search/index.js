@@ -1,9 +1,9 @@
 const Database = require('better-sqlite3');
 const { existsSync } = require('fs');
-const { embed } = require('../../shared/ollama');
-const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const { cachedEmbed } = require('../../shared/embedding-cache');
+const logger = require('../../shared/logger').child({ package: 'search' });
 const { initDb, bufferToEmbedding } = require('./indexer');
+const { getActiveModel, isCompatible } = require('../../shared/embedding-meta');
 
 function cosineSimilarity(a, b) {
   let dotProduct = 0;
@@ -25,10 +25,13 @@ async function search(query, dbPath, topK = 5) {
   const db = initDb(dbPath);
   logger.debug(`Searching for: "${query}"`);
 
-  const queryEmbedding = await embed(config.models.embed, query);
+  // Query with the model the index was built with; rows from any other model are skipped
+  const model = getActiveModel(db);
+  const queryEmbedding = await cachedEmbed(model, query, { scope: 'query', ignoreCase: true });
   const queryVector = queryEmbedding.embeddings[0];
 
-  const chunks = db.prepare('SELECT * FROM chunks').all();
+  const chunks = db.prepare('SELECT * FROM chunks').all()
+    .filter(chunk => isCompatible(chunk, model, queryVector.length));
 
   const results = chunks
     .map(chunk => ({
@@ -39,6 +42,8 @@ async function search(query, dbPath, topK = 5) {
       file: chunk.file,
       startLine: chunk.start_line,
       endLine: chunk.end_line,
+      language: chunk.language || null,
+      section: chunk.section || null,
       text: chunk.text,
       score: cosineSimilarity(queryVector, chunk.embedding)
     }))
@@ -1,10 +1,14 @@
 const Database = require('better-sqlite3');
-const { readFileSync, readdirSync, statSync } = require('fs');
-const { join, relative } = require('path');
+const { readdirSync, statSync, existsSync, watch } = require('fs');
+const { join, relative, extname } = require('path');
 const { createHash } = require('crypto');
-const { embed } = require('../../shared/ollama');
+const { cachedEmbed } = require('../../shared/embedding-cache');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'search' });
+const { ensureKeywordIndex } = require('../chat-ingest/keyword-index');
+const { ensureEmbeddingSchema, getActiveModel, warnIfConfigDiffers } = require('../../shared/embedding-meta');
+const { getLoader, enabledExtensions } = require('./loaders');
+const { markdown: markdownLoader } = require('./loaders/markdown');
 
 function embeddingToBuffer(embedding) {
   const buffer = Buffer.alloc(embedding.length * 4);
@@ -26,48 +30,27 @@ function hashContent(text) {
   return createHash('sha256').update(text, 'utf-8').digest('hex');
 }
 
+/**
+ * Chunk markdown text (split on headers, with overlap).
+ * Other formats go through their loader's chunk(); see loaders/.
+ */
 function chunkText(text, filePath) {
-  const chunks = [];
-  const lines = text.split('\n');
-  let currentChunk = '';
-  let chunkStartLine = 1;
-  let currentLine = 1;
-
-  for (const line of lines) {
-    const isHeader = line.startsWith('#');
-    const wouldExceed = (currentChunk + '\n' + line).length > config.embedding.chunkSize;
-
-    if ((isHeader || wouldExceed) && currentChunk.trim()) {
-      chunks.push({
-        text: currentChunk.trim(),
-        file: filePath,
-        startLine: chunkStartLine,
-        endLine: currentLine - 1
-      });
-
-      const overlapStart = Math.max(0, currentChunk.length - config.embedding.chunkOverlap);
-      currentChunk = currentChunk.slice(overlapStart) + '\n' + line;
-      chunkStartLine = Math.max(1, currentLine - 2);
-    } else {
-      currentChunk += (currentChunk ? '\n' : '') + line;
-    }
-    currentLine++;
-  }
-
-  if (currentChunk.trim()) {
-    chunks.push({
-      text: currentChunk.trim(),
-      file: filePath,
-      startLine: chunkStartLine,
-      endLine: currentLine - 1
-    });
-  }
-
-  return chunks;
+  return markdownLoader.chunk(text, filePath);
 }
 
-function findMarkdownFiles(dir) {
+// Directories never indexed, at any depth
+const isSkippedDir = name => name.startsWith('.') || name === 'node_modules';
+
+/**
+ * Recursively find files that have an enabled loader (config.search.loaders).
+ * Dot-directories and node_modules are skipped.
+ * @param {string} dir
+ * @param {string[]} [extensions] - Defaults to the enabled loaders' extensions
+ * @returns {string[]} Absolute paths
+ */
+function findIndexableFiles(dir, extensions = enabledExtensions()) {
   const files = [];
+  const wanted = new Set(extensions.map(e => e.toLowerCase()));
 
   function walk(currentDir) {
     const entries = readdirSync(currentDir);
@@ -75,8 +58,9 @@ function findMarkdownFiles(dir) {
       const fullPath = join(currentDir, entry);
       const stat = statSync(fullPath);
       if (stat.isDirectory()) {
+        if (isSkippedDir(entry)) continue;
         walk(fullPath);
-      } else if (entry.endsWith('.md')) {
+      } else if (wanted.has(extname(entry).toLowerCase())) {
         files.push(fullPath);
       }
     }
@@ -86,6 +70,23 @@ function findMarkdownFiles(dir) {
   return files;
 }
 
+/**
+ * Whether a path (relative to the memory directory) is one findIndexableFiles()
+ * would find: a file with an enabled loader, outside dot-directories and
+ * node_modules. Filters the recursive watchers' events.
+ * @param {string} relPath
+ * @returns {boolean}
+ */
+function isIndexablePath(relPath) {
+  const dirs = relPath.split(/[\\/]/).slice(0, -1);
+  if (dirs.some(isSkippedDir)) return false;
+  return enabledExtensions().includes(extname(relPath).toLowerCase());
+}
+
+function findMarkdownFiles(dir) {
+  return findIndexableFiles(dir, markdownLoader.extensions);
+}
+
 function initDb(dbPath) {
   const db = new Database(dbPath);
 
@@ -98,130 +99,378 @@ function initDb(dbPath) {
       text TEXT NOT NULL,
       embedding BLOB,
       content_hash TEXT,
+      language TEXT,
+      section TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
 
     CREATE INDEX IF NOT EXISTS idx_chunks_file ON chunks(file);
     CREATE INDEX IF NOT EXISTS idx_chunks_hash ON chunks(content_hash);
+
+    CREATE TABLE IF NOT EXISTS file_manifest (
+      path TEXT PRIMARY KEY,
+      mtime_ms REAL NOT NULL,
+      size INTEGER NOT NULL,
+      hash TEXT,
+      chunk_count INTEGER DEFAULT 0,
+      indexed_at TEXT
+    );
   `);
 
+  // Migrate databases created before loader metadata existed
+  const columns = db.prepare('PRAGMA table_info(chunks)').all().map(c => c.name);
+  for (const column of ['language', 'section']) {
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE chunks ADD COLUMN ${column} TEXT`);
+    }
+  }
+
+  ensureKeywordIndex(db, 'chunks');
+  ensureEmbeddingSchema(db, 'chunks');
+
   return db;
 }
 
-async function indexDirectory(sourceDir, dbPath) {
-  logger.info('Indexing memory files to SQLite...');
-  const db = initDb(dbPath);
+/**
+ * Look up already-computed embeddings by chunk content hash (same model only).
+ * @returns {(hash: string) => Buffer|undefined}
+ */
+function embeddingCacheLookup(db, model) {
+  const stmt = db.prepare(`
+    SELECT embedding FROM chunks
+    WHERE content_hash = ? AND embed_model = ? AND embedding IS NOT NULL
+    LIMIT 1
+  `);
+  return (hash) => stmt.get(hash, model)?.embedding;
+}
 
-  // Build hash index of existing chunks for cache lookup
-  const existingHashes = new Map();
-  try {
-    const existing = db.prepare('SELECT content_hash, embedding FROM chunks WHERE content_hash IS NOT NULL').all();
-    for (const row of existing) {
-      existingHashes.set(row.content_hash, row.embedding);
+/**
+ * Embed chunks, reusing embeddings of unchanged chunk text from this index
+ * first and the shared embedding cache second.
+ * @returns {Promise<{ chunks: Array, cacheHits: number, cacheMisses: number, failed: number }>}
+ */
+async function embedChunks(db, chunks, { progress = false } = {}) {
+  const model = getActiveModel(db);
+  warnIfConfigDiffers(model);
+  const lookup = embeddingCacheLookup(db, model);
+  const withEmbeddings = [];
+  const needEmbedding = [];
+  let failed = 0;
+  let sharedHits = 0;
+
+  for (const chunk of chunks) {
+    const hash = hashContent(chunk.text);
+    const cached = lookup(hash);
+    if (cached) {
+      withEmbeddings.push({ ...chunk, hash, embedding: cached, model });
+    } else {
+      needEmbedding.push({ ...chunk, hash, model });
     }
-    logger.debug(`Found ${existingHashes.size} cached embeddings`);
-  } catch (err) {
-    logger.debug(`No existing cache: ${err.message}`);
   }
 
-  // Clear all chunks (we'll re-insert, but with cached embeddings where possible)
-  db.exec('DELETE FROM chunks');
+  const BATCH_SIZE = 10;
+  for (let i = 0; i < needEmbedding.length; i += BATCH_SIZE) {
+    const batch = needEmbedding.slice(i, Math.min(i + BATCH_SIZE, needEmbedding.length));
+    if (progress) process.stdout.write(`\r  Embedding ${i + 1}-${i + batch.length}/${needEmbedding.length}`);
+
+    try {
+      const texts = batch.map(c => c.text);
+      const response = await cachedEmbed(model, texts, { scope: 'index' });
+      sharedHits += response.cacheHits;
+
+      for (let j = 0; j < batch.length; j++) {
+        withEmbeddings.push({
+          ...batch[j],
+          embedding: embeddingToBuffer(response.embeddings[j]),
+        });
+      }
+    } catch (err) {
+      logger.error(`Error embedding batch: ${err.message}`);
+      failed += batch.length;
+    }
+  }
+  if (progress && needEmbedding.length > 0) console.log('');
+
+  return {
+    chunks: withEmbeddings,
+    cacheHits: chunks.length - needEmbedding.length + sharedHits,
+    cacheMisses: needEmbedding.length - sharedHits,
+    failed,
+  };
+}
 
-  const files = findMarkdownFiles(sourceDir);
-  logger.info(`Found ${files.length} markdown files`);
+/**
+ * Index (or re-index) a single file through its loader, replacing its chunks atomically.
+ * Chunks are only replaced when every chunk embedded: if a batch failed, the
+ * file's previous chunks stay searchable and its manifest hash is left null,
+ * so it is retried on the next run instead of being marked clean (batches
+ * that did embed are in the embedding cache by then).
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} sourceDir - Root of the memory directory (chunk paths are relative to it)
+ * @param {string} filePath - Absolute path of the file
+ * @param {object} [opts]
+ * @param {string} [opts.content] - Pre-read file content
+ * @param {string} [opts.hash] - Pre-computed content hash
+ * @param {boolean} [opts.progress=false] - Print embedding progress
+ * @returns {Promise<{ chunks: number, cacheHits: number, cacheMisses: number, failed: number }>}
+ *   `chunks` is how many the file has in the index afterwards
+ */
+async function indexFile(db, sourceDir, filePath, opts = {}) {
+  const relPath = relative(sourceDir, filePath);
+  const loader = getLoader(filePath);
+  if (!loader) throw new Error(`No loader registered for ${extname(filePath) || relPath}`);
+
+  const stat = statSync(filePath);
+  const content = opts.content ?? await loader.read(filePath);
+  const fileHash = opts.hash ?? hashContent(content);
+
+  logger.debug(`Processing: ${relPath} (${loader.name})`);
+  const result = await embedChunks(db, loader.chunk(content, relPath), opts);
 
-  const allChunks = [];
+  const insert = db.prepare(`
+    INSERT INTO chunks (file, start_line, end_line, text, embedding, content_hash, language, section, embed_model, embed_dim)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
 
-  for (const file of files) {
-    const relPath = relative(sourceDir, file);
-    logger.debug(`Processing: ${relPath}`);
-    const content = readFileSync(file, 'utf-8');
-    const chunks = chunkText(content, relPath);
-    allChunks.push(...chunks);
-  }
+  const complete = result.failed === 0;
+  if (!complete) logger.warn(`${relPath}: ${result.failed} chunks failed to embed, keeping its previous chunks until the next run`);
+
+  const chunkCount = db.transaction(() => {
+    if (complete) {
+      db.prepare('DELETE FROM chunks WHERE file = ?').run(relPath);
+      for (const chunk of result.chunks) {
+        insert.run(
+          chunk.file, chunk.startLine, chunk.endLine, chunk.text, chunk.embedding, chunk.hash,
+          chunk.language || null, chunk.section || null,
+          chunk.model, chunk.embedding.length / 4
+        );
+      }
+    }
+    const count = complete
+      ? result.chunks.length
+      : db.prepare('SELECT COUNT(*) AS count FROM chunks WHERE file = ?').get(relPath).count;
+    db.prepare(`
+      INSERT INTO file_manifest (path, mtime_ms, size, hash, chunk_count, indexed_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(path) DO UPDATE SET
+        mtime_ms = excluded.mtime_ms,
+        size = excluded.size,
+        hash = excluded.hash,
+        chunk_count = excluded.chunk_count,
+        indexed_at = excluded.indexed_at
+    `).run(relPath, stat.mtimeMs, stat.size, complete ? fileHash : null, count, new Date().toISOString());
+    return count;
+  })();
+
+  return { chunks: chunkCount, cacheHits: result.cacheHits, cacheMisses: result.cacheMisses, failed: result.failed };
+}
+
+/**
+ * Remove a file's chunks and manifest entry.
+ * @param {string} relPath - Path relative to the memory directory
+ * @returns {number} Number of chunks removed
+ */
+function removeFile(db, relPath) {
+  return db.transaction(() => {
+    const { changes } = db.prepare('DELETE FROM chunks WHERE file = ?').run(relPath);
+    db.prepare('DELETE FROM file_manifest WHERE path = ?').run(relPath);
+    return changes;
+  })();
+}
 
-  logger.info(`Created ${allChunks.length} chunks, checking cache...`);
+/**
+ * Tell in-process searchers that the memory index changed, and fold the
+ * change into the persisted HNSW graph (when enabled).
+ */
+function notifyIndexChanged() {
+  const { vectorIndex, updateAnnIndex } = require('../chat-ingest/vector-index');
+  const { invalidatePool } = require('../chat-ingest/unified-search');
+  vectorIndex.invalidate();
+  invalidatePool();
+  updateAnnIndex();
+}
 
-  // Compute hashes and check cache
-  const chunksWithHashes = allChunks.map(chunk => ({
-    ...chunk,
-    hash: hashContent(chunk.text),
-  }));
+/**
+ * Incrementally index every file in a directory that has an enabled loader.
+ *
+ * Files whose mtime and size match the manifest are skipped without being read;
+ * files whose content hash still matches only get their manifest stat refreshed.
+ * Chunks of files that no longer exist are removed.
+ *
+ * @param {string} sourceDir
+ * @param {string} dbPath
+ * @param {object} [opts]
+ * @param {boolean} [opts.full=false] - Ignore the manifest and re-chunk every file
+ * @returns {Promise<{ files: number, indexed: number, unchanged: number, removed: number, chunks: number }>}
+ */
+async function indexDirectory(sourceDir, dbPath, opts = {}) {
+  logger.info(`Indexing memory files to SQLite${opts.full ? ' (full rebuild)' : ''}...`);
+  const db = initDb(dbPath);
 
-  let cacheHits = 0;
-  let cacheMisses = 0;
+  const manifest = new Map(
+    db.prepare('SELECT * FROM file_manifest').all().map(row => [row.path, row])
+  );
 
-  const chunksNeedingEmbedding = [];
-  const chunksWithEmbeddings = [];
-
-  for (const chunk of chunksWithHashes) {
-    if (existingHashes.has(chunk.hash)) {
-      // Cache hit! Reuse existing embedding
-      chunksWithEmbeddings.push({
-        ...chunk,
-        embedding: existingHashes.get(chunk.hash),
-      });
-      cacheHits++;
-    } else {
-      // Cache miss - need to embed
-      chunksNeedingEmbedding.push(chunk);
-      cacheMisses++;
-    }
-  }
+  const files = findIndexableFiles(sourceDir);
+  logger.info(`Found ${files.length} indexable files`);
 
-  logger.info(`Cache: ${cacheHits} hits, ${cacheMisses} misses`);
+  const summary = { files: files.length, indexed: 0, unchanged: 0, removed: 0, failed: 0, chunks: 0 };
+  let cacheHits = 0;
+  let cacheMisses = 0;
+  const seen = new Set();
 
-  // Embed cache misses
-  if (chunksNeedingEmbedding.length > 0) {
-    const BATCH_SIZE = 10;
-    for (let i = 0; i < chunksNeedingEmbedding.length; i += BATCH_SIZE) {
-      const batch = chunksNeedingEmbedding.slice(i, Math.min(i + BATCH_SIZE, chunksNeedingEmbedding.length));
-      process.stdout.write(`\r  Embedding ${i + 1}-${i + batch.length}/${chunksNeedingEmbedding.length}`);
+  for (const file of files) {
+    const relPath = relative(sourceDir, file);
+    seen.add(relPath);
+    const entry = manifest.get(relPath);
+
+    let content, hash;
+    if (!opts.full && entry?.hash) {
+      const stat = statSync(file);
+      if (entry.mtime_ms === stat.mtimeMs && entry.size === stat.size) {
+        summary.unchanged++;
+        continue;
+      }
 
+      // Touched but identical content (e.g. git checkout) — refresh stat only
       try {
-        const texts = batch.map(c => c.text);
-        const response = await embed(config.models.embed, texts);
-
-        for (let j = 0; j < batch.length; j++) {
-          chunksWithEmbeddings.push({
-            ...batch[j],
-            embedding: embeddingToBuffer(response.embeddings[j]),
-          });
-        }
+        content = await getLoader(file).read(file);
       } catch (err) {
-        logger.error(`Error embedding batch: ${err.message}`);
+        logger.error(`Failed to read ${relPath}: ${err.message}`);
+        summary.failed++;
+        continue;
+      }
+      hash = hashContent(content);
+      if (hash === entry.hash) {
+        db.prepare('UPDATE file_manifest SET mtime_ms = ?, size = ? WHERE path = ?')
+          .run(stat.mtimeMs, stat.size, relPath);
+        summary.unchanged++;
+        continue;
       }
     }
-    console.log('');
+
+    try {
+      const result = await indexFile(db, sourceDir, file, { content, hash, progress: true });
+      if (result.failed > 0) summary.failed++;
+      else summary.indexed++;
+      cacheHits += result.cacheHits;
+      cacheMisses += result.cacheMisses;
+    } catch (err) {
+      logger.error(`Failed to index ${relPath}: ${err.message}`);
+      summary.failed++;
+    }
   }
 
-  logger.info('Saving to SQLite...');
+  // Deleted files: anything in the manifest or chunks table that is no longer on disk
+  const indexedPaths = new Set([
+    ...manifest.keys(),
+    ...db.prepare('SELECT DISTINCT file FROM chunks').all().map(r => r.file),
+  ]);
+  for (const relPath of indexedPaths) {
+    if (seen.has(relPath)) continue;
+    const removed = removeFile(db, relPath);
+    logger.info(`Removed ${relPath} (${removed} chunks)`);
+    summary.removed++;
+  }
 
-  const insert = db.prepare(`
-    INSERT INTO chunks (file, start_line, end_line, text, embedding, content_hash)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `);
+  summary.chunks = db.prepare('SELECT COUNT(*) as count FROM chunks').get().count;
+  logger.info(`Saved ${summary.chunks} chunks to ${dbPath} — ${summary.indexed} files indexed, ${summary.unchanged} unchanged, ${summary.removed} removed, ${summary.failed} failed (${cacheHits} embeddings from cache, ${cacheMisses} newly embedded)`);
 
-  const insertMany = db.transaction((chunks) => {
-    for (const chunk of chunks) {
-      insert.run(chunk.file, chunk.startLine, chunk.endLine, chunk.text, chunk.embedding, chunk.hash);
-    }
+  db.close();
+  if (summary.indexed > 0 || summary.removed > 0) notifyIndexChanged();
+  return summary;
+}
+
+/**
+ * Bring one file's chunks in line with the disk: reindex it if its content
+ * changed, drop it if it was deleted. Searchers are notified of changes.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} sourceDir - Root of the memory directory
+ * @param {string} relPath - Path relative to sourceDir
+ * @returns {Promise<{ changed: boolean, chunks?: number, removed?: number, cacheMisses?: number }>}
+ */
+async function syncFile(db, sourceDir, relPath) {
+  const fullPath = join(sourceDir, relPath);
+  if (!existsSync(fullPath)) {
+    const removed = removeFile(db, relPath);
+    logger.info(`Removed ${relPath} (${removed} chunks)`);
+    notifyIndexChanged();
+    return { changed: true, removed };
+  }
+
+  const content = await getLoader(fullPath).read(fullPath);
+  const hash = hashContent(content);
+  const entry = db.prepare('SELECT hash FROM file_manifest WHERE path = ?').get(relPath);
+  if (entry?.hash === hash) {
+    // Saved without changes — refresh the stat so scans skip it
+    const stat = statSync(fullPath);
+    db.prepare('UPDATE file_manifest SET mtime_ms = ?, size = ? WHERE path = ?').run(stat.mtimeMs, stat.size, relPath);
+    return { changed: false };
+  }
+
+  const result = await indexFile(db, sourceDir, fullPath, { content, hash });
+  logger.info(`Reindexed ${relPath}: ${result.chunks} chunks (${result.cacheMisses} newly embedded)`);
+  notifyIndexChanged();
+  return { changed: true, chunks: result.chunks, cacheMisses: result.cacheMisses };
+}
+
+/**
+ * Watch a memory directory and re-index single files as they change.
+ * Only files findIndexableFiles() would find are considered.
+ * Work is serialized so overlapping events never interleave writes.
+ *
+ * @param {string} sourceDir
+ * @param {string} dbPath
+ * @returns {{ close: Function }}
+ */
+function watchDirectory(sourceDir, dbPath) {
+  const db = initDb(dbPath);
+  const debounceMs = config.watcher?.debounce || 2000;
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  function enqueue(relPath) {
+    queue = queue.then(() => syncFile(db, sourceDir, relPath).catch((err) => {
+      logger.error(`Reindex failed for ${relPath}: ${err.message}`);
+    }));
+  }
+
+  const watcher = watch(sourceDir, { recursive: true }, (_event, filename) => {
+    if (!filename || !isIndexablePath(filename.toString())) return;
+    const relPath = filename.toString();
+
+    if (timers.has(relPath)) clearTimeout(timers.get(relPath));
+    timers.set(relPath, setTimeout(() => {
+      timers.delete(relPath);
+      enqueue(relPath);
+    }, debounceMs));
   });
 
-  insertMany(chunksWithEmbeddings);
+  logger.info(`Watching ${sourceDir} for ${enabledExtensions().join(', ')} changes (debounce ${debounceMs}ms)`);
 
-  const count = db.prepare('SELECT COUNT(*) as count FROM chunks').get();
-  logger.info(`Saved ${count.count} chunks to ${dbPath} (${cacheHits} from cache, ${cacheMisses} newly embedded)`);
+  function close() {
+    watcher.close();
+    for (const timer of timers.values()) clearTimeout(timer);
+    return queue.then(() => db.close());
+  }
 
-  db.close();
+  return { close };
 }
 
 module.exports = {
   indexDirectory,
+  indexFile,
+  removeFile,
+  syncFile,
+  watchDirectory,
   initDb,
   embeddingToBuffer,
   bufferToEmbedding,
   chunkText,
+  findIndexableFiles,
   findMarkdownFiles,
+  isIndexablePath,
   hashContent,
 };
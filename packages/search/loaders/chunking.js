@@ -0,0 +1,171 @@
+const { readFile } = require('fs/promises');
+const config = require('../../../shared/config');
+
+/**
+ * Default loader read(): the file as UTF-8 text.
+ */
+function readUtf8(filePath) {
+  return readFile(filePath, 'utf-8');
+}
+
+/**
+ * Cut a line longer than `maxChars` into pieces at spaces (in the second half
+ * of each span), else exactly at the limit: a minified file or a long JSON
+ * string has no line break to split on.
+ * @returns {string[]}
+ */
+function splitLongLine(line, maxChars) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > maxChars) {
+    let cut = rest.lastIndexOf(' ', maxChars);
+    if (cut < maxChars / 2) cut = maxChars;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^ /, '');
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split text on headings (and on size), tracking the heading path of each chunk.
+ *
+ * Chunks overlap by config.embedding.chunkOverlap characters. `heading(line)`
+ * returns `{ level, title }` for heading lines, or null; without it the text is
+ * split on size alone. Lines too long to fit a chunk beside the overlap are cut
+ * (see splitLongLine()), so no chunk exceeds config.embedding.chunkSize.
+ *
+ * @param {string} text
+ * @param {string} file - Relative path stored on each chunk
+ * @param {object} [opts]
+ * @param {Function} [opts.heading] - (line) => { level, title } | null
+ * @param {string} [opts.language]
+ * @returns {Array<{ text, file, startLine, endLine, language, section }>}
+ */
+function chunkByHeadings(text, file, opts = {}) {
+  const { chunkSize, chunkOverlap } = config.embedding;
+  const heading = opts.heading || (() => null);
+  const language = opts.language || null;
+
+  const chunks = [];
+  const maxLine = Math.max(1, chunkSize - chunkOverlap - 1);
+  const lines = text.split('\n').flatMap((line, i) => splitLongLine(line, maxLine).map(piece => [piece, i + 1]));
+  const stack = [];
+  let currentChunk = '';
+  let chunkStartLine = 1;
+  let chunkSection = null;
+  let lastLine = 0;
+
+  const sectionPath = () => (stack.length > 0 ? stack.map(h => h.title).join(' > ') : null);
+
+  for (const [line, currentLine] of lines) {
+    const h = heading(line);
+    const wouldExceed = (currentChunk + '\n' + line).length > chunkSize;
+    const startsChunk = !currentChunk || ((h || wouldExceed) && currentChunk.trim());
+
+    if ((h || wouldExceed) && currentChunk.trim()) {
+      chunks.push({
+        text: currentChunk.trim(),
+        file,
+        startLine: chunkStartLine,
+        endLine: lastLine,
+        language,
+        section: chunkSection,
+      });
+
+      const overlapStart = Math.max(0, currentChunk.length - chunkOverlap);
+      currentChunk = currentChunk.slice(overlapStart) + '\n' + line;
+      chunkStartLine = Math.max(1, currentLine - 2);
+    } else {
+      currentChunk += (currentChunk ? '\n' : '') + line;
+    }
+
+    if (h) {
+      while (stack.length > 0 && stack[stack.length - 1].level >= h.level) stack.pop();
+      stack.push(h);
+    }
+    if (startsChunk) chunkSection = sectionPath();
+    lastLine = currentLine;
+  }
+
+  if (currentChunk.trim()) {
+    chunks.push({
+      text: currentChunk.trim(),
+      file,
+      startLine: chunkStartLine,
+      endLine: lastLine,
+      language,
+      section: chunkSection,
+    });
+  }
+
+  return chunks;
+}
+
+function sectionLabel(labels) {
+  if (labels.length === 0) return null;
+  if (labels.length <= 3) return labels.join(', ');
+  return `${labels.slice(0, 3).join(', ')} (+${labels.length - 3} more)`;
+}
+
+/**
+ * Pack structural sections (functions, JSON keys, pages) into chunks.
+ * Small neighbouring sections are merged up to config.embedding.chunkSize;
+ * sections larger than that are split by size and keep their own label.
+ *
+ * @param {Array<{ text, startLine, endLine, section }>} sections
+ * @param {string} file
+ * @param {string|null} language
+ * @returns {Array<{ text, file, startLine, endLine, language, section }>}
+ */
+function packSections(sections, file, language) {
+  const { chunkSize } = config.embedding;
+  const chunks = [];
+  let current = null;
+
+  function flush() {
+    if (current && current.text.trim()) {
+      chunks.push({
+        text: current.text.trim(),
+        file,
+        startLine: current.startLine,
+        endLine: current.endLine,
+        language,
+        section: sectionLabel(current.labels),
+      });
+    }
+    current = null;
+  }
+
+  for (const s of sections) {
+    if (!s.text.trim()) continue;
+
+    if (s.text.length > chunkSize) {
+      flush();
+      for (const part of chunkByHeadings(s.text, file, { language })) {
+        chunks.push({
+          ...part,
+          startLine: s.startLine + part.startLine - 1,
+          endLine: s.startLine + part.endLine - 1,
+          section: s.section,
+        });
+      }
+      continue;
+    }
+
+    if (current && (current.text + '\n\n' + s.text).length > chunkSize) flush();
+
+    if (!current) {
+      current = { text: s.text, startLine: s.startLine, endLine: s.endLine, labels: [] };
+    } else {
+      current.text += '\n\n' + s.text;
+      current.endLine = s.endLine;
+    }
+    if (s.section) current.labels.push(s.section);
+  }
+
+  flush();
+  return chunks;
+}
+
+module.exports = { readUtf8, chunkByHeadings, packSections };
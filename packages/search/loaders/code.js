@@ -0,0 +1,244 @@
+const { extname } = require('path');
+const { readUtf8, packSections } = require('./chunking');
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.cjs': 'javascript',
+  '.mjs': 'javascript',
+  '.jsx': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+};
+
+// Top-level declarations (no indentation) start a new section
+const DECLARATIONS = {
+  javascript: /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/,
+  typescript: /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(function\*?|class|const|let|var|interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/,
+  python: /^(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/,
+};
+
+// Comment/decorator lines directly above a declaration belong to it
+const LEADING = {
+  javascript: /^\s*(\/\/|\/\*|\*|@)/,
+  typescript: /^\s*(\/\/|\/\*|\*|@)/,
+  python: /^\s*(#|@)/,
+};
+
+// Words after which a `/` starts a regex literal rather than a division
+const REGEX_AFTER_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'case', 'do', 'else', 'void', 'yield', 'await', 'delete', 'throw', 'new']);
+
+function regexAllowed(text, i, prev) {
+  if (prev === '') return true;
+  if (/[(,=:[!&|?{};+\-*%<>~^]/.test(prev)) return true;
+  if (!/[\w$]/.test(prev)) return false;
+  const word = text.slice(0, i).match(/([A-Za-z_$][\w$]*)\s*$/);
+  return !!word && REGEX_AFTER_WORDS.has(word[1]);
+}
+
+/**
+ * JavaScript/TypeScript: indexes of lines that begin inside a template literal
+ * or a block comment, where a declaration-looking line is not a declaration.
+ * Quotes, regex literals and `${}` nesting are followed so that backticks and
+ * comment markers inside them don't throw the scan off.
+ * @returns {Set<number>}
+ */
+function jsContinuationLines(text) {
+  const inside = new Set();
+  const templates = []; // brace depth at which each open `${` started
+  let mode = 'code';
+  let depth = 0;
+  let prev = '';
+  let line = 0;
+  const newline = () => {
+    line++;
+    if (mode !== 'code') inside.add(line);
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\n') {
+      newline();
+      continue;
+    }
+    if (mode === 'block') {
+      if (c === '*' && text[i + 1] === '/') {
+        mode = 'code';
+        i++;
+      }
+      continue;
+    }
+    if (mode === 'template') {
+      if (c === '\\') {
+        if (text[i + 1] === '\n') newline();
+        i++;
+      } else if (c === '`') {
+        mode = 'code';
+        prev = c;
+      } else if (c === '$' && text[i + 1] === '{') {
+        templates.push(depth++);
+        mode = 'code';
+        prev = '{';
+        i++;
+      }
+      continue;
+    }
+
+    if (/\s/.test(c)) continue;
+    if (c === '/' && text[i + 1] === '/') {
+      const end = text.indexOf('\n', i);
+      if (end === -1) break;
+      i = end - 1;
+      continue;
+    }
+    if (c === '/' && text[i + 1] === '*') {
+      mode = 'block';
+      i++;
+      continue;
+    }
+    if (c === '`') {
+      mode = 'template';
+      continue;
+    }
+    if (c === '"' || c === "'" || (c === '/' && regexAllowed(text, i, prev))) {
+      // A string or regex literal ends on its own line
+      let inClass = false;
+      let j = i + 1;
+      for (; j < text.length && text[j] !== '\n'; j++) {
+        if (text[j] === '\\') j++;
+        else if (c === '/' && text[j] === '[') inClass = true;
+        else if (c === '/' && text[j] === ']') inClass = false;
+        else if (text[j] === c && !inClass) break;
+      }
+      if (text[j] === '\n') j--;
+      i = j;
+      prev = c === '/' ? ')' : c;
+      continue;
+    }
+    if (c === '{') {
+      depth++;
+    } else if (c === '}') {
+      depth--;
+      if (templates.length > 0 && templates[templates.length - 1] === depth) {
+        templates.pop();
+        mode = 'template';
+        continue;
+      }
+    }
+    prev = c;
+  }
+  return inside;
+}
+
+/**
+ * Python: indexes of lines that begin inside a triple-quoted string.
+ * @returns {Set<number>}
+ */
+function pyContinuationLines(text) {
+  const inside = new Set();
+  let quote = null;
+  let line = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\n') {
+      line++;
+      if (quote) inside.add(line);
+      continue;
+    }
+    if (quote) {
+      if (c === '\\') {
+        if (text[i + 1] === '\n') {
+          line++;
+          inside.add(line);
+        }
+        i++;
+      } else if (text.startsWith(quote, i)) {
+        i += 2;
+        quote = null;
+      }
+      continue;
+    }
+    if (c === '#') {
+      const end = text.indexOf('\n', i);
+      if (end === -1) break;
+      i = end - 1;
+    } else if (text.startsWith('"""', i) || text.startsWith("'''", i)) {
+      quote = text.slice(i, i + 3);
+      i += 2;
+    } else if (c === '"' || c === "'") {
+      let j = i + 1;
+      for (; j < text.length && text[j] !== '\n' && text[j] !== c; j++) {
+        if (text[j] === '\\') j++;
+      }
+      if (text[j] === '\n') j--;
+      i = j;
+    }
+  }
+  return inside;
+}
+
+const CONTINUATIONS = {
+  javascript: jsContinuationLines,
+  typescript: jsContinuationLines,
+  python: pyContinuationLines,
+};
+
+function declarationLabel(language, line) {
+  if (/^module\.exports\b/.test(line)) return 'module.exports';
+  const match = line.match(DECLARATIONS[language]);
+  return match ? `${match[1].replace('*', '')} ${match[2]}` : null;
+}
+
+/**
+ * Split source code at top-level declaration boundaries. Lines inside
+ * multi-line strings and comments never start a declaration.
+ * @returns {Array<{ text, startLine, endLine, section }>}
+ */
+function splitDeclarations(text, language) {
+  const lines = text.split('\n');
+  const continued = CONTINUATIONS[language](text);
+  const starts = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (continued.has(i)) continue;
+    const label = declarationLabel(language, lines[i]);
+    if (!label) continue;
+
+    let start = i;
+    while (start > 0 && LEADING[language].test(lines[start - 1])) start--;
+    if (starts.length > 0 && start <= starts[starts.length - 1].start) start = i;
+    starts.push({ start, label });
+  }
+
+  const sections = [];
+  if (starts.length === 0 || starts[0].start > 0) {
+    const end = starts.length > 0 ? starts[0].start : lines.length;
+    sections.push({ start: 0, end, label: starts.length > 0 ? 'preamble' : null });
+  }
+  starts.forEach((s, i) => {
+    sections.push({ start: s.start, end: i + 1 < starts.length ? starts[i + 1].start : lines.length, label: s.label });
+  });
+
+  return sections.map(s => ({
+    text: lines.slice(s.start, s.end).join('\n'),
+    startLine: s.start + 1,
+    endLine: s.end,
+    section: s.label,
+  }));
+}
+
+/**
+ * Source code: chunks follow function/class boundaries, section = declaration.
+ */
+const code = {
+  name: 'code',
+  extensions: Object.keys(LANGUAGES),
+  read: readUtf8,
+  chunk(text, file) {
+    const language = LANGUAGES[extname(file).toLowerCase()] || 'javascript';
+    return packSections(splitDeclarations(text, language), file, language);
+  },
+};
+
+module.exports = { code, splitDeclarations };
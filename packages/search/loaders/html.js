@@ -0,0 +1,16 @@
+const { htmlToText } = require('../../../shared/html');
+const { readUtf8, chunkByHeadings } = require('./chunking');
+const { markdownHeading } = require('./markdown');
+
+/**
+ * Exported HTML pages: converted to text with h1-h6 kept as headings, so
+ * chunks follow the page's sections. Line numbers refer to the extracted text.
+ */
+const html = {
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  read: async (filePath) => htmlToText(await readUtf8(filePath)),
+  chunk: (text, file) => chunkByHeadings(text, file, { heading: markdownHeading, language: 'html' }),
+};
+
+module.exports = { html };
@@ -0,0 +1,57 @@
+const { extname } = require('path');
+const config = require('../../../shared/config');
+const { markdown, org, text } = require('./markdown');
+const { code } = require('./code');
+const { html } = require('./html');
+const { json } = require('./json');
+const { pdf } = require('./pdf');
+
+/**
+ * Document loader registry, keyed by file extension.
+ *
+ * A loader is `{ name, extensions, read(filePath), chunk(text, relPath) }`:
+ * - read() resolves to the file's indexable text
+ * - chunk() returns `{ text, file, startLine, endLine, language, section }[]`
+ *
+ * Which loaders the memory index uses is config.search.loaders (markdown only
+ * by default), so code, HTML, JSON or PDF files are indexed only when asked for.
+ */
+const loaders = new Map();
+
+function registerLoader(loader) {
+  for (const ext of loader.extensions) {
+    loaders.set(ext.toLowerCase(), loader);
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {object|null} Loader for the file's extension
+ */
+function getLoader(filePath) {
+  return loaders.get(extname(filePath).toLowerCase()) || null;
+}
+
+function supportedExtensions() {
+  return [...loaders.keys()];
+}
+
+/**
+ * Extensions of the loaders the memory index uses.
+ * @param {string[]} [names] - Loader names (default: config.search.loaders)
+ * @returns {string[]}
+ */
+function enabledExtensions(names = config.search?.loaders || ['markdown']) {
+  const known = [...new Set([...loaders.values()].map(l => l.name))];
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown loader "${unknown[0]}" in search.loaders (expected some of: ${known.join(', ')})`);
+  }
+  return [...loaders.entries()].filter(([, loader]) => names.includes(loader.name)).map(([ext]) => ext);
+}
+
+for (const loader of [markdown, org, text, code, html, json, pdf]) {
+  registerLoader(loader);
+}
+
+module.exports = { registerLoader, getLoader, supportedExtensions, enabledExtensions };
@@ -0,0 +1,70 @@
+const { readUtf8, packSections, chunkByHeadings } = require('./chunking');
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Split a JSON document into one section per top-level key (or array item).
+ * @returns {Array<{ text, startLine, endLine, section }>|null} null if not valid JSON
+ */
+function splitTopLevel(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  const totalLines = text.split('\n').length;
+
+  if (Array.isArray(data)) {
+    return data.map((item, i) => ({
+      text: `[${i}]: ${JSON.stringify(item, null, 2)}`,
+      startLine: 1,
+      endLine: totalLines,
+      section: `[${i}]`,
+    }));
+  }
+
+  if (!data || typeof data !== 'object') {
+    return [{ text: JSON.stringify(data), startLine: 1, endLine: totalLines, section: null }];
+  }
+
+  // Locate each key in the source so chunks keep real line numbers
+  let cursor = 0;
+  const sections = Object.entries(data).map(([key, value]) => {
+    const index = text.indexOf(JSON.stringify(key), cursor);
+    if (index >= 0) cursor = index + 1;
+    return {
+      text: `${key}: ${JSON.stringify(value, null, 2)}`,
+      startLine: index >= 0 ? lineAt(text, index) : 1,
+      section: key,
+    };
+  });
+  sections.forEach((s, i) => {
+    s.endLine = i + 1 < sections.length ? Math.max(s.startLine, sections[i + 1].startLine - 1) : totalLines;
+  });
+  return sections;
+}
+
+/**
+ * JSON notes: one section per top-level key, section = key name.
+ * Invalid JSON is indexed as plain text.
+ */
+const json = {
+  name: 'json',
+  extensions: ['.json'],
+  read: readUtf8,
+  chunk(text, file) {
+    const sections = splitTopLevel(text);
+    if (!sections) return chunkByHeadings(text, file, { language: 'json' });
+    return packSections(sections, file, 'json');
+  },
+};
+
+module.exports = { json, splitTopLevel };
@@ -0,0 +1,43 @@
+const { readUtf8, chunkByHeadings } = require('./chunking');
+
+function markdownHeading(line) {
+  const match = line.match(/^(#{1,6})\s+(.+)/);
+  return match ? { level: match[1].length, title: match[2].trim() } : null;
+}
+
+function orgHeading(line) {
+  const match = line.match(/^(\*+)\s+(.+)/);
+  return match ? { level: match[1].length, title: match[2].trim() } : null;
+}
+
+/**
+ * Markdown notes: split on # headings, section = heading path.
+ */
+const markdown = {
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  read: readUtf8,
+  chunk: (text, file) => chunkByHeadings(text, file, { heading: markdownHeading, language: 'markdown' }),
+};
+
+/**
+ * Org-mode notes: split on * headings.
+ */
+const org = {
+  name: 'org',
+  extensions: ['.org'],
+  read: readUtf8,
+  chunk: (text, file) => chunkByHeadings(text, file, { heading: orgHeading, language: 'org' }),
+};
+
+/**
+ * Plain text and logs: split on size only.
+ */
+const text = {
+  name: 'text',
+  extensions: ['.txt', '.log'],
+  read: readUtf8,
+  chunk: (content, file) => chunkByHeadings(content, file, { language: 'text' }),
+};
+
+module.exports = { markdown, org, text, markdownHeading };
@@ -0,0 +1,50 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { existsSync } = require('fs');
+const { packSections } = require('./chunking');
+
+const execFileAsync = promisify(execFile);
+
+function findPdftotext() {
+  const candidates = [
+    process.env.PDFTOTEXT_PATH,
+    '/opt/homebrew/bin/pdftotext',
+    '/usr/local/bin/pdftotext',
+    '/usr/bin/pdftotext',
+  ].filter(Boolean);
+
+  for (const path of candidates) {
+    if (existsSync(path)) {
+      return path;
+    }
+  }
+
+  throw new Error('pdftotext not found. Install poppler or set PDFTOTEXT_PATH');
+}
+
+/**
+ * PDF documents: text extracted with poppler's pdftotext, one section per page.
+ */
+const pdf = {
+  name: 'pdf',
+  extensions: ['.pdf'],
+  async read(filePath) {
+    const { stdout } = await execFileAsync(findPdftotext(), ['-layout', '-enc', 'UTF-8', filePath, '-'], {
+      timeout: 60000,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  },
+  chunk(text, file) {
+    let line = 1;
+    const sections = text.split('\f').map((page, i) => {
+      const lineCount = page.split('\n').length;
+      const section = { text: page, startLine: line, endLine: line + lineCount - 1, section: `page ${i + 1}` };
+      line += lineCount - 1;
+      return section;
+    });
+    return packSections(sections, file, 'pdf');
+  },
+};
+
+module.exports = { pdf };
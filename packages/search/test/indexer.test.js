@@ -0,0 +1,73 @@
+/**
+ * Memory Indexer Tests (packages/search/indexer.js: per-file indexing and the manifest)
+ */
+
+const { mkdtempSync, mkdirSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock embeddings and scratch paths before config loads
+const dir = mkdtempSync(join(tmpdir(), 'search-indexer-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+// Embedding fails while `failEmbedding` is set (patched before the indexer takes its reference)
+const embeddingCache = require('../../../shared/embedding-cache');
+const { cachedEmbed } = embeddingCache;
+let failEmbedding = false;
+embeddingCache.cachedEmbed = (...args) => failEmbedding
+  ? Promise.reject(new Error('model server unavailable'))
+  : cachedEmbed(...args);
+
+const { initDb, indexFile, findIndexableFiles, isIndexablePath } = require('../indexer');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('a file whose embedding fails keeps its previous chunks and is retried', async () => {
+  const memoryDir = join(dir, 'memory');
+  mkdirSync(memoryDir);
+  const file = join(memoryDir, 'notes.md');
+  const db = initDb(join(dir, 'memory.db'));
+  const texts = () => db.prepare('SELECT text FROM chunks WHERE file = ?').all('notes.md').map(r => r.text).join('\n');
+  const manifest = () => db.prepare('SELECT hash, chunk_count FROM file_manifest WHERE path = ?').get('notes.md');
+
+  writeFileSync(file, '# Boat\n\nThe mooring fee is due in March.\n');
+  const first = await indexFile(db, memoryDir, file);
+  assert.deepStrictEqual([first.chunks, first.failed], [1, 0]);
+  assert.match(texts(), /mooring fee/);
+  assert.ok(manifest().hash);
+
+  writeFileSync(file, '# Boat\n\nThe mooring fee moved to April.\n');
+  failEmbedding = true;
+  const failed = await indexFile(db, memoryDir, file);
+  failEmbedding = false;
+  assert.deepStrictEqual([failed.chunks, failed.failed], [1, 1]);
+  assert.match(texts(), /due in March/, 'old chunks are still searchable');
+  assert.deepStrictEqual(manifest(), { hash: null, chunk_count: 1 });
+
+  const retried = await indexFile(db, memoryDir, file);
+  assert.strictEqual(retried.failed, 0);
+  assert.match(texts(), /moved to April/);
+  assert.doesNotMatch(texts(), /March/);
+  assert.ok(manifest().hash);
+  db.close();
+});
+
+test('watch events are filtered like the directory scan', () => {
+  const memoryDir = join(dir, 'watched');
+  for (const sub of ['daily', '.obsidian', 'node_modules/pkg', 'daily/.trash']) mkdirSync(join(memoryDir, sub), { recursive: true });
+  const files = ['daily/today.md', '.obsidian/workspace.md', 'node_modules/pkg/README.md', 'daily/.trash/old.md', 'script.js', '.draft.md'];
+  for (const file of files) writeFileSync(join(memoryDir, file), '# Note\n');
+
+  const scanned = findIndexableFiles(memoryDir).map(f => f.slice(memoryDir.length + 1)).sort();
+  assert.deepStrictEqual(scanned, ['.draft.md', 'daily/today.md']);
+  assert.deepStrictEqual(files.filter(isIndexablePath).sort(), scanned);
+  assert.strictEqual(isIndexablePath('node_modules\\pkg\\README.md'), false, 'Windows separators');
+});
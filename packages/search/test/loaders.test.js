@@ -0,0 +1,143 @@
+/**
+ * Document Loader Tests (packages/search/loaders: declaration, heading and key
+ * boundaries, size limits, and the language/section columns search() returns)
+ */
+
+const { mkdtempSync, mkdirSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock embeddings, scratch paths and the loaders under test before config loads
+const dir = mkdtempSync(join(tmpdir(), 'search-loaders-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_EMBEDDING__CHUNK_SIZE: '500',
+  LOCALLLM_EMBEDDING__CHUNK_OVERLAP: '100',
+  LOCALLLM_EMBEDDING_CACHE__ENABLED: 'false',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_CONTEXT_PIPELINE__VECTOR_INDEX__ENABLED: 'false',
+  LOCALLLM_SEARCH__LOADERS: 'markdown,code,html,json',
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { getLoader, enabledExtensions } = require('../loaders');
+const { splitDeclarations } = require('../loaders/code');
+const { indexDirectory, findIndexableFiles } = require('../indexer');
+const { search } = require('../index');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const sections = chunks => chunks.map(c => [c.section, c.startLine, c.endLine]);
+
+test('JavaScript splits at top-level declarations, not at lookalikes in strings, regexes or templates', () => {
+  const source = [
+    '// Parses a fee',
+    'function parseFee(text) {',
+    "  const open = '{';",
+    '  return /}\\s*`/.test(text) ? `${open}',
+    'function notADeclaration() {',
+    '}` : "}";',
+    '}',
+    '',
+    '/*',
+    'class AlsoNot {}',
+    '*/',
+    'export default class Mooring {',
+    '  due = `${["}"].join("")}`;',
+    '}',
+    'const total = 4 / 2; const html = `',
+    'let notEither',
+    '`;',
+    'module.exports = { parseFee };',
+  ].join('\n');
+
+  assert.deepStrictEqual(sections(splitDeclarations(source, 'javascript')), [
+    ['function parseFee', 1, 10],
+    ['class Mooring', 11, 14],
+    ['const total', 15, 17],
+    ['module.exports', 18, 18],
+  ]);
+
+  const python = '"""Fees.\n\nclass of charges\n"""\nimport os\n\n@cached\ndef fee():\n    return """\ndef nope():\n"""\n';
+  assert.deepStrictEqual(sections(splitDeclarations(python, 'python')), [
+    ['preamble', 1, 6],
+    ['def fee', 7, 12],
+  ]);
+
+  // Small neighbouring declarations share a chunk, labelled with both
+  const chunks = getLoader('fees.ts').chunk('export interface Fee {\n  amount: number;\n}\ntype Due = Date;\n', 'fees.ts');
+  assert.deepStrictEqual(chunks.map(c => [c.language, c.section]), [['typescript', 'interface Fee, type Due']]);
+});
+
+test('HTML chunks carry the heading path of their section', async () => {
+  const path = join(dir, 'page.html');
+  writeFileSync(path, [
+    '<html><head><title>x</title><style>h1 { color: red }</style></head><body>',
+    '<h1>Boat</h1><p>Notes about the boat.</p>',
+    '<h2>Mooring</h2><p>The fee is due in March.</p>',
+    '<h3>Payment</h3><p>By transfer.</p>',
+    '<h2>Storage</h2><p>Booked from October.</p>',
+    '</body></html>',
+  ].join('\n'));
+
+  const loader = getLoader(path);
+  const chunks = loader.chunk(await loader.read(path), 'page.html');
+  assert.deepStrictEqual(chunks.map(c => [c.language, c.section, c.text.split('\n').pop()]), [
+    ['html', 'Boat', 'Notes about the boat.'],
+    ['html', 'Boat > Mooring', 'The fee is due in March.'],
+    ['html', 'Boat > Mooring > Payment', 'By transfer.'],
+    ['html', 'Boat > Storage', 'Booked from October.'],
+  ]);
+});
+
+test('JSON is split per top-level key, and a value too long for a chunk is cut', () => {
+  const loader = getLoader('notes.json');
+  const text = JSON.stringify({ boat: { name: 'Kestrel', length: 9 }, fees: [120, 80], notes: 'x'.repeat(2000) }, null, 2);
+
+  const chunks = loader.chunk(text, 'notes.json');
+  assert.deepStrictEqual(chunks[0], {
+    text: 'boat: {\n  "name": "Kestrel",\n  "length": 9\n}\n\nfees: [\n  120,\n  80\n]',
+    file: 'notes.json',
+    startLine: 2,
+    endLine: 9,
+    language: 'json',
+    section: 'boat, fees',
+  });
+  const notes = chunks.slice(1);
+  assert.ok(notes.length >= 5);
+  assert.ok(notes.every(c => c.section === 'notes' && c.startLine === 10 && c.endLine === 10));
+  assert.ok(chunks.every(c => c.text.length <= 500), `longest chunk: ${Math.max(...chunks.map(c => c.text.length))}`);
+
+  assert.deepStrictEqual(loader.chunk('[{"a": 1}, 2]', 'list.json').map(c => c.section), ['[0], [1]']);
+  assert.deepStrictEqual(loader.chunk('{ not json', 'bad.json').map(c => [c.section, c.text]), [[null, '{ not json']]);
+});
+
+test('only the loaders in search.loaders are indexed, and search() returns language and section', async () => {
+  assert.deepStrictEqual(enabledExtensions(['markdown']), ['.md', '.markdown']);
+  assert.throws(() => enabledExtensions(['markdown', 'docx']), /Unknown loader "docx" in search\.loaders/);
+
+  const memoryDir = join(dir, 'memory');
+  mkdirSync(memoryDir);
+  writeFileSync(join(memoryDir, 'boat.md'), '# Boat\n\nKestrel, 9m.\n\n## Mooring\n\nThe mooring fee is due in March.\n');
+  writeFileSync(join(memoryDir, 'fees.js'), 'function mooringFee() {\n  return 120;\n}\n');
+  writeFileSync(join(memoryDir, 'boat.json'), '{ "winter": "Storage is booked from October." }');
+  writeFileSync(join(memoryDir, 'build.log'), 'text loader not enabled');
+  assert.deepStrictEqual(findIndexableFiles(memoryDir).map(f => f.slice(memoryDir.length + 1)).sort(),
+    ['boat.json', 'boat.md', 'fees.js']);
+
+  const dbPath = join(dir, 'memory.db');
+  const summary = await indexDirectory(memoryDir, dbPath);
+  assert.deepStrictEqual([summary.files, summary.indexed, summary.chunks], [3, 3, 4]);
+
+  const results = await search('mooring fee', dbPath, 10);
+  assert.deepStrictEqual(results.map(r => [r.file, r.language, r.section]).sort(), [
+    ['boat.json', 'json', 'winter'],
+    ['boat.md', 'markdown', 'Boat'],
+    ['boat.md', 'markdown', 'Boat > Mooring'],
+    ['fees.js', 'javascript', 'function mooringFee'],
+  ]);
+  const mooring = results.find(r => r.section === 'Boat > Mooring');
+  assert.deepStrictEqual([mooring.startLine, mooring.endLine], [3, 8]);
+});
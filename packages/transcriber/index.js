@@ -2,7 +2,7 @@ const { execFile } = require('child_process');
 const { promisify } = require('util');
 const { existsSync, readdirSync, statSync } = require('fs');
 const { join, extname } = require('path');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'transcriber' });
 
 const execFileAsync = promisify(execFile);
 
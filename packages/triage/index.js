@@ -1,9 +1,19 @@
 const { chat, generate } = require('../../shared/ollama');
 const config = require('../../shared/config');
-const logger = require('../../shared/logger');
+const logger = require('../../shared/logger').child({ package: 'triage' });
+const tracing = require('../../shared/tracing');
 const { buildRouterPrompt } = require('../../shared/router-prompt');
+const { normalizeEmail } = require('../../shared/email');
 
-async function rateUrgency(text) {
+/**
+ * Rate how urgent a message is.
+ * @param {string|object|Buffer} input - Message text, or an email: { subject, body },
+ *   a raw RFC 822 message as a Buffer or { raw } (shared/email.js)
+ * @returns {Promise<{ urgency: number, reasoning: string }>} urgency 1-5
+ */
+async function rateUrgency(input) {
+  const email = typeof input === 'string' ? null : normalizeEmail(input);
+  const text = email ? `${email.subject || ''}\n${email.body || ''}` : input;
   const prompt = `Rate the urgency of this message on a scale of 1-5:
 1 = Not urgent, can wait days
 2 = Low urgency, can wait 24 hours
@@ -101,10 +111,19 @@ const ESCALATION = {
  *   Format: [{ role: 'user', content: '...' }, { role: 'assistant', content: '...' }]
  * @returns {Promise<{route: string, reason: string, priority: string}>}
  */
-async function routeToModel(prompt, recentHistory = []) {
+function routeToModel(prompt, recentHistory = []) {
+  return tracing.withSpan('routing', { model: config.models.triage }, async (span) => {
+    const decision = await decideRoute(prompt, recentHistory, span);
+    span.setAttributes({ 'route.out': decision.route, 'route.priority': decision.priority });
+    return decision;
+  });
+}
+
+async function decideRoute(prompt, recentHistory, span) {
   // Take only last 2 messages (1 user + 1 assistant turn) to keep token count low
   const slicedHistory = recentHistory.slice(-2);
   const systemPrompt = buildRouterPrompt(prompt, slicedHistory);
+  const startTime = Date.now();
 
   try {
     const response = await generate(config.models.triage, systemPrompt, {
@@ -123,6 +142,7 @@ async function routeToModel(prompt, recentHistory = []) {
       if (!VALID_ROUTES.includes(route)) route = 'claude_sonnet';
 
       const escalation = ESCALATION[route] || null;
+      logger.debug(`Routed to ${route} (${result.route}), ${Date.now() - startTime}ms`);
       return {
         route,
         reason: result.reason || 'No reason provided',
@@ -131,9 +151,12 @@ async function routeToModel(prompt, recentHistory = []) {
       };
     }
 
+    logger.warn(`Router output wasn't JSON, routing to claude_sonnet: ${content.slice(0, 80)}`);
+    span.setStatus('ERROR', "Router output wasn't JSON");
     return { route: 'claude_sonnet', reason: 'Failed to parse router output', priority: 'medium', escalation: ESCALATION.claude_sonnet };
   } catch (error) {
     logger.error('Model routing failed:', error.message);
+    span.recordException(error);
     return { route: 'claude_sonnet', reason: 'Error during routing', priority: 'medium', escalation: ESCALATION.claude_sonnet };
   }
 }
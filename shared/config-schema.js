@@ -0,0 +1,524 @@
+'use strict';
+
+/**
+ * Schema for the config tree (shared/config.js): types, ranges and allowed
+ * values for every setting, used to validate config.local.json and
+ * LOCALLLM_* environment overrides.
+ *
+ * Node types: string, number (min/max/integer), boolean, enum, array, object
+ * (known keys; `open` objects accept any others), map (any keys, one value
+ * schema) and any. `nullable` allows null.
+ */
+
+const str = (opts = {}) => ({ type: 'string', ...opts });
+const num = (opts = {}) => ({ type: 'number', ...opts });
+const int = (opts = {}) => num({ integer: true, ...opts });
+const bool = () => ({ type: 'boolean' });
+const oneOf = (values) => ({ type: 'enum', values });
+const list = (items) => ({ type: 'array', items });
+const obj = (props, opts = {}) => ({ type: 'object', props, ...opts });
+const map = (values) => ({ type: 'map', values });
+const any = () => ({ type: 'any' });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const model = () => str({ minLength: 1 });
+const ms = () => int({ min: 0 });
+const ratio = () => num({ min: 0, max: 1 });
+
+const settings = obj({
+  models: obj({
+    triage: model(),
+    code: model(),
+    reasoning: model(),
+    embed: model(),
+    embedFast: model(),
+  }),
+  thresholds: obj({
+    confidence: ratio(),
+    urgency: int({ min: 1, max: 5 }),
+  }),
+  paths: obj({
+    memoryDir: str(),
+    emailDb: str(),
+    searchDb: str(),
+    chatDb: str(),
+    sessionsDir: str(),
+    classifierRules: str(),
+    classifierDb: str(),
+  }),
+  ollama: obj({
+    url: str({ pattern: /^https?:\/\//, format: 'an http(s) URL' }),
+    timeout: ms(),
+  }),
+  providers: obj({
+    default: str({ minLength: 1 }),
+    timeout: nullable(ms()),
+    // Backend options depend on the type (shared/providers)
+    backends: map(obj({ type: str({ minLength: 1 }) }, { open: true })),
+  }),
+  embedding: obj({
+    dimension: int({ min: 1 }),
+    chunkSize: int({ min: 100 }),
+    chunkOverlap: int({ min: 0 }),
+  }),
+  embeddingCache: obj({
+    enabled: bool(),
+    path: nullable(str()),
+    ttlMs: ms(),
+    maxEntries: int({ min: 0 }),
+  }),
+  search: obj({
+    mode: oneOf(['vector', 'keyword', 'hybrid']),
+    loaders: list(oneOf(['markdown', 'org', 'text', 'code', 'html', 'json', 'pdf'])),
+    hybrid: obj({
+      rrfK: num({ min: 1 }),
+      weights: obj({ vector: num({ min: 0 }), keyword: num({ min: 0 }) }),
+      candidateMultiplier: int({ min: 1 }),
+    }),
+    diversify: obj({
+      enabled: bool(),
+      lambda: ratio(),
+      duplicateThreshold: ratio(),
+      maxPerFile: int({ min: 0 }),
+      maxPerSession: int({ min: 0 }),
+      candidateMultiplier: int({ min: 1 }),
+    }),
+  }),
+  chunking: obj({
+    strategies: map(oneOf(['size', 'turns'])),
+    turns: obj({
+      topicThreshold: ratio(),
+      minExchangeChars: int({ min: 0 }),
+      maxChunkChars: nullable(int({ min: 100 })),
+    }),
+  }),
+  externalChats: obj({
+    self: list(str()),
+    weights: map(num({ min: 0 })),
+    defaultWeight: num({ min: 0 }),
+  }),
+  redaction: obj({
+    enabled: bool(),
+    ingest: bool(),
+    rag: bool(),
+    detectors: obj({
+      jwt: oneOf(['mask', 'hash', 'drop', 'off']),
+      apiKey: oneOf(['mask', 'hash', 'drop', 'off']),
+      email: oneOf(['mask', 'hash', 'drop', 'off']),
+      creditCard: oneOf(['mask', 'hash', 'drop', 'off']),
+      phone: oneOf(['mask', 'hash', 'drop', 'off']),
+    }),
+    custom: list(obj({
+      name: str({ minLength: 1 }),
+      pattern: str({ minLength: 1 }),
+      flags: str({ pattern: /^[gimsuy]*$/, format: 'RegExp flags' }),
+      action: oneOf(['mask', 'hash', 'drop', 'off']),
+    })),
+    hashSalt: str(),
+  }),
+  classifier: obj({
+    history: bool(),
+    bodyChars: int({ min: 0 }),
+    fewShot: int({ min: 0 }),
+    taxonomy: str({ minLength: 1 }),
+    taxonomies: map(obj({
+      description: str(),
+      categories: list(str({ minLength: 1 })),
+      aliases: map(str({ minLength: 1 })),
+    })),
+    multiLabel: obj({
+      enabled: bool(),
+      maxLabels: int({ min: 1 }),
+      minScore: ratio(),
+    }),
+    knn: obj({
+      enabled: bool(),
+      k: int({ min: 1 }),
+      minSimilarity: num({ min: -1, max: 1 }),
+      minExamples: int({ min: 1 }),
+      minConfidence: ratio(),
+    }),
+    batch: obj({
+      concurrency: int({ min: 1 }),
+      labelMap: map(nullable(str({ minLength: 1 }))),
+    }),
+  }),
+  watcher: obj({
+    pollInterval: int({ min: 100 }),
+    debounce: ms(),
+    newFileScan: int({ min: 1000 }),
+    usePolling: bool(),
+    watchMemory: bool(),
+    concurrency: int({ min: 1 }),
+    maxRetries: int({ min: 0 }),
+    retryDelay: ms(),
+    status: obj({
+      port: nullable(int({ min: 1, max: 65535 })),
+      host: str(),
+    }),
+  }),
+  logging: obj({
+    level: oneOf(['debug', 'info', 'warn', 'error']),
+    format: oneOf(['text', 'json']),
+    ringBuffer: int({ min: 0 }),
+    file: obj({
+      enabled: bool(),
+      path: nullable(str({ minLength: 1 })),
+      maxBytes: int({ min: 1024 }),
+      maxFiles: int({ min: 0 }),
+    }),
+  }),
+  tracing: obj({
+    enabled: bool(),
+    sampleRate: ratio(),
+    maxTraces: int({ min: 1 }),
+    export: obj({
+      enabled: bool(),
+      path: nullable(str({ minLength: 1 })),
+      maxBytes: int({ min: 1024 }),
+      maxFiles: int({ min: 0 }),
+    }),
+  }),
+  contextPipeline: obj({
+    enabled: bool(),
+    parallelExecution: bool(),
+    vectorIndex: obj({
+      enabled: bool(),
+      staleAfterMs: ms(),
+      hnsw: obj({
+        enabled: bool(),
+        M: int({ min: 2 }),
+        efConstruction: int({ min: 1 }),
+        efSearch: int({ min: 1 }),
+        rebuildRatio: ratio(),
+        path: nullable(str()),
+      }),
+    }),
+    shortTerm: obj({
+      enabled: bool(),
+      maxMessages: int({ min: 1 }),
+      maxTokenEstimate: int({ min: 1 }),
+    }),
+    rag: obj({
+      enabled: bool(),
+      topK: int({ min: 1 }),
+      minScore: num(),
+      sources: list(str({ minLength: 1 })),
+      sourceWeights: map(num({ min: 0 })),
+      injectAs: oneOf(['system', 'inline']),
+      rerank: obj({
+        enabled: bool(),
+        model: nullable(model()),
+        candidates: int({ min: 1 }),
+        budgetMs: ms(),
+        concurrency: int({ min: 1 }),
+        maxPassageChars: int({ min: 1 }),
+        minScore: ratio(),
+      }),
+    }),
+    routing: obj({
+      enabled: bool(),
+      model: model(),
+      fallback: str({ minLength: 1 }),
+      enforceModel: bool(),
+      overrides: map(any()),
+    }),
+    systemNotes: obj({
+      enabled: bool(),
+      includeWingmanResults: bool(),
+      maxNotes: int({ min: 0 }),
+    }),
+    persistence: obj({
+      enabled: bool(),
+      saveTurns: bool(),
+      saveToDb: bool(),
+    }),
+    features: obj({
+      skipLogic: bool(),
+      embeddingCache: bool(),
+      timingStats: bool(),
+      connectionPool: bool(),
+      routeAwareSources: bool(),
+      historyCompression: bool(),
+    }),
+  }),
+});
+
+// config.local.json: the settings, plus named profiles that each override any of them
+const schema = obj({
+  ...settings.props,
+  profiles: map(settings),
+});
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `"${value.length > 40 ? value.slice(0, 40) + '…' : value}"`;
+  if (typeof value === 'object') return 'an object';
+  return `${value} (${typeof value})`;
+}
+
+function expected(node) {
+  const base = {
+    string: node.format || 'a string',
+    number: node.integer ? 'an integer' : 'a number',
+    boolean: 'true or false',
+    enum: `one of ${node.values?.map(v => `"${v}"`).join(', ')}`,
+    array: 'an array',
+    object: 'an object',
+    map: 'an object',
+    any: 'any value',
+  }[node.type];
+  const range = node.type === 'number' && (node.min != null || node.max != null)
+    ? node.min != null && node.max != null ? ` between ${node.min} and ${node.max}`
+      : node.min != null ? ` ≥ ${node.min}` : ` ≤ ${node.max}`
+    : '';
+  return base + range + (node.nullable ? ' or null' : '');
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+/**
+ * Closest known key, for "did you mean" hints.
+ * @returns {string|null}
+ */
+function suggest(key, known) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = candidate.toLowerCase() === key.toLowerCase() ? 0 : editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) { best = candidate; bestDistance = distance; }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema node.
+ *
+ * Invalid values are left out of the returned copy, so callers can fall back
+ * to defaults for them; unknown keys are kept (and warned about).
+ *
+ * @param {*} value
+ * @param {object} [node=schema]
+ * @param {string} [path='']
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }>, warnings: Array<{ path: string, message: string }> }}
+ *   `value` is undefined when the value itself is invalid
+ */
+function validate(value, node = schema, path = '') {
+  const errors = [];
+  const warnings = [];
+  const fail = (message) => ({ value: undefined, errors: [{ path, message }], warnings });
+
+  if (value === null) {
+    return node.nullable || node.type === 'any' ? { value, errors, warnings } : fail(`expected ${expected(node)}, got null`);
+  }
+
+  switch (node.type) {
+    case 'any':
+      return { value, errors, warnings };
+    case 'string':
+      if (typeof value !== 'string') return fail(`expected ${expected(node)}, got ${describe(value)}`);
+      if (node.minLength && value.length < node.minLength) return fail('must not be empty');
+      if (node.pattern && !node.pattern.test(value)) return fail(`expected ${expected(node)}, got ${describe(value)}`);
+      return { value, errors, warnings };
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return fail(`expected ${expected(node)}, got ${describe(value)}`);
+      if ((node.integer && !Number.isInteger(value)) || (node.min != null && value < node.min) || (node.max != null && value > node.max)) {
+        return fail(`expected ${expected(node)}, got ${value}`);
+      }
+      return { value, errors, warnings };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value, errors, warnings } : fail(`expected ${expected(node)}, got ${describe(value)}`);
+    case 'enum':
+      return node.values.includes(value) ? { value, errors, warnings } : fail(`expected ${expected(node)}, got ${describe(value)}`);
+    case 'array': {
+      if (!Array.isArray(value)) return fail(`expected ${expected(node)}, got ${describe(value)}`);
+      const items = [];
+      value.forEach((item, i) => {
+        const result = validate(item, node.items, `${path}[${i}]`);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+        if (result.value !== undefined) items.push(result.value);
+      });
+      return { value: items, errors, warnings };
+    }
+    case 'object':
+    case 'map': {
+      if (!isPlainObject(value)) return fail(`expected ${expected(node)}, got ${describe(value)}`);
+      const out = {};
+      for (const [key, child] of Object.entries(value)) {
+        const childNode = node.type === 'map' ? node.values : node.props[key];
+        if (!childNode) {
+          if (!node.open) {
+            const hint = suggest(key, Object.keys(node.props));
+            warnings.push({ path: joinPath(path, key), message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ''}` });
+          }
+          out[key] = child;
+          continue;
+        }
+        const result = validate(child, childNode, joinPath(path, key));
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+        if (result.value !== undefined) out[key] = result.value;
+      }
+      return { value: out, errors, warnings };
+    }
+    default:
+      throw new Error(`Unknown schema type "${node.type}" at ${path || '(root)'}`);
+  }
+}
+
+/**
+ * Schema node for a dotted path ("contextPipeline.rag.topK").
+ * @returns {object|null}
+ */
+function schemaAt(path, root = schema) {
+  let node = root;
+  for (const key of path.split('.')) {
+    if (node?.type === 'object') node = node.props[key] || (node.open ? { type: 'any' } : null);
+    else if (node?.type === 'map') node = node.values;
+    else if (node?.type === 'any') return node;
+    else return null;
+    if (!node) return null;
+  }
+  return node;
+}
+
+/**
+ * Dotted paths of every known setting (map entries, and the extra keys of
+ * open objects such as a backend's `url`, taken from `defaults`).
+ * @returns {string[]}
+ */
+function settingPaths(defaults, node = schema, path = '') {
+  if (node.type === 'object') {
+    const extra = node.open && isPlainObject(defaults)
+      ? Object.keys(defaults).filter(key => !node.props[key]).map(key => joinPath(path, key))
+      : [];
+    return [
+      ...Object.entries(node.props).flatMap(([key, child]) => settingPaths(defaults?.[key], child, joinPath(path, key))),
+      ...extra,
+    ];
+  }
+  if (node.type === 'map') {
+    return Object.keys(isPlainObject(defaults) ? defaults : {}).flatMap(key => settingPaths(defaults[key], node.values, joinPath(path, key)));
+  }
+  return [path];
+}
+
+// ---------------------------------------------------------------------------
+// Environment overrides
+// ---------------------------------------------------------------------------
+
+const ENV_PREFIX = 'LOCALLLM_';
+const PROFILE_ENV = 'LOCALLLM_PROFILE';   // Selects a profile (shared/config.js), not a setting
+const CONFIG_FILE_ENV = 'LOCALLLM_CONFIG_FILE';  // Overrides file in place of config.local.json (tests, sandboxes)
+
+/**
+ * Environment variable for a setting: segments in SNAKE_CASE joined by "__".
+ *   contextPipeline.rag.topK → LOCALLLM_CONTEXT_PIPELINE__RAG__TOP_K
+ */
+function envName(path) {
+  return ENV_PREFIX + path.split('.')
+    .map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+    .join('__');
+}
+
+/**
+ * Parse a string setting into the type its schema node expects.
+ * Arrays take JSON or a comma-separated list; nullable settings take "null".
+ * @returns {*} undefined if it can't be parsed
+ */
+function parseSetting(raw, node) {
+  const text = String(raw).trim();
+  if (node.nullable && text === 'null') return null;
+  switch (node.type) {
+    case 'number':
+      return text !== '' && !Number.isNaN(Number(text)) ? Number(text) : undefined;
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(text)) return true;
+      if (/^(false|0|no|off)$/i.test(text)) return false;
+      return undefined;
+    case 'array':
+      if (text.startsWith('[')) {
+        try { return JSON.parse(text); } catch { return undefined; }
+      }
+      return text === '' ? [] : text.split(',').map(item => item.trim()).map(item => parseSetting(item, node.items) ?? item);
+    case 'object':
+    case 'map':
+    case 'any':
+      try { return JSON.parse(text); } catch { return node.type === 'any' ? raw : undefined; }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Build overrides from LOCALLLM_* environment variables.
+ * @param {object} env - e.g. process.env
+ * @param {object} defaults - Default config (for map entries like providers.backends.*)
+ * @returns {{ overrides: object, errors: Array<{ path, message }>, warnings: Array<{ path, message }> }}
+ */
+function envOverrides(env, defaults) {
+  const byName = new Map(settingPaths(defaults).map(path => [envName(path), path]));
+  const overrides = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === PROFILE_ENV || name === CONFIG_FILE_ENV || raw === undefined) continue;
+    const path = byName.get(name);
+    if (!path) {
+      const hint = suggest(name, [...byName.keys()]);
+      warnings.push({ path: name, message: `unknown setting${hint ? ` (did you mean ${hint}?)` : ''}` });
+      continue;
+    }
+    const node = schemaAt(path);
+    const parsed = parseSetting(raw, node);
+    if (parsed === undefined) {
+      errors.push({ path: name, message: `expected ${expected(node)}, got "${raw}"` });
+      continue;
+    }
+    const { value, errors: invalid } = validate(parsed, node, name);
+    if (invalid.length > 0) {
+      errors.push(...invalid);
+      continue;
+    }
+    let target = overrides;
+    const keys = path.split('.');
+    for (const key of keys.slice(0, -1)) target = target[key] = target[key] || {};
+    target[keys[keys.length - 1]] = value;
+  }
+  return { overrides, errors, warnings };
+}
+
+module.exports = {
+  schema,
+  validate,
+  schemaAt,
+  settingPaths,
+  envName,
+  envOverrides,
+  parseSetting,
+  ENV_PREFIX,
+  PROFILE_ENV,
+  CONFIG_FILE_ENV,
+};
@@ -1,8 +1,14 @@
 const { homedir } = require('os');
-const { join } = require('path');
-const { existsSync, readFileSync } = require('fs');
+const { join, dirname, basename, resolve } = require('path');
+const { existsSync, readFileSync, writeFileSync, watch } = require('fs');
+const { EventEmitter } = require('events');
+const { CONFIG_FILE_ENV } = require('./config-schema');
 
-const OVERRIDES_PATH = join(__dirname, '..', 'config.local.json');
+const OVERRIDES_PATH = process.env[CONFIG_FILE_ENV]
+  ? resolve(process.env[CONFIG_FILE_ENV])
+  : join(__dirname, '..', 'config.local.json');
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME = /^[A-Za-z0-9][\w-]*$/;
 
 const defaults = {
   models: {
@@ -22,20 +28,131 @@ const defaults = {
     searchDb: join(homedir(), 'clawd/scripts/memory.db'),
     chatDb: join(homedir(), 'clawd/scripts/chat-memory.db'),
     sessionsDir: join(homedir(), '.clawdbot/agents/main/sessions'),
+    classifierRules: join(homedir(), '.localllm/classifier-rules.json'), // Email rules; built-ins until first edit
+    classifierDb: join(homedir(), '.localllm/classifier.db'), // Classification history + labeled examples
   },
   ollama: {
     url: process.env.OLLAMA_URL || 'http://127.0.0.1:11434',
     timeout: 30000,
   },
+  providers: {
+    default: 'ollama',              // Backend for model names without a "<backend>/" prefix
+    timeout: null,                  // Per-request timeout (ms) unless a backend or call sets one (null: none; local models can take minutes)
+    // Select per model in `models`, e.g. triage: 'llamacpp/qwen2.5-14b-instruct'
+    backends: {
+      ollama: { type: 'ollama' },   // url: ollama.url
+      llamacpp: { type: 'openai', url: 'http://127.0.0.1:8080/v1', apiKey: null },
+      mock: { type: 'mock', latencyMs: 0 },  // In-process, deterministic (tests/offline)
+    },
+  },
   embedding: {
-    dimension: 1024,
+    dimension: 1024,                // Width of models.embed; each index records its own model/dim
     chunkSize: 1500,
     chunkOverlap: 300,
   },
+  embeddingCache: {
+    enabled: true,                  // SQLite cache shared by every process (shared/embedding-cache.js)
+    path: null,                     // Default: embedding-cache.db next to chatDb
+    ttlMs: 30 * 24 * 60 * 60 * 1000, // Re-embed entries older than 30 days
+    maxEntries: 20000,              // LRU eviction above this (~80MB at 1024 dims)
+  },
+  search: {
+    mode: 'vector',                 // 'vector' | 'keyword' | 'hybrid'
+    loaders: ['markdown'],          // Memory file loaders `reindex` uses: markdown, org, text, code, html, json, pdf
+    hybrid: {
+      rrfK: 60,                     // Reciprocal-rank fusion damping constant
+      weights: { vector: 1.0, keyword: 1.0 },
+      candidateMultiplier: 4,       // Over-fetch topK × N from each ranker before fusing
+    },
+    diversify: {
+      enabled: true,                // MMR re-selection of the final results
+      lambda: 0.7,                  // 1 = pure relevance, 0 = pure novelty
+      duplicateThreshold: 0.8,      // Drop results this similar (shingle Jaccard) to a kept one
+      maxPerFile: 2,                // Memory chunks per file (0 = unlimited)
+      maxPerSession: 2,             // Chat chunks per session (0 = unlimited)
+      candidateMultiplier: 3,       // Score topK × N candidates, keep the topK most diverse
+    },
+  },
+  chunking: {
+    // Per source: 'size' (assistant-only, packed by size) or 'turns' (Q/A exchanges, split on topic shifts).
+    // Import platforms ('slack', …) fall back to `external`. Re-ingest after changing (chat reindex --yes).
+    strategies: { chat: 'size', telegram: 'size', external: 'size' },
+    turns: {
+      topicThreshold: 0.5,          // Start a new chunk when consecutive exchanges are less similar (0 = never)
+      minExchangeChars: 100,        // Skip exchanges shorter than this ("ok", "thanks")
+      maxChunkChars: null,          // Default: embedding.chunkSize
+    },
+  },
+  externalChats: {
+    self: [],                       // Your names/ids/addresses in imported exports (role 'self')
+    // Search weight per import platform (each is its own source, like telegram)
+    weights: { slack: 0.5, discord: 0.5, whatsapp: 0.5, signal: 0.5, mbox: 0.4 },
+    defaultWeight: 0.5,             // Importers registered without a weight above
+  },
+  redaction: {
+    enabled: true,                  // Secret/PII redaction (shared/redact.js)
+    ingest: true,                   // Chat, Telegram and imported messages before chunking/embedding
+    rag: true,                      // RAG results before they are injected into prompts
+    // Per detector: 'mask' | 'hash' (stable short digest) | 'drop' | 'off'
+    detectors: { jwt: 'mask', apiKey: 'mask', email: 'hash', creditCard: 'mask', phone: 'mask' },
+    custom: [],                     // { name, pattern, flags?, action? }; a (?<value>…) group limits what is replaced
+    hashSalt: '',                   // Mixed into 'hash' digests (empty: random, generated once into redaction-salt beside paths.chatDb)
+  },
+  classifier: {
+    history: false,                 // Record every classification (API, triage, pipelines, batch); the `classify` command always does, for `classify correct`
+    bodyChars: 1000,                // Body text embedded and shown to the LLM
+    fewShot: 3,                     // Nearest examples shown to the LLM (0 = zero-shot)
+    taxonomy: 'flat',               // 'flat' (the 12 original categories), 'standard' (hierarchical) or one of `taxonomies`
+    taxonomies: {},                 // name → { description?, categories: ['finance/bills/utilities', …], aliases?: { bills: 'finance/bills' } }
+    multiLabel: {
+      enabled: true,                // Report every label that applies (off: the category only)
+      maxLabels: 3,
+      minScore: 0.5,                // Labels after the first need this score (rule labels score 1)
+    },
+    knn: {
+      enabled: true,                // Compare unmatched emails with the corrected examples
+      k: 5,                         // Neighbours consulted
+      minSimilarity: 0.6,           // Ignore examples less similar than this (cosine)
+      minExamples: 3,               // Neighbours needed to answer without the LLM...
+      minConfidence: 0.8,           // ...and their agreement (knn.js calibrate)
+    },
+    batch: {
+      concurrency: 4,               // Messages classified at once by `classify batch`
+      labelMap: {},                 // Existing mailbox label → category for the report, e.g. { "Receipts": "shopping", "INBOX": null }
+    },
+  },
   watcher: {
-    pollInterval: 5000,
+    pollInterval: 5000,             // Scan interval where fs.watch is unavailable
     debounce: 2000,
-    newFileScan: 30000,
+    newFileScan: 30000,             // Safety-net scan for missed fs.watch events
+    usePolling: false,              // Force scanning instead of fs.watch (network filesystems)
+    watchMemory: true,              // Also keep the memory index current (paths.memoryDir)
+    concurrency: 2,                 // Files ingested (and embedding calls) at once
+    maxRetries: 3,                  // Failed files are retried with backoff, then dropped until they change
+    retryDelay: 5000,               // First retry after this (ms), doubling per attempt
+    status: { port: 3849, host: '127.0.0.1' },  // GET /status (port null = disabled)
+  },
+  logging: {
+    level: 'info',                  // LOG_LEVEL overrides
+    format: 'text',                 // Console: 'text' | 'json' (one object per line); LOG_FORMAT overrides
+    ringBuffer: 1000,               // Recent records kept in memory (dashboard Logs page)
+    file: {
+      enabled: false,               // Rotating JSON-lines log
+      path: null,                   // Default: logs/localllm.log next to chatDb
+      maxBytes: 10 * 1024 * 1024,   // Rotate above this
+      maxFiles: 5,                  // Rotated files kept (localllm.log.1 … .5)
+    },
+  },
+  tracing: {
+    enabled: true,                  // Record spans (context pipeline, search, routing, model calls)
+    sampleRate: 1,                  // Fraction of traces recorded (decided at the root span)
+    maxTraces: 200,                 // Recent traces kept in memory (dashboard waterfall)
+    export: {
+      enabled: false,               // Append finished traces as OTLP/JSON lines
+      path: null,                   // Default: traces/otlp.jsonl next to chatDb
+      maxBytes: 10 * 1024 * 1024,   // Rotate above this
+      maxFiles: 5,                  // Rotated files kept
+    },
   },
   contextPipeline: {
     enabled: true,
@@ -44,6 +161,14 @@ const defaults = {
     vectorIndex: {
       enabled: true,                // Use in-memory vector index for fast search (50-100x speedup)
       staleAfterMs: 60000,          // Reload index after 60s
+      hnsw: {
+        enabled: false,             // Approximate search via an HNSW graph (for large indexes)
+        M: 16,                      // Links per node (changing it rebuilds the graph)
+        efConstruction: 100,        // Build-time beam width (higher = better graph, slower ingest)
+        efSearch: 64,               // Query-time beam width (higher = better recall, slower search)
+        rebuildRatio: 0.2,          // Rebuild instead of patching when this share of nodes was deleted
+        path: null,                 // Default: vector-index.hnsw next to chatDb
+      },
     },
     shortTerm: {
       enabled: true,
@@ -61,6 +186,15 @@ const defaults = {
         telegram: 0.5, // Tier 3: Raw chat - often noise
       },
       injectAs: 'system',
+      rerank: {
+        enabled: false,             // Re-score vector hits with a local model (adds latency)
+        model: null,                // Default: models.triage
+        candidates: 20,             // Vector hits to rerank (topK are kept)
+        budgetMs: 2000,             // Keep vector order if scoring takes longer
+        concurrency: 4,             // Parallel Ollama requests
+        maxPassageChars: 800,       // Passage truncation in the rerank prompt
+        minScore: 0.5,              // Relevance cutoff (0-1); replaces rag.minScore when reranked
+      },
     },
     routing: {
       enabled: true,
@@ -81,7 +215,7 @@ const defaults = {
     },
     features: {
       skipLogic: true,          // Phase 2: skip enrichment for simple messages
-      embeddingCache: true,     // Phase 2: cache query embeddings (5min TTL)
+      embeddingCache: true,     // Phase 2: query embeddings via the shared on-disk cache (see embeddingCache)
       timingStats: true,        // Phase 2: per-stage timing breakdown
       connectionPool: true,     // Phase 3: reuse SQLite connections
       routeAwareSources: true,  // Phase 3: adapt RAG scope to route
@@ -92,23 +226,239 @@ const defaults = {
 
 // Import shared deepMerge (Optimization #9: deduplicated)
 const { deepMerge } = require('./utils');
+const { validate, envOverrides, PROFILE_ENV } = require('./config-schema');
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Read config.local.json.
+ * @returns {{ overrides: object, error: string|null }}
+ */
+function readOverrides() {
+  if (!existsSync(OVERRIDES_PATH)) return { overrides: {}, error: null };
+  try {
+    const overrides = JSON.parse(readFileSync(OVERRIDES_PATH, 'utf-8'));
+    return isPlainObject(overrides) ? { overrides, error: null } : { overrides: {}, error: 'expected a JSON object' };
+  } catch (e) {
+    return { overrides: {}, error: e.message };
+  }
+}
+
+/**
+ * Active profile: LOCALLLM_PROFILE (`localllm --profile <name>` sets it), else "default".
+ * @param {object} [env=process.env]
+ * @returns {string}
+ */
+function profileName(env = process.env) {
+  return env[PROFILE_ENV] || DEFAULT_PROFILE;
+}
+
+/**
+ * Build the config: defaults ← config.local.json ← the active profile's
+ * section of it (`profiles.<name>`) ← LOCALLLM_* environment variables
+ * (shared/config-schema.js). Invalid values are reported and skipped, so the
+ * default stays in effect; unknown keys are reported and kept.
+ *
+ * Throws if the active profile isn't defined: falling back to the default
+ * profile would point a sandbox at the real databases.
+ * @param {object} [env=process.env]
+ * @returns {{ config: object, profile: string, errors: Array<{ source: string, path: string, message: string }>, warnings: Array<{ source: string, path: string, message: string }> }}
+ */
+function loadConfigReport(env = process.env) {
+  const tag = (source, issues) => issues.map(issue => ({ source, ...issue }));
+  const file = readOverrides();
+  const fromFile = validate(file.overrides);
+  const fromEnv = envOverrides(env, defaults);
+
+  const { profiles = {}, ...base } = fromFile.value || {};
+  const profile = profileName(env);
+  if (profile !== DEFAULT_PROFILE && !profiles[profile]) {
+    const known = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profile}" (${known.length ? `defined: ${known.join(', ')}` : 'none defined'}) — create it with: localllm profile init ${profile}`);
+  }
+
+  return {
+    config: deepMerge(deepMerge(deepMerge(structuredClone(defaults), base), profiles[profile] || {}), fromEnv.overrides),
+    profile,
+    errors: [
+      ...(file.error ? [{ source: 'config.local.json', path: '', message: `Failed to load overrides: ${file.error}` }] : []),
+      ...tag('config.local.json', fromFile.errors),
+      ...tag('env', fromEnv.errors),
+    ],
+    warnings: [...tag('config.local.json', fromFile.warnings), ...tag('env', fromEnv.warnings)],
+  };
+}
 
 function loadConfig() {
-  let overrides = {};
-  if (existsSync(OVERRIDES_PATH)) {
-    try {
-      overrides = JSON.parse(readFileSync(OVERRIDES_PATH, 'utf-8'));
-    } catch (e) {
-      console.error(`[config] Failed to load overrides: ${e.message}`);
-    }
+  return loadConfigReport().config;
+}
+
+function formatIssue({ source, path, message }) {
+  return `${source}${path ? ` ${path}` : ''}: ${message}`;
+}
+
+function printReport({ errors, warnings }) {
+  for (const issue of errors) console.error(`[config] ${formatIssue(issue)} (using the default)`);
+  for (const issue of warnings) console.error(`[config] Warning: ${formatIssue(issue)}`);
+}
+
+// Dotted paths whose values differ ("contextPipeline.rag.topK")
+function changedPaths(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => changedPaths(before[key], after[key], path ? `${path}.${key}` : key));
   }
-  return deepMerge(defaults, overrides);
+  return JSON.stringify(before) === JSON.stringify(after) ? [] : [path];
 }
 
-// Export a live config that reloads on access
-const config = loadConfig();
+// The exported config is one live object: reloads update it in place, so
+// modules holding `config` see new values on their next read
+const initial = loadConfigReport();
+printReport(initial);
+const config = initial.config;
+const activeProfile = initial.profile;
 config._reload = loadConfig;
 config._overridesPath = OVERRIDES_PATH;
 config._defaults = defaults;
 
+const emitter = new EventEmitter();
+let overridesWatcher = null;
+
+/**
+ * Re-read config.local.json and the environment, update the config in place
+ * and emit 'change' with the settings that changed.
+ * @returns {{ changed: string[], errors: object[], warnings: object[] }}
+ */
+function reload() {
+  let next;
+  try {
+    next = loadConfigReport();
+  } catch (err) {
+    // e.g. the active profile was removed from config.local.json: keep running on the current settings
+    const errors = [{ source: 'profile', path: '', message: err.message }];
+    printReport({ errors, warnings: [] });
+    return { changed: [], errors, warnings: [] };
+  }
+  printReport(next);
+  const snapshot = (value) => JSON.parse(JSON.stringify(value));
+  const before = snapshot(config);
+  for (const key of Object.keys(config)) {
+    if (!key.startsWith('_') && !(key in next.config)) delete config[key];
+  }
+  Object.assign(config, next.config);
+  const changed = changedPaths(before, snapshot(config)).filter(path => !path.startsWith('_'));
+  if (changed.length > 0) emitter.emit('change', { changed, errors: next.errors, warnings: next.warnings });
+  return { changed, errors: next.errors, warnings: next.warnings };
+}
+
+/**
+ * Listen for config changes (reload(), or config.local.json edits once watch() runs).
+ * @param {(event: { changed: string[], errors: object[], warnings: object[] }) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+function onChange(listener) {
+  emitter.on('change', listener);
+  return () => emitter.off('change', listener);
+}
+
+/**
+ * Reload whenever config.local.json changes (idempotent; doesn't keep the
+ * process alive). The directory is watched so editors' atomic saves count.
+ */
+function watchOverrides() {
+  if (overridesWatcher) return;
+  let timer = null;
+  try {
+    overridesWatcher = watch(dirname(OVERRIDES_PATH), (_event, filename) => {
+      if (filename && filename.toString() !== basename(OVERRIDES_PATH)) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, 200);
+      timer.unref();
+    });
+    overridesWatcher.unref();
+    overridesWatcher.on('error', () => {
+      overridesWatcher.close();
+      overridesWatcher = null;
+    });
+  } catch {
+    // No fs.watch here: changes apply on restart or reload()
+    overridesWatcher = null;
+  }
+}
+
+/**
+ * Validate config.local.json and the environment as they are now.
+ * @returns {{ errors: object[], warnings: object[] }}
+ */
+function check() {
+  try {
+    const { errors, warnings } = loadConfigReport();
+    return { errors, warnings };
+  } catch (err) {
+    return { errors: [{ source: 'profile', path: '', message: err.message }], warnings: [] };
+  }
+}
+
+/**
+ * Deep-merge a patch into config.local.json and reload. The result is
+ * validated first: on errors nothing is written and the thrown Error carries
+ * them as `errors`.
+ *
+ * Under a profile other than "default" the patch goes into that profile's
+ * section (`profiles.<name>`), so it doesn't leak into other profiles.
+ * @param {object} patch
+ * @param {object} [opts]
+ * @param {string} [opts.profile] - Profile to write to (default: the active one; created if missing)
+ * @returns {{ overrides: object, changed: string[], warnings: object[] }}
+ */
+function setOverrides(patch, opts = {}) {
+  if (!isPlainObject(patch)) throw new Error('Config patch must be an object');
+  const profile = opts.profile || activeProfile;
+  if (!PROFILE_NAME.test(profile)) throw new Error(`Invalid profile name "${profile}" (letters, digits, "-" and "_")`);
+  const file = readOverrides();
+  if (file.error) throw new Error(`Can't update ${OVERRIDES_PATH}: ${file.error}`);
+
+  const scoped = profile === DEFAULT_PROFILE ? patch : { profiles: { [profile]: patch } };
+  const merged = deepMerge(file.overrides, scoped);
+  // Only the patch is judged: errors already in the file are reported on load as usual
+  const existing = new Set(validate(file.overrides).errors.map(e => `${e.path}\0${e.message}`));
+  const { errors: all, warnings } = validate(merged);
+  const errors = all.filter(e => !existing.has(`${e.path}\0${e.message}`));
+  if (errors.length > 0) {
+    const err = new Error(`Invalid config: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    err.errors = errors;
+    throw err;
+  }
+  writeFileSync(OVERRIDES_PATH, JSON.stringify(merged, null, 2) + '\n', 'utf-8');
+  const { changed } = reload();
+  return { overrides: merged, changed, warnings };
+}
+
+/**
+ * Profiles defined in config.local.json ("default" always exists).
+ * @returns {Array<{ name: string, active: boolean, overrides: object }>}
+ */
+function listProfiles() {
+  const { profiles = {}, ...base } = readOverrides().overrides;
+  const sections = { [DEFAULT_PROFILE]: isPlainObject(profiles[DEFAULT_PROFILE]) ? profiles[DEFAULT_PROFILE] : {}, ...profiles };
+  return Object.entries(sections).map(([name, overrides]) => ({
+    name,
+    active: name === activeProfile,
+    overrides: name === DEFAULT_PROFILE ? deepMerge(base, overrides) : overrides,
+  }));
+}
+
+// Not enumerable: JSON and Object.keys(config) only see settings
+Object.defineProperties(config, {
+  profile: { value: activeProfile },
+  listProfiles: { value: listProfiles },
+  reload: { value: reload },
+  onChange: { value: onChange },
+  watch: { value: watchOverrides },
+  check: { value: check },
+  setOverrides: { value: setOverrides },
+  readOverrides: { value: () => readOverrides().overrides },
+  loadReport: { value: loadConfigReport },
+});
+
 module.exports = config;
@@ -0,0 +1,117 @@
+'use strict';
+
+const {
+  parseMessage, parseAddressList, parseMessageIds, parseListUnsubscribe,
+  normalizeSubject, stripQuoted, decodeWords,
+} = require('./mime');
+
+/**
+ * Email normalization: raw RFC 822 text into the object the classifier,
+ * triage and the pipelines take ({ from, subject, body, labels, ... }).
+ *
+ * MIME parts are decoded (shared/mime.js), HTML-only mail is converted to
+ * text, and `body` is the new text only: quoted history and the signature
+ * are stripped (the whole decoded text stays in `text`). Labels come from
+ * the headers mail clients and Gmail exports carry them in. Thread and list
+ * headers are parsed into `thread`, `listId` and `unsubscribe`, which the
+ * classifier rule language matches as `thread`, `thread.depth`, `list` and
+ * `unsubscribe`.
+ */
+
+const LABEL_HEADERS = ['x-gmail-labels', 'x-keywords', 'keywords', 'x-label'];
+
+// Comma-separated, optionally quoted: Inbox,"Category Promotions",Bills
+function splitLabels(value) {
+  return (String(value).match(/"[^"]*"|[^,]+/g) || [])
+    .map(label => label.trim().replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Labels carried in headers (X-Gmail-Labels, X-Keywords, Keywords, X-Label).
+ * @param {Object<string, string>} headers - Lower-cased names
+ * @returns {string[]}
+ */
+function headerLabels(headers) {
+  return [...new Set(LABEL_HEADERS.flatMap(name => headers[name] ? splitLabels(decodeWords(headers[name])) : []))];
+}
+
+const addressText = ({ name, address }) => name && address ? `${name} <${address}>` : address || name;
+
+/**
+ * Parse a raw message into classifier/triage input.
+ * @param {string|Buffer} raw - RFC 822 message (a Buffer keeps non-UTF-8 parts intact)
+ * @param {{ labels?: string[] }} [opts] - labels: added to those in the headers
+ * @returns {{
+ *   from: string,
+ *   sender: { name: string|null, address: string|null },
+ *   to: string[],
+ *   cc: string[],
+ *   replyTo: string|null,
+ *   subject: string,
+ *   body: string,
+ *   text: string,
+ *   labels: string[],
+ *   date: string|null,
+ *   messageId: string|null,
+ *   thread: { topic: string, inReplyTo: string|null, references: string[], depth: number, isReply: boolean, isForward: boolean },
+ *   listId: string|null,
+ *   unsubscribe: { mailto: string[], urls: string[], oneClick: boolean }|null,
+ *   headers: Object<string, string>,
+ *   attachments: Array<{ name: string, type: string, size: number }>,
+ * }}
+ *   `from` is "Name <address>" (`sender` split), `body` the text without
+ *   quoted history or signature, `thread.depth` how many earlier messages
+ *   the References/In-Reply-To headers name (0 for a new conversation).
+ */
+function parseEmail(raw, { labels = [] } = {}) {
+  const mail = parseMessage(Buffer.isBuffer(raw) ? raw : String(raw));
+  const { headers } = mail;
+  const references = parseMessageIds(headers.references);
+  const inReplyTo = parseMessageIds(headers['in-reply-to'])[0] || null;
+  if (inReplyTo && !references.includes(inReplyTo)) references.push(inReplyTo);
+  const listId = decodeWords(headers['list-id'] || '').trim();
+
+  return {
+    from: addressText(mail.from) || '',
+    sender: mail.from,
+    to: parseAddressList(headers.to).map(addressText),
+    cc: parseAddressList(headers.cc).map(addressText),
+    replyTo: parseAddressList(headers['reply-to']).map(addressText)[0] || null,
+    subject: mail.subject,
+    body: stripQuoted(mail.text),
+    text: mail.text,
+    labels: [...new Set([...labels, ...headerLabels(headers)])],
+    date: mail.date,
+    messageId: mail.messageId,
+    thread: {
+      topic: normalizeSubject(mail.subject),
+      inReplyTo,
+      references,
+      depth: references.length,
+      isReply: /^\s*(re|aw|sv|vs)(\[\d+\])?:/i.test(mail.subject) || inReplyTo !== null,
+      isForward: /^\s*(fwd?|wg)(\[\d+\])?:/i.test(mail.subject),
+    },
+    listId: listId || null,
+    unsubscribe: parseListUnsubscribe(headers),
+    headers,
+    attachments: mail.attachments,
+  };
+}
+
+/**
+ * Classifier/triage input from whatever was given: a raw message (string or
+ * Buffer, or { raw, labels? }) is parsed with parseEmail(); an already
+ * structured email ({ from, subject, body, labels }) is returned as it is.
+ * @param {string|Buffer|object} input
+ * @returns {object}
+ */
+function normalizeEmail(input) {
+  if (typeof input === 'string' || Buffer.isBuffer(input)) return parseEmail(input);
+  if (input && (typeof input.raw === 'string' || Buffer.isBuffer(input.raw))) {
+    return parseEmail(input.raw, { labels: input.labels || [] });
+  }
+  return input;
+}
+
+module.exports = { normalizeEmail, parseEmail, headerLabels };
@@ -0,0 +1,271 @@
+const { createHash } = require('crypto');
+const { dirname, join } = require('path');
+const ollama = require('./ollama');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Persistent embedding cache shared by every process on the machine.
+ *
+ * Vectors are stored in SQLite keyed by (model, hash of normalized text), so
+ * the dashboard, the API server, the CLI and the indexers reuse each other's
+ * work and nothing is lost on restart. Entries expire after
+ * config.embeddingCache.ttlMs and the least recently used are evicted above
+ * config.embeddingCache.maxEntries.
+ */
+
+const PRUNE_EVERY = 200;  // Inserts between size checks
+
+let _db = null;
+let _dbPath = null;
+let _disabled = false;    // Set after the cache database failed to open
+let _insertsSincePrune = 0;
+
+// Per-scope hit/miss counters for this process ('query', 'index', 'embed', …)
+const counters = {};
+
+function cacheOptions() {
+  return config.embeddingCache || {};
+}
+
+function cachePath() {
+  return cacheOptions().path || join(dirname(config.paths.chatDb), 'embedding-cache.db');
+}
+
+function getDb() {
+  const path = cachePath();
+  if (_db && _dbPath === path) return _db;
+  if (_disabled) return null;
+
+  try {
+    const Database = require('better-sqlite3');
+    _db = new Database(path);
+    _dbPath = path;
+    // WAL + busy timeout: several processes read and write concurrently
+    _db.pragma('journal_mode = WAL');
+    _db.pragma('busy_timeout = 2000');
+    _db.exec(`
+      CREATE TABLE IF NOT EXISTS embedding_cache (
+        model TEXT NOT NULL,
+        key TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_used INTEGER NOT NULL,
+        PRIMARY KEY (model, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_embedding_cache_used ON embedding_cache(last_used);
+    `);
+    _db._get = _db.prepare('SELECT embedding, created_at FROM embedding_cache WHERE model = ? AND key = ?');
+    _db._touch = _db.prepare('UPDATE embedding_cache SET last_used = ? WHERE model = ? AND key = ?');
+    _db._put = _db.prepare(`
+      INSERT INTO embedding_cache (model, key, embedding, created_at, last_used) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(model, key) DO UPDATE SET
+        embedding = excluded.embedding, created_at = excluded.created_at, last_used = excluded.last_used
+    `);
+    logger.debug(`Embedding cache: opened ${path}`);
+    return _db;
+  } catch (err) {
+    _disabled = true;
+    _db = null;
+    logger.warn(`Embedding cache unavailable (${path}): ${err.message} — embedding without cache`);
+    return null;
+  }
+}
+
+/**
+ * Cache key for a text: whitespace-collapsed (and optionally lower-cased), hashed.
+ * @param {string} text
+ * @param {boolean} [ignoreCase=false]
+ * @returns {string}
+ */
+function cacheKey(text, ignoreCase = false) {
+  let normalized = String(text).replace(/\s+/g, ' ').trim();
+  if (ignoreCase) normalized = normalized.toLowerCase();
+  return createHash('sha256').update(normalized, 'utf-8').digest('hex');
+}
+
+function toBuffer(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  for (let i = 0; i < vector.length; i++) {
+    buffer.writeFloatLE(vector[i], i * 4);
+  }
+  return buffer;
+}
+
+function fromBuffer(buffer) {
+  const vector = new Array(buffer.length / 4);
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = buffer.readFloatLE(i * 4);
+  }
+  return vector;
+}
+
+function count(scope, field, n) {
+  if (n === 0) return;
+  if (!counters[scope]) counters[scope] = { hits: 0, misses: 0 };
+  counters[scope][field] += n;
+}
+
+/**
+ * Evict expired entries, then least-recently-used ones above maxEntries.
+ * @returns {number} Entries removed
+ */
+function pruneEmbeddingCache() {
+  const db = getDb();
+  if (!db) return 0;
+  const { ttlMs, maxEntries } = cacheOptions();
+  let removed = 0;
+
+  if (ttlMs > 0) {
+    removed += db.prepare('DELETE FROM embedding_cache WHERE created_at < ?').run(Date.now() - ttlMs).changes;
+  }
+  if (maxEntries > 0) {
+    const { n } = db.prepare('SELECT COUNT(*) AS n FROM embedding_cache').get();
+    if (n > maxEntries) {
+      removed += db.prepare(`
+        DELETE FROM embedding_cache WHERE rowid IN (
+          SELECT rowid FROM embedding_cache ORDER BY last_used ASC LIMIT ?
+        )
+      `).run(n - maxEntries).changes;
+    }
+  }
+  _insertsSincePrune = 0;
+  if (removed > 0) logger.debug(`Embedding cache: pruned ${removed} entries`);
+  return removed;
+}
+
+/**
+ * Drop-in replacement for ollama embed(): serves cached vectors and sends only
+ * the misses to Ollama (in one request), preserving input order.
+ *
+ * @param {string} model
+ * @param {string|string[]} input
+ * @param {object} [opts]
+ * @param {string} [opts.scope='embed'] - Counter bucket ('query', 'index', …)
+ * @param {boolean} [opts.ignoreCase=false] - Treat case variants as the same text (queries)
+ * @returns {Promise<{ model: string, embeddings: number[][], cacheHits: number, cacheMisses: number }>}
+ */
+async function cachedEmbed(model, input, opts = {}) {
+  const scope = opts.scope || 'embed';
+  const texts = Array.isArray(input) ? input : [input];
+  const db = cacheOptions().enabled === false ? null : getDb();
+
+  if (!db) {
+    const response = await ollama.embed(model, input);
+    count(scope, 'misses', texts.length);
+    return { model, embeddings: response.embeddings, cacheHits: 0, cacheMisses: texts.length };
+  }
+
+  const now = Date.now();
+  const ttlMs = cacheOptions().ttlMs || 0;
+  const keys = texts.map(t => cacheKey(t, opts.ignoreCase));
+  const embeddings = new Array(texts.length);
+  const missing = [];
+
+  keys.forEach((key, i) => {
+    const row = db._get.get(model, key);
+    if (row && (ttlMs <= 0 || now - row.created_at < ttlMs)) {
+      embeddings[i] = fromBuffer(row.embedding);
+      db._touch.run(now, model, key);
+    } else {
+      missing.push(i);
+    }
+  });
+
+  if (missing.length > 0) {
+    const missingTexts = missing.map(i => texts[i]);
+    const response = await ollama.embed(model, Array.isArray(input) ? missingTexts : missingTexts[0]);
+    db.transaction(() => {
+      missing.forEach((i, j) => {
+        embeddings[i] = response.embeddings[j];
+        db._put.run(model, keys[i], toBuffer(response.embeddings[j]), now, now);
+      });
+    })();
+
+    _insertsSincePrune += missing.length;
+    if (_insertsSincePrune >= PRUNE_EVERY) pruneEmbeddingCache();
+  }
+
+  const hits = texts.length - missing.length;
+  count(scope, 'hits', hits);
+  count(scope, 'misses', missing.length);
+  return { model, embeddings, cacheHits: hits, cacheMisses: missing.length };
+}
+
+/**
+ * Hit/miss counters of this process (cheap; no database access).
+ * @param {string} [scope] - One bucket, or all of them
+ * @returns {{ hits: number, misses: number }|Object<string, { hits: number, misses: number }>}
+ */
+function getCacheCounters(scope) {
+  if (scope) return { hits: 0, misses: 0, ...counters[scope] };
+  return JSON.parse(JSON.stringify(counters));
+}
+
+/**
+ * @returns {{ enabled: boolean, path: string, entries: number|null, hits: number, misses: number, scopes: object }}
+ */
+function getCacheStats() {
+  const db = cacheOptions().enabled === false ? null : getDb();
+  const scopes = getCacheCounters();
+  const totals = Object.values(scopes).reduce(
+    (acc, s) => ({ hits: acc.hits + s.hits, misses: acc.misses + s.misses }),
+    { hits: 0, misses: 0 }
+  );
+  return {
+    enabled: !!db,
+    path: cachePath(),
+    entries: db ? db.prepare('SELECT COUNT(*) AS n FROM embedding_cache').get().n : null,
+    ...totals,
+    scopes,
+  };
+}
+
+/**
+ * Delete cached vectors (all, or one model's).
+ * @param {string} [model]
+ * @returns {number} Entries removed
+ */
+function clearEmbeddingCache(model) {
+  const db = getDb();
+  if (!db) return 0;
+  return model
+    ? db.prepare('DELETE FROM embedding_cache WHERE model = ?').run(model).changes
+    : db.prepare('DELETE FROM embedding_cache').run().changes;
+}
+
+/**
+ * Delete the cached vectors of specific texts (every model), e.g. for
+ * forgotten chunks. Pass each text as it was embedded, truncations included.
+ * @param {string[]} texts
+ * @returns {number} Entries removed
+ */
+function evictEmbeddings(texts) {
+  const db = getDb();
+  if (!db || texts.length === 0) return 0;
+  const keys = new Set(texts.flatMap(text => [cacheKey(text), cacheKey(text, true)]));
+  const remove = db.prepare('DELETE FROM embedding_cache WHERE key = ?');
+  const removed = db.transaction(() => [...keys].reduce((n, key) => n + remove.run(key).changes, 0))();
+  // Don't leave the vectors behind in the write-ahead log
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  return removed;
+}
+
+function closeEmbeddingCache() {
+  if (_db) { try { _db.close(); } catch {} }
+  _db = null;
+  _dbPath = null;
+}
+
+process.on('exit', closeEmbeddingCache);
+
+module.exports = {
+  cachedEmbed,
+  cacheKey,
+  getCacheCounters,
+  getCacheStats,
+  clearEmbeddingCache,
+  evictEmbeddings,
+  pruneEmbeddingCache,
+  closeEmbeddingCache,
+};
@@ -0,0 +1,186 @@
+const { existsSync } = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Embedding provenance for the chunk tables.
+ *
+ * Every chunk row records the model and dimension that produced its vector
+ * (embed_model, embed_dim), and every database records the model its index is
+ * built with (embedding_meta.active_model). Writers embed with the active
+ * model and searches refuse rows from any other model, so changing
+ * config.models.embed can no longer mix vector spaces — it takes an explicit
+ * `localllm embeddings migrate --to <model>`, which re-embeds into the
+ * shadow_* columns and swaps them in inside one transaction.
+ */
+
+// Chunk tables per database (keys are config.paths entries)
+const EMBEDDING_TABLES = {
+  searchDb: ['chunks'],
+  chatDb: ['chat_chunks', 'telegram_chunks', 'external_chunks'],
+};
+
+const PROVENANCE_COLUMNS = [
+  ['embed_model', 'TEXT'],
+  ['embed_dim', 'INTEGER'],
+  ['shadow_embedding', 'BLOB'],
+  ['shadow_model', 'TEXT'],
+];
+
+/**
+ * Ollama treats "model" and "model:latest" as the same model.
+ * @param {string} model
+ * @returns {string}
+ */
+function normalizeModel(model) {
+  return String(model || '').replace(/:latest$/, '');
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+
+/**
+ * Add provenance columns to a chunk table and the embedding_meta table (idempotent).
+ * Rows written before provenance tracking are stamped with the database's
+ * active model, which for a pre-existing database is the configured one.
+ * @param {import('better-sqlite3').Database} db - Writable connection
+ * @param {string} table - Chunk table name
+ */
+function ensureEmbeddingSchema(db, table) {
+  db.exec('CREATE TABLE IF NOT EXISTS embedding_meta (key TEXT PRIMARY KEY, value TEXT)');
+  db.prepare("INSERT OR IGNORE INTO embedding_meta (key, value) VALUES ('active_model', ?)")
+    .run(normalizeModel(config.models.embed));
+
+  if (!tableExists(db, table)) return;
+
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  for (const [name, type] of PROVENANCE_COLUMNS) {
+    if (!columns.includes(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  if (!columns.includes('embed_model')) {
+    const { changes } = db.prepare(`
+      UPDATE ${table} SET embed_model = ?, embed_dim = length(embedding) / 4
+      WHERE embedding IS NOT NULL
+    `).run(getActiveModel(db));
+    if (changes > 0) logger.info(`Embedding provenance: stamped ${changes} ${table} rows as ${getActiveModel(db)}`);
+  }
+}
+
+/**
+ * Model the database's vectors were built with.
+ * Works on readonly connections to databases that predate embedding_meta
+ * (falls back to config.models.embed).
+ * @param {import('better-sqlite3').Database} db
+ * @returns {string}
+ */
+function getActiveModel(db) {
+  if (tableExists(db, 'embedding_meta')) {
+    const row = db.prepare("SELECT value FROM embedding_meta WHERE key = 'active_model'").get();
+    if (row?.value) return row.value;
+  }
+  return normalizeModel(config.models.embed);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Writable connection
+ * @param {string} model
+ */
+function setActiveModel(db, model) {
+  db.exec('CREATE TABLE IF NOT EXISTS embedding_meta (key TEXT PRIMARY KEY, value TEXT)');
+  db.prepare(`
+    INSERT INTO embedding_meta (key, value) VALUES ('active_model', ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(normalizeModel(model));
+}
+
+/**
+ * Whether a chunk row may be compared against a query vector.
+ * Rows from another model are refused outright; rows from databases that
+ * predate provenance tracking are accepted only if the dimension matches.
+ * @param {object} row - Chunk row (embedding, embed_model?, embed_dim?)
+ * @param {string} model - Model the query vector came from
+ * @param {number} dim - Query vector length
+ * @returns {boolean}
+ */
+function isCompatible(row, model, dim) {
+  if (!row.embedding) return false;
+  if (row.embed_model && normalizeModel(row.embed_model) !== normalizeModel(model)) return false;
+  const rowDim = row.embed_dim || row.embedding.length / 4;
+  return rowDim === dim;
+}
+
+// Search-side cache: the active model only changes when a migration switches
+const _activeCache = new Map();
+const ACTIVE_TTL_MS = 60_000;
+const _warned = new Set();
+
+/**
+ * Model to embed search queries with: the active model of the memory index,
+ * else of the chat index, else config.models.embed.
+ * Cached for a minute so long-running servers follow a migration without a restart.
+ * @param {object} [paths]
+ * @param {string} [paths.memoryDb]
+ * @param {string} [paths.chatDb]
+ * @returns {string}
+ */
+function resolveSearchModel(paths = {}) {
+  const candidates = [paths.memoryDb || config.paths.searchDb, paths.chatDb || config.paths.chatDb];
+  const key = candidates.join('|');
+  const cached = _activeCache.get(key);
+  if (cached && Date.now() - cached.ts < ACTIVE_TTL_MS) return cached.model;
+
+  let model = normalizeModel(config.models.embed);
+  for (const dbPath of candidates) {
+    if (!existsSync(dbPath)) continue;
+    try {
+      const Database = require('better-sqlite3');
+      const db = new Database(dbPath, { readonly: true });
+      try {
+        if (tableExists(db, 'embedding_meta')) {
+          model = getActiveModel(db);
+          break;
+        }
+      } finally {
+        db.close();
+      }
+    } catch (err) {
+      logger.debug(`Embedding meta: could not read ${dbPath}: ${err.message}`);
+    }
+  }
+
+  warnIfConfigDiffers(model);
+  _activeCache.set(key, { model, ts: Date.now() });
+  return model;
+}
+
+function invalidateActiveModelCache() {
+  _activeCache.clear();
+}
+
+/**
+ * Log (once per model) when config.models.embed no longer matches the index.
+ * @param {string} activeModel
+ */
+function warnIfConfigDiffers(activeModel) {
+  const configured = normalizeModel(config.models.embed);
+  if (configured === activeModel || _warned.has(activeModel)) return;
+  _warned.add(activeModel);
+  logger.warn(`Index is embedded with ${activeModel} but config.models.embed is ${configured}; ` +
+    `still using ${activeModel}. Run 'localllm embeddings migrate --to ${configured}' to switch.`);
+}
+
+module.exports = {
+  EMBEDDING_TABLES,
+  normalizeModel,
+  ensureEmbeddingSchema,
+  getActiveModel,
+  setActiveModel,
+  isCompatible,
+  resolveSearchModel,
+  invalidateActiveModelCache,
+  warnIfConfigDiffers,
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  copy: '©',
+};
+
+/**
+ * Decode named and numeric HTML entities.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+const BLOCK_TAGS = 'p|div|section|article|header|footer|main|aside|nav|tr|table|ul|ol|dl|dt|dd|blockquote|pre|figure|form';
+
+// Quoted-history markers, each on a line of its own until the final pass
+const QUOTE_START = '\u0001';
+const QUOTE_END = '\u0002';
+
+/**
+ * Mark quoted history in mail HTML: <blockquote> and Gmail's "gmail_quote"
+ * container (its "On … wrote:" included) are wrapped in start/end markers;
+ * Outlook's reply header (#divRplyFwdMsg) starts a quote that runs to the end,
+ * since the original message follows it rather than sitting inside it.
+ */
+function markQuotes(html) {
+  const stack = [];
+  return html.replace(/<(\/?)(div|blockquote)\b([^>]*)>/gi, (tag, closing, name, attrs) => {
+    if (closing) {
+      return stack.pop() ? `\n${QUOTE_END}\n` : tag;
+    }
+    if (/\bid\s*=\s*["']?divRplyFwdMsg\b/i.test(attrs)) {
+      stack.push(false);
+      return `\n${QUOTE_START}\n`;
+    }
+    const quote = name.toLowerCase() === 'blockquote' || /\bclass\s*=\s*["'][^"']*\bgmail_quote\b/i.test(attrs);
+    stack.push(quote);
+    return quote ? `\n${QUOTE_START}\n` : tag;
+  });
+}
+
+/**
+ * Convert an HTML document to readable plain text.
+ * Scripts, styles and comments are dropped, block elements become line breaks,
+ * and (optionally) h1-h6 become markdown "#" headings so the result can be
+ * chunked by section.
+ *
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {boolean} [opts.headings=true] - Render h1-h6 as markdown headings
+ * @param {boolean} [opts.quotes=false] - Render quoted mail history (see markQuotes) as "> " lines
+ * @returns {string}
+ */
+function htmlToText(html, opts = {}) {
+  const headings = opts.headings !== false;
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, '');
+  if (opts.quotes) text = markQuotes(text);
+  text = text
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => {
+      const title = inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+      return headings ? `\n\n${'#'.repeat(Number(level))} ${title}\n\n` : `\n\n${title}\n\n`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(new RegExp(`</?(?:${BLOCK_TAGS}|li)\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  let depth = 0;
+  const lines = [];
+  for (const line of decodeEntities(text).split('\n')) {
+    if (line === QUOTE_START || line === QUOTE_END) {
+      depth = Math.max(depth + (line === QUOTE_START ? 1 : -1), 0);
+      lines.push('');
+      continue;
+    }
+    const trimmed = line.replace(/[ \t\u00a0]+/g, ' ').trim();
+    lines.push(depth > 0 && trimmed ? `${'> '.repeat(depth)}${trimmed}` : trimmed);
+  }
+  return lines.join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { htmlToText, decodeEntities };
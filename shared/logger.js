@@ -1,3 +1,23 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+const { format } = require('util');
+const { dirname, join } = require('path');
+const { appendFileSync, existsSync, mkdirSync, renameSync, rmSync, statSync } = require('fs');
+
+/**
+ * Leveled, structured logging.
+ *
+ * Every call produces a record — { time, level, ...fields, msg, error? } —
+ * that goes to each sink: the console (text or one JSON object per line), an
+ * in-memory ring buffer (the dashboard Logs page) and optionally a rotating
+ * JSON-lines file. Fields come from child loggers (`logger.child({ package })`)
+ * and from the async context (`logger.withContext({ requestId }, fn)`), so a
+ * request id bound in an API handler shows up on every record logged while
+ * serving it, in whichever package logs it.
+ *
+ * Settings: config.logging; LOG_LEVEL and LOG_FORMAT override level and format.
+ */
+
 const LOG_LEVELS = {
   debug: 0,
   info: 1,
@@ -5,27 +25,229 @@ const LOG_LEVELS = {
   error: 3,
 };
 
-const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL || 'info'];
+const context = new AsyncLocalStorage();
+const sinks = new Set();
+
+let currentLevel = LOG_LEVELS[process.env.LOG_LEVEL || 'info'] ?? LOG_LEVELS.info;
+let consoleFormat = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+function errorFields(err) {
+  return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+function buildRecord(level, bindings, args) {
+  const error = args.find(arg => arg instanceof Error);
+  const msg = format(...args.map(arg => (arg instanceof Error ? arg.message : arg)));
+  return {
+    time: new Date().toISOString(),
+    level,
+    ...context.getStore(),
+    ...bindings,
+    msg,
+    ...(error ? { error: errorFields(error) } : {}),
+  };
+}
+
+function formatText(record) {
+  const { time, level, msg, error, package: pkg, ...fields } = record;
+  const extra = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join('');
+  const prefix = `[${time.replace('T', ' ').replace('Z', '')}] [${level.toUpperCase()}]${pkg ? ` [${pkg}]` : ''}`;
+  return `${prefix} ${msg}${extra}${error?.stack ? `\n${error.stack}` : ''}`;
+}
+
+// Errors to stderr, everything else to stdout
+function consoleSink(record) {
+  const line = consoleFormat === 'json' ? JSON.stringify(record) : formatText(record);
+  if (record.level === 'error') console.error(line);
+  else console.log(line);
+}
+
+function log(level, bindings, args) {
+  if (LOG_LEVELS[level] < currentLevel) return;
+  const record = buildRecord(level, bindings, args);
+  for (const sink of sinks) {
+    try {
+      sink(record);
+    } catch {
+      // A failing sink (full disk, closed stream) must not take the caller down
+    }
+  }
+}
+
+/**
+ * Keep the last `size` records in memory.
+ * @param {number} [size=1000]
+ * @returns {((record: object) => void) & { query: Function, clear: () => void, size: number }}
+ */
+function createRingBuffer(size = 1000) {
+  let records = [];
+  let seq = 0;
+  const sink = (record) => {
+    records.push({ seq: ++seq, ...record });
+    if (records.length > sink.size) records.splice(0, records.length - sink.size);
+  };
+  sink.size = size;
+
+  /**
+   * Records matching every given filter, oldest first.
+   * @param {object} [opts]
+   * @param {string} [opts.level] - Minimum level
+   * @param {string} [opts.package]
+   * @param {string} [opts.requestId]
+   * @param {string} [opts.sessionId]
+   * @param {string} [opts.search] - Case-insensitive substring of msg
+   * @param {string|number} [opts.since] - ISO time or epoch ms
+   * @param {number} [opts.after] - Only records with seq > after (for polling)
+   * @param {number} [opts.limit=200] - Newest N of the matches
+   * @returns {object[]}
+   */
+  sink.query = (opts = {}) => {
+    const minLevel = LOG_LEVELS[opts.level] ?? 0;
+    const since = opts.since ? new Date(opts.since).getTime() : null;
+    const search = opts.search?.toLowerCase();
+    const matches = records.filter(r =>
+      LOG_LEVELS[r.level] >= minLevel &&
+      (!opts.package || r.package === opts.package) &&
+      (!opts.requestId || r.requestId === opts.requestId) &&
+      (!opts.sessionId || r.sessionId === opts.sessionId) &&
+      (!search || r.msg.toLowerCase().includes(search)) &&
+      (since == null || Date.parse(r.time) >= since) &&
+      (opts.after == null || r.seq > opts.after));
+    return matches.slice(-(opts.limit || 200));
+  };
+  sink.clear = () => { records = []; };
+  return sink;
+}
+
+/**
+ * Append records as JSON lines, rotating at `maxBytes`
+ * (file → file.1 → … → file.<maxFiles>, the oldest is dropped).
+ * @param {object} opts
+ * @param {string} opts.path
+ * @param {number} [opts.maxBytes=10485760]
+ * @param {number} [opts.maxFiles=5]
+ * @returns {(record: object) => void}
+ */
+function createFileSink({ path, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+  mkdirSync(dirname(path), { recursive: true });
+  let bytes = existsSync(path) ? statSync(path).size : 0;
+
+  function rotate() {
+    rmSync(`${path}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (existsSync(`${path}.${i}`)) renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+    }
+    if (maxFiles > 0 && existsSync(path)) renameSync(path, `${path}.1`);
+    else rmSync(path, { force: true });
+    bytes = 0;
+  }
+
+  return (record) => {
+    const line = JSON.stringify(record) + '\n';
+    if (bytes > 0 && bytes + Buffer.byteLength(line) > maxBytes) rotate();
+    appendFileSync(path, line);
+    bytes += Buffer.byteLength(line);
+  };
+}
+
+/**
+ * Register a sink: a function called with every record at or above the level.
+ * @param {(record: object) => void} sink
+ * @returns {() => void} Remove it again
+ */
+function addSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+/**
+ * Run `fn` with fields (requestId, sessionId, …) bound to every record logged
+ * inside it, including across awaits. Nested calls add to the outer fields.
+ * @template T
+ * @param {object} fields
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Express middleware binding a request id for the rest of the request: the
+ * caller's X-Request-Id if it looks like one, else a new UUID. It is echoed
+ * back in X-Request-Id and set as `req.requestId`.
+ * @returns {(req, res, next: Function) => void}
+ */
+function requestIdMiddleware() {
+  return (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : randomUUID();
+    req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    withContext({ requestId }, next);
+  };
+}
 
-function timestamp() {
-  return new Date().toISOString().replace('T', ' ').replace('Z', '');
+function createLogger(bindings = {}) {
+  return {
+    debug: (...args) => log('debug', bindings, args),
+    info: (...args) => log('info', bindings, args),
+    warn: (...args) => log('warn', bindings, args),
+    error: (...args) => log('error', bindings, args),
+    /** Logger whose records all carry `fields` (e.g. { package: 'triage' }). */
+    child: (fields) => createLogger({ ...bindings, ...fields }),
+    withContext,
+    /** Fields bound by the enclosing withContext() calls. */
+    context: () => ({ ...context.getStore() }),
+  };
 }
 
-function log(level, ...args) {
-  if (LOG_LEVELS[level] >= currentLevel) {
-    const prefix = `[${timestamp()}] [${level.toUpperCase()}]`;
-    // errors to stderr, everything else to stdout
-    if (level === 'error') {
-      console.error(prefix, ...args);
-    } else {
-      console.log(prefix, ...args);
+const ringBuffer = createRingBuffer();
+addSink(consoleSink);
+addSink(ringBuffer);
+
+let removeFileSink = null;
+
+// config.logging, re-applied on config changes (shared/config doesn't log, so no require cycle)
+function applyConfig(settings) {
+  if (!process.env.LOG_LEVEL && settings.level in LOG_LEVELS) currentLevel = LOG_LEVELS[settings.level];
+  if (!process.env.LOG_FORMAT && settings.format) consoleFormat = settings.format;
+  if (settings.ringBuffer > 0) ringBuffer.size = settings.ringBuffer;
+
+  if (removeFileSink) removeFileSink();
+  removeFileSink = null;
+  if (settings.file?.enabled) {
+    const config = require('./config');
+    const path = settings.file.path || join(dirname(config.paths.chatDb), 'logs', 'localllm.log');
+    try {
+      removeFileSink = addSink(createFileSink({ path, maxBytes: settings.file.maxBytes, maxFiles: settings.file.maxFiles }));
+    } catch (err) {
+      console.error(`[logger] Can't write ${path}: ${err.message}`);
     }
   }
 }
 
+try {
+  const config = require('./config');
+  if (config.logging) {
+    applyConfig(config.logging);
+    config.onChange(({ changed }) => {
+      if (changed.some(path => path.startsWith('logging.') || path === 'paths.chatDb')) applyConfig(config.logging);
+    });
+  }
+} catch {
+  // Config unavailable (e.g. unknown profile): console + ring buffer at LOG_LEVEL
+}
+
 module.exports = {
-  debug: (...args) => log('debug', ...args),
-  info: (...args) => log('info', ...args),
-  warn: (...args) => log('warn', ...args),
-  error: (...args) => log('error', ...args),
+  ...createLogger(),
+  addSink,
+  requestIdMiddleware,
+  createFileSink,
+  createRingBuffer,
+  ringBuffer,
+  LOG_LEVELS,
 };
@@ -0,0 +1,391 @@
+'use strict';
+
+const { htmlToText } = require('./html');
+
+/**
+ * RFC 822 / MIME message parsing: mbox splitting, header unfolding and
+ * RFC 2047 encoded words, multipart bodies, base64 and quoted-printable
+ * transfer encodings, charsets. HTML-only bodies are converted to text
+ * (shared/html.js). Also address lists, thread and list headers, and
+ * stripping quoted replies and signatures from message text.
+ */
+
+/**
+ * Split an mbox file into raw messages. Messages start at "From " lines;
+ * ">From " quoting (mboxo/mboxrd) is undone.
+ * @param {string} text - mbox contents
+ * @returns {string[]}
+ */
+function splitMbox(text) {
+  return [...splitMboxLines(text.split(/\r?\n/))];
+}
+
+/**
+ * splitMbox over lines, yielding each message as soon as the next one
+ * starts, so a mailbox can be read incrementally.
+ * @param {Iterable<string>} lines - Without line terminators
+ * @yields {string}
+ */
+function* splitMboxLines(lines) {
+  let current = null;
+  let previousBlank = true;
+
+  for (const line of lines) {
+    if (previousBlank && line.startsWith('From ')) {
+      if (current) yield current.join('\n');
+      current = [];
+    } else if (current) {
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+    previousBlank = line === '';
+  }
+  if (current) yield current.join('\n');
+}
+
+// Undeclared 8-bit text is UTF-8 when it decodes as such, else Latin-1
+function decodeBytes(buffer, charset) {
+  if (!charset) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+      return buffer.toString('latin1');
+    }
+  }
+  const name = String(charset).toLowerCase();
+  try {
+    return new TextDecoder(name === 'us-ascii' ? 'utf-8' : name).decode(buffer);
+  } catch {
+    return buffer.toString('utf-8');
+  }
+}
+
+/**
+ * Decode quoted-printable text to bytes.
+ * @param {string} text
+ * @param {string} [encoding='utf-8'] - How literal characters become bytes ('latin1' for binary strings)
+ * @returns {Buffer}
+ */
+function decodeQuotedPrintable(text, encoding = 'utf-8') {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], encoding));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?utf-8?B?...?=", "=?iso-8859-1?Q?...?=").
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function decodeWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]+)?\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, data) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintable(data.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset);
+    });
+}
+
+// Raw 8-bit header text in a binary string: UTF-8 (RFC 6532) when it
+// decodes as such, else left as Latin-1. Headers of a string message are
+// already text and (as Latin-1 bytes) aren't valid UTF-8, so they pass through.
+function headerText(value) {
+  if (!/[\x80-\xff]/.test(value) || /[^\x00-\xff]/.test(value)) return value;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(value, 'latin1'));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Split a header block from its body and unfold the headers.
+ * Header names are lower-cased; repeated headers keep their last value.
+ * @param {string} raw - Text, or a binary string (one character per byte)
+ * @returns {{ headers: Object<string, string>, body: string }}
+ */
+function parseHeaders(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  let last = null;
+  for (const line of head.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && last) {
+      headers[last] += ` ${line.trim()}`;
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    last = line.slice(0, colon).trim().toLowerCase();
+    headers[last] = line.slice(colon + 1).trim();
+  }
+  for (const name of Object.keys(headers)) headers[name] = headerText(headers[name]);
+  return { headers, body };
+}
+
+/**
+ * Split a structured header ("text/plain; charset=utf-8") into value and parameters.
+ * @param {string} value
+ * @returns {{ value: string, params: Object<string, string> }}
+ */
+function parseHeaderParams(value) {
+  const [first, ...rest] = String(value || '').split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf('=');
+    if (eq <= 0) continue;
+    const key = part.slice(0, eq).trim().toLowerCase().replace(/\*$/, '');
+    let val = part.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+    // RFC 2231: charset'lang'percent-encoded
+    const extended = val.match(/^([^']*)'[^']*'(.*)$/);
+    if (extended && part.slice(0, eq).trim().endsWith('*')) {
+      const bytes = Buffer.from(extended[2].replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      val = decodeBytes(bytes, extended[1] || 'utf-8');
+    }
+    params[key] = decodeWords(val);
+  }
+  return { value: first.trim().toLowerCase(), params };
+}
+
+/**
+ * Parse an address header into display name and address.
+ * @param {string} value - e.g. '"Alice Smith" <alice@example.com>'
+ * @returns {{ name: string|null, address: string|null }}
+ */
+function parseAddress(value) {
+  const decoded = decodeWords(value).trim();
+  const angle = decoded.match(/^(.*?)\s*<([^>]+)>/);
+  if (angle) {
+    return { name: angle[1].replace(/^"(.*)"$/, '$1').trim() || null, address: angle[2].trim().toLowerCase() };
+  }
+  const bare = decoded.match(/[^\s<>()"]+@[^\s<>()"]+/);
+  const comment = decoded.match(/\(([^)]+)\)/);
+  return { name: comment ? comment[1].trim() : null, address: bare ? bare[0].toLowerCase() : null };
+}
+
+/**
+ * A part's body as bytes.
+ * @param {string} body
+ * @param {Object<string, string>} headers
+ * @param {boolean} binary - The body is a binary string (the message was a Buffer)
+ * @returns {Buffer}
+ */
+function decodePartBody(body, headers, binary) {
+  const encoding = String(headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'base64') return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(body, binary ? 'latin1' : 'utf-8');
+  return Buffer.from(body, binary ? 'latin1' : 'utf-8');
+}
+
+/**
+ * A text part decoded with its charset. Unencoded parts of a message given
+ * as a string were decoded by whoever made the string, so they're kept.
+ */
+function decodePartText(body, headers, charset, binary) {
+  const encoding = String(headers['content-transfer-encoding'] || '').toLowerCase();
+  if (!binary && encoding !== 'base64' && encoding !== 'quoted-printable') return body;
+  return decodeBytes(decodePartBody(body, headers, binary), charset);
+}
+
+/**
+ * Walk a MIME entity, collecting text bodies and attachments.
+ */
+function walkPart(raw, out, depth = 0) {
+  const { headers, body } = parseHeaders(raw);
+  const type = parseHeaderParams(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+  const filename = disposition.params.filename || type.params.name || null;
+
+  if (type.value.startsWith('multipart/') && type.params.boundary && depth < 10) {
+    const delimiter = `--${type.params.boundary}`;
+    const parts = body.split(new RegExp(`^${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?$`, 'm'));
+    // parts[0] is the preamble; after a closing delimiter the last one is the epilogue
+    const closed = body.includes(`${delimiter}--`);
+    for (const part of parts.slice(1, closed ? -1 : undefined)) {
+      walkPart(part.replace(/^\r?\n/, ''), out, depth + 1);
+    }
+    return;
+  }
+  if (type.value === 'message/rfc822' && depth < 10) {
+    walkPart(body, out, depth + 1);
+    return;
+  }
+
+  if (disposition.value === 'attachment' || (filename && !type.value.startsWith('text/'))) {
+    out.attachments.push({ name: filename || 'attachment', type: type.value, size: decodePartBody(body, headers, out.binary).length });
+    return;
+  }
+  if (type.value === 'text/plain' || type.value === 'text/html') {
+    const text = decodePartText(body, headers, type.params.charset, out.binary);
+    out[type.value === 'text/plain' ? 'plain' : 'html'].push(text);
+  }
+}
+
+/**
+ * Parse a raw RFC 822 message. Give the bytes as they are (a Buffer) when
+ * they may not be UTF-8: headers and structure are parsed from the bytes and
+ * each text part is decoded with its own declared charset.
+ * @param {string|Buffer} raw
+ * @returns {{
+ *   headers: Object<string, string>,
+ *   subject: string,
+ *   from: { name: string|null, address: string|null },
+ *   date: string|null,
+ *   messageId: string|null,
+ *   text: string,
+ *   html: string|null,
+ *   attachments: Array<{ name: string, type: string, size: number }>,
+ * }}
+ */
+function parseMessage(raw) {
+  const binary = Buffer.isBuffer(raw);
+  const source = binary ? raw.toString('latin1') : String(raw);
+  const { headers } = parseHeaders(source);
+  const out = { plain: [], html: [], attachments: [], binary };
+  walkPart(source, out);
+
+  const html = out.html.length > 0 ? out.html.join('\n') : null;
+  const text = out.plain.length > 0
+    ? out.plain.join('\n')
+    : html ? htmlToText(html, { headings: false, quotes: true }) : '';
+  const date = headers.date ? new Date(headers.date) : null;
+
+  return {
+    headers,
+    subject: decodeWords(headers.subject || '').trim(),
+    from: parseAddress(headers.from || ''),
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    messageId: (headers['message-id'] || '').replace(/^<|>$/g, '').trim() || null,
+    text: text.replace(/\r\n/g, '\n').trim(),
+    html,
+    attachments: out.attachments,
+  };
+}
+
+/**
+ * Parse an address list header (To, Cc) into its addresses.
+ * @param {string} value - e.g. '"Smith, Alice" <alice@example.com>, bob@example.com'
+ * @returns {Array<{ name: string|null, address: string|null }>}
+ */
+function parseAddressList(value) {
+  // Commas inside quotes, angle brackets or comments don't separate addresses
+  return (String(value || '').match(/(?:"[^"]*"|<[^>]*>|\([^)]*\)|[^,"<(])+/g) || [])
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(parseAddress)
+    .filter(a => a.address || a.name);
+}
+
+/**
+ * Message ids in a References or In-Reply-To header, without angle brackets.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseMessageIds(value) {
+  const ids = String(value || '').match(/<[^>]+>/g);
+  return ids ? ids.map(id => id.slice(1, -1).trim()) : String(value || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Parse List-Unsubscribe (RFC 2369) and List-Unsubscribe-Post (RFC 8058).
+ * @param {Object<string, string>} headers - As parseHeaders() returns them
+ * @returns {{ mailto: string[], urls: string[], oneClick: boolean }|null} null without the header
+ */
+function parseListUnsubscribe(headers) {
+  if (!headers['list-unsubscribe']) return null;
+  const links = (headers['list-unsubscribe'].match(/<[^>]+>/g) || []).map(link => link.slice(1, -1).trim());
+  return {
+    mailto: links.filter(link => /^mailto:/i.test(link)),
+    urls: links.filter(link => /^https?:/i.test(link)),
+    oneClick: /List-Unsubscribe=One-Click/i.test(headers['list-unsubscribe-post'] || ''),
+  };
+}
+
+const REPLY_PREFIX = /^\s*((re|fwd?|aw|wg|sv|vs)(\[\d+\])?:\s*)+/i;
+
+/**
+ * A subject without reply/forward prefixes ("Re: Fwd: Dinner" → "Dinner").
+ * @param {string} subject
+ * @returns {string} "(no subject)" if nothing is left
+ */
+function normalizeSubject(subject) {
+  return String(subject || '').replace(REPLY_PREFIX, '').trim() || '(no subject)';
+}
+
+// A block of quoted headers as Outlook writes them (bold, "*From:*", once converted from HTML)
+const OUTLOOK_HEADER = /^\*?(From|Sent|To|Cc|Subject|Date):\*?\s/;
+const CLIENT_ATTRIBUTION = /\d{4}|\d{1,2}:\d{2}|@/;
+const SIGN_OFF = /^(Sent from my \w[\w ]*|Get Outlook for \w+|Sent from (Mail|Outlook|Yahoo Mail) for \w+)\s*$/i;
+
+// Where an "On <date>, <name> <address> wrote:" line ends: clients wrap long
+// ones, so it may take up to three lines. -1 if line i doesn't start one.
+function attributionEnd(lines, i) {
+  if (!/^On\s/.test(lines[i].trim())) return -1;
+  let joined = '';
+  for (let j = i; j < Math.min(i + 3, lines.length) && lines[j].trim(); j++) {
+    joined += ` ${lines[j].trim()}`;
+    if (/\swrote:$/.test(joined)) return j;
+  }
+  return -1;
+}
+
+/**
+ * Drop quoted history ("> ..." lines and the "On ... wrote:" line, wrapped
+ * or not, introducing them, or everything after such a line if it names a
+ * date or address and no "> " lines follow; Outlook's "-----Original Message-----" block, or
+ * its From: with Sent:/To:/Subject: header block, with or without the
+ * underscore line above) and the signature ("-- " and everything after it,
+ * "Sent from my iPhone" and similar sign-offs).
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+function stripQuoted(text) {
+  const lines = String(text || '').split('\n');
+  const kept = [];
+  const next = (i) => lines.slice(i + 1).find(l => l.trim())?.trim() || '';
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === '-- ' || /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim())) break;
+    if (/^_{10,}\s*$/.test(line.trim()) && OUTLOOK_HEADER.test(next(i))) break;
+    // A header block needs From: and another header right under it, not just a line starting "From:"
+    if (/^\*?From:\*?\s/.test(line.trim()) && OUTLOOK_HEADER.test(lines[i + 1]?.trim() || '')) break;
+    if (/^\s*>/.test(line)) continue;
+    const attribution = attributionEnd(lines, i);
+    if (attribution !== -1 && next(attribution).startsWith('>')) {
+      i = attribution;
+      continue;
+    }
+    // A mail client's attribution (it names a date, time or address) with the quote not marked as one
+    if (attribution !== -1 && CLIENT_ATTRIBUTION.test(lines.slice(i, attribution + 1).join(' '))) break;
+    if (SIGN_OFF.test(line.trim())) continue;
+    kept.push(line);
+  }
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+module.exports = {
+  splitMbox,
+  splitMboxLines,
+  parseMessage,
+  parseHeaders,
+  parseHeaderParams,
+  parseAddress,
+  parseAddressList,
+  parseMessageIds,
+  parseListUnsubscribe,
+  normalizeSubject,
+  stripQuoted,
+  decodeWords,
+  decodeQuotedPrintable,
+};
@@ -1,23 +1,52 @@
 const { Ollama } = require('ollama');
+const config = require('./config');
+const { resolveModel, getBackend } = require('./providers');
+const tracing = require('./tracing');
 
+/**
+ * Model client shared by all packages.
+ *
+ * Despite the name, calls are dispatched per model to the backend configured
+ * in config.providers (Ollama by default; see shared/providers). Signatures
+ * and response shapes are Ollama's on every backend, plus an optional
+ * `opts.timeout` in milliseconds.
+ */
+
+// Raw Ollama client, for Ollama-only operations (model management)
 const client = new Ollama({
-  host: process.env.OLLAMA_URL || 'http://127.0.0.1:11434',
+  host: config.ollama?.url || process.env.OLLAMA_URL || 'http://127.0.0.1:11434',
 });
 
+// Calls made while a trace is active (context pipeline, search) get a child
+// span; standalone calls (ingestion, CLI) aren't traced
+function traced(name, model, call) {
+  return tracing.withSpan(name, { 'llm.model': model }, async (span) => {
+    const response = await call();
+    span.setAttributes({
+      'llm.prompt_tokens': response?.prompt_eval_count,
+      'llm.completion_tokens': response?.eval_count,
+    });
+    return response;
+  }, { requireParent: true });
+}
+
 async function generate(model, prompt, opts = {}) {
-  return client.generate({ model, prompt, stream: false, ...opts });
+  const target = resolveModel(model);
+  return traced('llm.generate', model, () => target.backend.generate(target.model, prompt, opts));
 }
 
-async function embed(model, input) {
-  return client.embed({ model, input });
+async function embed(model, input, opts = {}) {
+  const target = resolveModel(model);
+  return traced('llm.embed', model, () => target.backend.embed(target.model, input, opts));
 }
 
 async function chat(model, messages, opts = {}) {
-  return client.chat({ model, messages, stream: false, ...opts });
+  const target = resolveModel(model);
+  return traced('llm.chat', model, () => target.backend.chat(target.model, messages, opts));
 }
 
 /**
- * Stream generation from Ollama
+ * Stream generation from the model's backend
  * @param {string} model - Model name
  * @param {string} prompt - Text prompt
  * @param {Function} onChunk - Callback for each chunk: (chunk) => void
@@ -25,45 +54,24 @@ async function chat(model, messages, opts = {}) {
  * @returns {Promise<Object>} - Final response object
  */
 async function streamGenerate(model, prompt, onChunk, opts = {}) {
-  const url = 'http://127.0.0.1:11434/api/generate';
-  const body = JSON.stringify({ model, prompt, stream: true, ...opts });
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body,
-  });
-
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-
-  const reader = response.body;
-  let buffer = '';
-  let finalResponse = null;
-
-  for await (const chunk of reader) {
-    buffer += new TextDecoder().decode(chunk);
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
+  const target = resolveModel(model);
+  return target.backend.streamGenerate(target.model, prompt, onChunk, opts);
+}
 
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      try {
-        const json = JSON.parse(line);
-        if (json.response) {
-          onChunk(json);
-        }
-        if (json.done) {
-          finalResponse = json;
-        }
-      } catch (e) {
-        // Invalid JSON, skip
-      }
-    }
+/**
+ * Check that a backend is reachable.
+ * @param {string} [backend] - Backend name (default: config.providers.default)
+ * @param {{ timeout?: number }} [opts]
+ * @returns {Promise<{ ok: boolean, backend: string, type: string, error?: string }>}
+ */
+async function ping(backend, opts = {}) {
+  const name = backend || config.providers?.default || 'ollama';
+  try {
+    const target = getBackend(name);
+    return { backend: name, type: target.type, ...(await target.ping(opts)) };
+  } catch (err) {
+    return { ok: false, backend: name, type: config.providers?.backends?.[name]?.type || null, error: err.message };
   }
-
-  return finalResponse || {};
 }
 
-module.exports = { generate, embed, chat, streamGenerate, client };
+module.exports = { generate, embed, chat, streamGenerate, ping, client };
@@ -0,0 +1,96 @@
+/**
+ * Minimal JSON-over-HTTP helpers shared by the HTTP backends.
+ * Every request carries a deadline; expiry surfaces as the same error
+ * (code 'ETIMEDOUT') whichever backend made the call.
+ */
+
+function timeoutError(label, ms) {
+  const err = new Error(`${label} timed out after ${ms}ms`);
+  err.code = 'ETIMEDOUT';
+  return err;
+}
+
+async function request(label, url, init, timeoutMs) {
+  const signal = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined;
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal });
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') throw timeoutError(label, timeoutMs);
+    throw new Error(`${label}: ${err.cause?.message || err.message}`);
+  }
+
+  if (!response.ok) {
+    let detail = '';
+    try { detail = (await response.text()).slice(0, 300); } catch {}
+    const err = new Error(`${label}: HTTP ${response.status}${detail ? ` — ${detail}` : ''}`);
+    err.status = response.status;
+    throw err;
+  }
+  return response;
+}
+
+/**
+ * POST a JSON body and parse the JSON reply.
+ * @param {string} label - Backend name, for error messages
+ * @param {string} url
+ * @param {object} body
+ * @param {{ timeout?: number, headers?: object }} [opts]
+ * @returns {Promise<object>}
+ */
+async function postJson(label, url, body, opts = {}) {
+  const response = await request(label, url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...opts.headers },
+    body: JSON.stringify(body),
+  }, opts.timeout);
+  try {
+    return await response.json();
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') throw timeoutError(label, opts.timeout);
+    throw err;
+  }
+}
+
+/**
+ * GET a URL and parse the JSON reply (health checks, model lists).
+ */
+async function getJson(label, url, opts = {}) {
+  const response = await request(label, url, { method: 'GET', headers: opts.headers }, opts.timeout);
+  return response.json();
+}
+
+/**
+ * POST a JSON body and hand each non-empty line of the streamed reply to onLine.
+ * @param {string} label
+ * @param {string} url
+ * @param {object} body
+ * @param {(line: string) => void} onLine
+ * @param {{ timeout?: number, headers?: object }} [opts]
+ */
+async function postStream(label, url, body, onLine, opts = {}) {
+  const response = await request(label, url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...opts.headers },
+    body: JSON.stringify(body),
+  }, opts.timeout);
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (line.trim()) onLine(line.trim());
+      }
+    }
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') throw timeoutError(label, opts.timeout);
+    throw err;
+  }
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+module.exports = { postJson, getJson, postStream, timeoutError };
@@ -0,0 +1,101 @@
+const config = require('../config');
+const { createOllamaBackend } = require('./ollama');
+const { createOpenAIBackend } = require('./openai');
+const { createMockBackend, setMockHandler } = require('./mock');
+
+/**
+ * Model backends.
+ *
+ * config.providers.backends names the servers; a model string in
+ * config.models selects one with a "<backend>/" prefix
+ * ('llamacpp/qwen2.5-14b-instruct', 'mock/test'). Unprefixed names — every
+ * plain Ollama tag, including namespaced ones like 'hf.co/org/model' — go to
+ * config.providers.default.
+ *
+ * Every backend exposes generate/chat/embed/streamGenerate/ping with Ollama's
+ * call signatures and response shapes, JSON mode via `format: 'json'`, and a
+ * per-call `timeout` (ms) that fails with code 'ETIMEDOUT'. Without one
+ * (call, backend `timeout` or providers.timeout) requests are unbounded.
+ */
+
+const BACKEND_TYPES = {
+  ollama: createOllamaBackend,
+  openai: createOpenAIBackend,
+  mock: createMockBackend,
+};
+
+// Instances by name; rebuilt when their settings change (config reloads)
+const _instances = new Map();
+
+function providerConfig() {
+  return config.providers || {};
+}
+
+function backendSettings(name) {
+  const settings = providerConfig().backends?.[name];
+  if (!settings) return null;
+  return {
+    // The Ollama backend follows config.ollama unless it sets its own url
+    ...(settings.type === 'ollama' ? { url: config.ollama?.url } : {}),
+    timeout: providerConfig().timeout ?? null,
+    ...settings,
+  };
+}
+
+/**
+ * Backend instance by name.
+ * @param {string} name - Key of config.providers.backends
+ * @returns {object} Backend (generate, chat, embed, streamGenerate, ping)
+ */
+function getBackend(name) {
+  const settings = backendSettings(name);
+  if (!settings) {
+    const known = Object.keys(providerConfig().backends || {}).join(', ');
+    throw new Error(`Unknown model backend "${name}" (configured: ${known || 'none'})`);
+  }
+  const create = BACKEND_TYPES[settings.type];
+  if (!create) {
+    throw new Error(`Backend "${name}" has unknown type "${settings.type}" (expected one of: ${Object.keys(BACKEND_TYPES).join(', ')})`);
+  }
+
+  const key = JSON.stringify(settings);
+  const cached = _instances.get(name);
+  if (cached && cached.key === key) return cached.backend;
+
+  const backend = create(name, settings);
+  _instances.set(name, { key, backend });
+  return backend;
+}
+
+/**
+ * Split a configured model string into backend and backend-side model name.
+ * @param {string} model - e.g. 'qwen2.5:14b' or 'llamacpp/qwen2.5-14b-instruct'
+ * @returns {{ backend: object, model: string }}
+ */
+function resolveModel(model) {
+  const name = String(model || '');
+  const slash = name.indexOf('/');
+  if (slash > 0) {
+    const prefix = name.slice(0, slash);
+    if (providerConfig().backends?.[prefix]) {
+      return { backend: getBackend(prefix), model: name.slice(slash + 1) };
+    }
+  }
+  return { backend: getBackend(providerConfig().default || 'ollama'), model: name };
+}
+
+/**
+ * Names of configured backends.
+ * @returns {string[]}
+ */
+function listBackends() {
+  return Object.keys(providerConfig().backends || {});
+}
+
+module.exports = {
+  resolveModel,
+  getBackend,
+  listBackends,
+  setMockHandler,
+  BACKEND_TYPES,
+};
@@ -0,0 +1,109 @@
+const { createHash } = require('crypto');
+const { timeoutError } = require('./http');
+
+/**
+ * In-process mock backend for tests and offline development.
+ *
+ * Embeddings are deterministic pseudo-random unit vectors seeded by the text
+ * (same text → same vector), so indexing and search run end to end without a
+ * model server. Text replies come from a handler (see setMockHandler); the
+ * default echoes the prompt, or returns "{}" in JSON mode. `latencyMs`
+ * simulates a slow server and is subject to the same timeouts as real backends.
+ */
+
+let handler = null;
+
+/**
+ * Replace the reply generator (null restores the default).
+ * @param {((req: { kind: 'generate'|'chat', model: string, prompt: string, messages?: Array, opts: object }) => string|object|Promise<string|object>)|null} fn
+ *   Return a string (the reply text) or an object to use as the JSON reply.
+ */
+function setMockHandler(fn) {
+  handler = fn;
+}
+
+function defaultReply({ prompt, opts }) {
+  if (opts.format === 'json') return '{}';
+  return `mock response: ${prompt.slice(0, 80)}`;
+}
+
+function seededVector(text, dim) {
+  // mulberry32 seeded from the text hash
+  let seed = createHash('sha256').update(String(text), 'utf-8').digest().readUInt32LE(0);
+  const next = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const vector = Array.from({ length: dim }, () => next() * 2 - 1);
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return vector.map(x => x / norm);
+}
+
+/**
+ * @param {string} name - Backend name from config.providers.backends
+ * @param {{ dimension?: number, latencyMs?: number, timeout?: number }} settings
+ */
+function createMockBackend(name, settings) {
+  const config = require('../config');
+
+  async function delay(opts) {
+    const latency = settings.latencyMs || 0;
+    const timeout = opts.timeout ?? settings.timeout;
+    if (timeout > 0 && latency > timeout) {
+      await new Promise(resolve => setTimeout(resolve, timeout));
+      throw timeoutError(name, timeout);
+    }
+    if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+  }
+
+  async function reply(req) {
+    await delay(req.opts);
+    const out = await (handler || defaultReply)(req);
+    return typeof out === 'string' ? out : JSON.stringify(out);
+  }
+
+  return {
+    name,
+    type: 'mock',
+
+    async generate(model, prompt, opts = {}) {
+      const response = await reply({ kind: 'generate', model, prompt, opts });
+      return { model, created_at: new Date().toISOString(), response, done: true, done_reason: 'stop' };
+    },
+
+    async chat(model, messages, opts = {}) {
+      const prompt = messages.length > 0 ? String(messages[messages.length - 1].content) : '';
+      const content = await reply({ kind: 'chat', model, prompt, messages, opts });
+      return {
+        model,
+        created_at: new Date().toISOString(),
+        message: { role: 'assistant', content },
+        done: true,
+        done_reason: 'stop',
+      };
+    },
+
+    async embed(model, input, opts = {}) {
+      await delay(opts);
+      const dim = settings.dimension || config.embedding?.dimension || 1024;
+      const texts = Array.isArray(input) ? input : [input];
+      return { model, embeddings: texts.map(t => seededVector(t, dim)) };
+    },
+
+    async streamGenerate(model, prompt, onChunk, opts = {}) {
+      const response = await reply({ kind: 'generate', model, prompt, opts });
+      for (const piece of response.match(/\S+\s*/g) || []) {
+        onChunk({ model, created_at: new Date().toISOString(), response: piece, done: false });
+      }
+      return { model, created_at: new Date().toISOString(), response: '', done: true, done_reason: 'stop' };
+    },
+
+    async ping() {
+      return { ok: true };
+    },
+  };
+}
+
+module.exports = { createMockBackend, setMockHandler };
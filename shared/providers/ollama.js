@@ -0,0 +1,58 @@
+const { postJson, getJson, postStream } = require('./http');
+
+/**
+ * Ollama backend (native /api endpoints).
+ * Responses are Ollama's own shapes, which the other backends imitate.
+ *
+ * @param {string} name - Backend name from config.providers.backends
+ * @param {{ url: string, timeout?: number }} settings
+ */
+function createOllamaBackend(name, settings) {
+  const url = settings.url.replace(/\/+$/, '');
+
+  // Provider-level options (timeout) are not part of Ollama's request body
+  const split = (opts) => {
+    const { timeout, ...body } = opts;
+    return { body, timeout: timeout ?? settings.timeout };
+  };
+
+  return {
+    name,
+    type: 'ollama',
+
+    async generate(model, prompt, opts = {}) {
+      const { body, timeout } = split(opts);
+      return postJson(name, `${url}/api/generate`, { model, prompt, ...body, stream: false }, { timeout });
+    },
+
+    async chat(model, messages, opts = {}) {
+      const { body, timeout } = split(opts);
+      return postJson(name, `${url}/api/chat`, { model, messages, ...body, stream: false }, { timeout });
+    },
+
+    async embed(model, input, opts = {}) {
+      const { timeout } = split(opts);
+      return postJson(name, `${url}/api/embed`, { model, input }, { timeout });
+    },
+
+    async streamGenerate(model, prompt, onChunk, opts = {}) {
+      const { body, timeout } = split(opts);
+      let finalResponse = null;
+      await postStream(name, `${url}/api/generate`, { model, prompt, ...body, stream: true }, (line) => {
+        let json;
+        try { json = JSON.parse(line); } catch { return; } // Partial/invalid line, skip
+        if (json.error) throw new Error(`${name}: ${json.error}`);
+        if (json.response) onChunk(json);
+        if (json.done) finalResponse = json;
+      }, { timeout });
+      return finalResponse || {};
+    },
+
+    async ping(opts = {}) {
+      const version = await getJson(name, `${url}/api/version`, { timeout: opts.timeout ?? 3000 });
+      return { ok: true, version: version.version || null };
+    },
+  };
+}
+
+module.exports = { createOllamaBackend };
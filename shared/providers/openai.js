@@ -0,0 +1,124 @@
+const { postJson, getJson, postStream } = require('./http');
+
+/**
+ * OpenAI-compatible backend (/v1/chat/completions, /v1/embeddings), as served
+ * by llama.cpp's server, vLLM, LM Studio and others.
+ *
+ * Requests take the same options as Ollama (format: 'json', options.temperature,
+ * options.num_predict, system, …) and replies are reshaped into Ollama's
+ * response objects, so callers never see which backend answered.
+ *
+ * @param {string} name - Backend name from config.providers.backends
+ * @param {{ url: string, apiKey?: string, timeout?: number, headers?: object }} settings
+ *   url includes the API prefix, e.g. http://127.0.0.1:8080/v1
+ */
+function createOpenAIBackend(name, settings) {
+  const url = settings.url.replace(/\/+$/, '');
+  const headers = {
+    ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+    ...settings.headers,
+  };
+
+  // Ollama request options → chat.completions parameters
+  function completionBody(model, messages, opts) {
+    const o = opts.options || {};
+    const body = { model, messages };
+    if (o.temperature !== undefined) body.temperature = o.temperature;
+    if (o.top_p !== undefined) body.top_p = o.top_p;
+    if (o.num_predict !== undefined && o.num_predict >= 0) body.max_tokens = o.num_predict;
+    if (o.stop !== undefined) body.stop = o.stop;
+    if (o.seed !== undefined) body.seed = o.seed;
+    if (opts.format === 'json') body.response_format = { type: 'json_object' };
+    return body;
+  }
+
+  function promptMessages(prompt, opts) {
+    return [
+      ...(opts.system ? [{ role: 'system', content: opts.system }] : []),
+      { role: 'user', content: prompt },
+    ];
+  }
+
+  function stats(data, startTime) {
+    return {
+      done: true,
+      done_reason: data.choices?.[0]?.finish_reason || 'stop',
+      prompt_eval_count: data.usage?.prompt_tokens,
+      eval_count: data.usage?.completion_tokens,
+      total_duration: (Date.now() - startTime) * 1e6, // ns, as Ollama reports it
+    };
+  }
+
+  async function complete(model, messages, opts) {
+    const startTime = Date.now();
+    const data = await postJson(name, `${url}/chat/completions`, completionBody(model, messages, opts), {
+      timeout: opts.timeout ?? settings.timeout,
+      headers,
+    });
+    return { content: data.choices?.[0]?.message?.content ?? '', data, startTime };
+  }
+
+  return {
+    name,
+    type: 'openai',
+
+    async generate(model, prompt, opts = {}) {
+      const { content, data, startTime } = await complete(model, promptMessages(prompt, opts), opts);
+      return { model, created_at: new Date().toISOString(), response: content, ...stats(data, startTime) };
+    },
+
+    async chat(model, messages, opts = {}) {
+      const { content, data, startTime } = await complete(model, messages, opts);
+      return {
+        model,
+        created_at: new Date().toISOString(),
+        message: { role: 'assistant', content },
+        ...stats(data, startTime),
+      };
+    },
+
+    async embed(model, input, opts = {}) {
+      const data = await postJson(name, `${url}/embeddings`, { model, input }, {
+        timeout: opts.timeout ?? settings.timeout,
+        headers,
+      });
+      const rows = [...(data.data || [])].sort((a, b) => a.index - b.index);
+      return { model, embeddings: rows.map(r => r.embedding) };
+    },
+
+    async streamGenerate(model, prompt, onChunk, opts = {}) {
+      const startTime = Date.now();
+      const body = { ...completionBody(model, promptMessages(prompt, opts), opts), stream: true };
+      let finishReason = null;
+      let usage = null;
+
+      // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+      await postStream(name, `${url}/chat/completions`, body, (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+        let json;
+        try { json = JSON.parse(payload); } catch { return; }
+        const choice = json.choices?.[0];
+        if (json.usage) usage = json.usage;
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        const delta = choice?.delta?.content;
+        if (delta) onChunk({ model, created_at: new Date().toISOString(), response: delta, done: false });
+      }, { timeout: opts.timeout ?? settings.timeout, headers });
+
+      return {
+        model,
+        created_at: new Date().toISOString(),
+        response: '',
+        ...stats({ choices: [{ finish_reason: finishReason }], usage }, startTime),
+      };
+    },
+
+    async ping(opts = {}) {
+      const data = await getJson(name, `${url}/models`, { timeout: opts.timeout ?? 3000, headers });
+      return { ok: true, models: (data.data || []).map(m => m.id) };
+    },
+  };
+}
+
+module.exports = { createOpenAIBackend };
@@ -0,0 +1,246 @@
+'use strict';
+
+const { createHash, randomBytes } = require('crypto');
+const { readFileSync, writeFileSync, linkSync, unlinkSync, mkdirSync } = require('fs');
+const { dirname, join } = require('path');
+const config = require('./config');
+
+/**
+ * Secret and PII redaction for text that is embedded or injected into
+ * prompts: conversational chunks at ingest time (chat transcripts, Telegram,
+ * imported exports) and RAG results before assembleContext() uses them.
+ *
+ * Pattern detectors (`config.redaction.detectors`), each set to an action:
+ *
+ *   'mask' → "[REDACTED:email]"
+ *   'hash' → "[email:1f3a9c02]" — SHA-256 of the value (plus `hashSalt`),
+ *            so repeated mentions stay linkable without revealing it. The
+ *            digest is short, so without a secret salt a value could be
+ *            found by hashing candidates (every phone number, say): with
+ *            `hashSalt` empty a random one is generated on first use and
+ *            kept in `redaction-salt` beside the chat DB
+ *   'drop' → removed from the text
+ *   'off'  → detector disabled
+ *
+ * `config.redaction.custom` adds detectors: `{ name, pattern, flags?, action? }`.
+ * When a pattern has a `(?<value>…)` group only that part is replaced, e.g.
+ * `internal_id=(?<value>\d+)` keeps the "internal_id=" label.
+ */
+
+// Order matters: earlier detectors claim text first (a JWT before a generic token, a card before a phone)
+const DETECTORS = {
+  jwt: [/\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g],
+  apiKey: [
+    /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g,          // Anthropic, OpenAI
+    /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,                    // AWS access key ids
+    /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,                   // GitHub tokens
+    /\bgithub_pat_[A-Za-z0-9_]{22,}/g,
+    /\bglpat-[A-Za-z0-9_-]{20,}/g,                       // GitLab
+    /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,                  // Slack
+    /\bAIza[0-9A-Za-z_-]{35}\b/g,                        // Google
+    /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}/g,           // Stripe
+    /\bBearer\s+(?<value>[A-Za-z0-9._~+/-]{20,}=*)/g,
+    // key = value assignments: only the value goes
+    /\b(?:api[_-]?key|api[_-]?token|access[_-]?token|auth[_-]?token|secret(?:[_-]?key)?|client[_-]?secret|password|passwd)\b["']?\s*[:=]\s*["']?(?<value>[^\s"',;]{8,})/gi,
+  ],
+  email: [{ pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, normalize: v => v.toLowerCase() }],
+  creditCard: [{ pattern: /(?<![\d.])\d(?:[ -]?\d){12,18}(?![\d.])/g, validate: luhn }],
+  phone: [{
+    pattern: /(?<![\w+.])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}(?![\w.])/g,
+    validate: looksLikePhone,
+  }],
+};
+
+const ACTIONS = ['mask', 'hash', 'drop', 'off'];
+
+// Output of an earlier detector ("[REDACTED:apiKey]", "[email:1f3a9c02]")
+const PLACEHOLDER = /^\[[\w-]+:[\w-]+\]$/;
+
+function luhn(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// 9-15 digits, written like a phone number: international prefix or separators
+// (bare digit runs are ids and timestamps, dashed 4-2-2 groups are dates)
+function looksLikePhone(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) return false;
+  if (/^\d{4}-\d{2}-\d{2}/.test(match)) return false;
+  return match.startsWith('+') || /[\s.()-]/.test(match);
+}
+
+/**
+ * Compile the configured detectors.
+ * @param {object} settings - config.redaction
+ * @returns {Array<{ name: string, action: string, pattern: RegExp, validate?: Function }>}
+ */
+function compileDetectors(settings) {
+  const detectors = [];
+  for (const [name, rules] of Object.entries(DETECTORS)) {
+    const action = settings.detectors?.[name] ?? 'mask';
+    if (!ACTIONS.includes(action)) throw new Error(`Invalid redaction action for ${name}: "${action}" (expected: ${ACTIONS.join(', ')})`);
+    if (action === 'off') continue;
+    for (const rule of rules) {
+      detectors.push(rule instanceof RegExp ? { name, action, pattern: rule } : { name, action, ...rule });
+    }
+  }
+  for (const custom of settings.custom || []) {
+    if (!custom?.name || !custom.pattern) throw new Error('Custom redaction detectors need a name and a pattern');
+    const action = custom.action || 'mask';
+    if (!ACTIONS.includes(action)) throw new Error(`Invalid redaction action for ${custom.name}: "${action}" (expected: ${ACTIONS.join(', ')})`);
+    if (action === 'off') continue;
+    let flags = custom.flags || '';
+    if (!flags.includes('g')) flags += 'g';
+    let pattern;
+    try {
+      pattern = new RegExp(custom.pattern, flags);
+    } catch (err) {
+      throw new Error(`Invalid redaction pattern for ${custom.name}: ${err.message}`);
+    }
+    detectors.push({ name: custom.name, action, pattern });
+  }
+  return detectors;
+}
+
+// Compiled detectors, rebuilt when the settings change
+let compiled = { key: null, detectors: [] };
+
+function detectorsFor(settings) {
+  const key = JSON.stringify([settings.detectors, settings.custom]);
+  if (compiled.key !== key) compiled = { key, detectors: compileDetectors(settings) };
+  return compiled.detectors;
+}
+
+let generatedSalt = null;
+
+/**
+ * The salt for 'hash' digests: `hashSalt`, else the generated one (created
+ * once, shared by every process through the file).
+ * @param {object} settings
+ * @returns {string}
+ */
+function hashSaltFor(settings) {
+  if (settings.hashSalt) return settings.hashSalt;
+  const path = join(dirname(config.paths.chatDb), 'redaction-salt');
+  if (generatedSalt?.path === path) return generatedSalt.salt;
+
+  let salt = '';
+  try {
+    salt = readFileSync(path, 'utf-8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (!salt) {
+    // Written aside and linked into place, so concurrent first uses agree on one salt
+    mkdirSync(dirname(path), { recursive: true });
+    const temp = `${path}.${process.pid}.tmp`;
+    writeFileSync(temp, `${randomBytes(32).toString('hex')}\n`, { mode: 0o600 });
+    try {
+      linkSync(temp, path);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    } finally {
+      unlinkSync(temp);
+    }
+    salt = readFileSync(path, 'utf-8').trim();
+  }
+  generatedSalt = { path, salt };
+  return salt;
+}
+
+function replacement(detector, value, settings) {
+  if (detector.action === 'drop') return '';
+  if (detector.action === 'hash') {
+    const normalized = detector.normalize ? detector.normalize(value) : value;
+    const digest = createHash('sha256').update(hashSaltFor(settings) + normalized, 'utf-8').digest('hex');
+    return `[${detector.name}:${digest.slice(0, 8)}]`;
+  }
+  return `[REDACTED:${detector.name}]`;
+}
+
+/**
+ * Whether redaction applies at a stage.
+ * @param {'ingest'|'rag'} stage
+ * @param {object} [settings=config.redaction]
+ */
+function redactionEnabled(stage, settings = config.redaction) {
+  return !!settings?.enabled && settings[stage] !== false;
+}
+
+/**
+ * Redact secrets and PII from a text.
+ * @param {string} text
+ * @param {object} [settings=config.redaction]
+ * @returns {{ text: string, counts: Object<string, number> }} Counts per detector name
+ */
+function redact(text, settings = config.redaction) {
+  const counts = {};
+  if (!text || !settings) return { text, counts };
+
+  for (const detector of detectorsFor(settings)) {
+    detector.pattern.lastIndex = 0;
+    text = text.replace(detector.pattern, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+      const value = groups?.value ?? match;
+      if (PLACEHOLDER.test(value) || (detector.validate && !detector.validate(value))) return match;
+      counts[detector.name] = (counts[detector.name] || 0) + 1;
+      const at = match.lastIndexOf(value);
+      return match.slice(0, at) + replacement(detector, value, settings) + match.slice(at + value.length);
+    });
+  }
+  return { text, counts };
+}
+
+/**
+ * Redact a text field of each item (copies; the originals are untouched).
+ * @param {object[]} items - e.g. parsed messages or search results
+ * @param {string} [field='text']
+ * @param {object} [settings=config.redaction]
+ * @returns {{ items: object[], counts: Object<string, number>, total: number }}
+ */
+function redactItems(items, field = 'text', settings = config.redaction) {
+  const counts = {};
+  const redacted = items.map(item => {
+    const result = redact(item[field], settings);
+    if (Object.keys(result.counts).length === 0) return item;
+    addCounts(counts, result.counts);
+    return { ...item, [field]: result.text };
+  });
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  return { items: redacted, counts, total };
+}
+
+/**
+ * Add redaction counts into a running total.
+ * @returns {Object<string, number>} The total
+ */
+function addCounts(total, counts) {
+  for (const [name, n] of Object.entries(counts)) total[name] = (total[name] || 0) + n;
+  return total;
+}
+
+/**
+ * "email: 2, apiKey: 1" (empty string for none).
+ */
+function formatCounts(counts) {
+  return Object.entries(counts).map(([name, n]) => `${name}: ${n}`).join(', ');
+}
+
+module.exports = {
+  redact,
+  redactItems,
+  redactionEnabled,
+  addCounts,
+  formatCounts,
+  compileDetectors,
+  DETECTORS,
+};
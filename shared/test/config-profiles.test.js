@@ -0,0 +1,91 @@
+/**
+ * Config Profile Tests (shared/config.js: profile layering, setOverrides into
+ * profiles.<name>, and `localllm profile init`)
+ */
+
+const { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { spawnSync } = require('child_process');
+
+// A scratch overrides file in place of config.local.json, and the "work" profile active, before config loads
+const dir = mkdtempSync(join(tmpdir(), 'config-profiles-test-'));
+const file = join(dir, 'config.local.json');
+writeFileSync(file, JSON.stringify({
+  models: { code: 'base-coder', triage: 'base-triage' },
+  search: { mode: 'keyword' },
+  profiles: {
+    work: { models: { code: 'work-coder' }, paths: { chatDb: join(dir, 'shared', 'chat.db') } },
+    home: {},
+  },
+}));
+Object.assign(process.env, { LOCALLLM_CONFIG_FILE: file, LOCALLLM_PROFILE: 'work' });
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const readFile = () => JSON.parse(readFileSync(file, 'utf-8'));
+
+test('the active profile layers over the top level, and env vars over both', () => {
+  assert.strictEqual(config.profile, 'work');
+  assert.deepStrictEqual([config.models.code, config.models.triage, config.search.mode], ['work-coder', 'base-triage', 'keyword']);
+  assert.strictEqual(config.paths.chatDb, join(dir, 'shared', 'chat.db'));
+
+  const base = config.loadReport({});
+  assert.deepStrictEqual([base.profile, base.config.models.code, base.config.paths.chatDb],
+    ['default', 'base-coder', config._defaults.paths.chatDb]);
+
+  const env = config.loadReport({ LOCALLLM_PROFILE: 'work', LOCALLLM_MODELS__CODE: 'env-coder' });
+  assert.deepStrictEqual([env.config.models.code, env.errors, env.warnings], ['env-coder', [], []]);
+
+  assert.throws(() => config.loadReport({ LOCALLLM_PROFILE: 'wrok' }),
+    /Unknown profile "wrok" \(defined: work, home\) — create it with: localllm profile init wrok/);
+});
+
+test('setOverrides writes into the active profile unless told otherwise', () => {
+  const { changed } = config.setOverrides({ models: { triage: 'work-triage' } });
+  assert.deepStrictEqual(changed, ['models.triage']);
+  assert.strictEqual(config.models.triage, 'work-triage');
+  assert.deepStrictEqual(readFile().models, { code: 'base-coder', triage: 'base-triage' }, 'top level untouched');
+  assert.deepStrictEqual(readFile().profiles.work.models, { code: 'work-coder', triage: 'work-triage' });
+
+  config.setOverrides({ search: { mode: 'vector' } }, { profile: 'default' });
+  assert.strictEqual(readFile().search.mode, 'vector');
+  assert.strictEqual(config.search.mode, 'vector', 'inherited by the active profile');
+
+  config.setOverrides({ models: { code: 'offline-coder' } }, { profile: 'offline' });
+  assert.deepStrictEqual(readFile().profiles.offline, { models: { code: 'offline-coder' } });
+  assert.strictEqual(config.models.code, 'work-coder');
+
+  const before = readFileSync(file, 'utf-8');
+  assert.throws(() => config.setOverrides({ search: { mode: 'fuzzy' } }), err => err.errors?.[0]?.path === 'profiles.work.search.mode');
+  assert.throws(() => config.setOverrides({ search: { mode: 'vector' } }, { profile: '../etc' }), /Invalid profile name/);
+  assert.strictEqual(readFileSync(file, 'utf-8'), before, 'nothing written');
+});
+
+test('profile init sandboxes new paths and keeps the ones the profile already sets', () => {
+  const profileDir = join(dir, 'work');
+  const { LOCALLLM_PROFILE, ...env } = process.env;
+  const run = spawnSync(process.execPath, [join(__dirname, '..', '..', 'cli.js'), 'profile', 'init', 'work', '--dir', profileDir],
+    { env, encoding: 'utf-8', timeout: 60000 });
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Profile "work" updated/);
+
+  const work = readFile().profiles.work;
+  assert.deepStrictEqual(work.paths, {
+    memoryDir: join(profileDir, 'memory'),
+    sessionsDir: join(profileDir, 'sessions'),
+    searchDb: join(profileDir, 'memory.db'),
+    chatDb: join(dir, 'shared', 'chat.db'),
+    emailDb: join(profileDir, 'emails.db'),
+    classifierRules: join(profileDir, 'classifier-rules.json'),
+    classifierDb: join(profileDir, 'classifier.db'),
+  });
+  assert.strictEqual(work.models.code, 'work-coder', 'other settings kept');
+  for (const path of [work.paths.memoryDir, work.paths.sessionsDir, work.paths.searchDb, work.paths.chatDb]) {
+    assert.ok(existsSync(path), path);
+  }
+});
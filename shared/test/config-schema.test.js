@@ -0,0 +1,111 @@
+/**
+ * Config Schema Tests (shared/config-schema.js: validation, LOCALLLM_* environment overrides)
+ */
+
+// Env overrides for the loaded config, set before it loads
+Object.assign(process.env, {
+  LOCALLLM_SEARCH__MODE: 'hybrid',
+  LOCALLLM_CONTEXT_PIPELINE__RAG__TOP_K: 'many',
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validate, envOverrides, envName, parseSetting, schemaAt, settingPaths } = require('../config-schema');
+const config = require('../config');
+
+test('valid settings pass through unchanged', () => {
+  const local = {
+    models: { triage: 'llamacpp/qwen2.5-14b-instruct' },
+    search: { mode: 'keyword', hybrid: { weights: { vector: 0.5, keyword: 1 } } },
+    chunking: { strategies: { chat: 'turns', slack: 'size' }, turns: { topicThreshold: 0.4 } },
+    providers: { timeout: null, backends: { vllm: { type: 'openai', url: 'http://gpu:8000' } } },
+    externalChats: { self: ['me@example.com'] },
+  };
+  assert.deepStrictEqual(validate(local), { value: local, errors: [], warnings: [] });
+});
+
+test('invalid values are reported and left out, unknown keys warned about and kept', () => {
+  const { value, errors, warnings } = validate({
+    search: { mode: 'fuzzy', diversify: { lambda: 1.5 } },
+    embedding: { dimension: 12.5, chunkSize: '1500' },
+    models: { embed: '' },
+    chunking: { strategies: { chat: 'paragraphs', telegram: 'turns' } },
+    externalChats: { self: ['me', 42] },
+    contextPipeline: { rag: { topk: 5 } },
+    notASection: true,
+  });
+
+  assert.deepStrictEqual(errors, [
+    { path: 'search.mode', message: 'expected one of "vector", "keyword", "hybrid", got "fuzzy"' },
+    { path: 'search.diversify.lambda', message: 'expected a number between 0 and 1, got 1.5' },
+    { path: 'embedding.dimension', message: 'expected an integer ≥ 1, got 12.5' },
+    { path: 'embedding.chunkSize', message: 'expected an integer ≥ 100, got "1500"' },
+    { path: 'models.embed', message: 'must not be empty' },
+    { path: 'chunking.strategies.chat', message: 'expected one of "size", "turns", got "paragraphs"' },
+    { path: 'externalChats.self[1]', message: 'expected a string, got 42 (number)' },
+  ]);
+  assert.deepStrictEqual(warnings, [
+    { path: 'contextPipeline.rag.topk', message: 'unknown key (did you mean "topK"?)' },
+    { path: 'notASection', message: 'unknown key' },
+  ]);
+  // What's left is safe to merge over the defaults
+  assert.deepStrictEqual(value.search, { diversify: {} });
+  assert.deepStrictEqual(value.chunking.strategies, { telegram: 'turns' });
+  assert.deepStrictEqual(value.externalChats.self, ['me']);
+  assert.strictEqual(value.notASection, true);
+
+  assert.deepStrictEqual(validate(null, schemaAt('providers.timeout')).errors, []);
+  assert.match(validate(null, schemaAt('search.mode')).errors[0].message, /got null/);
+});
+
+test('environment variables name settings in SNAKE_CASE and are parsed by type', () => {
+  assert.strictEqual(envName('contextPipeline.rag.topK'), 'LOCALLLM_CONTEXT_PIPELINE__RAG__TOP_K');
+  assert.strictEqual(envName('providers.backends.llamacpp.url'), 'LOCALLLM_PROVIDERS__BACKENDS__LLAMACPP__URL');
+
+  assert.strictEqual(parseSetting('42', schemaAt('contextPipeline.rag.topK')), 42);
+  assert.strictEqual(parseSetting('off', schemaAt('redaction.enabled')), false);
+  assert.strictEqual(parseSetting('maybe', schemaAt('redaction.enabled')), undefined);
+  assert.deepStrictEqual(parseSetting('me, me@example.com', schemaAt('externalChats.self')), ['me', 'me@example.com']);
+  assert.deepStrictEqual(parseSetting('["a,b"]', schemaAt('externalChats.self')), ['a,b']);
+  assert.strictEqual(parseSetting('null', schemaAt('providers.timeout')), null);
+  assert.deepStrictEqual(parseSetting('{"chat":"turns"}', schemaAt('chunking.strategies')), { chat: 'turns' });
+});
+
+test('environment overrides cover every known setting, backends included', () => {
+  const defaults = config._defaults;
+  const paths = settingPaths(defaults);
+  assert.ok(paths.includes('contextPipeline.rag.topK'));
+  assert.ok(paths.includes('providers.backends.llamacpp.url'), 'map entries and open-object keys come from the defaults');
+
+  const { overrides, errors, warnings } = envOverrides({
+    LOCALLLM_CONTEXT_PIPELINE__RAG__TOP_K: '8',
+    LOCALLLM_SEARCH__MODE: 'keyword',
+    LOCALLLM_PROVIDERS__TIMEOUT: 'null',
+    LOCALLLM_EXTERNAL_CHATS__SELF: 'me,myself',
+    LOCALLLM_PROVIDERS__BACKENDS__LLAMACPP__URL: 'http://gpu:8080/v1',
+    LOCALLLM_PROVIDERS__BACKENDS__MOCK__LATENCY_MS: '40',
+    LOCALLLM_EMBEDDING__DIMENSION: 'wide',
+    LOCALLLM_CHUNKING__TURNS__TOPIC_THRESHOLD: '2',
+    LOCALLLM_SEARCH__MOD: 'hybrid',
+    LOCALLLM_PROFILE: 'sandbox',
+    PATH: '/usr/bin',
+  }, defaults);
+
+  assert.deepStrictEqual(overrides, {
+    contextPipeline: { rag: { topK: 8 } },
+    search: { mode: 'keyword' },
+    providers: { timeout: null, backends: { llamacpp: { url: 'http://gpu:8080/v1' }, mock: { latencyMs: 40 } } },
+    externalChats: { self: ['me', 'myself'] },
+  });
+  assert.deepStrictEqual(errors, [
+    { path: 'LOCALLLM_EMBEDDING__DIMENSION', message: 'expected an integer ≥ 1, got "wide"' },
+    { path: 'LOCALLLM_CHUNKING__TURNS__TOPIC_THRESHOLD', message: 'expected a number between 0 and 1, got 2' },
+  ]);
+  assert.deepStrictEqual(warnings, [{ path: 'LOCALLLM_SEARCH__MOD', message: 'unknown setting (did you mean LOCALLLM_SEARCH__MODE?)' }]);
+});
+
+test('the loaded config applies valid environment overrides and keeps defaults for invalid ones', () => {
+  assert.strictEqual(config.search.mode, 'hybrid');
+  assert.strictEqual(typeof config.contextPipeline.rag.topK, 'number');
+  assert.notStrictEqual(config.contextPipeline.rag.topK, 'many');
+});
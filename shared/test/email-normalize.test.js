@@ -0,0 +1,146 @@
+/**
+ * Email Normalization Tests (shared/email.js, shared/mime.js: raw messages as classifier and triage input)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseEmail, normalizeEmail } = require('../email');
+const { stripQuoted, parseAddressList, normalizeSubject } = require('../mime');
+const { htmlToText } = require('../html');
+
+const newsletter = [
+  'From: =?utf-8?Q?Caf=C3=A9_News?= <news@cafe.example>',
+  'To: "Smith, Alice" <alice@example.com>, bob@example.com',
+  'Subject: Re: This week\'s specials',
+  'Message-ID: <n2@cafe.example>',
+  'In-Reply-To: <n1@cafe.example>',
+  'References: <n0@cafe.example> <n1@cafe.example>',
+  'List-Id: Cafe News <news.cafe.example>',
+  'List-Unsubscribe: <mailto:unsub@cafe.example>, <https://cafe.example/u?id=1>',
+  'List-Unsubscribe-Post: List-Unsubscribe=One-Click',
+  'X-Gmail-Labels: Inbox,"Category Updates"',
+  'Content-Type: multipart/mixed; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/html; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  '<p>Croissants =E2=80=94 half price!</p>',
+  '<p>Sent from my iPhone</p>',
+  '--b1',
+  'Content-Type: application/pdf; name="menu.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  'SGVsbG8=',
+  '--b1--',
+  '',
+].join('\r\n');
+
+test('raw messages become classifier input with list, thread and attachment fields', () => {
+  const email = parseEmail(newsletter, { labels: ['starred'] });
+  assert.strictEqual(email.from, 'Café News <news@cafe.example>');
+  assert.deepStrictEqual(email.to, ['Smith, Alice <alice@example.com>', 'bob@example.com']);
+  assert.strictEqual(email.body, 'Croissants — half price!');
+  assert.match(email.text, /Sent from my iPhone/);
+  assert.deepStrictEqual(email.labels, ['starred', 'Inbox', 'Category Updates']);
+  assert.deepStrictEqual(email.attachments, [{ name: 'menu.pdf', type: 'application/pdf', size: 5 }]);
+  assert.strictEqual(email.listId, 'Cafe News <news.cafe.example>');
+  assert.deepStrictEqual(email.unsubscribe, { mailto: ['mailto:unsub@cafe.example'], urls: ['https://cafe.example/u?id=1'], oneClick: true });
+  assert.deepStrictEqual(email.thread, {
+    topic: 'This week\'s specials', inReplyTo: 'n1@cafe.example', references: ['n0@cafe.example', 'n1@cafe.example'],
+    depth: 2, isReply: true, isForward: false,
+  });
+
+  // Raw input in any form; structured emails pass through
+  assert.strictEqual(normalizeEmail(Buffer.from(newsletter)).subject, 'Re: This week\'s specials');
+  assert.deepStrictEqual(normalizeEmail({ raw: newsletter, labels: ['x'] }).labels, ['x', 'Inbox', 'Category Updates']);
+  const structured = { from: 'a@b.example', subject: 'Hi', body: 'Hello', labels: [] };
+  assert.strictEqual(normalizeEmail(structured), structured);
+});
+
+test('each part is decoded with its own charset, from the raw bytes', () => {
+  // 8-bit ISO-8859-1 and UTF-8 parts side by side, with a raw UTF-8 header
+  const raw = Buffer.concat([
+    Buffer.from([
+      'From: =?iso-8859-1?Q?Ren=E9?= <rene@example.fr>',
+      'Subject: Menü',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/plain; charset=iso-8859-1',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      '',
+    ].join('\r\n'), 'utf-8'),
+    Buffer.from('Café crème\r\n', 'latin1'),
+    Buffer.from([
+      '--b',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      'Crêpe 🥞',
+      '--b',
+      'Content-Type: text/plain; charset=koi8-r',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '=F0=D2=C9=D7=C5=D4',
+      '--b--',
+      '',
+    ].join('\r\n'), 'utf-8'),
+  ]);
+  const email = parseEmail(raw);
+  assert.strictEqual(email.from, 'René <rene@example.fr>');
+  assert.strictEqual(email.subject, 'Menü');
+  assert.deepStrictEqual(email.text.split(/\n+/), ['Café crème', 'Crêpe 🥞', 'Привет']);
+
+  // A Latin-1 header and undeclared 8-bit body (not valid UTF-8) are read as Latin-1
+  const legacy = Buffer.from('Subject: D\xe9j\xe0 vu\r\n\r\nPri\xe8re de r\xe9pondre\r\n', 'latin1');
+  assert.strictEqual(parseEmail(legacy).subject, 'Déjà vu');
+  assert.strictEqual(parseEmail(legacy).body, 'Prière de répondre');
+
+  // A message already decoded into a string keeps its text as it is
+  const text = 'Subject: Menü\nContent-Type: text/plain; charset=iso-8859-1\n\nCafé crème';
+  assert.deepStrictEqual([parseEmail(text).subject, parseEmail(text).body], ['Menü', 'Café crème']);
+});
+
+test('quoted history and signatures are stripped', () => {
+  assert.strictEqual(stripQuoted('Sounds good.\n\nOn Mon, 1 Jan 2024, Bob wrote:\n> Lunch?\n> Noon?'), 'Sounds good.');
+  assert.strictEqual(stripQuoted('See attached.\n-- \nAlice\n+1 555 0100'), 'See attached.');
+  assert.strictEqual(stripQuoted('Approved.\n\n________________________________\nFrom: Bob\nSent: Monday\nSubject: Budget'), 'Approved.');
+  assert.strictEqual(stripQuoted('Yes\n\nSent from my Android phone'), 'Yes');
+  // Attributions wrapped by the mail client
+  assert.strictEqual(stripQuoted('Works for me.\n\nOn Mon, 1 Jan 2024 at 09:15, Bob Smith <bob@example.com>\nwrote:\n> Lunch?'), 'Works for me.');
+  assert.strictEqual(stripQuoted('Ok\nOn Monday, January 1, 2024 9:15 AM,\nBob Smith <bob@example.com>\nwrote:\n\n> Lunch?'), 'Ok');
+  // Outlook's quoted headers, with the separator line or without it
+  assert.strictEqual(stripQuoted('Thanks.\n\n-----Original Message-----\nFrom: Bob\nSent: Monday\n\nOld text'), 'Thanks.');
+  assert.strictEqual(stripQuoted('Thanks.\n\nFrom: Bob Smith <bob@example.com>\nSent: Monday, 1 January 2024 09:15\nTo: Alice\nSubject: Budget\n\nOld text'), 'Thanks.');
+  assert.strictEqual(stripQuoted('Noted.\n*From:* Bob\n*Date:* Monday\nOld text'), 'Noted.');
+  // A sentence starting "From:" isn't a header block
+  assert.strictEqual(stripQuoted('From: the team, thanks!\nSee you'), 'From: the team, thanks!\nSee you');
+  // An "On ... wrote:" line that introduces nothing quoted is kept, unless a mail client wrote it
+  assert.strictEqual(stripQuoted('On Monday she wrote:\nthe report'), 'On Monday she wrote:\nthe report');
+  assert.strictEqual(stripQuoted('Fine.\n\nOn Mon, Jan 1, 2024 at 9:00 AM Bob wrote:\n\nLunch?'), 'Fine.');
+
+  assert.deepStrictEqual(parseAddressList('"Doe, J" <j@x.example>, (Team) t@x.example').map(a => a.address), ['j@x.example', 't@x.example']);
+  assert.strictEqual(normalizeSubject('RE: Fwd: AW: Plans'), 'Plans');
+});
+
+test('quoted history in HTML-only replies is stripped too', () => {
+  const htmlReply = (html) => parseEmail(['From: alice@example.com', 'Subject: Re: Lunch', 'Content-Type: text/html; charset=utf-8', '', html].join('\r\n')).body;
+
+  // Gmail: the attribution and the quote sit in div.gmail_quote
+  const gmail = '<div dir="ltr">Sounds good.</div><br><div class="gmail_quote"><div dir="ltr" class="gmail_attr">' +
+    'On Mon, Jan 1, 2024 at 9:00 AM Bob &lt;bob@example.com&gt; wrote:<br></div>' +
+    '<blockquote class="gmail_quote" style="margin:0 0 0 .8ex"><div dir="ltr">Earlier message text<div>Noon?</div></div></blockquote></div>';
+  assert.strictEqual(htmlReply(gmail), 'Sounds good.');
+  assert.strictEqual(htmlToText(gmail, { quotes: true }),
+    'Sounds good.\n\n> On Mon, Jan 1, 2024 at 9:00 AM Bob <bob@example.com> wrote:\n\n> > Earlier message text\n> > Noon?');
+  assert.strictEqual(htmlToText(gmail), 'Sounds good.\n\nOn Mon, Jan 1, 2024 at 9:00 AM Bob <bob@example.com> wrote:\n\nEarlier message text\nNoon?');
+
+  // Apple Mail: the attribution outside a blockquote
+  assert.strictEqual(htmlReply('<div>Yes, noon.</div><div><br><blockquote type="cite"><div>On Jan 1, 2024, at 09:00, Bob wrote:</div>' +
+    '<blockquote type="cite">Lunch?</blockquote></blockquote></div>'), 'Yes, noon.');
+  // Outlook: the original message follows the reply header
+  assert.strictEqual(htmlReply('<div>Approved.</div><hr><div id="divRplyFwdMsg" dir="ltr"><b>From:</b> Bob<br><b>Sent:</b> Monday</div>' +
+    '<div>Old text</div><div>More old text</div>'), 'Approved.');
+});
@@ -0,0 +1,159 @@
+/**
+ * Embedding Cache Tests (shared/embedding-cache.js: key normalization, TTL expiry,
+ * LRU pruning, hit/miss counters and eviction of forgotten texts)
+ */
+
+const { mkdtempSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Mock embeddings and a scratch cache database before config loads
+const dir = mkdtempSync(join(tmpdir(), 'embedding-cache-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mock/embed',
+  LOCALLLM_EMBEDDING__DIMENSION: '32',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_EMBEDDING_CACHE__PATH: join(dir, 'embedding-cache.db'),
+});
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const ollama = require('../ollama');
+const {
+  cachedEmbed, cacheKey, getCacheCounters, getCacheStats,
+  clearEmbeddingCache, evictEmbeddings, pruneEmbeddingCache, closeEmbeddingCache,
+} = require('../embedding-cache');
+
+// Count what reaches the model (embedding-cache.js calls ollama.embed at call time)
+const { embed } = ollama;
+const embedded = [];
+ollama.embed = (model, input, opts) => {
+  embedded.push(...(Array.isArray(input) ? input : [input]));
+  return embed(model, input, opts);
+};
+
+const defaults = { ...config.embeddingCache };
+const MODEL = 'mock/embed';
+
+beforeEach(() => {
+  Object.assign(config.embeddingCache, defaults);
+  clearEmbeddingCache();
+  embedded.length = 0;
+});
+
+after(() => {
+  closeEmbeddingCache();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Rewrite timestamps from a second connection, as another process would
+function age(column, text, ms) {
+  const db = new Database(config.embeddingCache.path);
+  try {
+    db.prepare(`UPDATE embedding_cache SET ${column} = ${column} - ? WHERE key = ?`).run(ms, cacheKey(text));
+  } finally {
+    db.close();
+  }
+}
+
+test('keys ignore whitespace, and case only when asked', async () => {
+  assert.strictEqual(cacheKey('  mooring\n\tfee  due '), cacheKey('mooring fee due'));
+  assert.notStrictEqual(cacheKey('Mooring fee'), cacheKey('mooring fee'));
+  assert.strictEqual(cacheKey('Mooring FEE', true), cacheKey('mooring fee', true));
+
+  const first = await cachedEmbed(MODEL, ['mooring fee', 'winter storage']);
+  assert.deepStrictEqual([first.cacheHits, first.cacheMisses], [0, 2]);
+
+  const second = await cachedEmbed(MODEL, ['mooring  fee\n', 'Winter storage', 'boat']);
+  assert.deepStrictEqual([second.cacheHits, second.cacheMisses], [1, 2]);
+  assert.deepStrictEqual(embedded, ['mooring fee', 'winter storage', 'Winter storage', 'boat']);
+  // Served from the float32 store
+  assert.deepStrictEqual(second.embeddings[0], first.embeddings[0].map(Math.fround));
+  assert.strictEqual(second.embeddings.length, 3, 'input order is kept around the misses');
+
+  // Queries share vectors across case variants, separately from the case-sensitive keys
+  await cachedEmbed(MODEL, 'Boat Fees', { ignoreCase: true });
+  const query = await cachedEmbed(MODEL, 'boat fees', { ignoreCase: true });
+  assert.deepStrictEqual([query.cacheHits, query.cacheMisses], [1, 0]);
+  assert.strictEqual((await cachedEmbed(MODEL, 'Boat Fees')).cacheMisses, 1);
+
+  // Models don't share vectors
+  assert.strictEqual((await cachedEmbed('mock/other', 'mooring fee')).cacheMisses, 1);
+});
+
+test('entries older than ttlMs are re-embedded and pruned', async () => {
+  config.embeddingCache.ttlMs = 60 * 1000;
+  await cachedEmbed(MODEL, ['stale', 'fresh']);
+  age('created_at', 'stale', 2 * 60 * 1000);
+
+  embedded.length = 0;
+  const result = await cachedEmbed(MODEL, ['stale', 'fresh']);
+  assert.deepStrictEqual([result.cacheHits, result.cacheMisses], [1, 1]);
+  assert.deepStrictEqual(embedded, ['stale']);
+
+  age('created_at', 'fresh', 2 * 60 * 1000);
+  assert.strictEqual(pruneEmbeddingCache(), 1);
+  assert.strictEqual(getCacheStats().entries, 1);
+
+  // ttlMs 0 keeps entries forever
+  config.embeddingCache.ttlMs = 0;
+  age('created_at', 'stale', 365 * 24 * 60 * 60 * 1000);
+  assert.strictEqual((await cachedEmbed(MODEL, 'stale')).cacheHits, 1);
+  assert.strictEqual(pruneEmbeddingCache(), 0);
+});
+
+test('above maxEntries the least recently used entries are evicted', async () => {
+  config.embeddingCache.maxEntries = 2;
+  const texts = ['one', 'two', 'three', 'four'];
+  await cachedEmbed(MODEL, texts);
+  texts.forEach((text, i) => age('last_used', text, (texts.length - i) * 1000));
+
+  // A hit refreshes last_used
+  await cachedEmbed(MODEL, 'one');
+  assert.strictEqual(pruneEmbeddingCache(), 2);
+
+  embedded.length = 0;
+  const result = await cachedEmbed(MODEL, texts);
+  assert.deepStrictEqual(embedded, ['two', 'three']);
+  assert.deepStrictEqual([result.cacheHits, result.cacheMisses], [2, 2]);
+});
+
+test('hits and misses are counted per scope and totalled in the stats', async () => {
+  const before = getCacheStats();
+  const indexBefore = getCacheCounters('index');
+
+  await cachedEmbed(MODEL, ['a', 'b'], { scope: 'index' });
+  await cachedEmbed(MODEL, ['a', 'b', 'c'], { scope: 'index' });
+  await cachedEmbed(MODEL, 'a', { scope: 'query' });
+
+  assert.deepStrictEqual(getCacheCounters('index'), { hits: indexBefore.hits + 2, misses: indexBefore.misses + 3 });
+  assert.deepStrictEqual(getCacheCounters('unused'), { hits: 0, misses: 0 });
+
+  const stats = getCacheStats();
+  assert.deepStrictEqual([stats.enabled, stats.path, stats.entries], [true, config.embeddingCache.path, 3]);
+  assert.deepStrictEqual([stats.hits - before.hits, stats.misses - before.misses], [3, 3]);
+  assert.deepStrictEqual(Object.keys(stats.scopes).sort(), [...new Set([...Object.keys(before.scopes), 'index', 'query'])].sort());
+
+  // Disabled: every text is a miss and no entries are reported
+  config.embeddingCache.enabled = false;
+  const uncached = await cachedEmbed(MODEL, ['a', 'a'], { scope: 'index' });
+  assert.deepStrictEqual([uncached.cacheHits, uncached.cacheMisses, uncached.embeddings.length], [0, 2, 2]);
+  assert.deepStrictEqual([getCacheStats().enabled, getCacheStats().entries], [false, null]);
+});
+
+test('evictEmbeddings removes a text under every model and key variant', async () => {
+  await cachedEmbed(MODEL, ['Forget me', 'keep me']);
+  await cachedEmbed('mock/other', 'Forget  me');
+  await cachedEmbed(MODEL, 'FORGET ME', { ignoreCase: true });
+  assert.strictEqual(getCacheStats().entries, 4);
+
+  assert.strictEqual(evictEmbeddings(['Forget me']), 3);
+  assert.strictEqual(getCacheStats().entries, 1);
+  assert.strictEqual(evictEmbeddings([]), 0);
+
+  embedded.length = 0;
+  await cachedEmbed(MODEL, ['Forget me', 'keep me']);
+  assert.deepStrictEqual(embedded, ['Forget me']);
+});
@@ -0,0 +1,96 @@
+/**
+ * Embedding Provenance Tests (shared/embedding-meta.js: schema upgrade, active model,
+ * compatibility checks, which model searches embed with)
+ */
+
+const { mkdtempSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+// Scratch paths before config loads
+const dir = mkdtempSync(join(tmpdir(), 'embedding-meta-test-'));
+Object.assign(process.env, {
+  LOCALLLM_MODELS__EMBED: 'mxbai-embed-large:latest',
+  LOCALLLM_PATHS__CHAT_DB: join(dir, 'chat.db'),
+  LOCALLLM_PATHS__SEARCH_DB: join(dir, 'memory.db'),
+});
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const {
+  normalizeModel,
+  ensureEmbeddingSchema,
+  getActiveModel,
+  setActiveModel,
+  isCompatible,
+  resolveSearchModel,
+  invalidateActiveModelCache,
+} = require('../embedding-meta');
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const vector = dim => Buffer.alloc(dim * 4);
+
+test('model names ignore the :latest tag', () => {
+  assert.strictEqual(normalizeModel('nomic-embed-text:latest'), 'nomic-embed-text');
+  assert.strictEqual(normalizeModel('llamacpp/bge-m3'), 'llamacpp/bge-m3');
+  assert.strictEqual(normalizeModel(undefined), '');
+});
+
+test('the schema upgrade stamps existing rows with the configured model, once', () => {
+  const db = new Database(':memory:');
+  db.exec('CREATE TABLE chunks (id INTEGER PRIMARY KEY, text TEXT, embedding BLOB)');
+  db.prepare('INSERT INTO chunks (text, embedding) VALUES (?, ?)').run('with a vector', vector(8));
+  db.prepare('INSERT INTO chunks (text, embedding) VALUES (?, ?)').run('never embedded', null);
+
+  assert.strictEqual(getActiveModel(db), 'mxbai-embed-large', 'no embedding_meta yet: the configured model');
+  ensureEmbeddingSchema(db, 'chunks');
+  assert.deepStrictEqual(db.prepare('SELECT embed_model, embed_dim FROM chunks ORDER BY id').all(), [
+    { embed_model: 'mxbai-embed-large', embed_dim: 8 },
+    { embed_model: null, embed_dim: null },
+  ]);
+
+  // A later upgrade leaves rows and the recorded model alone
+  setActiveModel(db, 'nomic-embed-text:latest');
+  db.prepare('INSERT INTO chunks (text, embedding) VALUES (?, ?)').run('unstamped', vector(8));
+  ensureEmbeddingSchema(db, 'chunks');
+  ensureEmbeddingSchema(db, 'missing_table');
+  assert.strictEqual(getActiveModel(db), 'nomic-embed-text');
+  assert.strictEqual(db.prepare('SELECT embed_model FROM chunks WHERE id = 3').get().embed_model, null);
+  db.close();
+});
+
+test('rows from another model or of another dimension are refused', () => {
+  const row = { embedding: vector(4), embed_model: 'nomic-embed-text', embed_dim: 4 };
+  assert.strictEqual(isCompatible(row, 'nomic-embed-text:latest', 4), true);
+  assert.strictEqual(isCompatible(row, 'mxbai-embed-large', 4), false);
+  assert.strictEqual(isCompatible(row, 'nomic-embed-text', 8), false);
+  assert.strictEqual(isCompatible({ ...row, embedding: null }, 'nomic-embed-text', 4), false);
+  // Rows from before provenance tracking: only the dimension can be checked
+  assert.strictEqual(isCompatible({ embedding: vector(4) }, 'anything', 4), true);
+  assert.strictEqual(isCompatible({ embedding: vector(4) }, 'anything', 8), false);
+});
+
+test('searches embed with the memory index model, else the chat index model, else the config', () => {
+  const paths = { memoryDb: join(dir, 'memory.db'), chatDb: join(dir, 'chat.db') };
+  assert.strictEqual(resolveSearchModel(paths), 'mxbai-embed-large', 'no databases yet');
+
+  const chat = new Database(paths.chatDb);
+  setActiveModel(chat, 'bge-m3');
+  chat.close();
+  invalidateActiveModelCache();
+  assert.strictEqual(resolveSearchModel(paths), 'bge-m3');
+
+  // A memory index without embedding_meta is skipped rather than read as the configured model
+  const memory = new Database(paths.memoryDb);
+  memory.exec('CREATE TABLE chunks (id INTEGER PRIMARY KEY)');
+  invalidateActiveModelCache();
+  assert.strictEqual(resolveSearchModel(paths), 'bge-m3');
+
+  setActiveModel(memory, 'nomic-embed-text');
+  assert.strictEqual(resolveSearchModel(paths), 'bge-m3', 'cached until invalidated');
+  invalidateActiveModelCache();
+  assert.strictEqual(resolveSearchModel(paths), 'nomic-embed-text');
+  memory.close();
+});
@@ -0,0 +1,78 @@
+/**
+ * Structured Logger Tests (shared/logger.js: correlation fields, sinks)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mkdtempSync, readFileSync, existsSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const logger = require('../logger');
+
+// Capture records without printing them
+function capture() {
+  const records = [];
+  const remove = logger.addSink(record => records.push(record));
+  return { records, remove };
+}
+
+test('child loggers and withContext bind fields across awaits', async () => {
+  const { records, remove } = capture();
+  const log = logger.child({ package: 'triage' });
+
+  await logger.withContext({ requestId: 'req-1' }, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    await logger.withContext({ sessionId: 's-1' }, async () => log.warn('routed %s', 'claude_haiku'));
+  });
+  log.warn('outside');
+  remove();
+
+  assert.deepStrictEqual(
+    records.map(({ package: pkg, requestId, sessionId, msg }) => ({ pkg, requestId, sessionId, msg })),
+    [
+      { pkg: 'triage', requestId: 'req-1', sessionId: 's-1', msg: 'routed claude_haiku' },
+      { pkg: 'triage', requestId: undefined, sessionId: undefined, msg: 'outside' },
+    ]
+  );
+});
+
+test('errors become an error field', () => {
+  const { records, remove } = capture();
+  const err = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+  logger.error('Embedding failed:', err);
+  remove();
+
+  assert.strictEqual(records[0].msg, 'Embedding failed: connection refused');
+  assert.strictEqual(records[0].error.code, 'ECONNREFUSED');
+  assert.match(records[0].error.stack, /connection refused/);
+});
+
+test('ring buffer keeps the newest records and filters them', () => {
+  const buffer = logger.createRingBuffer(3);
+  const record = (level, msg, fields = {}) => ({ time: new Date().toISOString(), level, msg, ...fields });
+  buffer(record('info', 'one', { requestId: 'a' }));
+  buffer(record('debug', 'two', { requestId: 'a' }));
+  buffer(record('error', 'three', { requestId: 'b', package: 'search' }));
+  buffer(record('warn', 'Four', { requestId: 'a' }));
+
+  assert.deepStrictEqual(buffer.query().map(r => r.msg), ['two', 'three', 'Four']);
+  assert.deepStrictEqual(buffer.query({ requestId: 'a' }).map(r => r.msg), ['two', 'Four']);
+  assert.deepStrictEqual(buffer.query({ level: 'warn' }).map(r => r.msg), ['three', 'Four']);
+  assert.deepStrictEqual(buffer.query({ package: 'search' }).map(r => r.msg), ['three']);
+  assert.deepStrictEqual(buffer.query({ search: 'four' }).map(r => r.msg), ['Four']);
+  assert.deepStrictEqual(buffer.query({ after: buffer.query()[1].seq }).map(r => r.msg), ['Four']);
+});
+
+test('file sink writes JSON lines and rotates', () => {
+  const path = join(mkdtempSync(join(tmpdir(), 'logger-test-')), 'logs', 'app.log');
+  const sink = logger.createFileSink({ path, maxBytes: 200, maxFiles: 2 });
+  for (let i = 0; i < 10; i++) {
+    sink({ time: new Date().toISOString(), level: 'info', msg: `message ${i} ${'x'.repeat(40)}` });
+  }
+
+  const current = readFileSync(path, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(current[current.length - 1].msg.startsWith('message 9'), true);
+  assert.ok(existsSync(`${path}.1`));
+  assert.ok(existsSync(`${path}.2`));
+  assert.ok(!existsSync(`${path}.3`));
+});
@@ -0,0 +1,72 @@
+/**
+ * Model Backend Tests (shared/providers: routing by model prefix, the mock backend, timeouts)
+ */
+
+// Before config loads
+process.env.LOCALLLM_EMBEDDING__DIMENSION = '16';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { resolveModel, getBackend, listBackends, setMockHandler } = require('../providers');
+const { createMockBackend } = require('../providers/mock');
+
+test('model strings pick their backend by prefix', () => {
+  const mock = resolveModel('mock/triage');
+  assert.strictEqual(mock.backend.type, 'mock');
+  assert.strictEqual(mock.model, 'triage');
+
+  // Unprefixed and unknown-prefix names (namespaced Ollama tags) go to the default backend whole
+  for (const name of ['qwen2.5:14b', 'hf.co/org/model']) {
+    const { backend, model } = resolveModel(name);
+    assert.strictEqual(backend.type, 'ollama');
+    assert.strictEqual(model, name);
+  }
+
+  assert.deepStrictEqual(listBackends(), ['ollama', 'llamacpp', 'mock']);
+  assert.strictEqual(getBackend('mock'), getBackend('mock'));
+  assert.throws(() => getBackend('nope'), /Unknown model backend "nope" \(configured: ollama, llamacpp, mock\)/);
+});
+
+test('the mock backend embeds deterministically and replies through the handler', async () => {
+  const { backend, model } = resolveModel('mock/embed');
+  const { embeddings } = await backend.embed(model, ['alpha', 'beta', 'alpha']);
+  assert.strictEqual(embeddings[0].length, 16);
+  assert.deepStrictEqual(embeddings[0], embeddings[2]);
+  assert.notDeepStrictEqual(embeddings[0], embeddings[1]);
+  assert.ok(Math.abs(embeddings[0].reduce((sum, x) => sum + x * x, 0) - 1) < 1e-9, 'unit length');
+
+  const requests = [];
+  setMockHandler((req) => {
+    requests.push(req);
+    return req.opts.format === 'json' ? { category: 'bills' } : 'plain reply';
+  });
+  try {
+    const generated = await backend.generate('m', 'Classify this', { format: 'json' });
+    assert.deepStrictEqual(JSON.parse(generated.response), { category: 'bills' });
+    const chat = await backend.chat('m', [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }]);
+    assert.strictEqual(chat.message.content, 'plain reply');
+    assert.deepStrictEqual(requests.map(r => [r.kind, r.prompt]), [['generate', 'Classify this'], ['chat', 'Hi']]);
+
+    const pieces = [];
+    await backend.streamGenerate('m', 'stream', chunk => pieces.push(chunk.response));
+    assert.strictEqual(pieces.join(''), 'plain reply');
+  } finally {
+    setMockHandler(null);
+  }
+  assert.match((await backend.generate('m', 'echo me')).response, /^mock response: echo me/);
+});
+
+test('requests are unbounded unless a call, backend or providers.timeout sets a limit', async () => {
+  assert.strictEqual(config.providers.timeout, null);
+
+  // 40ms latency: finishes without a timeout, fails past one
+  const slow = createMockBackend('slow', { latencyMs: 40, timeout: config.providers.timeout });
+  assert.strictEqual((await slow.embed('m', 'text')).embeddings.length, 1);
+  await assert.rejects(slow.embed('m', 'text', { timeout: 10 }), { code: 'ETIMEDOUT', message: 'slow timed out after 10ms' });
+
+  const limited = createMockBackend('limited', { latencyMs: 40, timeout: 10 });
+  await assert.rejects(limited.generate('m', 'slow'), { code: 'ETIMEDOUT' });
+  // A per-call timeout overrides the backend's
+  assert.ok((await limited.generate('m', 'slow', { timeout: 1000 })).done);
+});
@@ -0,0 +1,82 @@
+/**
+ * Tracing Tests (shared/tracing.js: span tree, trace store, OTLP export)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const tracing = require('../tracing');
+
+// Capture exported traces
+function capture() {
+  const exported = [];
+  const remove = tracing.addExporter(spans => exported.push(spans));
+  return { exported, remove };
+}
+
+test('withSpan nests spans across awaits and records failures', async () => {
+  const { exported, remove } = capture();
+
+  const traceId = await tracing.withSpan('assembleContext', { 'request.id': 'req-trace-1' }, async (root) => {
+    await tracing.withSpan('search', { 'search.mode': 'vector' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      tracing.withSpan('vector.scan', {}, (span) => span.setAttribute('search.results', 3));
+    });
+    await assert.rejects(tracing.withSpan('routing', {}, async () => { throw new Error('router down'); }), /router down/);
+    return root.traceId;
+  });
+  remove();
+
+  const trace = tracing.getTrace(traceId);
+  const byName = Object.fromEntries(trace.spans.map(span => [span.name, span]));
+  assert.deepStrictEqual(trace.spans.map(span => span.name).sort(), ['assembleContext', 'routing', 'search', 'vector.scan']);
+  assert.strictEqual(byName.assembleContext.parentSpanId, null);
+  assert.strictEqual(byName.search.parentSpanId, byName.assembleContext.spanId);
+  assert.strictEqual(byName['vector.scan'].parentSpanId, byName.search.spanId);
+  assert.strictEqual(byName['vector.scan'].attributes['search.results'], 3);
+  assert.strictEqual(byName.routing.status.code, 'ERROR');
+  assert.strictEqual(byName.routing.events[0].attributes['exception.message'], 'router down');
+  assert.ok(trace.spans.every(span => span.traceId === traceId));
+
+  // Lookup by the root's request id; the whole trace is exported once, when the root ends
+  assert.strictEqual(tracing.getTrace('req-trace-1').traceId, traceId);
+  assert.strictEqual(trace.error, true);
+  assert.strictEqual(exported.length, 1);
+  assert.strictEqual(exported[0].length, 4);
+});
+
+test('requireParent spans are only recorded inside a trace', async () => {
+  const orphan = tracing.startSpan('llm.generate', {}, { requireParent: true });
+  assert.strictEqual(orphan.sampled, false);
+  orphan.end();
+
+  const traceId = await tracing.withSpan('search', {}, async (root) => {
+    await tracing.withSpan('llm.embed', {}, async () => {}, { requireParent: true });
+    return root.traceId;
+  });
+  assert.deepStrictEqual(tracing.getTrace(traceId).spans.map(span => span.name), ['search', 'llm.embed']);
+});
+
+test('toOtlpJson produces an OTLP/JSON export request', () => {
+  const root = tracing.startSpan('assembleContext', { 'rag.results': 2, 'context.skipped': false, ratio: 0.5, route: 'claude_haiku' });
+  const child = tracing.startSpan('rerank', {}, { parent: root });
+  child.recordException(new Error('timeout'));
+  child.end();
+  root.end();
+
+  const { resourceSpans } = tracing.toOtlpJson([root, child]);
+  const [otlpRoot, otlpChild] = resourceSpans[0].scopeSpans[0].spans;
+  const attr = (span, key) => span.attributes.find(a => a.key === key).value;
+
+  assert.strictEqual(attr({ attributes: resourceSpans[0].resource.attributes }, 'service.name').stringValue, 'localllm-hub');
+  assert.match(otlpRoot.traceId, /^[0-9a-f]{32}$/);
+  assert.match(otlpRoot.spanId, /^[0-9a-f]{16}$/);
+  assert.strictEqual(otlpRoot.parentSpanId, undefined);
+  assert.strictEqual(otlpChild.parentSpanId, otlpRoot.spanId);
+  assert.ok(BigInt(otlpRoot.endTimeUnixNano) >= BigInt(otlpRoot.startTimeUnixNano));
+  assert.deepStrictEqual(attr(otlpRoot, 'rag.results'), { intValue: '2' });
+  assert.deepStrictEqual(attr(otlpRoot, 'context.skipped'), { boolValue: false });
+  assert.deepStrictEqual(attr(otlpRoot, 'ratio'), { doubleValue: 0.5 });
+  assert.deepStrictEqual(attr(otlpRoot, 'route'), { stringValue: 'claude_haiku' });
+  assert.strictEqual(otlpChild.status.code, 2);
+  assert.strictEqual(otlpChild.events[0].name, 'exception');
+});
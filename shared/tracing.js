@@ -0,0 +1,364 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomBytes } = require('crypto');
+const { dirname, join } = require('path');
+const { createFileSink, child } = require('./logger');
+
+const logger = child({ package: 'tracing' });
+
+/**
+ * Lightweight tracing: spans with attributes, events and parent/child links,
+ * in the OpenTelemetry data model but without the SDK.
+ *
+ * `withSpan(name, attributes, fn)` runs `fn` inside a new span — a child of
+ * the span active at the call (async context), or the root of a new trace —
+ * and ends it when `fn` returns or settles. Finished spans are kept per trace
+ * in memory (the dashboard waterfall) and, when a trace's root span ends,
+ * handed to each exporter; the built-in one appends OTLP/JSON
+ * (`{ resourceSpans: [...] }`, one trace per line) to a rotating file that
+ * any OTLP tool can load later, no collector needed.
+ *
+ * Settings: config.tracing.
+ */
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_CODES = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const active = new AsyncLocalStorage();
+const exporters = new Set();
+const traces = new Map(); // traceId → { traceId, spans, exported }
+
+let settings = { enabled: true, sampleRate: 1, maxTraces: 200 };
+
+// Wall-clock nanoseconds with hrtime resolution
+const EPOCH_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowNs = () => EPOCH_NS + process.hrtime.bigint();
+
+const newId = (bytes) => randomBytes(bytes).toString('hex');
+
+// An unsampled span (tracing off, or the trace wasn't sampled) records
+// nothing and has no ids; its children are unsampled too
+class Span {
+  constructor(name, attributes, parent, sampled = true) {
+    this.sampled = sampled;
+    this.traceId = sampled ? parent?.traceId || newId(16) : null;
+    this.spanId = sampled ? newId(8) : null;
+    this.parentSpanId = parent?.spanId || null;
+    this.name = name;
+    this.startNs = nowNs();
+    this.endNs = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'UNSET' };
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (this.sampled && value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    if (this.sampled) this.events.push({ name, timeNs: nowNs(), attributes });
+    return this;
+  }
+
+  /** @param {'OK'|'ERROR'|'UNSET'} code */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /** Record an error as an `exception` event and mark the span failed. */
+  recordException(err) {
+    this.addEvent('exception', {
+      'exception.type': err?.name || 'Error',
+      'exception.message': err?.message ?? String(err),
+      ...(err?.stack ? { 'exception.stacktrace': err.stack } : {}),
+    });
+    return this.setStatus('ERROR', err?.message ?? String(err));
+  }
+
+  end() {
+    if (this.endNs !== null) return;
+    this.endNs = nowNs();
+    if (this.sampled) finish(this);
+  }
+
+  get durationMs() {
+    return Number((this.endNs ?? nowNs()) - this.startNs) / 1e6;
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      startTime: new Date(Number(this.startNs / 1000000n)).toISOString(),
+      startNs: String(this.startNs),
+      durationMs: Math.round(this.durationMs * 1000) / 1000,
+      attributes: this.attributes,
+      events: this.events.map(({ name, timeNs, attributes }) => ({
+        name,
+        offsetMs: Number(timeNs - this.startNs) / 1e6,
+        attributes,
+      })),
+      status: this.status,
+    };
+  }
+}
+
+/**
+ * Start a span; the caller must end() it. Unlike withSpan() it does not
+ * become the active span, so spans started inside aren't its children.
+ * @param {string} name
+ * @param {object} [attributes]
+ * @param {object} [opts]
+ * @param {Span|null} [opts.parent] - Default: the active span
+ * @param {boolean} [opts.requireParent=false] - Record only inside an existing trace
+ * @returns {Span}
+ */
+function startSpan(name, attributes = {}, opts = {}) {
+  const parent = opts.parent !== undefined ? opts.parent : active.getStore() || null;
+  const sampled = settings.enabled && (parent
+    ? parent.sampled
+    : !opts.requireParent && Math.random() < settings.sampleRate);
+  return new Span(name, attributes, parent, sampled);
+}
+
+/**
+ * Run `fn(span)` inside a new active span, ended when `fn` returns or its
+ * promise settles; a throw or rejection is recorded on the span and rethrown.
+ * @template T
+ * @param {string} name
+ * @param {object} attributes
+ * @param {(span: Span) => T} fn
+ * @param {object} [opts] - See startSpan()
+ * @returns {T}
+ */
+function withSpan(name, attributes, fn, opts = {}) {
+  const span = startSpan(name, attributes, opts);
+  const fail = (err) => {
+    span.recordException(err);
+    span.end();
+    throw err;
+  };
+
+  let result;
+  try {
+    result = active.run(span, () => fn(span));
+  } catch (err) {
+    fail(err);
+  }
+  if (typeof result?.then === 'function') {
+    return result.then((value) => {
+      span.end();
+      return value;
+    }, fail);
+  }
+  span.end();
+  return result;
+}
+
+/** The span active in the current async context, if any. */
+function activeSpan() {
+  return active.getStore() || null;
+}
+
+function finish(span) {
+  let trace = traces.get(span.traceId);
+  if (!trace) {
+    trace = { traceId: span.traceId, spans: [], exported: false };
+    traces.set(span.traceId, trace);
+    for (const traceId of traces.keys()) {
+      if (traces.size <= settings.maxTraces) break;
+      traces.delete(traceId);
+    }
+  }
+  trace.spans.push(span);
+
+  // Export the whole trace when its root ends; stragglers (fire-and-forget
+  // work that outlives the request) go out on their own
+  if (!span.parentSpanId) {
+    trace.exported = true;
+    exportSpans(trace.spans);
+  } else if (trace.exported) {
+    exportSpans([span]);
+  }
+}
+
+function exportSpans(spans) {
+  for (const exporter of exporters) {
+    try {
+      exporter(spans);
+    } catch {
+      // Like log sinks, a failing exporter must not take the caller down
+    }
+  }
+}
+
+/**
+ * Register an exporter: a function called with the spans of each finished trace.
+ * @param {(spans: Span[]) => void} exporter
+ * @returns {() => void} Remove it again
+ */
+function addExporter(exporter) {
+  exporters.add(exporter);
+  return () => exporters.delete(exporter);
+}
+
+function otlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(otlpValue) } };
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+const otlpAttributes = (attributes) =>
+  Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+
+/**
+ * Spans as an OTLP/JSON ExportTraceServiceRequest.
+ * @param {Span[]} spans
+ * @returns {object}
+ */
+function toOtlpJson(spans) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: otlpAttributes({ 'service.name': 'localllm-hub', 'process.pid': process.pid }),
+      },
+      scopeSpans: [{
+        scope: { name: 'localllm-hub' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: SPAN_KIND_INTERNAL,
+          startTimeUnixNano: String(span.startNs),
+          endTimeUnixNano: String(span.endNs),
+          attributes: otlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: String(event.timeNs),
+            name: event.name,
+            attributes: otlpAttributes(event.attributes),
+          })),
+          status: {
+            code: STATUS_CODES[span.status.code],
+            ...(span.status.message ? { message: span.status.message } : {}),
+          },
+        })),
+      }],
+    }],
+  };
+}
+
+/**
+ * Exporter appending one OTLP/JSON request per trace to a rotating file.
+ * @param {object} opts - { path, maxBytes, maxFiles } (see logger.createFileSink)
+ * @returns {(spans: Span[]) => void}
+ */
+function createOtlpFileExporter(opts) {
+  const sink = createFileSink(opts);
+  return (spans) => sink(toOtlpJson(spans));
+}
+
+function summarize(trace) {
+  const root = trace.spans.find(span => !span.parentSpanId);
+  const first = trace.spans.reduce((a, b) => (b.startNs < a.startNs ? b : a));
+  return {
+    traceId: trace.traceId,
+    name: (root || first).name,
+    startTime: new Date(Number(first.startNs / 1000000n)).toISOString(),
+    durationMs: root ? Math.round(root.durationMs * 1000) / 1000 : null,
+    spanCount: trace.spans.length,
+    error: trace.spans.some(span => span.status.code === 'ERROR'),
+    requestId: root?.attributes['request.id'] || null,
+  };
+}
+
+/**
+ * A recorded trace by trace id, or by the request id on its root span.
+ * @param {string} id
+ * @returns {{ traceId: string, name: string, startTime: string, durationMs: number|null,
+ *   spanCount: number, error: boolean, requestId: string|null, spans: object[] }|null}
+ */
+function getTrace(id) {
+  let trace = traces.get(id);
+  if (!trace) {
+    trace = [...traces.values()].reverse().find(t => t.spans.some(span => !span.parentSpanId && span.attributes['request.id'] === id));
+  }
+  if (!trace) return null;
+  const spans = [...trace.spans].sort((a, b) => (a.startNs < b.startNs ? -1 : a.startNs > b.startNs ? 1 : 0));
+  return { ...summarize(trace), spans: spans.map(span => span.toJSON()) };
+}
+
+/**
+ * Summaries of the recorded traces, newest first.
+ * @param {object} [opts]
+ * @param {number} [opts.limit=50]
+ * @param {string} [opts.name] - Only traces whose root span has this name
+ * @returns {object[]}
+ */
+function listTraces(opts = {}) {
+  return [...traces.values()]
+    .reverse()
+    .map(summarize)
+    .filter(summary => !opts.name || summary.name === opts.name)
+    .slice(0, opts.limit || 50);
+}
+
+function clearTraces() {
+  traces.clear();
+}
+
+let removeFileExporter = null;
+
+// config.tracing, re-applied on config changes
+function applyConfig(tracing) {
+  settings = { ...settings, ...tracing };
+
+  if (removeFileExporter) removeFileExporter();
+  removeFileExporter = null;
+  if (tracing.enabled && tracing.export?.enabled) {
+    const config = require('./config');
+    const path = tracing.export.path || join(dirname(config.paths.chatDb), 'traces', 'otlp.jsonl');
+    try {
+      removeFileExporter = addExporter(createOtlpFileExporter({ path, maxBytes: tracing.export.maxBytes, maxFiles: tracing.export.maxFiles }));
+    } catch (err) {
+      logger.error(`Can't write ${path}: ${err.message}`);
+    }
+  }
+}
+
+try {
+  const config = require('./config');
+  if (config.tracing) {
+    applyConfig(config.tracing);
+    config.onChange(({ changed }) => {
+      if (changed.some(path => path.startsWith('tracing.') || path === 'paths.chatDb')) applyConfig(config.tracing);
+    });
+  }
+} catch {
+  // Config unavailable (e.g. unknown profile): in-memory traces only
+}
+
+module.exports = {
+  startSpan,
+  withSpan,
+  activeSpan,
+  addExporter,
+  createOtlpFileExporter,
+  toOtlpJson,
+  getTrace,
+  listTraces,
+  clearTraces,
+  Span,
+};